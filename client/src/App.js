@@ -2,6 +2,7 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { SmashCartProvider } from './contexts/SmashCartContext';
+import { useCartHistory } from './hooks/useCartHistory';
 import userDataService from './services/userDataService';
 import { db } from './firebase/config';
 import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
@@ -9,6 +10,7 @@ import { SpeedInsights } from '@vercel/speed-insights/react';
 import './styles/cartsmash.css';
 import Header from './components/Header';
 import GroceryListForm from './components/GroceryListForm';
+import CartHistoryPanel from './components/CartHistoryPanel';
 import MyAccount from './components/MyAccount';
 import StoresPage from './components/StoresPage';
 import Contact from './components/Contact';
@@ -16,18 +18,32 @@ import Terms from './components/Terms';
 import Privacy from './components/privacy';
 import debugService from './services/debugService';
 import AffiliateDisclosure from './components/AffiliateDisclosure';
+import SharedListView from './components/SharedListView';
 import Footer from './components/Footer';
 import ErrorBoundary from './components/ErrorBoundary';
 
 
 // Main App Component
+// Share links point at /shared/:shareId - everything else is driven by currentView
+const getShareIdFromPath = () => {
+  const match = window.location.pathname.match(/^\/shared\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
 function App() {
-  const [currentView, setCurrentView] = useState('home');
+  const [currentView, setCurrentView] = useState(() => (getShareIdFromPath() ? 'shared' : 'home'));
 
   // Make setCurrentView globally available for testing
   useEffect(() => {
     window.setCurrentView = setCurrentView;
   }, [setCurrentView]);
+
+  // Drop the /shared/:shareId path once the user navigates away from the shared list
+  useEffect(() => {
+    if (currentView !== 'shared' && getShareIdFromPath()) {
+      window.history.replaceState(null, '', '/');
+    }
+  }, [currentView]);
   
   // CENTRALIZED STATE MANAGEMENT
   const [currentCart, setCurrentCart] = useState([]);
@@ -79,7 +95,7 @@ function AppContent({
   isLoading, setIsLoading,
   syncStatus, setSyncStatus
 }) {
-  const { currentUser } = useAuth();
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
   
   // 🔒 Single Source of Truth for the cart:
   // 'firestore' (default) | 'local' (only use 'local' for offline demos)
@@ -95,11 +111,18 @@ function AppContent({
   const currentCartRef = useRef(currentCart);
   currentCartRef.current = currentCart;
   
+  // Undo/redo for this cart - user edits become undo steps, system loads don't
+  const cartHistory = useCartHistory(currentCart, setCurrentCart);
+  const { adoptCart } = cartHistory;
+
   // Protected cart setter that tracks user actions
   const setCurrentCartWithTracking = useCallback((newCart, isSystemAction = false) => {
     if (typeof newCart === 'function') {
       setCurrentCart(prevCart => {
         const result = newCart(prevCart);
+        if (isSystemAction) {
+          adoptCart(result);
+        }
         // Only update timestamp if cart actually changed (deletion/addition) and it's a user action
         if (result.length !== prevCart.length && !isSystemAction) {
           lastUserActionTimestamp.current = Date.now();
@@ -107,12 +130,15 @@ function AppContent({
         return result;
       });
     } else {
+      if (isSystemAction) {
+        adoptCart(newCart);
+      }
       setCurrentCart(newCart);
       if (!isSystemAction) {
         lastUserActionTimestamp.current = Date.now();
       }
     }
-  }, [setCurrentCart]);
+  }, [setCurrentCart, adoptCart]);
 
   const loadLocalData = useCallback(() => {
     try {
@@ -406,13 +432,11 @@ function AppContent({
     // Use the API to parse with AI
     try {
       const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
-      const response = await fetch(`${API_URL}/api/cart/parse`, {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/cart/parse`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           listText: lines.join('\n'),
           action: merge ? 'merge' : 'replace',
-          userId: currentUser?.uid,
           useAI: true,
           options: {
             mergeDuplicates: true,
@@ -722,6 +746,11 @@ function AppContent({
               saveMealPlan={saveMealPlan}
               // NOTE: currentUser removed - GroceryListForm gets it from useAuth()
             />
+            {(currentCart.length > 0 || cartHistory.cartLog.length > 0) && (
+              <div style={{ maxWidth: '1200px', margin: '0 auto 48px' }}>
+                <CartHistoryPanel history={cartHistory} />
+              </div>
+            )}
             <FeaturesSection />
           </>
         ) : currentView === 'account' ? (
@@ -767,6 +796,11 @@ function AppContent({
           <Privacy onBack={() => setCurrentView('home')} />
         ) : currentView === 'affiliate-disclosure' ? (
           <AffiliateDisclosure onBack={() => setCurrentView('home')} />
+        ) : currentView === 'shared' ? (
+          <SharedListView
+            shareId={getShareIdFromPath()}
+            onBack={() => setCurrentView('home')}
+          />
         ) : null}
       </main>
       
@@ -7,6 +7,7 @@ import { saveParsedMealPlan, regenerateMeal } from '../services/aiMealPlanServic
 // eslint-disable-next-line no-unused-vars
 import { assignRecipeToMeal } from '../services/mealPlanService';
 import UnifiedRecipeCard from './UnifiedRecipeCard';
+import MealPlanNutritionPanel from './MealPlanNutritionPanel';
 import { safeReactRender } from '../utils/reactSafeRender';
 
 export default function AIMealPlanReview({ 
@@ -21,7 +22,7 @@ export default function AIMealPlanReview({
   const [modifications, setModifications] = useState({});
   const [regeneratingMeals, setRegeneratingMeals] = useState(new Set());
   const [selectedRecipes, setSelectedRecipes] = useState(new Set());
-  const [viewMode, setViewMode] = useState('calendar'); // calendar, recipes, shopping
+  const [viewMode, setViewMode] = useState('calendar'); // calendar, recipes, shopping, nutrition
 
   const handleAcceptMealPlan = async () => {
     if (!mealPlan || !currentUser?.uid) return;
@@ -91,6 +92,35 @@ export default function AIMealPlanReview({
     }
   };
 
+  // Put a nutrition swap's recipe into the slot it replaces. The copy gets its
+  // own id so a recipe used on two days stays two entries.
+  const handleApplyNutritionSwap = (swap) => {
+    const newRecipe = {
+      ...swap.recipe,
+      id: `${swap.recipe.id}@${swap.day}-${swap.mealType || 'meal'}`,
+      dayAssigned: swap.day,
+      mealType: swap.mealType || swap.recipe.mealType
+    };
+
+    const updatedMealPlan = {
+      ...mealPlan,
+      recipes: mealPlan.recipes.map(recipe => (recipe.id === swap.replaceRecipeId ? newRecipe : recipe))
+    };
+    if (swap.mealType && mealPlan.weekSchedule?.[swap.day]?.meals) {
+      updatedMealPlan.weekSchedule = {
+        ...mealPlan.weekSchedule,
+        [swap.day]: {
+          ...mealPlan.weekSchedule[swap.day],
+          meals: { ...mealPlan.weekSchedule[swap.day].meals, [swap.mealType]: newRecipe.id }
+        }
+      };
+    }
+
+    if (onModify) {
+      onModify(updatedMealPlan);
+    }
+  };
+
   // eslint-disable-next-line no-unused-vars
   const handleRecipeSelection = (recipeId, isSelected) => {
     const newSelection = new Set(selectedRecipes);
@@ -125,6 +155,10 @@ export default function AIMealPlanReview({
     );
   }
 
+  const unsafeRecipes = (mealPlan.recipes || []).filter(recipe =>
+    recipe.dietaryCheck?.flags?.some(flag => flag.type !== 'dislike')
+  );
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -195,7 +229,33 @@ export default function AIMealPlanReview({
           >
             🛒 Shopping List ({mealPlan.shoppingList?.length || 0})
           </button>
+          <button
+            onClick={() => setViewMode('nutrition')}
+            className={`px-4 py-2 font-medium text-sm border-b-2 transition-colors ${
+              viewMode === 'nutrition'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            🥗 Nutrition
+          </button>
         </div>
+
+        {/* Household allergy / diet conflicts found when the plan was generated */}
+        {unsafeRecipes.length > 0 && (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">
+            <div className="font-medium mb-1">⚠️ Some meals conflict with your household's allergies or diets</div>
+            {unsafeRecipes.map(recipe => (
+              <div key={recipe.id}>
+                <strong>{recipe.title || recipe.name}</strong>:{' '}
+                {recipe.dietaryCheck.flags
+                  .filter(flag => flag.type !== 'dislike')
+                  .map(flag => `${flag.label} (${flag.members.join(', ')})`)
+                  .join('; ')}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Calendar View */}
@@ -356,6 +416,11 @@ export default function AIMealPlanReview({
           )}
         </div>
       )}
+
+      {/* Nutrition View */}
+      {viewMode === 'nutrition' && (
+        <MealPlanNutritionPanel mealPlan={mealPlan} onApplySwap={onModify ? handleApplyNutritionSwap : null} />
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
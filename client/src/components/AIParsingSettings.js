@@ -1,6 +1,15 @@
 // client/src/components/AIParsingSettings.js - Configure AI parsing behavior
 import React, { useState, useEffect } from 'react';
 
+// Pattern and category lists are edited one entry per line
+const listToText = (list = []) => list
+  .map(entry => (typeof entry === 'string' ? entry : `${entry.name}: ${(entry.keywords || []).join(', ')}`))
+  .join('\n');
+const textToList = (text) => text.split('\n');
+const cleanList = (list = []) => list
+  .map(entry => (typeof entry === 'string' ? entry.trim() : entry))
+  .filter(Boolean);
+
 function AIParsingSettings({ onClose, onSettingsChange }) {
   const [settings, setSettings] = useState({
     // Parsing behavior
@@ -13,6 +22,8 @@ function AIParsingSettings({ onClose, onSettingsChange }) {
     maxProcessingTime: 30,
     enableCaching: true,
     batchSize: 50,
+    maxConcurrentRequests: 10,
+    cacheExpiryMinutes: 60,
     
     // Product validation
     enableProductValidation: true,
@@ -100,17 +111,27 @@ function AIParsingSettings({ onClose, onSettingsChange }) {
 
   const saveSettings = async () => {
     try {
+      const cleanedSettings = {
+        ...settings,
+        excludePatterns: cleanList(settings.excludePatterns),
+        includePatterns: cleanList(settings.includePatterns),
+        customCategories: cleanList(settings.customCategories)
+      };
       const response = await fetch('/api/settings/ai-parsing', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ settings })
+        body: JSON.stringify({ settings: cleanedSettings })
       });
       
       if (response.ok) {
+        setSettings(cleanedSettings);
         if (onSettingsChange) {
-          onSettingsChange(settings);
+          onSettingsChange(cleanedSettings);
         }
         alert('✅ Settings saved successfully!');
+      } else {
+        const data = await response.json();
+        alert(`❌ ${(data.validationErrors || [data.error]).join('\n')}`);
       }
     } catch (error) {
       console.error('Failed to save settings:', error);
@@ -320,6 +341,109 @@ function AIParsingSettings({ onClose, onSettingsChange }) {
             <span>Enable result caching</span>
           </label>
         </div>
+
+        <div style={styles.setting}>
+          <label style={styles.inputLabel}>
+            Cache Expiry (minutes):
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="1440"
+            value={settings.cacheExpiryMinutes}
+            onChange={(e) => setSettings(prev => ({ ...prev, cacheExpiryMinutes: parseInt(e.target.value) }))}
+            style={styles.numberInput}
+          />
+        </div>
+
+        <div style={styles.setting}>
+          <label style={styles.inputLabel}>
+            Lines per AI Request:
+          </label>
+          <input
+            type="number"
+            min="1"
+            max="200"
+            value={settings.batchSize}
+            onChange={(e) => setSettings(prev => ({ ...prev, batchSize: parseInt(e.target.value) }))}
+            style={styles.numberInput}
+          />
+        </div>
+
+        <div style={styles.setting}>
+          <label style={styles.inputLabel}>
+            Max Concurrent Requests:
+          </label>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={settings.maxConcurrentRequests}
+            onChange={(e) => setSettings(prev => ({ ...prev, maxConcurrentRequests: parseInt(e.target.value) }))}
+            style={styles.numberInput}
+          />
+        </div>
+      </div>
+
+      <div style={styles.section}>
+        <h4 style={styles.sectionTitle}>🧹 Filters & Categories</h4>
+
+        <div style={styles.setting}>
+          <label style={styles.inputLabel}>
+            Skip lines that look like (one per line):
+          </label>
+          <textarea
+            rows={6}
+            value={listToText(settings.excludePatterns)}
+            onChange={(e) => setSettings(prev => ({ ...prev, excludePatterns: textToList(e.target.value) }))}
+            style={styles.textarea}
+          />
+          <div style={styles.sliderHelp}>
+            cooking instructions, recipe steps, preparation methods, meal descriptions, day names, time references, serving suggestions, optional ingredients
+          </div>
+        </div>
+
+        <div style={styles.setting}>
+          <label style={styles.inputLabel}>
+            Confidence signals (one per line):
+          </label>
+          <textarea
+            rows={5}
+            value={listToText(settings.includePatterns)}
+            onChange={(e) => setSettings(prev => ({ ...prev, includePatterns: textToList(e.target.value) }))}
+            style={styles.textarea}
+          />
+          <div style={styles.sliderHelp}>
+            quantity + product, measurements, grocery terms, food keywords, brand names, package sizes. Any other text always counts as a grocery item.
+          </div>
+        </div>
+
+        <div style={styles.setting}>
+          <label style={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={settings.enableAutoCategories}
+              onChange={(e) => setSettings(prev => ({ ...prev, enableAutoCategories: e.target.checked }))}
+            />
+            <span>Categorize items automatically</span>
+          </label>
+        </div>
+
+        <div style={styles.setting}>
+          <label style={styles.inputLabel}>
+            Custom Categories (one per line):
+          </label>
+          <textarea
+            rows={4}
+            placeholder={'Snacks: chips, pretzels, popcorn\nBaby: diapers, wipes, formula'}
+            value={listToText(settings.customCategories)}
+            onChange={(e) => setSettings(prev => ({ ...prev, customCategories: textToList(e.target.value) }))}
+            style={styles.textarea}
+          />
+          <div style={styles.sliderHelp}>
+            Checked before the built-in categories
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -696,6 +820,17 @@ const styles = {
     fontSize: '14px'
   },
 
+  textarea: {
+    width: '100%',
+    padding: '8px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '14px',
+    fontFamily: 'inherit',
+    boxSizing: 'border-box',
+    marginBottom: '5px'
+  },
+
   select: {
     width: '100%',
     padding: '8px 12px',
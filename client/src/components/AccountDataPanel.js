@@ -0,0 +1,272 @@
+// client/src/components/AccountDataPanel.js
+// Your data, for My Account settings: download everything as JSON, restore a
+// download into this account, or delete the account for good
+
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const CONFIRM_WORD = 'DELETE';
+
+function AccountDataPanel() {
+  const { currentUser, makeAuthenticatedRequest, logout } = useAuth();
+  const [importMode, setImportMode] = useState('merge');
+  const [confirmText, setConfirmText] = useState('');
+  const [status, setStatus] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    setStatus(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleExport = () => run(async () => {
+    const response = await makeAuthenticatedRequest(`${API_URL}/api/account/export`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message || data.error || 'Export failed');
+
+    const blob = new Blob([JSON.stringify(data.data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cartsmash-export-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setStatus('Export downloaded');
+  });
+
+  const handleImport = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (importMode === 'replace' && !window.confirm('Replace your lists, meal plans, recipes and history with this file?')) return;
+
+    run(async () => {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch (parseError) {
+        throw new Error('That file is not a CartSmash export');
+      }
+
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/account/import`, {
+        method: 'POST',
+        body: JSON.stringify({ data: bundle, mode: importMode })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message || data.error || 'Import failed');
+
+      const { savedLists, mealPlans, recipes, shoppingHistory } = data.imported;
+      setStatus(`Imported ${savedLists} lists, ${mealPlans} meal plans, ${recipes} recipes and ${shoppingHistory} trips - reload to see them`);
+    });
+  };
+
+  const handleDelete = () => run(async () => {
+    const response = await makeAuthenticatedRequest(`${API_URL}/api/account`, {
+      method: 'DELETE',
+      body: JSON.stringify({ confirm: confirmText })
+    });
+    const data = await response.json();
+    setReceipt(data.receipt || null);
+    if (!data.success) throw new Error(data.message || data.error || 'Account deletion failed');
+  });
+
+  // Keep the receipt on screen until the user has seen it - signing out unmounts My Account
+  const handleSignOut = () => logout().catch(err => console.error('Sign out after deletion failed:', err));
+
+  if (!currentUser) return null;
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>📦 Your data</h3>
+
+      <div style={styles.row}>
+        <div>
+          <div style={styles.label}>Export</div>
+          <div style={styles.muted}>Lists, meal plans, recipes, shopping history, profile and cart as JSON.</div>
+        </div>
+        <button onClick={handleExport} disabled={isBusy || !currentUser} style={styles.button}>Download</button>
+      </div>
+
+      <div style={styles.row}>
+        <div>
+          <div style={styles.label}>Import</div>
+          <div style={styles.muted}>Restore a CartSmash export into this account.</div>
+        </div>
+        <div style={styles.controls}>
+          <select value={importMode} onChange={(e) => setImportMode(e.target.value)} style={styles.select}>
+            <option value="merge">Add to my data</option>
+            <option value="replace">Replace my data</option>
+          </select>
+          <label style={{ ...styles.button, ...(isBusy || !currentUser ? styles.disabled : {}) }}>
+            Choose file
+            <input type="file" accept=".json,application/json" onChange={handleImport} disabled={isBusy || !currentUser} style={styles.hiddenInput} />
+          </label>
+        </div>
+      </div>
+
+      <div style={{ ...styles.row, ...styles.dangerRow }}>
+        <div>
+          <div style={styles.label}>Delete account</div>
+          <div style={styles.muted}>
+            Permanently removes your account and everything stored for it. Type {CONFIRM_WORD} to confirm.
+          </div>
+        </div>
+        <div style={styles.controls}>
+          <input
+            type="text"
+            value={confirmText}
+            onChange={(e) => setConfirmText(e.target.value)}
+            placeholder={CONFIRM_WORD}
+            style={styles.input}
+          />
+          <button
+            onClick={handleDelete}
+            disabled={isBusy || !currentUser || confirmText !== CONFIRM_WORD}
+            style={styles.dangerButton}
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {status && <div style={styles.success}>{status}</div>}
+      {error && <div style={styles.error}>{error}</div>}
+
+      {receipt && (
+        <div style={styles.receipt}>
+          <div style={styles.label}>Deletion receipt {receipt.receiptId}</div>
+          <div style={styles.muted}>
+            {receipt.status === 'completed' ? 'Completed' : 'Partially completed'} {new Date(receipt.completedAt).toLocaleString()}
+          </div>
+          <pre style={styles.receiptBody}>{JSON.stringify(receipt.deleted, null, 2)}</pre>
+          {receipt.errors.length > 0 && (
+            <div style={styles.error}>
+              {receipt.errors.map(entry => `${entry.step}: ${entry.message}`).join(' · ')}
+            </div>
+          )}
+          {receipt.status === 'completed' && (
+            <button onClick={handleSignOut} style={{ ...styles.button, ...styles.signOutButton }}>Sign out</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #002244',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  title: {
+    margin: '0 0 12px 0',
+    color: '#002244',
+    fontSize: '20px'
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    flexWrap: 'wrap',
+    padding: '12px 0',
+    borderBottom: '1px solid #f0f0f0'
+  },
+  dangerRow: {
+    borderBottom: 'none'
+  },
+  label: {
+    fontWeight: 'bold',
+    color: '#002244',
+    fontSize: '14px'
+  },
+  muted: {
+    color: '#666',
+    fontSize: '12px'
+  },
+  controls: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center'
+  },
+  button: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  disabled: {
+    opacity: 0.5,
+    cursor: 'default'
+  },
+  dangerButton: {
+    padding: '6px 12px',
+    backgroundColor: '#dc3545',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  select: {
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '13px'
+  },
+  input: {
+    width: '90px',
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '13px'
+  },
+  hiddenInput: {
+    display: 'none'
+  },
+  success: {
+    color: '#1E7B34',
+    fontSize: '14px',
+    marginTop: '8px'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px',
+    marginTop: '8px'
+  },
+  receipt: {
+    marginTop: '12px',
+    padding: '12px',
+    backgroundColor: '#F7F9FB',
+    borderRadius: '8px'
+  },
+  signOutButton: {
+    marginTop: '8px'
+  },
+  receiptBody: {
+    fontSize: '12px',
+    margin: '8px 0 0 0',
+    whiteSpace: 'pre-wrap'
+  }
+};
+
+export default AccountDataPanel;
@@ -0,0 +1,536 @@
+// client/src/components/AccountSettingsPanel.js
+// Shopping preferences for My Account: the resolved value of each setting, the
+// layer it came from (system, household or you), and the household itself
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import userDataService from '../services/userDataService';
+
+const SOURCE_LABELS = {
+  system: 'CartSmash default',
+  household: 'Household',
+  user: 'You'
+};
+
+const splitList = (text) => text.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// How each setting is shown in a form field and turned back into an API value
+const FIELDS = [
+  { key: 'preferredRetailer', label: 'Preferred retailer', type: 'text', placeholder: 'kroger' },
+  { key: 'zipCode', label: 'ZIP code', type: 'text', placeholder: '95670' },
+  {
+    key: 'dietaryRestrictions',
+    label: 'Dietary restrictions',
+    type: 'text',
+    placeholder: 'vegetarian, gluten-free',
+    toInput: (value) => (value || []).join(', '),
+    fromInput: splitList
+  },
+  { key: 'unitSystem', label: 'Units', type: 'select', options: ['imperial', 'metric'] },
+  {
+    key: 'brandPreferences',
+    label: 'Brands',
+    type: 'brands',
+    toInput: (value) => ({
+      preferred: (value?.preferred || []).join(', '),
+      avoided: (value?.avoided || []).join(', ')
+    }),
+    fromInput: (value) => ({ preferred: splitList(value.preferred), avoided: splitList(value.avoided) })
+  },
+  { key: 'organicPreference', label: 'Organic products', type: 'select', options: ['any', 'prefer', 'avoid'] },
+  { key: 'storeBrandPreference', label: 'Store brands', type: 'select', options: ['any', 'prefer', 'avoid'] },
+  { key: 'autoMergeCart', label: 'Merge new items into my cart', type: 'checkbox' }
+];
+
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+const toInput = (field, value) => (field.toInput ? field.toInput(value) : value ?? '');
+
+function AccountSettingsPanel() {
+  const { currentUser } = useAuth();
+  const [details, setDetails] = useState(null);
+  const [invites, setInvites] = useState({ received: [], sent: [] });
+  const [scope, setScope] = useState('user');
+  const [draft, setDraft] = useState({});
+  const [householdName, setHouseholdName] = useState('');
+  const [memberEmail, setMemberEmail] = useState('');
+  const [memberRole, setMemberRole] = useState('editor');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // settingsRequest also keeps the offline copy of the resolved settings current
+  const request = (path, options) => userDataService.settingsRequest(path, options);
+
+  const applyDetails = useCallback((data) => {
+    setDetails(data);
+    setDraft({});
+    // StoresPage and the shopping flow still read the ZIP from localStorage
+    if (data.settings.zipCode) {
+      localStorage.setItem('userZipCode', data.settings.zipCode);
+    }
+  }, []);
+
+  const loadSettings = useCallback(async () => {
+    if (!currentUser) return;
+    setError(null);
+    try {
+      const [settings, inviteData] = await Promise.all([
+        userDataService.settingsRequest('/settings'),
+        userDataService.settingsRequest('/household/invites')
+      ]);
+      applyDetails(settings);
+      setInvites({ received: inviteData.received, sent: inviteData.sent });
+    } catch (err) {
+      console.error('Settings loading error:', err);
+      setError('Unable to load your settings right now');
+    }
+  }, [currentUser, applyDetails]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const run = async (action, successMessage) => {
+    setIsSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      setMessage(successMessage);
+    } catch (err) {
+      console.error('Settings update error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveDraft = () => run(async () => {
+    const updates = {};
+    for (const field of FIELDS) {
+      if (!(field.key in draft)) continue;
+      const value = draft[field.key];
+      // An emptied text field clears the override like Reset does
+      updates[field.key] = value === null || value === ''
+        ? null
+        : (field.fromInput ? field.fromInput(value) : value);
+    }
+    const path = scope === 'household' ? '/household/settings' : '/settings';
+    applyDetails(await request(path, { method: 'PUT', body: JSON.stringify({ settings: updates }) }));
+  }, 'Settings saved');
+
+  const createHousehold = () => run(async () => {
+    await request('/household', { method: 'POST', body: JSON.stringify({ name: householdName }) });
+    setHouseholdName('');
+    await loadSettings();
+  }, 'Household created');
+
+  const inviteMember = () => run(async () => {
+    await request('/household/invites', { method: 'POST', body: JSON.stringify({ email: memberEmail, role: memberRole }) });
+    setMemberEmail('');
+    await loadSettings();
+  }, 'Invite sent - they join once they accept it from their own account');
+
+  const withdrawInvite = (inviteId) => run(async () => {
+    await request(`/household/invites/${inviteId}`, { method: 'DELETE' });
+    await loadSettings();
+  }, 'Invite withdrawn');
+
+  const respondToInvite = (invite, accept) => run(async () => {
+    await request(`/household/invites/${invite.id}/${accept ? 'accept' : 'decline'}`, { method: 'POST' });
+    await loadSettings();
+  }, accept ? `You joined ${invite.householdName}` : 'Invite declined');
+
+  const changeRole = (memberId, role) => run(async () => {
+    await request(`/household/members/${memberId}`, { method: 'PUT', body: JSON.stringify({ role }) });
+    await loadSettings();
+  }, 'Role updated');
+
+  const removeMember = (memberId, isSelf) => {
+    const isOwner = details.household.ownerId === memberId;
+    const prompt = isOwner
+      ? 'Leaving deletes this household for every member. Continue?'
+      : isSelf ? 'Leave this household?' : 'Remove this member from the household?';
+    if (!window.confirm(prompt)) return;
+    run(async () => {
+      await request(`/household/members/${memberId}`, { method: 'DELETE' });
+      setScope('user');
+      await loadSettings();
+    }, isSelf ? 'You left the household' : 'Member removed');
+  };
+
+  if (!currentUser) return null;
+
+  if (!details) {
+    return (
+      <div style={styles.container}>
+        <h3 style={styles.title}>🧩 Shopping Preferences</h3>
+        <p style={styles.muted}>{error || 'Loading settings…'}</p>
+      </div>
+    );
+  }
+
+  const { sources, layers, household } = details;
+  const layer = layers[scope] || {};
+  const canEditHousehold = household && household.role !== 'viewer';
+
+  // What shows through when this layer has no value of its own
+  const inheritedValue = (key) => (scope === 'household'
+    ? layers.system[key]
+    : layers.household[key] ?? layers.system[key]);
+  const inputValue = (field) => {
+    if (field.key in draft) {
+      return draft[field.key] !== null ? draft[field.key] : toInput(field, inheritedValue(field.key));
+    }
+    return toInput(field, layer[field.key] ?? inheritedValue(field.key));
+  };
+  const setValue = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const isOverridden = (key) => (key in draft ? draft[key] !== null : layer[key] !== undefined);
+
+  const renderInput = (field) => {
+    const value = inputValue(field);
+    switch (field.type) {
+      case 'select':
+        return (
+          <select value={value} onChange={(e) => setValue(field.key, e.target.value)} style={styles.input}>
+            {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        );
+      case 'checkbox':
+        return (
+          <input type="checkbox" checked={!!value} onChange={(e) => setValue(field.key, e.target.checked)} />
+        );
+      case 'brands':
+        return (
+          <div style={styles.brandInputs}>
+            <input
+              value={value.preferred}
+              placeholder="Preferred brands"
+              onChange={(e) => setValue(field.key, { ...value, preferred: e.target.value })}
+              style={styles.input}
+            />
+            <input
+              value={value.avoided}
+              placeholder="Never suggest"
+              onChange={(e) => setValue(field.key, { ...value, avoided: e.target.value })}
+              style={styles.input}
+            />
+          </div>
+        );
+      default:
+        return (
+          <input
+            value={value}
+            placeholder={field.placeholder}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            style={styles.input}
+          />
+        );
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🧩 Shopping Preferences</h3>
+        {canEditHousehold && (
+          <div style={styles.scopeToggle}>
+            {['user', 'household'].map(option => (
+              <button
+                key={option}
+                onClick={() => { setScope(option); setDraft({}); }}
+                style={{ ...styles.scopeButton, ...(scope === option ? styles.scopeButtonActive : {}) }}
+              >
+                {option === 'user' ? 'Mine' : 'Household'}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <p style={styles.muted}>
+        {scope === 'household'
+          ? 'Household values apply to every member who has not set their own.'
+          : 'Your values override household and CartSmash defaults.'}
+      </p>
+
+      {FIELDS.map(field => (
+        <div key={field.key} style={styles.row}>
+          <label style={styles.label}>{field.label}</label>
+          <div style={styles.field}>{renderInput(field)}</div>
+          <div style={styles.source}>
+            <span style={styles.badge}>{SOURCE_LABELS[sources[field.key]] || 'Not set'}</span>
+            {isOverridden(field.key) && (
+              <button onClick={() => setValue(field.key, null)} style={styles.linkButton}>
+                Reset
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <div style={styles.actions}>
+        <button
+          onClick={saveDraft}
+          disabled={isSaving || Object.keys(draft).length === 0}
+          style={styles.primaryButton}
+        >
+          {isSaving ? 'Saving…' : scope === 'household' ? 'Save household settings' : 'Save my settings'}
+        </button>
+        {message && <span style={styles.success}>{message}</span>}
+        {error && <span style={styles.error}>{error}</span>}
+      </div>
+
+      <div style={styles.section}>
+        <div style={styles.sectionTitle}>🏠 Household</div>
+        {invites.received.map(invite => (
+          <div key={invite.id} style={styles.memberRow}>
+            <span>
+              {invite.invitedByName ? `${invite.invitedByName} invited you` : 'You are invited'} to join{' '}
+              <strong>{invite.householdName}</strong> as {invite.role}
+            </span>
+            <button onClick={() => respondToInvite(invite, true)} disabled={isSaving} style={styles.secondaryButton}>
+              Accept
+            </button>
+            <button onClick={() => respondToInvite(invite, false)} disabled={isSaving} style={styles.linkButton}>
+              Decline
+            </button>
+          </div>
+        ))}
+        {!household ? (
+          <div style={styles.inline}>
+            <input
+              value={householdName}
+              placeholder="Household name"
+              onChange={(e) => setHouseholdName(e.target.value)}
+              style={styles.input}
+            />
+            <button onClick={createHousehold} disabled={isSaving} style={styles.secondaryButton}>
+              Create household
+            </button>
+          </div>
+        ) : (
+          <>
+            <div style={styles.householdName}>{household.name}</div>
+            {household.members.map(member => (
+              <div key={member.userId} style={styles.memberRow}>
+                <span>{member.displayName || member.email || member.userId}</span>
+                {household.role === 'owner' && member.role !== 'owner' ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => changeRole(member.userId, e.target.value)}
+                    disabled={isSaving}
+                    style={styles.roleSelect}
+                  >
+                    {MEMBER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                ) : (
+                  <span style={styles.badge}>{member.role}</span>
+                )}
+                {(household.role === 'owner' || member.userId === currentUser.uid) && (
+                  <button
+                    onClick={() => removeMember(member.userId, member.userId === currentUser.uid)}
+                    style={styles.linkButton}
+                  >
+                    {member.userId === currentUser.uid ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </div>
+            ))}
+            {invites.sent.map(invite => (
+              <div key={invite.id} style={styles.memberRow}>
+                <span style={styles.pending}>{invite.email}</span>
+                <span style={styles.badge}>invited · {invite.role}</span>
+                <button onClick={() => withdrawInvite(invite.id)} disabled={isSaving} style={styles.linkButton}>
+                  Withdraw
+                </button>
+              </div>
+            ))}
+            {household.role === 'owner' && (
+              <div style={styles.inline}>
+                <input
+                  type="email"
+                  value={memberEmail}
+                  placeholder="Email to invite"
+                  onChange={(e) => setMemberEmail(e.target.value)}
+                  style={styles.input}
+                />
+                <select value={memberRole} onChange={(e) => setMemberRole(e.target.value)} style={styles.roleSelect}>
+                  {MEMBER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <button onClick={inviteMember} disabled={isSaving || !memberEmail} style={styles.secondaryButton}>
+                  Invite
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #002244',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px'
+  },
+  title: {
+    margin: 0,
+    color: '#002244',
+    fontSize: '20px'
+  },
+  muted: {
+    color: '#666',
+    fontSize: '14px',
+    margin: '0 0 12px 0'
+  },
+  scopeToggle: {
+    display: 'flex',
+    gap: '4px'
+  },
+  scopeButton: {
+    padding: '6px 12px',
+    backgroundColor: '#f8f9fa',
+    color: '#002244',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  scopeButtonActive: {
+    backgroundColor: '#002244',
+    color: 'white',
+    borderColor: '#002244'
+  },
+  row: {
+    display: 'grid',
+    gridTemplateColumns: '180px 1fr 160px',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #f0f0f0'
+  },
+  label: {
+    fontWeight: 'bold',
+    color: '#002244',
+    fontSize: '14px'
+  },
+  field: {
+    minWidth: 0
+  },
+  input: {
+    width: '100%',
+    padding: '6px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box'
+  },
+  brandInputs: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px'
+  },
+  source: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  },
+  badge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#FFE8D6',
+    color: '#8A2E00',
+    fontSize: '12px'
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#FB4F14',
+    cursor: 'pointer',
+    fontSize: '13px',
+    padding: 0
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginTop: '16px'
+  },
+  primaryButton: {
+    padding: '8px 16px',
+    backgroundColor: '#FB4F14',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontWeight: 'bold'
+  },
+  secondaryButton: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    whiteSpace: 'nowrap'
+  },
+  success: {
+    color: '#28a745',
+    fontSize: '14px'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px'
+  },
+  section: {
+    marginTop: '20px'
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    color: '#002244',
+    marginBottom: '8px',
+    fontSize: '14px'
+  },
+  householdName: {
+    fontSize: '16px',
+    color: '#002244',
+    marginBottom: '8px'
+  },
+  memberRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '6px 0',
+    fontSize: '14px'
+  },
+  inline: {
+    display: 'flex',
+    gap: '8px',
+    marginTop: '8px'
+  },
+  roleSelect: {
+    padding: '4px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '13px'
+  },
+  pending: {
+    color: '#666',
+    fontStyle: 'italic'
+  }
+};
+
+export default AccountSettingsPanel;
@@ -0,0 +1,59 @@
+// client/src/components/AlreadyHaveNotice.js
+// "Already have" lines from a pantry-aware cart add: what the pantry covered,
+// fully or in part, so nothing silently goes missing from the list
+
+import React from 'react';
+
+function AlreadyHaveNotice({ lines = [], onDismiss }) {
+  if (lines.length === 0) return null;
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <strong>🥫 Already in your pantry ({lines.length})</strong>
+        {onDismiss && <button onClick={onDismiss} style={styles.linkButton}>Dismiss</button>}
+      </div>
+      <ul style={styles.list}>
+        {lines.map((line, index) => (
+          <li key={`${line.pantryItemId}-${index}`} style={line.status === 'partial' ? styles.partial : null}>
+            {line.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    margin: '10px 0',
+    padding: '12px 15px',
+    backgroundColor: '#f0f7f0',
+    border: '1px solid #c3e6cb',
+    borderRadius: '8px',
+    fontSize: '14px',
+    color: '#155724'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center'
+  },
+  list: {
+    margin: '8px 0 0 0',
+    paddingLeft: '20px'
+  },
+  partial: {
+    color: '#856404'
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#155724',
+    cursor: 'pointer',
+    fontSize: '13px',
+    padding: 0
+  }
+};
+
+export default AlreadyHaveNotice;
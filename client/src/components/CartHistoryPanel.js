@@ -0,0 +1,344 @@
+// client/src/components/CartHistoryPanel.js
+// Undo/redo for the cart, named snapshots saved on the server ("before
+// Thanksgiving edits"), and a diff between any two snapshots or the current cart
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const CURRENT = 'current';
+
+const formatQuantity = (item) => [item.quantity, item.unit].filter(value => value !== undefined && value !== null).join(' ');
+
+const formatChange = (field, { from, to }) => `${field}: ${from ?? '—'} → ${to ?? '—'}`;
+
+// history is what useCartHistory returns for the cart being shown
+function CartHistoryPanel({ history }) {
+  const { currentUser } = useAuth();
+  const {
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    cartLog,
+    syncError,
+    listCartSnapshots,
+    createCartSnapshot,
+    restoreCartSnapshot,
+    deleteCartSnapshot,
+    compareCartSnapshots
+  } = history;
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState(CURRENT);
+  const [comparison, setComparison] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSnapshots = useCallback(async () => {
+    if (!currentUser) {
+      setSnapshots([]);
+      return;
+    }
+    try {
+      setSnapshots(await listCartSnapshots());
+    } catch (err) {
+      setError(err.message);
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.uid]);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!snapshotName.trim()) return;
+    run(async () => {
+      await createCartSnapshot(snapshotName.trim());
+      setSnapshotName('');
+      await loadSnapshots();
+    });
+  };
+
+  const handleRestore = (snapshot) => {
+    if (!window.confirm(`Replace your cart with "${snapshot.name}"? You can undo this.`)) return;
+    run(() => restoreCartSnapshot(snapshot.id));
+  };
+
+  const handleDelete = (snapshot) => run(async () => {
+    await deleteCartSnapshot(snapshot.id);
+    if (compareFrom === snapshot.id) setCompareFrom('');
+    if (compareTo === snapshot.id) setCompareTo(CURRENT);
+    setComparison(null);
+    await loadSnapshots();
+  });
+
+  const handleCompare = () => run(async () => {
+    setComparison(await compareCartSnapshots(compareFrom, compareTo));
+  });
+
+  const snapshotOptions = [
+    { id: CURRENT, name: 'Current cart' },
+    ...snapshots
+  ];
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🕘 Cart history</h3>
+        <div style={styles.undoRow}>
+          <button onClick={undo} disabled={!canUndo} style={styles.button} title={undoLabel ? `Undo ${undoLabel}` : 'Nothing to undo'}>
+            ↩️ Undo
+          </button>
+          <button onClick={redo} disabled={!canRedo} style={styles.button} title={redoLabel ? `Redo ${redoLabel}` : 'Nothing to redo'}>
+            ↪️ Redo
+          </button>
+        </div>
+      </div>
+
+      {cartLog.length > 0 && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>This session</div>
+          {cartLog.slice(-8).reverse().map(entry => (
+            <div key={entry.id} style={styles.logEntry}>
+              <span>{entry.type === 'change' ? '•' : entry.type === 'undo' ? '↩️' : '↪️'} {entry.label}</span>
+              <span style={styles.muted}>{entry.itemCount} items · {new Date(entry.at).toLocaleTimeString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {currentUser && (
+        <form onSubmit={handleSave} style={styles.saveRow}>
+          <input
+            type="text"
+            value={snapshotName}
+            onChange={(e) => setSnapshotName(e.target.value)}
+            placeholder="Snapshot name, e.g. before Thanksgiving edits"
+            maxLength={100}
+            style={styles.input}
+          />
+          <button type="submit" disabled={isBusy || !snapshotName.trim()} style={styles.primaryButton}>
+            📸 Save snapshot
+          </button>
+        </form>
+      )}
+
+      {(error || syncError) && <div style={styles.error}>{error || syncError}</div>}
+
+      {snapshots.length > 0 && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Snapshots</div>
+          {snapshots.map(snapshot => (
+            <div key={snapshot.id} style={styles.snapshotRow}>
+              <div>
+                <div style={styles.snapshotName}>{snapshot.name}</div>
+                <div style={styles.muted}>
+                  {snapshot.itemCount} items · {new Date(snapshot.createdAt).toLocaleString()}
+                </div>
+              </div>
+              <div style={styles.undoRow}>
+                <button onClick={() => handleRestore(snapshot)} disabled={isBusy} style={styles.button}>Restore</button>
+                <button onClick={() => handleDelete(snapshot)} disabled={isBusy} style={styles.linkButton}>Delete</button>
+              </div>
+            </div>
+          ))}
+
+          <div style={styles.compareRow}>
+            <select value={compareFrom} onChange={(e) => setCompareFrom(e.target.value)} style={styles.select}>
+              <option value="">Compare…</option>
+              {snapshotOptions.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+            </select>
+            <span style={styles.muted}>with</span>
+            <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)} style={styles.select}>
+              {snapshotOptions.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+            </select>
+            <button onClick={handleCompare} disabled={isBusy || !compareFrom || compareFrom === compareTo} style={styles.button}>
+              Compare
+            </button>
+          </div>
+        </div>
+      )}
+
+      {comparison && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>
+            {comparison.from.name} → {comparison.to.name}
+          </div>
+          {comparison.diff.added.length + comparison.diff.removed.length + comparison.diff.changed.length === 0 && (
+            <p style={styles.muted}>No differences.</p>
+          )}
+          {comparison.diff.added.map(item => (
+            <div key={`added-${item.id}`} style={{ ...styles.diffLine, ...styles.added }}>
+              + {item.productName} {formatQuantity(item)}
+            </div>
+          ))}
+          {comparison.diff.removed.map(item => (
+            <div key={`removed-${item.id}`} style={{ ...styles.diffLine, ...styles.removed }}>
+              − {item.productName} {formatQuantity(item)}
+            </div>
+          ))}
+          {comparison.diff.changed.map(item => (
+            <div key={`changed-${item.id}`} style={{ ...styles.diffLine, ...styles.changed }}>
+              ~ {item.productName}: {Object.entries(item.changes).map(([field, change]) => formatChange(field, change)).join(', ')}
+            </div>
+          ))}
+          {comparison.diff.unchanged > 0 && (
+            <div style={styles.muted}>{comparison.diff.unchanged} items unchanged</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #002244',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px'
+  },
+  title: {
+    margin: 0,
+    color: '#002244',
+    fontSize: '20px'
+  },
+  undoRow: {
+    display: 'flex',
+    gap: '8px'
+  },
+  button: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  primaryButton: {
+    padding: '8px 14px',
+    backgroundColor: '#FB4F14',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    whiteSpace: 'nowrap'
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#dc3545',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  section: {
+    marginTop: '16px'
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    color: '#002244',
+    marginBottom: '8px',
+    fontSize: '14px'
+  },
+  logEntry: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '13px',
+    padding: '4px 0',
+    borderBottom: '1px solid #f0f0f0'
+  },
+  muted: {
+    color: '#666',
+    fontSize: '12px'
+  },
+  saveRow: {
+    display: 'flex',
+    gap: '8px',
+    marginTop: '16px'
+  },
+  input: {
+    flex: 1,
+    padding: '8px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px'
+  },
+  select: {
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '13px'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px',
+    marginTop: '8px'
+  },
+  snapshotRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '8px 0',
+    borderBottom: '1px solid #f0f0f0'
+  },
+  snapshotName: {
+    fontWeight: 'bold',
+    color: '#002244',
+    fontSize: '14px'
+  },
+  compareRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    flexWrap: 'wrap',
+    marginTop: '12px'
+  },
+  diffLine: {
+    fontFamily: 'monospace',
+    fontSize: '13px',
+    padding: '3px 8px',
+    borderRadius: '4px',
+    marginBottom: '2px'
+  },
+  added: {
+    backgroundColor: '#E6F4EA',
+    color: '#1E7B34'
+  },
+  removed: {
+    backgroundColor: '#FDECEA',
+    color: '#B3261E'
+  },
+  changed: {
+    backgroundColor: '#FFF4ED',
+    color: '#8A2E00'
+  }
+};
+
+export default CartHistoryPanel;
@@ -7,11 +7,14 @@ import ProductValidator from './ProductValidator';
 import InstacartCheckoutUnified from './InstacartCheckoutUnified';
 import InstacartProductMatcher from './InstacartProductMatcher';
 import PriceHistory from './PriceHistory';
+import StoreWalkingOrder from './StoreWalkingOrder';
 import RecipesFound from './RecipesFound';
+import AlreadyHaveNotice from './AlreadyHaveNotice';
 import { formatProductName } from '../utils/imageService';
 import { useDeviceDetection } from '../hooks/useDeviceDetection';
 import { ButtonSpinner } from './LoadingSpinner';
 import { useGroceryListAutoSave } from '../hooks/useAutoSave';
+import { useUserPreferences } from '../hooks/useUserPreferences';
 // eslint-disable-next-line no-unused-vars
 // import confetti from 'canvas-confetti'; // REMOVED - Not used in AI-only mode
 import { unified as unifiedRecipeService } from '../services/unifiedRecipeService';
@@ -549,7 +552,7 @@ function GroceryListForm({
   const [inputText, setInputText] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
-  const [mergeCart, setMergeCart] = useState(false);
+  const [mergeCart, setMergeCart] = useState(() => persistenceService.loadUserPreferences().autoMergeCart !== false);
   const [showResults, setShowResults] = useState(false);
 
   // Performance optimization states
@@ -564,6 +567,7 @@ function GroceryListForm({
   const [showShoppingListManager, setShowShoppingListManager] = useState(false);
   // eslint-disable-next-line no-unused-vars
   const [parsingStats, setParsingStats] = useState(null);
+  const [pantryMatches, setPantryMatches] = useState([]);
   const [showValidator, setShowValidator] = useState(false);
   const [showInstacartCheckout, setShowInstacartCheckout] = useState(false);
 
@@ -575,6 +579,7 @@ function GroceryListForm({
   // Product Matcher moved to Admin page
   // Price History state
   const [showPriceHistory, setShowPriceHistory] = useState(false);
+  const [showWalkingOrder, setShowWalkingOrder] = useState(false);
   const [selectedProductForPrice, setSelectedProductForPrice] = useState(null);
   // eslint-disable-next-line no-unused-vars
 
@@ -649,7 +654,13 @@ function GroceryListForm({
     includeSnacks: true,
     daysCount: 7
   });
-  const { currentUser } = useAuth();
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const preferences = useUserPreferences();
+
+  // "Merge new items into my cart" picks the toggle's starting position
+  useEffect(() => {
+    setMergeCart(preferences.autoMergeCart !== false);
+  }, [preferences.autoMergeCart]);
   
   // Hydration-safe ID generator with stable sequence
   const idCounterRef = useRef(0);
@@ -788,12 +799,12 @@ function GroceryListForm({
       // Import the instacart service
       const { default: instacartService } = await import('../services/instacartService');
 
-      // Default retailer - could be made configurable
-      const retailerId = currentUser?.preferredRetailer || 'default';
+      // The preferred retailer from Shopping Preferences
+      const retailerId = preferences.preferredRetailer || 'default';
       debugService.log(`🏪 ENRICHMENT CONFIG:`, {
         retailerId,
         currentUserExists: !!currentUser,
-        preferredRetailer: currentUser?.preferredRetailer,
+        preferredRetailer: preferences.preferredRetailer,
         apiBaseUrl: API_URL
       });
 
@@ -1109,7 +1120,7 @@ function GroceryListForm({
 
       // Don't throw - just continue with basic cart items
     }
-  }, [currentUser, setCurrentCart, currentCart?.length]);
+  }, [currentUser, setCurrentCart, currentCart?.length, preferences.preferredRetailer]);
 
   // Function to trigger textarea auto-expansion (dynamic based on text content)
   const expandTextarea = () => {
@@ -2480,7 +2491,6 @@ Return as JSON with this structure:
               const parsePayload = {
                 listText: currentListText,
                 action: mergeCart ? 'merge' : 'replace',
-                userId: currentUser?.uid || null,
                 options: {
                   mergeDuplicates: true,
                   enhancedQuantityParsing: true,
@@ -2492,13 +2502,12 @@ Return as JSON with this structure:
                 payloadSize: JSON.stringify(parsePayload).length,
                 textLength: currentListText?.length,
                 action: parsePayload.action,
-                hasUserId: !!parsePayload.userId,
+                signedIn: !!currentUser?.uid,
                 endpoint: `${API_URL}/api/cart/parse`
               });
 
-              const response = await fetch(API_ENDPOINTS.CART_PARSE, {
+              const response = await makeAuthenticatedRequest(API_ENDPOINTS.CART_PARSE, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(parsePayload)
               });
 
@@ -2539,6 +2548,7 @@ Return as JSON with this structure:
 
                 // Update the cart with properly structured items
                 setCurrentCart(fixedCart);
+                setPantryMatches(data.alreadyHave || []);
 
                 // Update parsing stats
                 if (data.stats) {
@@ -2639,7 +2649,6 @@ Return as JSON with this structure:
         const manualParsePayload = {
           listText: listText,
           action: mergeCart ? 'merge' : 'replace',
-          userId: currentUser?.uid || null,
           options: {
             mergeDuplicates: true,
             enhancedQuantityParsing: true,
@@ -2652,9 +2661,8 @@ Return as JSON with this structure:
           endpoint: `${API_URL}/api/cart/parse`
         });
 
-        const response = await fetch(API_ENDPOINTS.CART_PARSE, {
+        const response = await makeAuthenticatedRequest(API_ENDPOINTS.CART_PARSE, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(manualParsePayload)
         });
 
@@ -2693,6 +2701,7 @@ Return as JSON with this structure:
 
           // Update the cart with properly structured items
           setCurrentCart(fixedCart);
+          setPantryMatches(data.alreadyHave || []);
 
           // Update parsing stats
           if (data.stats) {
@@ -2776,7 +2785,7 @@ Return as JSON with this structure:
       }
     }, 0); // setTimeout end
   // eslint-disable-next-line no-use-before-define
-  }, [selectedAI, ingredientStyle, waitingForAIResponse, clearDraft, currentUser?.uid, enrichCartWithInstacartData, extractMealPlanRecipes, fixCartItemStructure, inputText, isSubmitting, lastSubmitTime, mergeCart, setCurrentCart, setValidParsedRecipes]); // useCallback end
+  }, [selectedAI, ingredientStyle, waitingForAIResponse, clearDraft, currentUser?.uid, enrichCartWithInstacartData, extractMealPlanRecipes, fixCartItemStructure, inputText, isSubmitting, lastSubmitTime, makeAuthenticatedRequest, mergeCart, setCurrentCart, setValidParsedRecipes]); // useCallback end
 
   // Optimized submit handler with minimal synchronous work
   const handleSubmit = useCallback(async (e) => {
@@ -2809,6 +2818,7 @@ Return as JSON with this structure:
     setCurrentCart([]);
     setShowResults(false);
     setParsingStats(null);
+    setPantryMatches([]);
     // Clear both recipe arrays
     setParsedRecipes([]);
     setRecipes([]);
@@ -4127,13 +4137,11 @@ Return as JSON with this structure:
       }
       
       // Use the same API endpoint as regular grocery list parsing
-      const response = await fetch(`${API_URL}/api/cart/parse`, {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/cart/parse`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           listText: ingredientsText,
           action: 'merge', // Merge with existing cart
-          userId: currentUser?.uid || null,
           options: {
             mergeDuplicates: true,
             enhancedQuantityParsing: true,
@@ -4173,11 +4181,13 @@ Return as JSON with this structure:
         
         // Update the cart with properly structured items
         setCurrentCart(fixedCart);
+        setPantryMatches(data.alreadyHave || []);
         
         // Count added items - use the parsed count from the API response if available
         const addedCount = data.parsedCount || recipe.ingredients.length;
+        const pantryNote = data.alreadyHave?.length ? ` (${data.alreadyHave.length} already in your pantry)` : '';
         
-        alert(`✅ Added ${addedCount} ingredients from "${recipe.title || recipe.name || 'Recipe'}" to your cart!`);
+        alert(`✅ Added ${addedCount} ingredients from "${recipe.title || recipe.name || 'Recipe'}" to your cart!${pantryNote}`);
         
         debugService.log(`✅ Successfully added ${addedCount} items to cart from recipe:`, recipe.title);
       } else {
@@ -4949,6 +4959,8 @@ Or paste any grocery list directly!"
         />
       )}
 
+      <AlreadyHaveNotice lines={pantryMatches} onDismiss={() => setPantryMatches([])} />
+
       {showResults && currentCart.length > 0 && (
         <>
           {/* Enrichment Progress Indicator */}
@@ -5018,7 +5030,7 @@ Or paste any grocery list directly!"
               setShowPriceHistory(true);
             }}
             userZipCode={currentUser?.zipCode || currentUser?.postalCode || '95670'}
-            selectedRetailer={currentUser?.preferredRetailer || currentUser?.selectedRetailer || 'default'}
+            selectedRetailer={preferences.preferredRetailer || 'default'}
           />
           
 
@@ -5043,6 +5055,13 @@ Or paste any grocery list directly!"
               <span style={styles.buttonIcon}>🛒</span>
               Instacart Checkout
             </button>
+            <button
+              onClick={() => setShowWalkingOrder(true)}
+              style={styles.walkingOrderButton}
+              disabled={currentCart.length === 0}
+            >
+              🚶 Walking Order
+            </button>
           </div>
         </>
       )}
@@ -5070,6 +5089,17 @@ Or paste any grocery list directly!"
         />
       )}
 
+      {showWalkingOrder && (
+        <StoreWalkingOrder
+          items={currentCart}
+          listName="Current Cart"
+          retailerId={preferences.preferredRetailer || 'default'}
+          unitSystem={preferences.unitSystem}
+          isOpen={showWalkingOrder}
+          onClose={() => setShowWalkingOrder(false)}
+        />
+      )}
+
       {showPriceHistory && selectedProductForPrice && (
         <PriceHistory
           productName={selectedProductForPrice.productName || selectedProductForPrice.name}
@@ -5088,7 +5118,7 @@ Or paste any grocery list directly!"
       {showProductMatcher && (
         <InstacartProductMatcher
           searchTerm={productMatcherTerm}
-          retailerId={currentUser?.preferredRetailer || currentUser?.selectedRetailer || 'default'}
+          retailerId={preferences.preferredRetailer || 'default'}
           replacingItem={itemBeingReplaced}
           onProductSelect={(product) => {
             if (itemBeingReplaced) {
@@ -7008,6 +7038,18 @@ const styles = {
     transition: 'background 0.2s'
   },
 
+  walkingOrderButton: {
+    width: '100%',
+    padding: '10px',
+    backgroundColor: 'white',
+    color: '#002244',
+    border: 'none',
+    borderTop: '1px solid #e9ecef',
+    fontSize: '14px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+
 
   // Mobile responsive adjustments
   toggleRowMobile: {
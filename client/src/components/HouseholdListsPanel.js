@@ -0,0 +1,363 @@
+// client/src/components/HouseholdListsPanel.js
+// Household shopping lists for My Account: lists you own or were added to,
+// edited live with everyone else who has the list open, plus who is on each list.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useSharedList } from '../hooks/useSharedList';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const ROLE_LABELS = { owner: 'Owner', editor: 'Can edit', viewer: 'View only' };
+
+function HouseholdListsPanel() {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const {
+    activeList,
+    activeListRole,
+    isConnected,
+    error: listError,
+    openSharedList,
+    closeSharedList,
+    addListItem,
+    removeListItem,
+    toggleListItem
+  } = useSharedList();
+  const [lists, setLists] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [newListName, setNewListName] = useState('');
+  const [newItem, setNewItem] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'editor' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await makeAuthenticatedRequest(`${API_URL}/api/account${path}`, options);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }, [makeAuthenticatedRequest]);
+
+  const loadLists = useCallback(async () => {
+    if (!currentUser) return;
+    try {
+      setLists((await request('/lists')).lists);
+    } catch (err) {
+      console.error('Household lists loading error:', err);
+      setError('Unable to load household lists right now');
+    }
+  }, [currentUser, request]);
+
+  const loadMembers = useCallback(async (listId) => {
+    try {
+      setMembers((await request(`/lists/${listId}/members`)).members);
+    } catch (err) {
+      console.error('List members loading error:', err);
+      setMembers([]);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadLists();
+  }, [loadLists]);
+
+  useEffect(() => {
+    if (activeList?.id) {
+      loadMembers(activeList.id);
+    }
+  }, [activeList?.id, loadMembers]);
+
+  const run = async (action) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Household list update error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const createList = () => run(async () => {
+    const { list } = await request('/lists', {
+      method: 'POST',
+      body: JSON.stringify({ name: newListName.trim(), items: [] })
+    });
+    setNewListName('');
+    await loadLists();
+    await openSharedList(list.id);
+  });
+
+  const addItem = () => {
+    const productName = newItem.trim();
+    if (!productName) return;
+    addListItem({ productName, quantity: 1 });
+    setNewItem('');
+  };
+
+  const addMember = () => run(async () => {
+    await request(`/lists/${activeList.id}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ email: invite.email.trim(), role: invite.role })
+    });
+    setInvite({ email: '', role: 'editor' });
+    await loadMembers(activeList.id);
+  });
+
+  const removeMember = (member) => {
+    const leaving = member.userId === currentUser.uid;
+    if (!window.confirm(leaving ? 'Leave this list?' : `Remove ${member.displayName || member.email} from this list?`)) return;
+    run(async () => {
+      await request(`/lists/${activeList.id}/members/${member.userId}`, { method: 'DELETE' });
+      if (leaving) {
+        closeSharedList();
+        await loadLists();
+      } else {
+        await loadMembers(activeList.id);
+      }
+    });
+  };
+
+  const closeList = () => {
+    closeSharedList();
+    setMembers([]);
+    loadLists();
+  };
+
+  if (!currentUser) return null;
+
+  const canEdit = activeListRole === 'owner' || activeListRole === 'editor';
+
+  const renderActiveList = () => (
+    <div style={styles.form}>
+      <div style={styles.header}>
+        <strong style={styles.listName}>{activeList.name || 'Untitled List'}</strong>
+        <span style={styles.muted}>
+          {ROLE_LABELS[activeListRole]} · {isConnected ? '🟢 Live' : '⚪ Reconnecting…'}
+        </span>
+        <button onClick={closeList} style={styles.linkButton}>Close</button>
+      </div>
+
+      {(activeList.items || []).length === 0 && <p style={styles.muted}>No items yet</p>}
+      {(activeList.items || []).map(item => (
+        <div key={item.id} style={styles.itemRow}>
+          <label style={styles.itemLabel}>
+            <input
+              type="checkbox"
+              checked={!!item.checked}
+              disabled={!canEdit}
+              onChange={(e) => toggleListItem(item.id, e.target.checked)}
+            />
+            <span style={item.checked ? styles.checked : null}>
+              {item.quantity || 1} {item.unit || ''} {item.productName || item.name}
+            </span>
+          </label>
+          {canEdit && <button onClick={() => removeListItem(item.id)} style={styles.linkButton}>Remove</button>}
+        </div>
+      ))}
+
+      {canEdit && (
+        <div style={styles.actions}>
+          <input
+            value={newItem}
+            placeholder="Add an item"
+            onChange={(e) => setNewItem(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addItem()}
+            style={styles.input}
+          />
+          <button onClick={addItem} disabled={!newItem.trim()} style={styles.secondaryButton}>Add</button>
+        </div>
+      )}
+
+      <div style={styles.sectionLabel}>Members</div>
+      {members.length === 0 && <p style={styles.muted}>Only you</p>}
+      {members.map(member => (
+        <div key={member.userId} style={styles.itemRow}>
+          <span>
+            {member.displayName || member.email || member.userId}
+            <span style={styles.muted}> · {ROLE_LABELS[member.role]}</span>
+          </span>
+          {(activeListRole === 'owner' || member.userId === currentUser.uid) && (
+            <button onClick={() => removeMember(member)} disabled={isSaving} style={styles.linkButton}>
+              {member.userId === currentUser.uid ? 'Leave' : 'Remove'}
+            </button>
+          )}
+        </div>
+      ))}
+
+      {activeListRole === 'owner' && (
+        <div style={styles.actions}>
+          <input
+            type="email"
+            value={invite.email}
+            placeholder="Household member's email"
+            onChange={(e) => setInvite(prev => ({ ...prev, email: e.target.value }))}
+            style={styles.input}
+          />
+          <select
+            value={invite.role}
+            onChange={(e) => setInvite(prev => ({ ...prev, role: e.target.value }))}
+            style={styles.select}
+          >
+            <option value="editor">Can edit</option>
+            <option value="viewer">View only</option>
+          </select>
+          <button onClick={addMember} disabled={isSaving || !invite.email.trim()} style={styles.secondaryButton}>
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>👨‍👩‍👧 Household Lists</h3>
+      <p style={styles.muted}>
+        Lists you share with your household. Everyone with a list open sees items added, removed and checked off as it happens.
+      </p>
+
+      {activeList ? renderActiveList() : (
+        <>
+          {lists === null && <p style={styles.muted}>{error || 'Loading lists…'}</p>}
+          {lists && lists.length === 0 && <p style={styles.muted}>No household lists yet</p>}
+          {(lists || []).map(list => (
+            <div key={list.id} style={styles.itemRow}>
+              <span>
+                <strong style={styles.listName}>{list.name || 'Untitled List'}</strong>
+                <span style={styles.muted}> · {list.itemCount || 0} items · {ROLE_LABELS[list.role]}</span>
+              </span>
+              <button onClick={() => openSharedList(list.id)} style={styles.linkButton}>Open</button>
+            </div>
+          ))}
+          <div style={styles.actions}>
+            <input
+              value={newListName}
+              placeholder="New list name"
+              onChange={(e) => setNewListName(e.target.value)}
+              style={styles.input}
+            />
+            <button onClick={createList} disabled={isSaving || !newListName.trim()} style={styles.secondaryButton}>
+              Create list
+            </button>
+          </div>
+        </>
+      )}
+
+      {(error || listError) && lists !== null && (
+        <div style={styles.actions}>
+          <span style={styles.error}>{error || listError}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #002244',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '8px'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    color: '#002244',
+    fontSize: '20px'
+  },
+  muted: {
+    color: '#666',
+    fontSize: '14px',
+    margin: '0 0 12px 0'
+  },
+  listName: {
+    color: '#002244'
+  },
+  itemRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #f0f0f0',
+    fontSize: '14px'
+  },
+  itemLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  },
+  checked: {
+    textDecoration: 'line-through',
+    color: '#999'
+  },
+  sectionLabel: {
+    fontSize: '12px',
+    color: '#002244',
+    fontWeight: 'bold',
+    marginTop: '16px'
+  },
+  form: {
+    padding: '12px',
+    margin: '8px 0',
+    backgroundColor: '#f8f9fa',
+    borderRadius: '8px'
+  },
+  input: {
+    width: '100%',
+    padding: '6px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box'
+  },
+  select: {
+    padding: '6px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px'
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#FB4F14',
+    cursor: 'pointer',
+    fontSize: '13px',
+    padding: 0
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginTop: '12px'
+  },
+  secondaryButton: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    whiteSpace: 'nowrap'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px'
+  }
+};
+
+export default HouseholdListsPanel;
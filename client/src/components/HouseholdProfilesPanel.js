@@ -0,0 +1,439 @@
+// client/src/components/HouseholdProfilesPanel.js
+// The people a meal plan feeds, for My Account: one profile per person with
+// their daily nutrition targets, allergies, dislikes and diet. Shared by the
+// whole household when there is one.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const TARGETS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal', placeholder: '2000' },
+  { key: 'protein', label: 'Protein', unit: 'g', placeholder: '50' },
+  { key: 'carbs', label: 'Carbs', unit: 'g', placeholder: '275' },
+  { key: 'fat', label: 'Fat', unit: 'g', placeholder: '78' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg', placeholder: '2300' }
+];
+
+// The server's allergen keys (utils/dietaryConstraints ALLERGENS)
+const ALLERGIES = [
+  { key: 'peanut', label: 'Peanuts' },
+  { key: 'tree_nut', label: 'Tree nuts' },
+  { key: 'milk', label: 'Dairy' },
+  { key: 'egg', label: 'Eggs' },
+  { key: 'wheat', label: 'Wheat / gluten' },
+  { key: 'soy', label: 'Soy' },
+  { key: 'fish', label: 'Fish' },
+  { key: 'shellfish', label: 'Shellfish' },
+  { key: 'sesame', label: 'Sesame' }
+];
+
+const DIETS = ['vegetarian', 'vegan', 'pescatarian', 'gluten-free', 'dairy-free'];
+
+const splitList = (text) => text.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// "2000 kcal", "120g protein"
+const formatTarget = (target, value) => (target.unit === 'kcal'
+  ? `${value} kcal`
+  : `${value}${target.unit} ${target.key}`);
+
+const EMPTY_DRAFT = { name: '', targets: {}, allergies: [], diet: '', dislikes: '' };
+
+const toDraft = (profile) => ({
+  name: profile.name,
+  targets: Object.fromEntries(TARGETS.map(target => [target.key, profile.targets?.[target.key] ?? ''])),
+  allergies: profile.allergies || [],
+  diet: profile.diet || '',
+  dislikes: (profile.dislikes || []).join(', ')
+});
+
+const allergyLabel = (key) => ALLERGIES.find(allergy => allergy.key === key)?.label || key;
+
+function HouseholdProfilesPanel() {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const [details, setDetails] = useState(null);
+  const [editingId, setEditingId] = useState(null); // profile id, 'new' or null
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await makeAuthenticatedRequest(`${API_URL}/api/account${path}`, options);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }, [makeAuthenticatedRequest]);
+
+  const loadProfiles = useCallback(async () => {
+    if (!currentUser) return;
+    setError(null);
+    try {
+      setDetails(await request('/household/profiles'));
+    } catch (err) {
+      console.error('Profiles loading error:', err);
+      setError('Unable to load household profiles right now');
+    }
+  }, [currentUser, request]);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const run = async (action, successMessage) => {
+    setIsSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      setMessage(successMessage);
+    } catch (err) {
+      console.error('Profile update error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startEditing = (profile) => {
+    setEditingId(profile ? profile.id : 'new');
+    setDraft(profile ? toDraft(profile) : EMPTY_DRAFT);
+    setMessage(null);
+  };
+
+  const saveDraft = () => run(async () => {
+    // Blank targets are sent as null so the nutrient goes unchecked
+    const profile = {
+      name: draft.name,
+      targets: Object.fromEntries(TARGETS.map(target => [
+        target.key,
+        draft.targets[target.key] === '' || draft.targets[target.key] === undefined ? null : Number(draft.targets[target.key])
+      ])),
+      allergies: draft.allergies,
+      diet: draft.diet || null,
+      dislikes: splitList(draft.dislikes)
+    };
+    const isNew = editingId === 'new';
+    await request(isNew ? '/household/profiles' : `/household/profiles/${editingId}`, {
+      method: isNew ? 'POST' : 'PUT',
+      body: JSON.stringify({ profile })
+    });
+    setEditingId(null);
+    await loadProfiles();
+  }, editingId === 'new' ? 'Profile added' : 'Profile saved');
+
+  const deleteProfile = (profile) => {
+    if (!window.confirm(`Remove ${profile.name}'s profile?`)) return;
+    run(async () => {
+      await request(`/household/profiles/${profile.id}`, { method: 'DELETE' });
+      await loadProfiles();
+    }, 'Profile removed');
+  };
+
+  const setTarget = (key, value) => setDraft(prev => ({ ...prev, targets: { ...prev.targets, [key]: value } }));
+  const toggleAllergy = (key) => setDraft(prev => ({
+    ...prev,
+    allergies: prev.allergies.includes(key)
+      ? prev.allergies.filter(allergy => allergy !== key)
+      : [...prev.allergies, key]
+  }));
+
+  if (!currentUser) return null;
+
+  if (!details) {
+    return (
+      <div style={styles.container}>
+        <h3 style={styles.title}>🥗 Household Profiles</h3>
+        <p style={styles.muted}>{error || 'Loading profiles…'}</p>
+      </div>
+    );
+  }
+
+  const renderForm = () => (
+    <div style={styles.form}>
+      <input
+        value={draft.name}
+        placeholder="Name"
+        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+        style={styles.input}
+      />
+      <div style={styles.targetGrid}>
+        {TARGETS.map(target => (
+          <label key={target.key} style={styles.targetField}>
+            <span style={styles.targetLabel}>{target.label} ({target.unit})</span>
+            <input
+              type="number"
+              min="0"
+              value={draft.targets[target.key] ?? ''}
+              placeholder={target.placeholder}
+              onChange={(e) => setTarget(target.key, e.target.value)}
+              style={styles.input}
+            />
+          </label>
+        ))}
+      </div>
+      <div style={styles.targetLabel}>Allergies</div>
+      <div style={styles.allergyGrid}>
+        {ALLERGIES.map(allergy => (
+          <label key={allergy.key} style={styles.allergyOption}>
+            <input
+              type="checkbox"
+              checked={draft.allergies.includes(allergy.key)}
+              onChange={() => toggleAllergy(allergy.key)}
+            />
+            {allergy.label}
+          </label>
+        ))}
+      </div>
+      <div style={styles.targetGrid}>
+        <label style={styles.targetField}>
+          <span style={styles.targetLabel}>Diet</span>
+          <select
+            value={draft.diet}
+            onChange={(e) => setDraft(prev => ({ ...prev, diet: e.target.value }))}
+            style={styles.input}
+          >
+            <option value="">No special diet</option>
+            {DIETS.map(diet => <option key={diet} value={diet}>{diet}</option>)}
+          </select>
+        </label>
+        <label style={styles.targetField}>
+          <span style={styles.targetLabel}>Dislikes</span>
+          <input
+            value={draft.dislikes}
+            placeholder="olives, cilantro"
+            onChange={(e) => setDraft(prev => ({ ...prev, dislikes: e.target.value }))}
+            style={styles.input}
+          />
+        </label>
+      </div>
+      <div style={styles.actions}>
+        <button onClick={saveDraft} disabled={isSaving || !draft.name.trim()} style={styles.primaryButton}>
+          {isSaving ? 'Saving…' : 'Save profile'}
+        </button>
+        <button onClick={() => setEditingId(null)} style={styles.linkButton}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🥗 Household Profiles</h3>
+        {details.canEdit && editingId === null && (
+          <button onClick={() => startEditing(null)} style={styles.secondaryButton}>
+            + Add person
+          </button>
+        )}
+      </div>
+      <p style={styles.muted}>
+        Daily targets, allergies and diets for each person your meal plans feed. Leave a target blank to skip it.
+        Items someone is allergic to are held back before they reach your cart.
+        {details.scope === 'household' && ' Profiles are shared with everyone in your household.'}
+      </p>
+
+      {details.profiles.length === 0 && editingId === null && (
+        <p style={styles.muted}>No profiles yet - plans are checked against standard daily values.</p>
+      )}
+
+      {details.profiles.map(profile => (editingId === profile.id ? (
+        <div key={profile.id}>{renderForm()}</div>
+      ) : (
+        <div key={profile.id} style={styles.profileRow}>
+          <span style={styles.profileName}>{profile.name}</span>
+          <span style={styles.targets}>
+            {TARGETS.filter(target => profile.targets?.[target.key] !== undefined)
+              .map(target => formatTarget(target, profile.targets[target.key]))
+              .join(' · ') || 'No targets set'}
+            {(profile.allergies.length > 0 || profile.diet || profile.dislikes.length > 0) && (
+              <span style={styles.constraints}>
+                {profile.allergies.map(allergy => (
+                  <span key={allergy} style={styles.allergyBadge}>⚠️ {allergyLabel(allergy)}</span>
+                ))}
+                {profile.diet && <span style={styles.dietBadge}>{profile.diet}</span>}
+                {profile.dislikes.length > 0 && <span style={styles.dislikes}>dislikes {profile.dislikes.join(', ')}</span>}
+              </span>
+            )}
+          </span>
+          {details.canEdit && editingId === null && (
+            <span style={styles.rowActions}>
+              <button onClick={() => startEditing(profile)} style={styles.linkButton}>Edit</button>
+              <button onClick={() => deleteProfile(profile)} style={styles.linkButton}>Remove</button>
+            </span>
+          )}
+        </div>
+      )))}
+
+      {editingId === 'new' && renderForm()}
+
+      {(message || error) && (
+        <div style={styles.actions}>
+          {message && <span style={styles.success}>{message}</span>}
+          {error && <span style={styles.error}>{error}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #002244',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px'
+  },
+  title: {
+    margin: 0,
+    color: '#002244',
+    fontSize: '20px'
+  },
+  muted: {
+    color: '#666',
+    fontSize: '14px',
+    margin: '0 0 12px 0'
+  },
+  profileRow: {
+    display: 'grid',
+    gridTemplateColumns: '160px 1fr auto',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #f0f0f0',
+    fontSize: '14px'
+  },
+  profileName: {
+    fontWeight: 'bold',
+    color: '#002244'
+  },
+  targets: {
+    color: '#444'
+  },
+  rowActions: {
+    display: 'flex',
+    gap: '12px'
+  },
+  form: {
+    padding: '12px',
+    margin: '8px 0',
+    backgroundColor: '#f8f9fa',
+    borderRadius: '8px'
+  },
+  targetGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))',
+    gap: '8px',
+    marginTop: '8px'
+  },
+  targetField: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  targetLabel: {
+    fontSize: '12px',
+    color: '#002244',
+    fontWeight: 'bold',
+    marginTop: '8px'
+  },
+  allergyGrid: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px 16px',
+    marginTop: '4px'
+  },
+  allergyOption: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '13px'
+  },
+  constraints: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginTop: '4px'
+  },
+  allergyBadge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#f8d7da',
+    color: '#721c24',
+    fontSize: '12px'
+  },
+  dietBadge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#d4edda',
+    color: '#155724',
+    fontSize: '12px'
+  },
+  dislikes: {
+    color: '#666',
+    fontSize: '12px'
+  },
+  input: {
+    width: '100%',
+    padding: '6px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box'
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#FB4F14',
+    cursor: 'pointer',
+    fontSize: '13px',
+    padding: 0
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginTop: '12px'
+  },
+  primaryButton: {
+    padding: '8px 16px',
+    backgroundColor: '#FB4F14',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontWeight: 'bold'
+  },
+  secondaryButton: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    whiteSpace: 'nowrap'
+  },
+  success: {
+    color: '#28a745',
+    fontSize: '14px'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px'
+  }
+};
+
+export default HouseholdProfilesPanel;
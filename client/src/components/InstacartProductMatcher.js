@@ -3,12 +3,15 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import imageService from '../utils/imageService';
+import productResolutionService from '../services/productResolutionService';
+import { useAuth } from '../contexts/AuthContext';
 
 const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, onProductSelect, onClose, replacingItem }) => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [originalItem, setOriginalItem] = useState(null);
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
 
   const currentSearchTerm = searchTerm || initialSearchTerm;
 
@@ -21,11 +24,9 @@ const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, on
 
       const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
 
-      const response = await fetch(`${API_URL}/api/instacart/search`, {
+      // Authenticated so the server can rank with the user's remembered picks
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/instacart/search`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query: currentSearchTerm,
           retailerId: retailerId,
@@ -61,7 +62,7 @@ const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, on
     } finally {
       setLoading(false);
     }
-  }, [currentSearchTerm, retailerId]);
+  }, [currentSearchTerm, retailerId, makeAuthenticatedRequest]);
 
   useEffect(() => {
     if (currentSearchTerm && retailerId) {
@@ -69,6 +70,25 @@ const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, on
     }
   }, [currentSearchTerm, retailerId, searchProducts]);
 
+  const handleSelect = (product) => {
+    if (currentUser) {
+      productResolutionService.rememberChoice(originalItem?.name || currentSearchTerm, product, retailerId)
+        .catch(err => console.warn('⚠️ Could not remember product choice:', err.message));
+    }
+    onProductSelect(product);
+  };
+
+  const handleExcludeBrand = async (e, brand) => {
+    e.stopPropagation();
+    try {
+      await productResolutionService.excludeBrand(brand);
+      setProducts(prev => prev.filter(product => (product.brand || '').toLowerCase() !== brand.toLowerCase()));
+    } catch (err) {
+      console.error('❌ Failed to exclude brand:', err);
+      setError(`Couldn't hide ${brand} - please try again`);
+    }
+  };
+
   const getConfidenceColor = (confidence) => {
     if (confidence >= 0.8) return '#10b981'; // Green - Excellent match
     if (confidence >= 0.6) return '#f59e0b'; // Yellow - Good match
@@ -209,7 +229,7 @@ const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, on
                 <div
                   key={product.id || index}
                   className="product-match-card"
-                  onClick={() => onProductSelect(product)}
+                  onClick={() => handleSelect(product)}
                 >
                   <div className="product-info">
                     <div className="product-image">
@@ -228,7 +248,10 @@ const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, on
 
                     <div className="product-details">
                       <div className="product-header">
-                        <h4 className="product-name">{product.name}</h4>
+                        <h4 className="product-name">
+                          {product.remembered && <span className="usual-badge">⭐ Your usual</span>}
+                          {product.name}
+                        </h4>
                         <div className="product-price">${product.price}</div>
                       </div>
 
@@ -243,6 +266,19 @@ const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, on
                       {product.description && (
                         <p className="product-description">{product.description}</p>
                       )}
+
+                      {product.preferenceReasons?.length > 0 && !product.remembered && (
+                        <div className="preference-reasons">Matches your preferences: {product.preferenceReasons.join(', ')}</div>
+                      )}
+
+                      {currentUser && product.brand && (
+                        <button
+                          className="exclude-brand-btn"
+                          onClick={(e) => handleExcludeBrand(e, product.brand)}
+                        >
+                          🚫 Never suggest {product.brand}
+                        </button>
+                      )}
                     </div>
                   </div>
 
@@ -485,6 +521,39 @@ const InstacartProductMatcher = ({ initialSearchTerm, searchTerm, retailerId, on
             line-height: 1.4;
           }
 
+          .usual-badge {
+            display: inline-block;
+            background: #fef3c7;
+            color: #92400e;
+            font-size: 0.75rem;
+            font-weight: 600;
+            padding: 0.125rem 0.5rem;
+            border-radius: 9999px;
+            margin-right: 0.5rem;
+          }
+
+          .preference-reasons {
+            margin-top: 0.5rem;
+            color: #059669;
+            font-size: 0.75rem;
+          }
+
+          .exclude-brand-btn {
+            margin-top: 0.5rem;
+            background: none;
+            border: 1px solid #e5e7eb;
+            color: #6b7280;
+            font-size: 0.75rem;
+            padding: 0.25rem 0.5rem;
+            border-radius: 6px;
+            cursor: pointer;
+          }
+
+          .exclude-brand-btn:hover {
+            border-color: #ef4444;
+            color: #ef4444;
+          }
+
           .confidence-section {
             min-width: 250px;
             border-left: 1px solid #e5e7eb;
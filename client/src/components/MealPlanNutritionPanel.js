@@ -0,0 +1,189 @@
+// client/src/components/MealPlanNutritionPanel.js
+// Weekly nutrition view for AIMealPlanReview: each day's totals against the
+// household's daily targets, the days that miss them, and a meal swap per
+// flagged day that brings it closer
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const NUTRIENTS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' }
+];
+
+const formatAmount = (value, unit) => (value === null || value === undefined ? '—' : `${Math.round(value)} ${unit}`);
+
+const capitalize = (text) => String(text).charAt(0).toUpperCase() + String(text).slice(1);
+
+// "protein 34 g, needs 63+"
+function describeMiss(miss) {
+  const nutrient = NUTRIENTS.find(entry => entry.key === miss.nutrient);
+  const needed = miss.status === 'low' ? `needs ${Math.round(miss.min)}+` : `limit ${Math.round(miss.max)}`;
+  return `${nutrient.label.toLowerCase()} ${formatAmount(miss.value, nutrient.unit)}, ${needed}`;
+}
+
+export default function MealPlanNutritionPanel({ mealPlan, onApplySwap }) {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const [analysis, setAnalysis] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadAnalysis = useCallback(async () => {
+    if (!currentUser || !mealPlan?.recipes?.length) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/account/nutrition/plan`, {
+        method: 'POST',
+        body: JSON.stringify({ recipes: mealPlan.recipes })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Request failed');
+      }
+      setAnalysis(data);
+    } catch (err) {
+      console.error('Nutrition analysis error:', err);
+      setError('Unable to check this plan\'s nutrition right now');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUser, makeAuthenticatedRequest, mealPlan?.recipes]);
+
+  useEffect(() => {
+    loadAnalysis();
+  }, [loadAnalysis]);
+
+  if (!currentUser) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+        Sign in to check this plan against your household's nutrition targets
+      </div>
+    );
+  }
+
+  if (!analysis) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+        {error || (isLoading ? 'Checking nutrition…' : 'No recipes to analyze')}
+      </div>
+    );
+  }
+
+  const { days, week, usingDefaults, swaps = [] } = analysis;
+  const swapsByDay = Object.fromEntries(swaps.map(swap => [swap.day, swap]));
+
+  return (
+    <div className="space-y-4">
+      {/* Week summary */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Weekly Nutrition</h3>
+          <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+            week.flaggedDays.length === 0 ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-800'
+          }`}>
+            {week.flaggedDays.length === 0
+              ? 'Every day on target'
+              : `${week.flaggedDays.length} of ${week.dayCount} days miss targets`}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          {NUTRIENTS.map(nutrient => (
+            <div key={nutrient.key} className="bg-gray-50 rounded-lg p-3">
+              <div className="text-xs text-gray-500 uppercase">{nutrient.label}</div>
+              <div className="text-lg font-semibold text-gray-900">
+                {formatAmount(week.averages[nutrient.key], nutrient.unit)}
+              </div>
+              <div className="text-xs text-gray-500">
+                per day · {formatAmount(week.totals[nutrient.key], nutrient.unit)} week
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 space-y-1">
+          {week.members.map(member => (
+            <div key={member.profileId} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">
+                {member.name}
+                <span className="text-gray-400">
+                  {' '}· {NUTRIENTS.filter(nutrient => member.targets[nutrient.key] !== undefined)
+                    .map(nutrient => formatAmount(member.targets[nutrient.key], nutrient.unit))
+                    .join(' / ')}
+                </span>
+              </span>
+              <span className={member.missedDays > 0 ? 'text-yellow-700' : 'text-green-700'}>
+                {member.missedDays > 0 ? `misses ${member.missedDays} day${member.missedDays === 1 ? '' : 's'}` : 'on target'}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {usingDefaults && (
+          <p className="mt-3 text-sm text-gray-500">
+            💡 Checked against standard daily values. Add household profiles in My Account → Settings to use your own targets.
+          </p>
+        )}
+      </div>
+
+      {/* Days */}
+      {days.map(day => {
+        const swap = swapsByDay[day.day];
+        return (
+          <div
+            key={day.day}
+            className={`bg-white rounded-lg shadow-md p-6 border-l-4 ${day.flagged ? 'border-yellow-400' : 'border-green-400'}`}
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h4 className="font-semibold text-gray-900">{capitalize(day.day)}</h4>
+              <span className={`text-sm ${day.flagged ? 'text-yellow-700' : 'text-green-700'}`}>
+                {day.flagged ? '⚠️ Misses targets' : '✅ On target'}
+              </span>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-sm mb-3">
+              {NUTRIENTS.map(nutrient => (
+                <div key={nutrient.key}>
+                  <span className="text-gray-500">{nutrient.label}: </span>
+                  <span className="font-medium text-gray-900">{formatAmount(day.totals[nutrient.key], nutrient.unit)}</span>
+                </div>
+              ))}
+            </div>
+
+            {day.members.filter(member => member.misses.length > 0).map(member => (
+              <div key={member.profileId} className="text-sm text-yellow-800">
+                {member.name}: {member.misses.map(describeMiss).join('; ')}
+              </div>
+            ))}
+
+            {swap && (
+              <div className="mt-3 flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg p-3">
+                <div className="text-sm text-blue-900">
+                  Swap <strong>{swap.replaceTitle}</strong> for <strong>{swap.recipe.title || swap.recipe.name}</strong>
+                  {swap.source === 'library' ? ' from your recipes' : ''}
+                  {swap.fixes.length > 0
+                    ? ` - fixes ${swap.fixes.join(', ')}`
+                    : ` - ${swap.improvement}% closer to target`}
+                </div>
+                {onApplySwap && (
+                  <button
+                    onClick={() => onApplySwap(swap)}
+                    className="px-3 py-1 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    Apply swap
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -2,8 +2,17 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import userDataService from '../services/userDataService';
+import { useUserPreferences } from '../hooks/useUserPreferences';
 import RecipeImporter from './RecipeImporter';
 import InstacartProductMatcher from './InstacartProductMatcher';
+import UseItUpPanel from './UseItUpPanel';
+import ReceiptImportPanel from './ReceiptImportPanel';
+import StoreWalkingOrder from './StoreWalkingOrder';
+import AccountSettingsPanel from './AccountSettingsPanel';
+import HouseholdProfilesPanel from './HouseholdProfilesPanel';
+import HouseholdListsPanel from './HouseholdListsPanel';
+import PantryPanel from './PantryPanel';
+import AccountDataPanel from './AccountDataPanel';
 
 // Helper function to safely extract string values from ingredient objects
 const safeExtractIngredientString = (ingredient) => {
@@ -108,6 +117,7 @@ function MyAccount({
   onNavigateHome
 }) {
   const { currentUser } = useAuth();
+  const preferences = useUserPreferences();
   const [activeTab, setActiveTab] = useState('overview');
   const [showMealPlanModal, setShowMealPlanModal] = useState(false);
   const [editingMealPlan, setEditingMealPlan] = useState(null);
@@ -119,6 +129,7 @@ function MyAccount({
   const [debugInfo, setDebugInfo] = useState({});
   const [testResults, setTestResults] = useState([]);
   const [editingList, setEditingList] = useState(null);
+  const [walkingOrderList, setWalkingOrderList] = useState(null);
   const [showListEditModal, setShowListEditModal] = useState(false);
   const [showAddListModal, setShowAddListModal] = useState(false);
   const [showAddRecipeModal, setShowAddRecipeModal] = useState(false);
@@ -418,6 +429,13 @@ function MyAccount({
                 >
                   ✏️ Edit
                 </button>
+                <button 
+                  onClick={() => setWalkingOrderList(list)}
+                  style={styles.editButton}
+                  title="Show in store walking order"
+                >
+                  🚶 Aisles
+                </button>
                 <button 
                   onClick={() => handleDeleteList(list.id || list.createdAt, list.name)}
                   style={styles.deleteButton}
@@ -429,9 +447,13 @@ function MyAccount({
           ))}
         </div>
       )}
+
+      <HouseholdListsPanel />
     </div>
   );
 
+  const renderPantry = () => <PantryPanel />;
+
   const renderMealPlans = () => (
     <div style={styles.mealPlansContainer}>
       <div style={styles.mealPlansHeader}>
@@ -585,6 +607,9 @@ function MyAccount({
           <div style={styles.statLabel}>Items Parsed</div>
         </div>
       </div>
+
+      <UseItUpPanel savedRecipes={savedRecipes} onRecipeSelect={handleLoadRecipe} />
+      <ReceiptImportPanel />
     </div>
   );
 
@@ -736,6 +761,10 @@ function MyAccount({
           <strong>Current Selection:</strong> {preferredAI === 'claude' ? '🤖 Claude' : '🧠 ChatGPT'}
         </div>
       </div>
+
+      <AccountSettingsPanel />
+      <HouseholdProfilesPanel />
+      <AccountDataPanel />
     </div>
   );
 
@@ -804,7 +833,7 @@ function MyAccount({
             <strong>Email:</strong> {currentUser?.email || 'No email'}
           </div>
           <div style={styles.debugItem}>
-            <strong>Preferred Retailer:</strong> {currentUser?.preferredRetailer || 'None set'}
+            <strong>Preferred Retailer:</strong> {preferences.preferredRetailer || 'None set'}
           </div>
           <div style={styles.debugItem}>
             <strong>Zip Code:</strong> {currentUser?.zipCode || currentUser?.postalCode || 'None set'}
@@ -898,6 +927,15 @@ function MyAccount({
         >
           🛒 Shopping Lists ({stats.totalLists})
         </button>
+        <button
+          onClick={() => setActiveTab('pantry')}
+          style={{
+            ...styles.tab,
+            ...(activeTab === 'pantry' ? styles.tabActive : {})
+          }}
+        >
+          🥫 Pantry
+        </button>
         <button
           onClick={() => setActiveTab('mealplans')}
           style={{
@@ -939,6 +977,7 @@ function MyAccount({
       <div style={styles.content}>
         {activeTab === 'overview' && renderOverview()}
         {activeTab === 'lists' && renderShoppingLists()}
+        {activeTab === 'pantry' && renderPantry()}
         {activeTab === 'mealplans' && renderMealPlans()}
         {activeTab === 'recipes' && renderRecipes()}
         {activeTab === 'settings' && renderSettings()}
@@ -946,6 +985,17 @@ function MyAccount({
       </div>
 
 
+      {walkingOrderList && (
+        <StoreWalkingOrder
+          items={walkingOrderList.items || []}
+          listName={walkingOrderList.name || 'Untitled List'}
+          retailerId={preferences.preferredRetailer || 'default'}
+          unitSystem={preferences.unitSystem}
+          isOpen={!!walkingOrderList}
+          onClose={() => setWalkingOrderList(null)}
+        />
+      )}
+
       {showMealPlanModal && (
         <MealPlanModal
           isOpen={showMealPlanModal}
@@ -1126,7 +1176,7 @@ function MyAccount({
       {showProductMatcher && (
         <InstacartProductMatcher
           searchTerm={productMatcherTerm}
-          retailerId={currentUser?.preferredRetailer || currentUser?.selectedRetailer || 'kroger'}
+          retailerId={preferences.preferredRetailer || 'kroger'}
           onProductSelect={(product) => {
             console.log('🔍 [Testing] Selected product from matcher:', product);
 
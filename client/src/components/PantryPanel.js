@@ -0,0 +1,336 @@
+// client/src/components/PantryPanel.js
+// Pantry inventory for My Account: what is already at home, how much and until
+// when. Lists parsed into the cart skip whatever is here.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const LOCATIONS = [
+  { value: 'pantry', label: '🥫 Pantry' },
+  { value: 'fridge', label: '🧊 Fridge' },
+  { value: 'freezer', label: '❄️ Freezer' }
+];
+
+const EMPTY_ITEM = { name: '', quantity: '', unit: '', location: 'pantry', expiresAt: '', staple: false };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const expiryLabel = (expiresAt) => {
+  if (!expiresAt) return null;
+  const days = Math.ceil((new Date(expiresAt).getTime() - Date.now()) / DAY_MS);
+  if (days < 0) return { text: 'expired', color: '#dc3545' };
+  if (days === 0) return { text: 'expires today', color: '#dc3545' };
+  if (days <= 3) return { text: `expires in ${days} day${days === 1 ? '' : 's'}`, color: '#FB4F14' };
+  return { text: `until ${new Date(expiresAt).toLocaleDateString()}`, color: '#666' };
+};
+
+function PantryPanel() {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const [items, setItems] = useState(null);
+  const [newItem, setNewItem] = useState(EMPTY_ITEM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await makeAuthenticatedRequest(`${API_URL}/api/account/pantry${path}`, options);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }, [makeAuthenticatedRequest]);
+
+  const loadItems = useCallback(async () => {
+    if (!currentUser) return;
+    try {
+      setItems((await request('')).items);
+    } catch (err) {
+      console.error('Pantry loading error:', err);
+      setError('Unable to load your pantry right now');
+    }
+  }, [currentUser, request]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  const run = async (action) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Pantry update error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const addItem = () => run(async () => {
+    const { item } = await request('', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: newItem.name.trim(),
+        quantity: newItem.quantity === '' ? null : Number(newItem.quantity),
+        unit: newItem.unit.trim() || null,
+        location: newItem.location,
+        expiresAt: newItem.expiresAt || null,
+        staple: newItem.staple
+      })
+    });
+    setItems(prev => [...(prev || []), item]);
+    setNewItem(EMPTY_ITEM);
+  });
+
+  const updateQuantity = (item, value) => {
+    const quantity = value === '' ? null : Number(value);
+    if (quantity === item.quantity || (quantity !== null && !(quantity >= 0))) return;
+    run(async () => {
+      const { item: updated } = await request(`/${item.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ quantity })
+      });
+      setItems(prev => prev.map(existing => (existing.id === item.id ? updated : existing)));
+    });
+  };
+
+  const removeItem = (item) => run(async () => {
+    await request(`/${item.id}`, { method: 'DELETE' });
+    setItems(prev => prev.filter(existing => existing.id !== item.id));
+  });
+
+  if (!currentUser) return null;
+
+  const renderItem = (item) => {
+    const expiry = expiryLabel(item.expiresAt);
+    return (
+      <div key={item.id} style={styles.itemRow}>
+        <span style={styles.itemName}>
+          {item.name}
+          {item.staple && <span style={styles.badge}>staple</span>}
+          {expiry && <span style={{ ...styles.muted, color: expiry.color }}> · {expiry.text}</span>}
+        </span>
+        <span style={styles.amount}>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            defaultValue={item.quantity ?? ''}
+            placeholder={item.staple ? 'any' : '?'}
+            onBlur={(e) => updateQuantity(item, e.target.value)}
+            style={styles.quantityInput}
+            aria-label={`Quantity of ${item.name}`}
+          />
+          <span style={styles.muted}>{item.unit || ''}</span>
+          <button onClick={() => removeItem(item)} disabled={isSaving} style={styles.linkButton}>Remove</button>
+        </span>
+      </div>
+    );
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>🥫 Pantry</h3>
+      <p style={styles.muted}>
+        What you already have at home. Lists you add to the cart skip these, and only buy the rest when you're short.
+        Mark things like salt and oil as staples to always count them as on hand.
+      </p>
+
+      {items === null && <p style={styles.muted}>{error || 'Loading pantry…'}</p>}
+      {items && items.length === 0 && <p style={styles.muted}>Your pantry is empty</p>}
+      {items && LOCATIONS.map(location => {
+        const here = items.filter(item => (item.location || 'pantry') === location.value);
+        if (here.length === 0) return null;
+        return (
+          <div key={location.value}>
+            <div style={styles.sectionLabel}>{location.label}</div>
+            {here.map(renderItem)}
+          </div>
+        );
+      })}
+
+      <div style={styles.form}>
+        <div style={styles.actions}>
+          <input
+            value={newItem.name}
+            placeholder="Item, e.g. olive oil"
+            onChange={(e) => setNewItem(prev => ({ ...prev, name: e.target.value }))}
+            style={styles.input}
+          />
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={newItem.quantity}
+            placeholder="Qty"
+            onChange={(e) => setNewItem(prev => ({ ...prev, quantity: e.target.value }))}
+            style={styles.quantityInput}
+          />
+          <input
+            value={newItem.unit}
+            placeholder="Unit"
+            onChange={(e) => setNewItem(prev => ({ ...prev, unit: e.target.value }))}
+            style={styles.unitInput}
+          />
+        </div>
+        <div style={styles.actions}>
+          <select
+            value={newItem.location}
+            onChange={(e) => setNewItem(prev => ({ ...prev, location: e.target.value }))}
+            style={styles.select}
+          >
+            {LOCATIONS.map(location => (
+              <option key={location.value} value={location.value}>{location.label}</option>
+            ))}
+          </select>
+          <label style={styles.muted}>
+            Expires{' '}
+            <input
+              type="date"
+              value={newItem.expiresAt}
+              onChange={(e) => setNewItem(prev => ({ ...prev, expiresAt: e.target.value }))}
+              style={styles.select}
+            />
+          </label>
+          <label style={styles.muted}>
+            <input
+              type="checkbox"
+              checked={newItem.staple}
+              onChange={(e) => setNewItem(prev => ({ ...prev, staple: e.target.checked }))}
+            />{' '}
+            Staple
+          </label>
+          <button onClick={addItem} disabled={isSaving || !newItem.name.trim()} style={styles.secondaryButton}>
+            Add
+          </button>
+        </div>
+      </div>
+
+      {error && items !== null && (
+        <div style={styles.actions}>
+          <span style={styles.error}>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #002244',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    color: '#002244',
+    fontSize: '20px'
+  },
+  muted: {
+    color: '#666',
+    fontSize: '14px',
+    margin: '0 0 12px 0'
+  },
+  sectionLabel: {
+    fontSize: '12px',
+    color: '#002244',
+    fontWeight: 'bold',
+    marginTop: '16px'
+  },
+  itemRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #f0f0f0',
+    fontSize: '14px'
+  },
+  itemName: {
+    color: '#002244'
+  },
+  badge: {
+    marginLeft: '8px',
+    padding: '2px 6px',
+    backgroundColor: '#f0f4f8',
+    borderRadius: '4px',
+    fontSize: '11px',
+    color: '#002244'
+  },
+  amount: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  },
+  form: {
+    padding: '12px',
+    margin: '16px 0 0 0',
+    backgroundColor: '#f8f9fa',
+    borderRadius: '8px'
+  },
+  input: {
+    width: '100%',
+    padding: '6px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box'
+  },
+  quantityInput: {
+    width: '70px',
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px'
+  },
+  unitInput: {
+    width: '80px',
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px'
+  },
+  select: {
+    padding: '6px 10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '14px'
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#FB4F14',
+    cursor: 'pointer',
+    fontSize: '13px',
+    padding: 0
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '12px',
+    marginTop: '12px'
+  },
+  secondaryButton: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    whiteSpace: 'nowrap'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px'
+  }
+};
+
+export default PantryPanel;
@@ -3,6 +3,7 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { ButtonSpinner } from './LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
 
 const PriceHistory = ({
   productName,
@@ -13,19 +14,25 @@ const PriceHistory = ({
   productId = null,
   userZipCode = '95670'
 }) => {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
   const [priceData, setPriceData] = useState([]);
+  const [priceStats, setPriceStats] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [emptyMessage, setEmptyMessage] = useState(null);
+  const [alertTargetPrice, setAlertTargetPrice] = useState('');
+  const [alertStatus, setAlertStatus] = useState('idle'); // idle, saving, saved, error
   const [selectedTimeRange, setSelectedTimeRange] = useState('30d');
   const [sortBy, setSortBy] = useState('price'); // 'price', 'vendor', 'date'
 
   const loadPriceHistory = useCallback(async () => {
     setIsLoading(true);
     setError(null);
+    setEmptyMessage(null);
 
     try {
       const baseUrl = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
-      const response = await fetch(`${baseUrl}/api/price-history?product=${encodeURIComponent(productName)}&timeRange=${selectedTimeRange}&productId=${productId || ''}&zipCode=${userZipCode}`);
+      const response = await fetch(`${baseUrl}/api/price-history?product=${encodeURIComponent(productName)}&timeRange=${selectedTimeRange}&productId=${productId || ''}&zipCode=${userZipCode}&currentVendor=${encodeURIComponent(currentVendor)}`);
 
       const data = await response.json();
 
@@ -37,10 +44,11 @@ const PriceHistory = ({
       }
 
       setPriceData(data.priceHistory || []);
+      setPriceStats(data.stats || null);
 
-      // Handle "coming soon" message from API
+      // No prices observed for this product yet
       if (data.message && data.priceHistory && data.priceHistory.length === 0) {
-        setError(data.message);
+        setEmptyMessage(data.message);
       }
     } catch (err) {
       console.error('Price history loading error:', err);
@@ -50,10 +58,42 @@ const PriceHistory = ({
         setError('Unable to load price comparison at this time');
       }
       setPriceData([]);
+      setPriceStats(null);
     } finally {
       setIsLoading(false);
     }
-  }, [productName, selectedTimeRange, productId, userZipCode]);
+  }, [productName, selectedTimeRange, productId, userZipCode, currentVendor]);
+
+  const subscribeToPriceDrop = async () => {
+    setAlertStatus('saving');
+
+    try {
+      const baseUrl = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+      const response = await makeAuthenticatedRequest(`${baseUrl}/api/price-history/alerts`, {
+        method: 'POST',
+        body: JSON.stringify({
+          product: productName,
+          productId: productId || undefined,
+          targetPrice: alertTargetPrice ? parseFloat(alertTargetPrice) : undefined
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to create price alert');
+      }
+      setAlertStatus('saved');
+    } catch (err) {
+      console.error('Price alert error:', err);
+      setAlertStatus('error');
+    }
+  };
+
+  const getTrendLabel = (trend) => {
+    if (!trend || trend.direction === 'flat') return '➡️ Steady';
+    const arrow = trend.direction === 'down' ? '📉' : '📈';
+    return `${arrow} ${trend.changePercent > 0 ? '+' : ''}${trend.changePercent}%`;
+  };
 
   // Load price data automatically when component opens
   useEffect(() => {
@@ -82,7 +122,10 @@ const PriceHistory = ({
     return Math.min(...priceData.map(item => item.price));
   };
 
-  const getHighestPrice = () => {
+  const getRangeLow = () => priceStats?.min ?? getLowestPrice();
+
+  const getRangeHigh = () => {
+    if (priceStats) return priceStats.max;
     if (!priceData.length) return null;
     return Math.max(...priceData.map(item => item.price));
   };
@@ -274,7 +317,7 @@ const PriceHistory = ({
                   💰 Lowest Price
                 </div>
                 <div style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827' }}>
-                  ${getLowestPrice()?.toFixed(2)}
+                  ${getRangeLow()?.toFixed(2)}
                 </div>
               </div>
               <div style={{
@@ -287,9 +330,27 @@ const PriceHistory = ({
                   📊 Highest Price
                 </div>
                 <div style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827' }}>
-                  ${getHighestPrice()?.toFixed(2)}
+                  ${getRangeHigh()?.toFixed(2)}
                 </div>
               </div>
+              {priceStats && (
+                <div style={{
+                  background: '#FFFFFF',
+                  padding: '1rem',
+                  borderRadius: '0.5rem',
+                  border: '1px solid #e5e7eb'
+                }}>
+                  <div style={{ color: '#0ea5e9', fontWeight: '600', fontSize: '0.875rem' }}>
+                    ⚖️ Average · {getTrendLabel(priceStats.trend)}
+                  </div>
+                  <div style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827' }}>
+                    ${priceStats.avg.toFixed(2)}
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                    {priceStats.observationCount} observed price{priceStats.observationCount === 1 ? '' : 's'}
+                  </div>
+                </div>
+              )}
               <div style={{
                 background: '#FFFFFF',
                 padding: '1rem',
@@ -320,6 +381,18 @@ const PriceHistory = ({
               <ButtonSpinner color="#FB4F14" />
               <span style={{ marginLeft: '0.75rem' }}>Loading price history...</span>
             </div>
+          ) : emptyMessage ? (
+            <div style={{
+              background: '#f9fafb',
+              border: '1px solid #e5e7eb',
+              borderRadius: '0.5rem',
+              padding: '1rem',
+              color: '#6b7280',
+              textAlign: 'center',
+              fontSize: '0.875rem'
+            }}>
+              {emptyMessage}
+            </div>
           ) : error ? (
             <div style={{
               background: '#fef2f2',
@@ -449,6 +522,10 @@ const PriceHistory = ({
                           <span>
                             📅 {new Date(item.lastUpdated).toLocaleDateString()}
                           </span>
+
+                          {item.trend && (
+                            <span>{getTrendLabel(item.trend)}</span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -516,7 +593,55 @@ const PriceHistory = ({
           color: '#6b7280',
           textAlign: 'center'
         }}>
-          💡 Prices automatically updated every 30 minutes. Click refresh for latest pricing.
+          {currentUser && (
+            <div style={{
+              display: 'flex',
+              gap: '0.5rem',
+              justifyContent: 'center',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+              marginBottom: '0.75rem'
+            }}>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Target price (optional)"
+                value={alertTargetPrice}
+                onChange={(e) => {
+                  setAlertTargetPrice(e.target.value);
+                  setAlertStatus('idle');
+                }}
+                style={{
+                  padding: '0.375rem 0.5rem',
+                  borderRadius: '0.375rem',
+                  border: '1px solid #d1d5db',
+                  fontSize: '0.75rem',
+                  width: '11rem'
+                }}
+              />
+              <button
+                onClick={subscribeToPriceDrop}
+                disabled={alertStatus === 'saving' || alertStatus === 'saved'}
+                style={{
+                  background: '#002244',
+                  color: '#FFFFFF',
+                  border: 'none',
+                  padding: '0.375rem 0.75rem',
+                  borderRadius: '0.375rem',
+                  fontSize: '0.75rem',
+                  fontWeight: '500',
+                  cursor: alertStatus === 'saving' ? 'not-allowed' : 'pointer'
+                }}
+              >
+                {alertStatus === 'saving' ? 'Saving...' : alertStatus === 'saved' ? '🔔 Alert set' : '🔔 Alert me when the price drops'}
+              </button>
+              {alertStatus === 'error' && (
+                <span style={{ color: '#dc2626' }}>Could not save alert</span>
+              )}
+            </div>
+          )}
+          💡 Prices are real prices we've observed at each store. Click refresh for the latest data.
         </div>
       </div>
     </div>
@@ -0,0 +1,325 @@
+// client/src/components/ReceiptImportPanel.js
+// Receipt import for My Account: paste a receipt, upload a CSV export or an
+// Instacart email, check it against a planned trip, then apply it to history,
+// pantry and price tracking
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const FORMAT_OPTIONS = [
+  { value: '', label: 'Detect automatically' },
+  { value: 'text', label: 'Store receipt' },
+  { value: 'csv', label: 'CSV export' },
+  { value: 'instacart_email', label: 'Instacart email' }
+];
+
+const STATUS_LABELS = {
+  matched: '✅ Bought',
+  substituted: '🔄 Substituted',
+  missing: '❌ Missing',
+  extra: '➕ Extra'
+};
+
+const formatMoney = (value) => (value === null || value === undefined ? '—' : `$${Number(value).toFixed(2)}`);
+
+const formatDifference = (value) => {
+  if (value === null || value === undefined || value === 0) return '';
+  return value > 0 ? `+$${value.toFixed(2)}` : `-$${Math.abs(value).toFixed(2)}`;
+};
+
+function ReceiptImportPanel({ onImported }) {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const [text, setText] = useState('');
+  const [format, setFormat] = useState('');
+  const [trips, setTrips] = useState([]);
+  const [historyId, setHistoryId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTrips = useCallback(async () => {
+    if (!currentUser) return;
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/account/history?limit=20`);
+      const data = await response.json();
+      // Trips that already have a receipt can't take another
+      setTrips(data.success ? data.history.filter(trip => !trip.receiptId) : []);
+    } catch (err) {
+      console.error('Failed to load shopping trips:', err);
+    }
+  }, [currentUser, makeAuthenticatedRequest]);
+
+  useEffect(() => {
+    loadTrips();
+  }, [loadTrips]);
+
+  const submit = async (dryRun) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/account/receipts`, {
+        method: 'POST',
+        body: JSON.stringify({
+          text,
+          format: format || undefined,
+          historyId: historyId || undefined,
+          dryRun
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || data.error || 'Failed to read receipt');
+      }
+
+      if (dryRun) {
+        setPreview(data);
+        setResult(null);
+      } else {
+        setResult(data);
+        setPreview(null);
+        setText('');
+        setHistoryId('');
+        loadTrips();
+        if (onImported) onImported(data);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(String(reader.result || ''));
+      if (file.name.toLowerCase().endsWith('.csv')) setFormat('csv');
+      setPreview(null);
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  if (!currentUser) return null;
+
+  const shown = preview || result;
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🧾 Import a receipt</h3>
+        <label style={styles.fileButton}>
+          📎 Upload file
+          <input type="file" accept=".txt,.csv,.eml,text/plain,text/csv" onChange={handleFile} style={styles.hiddenInput} />
+        </label>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => { setText(e.target.value); setPreview(null); }}
+        placeholder="Paste a store receipt, a CSV export, or the body of an Instacart order email"
+        rows={8}
+        style={styles.textarea}
+      />
+
+      <div style={styles.controls}>
+        <select value={format} onChange={(e) => { setFormat(e.target.value); setPreview(null); }} style={styles.select}>
+          {FORMAT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <select value={historyId} onChange={(e) => { setHistoryId(e.target.value); setPreview(null); }} style={styles.select}>
+          <option value="">New trip (no planned list)</option>
+          {trips.map(trip => (
+            <option key={trip.id} value={trip.id}>
+              {trip.storeName} · {new Date(trip.completedAt).toLocaleDateString()} · {trip.itemCount} items
+            </option>
+          ))}
+        </select>
+        <button onClick={() => submit(true)} disabled={isBusy || !text.trim()} style={styles.button}>
+          Check receipt
+        </button>
+        <button onClick={() => submit(false)} disabled={isBusy || !preview} style={styles.primaryButton}>
+          Apply
+        </button>
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {result && (
+        <div style={styles.success}>
+          Receipt saved{result.historyCreated ? ' as a new trip' : ' to your trip'}
+          {result.pantry ? ' · pantry updated' : ''}
+          {result.pricesRecorded ? ` · ${result.pricesRecorded} prices tracked` : ''}
+        </div>
+      )}
+
+      {shown && (
+        <div style={styles.section}>
+          <div style={styles.summaryRow}>
+            <span>{shown.receipt.storeName || 'Unknown store'} · {shown.receipt.items.length} items</span>
+            <span>
+              Planned {formatMoney(shown.reconciliation.summary.plannedTotal)} · Paid {formatMoney(shown.reconciliation.summary.actualTotal)}
+              {shown.reconciliation.summary.plannedItems > 0 && (
+                <strong> ({formatDifference(shown.reconciliation.summary.difference) || 'on budget'})</strong>
+              )}
+            </span>
+          </div>
+
+          {shown.reconciliation.lines.map((line, index) => (
+            <div key={`${line.status}-${index}`} style={{ ...styles.line, ...styles[line.status] }}>
+              <span style={styles.lineStatus}>{STATUS_LABELS[line.status]}</span>
+              <span style={styles.lineName}>
+                {line.status === 'substituted'
+                  ? `${line.name} → ${line.actual.name}${line.inferred ? ' (likely)' : ''}`
+                  : line.name}
+                {line.reason === 'refunded' && <span style={styles.muted}> · refunded</span>}
+              </span>
+              <span style={styles.linePrice}>
+                {formatMoney(line.actual ? line.actual.price : null)}
+                {line.priceDifference ? <span style={styles.muted}> {formatDifference(line.priceDifference)}</span> : null}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #002244',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px'
+  },
+  title: {
+    margin: 0,
+    color: '#002244',
+    fontSize: '20px'
+  },
+  fileButton: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  hiddenInput: {
+    display: 'none'
+  },
+  textarea: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '10px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontFamily: 'monospace',
+    fontSize: '13px'
+  },
+  controls: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    marginTop: '8px'
+  },
+  select: {
+    padding: '6px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '6px',
+    fontSize: '13px'
+  },
+  button: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  primaryButton: {
+    padding: '6px 14px',
+    backgroundColor: '#FB4F14',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px',
+    marginTop: '8px'
+  },
+  success: {
+    color: '#1E7B34',
+    fontSize: '14px',
+    marginTop: '8px'
+  },
+  section: {
+    marginTop: '16px'
+  },
+  summaryRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    gap: '8px',
+    fontSize: '14px',
+    color: '#002244',
+    marginBottom: '8px'
+  },
+  line: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '13px',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    marginBottom: '2px'
+  },
+  lineStatus: {
+    width: '120px',
+    flexShrink: 0
+  },
+  lineName: {
+    flex: 1
+  },
+  linePrice: {
+    whiteSpace: 'nowrap'
+  },
+  muted: {
+    color: '#666',
+    fontSize: '12px'
+  },
+  matched: {
+    backgroundColor: '#F7F9FB'
+  },
+  substituted: {
+    backgroundColor: '#FFF4ED',
+    color: '#8A2E00'
+  },
+  missing: {
+    backgroundColor: '#FDECEA',
+    color: '#B3261E'
+  },
+  extra: {
+    backgroundColor: '#E6F4EA',
+    color: '#1E7B34'
+  }
+};
+
+export default ReceiptImportPanel;
@@ -19,7 +19,7 @@ function RecipeManager({ onClose, onRecipeSelect, savedRecipes, onRecipeSave, on
   const [importError, setImportError] = useState('');
   const [previewData, setPreviewData] = useState(null);
   
-  const { currentUser } = useAuth();
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
   const [loading, setLoading] = useState(false);
 
   const loadRecipes = useCallback(async () => {
@@ -190,12 +190,10 @@ function RecipeManager({ onClose, onRecipeSelect, savedRecipes, onRecipeSave, on
         
         try {
           const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
-          const parseResponse = await fetch(`${API_URL}/api/cart/parse`, {
+          const parseResponse = await makeAuthenticatedRequest(`${API_URL}/api/cart/parse`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
               listText: recipe.ingredients,
-              userId: currentUser?.uid,
               useAI: true,
               options: {
                 context: 'recipe',
@@ -300,12 +298,10 @@ function RecipeManager({ onClose, onRecipeSelect, savedRecipes, onRecipeSave, on
       // Try to parse ingredients to cart items using AI
       try {
         const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
-        const parseResponse = await fetch(`${API_URL}/api/cart/parse`, {
+        const parseResponse = await makeAuthenticatedRequest(`${API_URL}/api/cart/parse`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             listText: previewData.ingredients,
-            userId: currentUser?.uid,
             useAI: true,
             options: {
               context: 'recipe',
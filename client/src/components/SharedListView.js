@@ -0,0 +1,282 @@
+// client/src/components/SharedListView.js
+// Read-only view for lists opened through a /shared/:shareId link
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { API_URL } from '../config/api';
+import userDataService from '../services/userDataService';
+import AuthModal from './AuthModal';
+
+function SharedListView({ shareId, onBack }) {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const [list, setList] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [copyStatus, setCopyStatus] = useState('idle'); // idle, copying, copied, error
+  const [instacartStatus, setInstacartStatus] = useState('idle'); // idle, sending, error
+  const [showAuthModal, setShowAuthModal] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSharedList = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const response = await fetch(`${API_URL}/api/shared/${encodeURIComponent(shareId)}`);
+        const data = await response.json().catch(() => ({}));
+
+        if (cancelled) return;
+
+        if (!response.ok || !data.success) {
+          setError(data.error || 'This shared list could not be found');
+          return;
+        }
+
+        setList(data.list);
+      } catch (err) {
+        console.error('Error loading shared list:', err);
+        if (!cancelled) {
+          setError('Failed to load shared list. Please try again.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadSharedList();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [shareId]);
+
+  const handleCopyToMyLists = async () => {
+    if (!currentUser) {
+      setShowAuthModal(true);
+      return;
+    }
+
+    setCopyStatus('copying');
+
+    try {
+      const now = new Date().toISOString();
+      await userDataService.saveShoppingList({
+        id: `list_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: list.name,
+        items: list.items.map(item => ({
+          ...item,
+          id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          checked: false
+        })),
+        itemCount: list.items.length,
+        copiedFromShareId: shareId,
+        createdAt: now,
+        updatedAt: now
+      });
+      setCopyStatus('copied');
+
+      if (window.refreshAccountData) {
+        window.refreshAccountData();
+      }
+    } catch (err) {
+      console.error('Error copying shared list:', err);
+      setCopyStatus('error');
+    }
+  };
+
+  const handleSendToInstacart = async () => {
+    if (!currentUser) {
+      setShowAuthModal(true);
+      return;
+    }
+
+    setInstacartStatus('sending');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/instacart/shopping-list/create`, {
+        method: 'POST',
+        body: JSON.stringify({
+          title: list.name,
+          lineItems: list.items.map(item => ({
+            name: item.productName || item.name,
+            quantity: item.quantity || 1,
+            unit: item.unit || 'each'
+          })),
+          partnerUrl: window.location.origin
+        })
+      });
+      const data = await response.json();
+
+      if (!data.success || !data.instacartUrl) {
+        throw new Error(data.error || 'Instacart did not return a shopping link');
+      }
+
+      setInstacartStatus('idle');
+      window.open(data.instacartUrl, '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      console.error('Error sending shared list to Instacart:', err);
+      setInstacartStatus('error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <p style={styles.muted}>Loading shared list...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <h2 style={styles.title}>Shared list unavailable</h2>
+          <p style={styles.muted}>{error}</p>
+          <button style={styles.secondaryButton} onClick={onBack}>
+            Go to CARTSMASH
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h2 style={styles.title}>{list.name}</h2>
+        <p style={styles.muted}>
+          {list.itemCount} item{list.itemCount === 1 ? '' : 's'}
+          {list.sharedBy ? ` · shared by ${list.sharedBy}` : ''}
+          {list.expiresAt ? ` · link expires ${new Date(list.expiresAt).toLocaleDateString()}` : ''}
+        </p>
+
+        <ul style={styles.itemList}>
+          {list.items.map((item, index) => (
+            <li key={index} style={styles.item}>
+              <span style={styles.itemName}>{item.productName || item.name}</span>
+              <span style={styles.itemQuantity}>
+                {item.quantity || 1} {item.unit && item.unit !== 'each' ? item.unit : ''}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div style={styles.actions}>
+          <button
+            style={styles.primaryButton}
+            onClick={handleCopyToMyLists}
+            disabled={copyStatus === 'copying' || copyStatus === 'copied'}
+          >
+            {copyStatus === 'copying' ? 'Copying...' : copyStatus === 'copied' ? '✅ Copied to My Lists' : 'Copy to my lists'}
+          </button>
+          <button
+            style={styles.instacartButton}
+            onClick={handleSendToInstacart}
+            disabled={instacartStatus === 'sending'}
+          >
+            {instacartStatus === 'sending' ? 'Sending...' : 'Send to Instacart'}
+          </button>
+        </div>
+
+        {copyStatus === 'error' && (
+          <p style={styles.error}>Failed to copy this list. Please try again.</p>
+        )}
+        {instacartStatus === 'error' && (
+          <p style={styles.error}>Failed to create an Instacart shopping list. Please try again.</p>
+        )}
+        {!currentUser && (
+          <p style={styles.muted}>Sign in to copy this list or send it to Instacart.</p>
+        )}
+      </div>
+
+      {showAuthModal && (
+        <AuthModal isOpen={showAuthModal} onClose={() => setShowAuthModal(false)} />
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    maxWidth: '720px',
+    margin: '0 auto',
+    padding: '32px 16px'
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: '12px',
+    padding: '24px',
+    boxShadow: '0 4px 20px rgba(0,0,0,0.08)',
+    border: '1px solid #e5e7eb'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    color: '#111827'
+  },
+  muted: {
+    color: '#6b7280',
+    margin: '0 0 16px 0'
+  },
+  itemList: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 24px 0'
+  },
+  item: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    padding: '10px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  itemName: {
+    color: '#111827',
+    fontWeight: '500'
+  },
+  itemQuantity: {
+    color: '#6b7280'
+  },
+  actions: {
+    display: 'flex',
+    gap: '12px',
+    flexWrap: 'wrap',
+    marginBottom: '12px'
+  },
+  primaryButton: {
+    padding: '12px 20px',
+    borderRadius: '8px',
+    border: 'none',
+    background: 'linear-gradient(45deg, #FF6B35, #F7931E)',
+    color: 'white',
+    fontWeight: 'bold',
+    cursor: 'pointer'
+  },
+  instacartButton: {
+    padding: '12px 20px',
+    borderRadius: '8px',
+    border: 'none',
+    backgroundColor: '#0AAD0A',
+    color: 'white',
+    fontWeight: 'bold',
+    cursor: 'pointer'
+  },
+  secondaryButton: {
+    padding: '12px 20px',
+    borderRadius: '8px',
+    border: '1px solid #d1d5db',
+    backgroundColor: 'white',
+    color: '#374151',
+    cursor: 'pointer'
+  },
+  error: {
+    color: '#dc2626',
+    margin: '0 0 12px 0'
+  }
+};
+
+export default SharedListView;
@@ -0,0 +1,435 @@
+// client/src/components/StoreWalkingOrder.js
+// Shows a cart or saved list in the walking order of a store layout, lets the user
+// reorder aisles / label them and save the layout for their local store, and
+// exports the list as a printable checklist
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { API_URL } from '../config/api';
+import { toUnitSystem } from '../utils/unitDisplay';
+
+const slugify = (value) =>
+  String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64);
+
+// "2 lb" in the user's unit system
+const formatAmount = (item, unitSystem) => {
+  const { quantity, unit } = toUnitSystem(item.quantity, item.unit, unitSystem);
+  return [quantity, unit].filter(Boolean).join(' ');
+};
+
+function StoreWalkingOrder({ items = [], listName = 'Shopping List', retailerId = 'default', unitSystem = 'imperial', isOpen = false, onClose }) {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const [layouts, setLayouts] = useState({ chains: [], custom: [] });
+  const [storeId, setStoreId] = useState(slugify(retailerId) || 'default');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [saveAs, setSaveAs] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const loadLayouts = useCallback(async () => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/stores/layouts`);
+      const data = await response.json();
+      if (data.success) {
+        setLayouts({ chains: data.chains, custom: data.custom });
+      }
+    } catch (err) {
+      console.error('Failed to load store layouts:', err);
+    }
+  }, [makeAuthenticatedRequest]);
+
+  const loadWalkingOrder = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/stores/${encodeURIComponent(storeId)}/walking-order`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items, format: 'text' })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to sort list');
+      }
+      setResult(data);
+      setDraft(data.layout.departments);
+    } catch (err) {
+      console.error('Walking order error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [makeAuthenticatedRequest, storeId, items]);
+
+  useEffect(() => {
+    if (isOpen && currentUser) loadLayouts();
+  }, [isOpen, currentUser, loadLayouts]);
+
+  useEffect(() => {
+    if (isOpen && currentUser) loadWalkingOrder();
+  }, [isOpen, currentUser, loadWalkingOrder]);
+
+  const moveDepartment = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= draft.length) return;
+    const next = [...draft];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDraft(next);
+  };
+
+  const setAisleLabel = (index, aisle) => {
+    setDraft(prev => prev.map((dept, i) => (i === index ? { ...dept, aisle } : dept)));
+  };
+
+  const saveLayout = async () => {
+    const targetId = slugify(saveAs) || storeId;
+    setStatus('Saving…');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/stores/${encodeURIComponent(targetId)}/layout`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: saveAs.trim() || result?.layout?.name,
+          chain: result?.layout?.chain,
+          departments: draft.map(dept => ({ id: dept.id, aisle: dept.aisle || null }))
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save layout');
+      }
+      setStatus('✅ Layout saved');
+      setIsEditing(false);
+      setSaveAs('');
+      await loadLayouts();
+      if (targetId === storeId) {
+        await loadWalkingOrder();
+      } else {
+        setStoreId(targetId);
+      }
+    } catch (err) {
+      setStatus(`❌ ${err.message}`);
+    }
+  };
+
+  const resetLayout = async () => {
+    if (!window.confirm('Reset this store to its default aisle order?')) return;
+
+    try {
+      await makeAuthenticatedRequest(`${API_URL}/api/stores/${encodeURIComponent(storeId)}/layout`, { method: 'DELETE' });
+      setStatus('Layout reset to default');
+      await loadLayouts();
+      await loadWalkingOrder();
+    } catch (err) {
+      setStatus(`❌ ${err.message}`);
+    }
+  };
+
+  const copyText = async () => {
+    try {
+      await navigator.clipboard.writeText(result.text);
+      setStatus('📋 Copied to clipboard');
+    } catch (err) {
+      setStatus('❌ Could not copy - try Download instead');
+    }
+  };
+
+  const downloadText = () => {
+    const blob = new Blob([result.text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${slugify(listName) || 'shopping-list'}-${storeId}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!isOpen) return null;
+
+  const isCustom = result?.layout?.custom;
+
+  return (
+    <div style={styles.overlay}>
+      <div style={styles.modal}>
+        <div style={styles.header}>
+          <div>
+            <h2 style={styles.title}>🚶 Walking Order</h2>
+            <div style={styles.subtitle}>{listName} · {items.length} items</div>
+          </div>
+          <button onClick={onClose} style={styles.closeButton}>✕</button>
+        </div>
+
+        <div style={styles.toolbar}>
+          <label style={styles.label}>
+            Store layout
+            <select value={storeId} onChange={(e) => setStoreId(e.target.value)} style={styles.select}>
+              {layouts.custom.length > 0 && (
+                <optgroup label="My stores">
+                  {layouts.custom.map(layout => (
+                    <option key={layout.storeId} value={layout.storeId}>{layout.name}</option>
+                  ))}
+                </optgroup>
+              )}
+              <optgroup label="Chains">
+                {layouts.chains.map(layout => (
+                  <option key={layout.chain} value={layout.chain}>{layout.name}</option>
+                ))}
+              </optgroup>
+              {!layouts.custom.some(l => l.storeId === storeId) && !layouts.chains.some(l => l.chain === storeId) && (
+                <option value={storeId}>{storeId}</option>
+              )}
+            </select>
+          </label>
+          <div style={styles.toolbarButtons}>
+            <button onClick={() => setIsEditing(!isEditing)} style={styles.secondaryButton} disabled={!result}>
+              {isEditing ? 'Done' : '✏️ Edit aisles'}
+            </button>
+            {isCustom && (
+              <button onClick={resetLayout} style={styles.secondaryButton}>↩️ Reset</button>
+            )}
+            <button onClick={copyText} style={styles.secondaryButton} disabled={!result?.text}>📋 Copy</button>
+            <button onClick={downloadText} style={styles.primaryButton} disabled={!result?.text}>⬇️ Download</button>
+          </div>
+        </div>
+
+        {status && <div style={styles.status}>{status}</div>}
+        {error && <div style={styles.error}>{error}</div>}
+        {isLoading && <div style={styles.status}>Sorting your list…</div>}
+
+        {isEditing ? (
+          <div style={styles.body}>
+            <p style={styles.hint}>
+              Put the departments in the order you walk your store. Aisle labels are optional.
+            </p>
+            {draft.map((dept, index) => (
+              <div key={dept.id} style={styles.editRow}>
+                <span style={styles.editIndex}>{index + 1}</span>
+                <span style={styles.editName}>{dept.name}</span>
+                <input
+                  value={dept.aisle || ''}
+                  onChange={(e) => setAisleLabel(index, e.target.value)}
+                  placeholder="Aisle"
+                  maxLength={40}
+                  style={styles.aisleInput}
+                />
+                <button onClick={() => moveDepartment(index, -1)} style={styles.moveButton} disabled={index === 0}>↑</button>
+                <button onClick={() => moveDepartment(index, 1)} style={styles.moveButton} disabled={index === draft.length - 1}>↓</button>
+              </div>
+            ))}
+            <div style={styles.saveRow}>
+              <input
+                value={saveAs}
+                onChange={(e) => setSaveAs(e.target.value)}
+                placeholder={`Save as (e.g. "Safeway on Main St") - blank saves ${result?.layout?.name || storeId}`}
+                style={styles.saveInput}
+              />
+              <button onClick={saveLayout} style={styles.primaryButton}>💾 Save layout</button>
+            </div>
+          </div>
+        ) : (
+          <div style={styles.body}>
+            {result?.groups?.map(({ department, items: departmentItems }) => (
+              <div key={department.id} style={styles.group}>
+                <div style={styles.groupHeader}>
+                  {department.name}
+                  {department.aisle && <span style={styles.aisleBadge}>{department.aisle}</span>}
+                </div>
+                {departmentItems.map((item, idx) => (
+                  <div key={item.id || idx} style={styles.item}>
+                    ☐ {formatAmount(item, unitSystem)} {item.productName || item.name || item.item}
+                  </div>
+                ))}
+              </div>
+            ))}
+            {result && result.groups.length === 0 && <p style={styles.hint}>This list is empty.</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9998,
+    padding: '1rem'
+  },
+  modal: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: '1rem',
+    maxWidth: '700px',
+    width: '100%',
+    maxHeight: '90vh',
+    overflowY: 'auto',
+    boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.25)'
+  },
+  header: {
+    background: 'linear-gradient(135deg, #002244 0%, #1a365d 100%)',
+    color: '#FFFFFF',
+    padding: '1.25rem 1.5rem',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderRadius: '1rem 1rem 0 0'
+  },
+  title: {
+    margin: 0,
+    fontSize: '1.4rem'
+  },
+  subtitle: {
+    fontSize: '0.9rem',
+    opacity: 0.8,
+    marginTop: '4px'
+  },
+  closeButton: {
+    background: 'none',
+    border: 'none',
+    color: '#FFFFFF',
+    fontSize: '1.4rem',
+    cursor: 'pointer'
+  },
+  toolbar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    gap: '12px',
+    padding: '1rem 1.5rem',
+    borderBottom: '1px solid #e5e7eb'
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: '0.8rem',
+    color: '#6b7280',
+    gap: '4px'
+  },
+  select: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '0.95rem'
+  },
+  toolbarButtons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px'
+  },
+  primaryButton: {
+    padding: '8px 14px',
+    backgroundColor: '#FB4F14',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontWeight: 'bold'
+  },
+  secondaryButton: {
+    padding: '8px 14px',
+    backgroundColor: '#f3f4f6',
+    color: '#002244',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  status: {
+    padding: '0.5rem 1.5rem',
+    fontSize: '0.9rem',
+    color: '#374151'
+  },
+  error: {
+    padding: '0.5rem 1.5rem',
+    fontSize: '0.9rem',
+    color: '#dc3545'
+  },
+  body: {
+    padding: '1rem 1.5rem 1.5rem'
+  },
+  hint: {
+    color: '#6b7280',
+    fontSize: '0.9rem',
+    marginTop: 0
+  },
+  group: {
+    marginBottom: '1rem'
+  },
+  groupHeader: {
+    fontWeight: 'bold',
+    color: '#002244',
+    borderBottom: '2px solid #FB4F14',
+    paddingBottom: '4px',
+    marginBottom: '6px',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  },
+  aisleBadge: {
+    fontSize: '0.75rem',
+    fontWeight: 'normal',
+    backgroundColor: '#002244',
+    color: 'white',
+    padding: '2px 8px',
+    borderRadius: '10px'
+  },
+  item: {
+    padding: '4px 0',
+    fontSize: '0.95rem',
+    color: '#374151'
+  },
+  editRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '6px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  editIndex: {
+    width: '24px',
+    color: '#9ca3af',
+    textAlign: 'right'
+  },
+  editName: {
+    flex: 1,
+    color: '#002244'
+  },
+  aisleInput: {
+    width: '90px',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    border: '1px solid #d1d5db'
+  },
+  moveButton: {
+    padding: '4px 10px',
+    backgroundColor: '#f3f4f6',
+    border: '1px solid #d1d5db',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  saveRow: {
+    display: 'flex',
+    gap: '8px',
+    marginTop: '1rem'
+  },
+  saveInput: {
+    flex: 1,
+    padding: '8px 10px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db'
+  }
+};
+
+export default StoreWalkingOrder;
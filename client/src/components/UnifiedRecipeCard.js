@@ -1,27 +1,81 @@
 // client/src/components/UnifiedRecipeCard.js
 // Unified component for displaying both AI and URL-imported recipes
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { saveRecipeToLibrary } from '../services/RecipeService';
 
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+const MAX_SERVINGS = 200;
+
 export default function UnifiedRecipeCard({ 
-  recipe, 
+  recipe: savedRecipe, 
   onAddToLibrary, 
   onAddToMealPlan,
+  onAddToCart,
   showSelection = false,
   isSelected = false,
   onSelectionChange,
   importStatus: externalImportStatus = null 
 }) {
-  const { currentUser } = useAuth();
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
   const [localImportStatus, setLocalImportStatus] = useState(externalImportStatus);
   const [isExpanded, setIsExpanded] = useState(false);
+  const baseServings = Number(savedRecipe.servings || savedRecipe.yield?.servings) || 4;
+  const [servings, setServings] = useState(baseServings);
+  const [scaled, setScaled] = useState(null);
+  const [scaleError, setScaleError] = useState('');
   const uid = currentUser?.uid;
 
   // Use external status if provided, otherwise use local
   const importStatus = externalImportStatus !== null ? externalImportStatus : localImportStatus;
 
+  // Everything below renders the scaled copy once the servings stepper moves
+  const recipe = scaled?.recipe || savedRecipe;
+  const scalingWarnings = scaled?.warnings || [];
+
+  // Re-scale on the server when the servings change (debounced for rapid clicks)
+  useEffect(() => {
+    if (servings === baseServings) {
+      setScaled(null);
+      setScaleError('');
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        // Saved recipes scale by id; previews send the recipe itself
+        const inLibrary = importStatus === 'imported' && uid && savedRecipe.id;
+        const response = await makeAuthenticatedRequest(
+          inLibrary ? `${API_URL}/api/unified/${encodeURIComponent(savedRecipe.id)}/scale` : `${API_URL}/api/unified/scale`,
+          {
+            method: 'POST',
+            body: JSON.stringify(inLibrary
+              ? { servings, baseServings }
+              : { recipe: savedRecipe, servings, baseServings })
+          }
+        );
+        const result = await response.json();
+        if (cancelled) return;
+        if (!response.ok || !result.success) throw new Error(result.error || 'Scaling failed');
+        setScaled(result);
+        setScaleError('');
+      } catch (error) {
+        if (!cancelled) setScaleError(error.message);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [servings, baseServings, savedRecipe, importStatus, uid, makeAuthenticatedRequest]);
+
+  const changeServings = (delta) => {
+    setServings(current => Math.min(MAX_SERVINGS, Math.max(1, current + delta)));
+  };
+
   // Determine icon based on meal type or recipe characteristics
   const getRecipeIcon = () => {
     if (recipe.icon) return recipe.icon;
@@ -47,6 +101,7 @@ export default function UnifiedRecipeCard({
     return displayIngredients
       .map(ing => {
         if (typeof ing === 'string') return `• ${ing}`;
+        if (ing.scaled) return `• ${ing.original}`;
         
         // If it's a structured ingredient, format it with quantity, unit, and item
         if (ing.quantity && ing.unit && ing.item) {
@@ -75,9 +130,9 @@ export default function UnifiedRecipeCard({
     
     try {
       if (onAddToLibrary) {
-        await onAddToLibrary(recipe);
+        await onAddToLibrary(savedRecipe);
       } else {
-        await saveRecipeToLibrary(uid, recipe);
+        await saveRecipeToLibrary(uid, savedRecipe);
       }
       setLocalImportStatus('imported');
     } catch (error) {
@@ -94,7 +149,7 @@ export default function UnifiedRecipeCard({
     }
     
     if (onAddToMealPlan) {
-      onAddToMealPlan(recipe);
+      onAddToMealPlan(savedRecipe);
     }
   };
 
@@ -198,11 +253,39 @@ export default function UnifiedRecipeCard({
               ⏱️ {recipe.totalTime || recipe.time?.total_min || recipe.prepTime || recipe.time?.prep_min} min
             </span>
           )}
-          {(recipe.servings || recipe.yield?.servings) && (
-            <span className="flex items-center gap-1">
-              🍽️ {recipe.servings || recipe.yield?.servings}
+          <span className="flex items-center gap-1" aria-label="Servings">
+            🍽️
+            <button
+              type="button"
+              onClick={() => changeServings(-1)}
+              disabled={servings <= 1}
+              className="w-6 h-6 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+              aria-label="Fewer servings"
+            >
+              −
+            </button>
+            <span className={servings !== baseServings ? 'font-semibold text-blue-700' : ''}>
+              {servings}
             </span>
-          )}
+            <button
+              type="button"
+              onClick={() => changeServings(1)}
+              disabled={servings >= MAX_SERVINGS}
+              className="w-6 h-6 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+              aria-label="More servings"
+            >
+              +
+            </button>
+            {servings !== baseServings && (
+              <button
+                type="button"
+                onClick={() => setServings(baseServings)}
+                className="text-xs text-gray-500 hover:underline"
+              >
+                reset
+              </button>
+            )}
+          </span>
           {(recipe.nutrition?.calories > 0 || recipe.nutrition_per_serving?.calories_kcal > 0) && (
             <span className="flex items-center gap-1">
               🔥 {recipe.nutrition?.calories || recipe.nutrition_per_serving?.calories_kcal} cal
@@ -220,6 +303,8 @@ export default function UnifiedRecipeCard({
               let ingredientText = '';
               if (typeof ing === 'string') {
                 ingredientText = ing;
+              } else if (ing.scaled) {
+                ingredientText = ing.original;
               } else if (ing.quantity && ing.unit && ing.item) {
                 const quantity = typeof ing.quantity === 'object' ?
                   (ing.quantity.min && ing.quantity.max ? `${ing.quantity.min}-${ing.quantity.max}` : ing.quantity.min || ing.quantity.max || ing.quantity.text) :
@@ -247,6 +332,18 @@ export default function UnifiedRecipeCard({
           </div>
         </div>
 
+        {/* Scaling notes */}
+        {scaleError && (
+          <div className="mb-4 text-xs text-red-600">Could not scale: {scaleError}</div>
+        )}
+        {scalingWarnings.length > 0 && (
+          <ul className="mb-4 text-xs text-amber-700 space-y-1">
+            {scalingWarnings.map((warning, index) => (
+              <li key={`${warning.item}-${index}`}>⚠️ {warning.item}: {warning.note}</li>
+            ))}
+          </ul>
+        )}
+
         {/* Simplified Tags */}
         {recipe.tags && recipe.tags.length > 0 && (
           <div className="flex flex-wrap gap-2 mb-4">
@@ -270,6 +367,22 @@ export default function UnifiedRecipeCard({
       {/* Expandable Instructions Section */}
       {isExpanded && recipe.instructions && (
         <div style={{ padding: '16px 24px 0 24px' }} className="border-t border-gray-200">
+          {recipe.ingredients?.length > 0 && (
+            <>
+              <h4 className="font-semibold text-sm mb-3 text-gray-900">
+                Ingredients ({servings} servings):
+              </h4>
+              <ul className="space-y-1 text-sm text-gray-700 mb-4">
+                {recipe.ingredients.map((ing, index) => (
+                  <li key={index} className={ing.nonLinear ? 'text-amber-700' : ''}>
+                    • {typeof ing === 'string' ? ing : ing.original || [ing.quantity, ing.unit, ing.item].filter(Boolean).join(' ')}
+                    {ing.nonLinear && ' ⚠️'}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
           <h4 className="font-semibold text-sm mb-3 text-gray-900">Instructions:</h4>
           <ol className="list-decimal list-inside space-y-2 text-sm text-gray-700 mb-4">
             {recipe.instructions.map((instruction, index) => (
@@ -340,6 +453,16 @@ export default function UnifiedRecipeCard({
           >
             📅 Plan
           </button>
+
+          {onAddToCart && (
+            <button
+              onClick={() => onAddToCart(recipe)}
+              className="px-4 py-2 bg-orange-500 text-white rounded-lg font-medium hover:bg-orange-600 transition-all flex items-center justify-center gap-2"
+              title={servings !== baseServings ? `Adds ingredients for ${servings} servings` : undefined}
+            >
+              🛒 Cart
+            </button>
+          )}
         </div>
       </div>
     </div>
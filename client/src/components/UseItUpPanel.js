@@ -0,0 +1,292 @@
+// client/src/components/UseItUpPanel.js
+// "Use it up" panel for My Account: pantry items expiring soon, recipe ideas that
+// use them, and the daily use-it-up notifications
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const spoonacularUrl = (recipe) =>
+  `https://spoonacular.com/recipes/${recipe.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${recipe.id}`;
+
+const daysLeftLabel = (daysLeft) => {
+  if (daysLeft <= 0) return 'today';
+  if (daysLeft === 1) return 'tomorrow';
+  return `in ${daysLeft} days`;
+};
+
+function UseItUpPanel({ savedRecipes = [], onRecipeSelect }) {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const [useItUp, setUseItUp] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadUseItUp = useCallback(async () => {
+    if (!currentUser) return;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [expiringResponse, notificationsResponse] = await Promise.all([
+        makeAuthenticatedRequest(`${API_URL}/api/account/pantry/expiring`),
+        makeAuthenticatedRequest(`${API_URL}/api/account/notifications?unread=true`)
+      ]);
+      const expiringData = await expiringResponse.json();
+      const notificationsData = await notificationsResponse.json();
+
+      if (!expiringData.success) {
+        throw new Error(expiringData.error || 'Failed to load expiring items');
+      }
+      setUseItUp(expiringData);
+      setNotifications(notificationsData.success ? notificationsData.notifications : []);
+    } catch (err) {
+      console.error('Use-it-up loading error:', err);
+      setError('Unable to check your pantry right now');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUser, makeAuthenticatedRequest]);
+
+  useEffect(() => {
+    loadUseItUp();
+  }, [loadUseItUp]);
+
+  const dismissNotification = async (notificationId) => {
+    setNotifications(prev => prev.filter(n => n.id !== notificationId));
+    try {
+      await makeAuthenticatedRequest(`${API_URL}/api/account/notifications/${notificationId}/read`, {
+        method: 'POST'
+      });
+    } catch (err) {
+      console.error('Failed to mark notification read:', err);
+    }
+  };
+
+  const openSuggestion = (suggestion) => {
+    if (suggestion.source === 'saved') {
+      const recipe = savedRecipes.find(r => r.id === suggestion.id);
+      if (recipe && onRecipeSelect) onRecipeSelect(recipe);
+      return;
+    }
+    window.open(spoonacularUrl(suggestion), '_blank', 'noopener,noreferrer');
+  };
+
+  if (!currentUser) return null;
+
+  const expiring = useItUp?.expiring || [];
+  const expired = useItUp?.expired || [];
+  const suggestions = useItUp?.suggestions || [];
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>🥕 Use It Up</h3>
+        <button onClick={loadUseItUp} style={styles.refreshButton} disabled={isLoading}>
+          {isLoading ? 'Checking…' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {notifications.map(notification => (
+        <div key={notification.id} style={styles.notification}>
+          <div>
+            <div style={styles.notificationTitle}>🔔 {notification.title}</div>
+            <div style={styles.notificationMessage}>{notification.message}</div>
+          </div>
+          <button onClick={() => dismissNotification(notification.id)} style={styles.dismissButton}>
+            ✕
+          </button>
+        </div>
+      ))}
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {!error && useItUp && expiring.length === 0 && expired.length === 0 && (
+        <p style={styles.empty}>
+          Nothing in your pantry expires in the next {useItUp.days} days. 🎉
+        </p>
+      )}
+
+      {expiring.length > 0 && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Expiring soon</div>
+          <div style={styles.chips}>
+            {expiring.map(item => (
+              <span key={item.id} style={{ ...styles.chip, ...(item.daysLeft <= 1 ? styles.chipUrgent : {}) }}>
+                {item.name} · {daysLeftLabel(item.daysLeft)}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {expired.length > 0 && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Past expiry - check before using</div>
+          <div style={styles.chips}>
+            {expired.map(item => (
+              <span key={item.id} style={{ ...styles.chip, ...styles.chipExpired }}>{item.name}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {suggestions.length > 0 && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Recipe ideas</div>
+          <div style={styles.suggestionGrid}>
+            {suggestions.map(suggestion => (
+              <button
+                key={`${suggestion.source}-${suggestion.id}`}
+                onClick={() => openSuggestion(suggestion)}
+                style={styles.suggestionCard}
+              >
+                {suggestion.image && <img src={suggestion.image} alt="" style={styles.suggestionImage} />}
+                <div style={styles.suggestionTitle}>{suggestion.title}</div>
+                <div style={styles.suggestionMeta}>
+                  {suggestion.source === 'saved' ? '📖 Your recipe' : '🌐 Spoonacular'}
+                  {suggestion.missedIngredientCount > 0 && ` · ${suggestion.missedIngredientCount} to buy`}
+                </div>
+                <div style={styles.suggestionUses}>Uses {suggestion.uses.join(', ')}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '24px',
+    padding: '20px',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    border: '2px solid #FB4F14',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px'
+  },
+  title: {
+    margin: 0,
+    color: '#002244',
+    fontSize: '20px'
+  },
+  refreshButton: {
+    padding: '6px 12px',
+    backgroundColor: '#002244',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  notification: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    gap: '12px',
+    padding: '12px',
+    marginBottom: '12px',
+    backgroundColor: '#FFF4ED',
+    borderRadius: '8px',
+    borderLeft: '4px solid #FB4F14'
+  },
+  notificationTitle: {
+    fontWeight: 'bold',
+    color: '#002244'
+  },
+  notificationMessage: {
+    fontSize: '14px',
+    color: '#555',
+    marginTop: '4px'
+  },
+  dismissButton: {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '16px',
+    color: '#999'
+  },
+  error: {
+    color: '#dc3545',
+    fontSize: '14px'
+  },
+  empty: {
+    color: '#666',
+    margin: 0
+  },
+  section: {
+    marginTop: '12px'
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    color: '#002244',
+    marginBottom: '8px',
+    fontSize: '14px'
+  },
+  chips: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px'
+  },
+  chip: {
+    padding: '4px 10px',
+    borderRadius: '12px',
+    backgroundColor: '#FFE8D6',
+    color: '#8A2E00',
+    fontSize: '13px'
+  },
+  chipUrgent: {
+    backgroundColor: '#FB4F14',
+    color: 'white'
+  },
+  chipExpired: {
+    backgroundColor: '#eee',
+    color: '#666',
+    textDecoration: 'line-through'
+  },
+  suggestionGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+    gap: '12px'
+  },
+  suggestionCard: {
+    textAlign: 'left',
+    padding: '10px',
+    backgroundColor: '#f8f9fa',
+    border: '1px solid #ddd',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  suggestionImage: {
+    width: '100%',
+    height: '100px',
+    objectFit: 'cover',
+    borderRadius: '6px',
+    marginBottom: '8px'
+  },
+  suggestionTitle: {
+    fontWeight: 'bold',
+    color: '#002244',
+    fontSize: '14px'
+  },
+  suggestionMeta: {
+    fontSize: '12px',
+    color: '#666',
+    marginTop: '4px'
+  },
+  suggestionUses: {
+    fontSize: '12px',
+    color: '#FB4F14',
+    marginTop: '4px'
+  }
+};
+
+export default UseItUpPanel;
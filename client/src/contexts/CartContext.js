@@ -1,6 +1,8 @@
 // client/src/contexts/CartContext.js
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useAuth } from './AuthContext';
+import { useSharedList } from '../hooks/useSharedList';
+import { useCartHistory } from '../hooks/useCartHistory';
 
 const CartContext = createContext();
 
@@ -13,7 +15,7 @@ export const useCart = () => {
 };
 
 export const CartProvider = ({ children }) => {
-  const { currentUser } = useAuth();
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
   const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
   
   // Core State
@@ -23,7 +25,20 @@ export const CartProvider = ({ children }) => {
   const [mealPlans, setMealPlans] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  
+
+  // Collaborative (household) list state
+  const sharedList = useSharedList();
+
+  // Undo/redo and snapshots - every change below goes through commitCart
+  const cartHistory = useCartHistory(currentCart, setCurrentCart);
+  const { commitCart, adoptCart, trackVersion } = cartHistory;
+
+  // Loaded carts replace what's shown without becoming an undo step
+  const loadCart = (items) => {
+    adoptCart(items);
+    setCurrentCart(items);
+  };
+
   // Load all user data on mount or user change
   useEffect(() => {
     if (currentUser) {
@@ -44,7 +59,7 @@ export const CartProvider = ({ children }) => {
       
       if (response.ok) {
         const data = await response.json();
-        setCurrentCart(data.cart || []);
+        loadCart(data.cart || []);
         setSavedLists(data.lists || []);
         setSavedRecipes(data.recipes || []);
         setMealPlans(data.mealPlans || []);
@@ -68,9 +83,9 @@ export const CartProvider = ({ children }) => {
 
       if (savedCart) {
         const parsed = JSON.parse(savedCart);
-        setCurrentCart(Array.isArray(parsed) ? parsed : []);
+        loadCart(Array.isArray(parsed) ? parsed : []);
       } else {
-        setCurrentCart([]);
+        loadCart([]);
       }
 
       if (savedListsData) {
@@ -96,7 +111,7 @@ export const CartProvider = ({ children }) => {
     } catch (error) {
       console.error('Failed to load from localStorage:', error);
       // Initialize with empty arrays if localStorage fails
-      setCurrentCart([]);
+      loadCart([]);
       setSavedLists([]);
       setSavedRecipes([]);
       setMealPlans([]);
@@ -138,13 +153,11 @@ export const CartProvider = ({ children }) => {
     setError(null);
     
     try {
-      const response = await fetch(`${API_URL}/api/cart/parse`, {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/cart/parse`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           listText,
           action: merge ? 'merge' : 'replace',
-          userId: currentUser?.uid,
           recipeInfo,
           options: {
             mergeDuplicates: true,
@@ -157,7 +170,8 @@ export const CartProvider = ({ children }) => {
       const data = await response.json();
       
       if (data.success) {
-        setCurrentCart(data.cart);
+        trackVersion(data);
+        commitCart(merge ? 'Add parsed list' : 'Replace with parsed list', data.cart);
         
         // If this was from a recipe, save it
         if (recipeInfo && recipeInfo.name) {
@@ -181,22 +195,18 @@ export const CartProvider = ({ children }) => {
 
   // Update cart item
   const updateCartItem = async (itemId, updates) => {
-    const updatedCart = currentCart.map(item => 
+    commitCart('Edit item', cart => cart.map(item =>
       item.id === itemId ? { ...item, ...updates } : item
-    );
-    setCurrentCart(updatedCart);
+    ));
     
     // Sync to server if authenticated
     if (currentUser) {
       try {
-        await fetch(`${API_URL}/api/cart/items/${itemId}`, {
+        const response = await makeAuthenticatedRequest(`${API_URL}/api/cart/items/${itemId}`, {
           method: 'PUT',
-          headers: { 
-            'Content-Type': 'application/json',
-            'user-id': currentUser.uid 
-          },
           body: JSON.stringify(updates)
         });
+        if (response.ok) trackVersion(await response.json());
       } catch (error) {
         console.error('Failed to sync item update:', error);
       }
@@ -206,7 +216,7 @@ export const CartProvider = ({ children }) => {
   // Remove from cart
   const removeFromCart = async (itemId) => {
     // Remove from local state immediately for better UX
-    setCurrentCart(prev => prev.filter(item => item.id !== itemId));
+    commitCart('Remove item', cart => cart.filter(item => item.id !== itemId));
     
     // Also remove from server if user is authenticated
     try {
@@ -222,6 +232,7 @@ export const CartProvider = ({ children }) => {
         if (!response.ok) {
           console.warn('Failed to delete item from server, but removed locally');
         } else {
+          trackVersion(await response.json());
           console.log(`✅ Successfully deleted item ${itemId} from server`);
         }
       }
@@ -231,9 +242,22 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  // Clear entire cart
-  const clearCart = () => {
-    setCurrentCart([]);
+  // Clear entire cart - undoable here, and the server keeps a snapshot of what was cleared
+  const clearCart = async () => {
+    if (currentCart.length === 0) return;
+    commitCart('Clear cart', []);
+
+    if (currentUser) {
+      try {
+        const response = await fetch(`${API_URL}/api/cart/${currentUser.uid}`, {
+          method: 'DELETE',
+          headers: { 'user-id': currentUser.uid }
+        });
+        if (response.ok) trackVersion(await response.json());
+      } catch (error) {
+        console.error('Failed to clear cart on server:', error);
+      }
+    }
   };
 
   // ============ RECIPE OPERATIONS ============
@@ -277,11 +301,10 @@ export const CartProvider = ({ children }) => {
     
     // If recipe has pre-parsed items, use those
     if (recipe.parsedItems) {
-      if (merge) {
-        setCurrentCart(prev => [...prev, ...recipe.parsedItems]);
-      } else {
-        setCurrentCart(recipe.parsedItems);
-      }
+      commitCart(
+        `Load recipe${recipe.name ? ` "${recipe.name}"` : ''}`,
+        merge ? cart => [...cart, ...recipe.parsedItems] : recipe.parsedItems
+      );
       return { success: true, itemsAdded: recipe.parsedItems.length };
     }
     
@@ -345,9 +368,9 @@ export const CartProvider = ({ children }) => {
     }
     
     if (merge) {
-      setCurrentCart(prev => [...prev, ...list.items]);
+      commitCart(`Add list "${list.name}"`, cart => [...cart, ...list.items]);
     } else {
-      setCurrentCart(list.items);
+      commitCart(`Load list "${list.name}"`, list.items);
     }
     
     return { success: true, itemsLoaded: list.items.length };
@@ -389,11 +412,10 @@ export const CartProvider = ({ children }) => {
       return;
     }
     
-    if (merge) {
-      setCurrentCart(prev => [...prev, ...mealPlan.items]);
-    } else {
-      setCurrentCart(mealPlan.items);
-    }
+    commitCart(
+      `Load meal plan${mealPlan.name ? ` "${mealPlan.name}"` : ''}`,
+      merge ? cart => [...cart, ...mealPlan.items] : mealPlan.items
+    );
     
     return { success: true, itemsLoaded: mealPlan.items.length };
   };
@@ -417,7 +439,7 @@ export const CartProvider = ({ children }) => {
       
       const data = await response.json();
       if (data.success && data.cart) {
-        setCurrentCart(data.cart);
+        commitCart('Validate items', data.cart);
         return data.validation;
       }
     } catch (error) {
@@ -502,7 +524,7 @@ export const CartProvider = ({ children }) => {
         ...item,
         id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
       }));
-      setCurrentCart(prev => [...prev, ...itemsWithIds]);
+      commitCart(`Add template "${templateName}"`, cart => [...cart, ...itemsWithIds]);
       return { success: true, itemsAdded: items.length };
     }
     return { success: false, error: 'Template not found' };
@@ -524,6 +546,21 @@ export const CartProvider = ({ children }) => {
     clearCart,
     setCurrentCart,
     
+    // Cart history and snapshots
+    undo: cartHistory.undo,
+    redo: cartHistory.redo,
+    canUndo: cartHistory.canUndo,
+    canRedo: cartHistory.canRedo,
+    undoLabel: cartHistory.undoLabel,
+    redoLabel: cartHistory.redoLabel,
+    cartLog: cartHistory.cartLog,
+    syncError: cartHistory.syncError,
+    listCartSnapshots: cartHistory.listCartSnapshots,
+    createCartSnapshot: cartHistory.createCartSnapshot,
+    restoreCartSnapshot: cartHistory.restoreCartSnapshot,
+    deleteCartSnapshot: cartHistory.deleteCartSnapshot,
+    compareCartSnapshots: cartHistory.compareCartSnapshots,
+    
     // Recipe operations
     saveRecipe,
     loadRecipeToCart,
@@ -534,6 +571,16 @@ export const CartProvider = ({ children }) => {
     loadListToCart,
     deleteList,
     
+    // Collaborative list operations
+    activeList: sharedList.activeList,
+    activeListRole: sharedList.activeListRole,
+    openSharedList: sharedList.openSharedList,
+    closeSharedList: sharedList.closeSharedList,
+    addListItem: sharedList.addListItem,
+    removeListItem: sharedList.removeListItem,
+    toggleListItem: sharedList.toggleListItem,
+    applyListOperations: sharedList.applyListOperations,
+    
     // Meal plan operations
     createMealPlan,
     loadMealPlanToCart,
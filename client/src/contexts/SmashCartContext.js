@@ -15,7 +15,7 @@ export const useSmashCart = () => {
 };
 
 export const SmashCartProvider = ({ children }) => {
-  const { currentUser } = useAuth();
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
   const [cartData, setCartData] = useState(null);
   const [storeConfig, setStoreConfig] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
@@ -65,11 +65,8 @@ export const SmashCartProvider = ({ children }) => {
         includeProductDetails: includeProductDetails.toString()
       });
 
-      const response = await fetch(`${endpoint}?${params}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+      const response = await makeAuthenticatedRequest(`${endpoint}?${params}`, {
+        method: 'GET'
       });
 
       const result = await response.json();
@@ -101,16 +98,16 @@ export const SmashCartProvider = ({ children }) => {
 
     try {
       const endpoint = getApiEndpoint();
-      const { storeId, modality = 'PICKUP', clearExisting = false } = options;
+      // modality is left unset so the server keeps the cart's current one
+      const { storeId, modality, clearExisting = false } = options;
 
-      const response = await fetch(endpoint, {
+      const response = await makeAuthenticatedRequest(endpoint, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
         body: JSON.stringify({
           items,
           storeId: storeId || storeConfig?.storeId,
+          store: { name: storeConfig?.storeName, address: storeConfig?.storeAddress, phone: storeConfig?.storePhone },
+          retailerId: storeConfig?.retailerId || undefined,
           modality,
           clearExisting
         })
@@ -146,11 +143,8 @@ export const SmashCartProvider = ({ children }) => {
     try {
       const endpoint = getApiEndpoint();
 
-      const response = await fetch(endpoint, {
+      const response = await makeAuthenticatedRequest(endpoint, {
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json'
-        },
         body: JSON.stringify(updates)
       });
 
@@ -187,21 +181,15 @@ export const SmashCartProvider = ({ children }) => {
         removeCompletely: removeCompletely.toString()
       });
 
-      const response = await fetch(`${endpoint}?${params}`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+      const response = await makeAuthenticatedRequest(`${endpoint}?${params}`, {
+        method: 'DELETE'
       });
 
       const result = await response.json();
       
       if (result.success) {
-        if (removeCompletely) {
-          setCartData(null);
-        } else {
-          setCartData({ ...cartData, items: [], itemCount: 0 });
-        }
+        // null when the cart was removed completely
+        setCartData(result.cart);
         return result;
       } else {
         setError(result.error);
@@ -225,14 +213,12 @@ export const SmashCartProvider = ({ children }) => {
     try {
       const endpoint = `${getApiEndpoint()}/search`;
 
-      const response = await fetch(endpoint, {
+      const response = await makeAuthenticatedRequest(endpoint, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
         body: JSON.stringify({
           searchTerm,
           storeId: storeConfig?.storeId,
+          retailerId: storeConfig?.retailerId || undefined,
           limit
         })
       });
@@ -264,14 +250,12 @@ export const SmashCartProvider = ({ children }) => {
     try {
       const endpoint = `${getApiEndpoint()}/quick-add`;
 
-      const response = await fetch(endpoint, {
+      const response = await makeAuthenticatedRequest(endpoint, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
         body: JSON.stringify({
           productNames,
-          storeId: storeConfig?.storeId
+          storeId: storeConfig?.storeId,
+          retailerId: storeConfig?.retailerId || undefined
         })
       });
 
@@ -302,11 +286,8 @@ export const SmashCartProvider = ({ children }) => {
     try {
       const endpoint = `${getApiEndpoint()}/summary`;
 
-      const response = await fetch(endpoint, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+      const response = await makeAuthenticatedRequest(endpoint, {
+        method: 'GET'
       });
 
       const result = await response.json();
@@ -334,11 +315,8 @@ export const SmashCartProvider = ({ children }) => {
 
       const endpoint = `${getApiEndpoint()}/store/${targetStoreId}`;
 
-      const response = await fetch(endpoint, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+      const response = await makeAuthenticatedRequest(endpoint, {
+        method: 'GET'
       });
 
       const result = await response.json();
@@ -363,6 +341,8 @@ export const SmashCartProvider = ({ children }) => {
       storeName: store.name,
       storeAddress: store.address,
       storePhone: store.phone,
+      // Retailer adapter behind the cart ('instacart', 'mock', ...); the server default otherwise
+      retailerId: store.platform || store.retailerId || null,
       services: store.services || {},
       initializedAt: new Date().toISOString(),
       apiEndpoint: getApiEndpoint()
@@ -0,0 +1,263 @@
+// client/src/hooks/useCartHistory.js
+// Undo/redo and named server snapshots for whichever cart state the caller owns.
+// Changes made through commitCart carry their own label; any other change to the
+// cart (e.g. GroceryListForm calling setCurrentCart) is recorded with a label
+// worked out from the difference.
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+// Undo steps kept per session
+const MAX_UNDO_STEPS = 50;
+const MAX_LOG_ENTRIES = 200;
+
+// Cart changes that didn't come through commitCart may have been a parse that
+// also moved the server cart, so its version is re-read once they settle
+const VERSION_REFRESH_DELAY = 1000;
+
+const itemKey = (item) => item.id || item.productName;
+const itemName = (item) => item.productName || item.name || 'item';
+
+const describeItems = (verb, items) => (
+  items.length === 1 ? `${verb} ${itemName(items[0])}` : `${verb} ${items.length} items`
+);
+
+// Label for a change we only saw the before and after of
+export const describeCartChange = (before, after) => {
+  if (after.length === 0) return 'Clear cart';
+
+  const beforeKeys = new Set(before.map(itemKey));
+  const afterKeys = new Set(after.map(itemKey));
+  const added = after.filter(item => !beforeKeys.has(itemKey(item)));
+  const removed = before.filter(item => !afterKeys.has(itemKey(item)));
+
+  if (added.length > 0 && removed.length === 0) return describeItems('Add', added);
+  if (removed.length > 0 && added.length === 0) return describeItems('Remove', removed);
+  if (added.length > 0) return 'Replace cart';
+
+  const edited = after.filter(item => !before.includes(item));
+  return edited.length > 0 ? describeItems('Edit', edited) : 'Reorder cart';
+};
+
+export function useCartHistory(currentCart, setCurrentCart) {
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
+  const uid = currentUser?.uid;
+
+  // undo/redo stacks of { label, before, after } and an append-only log of
+  // every change, undo and redo this session
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [cartLog, setCartLog] = useState([]);
+  const [syncError, setSyncError] = useState(null);
+
+  // Server cart version the last write saw - whole-cart syncs send it so a cart
+  // changed in another tab or device comes back as a 409 instead of being overwritten
+  const [cartVersion, setCartVersion] = useState(null);
+
+  // The cart as of the last recorded change - anything else is a new change
+  const knownCartRef = useRef(currentCart);
+
+  const appendCartLog = useCallback((type, label, items) => {
+    setCartLog(prev => [...prev, {
+      id: `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      label,
+      itemCount: items.length,
+      at: new Date().toISOString()
+    }].slice(-MAX_LOG_ENTRIES));
+  }, []);
+
+  const pushUndoStep = useCallback((label, before, after) => {
+    setUndoStack(prev => [...prev, { label, before, after }].slice(-MAX_UNDO_STEPS));
+    setRedoStack([]);
+    appendCartLog('change', label, after);
+  }, [appendCartLog]);
+
+  const trackVersion = useCallback((data) => {
+    if (Number.isInteger(data?.version)) setCartVersion(data.version);
+  }, []);
+
+  const fetchServerCart = useCallback(async () => {
+    const response = await fetch(`${API_URL}/api/cart/${uid}`, {
+      headers: { 'user-id': uid }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Cart request failed (${response.status})`);
+    }
+    trackVersion(data);
+    return data.cart || [];
+  }, [uid, trackVersion]);
+
+  // A new user starts with an empty history and reads their cart version
+  useEffect(() => {
+    setUndoStack([]);
+    setRedoStack([]);
+    setCartLog([]);
+    setSyncError(null);
+    setCartVersion(null);
+    if (uid) {
+      fetchServerCart().catch(error => console.warn('Could not read cart version:', error.message));
+    }
+  }, [uid, fetchServerCart]);
+
+  // Record changes the caller made straight through its own setter
+  useEffect(() => {
+    const before = knownCartRef.current;
+    if (currentCart === before) return undefined;
+
+    knownCartRef.current = currentCart;
+    pushUndoStep(describeCartChange(before || [], currentCart), before || [], currentCart);
+
+    if (!uid) return undefined;
+    const timer = setTimeout(() => {
+      fetchServerCart().catch(error => console.warn('Could not read cart version:', error.message));
+    }, VERSION_REFRESH_DELAY);
+    return () => clearTimeout(timer);
+  }, [currentCart, uid, fetchServerCart, pushUndoStep]);
+
+  // Show a cart without making it an undo step (loads, reloads, undo/redo themselves)
+  const adoptCart = useCallback((items) => {
+    knownCartRef.current = items;
+  }, []);
+
+  const replaceCart = (items) => {
+    adoptCart(items);
+    setCurrentCart(items);
+  };
+
+  // A labelled change. next is the new cart or an updater given the latest one.
+  const commitCart = (label, next) => {
+    const before = knownCartRef.current;
+    const nextCart = typeof next === 'function' ? next(before) : next;
+    pushUndoStep(label, before, nextCart);
+    replaceCart(nextCart);
+  };
+
+  // Someone else changed the cart - show theirs; local undo steps no longer apply
+  const reloadServerCart = async () => {
+    const items = await fetchServerCart();
+    replaceCart(items);
+    setUndoStack([]);
+    setRedoStack([]);
+    appendCartLog('reload', 'Cart changed elsewhere - reloaded', items);
+    return items;
+  };
+
+  // Push a whole cart to the server after undo/redo; false when it didn't stick
+  const syncWholeCart = async (items, reason) => {
+    if (!currentUser) return true;
+    try {
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/cart/${currentUser.uid}`, {
+        method: 'PUT',
+        body: JSON.stringify({ items, reason, ...(cartVersion !== null && { baseVersion: cartVersion }) })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 409) {
+        await reloadServerCart();
+        setSyncError(`Your cart was changed somewhere else, so the ${reason} wasn't saved. It now shows the latest version.`);
+        return false;
+      }
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Server responded ${response.status}`);
+      }
+      trackVersion(data);
+      setSyncError(null);
+      return true;
+    } catch (error) {
+      console.error(`Failed to sync cart ${reason}:`, error);
+      setSyncError(`Couldn't save the ${reason}: ${error.message}`);
+      return false;
+    }
+  };
+
+  const undo = async () => {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return null;
+
+    setUndoStack(prev => prev.slice(0, -1));
+    setRedoStack(prev => [...prev, entry]);
+    replaceCart(entry.before);
+    appendCartLog('undo', entry.label, entry.before);
+    await syncWholeCart(entry.before, 'undo');
+    return entry;
+  };
+
+  const redo = async () => {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return null;
+
+    setRedoStack(prev => prev.slice(0, -1));
+    setUndoStack(prev => [...prev, entry]);
+    replaceCart(entry.after);
+    appendCartLog('redo', entry.label, entry.after);
+    await syncWholeCart(entry.after, 'redo');
+    return entry;
+  };
+
+  // ============ CART SNAPSHOTS ============
+
+  const snapshotRequest = async (path, options = {}) => {
+    if (!currentUser) {
+      throw new Error('Sign in to use cart snapshots');
+    }
+    const response = await makeAuthenticatedRequest(`${API_URL}/api/cart/snapshots${path}`, {
+      ...options,
+      headers: { 'user-id': currentUser.uid }
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Snapshot request failed');
+    }
+    return data;
+  };
+
+  const listCartSnapshots = async () => (await snapshotRequest('')).snapshots;
+
+  const createCartSnapshot = async (name) => {
+    const data = await snapshotRequest('', {
+      method: 'POST',
+      body: JSON.stringify({ name })
+    });
+    return data.snapshot;
+  };
+
+  // Restoring is an ordinary cart change, so it can be undone too
+  const restoreCartSnapshot = async (snapshotId) => {
+    const data = await snapshotRequest(`/${snapshotId}/restore`, { method: 'POST' });
+    trackVersion(data);
+    commitCart(`Restore "${data.snapshot.name}"`, data.cart);
+    return data;
+  };
+
+  const deleteCartSnapshot = async (snapshotId) => {
+    await snapshotRequest(`/${snapshotId}`, { method: 'DELETE' });
+  };
+
+  // from/to are snapshot ids or 'current'
+  const compareCartSnapshots = async (from, to = 'current') => {
+    const params = new URLSearchParams({ from, to });
+    return snapshotRequest(`/diff?${params}`);
+  };
+
+  return {
+    commitCart,
+    adoptCart,
+    trackVersion,
+    undo,
+    redo,
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack[undoStack.length - 1]?.label || null,
+    redoLabel: redoStack[redoStack.length - 1]?.label || null,
+    cartLog,
+    syncError,
+    listCartSnapshots,
+    createCartSnapshot,
+    restoreCartSnapshot,
+    deleteCartSnapshot,
+    compareCartSnapshots
+  };
+}
@@ -0,0 +1,196 @@
+// client/src/hooks/useSharedList.js
+// Live co-editing of one household list over the /lists socket namespace
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+const newId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Mirror of the server's list operation rules so edits show instantly,
+// before the server confirms them to every household member
+export const applyListOperation = (items, op) => {
+  switch (op.type) {
+    case 'add':
+      return items.some(item => item.id === op.item.id) ? items : [...items, op.item];
+    case 'remove':
+      return items.filter(item => item.id !== op.itemId);
+    case 'check':
+    case 'update':
+      return items.map(item => (item.id === op.itemId ? { ...item, ...op.changes } : item));
+    default:
+      return items;
+  }
+};
+
+export function useSharedList() {
+  const { currentUser } = useAuth();
+  const [activeList, setActiveList] = useState(null);
+  const [activeListRole, setActiveListRole] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+  const activeListIdRef = useRef(null);
+  const pendingOpsRef = useRef(new Set());
+
+  // Join a list room; the ack carries the stored list, so this also resyncs
+  const joinList = useCallback((socket, listId) => new Promise((resolve) => {
+    socket.emit('list:join', { listId }, (response) => {
+      if (!response?.success) {
+        setError(response?.error || 'Failed to open list');
+        resolve(null);
+        return;
+      }
+
+      pendingOpsRef.current.clear();
+      activeListIdRef.current = response.list.id;
+      setActiveList(response.list);
+      setActiveListRole(response.role);
+      resolve(response.list);
+    });
+  }), []);
+
+  // Connect lazily - only users who open a household list need the socket
+  const getSocket = useCallback(() => {
+    if (socketRef.current) {
+      return socketRef.current;
+    }
+
+    const socket = io(`${API_URL}/lists`, {
+      auth: async (cb) => cb({ token: await currentUser?.getIdToken?.() }),
+      transports: ['websocket', 'polling']
+    });
+
+    // Rooms don't survive a reconnect, and edits made while we were away never
+    // reached us - rejoin the open list and take the server's copy
+    socket.on('connect', () => {
+      setIsConnected(true);
+      if (activeListIdRef.current) {
+        joinList(socket, activeListIdRef.current);
+      }
+    });
+
+    socket.on('disconnect', () => setIsConnected(false));
+
+    socket.on('list:ops:applied', ({ listId, version, operations, clientOpId }) => {
+      // Our own ops were already applied optimistically
+      if (clientOpId && pendingOpsRef.current.delete(clientOpId)) {
+        setActiveList(prev => (prev?.id === listId ? { ...prev, version } : prev));
+        return;
+      }
+
+      setActiveList(prev => {
+        if (prev?.id !== listId) return prev;
+        const items = operations.reduce(applyListOperation, prev.items || []);
+        return { ...prev, items, itemCount: items.length, version };
+      });
+    });
+
+    socket.on('list:replaced', ({ listId, version, items }) => {
+      setActiveList(prev => (prev?.id === listId ? { ...prev, items, itemCount: items.length, version } : prev));
+    });
+
+    socket.on('list:member:removed', ({ listId, userId }) => {
+      if (userId === currentUser?.uid && activeListIdRef.current === listId) {
+        activeListIdRef.current = null;
+        setActiveList(null);
+        setActiveListRole(null);
+      }
+    });
+
+    socketRef.current = socket;
+    return socket;
+  }, [currentUser, joinList]);
+
+  // Open a household list and start receiving live edits from other members
+  const openSharedList = useCallback((listId) => {
+    if (!currentUser) {
+      setError('Sign in to open household lists');
+      return Promise.resolve(null);
+    }
+
+    setError(null);
+    return joinList(getSocket(), listId);
+  }, [currentUser, getSocket, joinList]);
+
+  const closeSharedList = useCallback(() => {
+    if (socketRef.current && activeListIdRef.current) {
+      socketRef.current.emit('list:leave', { listId: activeListIdRef.current });
+    }
+    activeListIdRef.current = null;
+    setActiveList(null);
+    setActiveListRole(null);
+  }, []);
+
+  // Send item operations; the server merges them into the latest list state
+  const applyListOperations = useCallback((operations) => {
+    const listId = activeListIdRef.current;
+    if (!listId || !socketRef.current) {
+      return Promise.resolve({ success: false, error: 'No list open' });
+    }
+    if (activeListRole === 'viewer') {
+      return Promise.resolve({ success: false, error: 'You have view-only access to this list' });
+    }
+
+    const clientOpId = newId('op');
+    pendingOpsRef.current.add(clientOpId);
+
+    setActiveList(prev => {
+      const items = operations.reduce(applyListOperation, prev.items || []);
+      return { ...prev, items, itemCount: items.length };
+    });
+
+    return new Promise((resolve) => {
+      socketRef.current.emit('list:ops', { listId, operations, clientOpId }, (response) => {
+        if (!response?.success) {
+          // Resync from the server rather than keep a local state nobody else sees
+          pendingOpsRef.current.delete(clientOpId);
+          setError(response?.error || 'Failed to update list');
+          openSharedList(listId);
+        }
+        resolve(response);
+      });
+    });
+  }, [activeListRole, openSharedList]);
+
+  const addListItem = useCallback((item) => applyListOperations([{
+    type: 'add',
+    item: { ...item, id: item.id || newId('item'), checked: false }
+  }]), [applyListOperations]);
+
+  const removeListItem = useCallback((itemId) => applyListOperations([{ type: 'remove', itemId }]), [applyListOperations]);
+
+  const toggleListItem = useCallback((itemId, checked) => applyListOperations([{
+    type: 'check',
+    itemId,
+    checked,
+    changes: { checked }
+  }]), [applyListOperations]);
+
+  // Disconnect the list socket when the user changes or the component unmounts
+  useEffect(() => {
+    return () => {
+      if (socketRef.current) {
+        socketRef.current.disconnect();
+        socketRef.current = null;
+      }
+      activeListIdRef.current = null;
+    };
+  }, [currentUser]);
+
+  return {
+    activeList,
+    activeListRole,
+    isConnected,
+    error,
+    openSharedList,
+    closeSharedList,
+    addListItem,
+    removeListItem,
+    toggleListItem,
+    applyListOperations
+  };
+}
+
+export default useSharedList;
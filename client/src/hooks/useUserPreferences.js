@@ -0,0 +1,29 @@
+// client/src/hooks/useUserPreferences.js
+// The signed-in user's resolved shopping preferences (system → household → user).
+// Starts from the offline copy so the first render already has values, then
+// refreshes from /api/account/settings.
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import userDataService from '../services/userDataService';
+import persistenceService from '../services/persistenceService';
+
+export function useUserPreferences() {
+  const { currentUser } = useAuth();
+  const [preferences, setPreferences] = useState(() => persistenceService.loadUserPreferences());
+
+  useEffect(() => {
+    if (!currentUser) return undefined;
+
+    let cancelled = false;
+    userDataService.getUserPreferences().then(resolved => {
+      if (!cancelled && resolved) setPreferences(resolved);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser]);
+
+  return preferences;
+}
+
+export default useUserPreferences;
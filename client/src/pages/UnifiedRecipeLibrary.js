@@ -1,14 +1,35 @@
 // client/src/pages/UnifiedRecipeLibrary.js
 // Unified page for managing both AI-generated and URL-imported recipes
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { getRecipeLibrary } from '../services/RecipeService';
 import UnifiedRecipeCard from '../components/UnifiedRecipeCard';
 import RecipeImporter from '../components/RecipeImporter';
 
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
+
+// Formats other recipe managers can read (see server/utils/recipeFormats.js)
+const EXPORT_FORMATS = [
+  { id: 'schema.org', label: 'Schema.org JSON-LD' },
+  { id: 'paprika', label: 'Paprika (.paprikarecipes)' },
+  { id: 'mealie', label: 'Mealie JSON' },
+  { id: 'tandoor', label: 'Tandoor JSON' },
+  { id: 'cooklang', label: 'Cooklang (.cook)' },
+  { id: 'mealmaster', label: 'Meal-Master (.mmf)' },
+  { id: 'cartsmash', label: 'CartSmash backup' }
+];
+
+// Read a picked file as base64 (without the data: URL prefix)
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
 export default function UnifiedRecipeLibrary() {
-  const { currentUser } = useAuth();
+  const { currentUser, makeAuthenticatedRequest } = useAuth();
   const [recipes, setRecipes] = useState([]);
   const [filteredRecipes, setFilteredRecipes] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -19,6 +40,9 @@ export default function UnifiedRecipeLibrary() {
   const [showImporter, setShowImporter] = useState(false);
   const [selectedRecipes, setSelectedRecipes] = useState(new Set());
   const [isSelectionMode, setIsSelectionMode] = useState(false);
+  const [exportFormat, setExportFormat] = useState('schema.org');
+  const [transferStatus, setTransferStatus] = useState('');
+  const fileInputRef = useRef(null);
 
   // Load recipes on component mount
   useEffect(() => {
@@ -107,14 +131,97 @@ export default function UnifiedRecipeLibrary() {
         alert(`Deleting ${selectedRecipes.size} recipes (feature coming soon)`);
         break;
       case 'export':
-        // TODO: Implement bulk export
-        alert(`Exporting ${selectedRecipes.size} recipes (feature coming soon)`);
+        exportRecipes([...selectedRecipes]);
         break;
       default:
         break;
     }
   };
 
+  // Export the given recipes (or the whole library) and hand the file to the browser
+  const exportRecipes = async (recipeIds = []) => {
+    try {
+      setTransferStatus('Preparing export...');
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/unified/export`, {
+        method: 'POST',
+        body: JSON.stringify({ format: exportFormat, recipeIds })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Export failed');
+      }
+
+      const bytes = Uint8Array.from(atob(result.data), c => c.charCodeAt(0));
+      const url = URL.createObjectURL(new Blob([bytes], { type: result.contentType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = result.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setTransferStatus(`Exported ${result.count} recipe(s) as ${result.filename}`);
+    } catch (err) {
+      console.error('Error exporting recipes:', err);
+      setTransferStatus(`Export failed: ${err.message}`);
+    }
+  };
+
+  const handleImportFile = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    let imported = 0;
+    const problems = [];
+    for (const file of files) {
+      try {
+        setTransferStatus(`Importing ${file.name}...`);
+        const response = await makeAuthenticatedRequest(`${API_URL}/api/unified/import-file`, {
+          method: 'POST',
+          body: JSON.stringify({
+            filename: file.name,
+            content: await readFileAsBase64(file),
+            encoding: 'base64'
+          })
+        });
+        const result = await response.json();
+        imported += result.saved || 0;
+        if (!result.success) problems.push(`${file.name}: ${result.error || 'no recipes found'}`);
+        (result.errors || []).forEach(e => problems.push(`${file.name} / ${e.entry}: ${e.error}`));
+      } catch (err) {
+        problems.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    setTransferStatus(
+      `Imported ${imported} recipe(s)` + (problems.length ? ` - ${problems.length} problem(s): ${problems.slice(0, 3).join('; ')}` : '')
+    );
+    if (imported > 0) loadRecipes();
+  };
+
+  // Send a (possibly re-scaled) recipe's ingredients to the shopping cart
+  const handleAddToCart = async (recipe) => {
+    const listText = (recipe.ingredients || [])
+      .map(ing => (typeof ing === 'string' ? ing : ing.original || [ing.quantity, ing.unit, ing.item].filter(Boolean).join(' ')))
+      .filter(Boolean)
+      .join('\n');
+    if (!listText) return;
+
+    try {
+      setTransferStatus(`Adding ${recipe.title} to cart...`);
+      const response = await makeAuthenticatedRequest(`${API_URL}/api/cart/parse`, {
+        method: 'POST',
+        body: JSON.stringify({ listText, action: 'merge', userId: currentUser?.uid })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Cart update failed');
+      setTransferStatus(`Added ${recipe.title} (${recipe.servings || '?'} servings) to your cart`);
+    } catch (err) {
+      console.error('Error adding recipe to cart:', err);
+      setTransferStatus(`Could not add to cart: ${err.message}`);
+    }
+  };
+
   const handleRecipesImported = (importResults) => {
     if (importResults.successful.length > 0) {
       // Refresh the recipe library
@@ -174,6 +281,40 @@ export default function UnifiedRecipeLibrary() {
                 📥 Import Recipes
               </button>
               
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 flex items-center gap-2"
+                title="Paprika, Mealie, Tandoor, Cooklang, Meal-Master or schema.org files"
+              >
+                📂 Import File
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept=".json,.jsonld,.paprikarecipes,.paprikarecipe,.cook,.mmf,.txt,.zip"
+                onChange={handleImportFile}
+                className="hidden"
+              />
+
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                aria-label="Export format"
+                className="px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                {EXPORT_FORMATS.map(f => (
+                  <option key={f.id} value={f.id}>{f.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => exportRecipes()}
+                disabled={recipes.length === 0}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 flex items-center gap-2"
+              >
+                📤 Export Library
+              </button>
+
               <button
                 onClick={() => setIsSelectionMode(!isSelectionMode)}
                 className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 flex items-center gap-2"
@@ -183,6 +324,12 @@ export default function UnifiedRecipeLibrary() {
             </div>
           </div>
 
+          {transferStatus && (
+            <div className="mb-4 px-4 py-2 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-900">
+              {transferStatus}
+            </div>
+          )}
+
           {/* Stats */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
             <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
@@ -366,6 +513,7 @@ export default function UnifiedRecipeLibrary() {
                 isSelected={selectedRecipes.has(recipe.id)}
                 onSelectionChange={handleRecipeSelection}
                 onAddToLibrary={null} // Already in library
+                onAddToCart={handleAddToCart}
                 importStatus="imported"
               />
             ))}
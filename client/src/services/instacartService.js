@@ -264,6 +264,7 @@ class InstacartService {
             success: true,
             products: products,
             results: products, // Legacy compatibility
+            rankedByPreferences: !!data.rankedByPreferences,
             source: 'backend_api'
           };
         } else {
@@ -288,18 +288,21 @@ class PersistenceService {
     this.remove('meal_plans');
   }
 
-  // User preferences
+  // User preferences - an offline copy of the resolved settings from
+  // /api/account/settings (userDataService.getUserPreferences), which is the
+  // source of truth. Never write preferences here directly.
   saveUserPreferences(preferences, expirationHours = 168) { // 1 week
     return this.save('user_preferences', preferences, expirationHours);
   }
 
   loadUserPreferences() {
     return this.load('user_preferences', {
-      theme: 'light',
-      notifications: true,
-      autoSave: true,
-      preferredStores: [],
-      dietaryRestrictions: []
+      preferredRetailer: 'kroger',
+      zipCode: null,
+      dietaryRestrictions: [],
+      unitSystem: 'imperial',
+      brandPreferences: { preferred: [], avoided: [] },
+      autoMergeCart: true
     });
   }
 
@@ -2,6 +2,9 @@
 // Enhanced product ID resolution for CartSmash to Instacart integration
 
 import instacartService from './instacartService';
+import { auth } from '../firebase/config';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
 
 class ProductResolutionService {
   constructor() {
@@ -139,7 +142,7 @@ class ProductResolutionService {
       
       if (searchResults.products && searchResults.products.length > 0) {
         // Find best match with AI-enhanced vendor-specific scoring
-        const bestMatch = await this.findBestMatch(itemDetails, searchResults.products);
+        const bestMatch = await this.findBestMatch(itemDetails, searchResults.products, searchResults.rankedByPreferences);
         const alternativeMatches = this.getAlternativeMatches(itemDetails, searchResults.products, 3);
         
         const resolved = {
@@ -288,9 +291,11 @@ class ProductResolutionService {
     }
   }
 
-  // Find best matching product from search results
-  async findBestMatch(itemDetails, products) {
-    if (products.length === 1) {
+  // Find best matching product from search results. For signed-in users the
+  // server has already applied their remembered picks and brand, organic and
+  // store-brand settings, so its order stands.
+  async findBestMatch(itemDetails, products, rankedByPreferences = false) {
+    if (products.length === 1 || rankedByPreferences) {
       return products[0];
     }
 
@@ -369,9 +374,58 @@ class ProductResolutionService {
       score += 5;
     }
 
+    // The server marks the user's usual pick for this item
+    if (product.remembered) {
+      score += 60;
+    }
+
     return score;
   }
 
+  // ============ PRODUCT PREFERENCES ============
+  // Ranking by preferences happens on the server (utils/productPreferences.js);
+  // the client only records picks and exclusions
+
+  async preferencesRequest(path, options = {}) {
+    const token = await auth.currentUser.getIdToken();
+    const response = await fetch(`${API_URL}/api/account/product-preferences${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      }
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || `Product preference request failed: ${response.status}`);
+    }
+    return data;
+  }
+
+  // Remember the product picked for an item so future resolutions prefer it
+  async rememberChoice(itemName, product, retailerId = null) {
+    if (!auth.currentUser || !itemName || !product?.name) return null;
+
+    const data = await this.preferencesRequest('', {
+      method: 'POST',
+      body: JSON.stringify({ itemName, product, retailerId })
+    });
+    this.cache.clear();
+    return data.pick;
+  }
+
+  // "Never suggest this brand"
+  async excludeBrand(brand) {
+    if (!auth.currentUser || !brand) return null;
+
+    const data = await this.preferencesRequest('/excluded-brands', {
+      method: 'POST',
+      body: JSON.stringify({ brand })
+    });
+    this.cache.clear();
+    return data.brandPreferences;
+  }
+
   // Calculate confidence level for the match
   calculateConfidence(itemDetails, product) {
     const score = this.calculateMatchScore(itemDetails, product);
@@ -12,6 +12,9 @@ import {
   limit 
 } from 'firebase/firestore';
 import { auth } from '../firebase/config';
+import persistenceService from './persistenceService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://cartsmash-api.onrender.com';
 
 class UserDataService {
   constructor() {
@@ -346,30 +349,46 @@ class UserDataService {
     }
   }
 
-  // Get user preferences
+  // Settings API - user preferences are layered system → household → user on the server
+  async settingsRequest(path, options = {}) {
+    const token = await auth.currentUser.getIdToken();
+    const response = await fetch(`${API_URL}/api/account${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      }
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || `Settings request failed: ${response.status}`);
+    }
+    // Household and invite responses carry no settings
+    if (data.settings) {
+      persistenceService.saveUserPreferences(data.settings);
+    }
+    return data;
+  }
+
+  // Get user preferences - the resolved settings, with `layers` and `sources`
+  // on the full response from getSettingsDetails()
   async getUserPreferences() {
+    const details = await this.getSettingsDetails();
+    return details ? details.settings : persistenceService.loadUserPreferences();
+  }
+
+  async getSettingsDetails() {
     await this.init();
     if (!this.userId) {
-      // ✅ REMOVED: No localStorage - session state only for unauthenticated users
-      console.log('👤 User not authenticated - returning empty preferences');
-      return {};
+      console.log('👤 User not authenticated - using default preferences');
+      return null;
     }
 
     try {
-      const prefRef = doc(this.db, 'users', this.userId);
-      const prefDoc = await getDoc(prefRef);
-      
-      if (prefDoc.exists()) {
-        const prefs = prefDoc.data();
-        // ✅ REMOVED: No localStorage backup - using Firestore only
-        return prefs;
-      }
-      
-      return {};
+      return await this.settingsRequest('/settings');
     } catch (error) {
-      console.error('Error fetching preferences from Firestore:', error);
-      // ✅ REMOVED: No localStorage fallback - session state only
-      return {};
+      console.error('Error fetching settings:', error);
+      return null;
     }
   }
 
@@ -378,31 +397,30 @@ class UserDataService {
     return this.saveRecipe(recipe);
   }
 
-  // Save user preferences
+  // Save user preferences - only the user's own layer; null clears a key so the
+  // household or system value shows through. Resolves to the new resolved settings.
   async saveUserPreferences(preferences) {
     await this.init();
     if (!this.userId) {
-      // ✅ REMOVED: No localStorage for unauthenticated users - session state only
       console.log('👤 User not authenticated - preferences not persisted');
       return preferences;
     }
 
-    try {
-      const userRef = doc(this.db, 'users', this.userId);
-      await setDoc(userRef, {
-        ...preferences,
-        updatedAt: new Date().toISOString()
-      }, { merge: true });
+    const data = await this.settingsRequest('/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ settings: preferences })
+    });
+    console.log('✅ Preferences saved');
+    return data.settings;
+  }
 
-      console.log('✅ Preferences saved to Firestore');
-      
-      // ✅ REMOVED: No localStorage backup - using Firestore only
-      return preferences;
-    } catch (error) {
-      console.error('Error saving preferences to Firestore:', error);
-      // ✅ REMOVED: No localStorage fallback - session state only
-      throw error;
-    }
+  async saveHouseholdPreferences(preferences) {
+    await this.init();
+    const data = await this.settingsRequest('/household/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ settings: preferences })
+    });
+    return data.settings;
   }
 
   // Save parsed recipes (meal plan ideas)
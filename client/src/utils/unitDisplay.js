@@ -0,0 +1,75 @@
+// client/src/utils/unitDisplay.js
+// Show cart amounts in the user's unit system (Shopping Preferences → Units).
+// Only weights and volumes convert; cans, bunches, counts and unknown units are
+// shown as stored.
+
+// Size of each unit in grams (weight) or millilitres (volume)
+const UNITS = {
+  g: { kind: 'weight', size: 1, system: 'metric' },
+  kg: { kind: 'weight', size: 1000, system: 'metric' },
+  oz: { kind: 'weight', size: 28.3495, system: 'imperial' },
+  lb: { kind: 'weight', size: 453.592, system: 'imperial' },
+  ml: { kind: 'volume', size: 1, system: 'metric' },
+  l: { kind: 'volume', size: 1000, system: 'metric' },
+  tsp: { kind: 'volume', size: 4.92892, system: 'imperial' },
+  tbsp: { kind: 'volume', size: 14.7868, system: 'imperial' },
+  'fl oz': { kind: 'volume', size: 29.5735, system: 'imperial' },
+  cup: { kind: 'volume', size: 236.588, system: 'imperial' }
+};
+
+const ALIASES = {
+  gram: 'g', grams: 'g',
+  kilogram: 'kg', kilograms: 'kg',
+  ounce: 'oz', ounces: 'oz',
+  lbs: 'lb', pound: 'lb', pounds: 'lb',
+  milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  teaspoon: 'tsp', teaspoons: 'tsp',
+  tbs: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+  floz: 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
+  c: 'cup', cups: 'cup'
+};
+
+// Largest unit first, used once the amount reaches its threshold (in g or ml)
+const TARGETS = {
+  metric: {
+    weight: [['kg', 1000], ['g', 0]],
+    volume: [['l', 1000], ['ml', 0]]
+  },
+  imperial: {
+    weight: [['lb', 453.592], ['oz', 0]],
+    volume: [['cup', 59.147], ['tbsp', 14.7868], ['tsp', 0]]
+  }
+};
+
+const canonicalUnit = (unit) => {
+  const key = String(unit || '').trim().toLowerCase().replace(/\./g, '');
+  return UNITS[key] ? key : ALIASES[key] || null;
+};
+
+const round = (value, unit) => {
+  // Whole grams and millilitres read better than 236.59 ml
+  const step = unit === 'g' || unit === 'ml' ? (value >= 100 ? 5 : 1) : 0.01;
+  return Math.round(value / step) * step;
+};
+
+/**
+ * An amount in the requested unit system
+ * @param {number|string} quantity
+ * @param {string} unit
+ * @param {'imperial'|'metric'} unitSystem
+ * @returns {{quantity: number|string, unit: string}} the input when it can't or needn't convert
+ */
+export function toUnitSystem(quantity, unit, unitSystem = 'imperial') {
+  const from = canonicalUnit(unit);
+  const amount = Number(quantity);
+  if (!from || !TARGETS[unitSystem] || UNITS[from].system === unitSystem || !Number.isFinite(amount)) {
+    return { quantity, unit };
+  }
+
+  const base = amount * UNITS[from].size;
+  const [target] = TARGETS[unitSystem][UNITS[from].kind].find(([, threshold]) => base >= threshold);
+  return { quantity: Number(round(base / UNITS[target].size, target).toFixed(2)), unit: target };
+}
+
+export default toUnitSystem;
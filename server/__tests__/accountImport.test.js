@@ -0,0 +1,86 @@
+// Account import in replace mode: the new documents are written before the old
+// ones are deleted, so a failed write leaves the user's data where it was.
+// Firestore is a small in-memory stand-in.
+const accountDataService = require('../services/accountDataService');
+
+function fakeFirestore() {
+  const docs = new Map();
+  let nextId = 0;
+  let failCommits = false;
+
+  const docRef = (path) => ({ id: path.split('/').pop(), path, get: async () => ({ exists: docs.has(path), data: () => docs.get(path) }) });
+  const query = (name, field, value) => ({
+    select: () => query(name, field, value),
+    limit: () => query(name, field, value),
+    get: async () => {
+      const matches = [...docs.keys()]
+        .filter(path => path.startsWith(`${name}/`) && docs.get(path)[field] === value)
+        .map(path => ({ ref: docRef(path) }));
+      return { docs: matches, empty: matches.length === 0, size: matches.length };
+    }
+  });
+
+  return {
+    docs,
+    failNextCommits: () => { failCommits = true; },
+    collection: (name) => ({
+      doc: (id = `new${++nextId}`) => docRef(`${name}/${id}`),
+      where: (field, op, value) => query(name, field, value)
+    }),
+    batch: () => {
+      const ops = [];
+      return {
+        set: (ref, data, options) => ops.push(() => docs.set(ref.path, options?.merge ? { ...docs.get(ref.path), ...data } : data)),
+        delete: (ref) => ops.push(() => docs.delete(ref.path)),
+        commit: async () => {
+          if (failCommits) throw new Error('write failed');
+          ops.forEach(op => op());
+        }
+      };
+    }
+  };
+}
+
+const BUNDLE = {
+  savedLists: [{ id: 'l1', name: 'Imported list', items: [] }],
+  recipes: [{ id: 'r1', title: 'Imported recipe' }]
+};
+
+describe('replace import', () => {
+  let db;
+
+  beforeEach(() => {
+    db = fakeFirestore();
+    jest.spyOn(accountDataService, 'getDB').mockReturnValue(db);
+    db.docs.set('savedLists/old-list', { userId: 'u1', name: 'Old list' });
+    db.docs.set('recipes/old-recipe', { userId: 'u1', title: 'Old recipe' });
+    db.docs.set('recipes/someone-else', { userId: 'u2', title: 'Not mine' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('swaps the old documents for the imported ones', async () => {
+    const result = await accountDataService.importAccount('u1', BUNDLE, { mode: 'replace' });
+
+    expect(result.replaced).toMatchObject({ savedLists: 1, recipes: 1 });
+    const names = [...db.docs.values()].map(doc => doc.name || doc.title);
+    expect(names.sort()).toEqual(['Imported list', 'Imported recipe', 'Not mine']);
+  });
+
+  test('a failed write deletes nothing', async () => {
+    db.failNextCommits();
+
+    await expect(accountDataService.importAccount('u1', BUNDLE, { mode: 'replace' })).rejects.toThrow('write failed');
+    expect(db.docs.has('savedLists/old-list')).toBe(true);
+    expect(db.docs.has('recipes/old-recipe')).toBe(true);
+  });
+
+  test('merge keeps what is there', async () => {
+    const result = await accountDataService.importAccount('u1', BUNDLE, { mode: 'merge' });
+
+    expect(result.replaced).toBeNull();
+    expect(db.docs.size).toBe(5);
+  });
+});
@@ -0,0 +1,117 @@
+// The basket optimizer on a fixed price table (single store vs two-store split,
+// fees, coverage) and then end to end against the offline mock retailer.
+const { optimizeBasket } = require('../utils/basketOptimizer');
+const basketOptimizerService = require('../services/basketOptimizerService');
+
+const ITEMS = [
+  { name: 'milk', quantity: 2 },
+  { name: 'eggs' },
+  { name: 'coffee' },
+  { name: 'salmon' }
+];
+
+const quote = (price) => (price === null ? { price: null } : { price, available: true });
+const store = (retailerId, serviceFee, deliveryFee, prices) => ({
+  retailerId,
+  name: retailerId,
+  serviceFee,
+  deliveryFee,
+  prices: prices.map(quote)
+});
+
+describe('single store and split', () => {
+  const result = optimizeBasket(ITEMS, [
+    store('cheapmart', 0, 3.99, [3.0, 2.5, 12.0, 10.0]),
+    store('beanbarn', 0, 1.99, [5.0, 4.0, 4.0, 16.0]),
+    store('pricey', 5, 5, [4.0, 3.0, 9.0, 11.0])
+  ]);
+
+  test('every store is priced with fees', () => {
+    expect(result.stores).toHaveLength(3);
+    for (const basket of result.stores) {
+      expect(basket.total).toBe(Math.round((basket.subtotal + basket.fees.total) * 100) / 100);
+    }
+  });
+
+  test('quantities multiply the unit price', () => {
+    expect(result.stores.find(basket => basket.retailerId === 'cheapmart').subtotal).toBe(30.5);
+  });
+
+  test('cheapest single store includes its fees', () => {
+    expect(result.cheapestSingleStore).toMatchObject({ retailerId: 'cheapmart', total: 34.49 });
+  });
+
+  test('split sends each item to the cheaper store and pays both stores\' fees', () => {
+    const split = result.cheapestSplit;
+    const legs = Object.fromEntries(split.stores.map(leg => [leg.retailerId, leg.items.map(item => item.name)]));
+    expect(legs).toEqual({ cheapmart: ['milk', 'eggs', 'salmon'], beanbarn: ['coffee'] });
+    expect(split.fees).toBe(5.98);
+    expect(split.total).toBe(28.48);
+  });
+
+  test('split is recommended when it saves money', () => {
+    expect(result.recommendation).toBe('split');
+    expect(result.cheapestSplit.savings).toBe(6.01);
+  });
+});
+
+test('a split whose extra fees cost more than it saves is not recommended', () => {
+  const result = optimizeBasket(ITEMS.slice(0, 2), [
+    store('a', 4, 4, [3.0, 3.0]),
+    store('b', 4, 4, [3.5, 2.0])
+  ]);
+  expect(result.recommendation).toBe('single');
+  expect(result.cheapestSplit.savings).toBeLessThan(0);
+});
+
+describe('coverage', () => {
+  const result = optimizeBasket(ITEMS, [
+    store('partial', 0, 0, [1.0, 1.0, 1.0, null]),
+    store('complete', 2, 2, [4.0, 3.0, 9.0, 11.0]),
+    store('empty', 0, 0, [null, null, null, null])
+  ]);
+
+  test('a store carrying the whole cart beats a cheaper partial one', () => {
+    expect(result.cheapestSingleStore.retailerId).toBe('complete');
+  });
+
+  test('unavailable items are reported per store', () => {
+    const partial = result.stores.find(basket => basket.retailerId === 'partial');
+    expect(partial.unavailable).toEqual([expect.objectContaining({ name: 'salmon', reason: 'no_price' })]);
+  });
+
+  test('stores without any prices are reported but never chosen', () => {
+    expect(result.stores.some(basket => basket.retailerId === 'empty')).toBe(true);
+    expect(result.cheapestSplit.stores.some(leg => leg.retailerId === 'empty')).toBe(false);
+  });
+});
+
+describe('against the mock retailer', () => {
+  let result;
+  beforeAll(async () => {
+    result = await basketOptimizerService.optimize({
+      items: [{ name: 'whole milk' }, { name: 'coffee' }, { name: 'dragon fruit' }],
+      zipCode: '95662',
+      retailerIds: ['mock', 'safeway']
+    });
+  });
+
+  test('live retailers are priced at their nearest store', () => {
+    const mock = result.stores.find(basket => basket.retailerId === 'mock');
+    expect(mock.priceSource).toBe('retailer');
+    expect(mock.store.id).toBe('mock-001');
+    expect(mock.items.find(item => item.name === 'coffee').price).toBe(9.49);
+    expect(mock.unavailable.map(item => item.name)).toEqual(['dragon fruit']);
+  });
+
+  test('planned chains use observed prices only', () => {
+    const safeway = result.stores.find(basket => basket.retailerId === 'safeway');
+    expect(safeway.priceSource).toBe('price_history');
+    expect(result.priceHistoryAvailable || safeway.unavailable.length === 3).toBe(true);
+  });
+
+  test('unknown retailers are rejected', async () => {
+    await expect(basketOptimizerService.optimize({ items: [{ name: 'milk' }], zipCode: '95662', retailerIds: ['nowhere'] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
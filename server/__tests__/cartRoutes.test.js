@@ -0,0 +1,189 @@
+// /api/cart whole-cart writes against the in-memory store: PUT validates and
+// caps the items it is given and honours baseVersion, allergens are screened
+// out of every write, clearing keeps an automatic snapshot without using up
+// the user's named ones, and paths that read the pantry or household profiles
+// only act for the signed-in user. The stand-in auth takes the bearer token
+// as the uid.
+jest.mock('../middleware/auth', () => ({
+  authenticateUser: (req, res, next) => {
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ success: false, code: 'AUTH_TOKEN_MISSING' });
+    }
+    req.user = { uid: token };
+    next();
+  }
+}));
+
+const express = require('express');
+const cartRoutes = require('../routes/cart');
+const { getCartStore } = require('../services/cartStore');
+const { MAX_SNAPSHOTS } = require('../services/cartStore/CartStore');
+const householdProfileService = require('../services/householdProfileService');
+const pantryService = require('../services/pantryService');
+const { mergeConstraints } = require('../utils/dietaryConstraints');
+
+const PEANUT_ALLERGY = mergeConstraints([{ name: 'Maya', allergies: ['peanuts'] }]);
+
+describe('cart routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use('/api/cart', cartRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/cart`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(householdProfileService, 'getConstraints').mockResolvedValue(mergeConstraints([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = async (method, path, userId, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'user-id': userId, Authorization: `Bearer ${userId}` },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  describe('PUT /:userId', () => {
+    test('replaces the cart with cleaned items', async () => {
+      const { status, body } = await request('PUT', '/put-user-1', 'put-user-1', {
+        items: [{ id: 'a', productName: '  <b>milk</b> ', quantity: '2' }, { productName: 'eggs' }],
+        reason: 'undo'
+      });
+
+      expect(status).toBe(200);
+      expect(body.cart[0]).toMatchObject({ id: 'a', productName: 'bmilk/b', quantity: 2 });
+      expect(body.cart[1]).toMatchObject({ productName: 'eggs', quantity: 1, id: expect.any(String) });
+    });
+
+    test.each([
+      ['not an array', { items: 'milk' }],
+      ['an item that is not an object', { items: ['milk'] }],
+      ['an item without a name', { items: [{ quantity: 1 }] }],
+      ['a bad quantity', { items: [{ productName: 'milk', quantity: -3 }] }],
+      ['too many items', { items: Array.from({ length: 501 }, (_, i) => ({ productName: `item ${i}` })) }]
+    ])('rejects %s with a 400', async (label, body) => {
+      const { status, body: response } = await request('PUT', '/put-user-2', 'put-user-2', body);
+      expect(status).toBe(400);
+      expect(response.success).toBe(false);
+    });
+
+    test('a stale baseVersion is a 409 with the current version', async () => {
+      const first = await request('PUT', '/put-user-3', 'put-user-3', { items: [{ productName: 'milk' }] });
+      await request('PUT', '/put-user-3', 'put-user-3', { items: [{ productName: 'eggs' }], baseVersion: first.body.version });
+
+      const stale = await request('PUT', '/put-user-3', 'put-user-3', { items: [], baseVersion: first.body.version });
+      expect(stale.status).toBe(409);
+      expect(stale.body.currentVersion).toBe(first.body.version + 1);
+      expect((await getCartStore().get('put-user-3')).items[0].productName).toBe('eggs');
+    });
+  });
+
+  test('clearing a cart keeps a snapshot even when named snapshots are full', async () => {
+    const userId = 'clear-user-1';
+    for (let i = 0; i < MAX_SNAPSHOTS; i++) {
+      await getCartStore().createSnapshot(userId, { name: `named ${i}`, items: [], cartVersion: 0 });
+    }
+    await request('PUT', `/${userId}`, userId, { items: [{ productName: 'milk' }] });
+
+    const { status, body } = await request('DELETE', `/${userId}`, userId);
+
+    expect(status).toBe(200);
+    expect(body.snapshotId).toEqual(expect.any(String));
+    expect(await getCartStore().getSnapshot(userId, body.snapshotId)).toMatchObject({ automatic: true, itemCount: 1 });
+  });
+
+  describe('signed-in user only', () => {
+    const anonymous = async (method, path, headers, body) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    test('parsing without a token is refused before the pantry or profiles are read', async () => {
+      const pantry = jest.spyOn(pantryService, 'diffAgainstPantry');
+
+      const { status } = await anonymous('POST', '/parse', { 'user-id': 'victim-1' }, { listText: 'milk', userId: 'victim-1', useAI: false });
+
+      expect(status).toBe(401);
+      expect(pantry).not.toHaveBeenCalled();
+      expect(householdProfileService.getConstraints).not.toHaveBeenCalled();
+    });
+
+    test('adding acts for the token\'s user, not the one in the body', async () => {
+      const { status } = await request('POST', '/add', 'auth-user-1', { items: [{ productName: 'milk' }], userId: 'victim-2' });
+
+      expect(status).toBe(200);
+      expect(householdProfileService.getConstraints).toHaveBeenCalledWith('auth-user-1');
+      expect(await getCartStore().get('victim-2')).toBeFalsy();
+    });
+
+    test('replacing someone else\'s cart is a 403', async () => {
+      const { status } = await request('PUT', '/victim-3', 'auth-user-2', { items: [{ productName: 'milk' }] });
+
+      expect(status).toBe(403);
+      expect(householdProfileService.getConstraints).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('allergen screening', () => {
+    beforeEach(() => {
+      householdProfileService.getConstraints.mockResolvedValue(PEANUT_ALLERGY);
+    });
+
+    test('a whole-cart write sends allergens to the review queue', async () => {
+      const { status, body } = await request('PUT', '/screen-user-1', 'screen-user-1', {
+        items: [{ productName: 'bananas' }, { productName: 'salted peanuts' }]
+      });
+
+      expect(status).toBe(200);
+      expect(body.cart.map(item => item.productName)).toEqual(['bananas']);
+      expect(body.reviewQueue.map(item => item.productName)).toEqual(['salted peanuts']);
+      expect(body.dietaryCheck).toBe('checked');
+    });
+
+    test('renaming an item to an allergen needs confirming', async () => {
+      const { body: created } = await request('PUT', '/screen-user-2', 'screen-user-2', { items: [{ id: 'x', productName: 'bananas' }] });
+
+      const refused = await request('PUT', '/items/x', 'screen-user-2', { productName: 'peanut butter' });
+      expect(refused.status).toBe(400);
+      expect(refused.body.code).toBe('ALLERGEN_CONFLICT');
+
+      const confirmed = await request('PUT', '/items/x', 'screen-user-2', { productName: 'peanut butter', allowAllergens: true });
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.body.item).toMatchObject({ productName: 'peanut butter', reviewedAt: expect.any(String) });
+      expect(confirmed.body.item.allowAllergens).toBeUndefined();
+      expect(confirmed.body.version).toBe(created.version + 1);
+    });
+
+    test('unreadable profiles never block the cart', async () => {
+      householdProfileService.getConstraints.mockRejectedValue(new Error('firestore down'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { status, body } = await request('PUT', '/screen-user-3', 'screen-user-3', { items: [{ productName: 'salted peanuts' }] });
+
+      expect(status).toBe(200);
+      expect(body.cart).toHaveLength(1);
+      expect(body.dietaryCheck).toBe('unavailable');
+    });
+  });
+});
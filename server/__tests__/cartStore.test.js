@@ -0,0 +1,209 @@
+// The in-memory cart store through the CartStore contract: versioned saves,
+// optimistic-concurrency conflicts, update() retries, TTL expiry, the operation
+// log, snapshots, review queues and per-user purges, plus the cart diff snapshots are compared
+// with. MongoCartStore follows the same rules against its collections.
+const { MemoryCartStore, CartVersionConflictError } = require('../services/cartStore');
+const { MAX_REVIEW_ITEMS, MAX_SNAPSHOTS, MAX_AUTO_SNAPSHOTS } = require('../services/cartStore/CartStore');
+const { diffCarts } = require('../utils/cartDiff');
+
+const conflict = expect.objectContaining({ statusCode: 409 });
+
+describe('versioning', () => {
+  const store = new MemoryCartStore();
+
+  test('missing cart reads as null', async () => {
+    expect(await store.get('alice')).toBeNull();
+  });
+
+  test('each save bumps the version', async () => {
+    const first = await store.save('alice', [{ id: 'a', productName: 'milk' }], 0);
+    expect(first.version).toBe(1);
+    const second = await store.save('alice', [...first.items, { id: 'b', productName: 'eggs' }], 1);
+    expect(second.version).toBe(2);
+    expect(second.items).toHaveLength(2);
+  });
+
+  test('stale versions and creating over a live cart are conflicts', async () => {
+    await expect(store.save('alice', [], 1)).rejects.toBeInstanceOf(CartVersionConflictError);
+    await expect(store.save('alice', [], 0)).rejects.toEqual(conflict);
+  });
+
+  test('reads are copies', async () => {
+    const read = await store.get('alice');
+    read.items.push({ id: 'x' });
+    expect((await store.get('alice')).items).toHaveLength(2);
+  });
+
+  test('delete removes the cart', async () => {
+    expect(await store.delete('alice')).toBeTruthy();
+    expect(await store.get('alice')).toBeNull();
+  });
+});
+
+describe('update', () => {
+  const store = new MemoryCartStore();
+
+  test('retries on conflict against the fresh cart', async () => {
+    await store.save('bob', [{ id: 'a' }], 0);
+
+    // Another request writes between update()'s read and its save
+    let interfered = false;
+    const updated = await store.update('bob', async (items) => {
+      if (!interfered) {
+        interfered = true;
+        await store.save('bob', [{ id: 'a' }, { id: 'other' }], 1);
+      }
+      return [...items, { id: 'b' }];
+    });
+    expect(updated.version).toBe(3);
+    expect(updated.items.map(item => item.id)).toEqual(['a', 'other', 'b']);
+  });
+
+  test('a stale baseVersion is a conflict', async () => {
+    await expect(store.update('bob', items => items, { baseVersion: 1 })).rejects.toEqual(conflict);
+  });
+
+  test('the current baseVersion saves', async () => {
+    const withBase = await store.update('bob', items => items.slice(1), { baseVersion: 3 });
+    expect(withBase.version).toBe(4);
+    expect(withBase.items).toHaveLength(2);
+  });
+});
+
+describe('expiry', () => {
+  const store = new MemoryCartStore({ ttlDays: 1 });
+
+  test('saves push expiresAt out by the TTL', async () => {
+    const saved = await store.save('carol', [{ id: 'a' }], 0);
+    expect((saved.expiresAt - saved.updatedAt) / (60 * 60 * 1000)).toBe(24);
+  });
+
+  test('expired carts read as null and can be recreated', async () => {
+    store.carts.get('carol').expiresAt = new Date(Date.now() - 1000);
+    expect(await store.get('carol')).toBeNull();
+    expect((await store.save('carol', [], 0)).version).toBe(1);
+  });
+
+  test('purgeExpired removes expired carts', async () => {
+    await store.save('dave', [], 0);
+    store.carts.get('dave').expiresAt = new Date(Date.now() - 1000);
+    expect(await store.purgeExpired()).toBe(1);
+    expect(store.carts.size).toBe(1);
+  });
+});
+
+describe('operation log and snapshots', () => {
+  const store = new MemoryCartStore();
+
+  beforeAll(async () => {
+    await store.update('erin', () => [{ id: 'a', productName: 'milk', quantity: 1 }], { operation: { type: 'add' } });
+    await store.update('erin', items => items.map(item => ({ ...item, quantity: 2 })), { operation: { type: 'update_item', detail: 'a' } });
+    await store.update('erin', () => [], { operation: { type: 'clear' } });
+    await store.update('erin', items => items);
+  });
+
+  test('operations are logged newest first with the version they produced', async () => {
+    const log = await store.listOperations('erin');
+    expect(log.map(op => op.type)).toEqual(['clear', 'update_item', 'add']);
+    expect(log[0].version).toBe(3);
+    expect(log[2].version).toBe(1);
+  });
+
+  test('operations record what changed', async () => {
+    const log = await store.listOperations('erin');
+    expect(log[0].changes.removed).toHaveLength(1);
+    expect(log[1].changes.changed[0].changes.quantity.to).toBe(2);
+  });
+
+  test('snapshots list without items, per user, and can be deleted', async () => {
+    const snapshot = await store.createSnapshot('erin', { name: 'before edits', items: [{ id: 'a', productName: 'milk' }], cartVersion: 3 });
+    const listed = await store.listSnapshots('erin');
+    expect(listed).toHaveLength(1);
+    expect(listed[0].itemCount).toBe(1);
+    expect(listed[0]).not.toHaveProperty('items');
+    expect(await store.getSnapshot('frank', snapshot.id)).toBeNull();
+    expect(await store.deleteSnapshot('erin', snapshot.id)).toBeTruthy();
+    expect(await store.listSnapshots('erin')).toHaveLength(0);
+  });
+
+  test('automatic snapshots rotate and never use up the named ones', async () => {
+    const snap = (name, automatic) => store.createSnapshot('gina', { name, items: [], cartVersion: 1, automatic });
+
+    for (let i = 0; i < MAX_SNAPSHOTS; i++) await snap(`named ${i}`, false);
+    await expect(snap('one too many', false)).rejects.toMatchObject({ statusCode: 400 });
+
+    for (let i = 0; i < MAX_AUTO_SNAPSHOTS + 2; i++) await snap(`Before clearing ${i}`, true);
+    const automatic = (await store.listSnapshots('gina')).filter(snapshot => snapshot.automatic);
+    expect(automatic.map(snapshot => snapshot.name)).toEqual(
+      Array.from({ length: MAX_AUTO_SNAPSHOTS }, (_, i) => `Before clearing ${MAX_AUTO_SNAPSHOTS + 1 - i}`)
+    );
+    expect(await store.listSnapshots('gina')).toHaveLength(MAX_SNAPSHOTS + MAX_AUTO_SNAPSHOTS);
+  });
+
+  test('purgeUser removes cart, log and snapshots', async () => {
+    await store.createSnapshot('erin', { name: 'again', items: [], cartVersion: 3 });
+    const purged = await store.purgeUser('erin');
+    expect(purged).toMatchObject({ carts: 1, operations: 3, snapshots: 1 });
+    expect(await store.get('erin')).toBeNull();
+    expect(await store.listOperations('erin')).toHaveLength(0);
+  });
+});
+
+describe('review queue', () => {
+  const store = new MemoryCartStore();
+
+  test('an empty queue reads as an empty list', async () => {
+    expect(await store.getReviewQueue('gina')).toEqual([]);
+  });
+
+  test('updates append, filter and persist per user', async () => {
+    await store.updateReviewQueue('gina', queue => [...queue, { id: 'a' }, { id: 'b' }]);
+    const remaining = await store.updateReviewQueue('gina', queue => queue.filter(item => item.id !== 'a'));
+    expect(remaining).toEqual([{ id: 'b' }]);
+    expect(await store.getReviewQueue('gina')).toEqual([{ id: 'b' }]);
+    expect(await store.getReviewQueue('hank')).toEqual([]);
+  });
+
+  test('the queue keeps only the newest items', async () => {
+    const items = Array.from({ length: MAX_REVIEW_ITEMS + 5 }, (_, i) => ({ id: `q${i}` }));
+    const saved = await store.updateReviewQueue('ivan', () => items);
+    expect(saved).toHaveLength(MAX_REVIEW_ITEMS);
+    expect(saved[0].id).toBe('q5');
+  });
+
+  test('expired queues read as empty', async () => {
+    store.reviewQueues.get('gina').expiresAt = new Date(Date.now() - 1000);
+    expect(await store.getReviewQueue('gina')).toEqual([]);
+  });
+
+  test('purgeUser removes the queue', async () => {
+    expect(await store.purgeUser('ivan')).toMatchObject({ reviewItems: MAX_REVIEW_ITEMS });
+    expect(await store.getReviewQueue('ivan')).toEqual([]);
+  });
+});
+
+describe('diffCarts', () => {
+  const before = [
+    { id: 'a', productName: 'Milk', quantity: 1, unit: 'gallon' },
+    { id: 'b', productName: 'Eggs', quantity: 12, unit: 'each' },
+    { id: 'c', productName: 'Bread', quantity: 1, unit: 'loaf' }
+  ];
+  const after = [
+    { id: 'a', productName: 'Milk', quantity: 2, unit: 'gallon' },
+    { id: 'x', productName: 'eggs', quantity: 12, unit: 'each' },
+    { id: 'd', productName: 'Butter', quantity: 1, unit: 'stick' }
+  ];
+
+  test('finds added, removed and changed items', () => {
+    const diff = diffCarts(before, after);
+    expect(diff.added.map(item => item.productName)).toEqual(['Butter']);
+    expect(diff.removed.map(item => item.productName)).toEqual(['Bread']);
+    expect(diff.changed).toHaveLength(2);
+    expect(diff.unchanged).toBe(0);
+  });
+
+  test('pairs re-parsed items by name', () => {
+    const diff = diffCarts(before, after);
+    expect(diff.changed.some(item => item.id === 'x' && item.changes.productName)).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+// A household with a peanut-allergic child and a vegetarian adult through the
+// allergen dictionary: names that look alike but are safe ("peanut butter" is
+// not dairy, "eggplant" is not egg), free-from labels and badges, recipe checks
+// and the items held back before they reach the cart.
+const householdProfileService = require('../services/householdProfileService');
+const {
+  mergeConstraints,
+  checkText,
+  checkRecipe,
+  flagItems,
+  isBlocking,
+  restrictionList,
+  describeConstraints,
+  screenItems
+} = require('../utils/dietaryConstraints');
+
+const PROFILES = [
+  { name: 'Maya', allergies: ['peanuts', 'dairy'], dislikes: ['olives'] },
+  { name: 'Jordan', diet: 'vegetarian' },
+  { name: 'Riley', allergies: ['peanut'] }
+];
+
+const constraints = mergeConstraints(PROFILES);
+const flags = (text, options) => checkText(text, constraints, options).map(flag => `${flag.type}:${flag.key}`);
+
+describe('mergeConstraints', () => {
+  test('allergies are merged across members with who they are for', () => {
+    expect(constraints.allergies).toHaveLength(2);
+    expect(constraints.allergies.find(allergy => allergy.key === 'peanut').members).toEqual(['Maya', 'Riley']);
+  });
+
+  test('restriction words cover diets and allergies', () => {
+    expect(restrictionList(constraints)).toEqual(['vegetarian', 'peanut-free', 'dairy-free']);
+  });
+
+  test('the prompt text names every allergy', () => {
+    expect(describeConstraints(constraints)).toMatch(/peanuts \(Maya, Riley\)/);
+  });
+});
+
+describe('checkText', () => {
+  test('peanut butter is a peanut, not dairy', () => {
+    expect(flags('Creamy peanut butter')).toEqual(['allergy:peanut']);
+  });
+
+  test('dairy is found in cheese and milk chocolate', () => {
+    expect(flags('shredded cheddar cheese')).toEqual(['allergy:milk']);
+    expect(flags('milk chocolate chips')).toEqual(['allergy:milk']);
+  });
+
+  test('plant milks and cream of tartar are not dairy', () => {
+    expect(flags('coconut milk')).toEqual([]);
+    expect(flags('oat milk')).toEqual([]);
+    expect(flags('cream of tartar')).toEqual([]);
+  });
+
+  test('whole words only - nutmeg, eggplant and butternut pass', () => {
+    expect(flags('ground nutmeg')).toEqual([]);
+    expect(flags('eggplant')).toEqual([]);
+    expect(flags('butternut squash')).toEqual([]);
+  });
+
+  test('free-from labels and badges vouch for a product', () => {
+    expect(flags('Peanut-free granola bars')).toEqual([]);
+    expect(flags('vegan cheese shreds')).toEqual([]);
+    expect(flags('Sunbutter spread with peanut oil', { badges: ['peanut_free'] })).toEqual([]);
+  });
+
+  test('a free-from label only vouches for what it names, not the word before it', () => {
+    const treeNuts = mergeConstraints([{ name: 'Sam', allergies: ['tree nuts'] }]);
+    const treeNutFlags = (text) => checkText(text, treeNuts).map(flag => `${flag.type}:${flag.key}`);
+
+    expect(flags('Peanut Gluten-Free Granola')).toEqual(['allergy:peanut']);
+    expect(flags('Almond Dairy-Free Yogurt')).toEqual([]);
+    expect(treeNutFlags('Almond Dairy-Free Yogurt')).toEqual(['allergy:tree_nut']);
+    expect(treeNutFlags('Cashew Dairy Free Cheese')).toEqual(['allergy:tree_nut']);
+    expect(treeNutFlags('Tree nut free trail mix with cashews')).toEqual([]);
+  });
+
+  test('meat and fish break a vegetarian diet', () => {
+    expect(flags('chicken broth')).toEqual(['diet:vegetarian']);
+    expect(flags('fish sauce')).toEqual(['diet:vegetarian']);
+  });
+
+  test('dislikes are warnings', () => {
+    expect(flags('kalamata olives')).toEqual(['dislike:olives']);
+  });
+});
+
+describe('recipes and cart items', () => {
+  test('a recipe with an allergen is unsafe and says which ingredient', () => {
+    const satay = checkRecipe({
+      id: 'r1',
+      title: 'Chicken satay',
+      ingredients: [{ item: 'chicken thighs' }, { item: 'peanut sauce' }, { item: 'rice' }]
+    }, constraints);
+    expect(satay.safe).toBe(false);
+    expect(satay.ingredients.some(ingredient => ingredient.name === 'peanut sauce')).toBe(true);
+  });
+
+  test('a recipe with only dislikes stays safe', () => {
+    const salad = checkRecipe({ title: 'Greek salad', ingredients: ['cucumber', 'tomato', 'olives'] }, constraints);
+    expect(salad.safe).toBe(true);
+    expect(salad.flags.map(flag => flag.key)).toEqual(['olives']);
+  });
+
+  test('items that break an allergy are blocked, others only flagged', () => {
+    const { items, flagged } = flagItems([
+      { id: 'a', productName: 'Bananas' },
+      { id: 'b', productName: 'Honey roasted peanuts' },
+      { id: 'c', productName: 'Turkey slices' }
+    ], constraints);
+    expect(isBlocking(items[1].dietaryFlags)).toBe(true);
+    expect(isBlocking(items[2].dietaryFlags)).toBe(false);
+    expect(items[0].dietaryFlags).toBeUndefined();
+    expect(flagged.map(entry => entry.id)).toEqual(['b', 'c']);
+  });
+
+  test('no profiles means nothing is flagged', () => {
+    expect(flagItems([{ productName: 'peanuts' }], mergeConstraints([])).flagged).toHaveLength(0);
+  });
+});
+
+describe('screenItems', () => {
+  const ITEMS = [
+    { id: 'a', productName: 'Bananas' },
+    { id: 'b', productName: 'Honey roasted peanuts' },
+    { id: 'c', productName: 'Turkey slices' }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('allergens are held for review, diet conflicts go through flagged', async () => {
+    jest.spyOn(householdProfileService, 'getConstraints').mockResolvedValue(constraints);
+
+    const screened = await screenItems('u1', ITEMS);
+
+    expect(screened.items.map(item => item.id)).toEqual(['a', 'c']);
+    expect(screened.held).toEqual([expect.objectContaining({ id: 'b', needsReview: true, reviewReason: 'allergen' })]);
+    expect(screened.dietaryCheck).toBe('checked');
+  });
+
+  test('confirmed allergens go through marked as reviewed, and stay through later screens', async () => {
+    jest.spyOn(householdProfileService, 'getConstraints').mockResolvedValue(constraints);
+
+    const confirmed = await screenItems('u1', ITEMS, { allowAllergens: true });
+    expect(confirmed.held).toHaveLength(0);
+    expect(confirmed.items[1]).toMatchObject({ id: 'b', needsReview: false, reviewedAt: expect.any(String) });
+
+    expect((await screenItems('u1', confirmed.items)).held).toHaveLength(0);
+  });
+
+  test('unreadable profiles hold nothing and say the check was unavailable', async () => {
+    jest.spyOn(householdProfileService, 'getConstraints').mockRejectedValue(new Error('firestore down'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const screened = await screenItems('u1', ITEMS);
+
+    expect(screened.items).toHaveLength(3);
+    expect(screened.dietaryCheck).toBe('unavailable');
+  });
+});
@@ -0,0 +1,64 @@
+// The daily use-it-up job runs on one instance per day: a live lease held by
+// another instance or a completed day skips the run, an expired lease is taken
+// over, and a failed run leaves the day open for a retry.
+jest.mock('../services/databaseService', () => ({ getUserRecipes: jest.fn() }));
+
+const expiryService = require('../services/expiryService');
+
+const DAY = '2026-10-19';
+
+describe('daily job lease', () => {
+  let lock;
+
+  beforeEach(() => {
+    lock = null;
+    const transaction = {
+      get: async () => ({ exists: lock !== null, data: () => lock }),
+      set: (ref, data, options) => { lock = options?.merge ? { ...lock, ...data } : data; }
+    };
+    jest.spyOn(expiryService, 'getDB').mockReturnValue({ runTransaction: (fn) => fn(transaction) });
+    jest.spyOn(expiryService, 'lockRef').mockReturnValue({ id: 'expiryDailyCheck' });
+    jest.spyOn(expiryService, 'runDailyCheck').mockResolvedValue({ users: 1, notified: 1, failed: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the first instance takes the lease', async () => {
+    expect(await expiryService.acquireLease(DAY, 1000)).toBe(true);
+    expect(lock).toMatchObject({ holder: expiryService.instanceId, leaseUntil: 1000 + 30 * 60 * 1000 });
+  });
+
+  test('a live lease held elsewhere is respected', async () => {
+    lock = { holder: 'other-instance', leaseUntil: 5000 };
+    expect(await expiryService.acquireLease(DAY, 1000)).toBe(false);
+  });
+
+  test('an expired lease is taken over', async () => {
+    lock = { holder: 'crashed-instance', leaseUntil: 500 };
+    expect(await expiryService.acquireLease(DAY, 1000)).toBe(true);
+    expect(lock.holder).toBe(expiryService.instanceId);
+  });
+
+  test('a completed day does not run again', async () => {
+    lock = { holder: null, leaseUntil: 0, completedDay: DAY };
+    expect(await expiryService.acquireLease(DAY, 1000)).toBe(false);
+  });
+
+  test('a scheduled run marks the day done and frees the lease', async () => {
+    const result = await expiryService.runScheduledCheck();
+    expect(result).toEqual({ users: 1, notified: 1, failed: 0 });
+    expect(lock).toMatchObject({ holder: null, leaseUntil: 0, completedDay: new Date().toISOString().split('T')[0] });
+
+    expect(await expiryService.runScheduledCheck()).toEqual({ skipped: true });
+    expect(expiryService.runDailyCheck).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed run frees the lease without closing the day', async () => {
+    expiryService.runDailyCheck.mockRejectedValueOnce(new Error('firestore down'));
+    await expect(expiryService.runScheduledCheck()).rejects.toThrow('firestore down');
+    expect(lock).toMatchObject({ holder: null });
+    expect(lock.completedDay).toBeUndefined();
+  });
+});
@@ -0,0 +1,156 @@
+// Household membership by invite: the owner invites an email without learning
+// anything about its account, only a signed-in user with that verified email can
+// accept, accepting joins with the invited role, and declined, withdrawn or
+// expired invites can't be used. Firestore is a small in-memory stand-in.
+jest.mock('firebase-admin', () => ({
+  apps: [],
+  firestore: { FieldValue: { arrayUnion: (...values) => ({ arrayUnion: values }) } },
+  auth: jest.fn()
+}));
+
+const admin = require('firebase-admin');
+const userSettingsService = require('../services/userSettingsService');
+
+// Just enough of Firestore: documents by path, equality queries, dotted updates
+function fakeFirestore() {
+  const docs = new Map();
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshot(path),
+    set: async (data, options) => write(path, data, options),
+    update: async (data) => update(path, data),
+    delete: async () => docs.delete(path)
+  });
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    ref: docRef(path),
+    exists: docs.has(path),
+    data: () => docs.get(path)
+  });
+  const write = (path, data, options) => docs.set(path, options?.merge ? { ...docs.get(path), ...data } : data);
+  const update = (path, data) => {
+    const next = structuredClone(docs.get(path));
+    for (const [key, value] of Object.entries(data)) {
+      const keys = key.split('.');
+      const last = keys.pop();
+      const target = keys.reduce((obj, part) => (obj[part] = obj[part] || {}), next);
+      target[last] = value?.arrayUnion ? [...new Set([...(target[last] || []), ...value.arrayUnion])] : value;
+    }
+    docs.set(path, next);
+  };
+
+  const collection = (name) => ({
+    doc: (id) => docRef(`${name}/${id}`),
+    where: (field, op, value) => ({
+      get: async () => ({
+        docs: [...docs.keys()]
+          .filter(path => path.startsWith(`${name}/`) && docs.get(path)[field] === value)
+          .map(snapshot)
+      })
+    })
+  });
+
+  const transaction = {
+    get: async (ref) => snapshot(ref.path),
+    set: (ref, data, options) => write(ref.path, data, options),
+    update: (ref, data) => update(ref.path, data)
+  };
+
+  return { docs, collection, runTransaction: (fn) => fn(transaction) };
+}
+
+const OWNER = { uid: 'owner-1', email: 'owner@example.com', emailVerified: true, displayName: 'Olive' };
+const INVITEE = { uid: 'user-2', email: 'Sam@Example.com', emailVerified: true, displayName: 'Sam' };
+
+describe('household invites', () => {
+  let db;
+  let invite;
+
+  beforeEach(async () => {
+    db = fakeFirestore();
+    jest.spyOn(userSettingsService, 'getDB').mockReturnValue(db);
+    db.docs.set('households/h1', {
+      name: 'Home',
+      ownerId: OWNER.uid,
+      members: { [OWNER.uid]: { role: 'owner', email: OWNER.email } },
+      memberIds: [OWNER.uid]
+    });
+    db.docs.set(`users/${OWNER.uid}`, { householdId: 'h1' });
+
+    invite = await userSettingsService.inviteMember(OWNER, { email: ' sam@example.com ', role: 'viewer' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('inviting records the email and role without looking the user up', () => {
+    expect(invite).toMatchObject({ householdId: 'h1', householdName: 'Home', email: 'sam@example.com', role: 'viewer' });
+    expect(admin.auth).not.toHaveBeenCalled();
+    expect(db.docs.get('households/h1').members).not.toHaveProperty(INVITEE.uid);
+  });
+
+  test('only the owner can invite, with a valid email and role', async () => {
+    db.docs.get('households/h1').members['editor-3'] = { role: 'editor' };
+    db.docs.set('users/editor-3', { householdId: 'h1' });
+
+    await expect(userSettingsService.inviteMember({ uid: 'editor-3' }, { email: 'x@example.com', role: 'editor' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(userSettingsService.inviteMember(OWNER, { email: 'not-an-email', role: 'editor' }))
+      .rejects.toMatchObject({ statusCode: 400, field: 'email' });
+    await expect(userSettingsService.inviteMember(OWNER, { email: 'x@example.com', role: 'owner' }))
+      .rejects.toMatchObject({ statusCode: 400, field: 'role' });
+  });
+
+  test('the invitee sees the invite; nobody else does', async () => {
+    expect(await userSettingsService.getInvitesForUser(INVITEE)).toEqual([expect.objectContaining({ id: invite.id })]);
+    expect(await userSettingsService.getInvitesForUser({ ...INVITEE, emailVerified: false })).toEqual([]);
+    expect(await userSettingsService.getInvitesForUser({ email: 'other@example.com', emailVerified: true })).toEqual([]);
+  });
+
+  test('accepting joins with the invited role', async () => {
+    const household = await userSettingsService.respondToInvite(INVITEE, invite.id, true);
+
+    expect(household.role).toBe('viewer');
+    expect(db.docs.get('households/h1').members[INVITEE.uid]).toMatchObject({ role: 'viewer', displayName: 'Sam' });
+    expect(db.docs.get('households/h1').memberIds).toContain(INVITEE.uid);
+    expect(db.docs.get(`users/${INVITEE.uid}`).householdId).toBe('h1');
+    expect(db.docs.get(`householdInvites/${invite.id}`).status).toBe('accepted');
+  });
+
+  test('someone else cannot accept, and neither can an unverified email', async () => {
+    const stranger = { uid: 'user-9', email: 'eve@example.com', emailVerified: true };
+    await expect(userSettingsService.respondToInvite(stranger, invite.id, true)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(userSettingsService.respondToInvite({ ...INVITEE, emailVerified: false }, invite.id, true))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(db.docs.get('households/h1').members).not.toHaveProperty(INVITEE.uid);
+  });
+
+  test('declined, withdrawn and expired invites cannot be accepted', async () => {
+    await userSettingsService.respondToInvite(INVITEE, invite.id, false);
+    await expect(userSettingsService.respondToInvite(INVITEE, invite.id, true)).rejects.toMatchObject({ statusCode: 404 });
+
+    const second = await userSettingsService.inviteMember(OWNER, { email: 'sam@example.com', role: 'editor' });
+    await userSettingsService.cancelInvite(OWNER.uid, second.id);
+    await expect(userSettingsService.respondToInvite(INVITEE, second.id, true)).rejects.toMatchObject({ statusCode: 404 });
+
+    const third = await userSettingsService.inviteMember(OWNER, { email: 'sam@example.com', role: 'editor' });
+    db.docs.get(`householdInvites/${third.id}`).expiresAt = new Date(Date.now() - 1000).toISOString();
+    await expect(userSettingsService.respondToInvite(INVITEE, third.id, true)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('members of another household must leave it first', async () => {
+    db.docs.set('households/h2', { name: 'Other', ownerId: INVITEE.uid, members: { [INVITEE.uid]: { role: 'owner' } } });
+    db.docs.set(`users/${INVITEE.uid}`, { householdId: 'h2' });
+    await expect(userSettingsService.respondToInvite(INVITEE, invite.id, true)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('the owner can change a member role', async () => {
+    await userSettingsService.respondToInvite(INVITEE, invite.id, true);
+    expect(await userSettingsService.setMemberRole(OWNER.uid, INVITEE.uid, 'editor')).toMatchObject({ role: 'editor' });
+    expect(db.docs.get('households/h1').members[INVITEE.uid].role).toBe('editor');
+    await expect(userSettingsService.setMemberRole(OWNER.uid, OWNER.uid, 'viewer')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
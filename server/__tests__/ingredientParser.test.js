@@ -0,0 +1,98 @@
+// AIIngredientParser with stand-in AI clients: the rule-based fallback when no
+// AI is configured, the call times out or returns bad JSON, and the confidence
+// given to AI parses so weak ones still fall under the review threshold.
+const { AIIngredientParser } = require('../utils/ingredientParser');
+const { parseToIngredientResult } = require('../utils/ruleIngredientParser');
+
+// parsingPipeline DEFAULT_OPTIONS.confidenceThreshold
+const REVIEW_THRESHOLD = 0.6;
+
+const anthropicReplying = (reply) => ({
+  messages: { create: async () => ({ content: [{ text: typeof reply === 'string' ? reply : JSON.stringify(reply) }] }) }
+});
+
+const parserWith = (anthropic, options = {}) => {
+  const parser = new AIIngredientParser(options);
+  parser.ai.anthropic = anthropic;
+  return parser;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rule-based parser', () => {
+  test('reads quantity, unit and name', () => {
+    expect(parseToIngredientResult('2 cups all-purpose flour')).toMatchObject({ qty: 2, unit: 'cup', name: 'all-purpose flour', engine: 'rules' });
+  });
+
+  test('shops for the top of a range and keeps prep notes', () => {
+    expect(parseToIngredientResult('2-3 cloves garlic, minced')).toMatchObject({ qty: 3, unit: 'clove', name: 'garlic', notes: 'minced' });
+  });
+
+  test('reads container sizes', () => {
+    expect(parseToIngredientResult('1 (24 oz) jar marinara sauce')).toMatchObject({ qty: 1, unit: 'jar', sizeQty: 24, sizeUnit: 'oz' });
+  });
+
+  test('stays below the AI engines', () => {
+    expect(parseToIngredientResult('1 1/2 lbs boneless chicken breasts').confidence).toBeLessThanOrEqual(0.9);
+  });
+});
+
+describe('fallback', () => {
+  test('without an AI client the rules answer', async () => {
+    const result = await parserWith(null).parseIngredientLine('2 cups all-purpose flour');
+    expect(result).toMatchObject({ engine: 'rules', fallbackReason: 'no_ai_client', qty: 2 });
+  });
+
+  test('bad JSON falls back to the rules', async () => {
+    const result = await parserWith(anthropicReplying('Sure! Here is flour.')).parseIngredientLine('2 cups flour');
+    expect(result).toMatchObject({ engine: 'rules', fallbackReason: 'invalid_json' });
+  });
+
+  test('a slow AI falls back to the rules', async () => {
+    const slow = { messages: { create: () => new Promise(() => {}) } };
+    const result = await parserWith(slow, { timeoutMs: 20 }).parseIngredientLine('2 cups flour');
+    expect(result).toMatchObject({ engine: 'rules', fallbackReason: 'timeout' });
+  });
+});
+
+describe('AI confidence', () => {
+  test('a clean parse keeps the confidence the model reported', async () => {
+    const parser = parserWith(anthropicReplying({ qty: 2, unit: 'cup', name: 'all-purpose flour', confidence: 0.88 }));
+    const result = await parser.parseIngredientLine('2 cups all-purpose flour');
+    expect(result.engine).toBe('anthropic');
+    expect(result.confidence).toBe(0.88);
+  });
+
+  test('the model\'s own doubt sends the item to review', async () => {
+    const parser = parserWith(anthropicReplying({ qty: 1, unit: 'unit', name: 'stuff', confidence: 0.4 }));
+    expect((await parser.parseIngredientLine('some of the usual stuff')).confidence).toBeLessThan(REVIEW_THRESHOLD);
+  });
+
+  test('a name that is not in the line is not trusted however sure the model is', async () => {
+    const parser = parserWith(anthropicReplying({ qty: 2, unit: 'cup', name: 'sugar', confidence: 0.99 }));
+    expect((await parser.parseIngredientLine('2 cups flour')).confidence).toBeLessThan(REVIEW_THRESHOLD);
+  });
+
+  test('a missing quantity and unit lower the score', () => {
+    const parser = parserWith(null);
+    const full = parser.scoreAIResult({ qty: 2, unit: 'cup', name: 'flour', confidence: 0.95 }, '2 cups flour');
+    const partial = parser.scoreAIResult({ name: 'flour', confidence: 0.95 }, '2 cups flour');
+    expect(partial).toBeLessThan(full);
+  });
+
+  test('a model that reports no confidence is never scored at the ceiling', () => {
+    expect(parserWith(null).scoreAIResult({ qty: 2, unit: 'cup', name: 'flour' }, '2 cups flour')).toBeLessThan(0.95);
+  });
+
+  test('unit aliases in the AI answer are not penalised', () => {
+    expect(parserWith(null).scoreAIResult({ qty: 1.5, unit: 'pound', name: 'chicken breast', confidence: 0.9 }, '1 1/2 lbs boneless chicken breasts'))
+      .toBe(0.9);
+  });
+});
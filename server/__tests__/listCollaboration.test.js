@@ -0,0 +1,184 @@
+// Shared household lists: item ops merge against the stored items, whole-list
+// saves need the version the client last saw, lists stop growing at the cap,
+// and a socket that reconnects rejoins the room with the server's latest copy.
+// Firestore is a small in-memory stand-in and the socket is a fake.
+const listCollaborationService = require('../services/listCollaborationService');
+const { ListVersionConflictError } = require('../services/listCollaborationService');
+const ListCollaborationServer = require('../websocket/listCollaborationServer');
+
+const MAX_LIST_ITEMS = 500;
+
+function fakeFirestore() {
+  const docs = new Map();
+  const docRef = (id) => ({
+    id,
+    get: async () => ({ id, exists: docs.has(id), data: () => structuredClone(docs.get(id)) })
+  });
+  return {
+    docs,
+    collection: () => ({ doc: docRef }),
+    runTransaction: async (fn) => {
+      const writes = [];
+      const result = await fn({
+        get: (ref) => ref.get(),
+        update: (ref, data) => writes.push(() => docs.set(ref.id, { ...docs.get(ref.id), ...data }))
+      });
+      writes.forEach(write => write());
+      return result;
+    }
+  };
+}
+
+function fakeSocket(userId) {
+  const handlers = {};
+  return {
+    data: { userId },
+    rooms: new Set(),
+    on: (event, handler) => { handlers[event] = handler; },
+    join(room) { this.rooms.add(room); },
+    leave(room) { this.rooms.delete(room); },
+    send: (event, payload) => new Promise(resolve => handlers[event](payload, resolve))
+  };
+}
+
+function fakeServer() {
+  const server = Object.create(ListCollaborationServer.prototype);
+  server.emitted = [];
+  server.namespace = { to: (room) => ({ emit: (event, payload) => server.emitted.push({ room, event, payload }) }) };
+  return server;
+}
+
+const item = (id, productName) => ({ id, productName, checked: false });
+
+describe('list collaboration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = fakeFirestore();
+    jest.spyOn(listCollaborationService, 'getDB').mockReturnValue(db);
+    db.docs.set('l1', {
+      userId: 'owner',
+      members: { ed: { role: 'editor' }, vi: { role: 'viewer' } },
+      memberIds: ['ed', 'vi'],
+      items: [item('milk', 'milk'), item('eggs', 'eggs')],
+      version: 3
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('item operations', () => {
+    test('add, check, update and remove apply in order and bump the version once', async () => {
+      const result = await listCollaborationService.applyOperations('l1', 'ed', [
+        { type: 'add', item: { id: 'bread', productName: 'bread' } },
+        { type: 'check', itemId: 'milk', checked: true },
+        { type: 'update', itemId: 'eggs', changes: { quantity: 2, addedBy: 'someone else' } },
+        { type: 'remove', itemId: 'bread' }
+      ]);
+
+      expect(result.version).toBe(4);
+      expect(result.applied.map(op => op.type)).toEqual(['add', 'check', 'update', 'remove']);
+      const stored = db.docs.get('l1');
+      expect(stored.items.map(entry => entry.id)).toEqual(['milk', 'eggs']);
+      expect(stored.items[0]).toMatchObject({ checked: true, checkedBy: 'ed' });
+      expect(stored.items[1]).toMatchObject({ quantity: 2, updatedBy: 'ed' });
+      expect(stored.items[1].addedBy).toBeUndefined();
+    });
+
+    test('ops another member already made are no-ops and leave the version alone', async () => {
+      const result = await listCollaborationService.applyOperations('l1', 'ed', [
+        { type: 'remove', itemId: 'gone' },
+        { type: 'check', itemId: 'milk', checked: false }
+      ]);
+
+      expect(result).toMatchObject({ version: 3, applied: [] });
+    });
+
+    test('viewers cannot change items', async () => {
+      await expect(listCollaborationService.applyOperations('l1', 'vi', [{ type: 'remove', itemId: 'milk' }]))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('a full list takes no more items', async () => {
+      db.docs.get('l1').items = Array.from({ length: MAX_LIST_ITEMS }, (_, i) => item(`i${i}`, `item ${i}`));
+
+      await expect(listCollaborationService.applyOperations('l1', 'ed', [{ type: 'add', item: { productName: 'one more' } }]))
+        .rejects.toMatchObject({ statusCode: 400, field: 'items' });
+      expect(db.docs.get('l1').items).toHaveLength(MAX_LIST_ITEMS);
+    });
+  });
+
+  describe('whole-list saves', () => {
+    test('a save from a stale version is a 409 with the current version', async () => {
+      const error = await listCollaborationService.updateList('l1', 'ed', { items: [] }, 2).catch(e => e);
+
+      expect(error).toBeInstanceOf(ListVersionConflictError);
+      expect(error).toMatchObject({ statusCode: 409, currentVersion: 3 });
+      expect(db.docs.get('l1').items).toHaveLength(2);
+    });
+
+    test('a save from the current version replaces the items', async () => {
+      const saved = await listCollaborationService.updateList('l1', 'ed', { items: [item('tea', 'tea')], userId: 'ed' }, 3);
+
+      expect(saved).toMatchObject({ version: 4, itemCount: 1, userId: 'owner' });
+    });
+
+    test('replacing items needs a version', async () => {
+      await expect(listCollaborationService.updateList('l1', 'ed', { items: [] }))
+        .rejects.toMatchObject({ statusCode: 400, field: 'version' });
+    });
+  });
+
+  describe('socket rooms', () => {
+    test('ops are acked and broadcast to the list room', async () => {
+      const server = fakeServer();
+      const socket = fakeSocket('ed');
+      server.setupSocketEventHandlers(socket);
+
+      const ack = await socket.send('list:ops', {
+        listId: 'l1',
+        clientOpId: 'c1',
+        operations: [{ type: 'check', itemId: 'eggs', checked: true }]
+      });
+
+      expect(ack).toMatchObject({ success: true, version: 4 });
+      expect(server.emitted).toEqual([expect.objectContaining({
+        room: 'list:l1',
+        event: 'list:ops:applied',
+        payload: expect.objectContaining({ version: 4, clientOpId: 'c1', userId: 'ed' })
+      })]);
+    });
+
+    test('rejoining after a reconnect hands back the edits made while away', async () => {
+      const server = fakeServer();
+      const before = fakeSocket('vi');
+      server.setupSocketEventHandlers(before);
+      await before.send('list:join', { listId: 'l1' });
+
+      await listCollaborationService.applyOperations('l1', 'ed', [{ type: 'add', item: { id: 'jam', productName: 'jam' } }]);
+
+      const reconnected = fakeSocket('vi');
+      server.setupSocketEventHandlers(reconnected);
+      const ack = await reconnected.send('list:join', { listId: 'l1' });
+
+      expect(ack).toMatchObject({ success: true, role: 'viewer', list: { version: 4 } });
+      expect(ack.list.items.map(entry => entry.id)).toContain('jam');
+      expect(reconnected.rooms.has('list:l1')).toBe(true);
+    });
+
+    test('a member removed while away cannot rejoin', async () => {
+      const server = fakeServer();
+      const socket = fakeSocket('vi');
+      server.setupSocketEventHandlers(socket);
+      const stored = db.docs.get('l1');
+      delete stored.members.vi;
+
+      const ack = await socket.send('list:join', { listId: 'l1' });
+
+      expect(ack).toMatchObject({ success: false, statusCode: 403 });
+      expect(socket.rooms.size).toBe(0);
+    });
+  });
+});
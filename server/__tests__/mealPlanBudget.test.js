@@ -0,0 +1,118 @@
+// Prices a small fixed meal plan (consolidation, package counts, per-meal
+// shares, budget difference) and runs the budget fitter with a stand-in meal
+// generator instead of the AI, so swaps can be checked offline.
+const { costPlan, budgetStatus } = require('../utils/mealPlanBudget');
+const mealPlanBudgetService = require('../services/mealPlanBudgetService');
+
+const PRICES = {
+  'salmon fillet': 12.0,
+  rice: 3.0,
+  milk: 4.0,
+  oat: 5.0,
+  banana: 0.25,
+  tortilla: 3.5,
+  'black bean': 1.0
+};
+
+const recipe = (id, title, mealType, ingredients) => ({
+  id,
+  title,
+  dayAssigned: 'monday',
+  mealType,
+  ingredients: ingredients.map(([quantity, unit, item]) => ({ quantity, unit, item }))
+});
+
+const PLAN = {
+  recipes: [
+    recipe('r1', 'Salmon rice bowls', 'dinner', [[2, 'lbs', 'salmon fillets'], [2, 'cups', 'rice'], [1, 'cup', 'milk']]),
+    recipe('r2', 'Banana oatmeal', 'breakfast', [[3, 'cups', 'milk'], [2, 'cups', 'oats'], [3, 'unit', 'bananas']])
+  ]
+};
+
+const BURRITOS = {
+  title: 'Bean burritos',
+  ingredients: [{ quantity: 2, unit: 'cans', item: 'black beans' }, { quantity: 8, unit: 'unit', item: 'tortillas' }]
+};
+
+const priceFor = (name) => (PRICES[name] !== undefined ? { price: PRICES[name], source: 'observed' } : null);
+
+describe('costPlan', () => {
+  const costing = costPlan(PLAN.recipes, priceFor);
+  const line = (name) => costing.items.find(item => item.name === name);
+
+  test('shared ingredients are consolidated across meals', () => {
+    expect(line('milk')).toMatchObject({ quantity: 1, unit: 'qt' });
+    expect(line('milk').recipeIds).toHaveLength(2);
+  });
+
+  test('items sold by weight are bought whole', () => {
+    expect(line('salmon fillet')).toMatchObject({ purchaseCount: 2, cost: 24 });
+  });
+
+  test('recipe measures buy one package', () => {
+    expect(line('rice')).toMatchObject({ purchaseCount: 1, cost: 3 });
+  });
+
+  test('produce counts are bought one by one', () => {
+    expect(line('banana')).toMatchObject({ purchaseCount: 3, cost: 0.75 });
+  });
+
+  test('the total is the sum of the list', () => {
+    expect(costing.total).toBe(36.75);
+  });
+
+  test('meals share a line by how much they use and add back up to the total', () => {
+    const [bowls, oatmeal] = costing.meals;
+    expect(bowls.cost).toBe(28);
+    expect(oatmeal.cost).toBe(8.75);
+    expect(Math.abs(bowls.cost + oatmeal.cost - costing.total)).toBeLessThan(0.02);
+  });
+
+  test('over budget reports a negative difference', () => {
+    expect(budgetStatus(costing.total, 30)).toMatchObject({ status: 'over', difference: -6.75 });
+  });
+
+  test('counted packaged goods are one pack', () => {
+    const burritos = costPlan([{ id: 'r3', ...BURRITOS }], priceFor);
+    expect(burritos.items.find(item => item.name === 'tortilla').purchaseCount).toBe(1);
+  });
+});
+
+describe('fitToBudget', () => {
+  test('the costliest meal is swapped first and kept in the same slot', async () => {
+    const requests = [];
+    const generateMeal = async (original, limits) => {
+      requests.push({ original: original.title, ...limits });
+      return BURRITOS;
+    };
+
+    const fitted = await mealPlanBudgetService.fitToBudget(PLAN, { budget: 20, generateMeal });
+    expect(requests[0].original).toBe('Salmon rice bowls');
+    expect(requests[0].avoidIngredients[0]).toBe('salmon fillet');
+    expect(fitted.report.swaps[0].accepted).toBe(true);
+    expect(fitted.recipes[0]).toMatchObject({ title: 'Bean burritos', id: 'r1' });
+
+    // How far from budget the plan ends
+    expect(fitted.report.total).toBeLessThan(fitted.report.startingTotal);
+    expect(fitted.report.difference).toBe(Math.round((20 - fitted.report.total) * 100) / 100);
+  });
+
+  test('a swap that costs more is not kept', async () => {
+    const lobster = { title: 'Lobster rolls', ingredients: [{ quantity: 4, unit: 'lb', item: 'lobster tails' }, { quantity: 2, unit: 'lb', item: 'beef' }] };
+    const pricier = await mealPlanBudgetService.fitToBudget(PLAN, { budget: 1, generateMeal: async () => lobster });
+    expect(pricier.report.swaps).toHaveLength(2);
+    expect(pricier.report.swaps.every(swap => !swap.accepted && swap.reason === 'not_cheaper')).toBe(true);
+    expect(pricier.recipes.map(r => r.title)).toEqual(['Salmon rice bowls', 'Banana oatmeal']);
+  });
+
+  test('a plan under budget is left alone', async () => {
+    const generous = await mealPlanBudgetService.fitToBudget(PLAN, { budget: 500, generateMeal: async () => BURRITOS });
+    expect(generous.report.swaps).toHaveLength(0);
+    expect(generous.report.status).toBe('under');
+  });
+
+  test('budget words are not dollar amounts', () => {
+    expect(mealPlanBudgetService.parseBudget('moderate')).toBeNull();
+    expect(mealPlanBudgetService.parseBudget('$85')).toBe(85);
+  });
+});
@@ -0,0 +1,160 @@
+// The pantry-aware diff against a small kitchen: staples, amounts in other
+// units, one jar drawn on by two list lines, expired and untracked items, plus
+// item validation and a completed order being applied to the pantry only once.
+const pantryService = require('../services/pantryService');
+
+const PANTRY = [
+  { id: 'oil', name: 'olive oil', canonicalName: 'olive oil', quantity: null, unit: null, staple: true },
+  { id: 'flour', name: 'flour', canonicalName: 'flour', quantity: 2, unit: 'lb' },
+  { id: 'milk', name: 'milk', canonicalName: 'milk', quantity: 1, unit: 'cup', expiresAt: '2020-01-01T00:00:00.000Z' },
+  { id: 'eggs', name: 'eggs', canonicalName: 'egg', quantity: 4, unit: null },
+  { id: 'beans', name: 'black beans', canonicalName: 'black bean', quantity: 2, unit: 'can' },
+  { id: 'rice', name: 'rice', canonicalName: 'rice', quantity: null, unit: null, staple: false }
+];
+
+const diff = (items) => pantryService.diffItems(items, PANTRY);
+const line = (result, name) => result.alreadyHave.find(entry => entry.item === name);
+
+describe('diffItems', () => {
+  test('a staple covers any amount, even under a longer name', () => {
+    const result = diff([{ productName: 'extra virgin olive oil', quantity: 1, unit: 'bottle' }]);
+    expect(result.toBuy).toEqual([]);
+    expect(line(result, 'extra virgin olive oil')).toMatchObject({ status: 'staple', pantryItemId: 'oil' });
+  });
+
+  test('amounts are compared across units', () => {
+    const result = diff([{ productName: 'flour', quantity: 3, unit: 'cup' }]);
+    expect(result.toBuy).toEqual([]);
+    expect(line(result, 'flour')).toMatchObject({ status: 'covered', label: 'Already have: flour' });
+  });
+
+  test('two lines drawing on the same bag only get what is left', () => {
+    const result = diff([
+      { productName: 'flour', quantity: 3, unit: 'cup' },
+      { productName: 'flour', quantity: 5, unit: 'cup' }
+    ]);
+    expect(result.alreadyHave.map(entry => entry.status)).toEqual(['covered', 'partial']);
+    expect(result.toBuy).toEqual([expect.objectContaining({ quantity: 1, unit: 'cup', pantryCovered: 4.25 })]);
+    expect(result.usage).toEqual([expect.objectContaining({ pantryItemId: 'flour', quantity: 2, unit: 'lb' })]);
+  });
+
+  test('a partial cover buys only the rest', () => {
+    const result = diff([{ productName: 'eggs', quantity: 6 }]);
+    expect(result.toBuy).toEqual([expect.objectContaining({ quantity: 2, pantryCovered: 4 })]);
+    expect(line(result, 'eggs').label).toBe('Already have 4 of eggs - buying the rest');
+  });
+
+  test('expired items do not count', () => {
+    expect(diff([{ productName: 'milk', quantity: 2, unit: 'cup' }]).alreadyHave).toEqual([]);
+  });
+
+  test('amounts that cannot be compared are bought', () => {
+    const result = diff([{ productName: 'black beans', quantity: 500, unit: 'g' }]);
+    expect(result.toBuy).toHaveLength(1);
+    expect(result.usage).toEqual([]);
+  });
+
+  test('an untracked non-staple is bought', () => {
+    expect(diff([{ productName: 'rice', quantity: 1, unit: 'lb' }]).toBuy).toHaveLength(1);
+  });
+
+  test('items not in the pantry pass through untouched', () => {
+    const bananas = { productName: 'bananas', quantity: 3 };
+    expect(diff([bananas]).toBuy).toEqual([bananas]);
+  });
+});
+
+describe('findMatch', () => {
+  const KITCHEN = [
+    { id: 'butter', canonicalName: 'butter' },
+    { id: 'milk', canonicalName: 'milk' },
+    { id: 'pepper', canonicalName: 'pepper', staple: true },
+    { id: 'oil', canonicalName: 'olive oil' }
+  ];
+  const match = (name) => pantryService.findMatch(KITCHEN, name)?.id || null;
+
+  test('a different product that ends in a pantry name is not a match', () => {
+    expect(match('peanut butter')).toBeNull();
+    expect(match('coconut milk')).toBeNull();
+    expect(match('red bell pepper')).toBeNull();
+  });
+
+  test('grades and forms of the same product are', () => {
+    expect(match('unsalted butter')).toBe('butter');
+    expect(match('whole milk')).toBe('milk');
+    expect(match('extra virgin olive oil')).toBe('oil');
+  });
+});
+
+describe('sanitizeItem', () => {
+  test('names are trimmed, units normalized and defaults filled', () => {
+    expect(pantryService.sanitizeItem({ name: ' Flour ', quantity: '2', unit: 'pounds' })).toMatchObject({
+      name: 'Flour',
+      canonicalName: 'flour',
+      quantity: 2,
+      unit: 'lb',
+      location: 'pantry',
+      staple: false,
+      expiresAt: null
+    });
+  });
+
+  test('bad input is a validation error on the field', () => {
+    expect(() => pantryService.sanitizeItem({ name: '' })).toThrow(expect.objectContaining({ statusCode: 400, field: 'name' }));
+    expect(() => pantryService.sanitizeItem({ name: 'milk', quantity: -1 })).toThrow(expect.objectContaining({ field: 'quantity' }));
+    expect(() => pantryService.sanitizeItem({ name: 'milk', expiresAt: 'soon' })).toThrow(expect.objectContaining({ field: 'expiresAt' }));
+    expect(() => pantryService.sanitizeItem({ name: 'milk', location: 'garage' })).toThrow(expect.objectContaining({ field: 'location' }));
+  });
+
+  test('partial updates leave other fields alone', () => {
+    expect(pantryService.sanitizeItem({ quantity: 3 }, { partial: true })).toEqual({ quantity: 3 });
+  });
+});
+
+describe('completeOrder', () => {
+  let orders;
+
+  beforeEach(() => {
+    orders = new Map([['cart-1', {
+      items: [{ name: 'flour', quantity: 1, unit: 'lb' }],
+      usage: [{ pantryItemId: 'eggs', quantity: 4 }],
+      status: 'pending'
+    }]]);
+
+    const transaction = {
+      get: async (ref) => ({ exists: orders.has(ref.id), data: () => orders.get(ref.id) }),
+      set: (ref, data, options) => orders.set(ref.id, options?.merge ? { ...orders.get(ref.id), ...data } : data)
+    };
+    jest.spyOn(pantryService, 'getDB').mockReturnValue({ runTransaction: (fn) => fn(transaction) });
+    jest.spyOn(pantryService, 'ordersCollection').mockReturnValue({ doc: (id) => ({ id }) });
+    jest.spyOn(pantryService, 'restock').mockResolvedValue({ restocked: 1, added: 0 });
+    jest.spyOn(pantryService, 'consume').mockResolvedValue({ updated: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('restocks what was bought and draws down what the list used', async () => {
+    const result = await pantryService.completeOrder('u1', 'cart-1');
+    expect(result).toEqual({ orderId: 'cart-1', restocked: 1, added: 0, consumed: 1 });
+    expect(pantryService.restock).toHaveBeenCalledWith('u1', [{ name: 'flour', quantity: 1, unit: 'lb' }]);
+    expect(pantryService.consume).toHaveBeenCalledWith('u1', [{ pantryItemId: 'eggs', quantity: 4 }]);
+  });
+
+  test('is applied only once', async () => {
+    await pantryService.completeOrder('u1', 'cart-1');
+    expect(await pantryService.completeOrder('u1', 'cart-1')).toBeNull();
+    expect(pantryService.restock).toHaveBeenCalledTimes(1);
+  });
+
+  test('an unknown order without items does nothing', async () => {
+    expect(await pantryService.completeOrder('u1', 'cart-404')).toBeNull();
+    expect(pantryService.restock).not.toHaveBeenCalled();
+  });
+
+  test('only finished orders count as completed', () => {
+    expect(pantryService.isCompletedStatus('Delivered')).toBe(true);
+    expect(pantryService.isCompletedStatus('in_progress')).toBe(false);
+  });
+});
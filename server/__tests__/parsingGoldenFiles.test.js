@@ -0,0 +1,67 @@
+// Runs the grocery parsing pipeline (rules engine, no AI) over the golden files
+// in scripts/fixtures/parsing and scores each result against the manifest: item
+// recall/precision on canonical names, quantity/unit/category accuracy on the
+// matched items, and how many lines landed in the right class. A missed or
+// invented recipe fails the case outright.
+const fs = require('fs');
+const path = require('path');
+const { parseGroceryText } = require('../utils/parsingPipeline');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'scripts', 'fixtures', 'parsing');
+const PASS_THRESHOLD = 0.85;
+const LINE_KINDS = ['heading', 'ingredient', 'instruction', 'note'];
+
+const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'manifest.json'), 'utf8'));
+
+const normalize = (s) => (s || '').toString().toLowerCase().replace(/\s+/g, ' ').trim();
+
+function scoreItems(expected, actual) {
+  const unmatched = [...actual];
+  let matched = 0;
+  let fieldsRight = 0;
+
+  for (const want of expected) {
+    const index = unmatched.findIndex((item) => normalize(item.canonicalName) === normalize(want.name));
+    if (index === -1) continue;
+    const [got] = unmatched.splice(index, 1);
+    matched++;
+
+    if (Math.abs(got.quantity - want.quantity) < 0.01) fieldsRight++;
+    if (got.unit === want.unit) fieldsRight++;
+    if (got.category === want.category) fieldsRight++;
+  }
+
+  const recall = expected.length ? matched / expected.length : 1;
+  const precision = actual.length ? matched / actual.length : 0;
+  const f1 = recall + precision ? (2 * recall * precision) / (recall + precision) : 0;
+  const fieldAccuracy = matched ? fieldsRight / (matched * 3) : 0;
+  return { f1, fieldAccuracy };
+}
+
+function scoreLines(expected, stats) {
+  const counts = {
+    heading: stats.headings,
+    ingredient: stats.ingredientLines,
+    instruction: stats.instructionLines,
+    note: stats.noteLines
+  };
+  const total = LINE_KINDS.reduce((sum, kind) => sum + expected[kind], 0);
+  const off = LINE_KINDS.reduce((sum, kind) => sum + Math.abs(counts[kind] - expected[kind]), 0);
+  return total ? Math.max(0, 1 - off / total) : 1;
+}
+
+describe('parsing pipeline golden files', () => {
+  test.each(manifest.cases.map((testCase) => [testCase.name, testCase]))('%s', async (name, testCase) => {
+    const text = fs.readFileSync(path.join(FIXTURE_DIR, testCase.file), 'utf8');
+    const result = await parseGroceryText(text);
+    const { expected } = testCase;
+
+    if (expected.recipes) {
+      expect(result.recipes.map((recipe) => recipe.title)).toEqual(expected.recipes);
+    }
+
+    const items = scoreItems(expected.items, result.items);
+    const score = (items.f1 + items.fieldAccuracy + scoreLines(expected.lines, result.stats)) / 3;
+    expect(score).toBeGreaterThanOrEqual(PASS_THRESHOLD);
+  });
+});
@@ -0,0 +1,128 @@
+// A small two-day plan against household nutrition targets: day and week
+// totals, which days miss and why, the defaults used without profiles, and the
+// swap offered to bring a day back on target.
+const { analyzePlan, suggestSwaps, checkNutrient } = require('../utils/planNutrition');
+
+const meal = (id, title, day, mealType, calories, protein, carbs, fat, sodium) => ({
+  id,
+  title,
+  dayAssigned: day,
+  mealType,
+  nutrition: { calories, protein, carbs, fat, ...(sodium === undefined ? {} : { sodium }) }
+});
+
+// Monday lands on target; Tuesday is short on calories and protein
+const PLAN = [
+  meal('m1', 'Greek yogurt parfait', 'monday', 'breakfast', 450, 25, 60, 12, 150),
+  meal('m2', 'Chicken grain bowl', 'monday', 'lunch', 650, 45, 70, 20, 800),
+  meal('m3', 'Salmon with potatoes', 'monday', 'dinner', 800, 50, 70, 35, 900),
+  meal('t1', 'Toast and jam', 'tuesday', 'breakfast', 250, 6, 45, 5, 300),
+  meal('t2', 'Garden salad', 'tuesday', 'lunch', 300, 8, 30, 15, 400),
+  meal('t3', 'Veggie soup', 'tuesday', 'dinner', 700, 20, 100, 37),
+  meal('w1', 'Black bean tacos', 'wednesday', 'dinner', 600, 30, 60, 22, 700)
+];
+
+const PROFILES = [
+  { id: 'p1', name: 'Alex', targets: { calories: 1900, protein: 70, carbs: 200, fat: 67, sodium: 2300 } },
+  { id: 'p2', name: 'Sam', targets: { calories: 1900 } }
+];
+
+const LIBRARY = [
+  { id: 'lib1', title: 'Steak and eggs', mealType: 'breakfast', nutrition: { calories: 700, protein: 55, carbs: 10, fat: 40, sodium: 900 } },
+  { id: 'lib2', title: 'Protein oats', nutrition: { calories: 550, protein: 40, carbs: 65, fat: 12, sodium: 200 } },
+  { id: 'lib3', title: 'Notes only' }
+];
+
+describe('checkNutrient', () => {
+  test('calories over the band are high by the excess', () => {
+    expect(checkNutrient('calories', 2100, 1900)).toMatchObject({ status: 'high', gap: 10 });
+  });
+
+  test('protein only counts when short', () => {
+    expect(checkNutrient('protein', 300, 100).status).toBe('ok');
+  });
+
+  test('sodium is a hard ceiling', () => {
+    expect(checkNutrient('sodium', 2301, 2300).status).toBe('high');
+  });
+
+  test('missing data is unknown, not low', () => {
+    expect(checkNutrient('fat', null, 67).status).toBe('unknown');
+  });
+});
+
+describe('analyzePlan', () => {
+  const analysis = analyzePlan(PLAN.slice(0, 6), PROFILES);
+  const [monday, tuesday] = analysis.days;
+
+  test('days come back in week order with summed totals', () => {
+    expect(monday.day).toBe('monday');
+    expect(monday.totals).toMatchObject({ calories: 1900, protein: 120 });
+  });
+
+  test('a day on target is not flagged', () => {
+    expect(monday.flagged).toBe(false);
+  });
+
+  test('a day short on calories and protein is flagged', () => {
+    const alex = tuesday.members.find(member => member.profileId === 'p1');
+    expect(tuesday.flagged).toBe(true);
+    expect(alex.misses.map(miss => miss.nutrient)).toEqual(['calories', 'protein']);
+  });
+
+  test('a member with one target is only checked on that one', () => {
+    expect(tuesday.members.find(member => member.profileId === 'p2').checks).toHaveLength(1);
+  });
+
+  test('sodium sums only what the meals report', () => {
+    expect(tuesday.totals.sodium).toBe(700);
+  });
+
+  test('the week adds up, averages per day and counts missed days', () => {
+    expect(analysis.week).toMatchObject({ dayCount: 2, flaggedDays: ['tuesday'] });
+    expect(analysis.week.totals.calories).toBe(3150);
+    expect(analysis.week.averages.calories).toBe(1575);
+    expect(analysis.week.members[0].missedDays).toBe(1);
+  });
+
+  test('without profiles the daily values are used', () => {
+    const defaults = analyzePlan(PLAN.slice(0, 3), []);
+    expect(defaults.usingDefaults).toBe(true);
+    expect(defaults.profiles[0].targets.calories).toBe(2000);
+  });
+
+  test('zeros are unknown, not none', () => {
+    const [day] = analyzePlan([meal('z1', 'Mystery stew', 'monday', 'dinner', 0, 0, 0, 0, 0)], PROFILES).days;
+    expect(day.totals).toEqual({ calories: null, protein: null, carbs: null, fat: null, sodium: null });
+    expect(day.flagged).toBe(false);
+  });
+
+  test('macros worked out from calories by fixed ratios are unknown', () => {
+    const derived = meal('d1', 'Old plan dinner', 'monday', 'dinner', 600, 38, 75, 17);
+    derived.nutrition.fiber = 5;
+    const [day] = analyzePlan([derived], PROFILES).days;
+    expect(day.totals).toMatchObject({ calories: 600, protein: null, carbs: null, fat: null });
+    expect(day.members[0].checks.find(check => check.nutrient === 'protein').status).toBe('unknown');
+  });
+});
+
+describe('suggestSwaps', () => {
+  const swaps = suggestSwaps(PLAN.slice(0, 6), PROFILES, [...PLAN, ...LIBRARY]);
+
+  test('only flagged days get a swap', () => {
+    expect(swaps.map(swap => swap.day)).toEqual(['tuesday']);
+  });
+
+  test('the swap closes the protein gap', () => {
+    expect(swaps[0].fixes).toContain('protein');
+    expect(swaps[0].after.protein).toBeGreaterThanOrEqual(63);
+  });
+
+  test('swaps keep the meal type of the slot', () => {
+    expect(!swaps[0].recipe.mealType || swaps[0].recipe.mealType === swaps[0].mealType).toBe(true);
+  });
+
+  test('recipes without nutrition are never offered', () => {
+    expect(swaps.some(swap => swap.recipe.id === 'lib3')).toBe(false);
+  });
+});
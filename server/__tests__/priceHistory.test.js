@@ -0,0 +1,267 @@
+// Price history against stand-in models: which observations are stored (real
+// quoted prices only), when drop alerts fire and re-fire, the stats and trend
+// computed from daily points, and the prices POST /track turns away.
+jest.mock('../middleware/auth', () => ({
+  authenticateUser: (req, res, next) => {
+    req.user = { uid: 'user-1' };
+    next();
+  }
+}));
+jest.mock('../models/PriceObservation', () => ({
+  insertMany: jest.fn(async (docs) => docs),
+  findOne: jest.fn()
+}));
+jest.mock('../models/PriceAlert', () => ({
+  find: jest.fn(async () => []),
+  findOneAndUpdate: jest.fn()
+}));
+
+const express = require('express');
+const PriceObservation = require('../models/PriceObservation');
+const PriceAlert = require('../models/PriceAlert');
+const priceHistoryService = require('../services/priceHistoryService');
+const priceHistoryRoutes = require('../routes/priceHistoryRoutes');
+
+const observation = (price, vendor = 'kroger', productKey = 'whole milk') => ({
+  price,
+  vendorName: vendor,
+  observedAt: new Date('2026-10-01T12:00:00Z'),
+  meta: { productKey, vendor }
+});
+
+const alert = (fields) => ({
+  productKey: 'whole milk',
+  vendor: null,
+  targetPrice: null,
+  dropPercent: 5,
+  baselinePrice: null,
+  lastTriggeredPrice: null,
+  triggered: false,
+  triggerCount: 0,
+  save: jest.fn(async () => {}),
+  ...fields
+});
+
+const day = (date, avg, count = 1) => ({ date: `2026-10-${date}T00:00:00.000Z`, min: avg, max: avg, avg, count });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(priceHistoryService, 'isAvailable').mockReturnValue(true);
+});
+
+describe('recordObservations', () => {
+  test('only real quoted prices are stored', async () => {
+    const saved = await priceHistoryService.recordObservations([
+      { productName: 'Whole Milk', vendor: 'Kroger', price: '3.499' },
+      { productName: 'Whole Milk', vendor: 'Kroger', price: 3.1, estimated: true },
+      { productName: 'Eggs', vendor: 'Kroger', price: 2.5, estimated_price: true },
+      { productName: 'Bread', vendor: 'Kroger', price: 0 },
+      { productName: 'Butter', vendor: 'Kroger', price: 'n/a' },
+      { vendor: 'Kroger', price: 4 }
+    ], 'instacart_search');
+
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({
+      price: 3.5,
+      source: 'instacart_search',
+      meta: { productKey: 'whole milk', vendor: 'kroger' }
+    });
+  });
+
+  test('nothing is written while the store is down', async () => {
+    priceHistoryService.isAvailable.mockReturnValue(false);
+    expect(await priceHistoryService.recordObservations([{ productName: 'Milk', price: 3 }], 'manual_track')).toEqual([]);
+    expect(PriceObservation.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('new prices are checked against alerts', async () => {
+    await priceHistoryService.recordObservations([{ productName: 'Whole Milk', vendor: 'Kroger', price: 3 }], 'instacart_search');
+    expect(PriceAlert.find).toHaveBeenCalledWith({ productKey: { $in: ['whole milk'] }, active: true });
+  });
+
+  test('receipt prices are kept for their user without firing alerts', async () => {
+    const saved = await priceHistoryService.recordObservations(
+      [{ productName: 'Whole Milk', vendor: 'Kroger', price: 0.5, userId: 'u1' }],
+      'receipt_import'
+    );
+    expect(saved[0]).toMatchObject({ source: 'receipt_import', userId: 'u1' });
+    expect(PriceAlert.find).not.toHaveBeenCalled();
+  });
+
+  test('manually tracked prices stay with their user too', async () => {
+    const [saved] = await priceHistoryService.recordObservations(
+      [{ productName: 'Whole Milk', vendor: 'Kroger', price: 0.5, userId: 'u1' }],
+      'manual_track'
+    );
+    expect(saved).toMatchObject({ source: 'manual_track', userId: 'u1' });
+    expect(PriceAlert.find).not.toHaveBeenCalled();
+  });
+
+  test('observations are never dated in the future', async () => {
+    const before = Date.now();
+    const [saved] = await priceHistoryService.recordObservations(
+      [{ productName: 'Milk', price: 3, observedAt: '2999-01-01T00:00:00Z' }],
+      'manual_track'
+    );
+    expect(saved.observedAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(saved.observedAt.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('a failing alert check does not lose the observations', async () => {
+    PriceAlert.find.mockRejectedValueOnce(new Error('down'));
+    const saved = await priceHistoryService.recordObservations([{ productName: 'Milk', price: 3 }], 'instacart_search');
+    expect(saved).toHaveLength(1);
+  });
+});
+
+describe('checkAlerts', () => {
+  test('a target price fires on the cheapest matching observation', async () => {
+    const target = alert({ targetPrice: 3 });
+    PriceAlert.find.mockResolvedValueOnce([target]);
+
+    await priceHistoryService.checkAlerts([observation(3.2), observation(2.9, 'aldi'), observation(1, 'aldi', 'eggs')]);
+
+    expect(target).toMatchObject({ triggered: true, lastTriggeredPrice: 2.9, lastTriggeredVendor: 'aldi', triggerCount: 1 });
+    expect(target.save).toHaveBeenCalled();
+  });
+
+  test('a vendor alert ignores other vendors', async () => {
+    const krogerOnly = alert({ vendor: 'kroger', targetPrice: 3 });
+    PriceAlert.find.mockResolvedValueOnce([krogerOnly]);
+
+    await priceHistoryService.checkAlerts([observation(2.5, 'aldi')]);
+
+    expect(krogerOnly.triggered).toBe(false);
+  });
+
+  test('a percent drop is measured from the baseline', async () => {
+    const drop = alert({ baselinePrice: 4, dropPercent: 10 });
+    PriceAlert.find.mockResolvedValueOnce([drop]);
+    await priceHistoryService.checkAlerts([observation(3.7)]);
+    expect(drop.triggered).toBe(false);
+
+    PriceAlert.find.mockResolvedValueOnce([drop]);
+    await priceHistoryService.checkAlerts([observation(3.6)]);
+    expect(drop.triggered).toBe(true);
+  });
+
+  test('without a baseline the first price becomes one', async () => {
+    const fresh = alert({});
+    PriceAlert.find.mockResolvedValueOnce([fresh]);
+
+    await priceHistoryService.checkAlerts([observation(3.5)]);
+
+    expect(fresh).toMatchObject({ baselinePrice: 3.5, triggered: false });
+    expect(fresh.save).toHaveBeenCalled();
+  });
+
+  test('an alert only fires again for a lower price', async () => {
+    const fired = alert({ targetPrice: 3, lastTriggeredPrice: 2.8, triggerCount: 1 });
+    PriceAlert.find.mockResolvedValueOnce([fired]);
+    await priceHistoryService.checkAlerts([observation(2.8)]);
+    expect(fired.triggerCount).toBe(1);
+
+    PriceAlert.find.mockResolvedValueOnce([fired]);
+    await priceHistoryService.checkAlerts([observation(2.6)]);
+    expect(fired).toMatchObject({ triggerCount: 2, lastTriggeredPrice: 2.6 });
+  });
+});
+
+describe('createAlert', () => {
+  test('a product name is required', async () => {
+    await expect(priceHistoryService.createAlert('u1', {})).rejects.toMatchObject({ statusCode: 400, field: 'product' });
+  });
+
+  test('the target price must be positive', async () => {
+    await expect(priceHistoryService.createAlert('u1', { product: 'milk', targetPrice: -1 }))
+      .rejects.toMatchObject({ statusCode: 400, field: 'targetPrice' });
+  });
+
+  test('the latest observed price is the baseline and re-subscribing updates in place', async () => {
+    PriceObservation.findOne.mockReturnValueOnce({ sort: () => ({ lean: async () => ({ price: 3.49 }) }) });
+    PriceAlert.findOneAndUpdate.mockReturnValueOnce({ lean: async () => ({}) });
+
+    await priceHistoryService.createAlert('u1', { product: 'Whole Milk!', vendor: 'Kroger' });
+
+    expect(PriceObservation.findOne).toHaveBeenCalledWith(expect.objectContaining({ source: { $nin: ['receipt_import', 'manual_track'] } }));
+
+    const [filter, update, options] = PriceAlert.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ userId: 'u1', productKey: 'whole milk', vendor: 'kroger' });
+    expect(update.$set).toMatchObject({ baselinePrice: 3.49, active: true, triggered: false });
+    expect(options.upsert).toBe(true);
+  });
+});
+
+describe('stats and trend', () => {
+  test('averages are weighted by observation count', () => {
+    expect(priceHistoryService.summarize([day('01', 2, 1), day('02', 4, 3)]))
+      .toEqual({ min: 2, max: 4, avg: 3.5, observationCount: 4 });
+  });
+
+  test('one day is flat', () => {
+    expect(priceHistoryService.computeTrend([day('01', 3)])).toEqual({ direction: 'flat', changePercent: 0 });
+  });
+
+  test('a steady rise is up and a steady fall is down', () => {
+    expect(priceHistoryService.computeTrend([day('01', 3), day('02', 3.3), day('03', 3.6)]).direction).toBe('up');
+    expect(priceHistoryService.computeTrend([day('01', 3.6), day('02', 3.3), day('03', 3)]).direction).toBe('down');
+  });
+
+  test('noise under two percent is flat', () => {
+    expect(priceHistoryService.computeTrend([day('01', 3), day('02', 3.02), day('03', 3.01)]).direction).toBe('flat');
+  });
+
+  test('vendors on the same day are merged into one weighted point', () => {
+    expect(priceHistoryService.mergeDailyPoints([day('01', 2, 1), day('01', 4, 1), day('02', 3, 2)]))
+      .toEqual([
+        { date: '2026-10-01T00:00:00.000Z', avg: 3, count: 2 },
+        { date: '2026-10-02T00:00:00.000Z', avg: 3, count: 2 }
+      ]);
+  });
+});
+
+describe('POST /track', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/price-history', priceHistoryRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/price-history`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const track = async (body) => {
+    const response = await fetch(`${baseUrl}/track`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('a price in range is recorded for the user', async () => {
+    const { status, body } = await track({ product: 'Whole Milk', price: 3.49, vendor: 'Kroger' });
+    expect(status).toBe(200);
+    expect(body.message).toBe('Recorded $3.49 for Whole Milk');
+    expect(PriceObservation.insertMany.mock.calls[0][0][0]).toMatchObject({ source: 'manual_track', userId: 'user-1' });
+  });
+
+  test.each([
+    ['zero', 0],
+    ['over the maximum', 25000],
+    ['not a number', 'cheap']
+  ])('a price that is %s is a 400, not a 500', async (label, price) => {
+    const { status, body } = await track({ product: 'Whole Milk', price });
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+    expect(PriceObservation.insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+// Search results re-ranked by a user's product preferences: the remembered pick
+// leads (and only at the retailer it was picked at), never-suggest brands drop
+// out, preferred brands and organic / store-brand leanings shift confidence.
+const { rankProducts, preferenceKey, isStoreBrand, isOrganic } = require('../utils/productPreferences');
+
+const PRODUCTS = [
+  { id: 'p1', name: 'Horizon Organic Whole Milk', brand: 'Horizon', confidence: 0.8 },
+  { id: 'p2', name: 'Kroger Whole Milk', brand: 'Kroger', confidence: 0.85 },
+  { id: 'p3', name: 'Fairlife Whole Milk', brand: 'Fairlife', confidence: 0.9 }
+];
+
+const NO_SETTINGS = { picks: {}, brandPreferences: { preferred: [], avoided: [] }, organicPreference: 'any', storeBrandPreference: 'any' };
+
+const withPick = (pick) => ({
+  ...NO_SETTINGS,
+  picks: { [preferenceKey('whole milk')]: { itemName: 'whole milk', ...pick } }
+});
+
+const ids = (ranked) => ranked.map(product => product.id);
+
+describe('rankProducts', () => {
+  test('without preferences the results come back untouched', () => {
+    expect(rankProducts(PRODUCTS, 'whole milk', null)).toBe(PRODUCTS);
+  });
+
+  test('with neutral settings the search confidence decides', () => {
+    expect(ids(rankProducts(PRODUCTS, 'whole milk', NO_SETTINGS))).toEqual(['p3', 'p2', 'p1']);
+  });
+
+  test('the remembered pick leads whatever its search score', () => {
+    const ranked = rankProducts(PRODUCTS, 'Whole Milk!', withPick({ product: { id: 'p1', name: 'Horizon Organic Whole Milk' } }));
+    expect(ranked[0]).toMatchObject({ id: 'p1', remembered: true, confidence: 0.99, preferenceReasons: ['your usual pick'] });
+  });
+
+  test('a remembered pick missing from the results is added back', () => {
+    const ranked = rankProducts([PRODUCTS[2]], 'whole milk', withPick({ product: { id: 'p9', name: 'Organic Valley Whole Milk' } }));
+    expect(ranked[0]).toMatchObject({ id: 'p9', remembered: true, source: 'remembered' });
+    expect(ranked).toHaveLength(2);
+  });
+
+  test('a pick made at another retailer is ignored', () => {
+    const preferences = withPick({ product: { id: 'p1', name: 'Horizon Organic Whole Milk' }, retailerId: 'kroger' });
+
+    expect(rankProducts(PRODUCTS, 'whole milk', preferences, { retailerId: 'kroger' })[0].id).toBe('p1');
+    const elsewhere = rankProducts(PRODUCTS, 'whole milk', preferences, { retailerId: 'safeway' });
+    expect(elsewhere.some(product => product.remembered)).toBe(false);
+    expect(ids(elsewhere)).toEqual(['p3', 'p2', 'p1']);
+    expect(rankProducts([], 'whole milk', preferences, { retailerId: 'safeway' })).toEqual([]);
+  });
+
+  test('picks without a retailer, and searches without one, match anywhere', () => {
+    const anyRetailer = withPick({ product: { id: 'p1' }, retailerId: null });
+    expect(rankProducts(PRODUCTS, 'whole milk', anyRetailer, { retailerId: 'safeway' })[0].id).toBe('p1');
+
+    const atKroger = withPick({ product: { id: 'p1' }, retailerId: 'kroger' });
+    expect(rankProducts(PRODUCTS, 'whole milk', atKroger)[0].id).toBe('p1');
+  });
+
+  test('avoided brands drop out, even a remembered one', () => {
+    const preferences = {
+      ...withPick({ product: { id: 'p1', name: 'Horizon Organic Whole Milk', brand: 'Horizon' } }),
+      brandPreferences: { preferred: [], avoided: ['horizon'] }
+    };
+    const ranked = rankProducts(PRODUCTS, 'whole milk', preferences);
+    expect(ids(ranked)).toEqual(['p3', 'p2']);
+  });
+
+  test('a preferred brand is lifted', () => {
+    const ranked = rankProducts(PRODUCTS, 'whole milk', { ...NO_SETTINGS, brandPreferences: { preferred: ['Kroger'], avoided: [] } });
+    expect(ranked[0]).toMatchObject({ id: 'p2', confidence: 0.95, preferenceReasons: ['preferred brand'] });
+  });
+
+  test('organic and store-brand leanings move products up or down', () => {
+    const preferOrganic = rankProducts(PRODUCTS, 'whole milk', { ...NO_SETTINGS, organicPreference: 'prefer' });
+    expect(ids(preferOrganic)).toEqual(['p3', 'p1', 'p2']);
+    expect(preferOrganic[1]).toMatchObject({ confidence: 0.88, preferenceReasons: ['organic'] });
+    expect(rankProducts(PRODUCTS, 'whole milk', { ...NO_SETTINGS, storeBrandPreference: 'prefer' })[0].id).toBe('p2');
+
+    const avoidStoreBrands = rankProducts(PRODUCTS, 'whole milk', { ...NO_SETTINGS, storeBrandPreference: 'avoid' });
+    expect(avoidStoreBrands.find(product => product.id === 'p2').confidence).toBe(0.77);
+  });
+});
+
+describe('product helpers', () => {
+  test('the same item under different spellings shares a key', () => {
+    expect(preferenceKey('Whole Milk!')).toBe(preferenceKey('whole milk'));
+    expect(preferenceKey('   ')).toBeNull();
+  });
+
+  test('store brands and organic products are recognised', () => {
+    expect(isStoreBrand({ brand: 'Great Value' })).toBe(true);
+    expect(isStoreBrand({ brand: 'Horizon' })).toBe(false);
+    expect(isOrganic({ name: 'Milk', badges: ['USDA Organic'] })).toBe(true);
+  });
+});
@@ -0,0 +1,151 @@
+// Parses the sample receipts in scripts/fixtures/receipts (a printed store
+// receipt, an Instacart order email and a CSV export) and reconciles each
+// against the same planned list: line items, totals, substitutions, refunds
+// and extras.
+const fs = require('fs');
+const path = require('path');
+const { parseReceipt } = require('../utils/receiptParser');
+const { reconcileReceipt } = require('../utils/receiptReconciliation');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'scripts', 'fixtures', 'receipts');
+
+const PLANNED = [
+  { productName: 'bananas', quantity: 6, unit: 'each', price: 0.25 },
+  { productName: 'milk', quantity: 1, unit: 'gallon', price: 4.99 },
+  { productName: 'ground beef', quantity: 1, unit: 'lb', price: 6.49 },
+  { productName: 'large eggs', quantity: 1, unit: 'dozen', price: 3.99 },
+  { productName: 'sourdough bread', quantity: 1, unit: 'loaf', price: 4.5 }
+];
+
+const load = (file) => parseReceipt(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+const byStatus = (reconciliation, status) => reconciliation.lines.filter(line => line.status === status);
+
+describe('store receipt', () => {
+  const receipt = load('grocery-receipt.txt');
+
+  test('is read as text with every item', () => {
+    expect(receipt.format).toBe('text');
+    expect(receipt.items).toHaveLength(7);
+  });
+
+  test('store name and date come from the header', () => {
+    expect(receipt.storeName).toBe('Fresh Foods Market');
+    expect(receipt.orderDate.startsWith('2026-10-12')).toBe(true);
+  });
+
+  test('quantity lines attach to the item above', () => {
+    expect(receipt.items.find(item => item.name === 'Bananas')).toMatchObject({ quantity: 6, unitPrice: 0.29 });
+  });
+
+  test('weighed items keep weight and unit', () => {
+    expect(receipt.items.find(item => item.name === 'Tomatoes')).toMatchObject({ quantity: 1.52, unit: 'lb' });
+  });
+
+  test('coupons reduce the item they follow', () => {
+    expect(receipt.items.find(item => item.name.startsWith('Ground Beef')).price).toBe(6.99);
+  });
+
+  test('abbreviations are expanded', () => {
+    expect(receipt.items.some(item => item.name.startsWith('Organic Whole Milk'))).toBe(true);
+  });
+
+  test('totals are read and items add up to the subtotal', () => {
+    expect(receipt.subtotal).toBe(29.51);
+    expect(receipt.total).toBe(29.75);
+    expect(receipt.itemsTotal).toBe(receipt.subtotal);
+  });
+
+  test('reconciles planned items, extras and per-line price differences', () => {
+    const reconciliation = reconcileReceipt(PLANNED, receipt.items);
+    expect(byStatus(reconciliation, 'matched')).toHaveLength(5);
+    expect(byStatus(reconciliation, 'extra')).toHaveLength(2);
+    const milk = byStatus(reconciliation, 'matched').find(line => line.planned.name === 'milk');
+    expect(milk.priceDifference).toBe(0.5);
+  });
+});
+
+describe('Instacart email', () => {
+  const receipt = load('instacart-email.txt');
+
+  test('is detected', () => {
+    expect(receipt.format).toBe('instacart_email');
+    expect(receipt.storeName).toBe('Safeway');
+  });
+
+  test('replacements name the ordered item', () => {
+    const eggs = receipt.items.find(item => item.status === 'substituted');
+    expect(eggs.name.startsWith('Brown Eggs')).toBe(true);
+    expect(eggs.replaces.startsWith('Large Eggs')).toBe(true);
+  });
+
+  test('refunded items are kept at no charge', () => {
+    expect(receipt.items.find(item => item.status === 'refunded')).toMatchObject({ name: 'Sourdough Bread', price: 0 });
+  });
+
+  test('fees are not line items', () => {
+    expect(receipt.items.some(item => /fee/i.test(item.name))).toBe(false);
+    expect(receipt.total).toBe(22.14);
+  });
+
+  test('substitutions pair with the planned item and refunds show as missing', () => {
+    const reconciliation = reconcileReceipt(PLANNED, receipt.items);
+    const substituted = byStatus(reconciliation, 'substituted');
+    expect(substituted).toHaveLength(1);
+    expect(substituted[0].planned.name).toBe('large eggs');
+    expect(substituted[0].inferred).toBeFalsy();
+    const missing = byStatus(reconciliation, 'missing');
+    expect(missing).toHaveLength(1);
+    expect(missing[0].reason).toBe('refunded');
+  });
+});
+
+describe('CSV export', () => {
+  const receipt = load('order-export.csv');
+
+  test('is detected and quoted cells keep their commas', () => {
+    expect(receipt.format).toBe('csv');
+    expect(receipt.items.some(item => item.name === 'Whole Milk, Organic')).toBe(true);
+  });
+
+  test('status and original-item columns are read', () => {
+    expect(receipt.items.filter(item => item.status === 'substituted')).toHaveLength(1);
+    expect(receipt.items.filter(item => item.status === 'refunded')).toHaveLength(1);
+  });
+
+  test('reconciles like the email', () => {
+    expect(reconcileReceipt(PLANNED, receipt.items).summary).toMatchObject({ matched: 3, substituted: 1, missing: 1, extra: 1 });
+  });
+});
+
+test('a lone same-aisle extra is an inferred substitution', () => {
+  const planned = [{ productName: 'spinach', quantity: 1, unit: 'bag' }, { productName: 'milk', quantity: 1 }];
+  const bought = [{ name: 'Kale', quantity: 1, unit: 'each', price: 2.49, status: 'purchased' }];
+  const reconciliation = reconcileReceipt(planned, bought);
+  const substituted = byStatus(reconciliation, 'substituted');
+  expect(substituted).toHaveLength(1);
+  expect(substituted[0].inferred).toBe(true);
+  expect(byStatus(reconciliation, 'missing')).toHaveLength(1);
+});
+
+describe('receipt dates', () => {
+  const receiptService = require('../services/receiptService');
+  const withDate = (date) => `FRESH FOODS MARKET\n${date}\nBANANAS 1.38\nTOTAL 1.38`;
+
+  test('US and written dates are read', () => {
+    expect(parseReceipt(withDate('10/12/26')).orderDate).toBe('2026-10-12T12:00:00.000Z');
+    expect(parseReceipt(withDate('Oct 12, 2026')).orderDate).toBe('2026-10-12T12:00:00.000Z');
+  });
+
+  test.each(['2026-13-45', '02/30/2026', 'Feb 30, 2026'])('%s is not a date', (date) => {
+    const receipt = parseReceipt(withDate(date));
+    expect(receipt.orderDate).toBeNull();
+    expect(receipt.unreadableDate).toBe(date);
+    expect(() => receiptService.preview({ text: withDate(date) })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('a future date is rejected', () => {
+    const nextYear = `${new Date().getUTCFullYear() + 1}-01-15`;
+    expect(() => receiptService.preview({ text: withDate(nextYear) }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'The receipt is dated in the future' }));
+  });
+});
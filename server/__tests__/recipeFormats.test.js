@@ -0,0 +1,134 @@
+// Recipe import/export: every format round trips a recipe through export and
+// import (and a second trip changes nothing), and archives that are corrupt,
+// lie about their sizes or expand past the upload-derived limits are refused.
+const zlib = require('zlib');
+const {
+  FORMATS,
+  importRecipes,
+  exportRecipes,
+  parseRecipeLine,
+  MAX_UPLOAD_BYTES,
+  MAX_EXPANDED_BYTES
+} = require('../utils/recipeFormats');
+const { createZip, readZip } = require('../utils/zipArchive');
+const { normalizeUnit } = require('../utils/unitDictionary');
+
+const RECIPE = {
+  title: 'Lemon Chicken',
+  description: 'Bright weeknight dinner',
+  servings: 4,
+  prepTime: 15,
+  cookTime: 30,
+  tags: ['chicken', 'quick'],
+  sourceUrl: 'https://example.com/lemon-chicken',
+  ingredients: ['2 lb chicken thighs', '1/4 cup lemon juice', '3 cloves garlic, minced', '1 tsp salt', '1 bay leaf'],
+  instructions: ['Season the chicken with salt.', 'Whisk the lemon juice and garlic.', 'Roast at 425F for 30 minutes.']
+};
+
+const roundTrip = (recipe, format) => {
+  const file = exportRecipes([recipe], format);
+  const parsed = importRecipes(file.data, { filename: file.filename });
+  expect(parsed.format).toBe(format);
+  expect(parsed.errors).toEqual([]);
+  return parsed.recipes[0];
+};
+
+// Unit spelling and ingredient order are up to the format; what to buy is not
+const shopping = (ingredients) => ingredients
+  .map(ing => `${ing.quantity} ${normalizeUnit(ing.unit) || ''} ${ing.item}`)
+  .sort();
+const steps = (recipe) => recipe.instructions.map(step => step.instruction);
+
+const expectLimit = (fn) => expect(fn).toThrow(expect.objectContaining({ code: 'ZIP_LIMIT_EXCEEDED' }));
+
+describe.each(Object.keys(FORMATS))('%s round trip', (format) => {
+  const back = roundTrip(RECIPE, format);
+
+  test('keeps the title, servings, tags and source', () => {
+    expect(back).toMatchObject({ title: RECIPE.title, servings: 4, tags: RECIPE.tags, sourceUrl: RECIPE.sourceUrl });
+  });
+
+  test('keeps every ingredient with its amount', () => {
+    expect(shopping(back.ingredients)).toEqual(shopping(RECIPE.ingredients.map(parseRecipeLine)));
+  });
+
+  test('keeps the steps and adds none', () => {
+    expect(steps(back)).toEqual(RECIPE.instructions);
+  });
+
+  test('a second round trip changes nothing', () => {
+    const again = roundTrip(back, format);
+    expect(steps(again)).toEqual(steps(back));
+    expect(shopping(again.ingredients)).toEqual(shopping(back.ingredients));
+  });
+});
+
+describe('cooklang', () => {
+  test('ingredients no step mentions come back as ingredients, not a Gather step', () => {
+    const file = exportRecipes([RECIPE], 'cooklang');
+    expect(file.data.toString()).toMatch(/^Gather @chicken thighs\{2%lb\}, @bay leaf\{1\}\.$/m);
+    expect(steps(roundTrip(RECIPE, 'cooklang'))).not.toContainEqual(expect.stringMatching(/^Gather/));
+  });
+
+  test('prep notes survive as ingredient notes', () => {
+    expect(exportRecipes([RECIPE], 'cooklang').data.toString()).toContain('@garlic{3%clove}(minced)');
+  });
+
+  test('several recipes export as a zip of .cook files', () => {
+    const file = exportRecipes([RECIPE, { ...RECIPE, title: 'Lemon Chicken' }], 'cooklang');
+    expect(file.filename).toMatch(/\.zip$/);
+    expect(importRecipes(file.data).recipes.map(recipe => recipe.title)).toEqual(['Lemon Chicken', 'Lemon Chicken']);
+  });
+});
+
+describe('malformed and oversized archives', () => {
+  const archive = () => createZip([
+    { name: 'a.cook', data: '>> title: A\n\nBoil @water{1%l}.' },
+    { name: 'b.cook', data: '>> title: B\n\nToast @bread{2}.' },
+    { name: 'c.cook', data: '>> title: C\n\nSlice @apple{1}.' }
+  ]);
+
+  test('a truncated archive is corrupt, not a crash', () => {
+    const zip = archive();
+    const truncated = Buffer.concat([zip.subarray(0, 40), zip.subarray(zip.length - 200)]);
+    expect(() => readZip(truncated)).toThrow(/Corrupt zip archive|Not a zip archive/);
+  });
+
+  test('an archive with no central directory is refused on import', () => {
+    expect(() => importRecipes(archive().subarray(0, 60))).toThrow(/Not a zip archive/);
+  });
+
+  test('too many entries are refused', () => {
+    expectLimit(() => readZip(archive(), { maxEntries: 2 }));
+  });
+
+  test('declared sizes over the limit are refused before inflating', () => {
+    const zip = createZip([{ name: 'zeros.json', data: Buffer.alloc(1024 * 1024) }]);
+    expectLimit(() => readZip(zip, { maxTotalBytes: 1000 }));
+  });
+
+  test('an archive that understates its sizes still stops at the limit', () => {
+    const zip = createZip([{ name: 'zeros.json', data: Buffer.alloc(1024 * 1024) }]);
+    const central = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt32LE(10, central + 24);
+    expectLimit(() => readZip(zip, { maxTotalBytes: 1000 }));
+  });
+
+  test('uploads over the body limit are refused', () => {
+    expect(() => importRecipes(Buffer.alloc(MAX_UPLOAD_BYTES + 1))).toThrow(/limited to 10 MB/);
+  });
+
+  test('a gzip bomb inside a Paprika archive fails the import', () => {
+    const bomb = createZip([{ name: 'bomb.paprikarecipe', data: zlib.gzipSync(Buffer.alloc(MAX_EXPANDED_BYTES + 1)) }]);
+    expectLimit(() => importRecipes(bomb, { filename: 'bomb.paprikarecipes' }));
+  });
+
+  test('one unreadable Paprika entry is reported and the rest imported', () => {
+    const good = exportRecipes([RECIPE], 'paprika').data;
+    const [entry] = readZip(good);
+    const mixed = createZip([entry, { name: 'broken.paprikarecipe', data: Buffer.from('not json') }]);
+    const parsed = importRecipes(mixed, { filename: 'mixed.paprikarecipes' });
+    expect(parsed.recipes).toHaveLength(1);
+    expect(parsed.errors).toEqual([expect.objectContaining({ entry: 'broken.paprikarecipe' })]);
+  });
+});
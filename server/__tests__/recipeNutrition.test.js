@@ -0,0 +1,60 @@
+// Recipe nutrition from Spoonacular's per-ingredient breakdown: summed per
+// serving when every ingredient is analyzed, null (unknown) otherwise.
+const spoonacularService = require('../services/spoonacularService');
+const cacheService = require('../services/cacheService');
+
+const nutrients = (calories, protein, carbs, fat, sodium) => ({
+  nutrients: [
+    { name: 'Calories', amount: calories, unit: 'kcal' },
+    { name: 'Protein', amount: protein, unit: 'g' },
+    { name: 'Carbohydrates', amount: carbs, unit: 'g' },
+    { name: 'Fat', amount: fat, unit: 'g' },
+    { name: 'Sodium', amount: sodium, unit: 'mg' },
+    { name: 'Fiber', amount: 2, unit: 'g' }
+  ]
+});
+
+describe('getRecipeNutrition', () => {
+  let apiKey;
+
+  beforeEach(() => {
+    apiKey = spoonacularService.apiKey;
+    spoonacularService.apiKey = 'test-key';
+    jest.spyOn(cacheService, 'getCachedSpoonacularResponse').mockResolvedValue(null);
+    jest.spyOn(cacheService, 'cacheSpoonacularResponse').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    spoonacularService.apiKey = apiKey;
+    jest.restoreAllMocks();
+  });
+
+  test('sums the ingredients per serving', async () => {
+    const parse = jest.spyOn(spoonacularService, 'parseProducts').mockResolvedValue([
+      { name: 'chicken breast', nutrition: nutrients(165.4, 31, 0, 3.6, 74) },
+      { name: 'rice', nutrition: nutrients(205, 4.3, 44.5, 0.4, 1.6) }
+    ]);
+
+    const nutrition = await spoonacularService.getRecipeNutrition(['1 lb chicken breast', '2 cups rice', ''], 4);
+
+    expect(parse).toHaveBeenCalledWith('1 lb chicken breast\n2 cups rice', 4);
+    expect(nutrition).toEqual({ calories: 370, protein: 35, carbs: 45, fat: 4, sodium: 76 });
+  });
+
+  test('an ingredient without nutrition makes the recipe unknown', async () => {
+    jest.spyOn(spoonacularService, 'parseProducts').mockResolvedValue([
+      { name: 'chicken breast', nutrition: nutrients(165, 31, 0, 3.6, 74) },
+      { name: 'secret sauce' }
+    ]);
+
+    expect(await spoonacularService.getRecipeNutrition(['1 lb chicken breast', 'secret sauce'], 4)).toBeNull();
+  });
+
+  test('without an API key nothing is looked up', async () => {
+    spoonacularService.apiKey = undefined;
+    const parse = jest.spyOn(spoonacularService, 'parseProducts');
+
+    expect(await spoonacularService.getRecipeNutrition(['1 egg'])).toBeNull();
+    expect(parse).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+// Serving-size scaling: kitchen-friendly units after scaling, whole eggs and
+// cans, non-linear ingredients flagged, and the /api/unified scale routes
+// (validation, unknown recipes, saved copy left alone) against a stand-in
+// recipe store.
+jest.mock('../middleware/auth', () => ({
+  authenticateUser: (req, res, next) => {
+    req.user = { uid: 'user-1' };
+    next();
+  }
+}));
+jest.mock('../services/databaseService', () => ({
+  saveRecipeToDatabase: jest.fn(),
+  getUserRecipes: jest.fn(),
+  getUserRecipe: jest.fn()
+}));
+
+const express = require('express');
+const { getUserRecipe } = require('../services/databaseService');
+const unifiedRoutes = require('../routes/unifiedRoutes');
+const { scaleRecipe, scaleIngredient, DEFAULT_BASE_SERVINGS } = require('../utils/recipeScaling');
+
+const scaled = (ingredient, factor) => scaleIngredient(ingredient, factor).original;
+
+describe('scaleIngredient', () => {
+  test('small volumes move up to cups', () => {
+    expect(scaled('3 tbsp butter', 4)).toBe('3/4 cup butter');
+  });
+
+  test('and down to tablespoons', () => {
+    expect(scaled('1/4 cup sugar', 0.5)).toBe('2 tbsp sugar');
+  });
+
+  test('metric stays metric', () => {
+    expect(scaled('500 g flour', 3)).toBe('1 1/2 kg flour');
+  });
+
+  test('ounces become pounds once there is a pound', () => {
+    expect(scaled('12 oz pasta', 2)).toBe('1 1/2 lb pasta');
+  });
+
+  test('containers keep their unit', () => {
+    expect(scaled('1 quart stock', 2)).toBe('2 quarts stock');
+  });
+
+  test('eggs stay whole and say what they were rounded from', () => {
+    const eggs = scaleIngredient('3 eggs', 0.5);
+    expect(eggs).toMatchObject({ quantity: 2, scalingNote: 'Rounded from 1 1/2' });
+  });
+
+  test('structured ingredients scale the top of a range', () => {
+    expect(scaleIngredient({ quantity: { min: 1, max: 2 }, unit: 'can', item: 'tomatoes' }, 2))
+      .toMatchObject({ quantity: 4, original: '4 cans tomatoes', scaledFrom: { quantity: 2, unit: 'can' } });
+  });
+
+  test('"to taste" has nothing to scale', () => {
+    expect(scaleIngredient('salt to taste', 2)).toMatchObject({ scaled: false });
+  });
+
+  test('salt, leavening and spices are flagged as non-linear', () => {
+    expect(scaleIngredient('1 tsp salt', 2).nonLinear).toBe('salt');
+    expect(scaleIngredient('1 tsp baking soda', 4).nonLinear).toBe('leavening');
+    expect(scaleIngredient('1 tsp vanilla extract', 3).nonLinear).toBe('spice');
+    expect(scaleIngredient('1/2 tsp pepper', 2).nonLinear).toBe('spice');
+  });
+
+  test('chili powder is a spice however it is spelled', () => {
+    expect(scaleIngredient('1 tbsp chile powder', 2).nonLinear).toBe('spice');
+    expect(scaleIngredient('1 tbsp chili powder', 2).nonLinear).toBe('spice');
+    expect(scaleIngredient('1 tsp chilli flakes', 2).nonLinear).toBe('spice');
+  });
+
+  test('bell peppers are produce, not a spice', () => {
+    expect(scaleIngredient('2 bell peppers', 2)).not.toHaveProperty('nonLinear');
+  });
+
+  test('nothing is flagged when the size is unchanged', () => {
+    expect(scaleIngredient('1 tsp salt', 1)).not.toHaveProperty('nonLinear');
+  });
+});
+
+describe('scaleRecipe', () => {
+  const recipe = { title: 'Rice', servings: 4, ingredients: ['2 cups rice', '1 tsp salt'] };
+
+  test('scales by target over base servings and collects warnings', () => {
+    const result = scaleRecipe(recipe, 6);
+    expect(result).toMatchObject({ factor: 1.5, baseServings: 4 });
+    expect(result.recipe).toMatchObject({ servings: 6, scaling: { baseServings: 4, factor: 1.5 } });
+    expect(result.warnings).toEqual([expect.objectContaining({ item: 'salt', kind: 'salt' })]);
+  });
+
+  test('the recipe passed in is not changed', () => {
+    scaleRecipe(recipe, 8);
+    expect(recipe.servings).toBe(4);
+    expect(recipe.ingredients[0]).toBe('2 cups rice');
+  });
+
+  test('a recipe without servings is assumed to serve the default', () => {
+    expect(scaleRecipe({ ingredients: ['2 cups rice'] }, 8).baseServings).toBe(DEFAULT_BASE_SERVINGS);
+  });
+
+  test('an explicit base overrides the recipe', () => {
+    expect(scaleRecipe(recipe, 4, { baseServings: 2 }).factor).toBe(2);
+  });
+
+  test('servings outside 1-200 are refused', () => {
+    expect(() => scaleRecipe(recipe, 0)).toThrow(/between 1 and 200/);
+    expect(() => scaleRecipe(recipe, 201)).toThrow(/between 1 and 200/);
+    expect(() => scaleRecipe(recipe, 'lots')).toThrow(/between 1 and 200/);
+  });
+});
+
+describe('scale routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/unified', unifiedRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/unified`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('an unsaved recipe is scaled from the request body', async () => {
+    const { status, body } = await post('/scale', { recipe: { servings: 2, ingredients: ['1 cup rice'] }, servings: 4 });
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, factor: 2 });
+    expect(body.recipe.ingredients[0].original).toBe('2 cups rice');
+  });
+
+  test('a recipe without ingredients is a bad request', async () => {
+    const { status, body } = await post('/scale', { recipe: { title: 'Empty' }, servings: 4 });
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+  });
+
+  test('bad servings are a bad request, not a server error', async () => {
+    const { status, body } = await post('/scale', { recipe: { ingredients: ['1 cup rice'] }, servings: -3 });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/between 1 and 200/);
+  });
+
+  test('a saved recipe is loaded for the signed-in user and scaled', async () => {
+    const saved = { id: 'r1', servings: 4, ingredients: [{ quantity: 1, unit: 'lb', item: 'ground beef' }] };
+    getUserRecipe.mockResolvedValueOnce(saved);
+
+    const { status, body } = await post('/r1/scale', { servings: 8 });
+
+    expect(getUserRecipe).toHaveBeenCalledWith('user-1', 'r1');
+    expect(status).toBe(200);
+    expect(body.recipe.ingredients[0]).toMatchObject({ quantity: 2, unit: 'lb' });
+    expect(saved.ingredients[0].quantity).toBe(1);
+  });
+
+  test('an unknown recipe is not found', async () => {
+    getUserRecipe.mockResolvedValueOnce(null);
+    expect((await post('/missing/scale', { servings: 2 })).status).toBe(404);
+  });
+
+  test('a failing store is a server error', async () => {
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    getUserRecipe.mockRejectedValueOnce(new Error('firestore down'));
+    expect((await post('/r1/scale', { servings: 2 })).status).toBe(500);
+  });
+});
@@ -0,0 +1,90 @@
+// Runs the recipe scraper against the saved pages in scripts/fixtures/recipes
+// (no network) and scores each extraction against the expected recipe in the
+// manifest: title, ingredient lines and step count, plus the extraction method,
+// instruction sections and number of pages fetched, which must match exactly.
+const fs = require('fs');
+const path = require('path');
+const { extractRecipe } = require('../utils/recipeScraper');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'scripts', 'fixtures', 'recipes');
+const PASS_THRESHOLD = 0.9;
+
+const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'manifest.json'), 'utf8'));
+
+const normalize = (s) =>
+  (s || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[ \s]+/g, ' ')
+    .replace(/[^\w\s/¼½¾⅓⅔⅛().,-]/g, '')
+    .trim();
+
+function fixtureFetcher(pages) {
+  return async (url) => {
+    const file = pages[url];
+    if (!file) {
+      throw new Error(`No fixture for ${url}`);
+    }
+    return fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+  };
+}
+
+function scoreIngredients(expected, actual) {
+  const want = expected.map(normalize);
+  const got = (actual || []).map(normalize);
+  const matched = want.filter((line) => got.includes(line)).length;
+
+  const recall = want.length ? matched / want.length : 1;
+  const precision = got.length ? matched / got.length : 0;
+  return recall + precision ? (2 * recall * precision) / (recall + precision) : 0;
+}
+
+// Structural mismatches: each one fails the case whatever the score
+function structuralFailures(expected, recipe) {
+  const failures = [];
+
+  if (expected.method && !(recipe.extractionMethod || '').includes(expected.method)) {
+    failures.push(`method ${recipe.extractionMethod}, expected ${expected.method}`);
+  }
+
+  if (expected.sections) {
+    const names = (recipe.instructionSections || []).map((s) => s.name);
+    if (names.join('|') !== expected.sections.join('|')) {
+      failures.push(`sections [${names.join(', ')}], expected [${expected.sections.join(', ')}]`);
+    }
+  }
+
+  if (expected.sourceUrls && (recipe.sourceUrls || []).length !== expected.sourceUrls) {
+    failures.push(`${(recipe.sourceUrls || []).length} source pages, expected ${expected.sourceUrls}`);
+  }
+
+  return failures;
+}
+
+function score(expected, recipe) {
+  const title = normalize(recipe.title) === normalize(expected.title) ? 1 : 0;
+  const stepCount = (recipe.steps || []).length;
+  const steps = expected.steps
+    ? Math.min(stepCount, expected.steps) / Math.max(stepCount, expected.steps)
+    : 1;
+  return (title + scoreIngredients(expected.ingredients, recipe.ingredients) + steps) / 3;
+}
+
+describe('recipe scraper fixtures', () => {
+  beforeEach(() => {
+    // The scraper logs every step it takes
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(manifest.cases.map((testCase) => [testCase.name, testCase]))('%s', async (name, testCase) => {
+    const recipe = await extractRecipe(testCase.url, { fetchPage: fixtureFetcher(testCase.pages) });
+
+    expect(structuralFailures(testCase.expected, recipe)).toEqual([]);
+    expect(score(testCase.expected, recipe)).toBeGreaterThanOrEqual(PASS_THRESHOLD);
+  });
+});
@@ -0,0 +1,95 @@
+// Every registered retailer adapter against the RetailerAdapter contract, then
+// the mock retailer through search, details, pricing, cart creation and store
+// lookup so routes built on the registry have an offline baseline.
+const retailers = require('../services/retailers');
+
+const METHODS = {
+  search: 'searchProducts',
+  details: 'getProductDetails',
+  pricing: 'getPricing',
+  cart: 'createCart',
+  stores: 'findStores',
+  auth: 'getAuthStatus'
+};
+const PRODUCT_FIELDS = ['id', 'name', 'brand', 'price', 'estimated_price', 'image_url', 'size', 'unit', 'availability', 'retailerId'];
+
+describe('retailer registry', () => {
+  const registered = retailers.listRetailers().filter(chain => chain.capabilities.length > 0);
+
+  test.each(registered.map(chain => [chain.id, chain]))('%s implements every declared capability', (id, chain) => {
+    const adapter = retailers.getAdapter(id);
+    for (const capability of chain.capabilities) {
+      expect(adapter[METHODS[capability]]).not.toBe(retailers.RetailerAdapter.prototype[METHODS[capability]]);
+    }
+  });
+
+  test('planned chains have no adapter', () => {
+    const planned = retailers.listRetailers({ status: 'planned' });
+    expect(planned.every(chain => !chain.available && chain.capabilities.length === 0)).toBe(true);
+  });
+
+  test('planned chain is a 503', () => {
+    expect(() => retailers.getAdapter('safeway')).toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+
+  test('unknown chain is a 404', () => {
+    expect(() => retailers.getAdapter('not-a-store')).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+});
+
+describe('mock retailer', () => {
+  const mock = retailers.getAdapter('mock');
+
+  test('search returns matches best first in the normalized shape', async () => {
+    const { products } = await mock.searchProducts('whole milk', { limit: 3 });
+    expect(products[0].name).toMatch(/whole milk/i);
+    for (const product of products) {
+      for (const field of PRODUCT_FIELDS) {
+        expect(product).toHaveProperty(field);
+      }
+    }
+  });
+
+  test('search matches plurals', async () => {
+    expect((await mock.searchProducts('bananas')).products).toHaveLength(1);
+  });
+
+  test('details apply store prices', async () => {
+    const details = await mock.getProductDetails('mock-coffee-1', { storeId: 'mock-002' });
+    expect(details.price).toBe(8.99);
+  });
+
+  test('pricing resolves ids and names', async () => {
+    const { prices } = await mock.getPricing([{ productId: 'mock-milk-1' }, { name: 'olive oil' }], { storeId: 'mock-003' });
+    expect(prices[0].price).toBe(4.59);
+    expect(prices[1].productId).toBe('mock-oil-1');
+  });
+
+  test('cart prices available lines and reports unavailable ones', async () => {
+    const cart = await mock.createCart(
+      [{ name: 'salmon', quantity: 2 }, { name: 'eggs', quantity: 2 }, { name: 'dragon fruit' }],
+      { storeId: 'mock-003', modality: 'PICKUP' }
+    );
+    expect(cart.subtotal).toBe(6.98);
+    expect(cart.unavailable).toEqual(['salmon', 'dragon fruit']);
+  });
+
+  test('store lookup ranks the nearest ZIP area', async () => {
+    const stores = await mock.findStores('95662');
+    expect(stores).toHaveLength(3);
+    expect(stores[0].zipCode.startsWith('956')).toBe(true);
+  });
+
+  test('auth status reports authenticated', async () => {
+    expect((await mock.getAuthStatus('test-user')).authenticated).toBe(true);
+  });
+
+  test('unknown store is a 404', async () => {
+    await expect(mock.searchProducts('milk', { storeId: 'nope' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('unsupported modality is a 400', async () => {
+    await expect(mock.createCart([{ name: 'milk' }], { storeId: 'mock-003', modality: 'DELIVERY' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,139 @@
+// SmashCart against the mock retailer: the item cap is checked before any
+// product lookups run, lookups are resolved a few at a time, and repeated or
+// already-carted items merge instead of using up room, and allergens are held
+// back. Firestore is a single in-memory cart document.
+const smashCartService = require('../services/smashCartService');
+const retailers = require('../services/retailers');
+const householdProfileService = require('../services/householdProfileService');
+const { mergeConstraints } = require('../utils/dietaryConstraints');
+
+const MAX_ITEMS = 200;
+
+function fakeFirestore() {
+  const state = { cart: null };
+  const ref = {
+    get: async () => ({ exists: !!state.cart, data: () => structuredClone(state.cart) }),
+    delete: async () => { state.cart = null; }
+  };
+  const transaction = {
+    get: ref.get,
+    set: (docRef, data) => { state.cart = structuredClone(data); }
+  };
+  return {
+    state,
+    collection: () => ({ doc: () => ({ collection: () => ({ doc: () => ref }) }) }),
+    runTransaction: (fn) => fn(transaction)
+  };
+}
+
+const named = (count, prefix = 'item') => Array.from({ length: count }, (_, i) => ({ productName: `${prefix} ${i}` }));
+
+describe('smashCartService', () => {
+  const mock = retailers.getAdapter('mock');
+  let db;
+
+  beforeEach(() => {
+    db = fakeFirestore();
+    jest.spyOn(smashCartService, 'getDB').mockReturnValue(db);
+    jest.spyOn(householdProfileService, 'getConstraints').mockResolvedValue(mergeConstraints([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('items are resolved through the retailer and merged by product', async () => {
+    const { cart } = await smashCartService.addItems('u1', [
+      { productName: 'whole milk', quantity: 2 },
+      { productName: 'whole milk' }
+    ], { retailerId: 'mock' });
+
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0]).toMatchObject({ matched: true, quantity: 3 });
+  });
+
+  test('an oversized request is rejected before any lookups', async () => {
+    const search = jest.spyOn(mock, 'searchProducts');
+
+    await expect(smashCartService.addItems('u1', named(MAX_ITEMS + 1), { retailerId: 'mock' }))
+      .rejects.toMatchObject({ statusCode: 400, field: 'items' });
+    expect(search).not.toHaveBeenCalled();
+    expect(db.state.cart).toBeNull();
+  });
+
+  test('a request that would overfill the cart is rejected before any lookups', async () => {
+    db.state.cart = { ...smashCartService.emptyCart('u1'), retailerId: 'mock', items: named(MAX_ITEMS - 1, 'old') };
+    const search = jest.spyOn(mock, 'searchProducts');
+
+    await expect(smashCartService.addItems('u1', named(2), { retailerId: 'mock' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(search).not.toHaveBeenCalled();
+  });
+
+  test('items already in the cart or repeated in the request do not use up room', async () => {
+    db.state.cart = {
+      ...smashCartService.emptyCart('u1'),
+      retailerId: 'mock',
+      items: named(MAX_ITEMS - 1, 'old').map(item => ({ ...item, quantity: 1 }))
+    };
+
+    const { cart } = await smashCartService.addItems('u1', [
+      { productName: 'Old 3' },
+      { productName: 'bananas' },
+      { productName: 'BANANAS ' }
+    ], { retailerId: 'mock' });
+
+    expect(cart.items).toHaveLength(MAX_ITEMS);
+  });
+
+  test('clearing the cart frees its room', async () => {
+    db.state.cart = { ...smashCartService.emptyCart('u1'), retailerId: 'mock', items: named(MAX_ITEMS, 'old') };
+    jest.spyOn(smashCartService, 'resolveProduct').mockResolvedValue(null);
+
+    const { cart } = await smashCartService.addItems('u1', named(3), { retailerId: 'mock', clearExisting: true });
+    expect(cart.items).toHaveLength(3);
+  });
+
+  test('removals in the same update make room for additions', async () => {
+    db.state.cart = { ...smashCartService.emptyCart('u1'), retailerId: 'mock', items: named(MAX_ITEMS, 'old').map((item, i) => ({ ...item, id: `old-${i}` })) };
+    jest.spyOn(smashCartService, 'resolveProduct').mockResolvedValue(null);
+
+    await expect(smashCartService.updateCart('u1', { items: [{ action: 'add', productName: 'bananas' }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const { cart } = await smashCartService.updateCart('u1', {
+      items: [{ itemId: 'old-0', action: 'remove' }, { action: 'add', productName: 'bananas' }]
+    });
+    expect(cart.items).toHaveLength(MAX_ITEMS);
+  });
+
+  test('product lookups run a few at a time', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    jest.spyOn(mock, 'searchProducts').mockImplementation(async () => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { products: [] };
+    });
+
+    const { cart } = await smashCartService.addItems('u1', named(23), { retailerId: 'mock' });
+
+    expect(mock.searchProducts).toHaveBeenCalledTimes(23);
+    expect(peak).toBe(5);
+    expect(cart.items.map(item => item.productName)).toEqual(named(23).map(item => item.productName));
+  });
+
+  test('allergens are held back unless confirmed', async () => {
+    householdProfileService.getConstraints.mockResolvedValue(mergeConstraints([{ name: 'Maya', allergies: ['peanuts'] }]));
+    const items = [{ productName: 'bananas' }, { productName: 'salted peanuts' }];
+
+    const held = await smashCartService.addItems('u1', items, { retailerId: 'mock' });
+    expect(held.cart.items.map(item => item.productName)).toEqual(['bananas']);
+    expect(held.heldForAllergies.map(item => item.productName)).toEqual(['salted peanuts']);
+    expect(held.dietaryCheck).toBe('checked');
+
+    const { cart } = await smashCartService.addItems('u1', items, { retailerId: 'mock', allowAllergens: true });
+    expect(cart.items.find(item => item.productName === 'salted peanuts').dietaryFlags).toHaveLength(1);
+  });
+});
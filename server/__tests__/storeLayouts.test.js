@@ -0,0 +1,198 @@
+// Store layouts: which department an item is shelved in, sorting a list into a
+// chain's walking order, custom layouts saved per store (against an in-memory
+// stand-in for users/{uid}/storeLayouts) overriding and resetting to the chain
+// default, and the /api/stores walking-order route's JSON and text exports.
+jest.mock('../middleware/auth', () => ({
+  authenticateUser: (req, res, next) => {
+    req.user = { uid: 'user-1' };
+    next();
+  }
+}));
+
+const express = require('express');
+const storeLayoutService = require('../services/storeLayoutService');
+const listCollaborationService = require('../services/listCollaborationService');
+const storeRoutes = require('../routes/stores');
+const { departmentFor, orderByLayout, getChainLayout, formatWalkingOrder } = require('../utils/storeLayouts');
+
+function fakeLayoutStore() {
+  const docs = new Map();
+  const docRef = (id) => ({
+    get: async () => ({ id, exists: docs.has(id), data: () => docs.get(id) }),
+    set: async (data) => { docs.set(id, data); },
+    delete: async () => { docs.delete(id); }
+  });
+  return {
+    docs,
+    doc: docRef,
+    get: async () => ({ docs: [...docs].map(([id, data]) => ({ id, data: () => data })) })
+  };
+}
+
+const LIST = [
+  { productName: 'frozen peas', quantity: 1, unit: 'bag' },
+  { productName: 'milk', quantity: 1, unit: 'gallon' },
+  { productName: 'bananas', quantity: 6 },
+  { productName: 'peanut butter' },
+  { productName: 'sourdough bread' }
+];
+
+const departmentOrder = (groups) => groups.map(group => group.department.id);
+
+describe('departmentFor', () => {
+  test.each([
+    ['peanut butter', 'canned'],
+    ['butter', 'dairy'],
+    ['frozen chicken breasts', 'frozen'],
+    ['canned salmon', 'canned'],
+    ['red bell pepper', 'produce']
+  ])('%s is shelved in %s', (productName, department) => {
+    expect(departmentFor({ productName })).toBe(department);
+  });
+
+  test('a category is used when no keyword matches', () => {
+    expect(departmentFor({ productName: 'mystery item', category: 'household' })).toBe('household');
+  });
+});
+
+describe('orderByLayout', () => {
+  test('items follow the chain walking order and empty departments are skipped', () => {
+    expect(departmentOrder(orderByLayout(LIST, getChainLayout('kroger'))))
+      .toEqual(['produce', 'bakery', 'canned', 'frozen', 'dairy']);
+    expect(departmentOrder(orderByLayout(LIST, getChainLayout('walmart'))))
+      .toEqual(['produce', 'bakery', 'canned', 'dairy', 'frozen']);
+  });
+
+  test('an unknown chain walks the typical supermarket', () => {
+    expect(getChainLayout('corner-store')).toMatchObject({ chain: 'default', name: 'Typical supermarket' });
+  });
+});
+
+describe('custom layouts', () => {
+  let layouts;
+
+  beforeEach(() => {
+    layouts = fakeLayoutStore();
+    jest.spyOn(storeLayoutService, 'layoutsCollection').mockReturnValue(layouts);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a saved layout replaces the chain default for that store', async () => {
+    await storeLayoutService.saveLayout('user-1', 'home-safeway', {
+      departments: ['dairy', { id: 'frozen', aisle: ' 12 ' }, 'produce'],
+      chain: 'safeway'
+    });
+
+    const layout = await storeLayoutService.getLayout('user-1', 'home-safeway');
+
+    expect(layout).toMatchObject({ custom: true, chain: 'safeway', name: 'Safeway' });
+    expect(layout.departments.slice(0, 3)).toEqual([
+      { id: 'dairy', name: 'Dairy & Eggs', aisle: null },
+      { id: 'frozen', name: 'Frozen', aisle: '12' },
+      { id: 'produce', name: 'Produce', aisle: null }
+    ]);
+    expect(layout.departments).toHaveLength(16);
+  });
+
+  test('departments must be known and not repeat', async () => {
+    await expect(storeLayoutService.saveLayout('user-1', 'kroger', { departments: ['dairy', 'dairy'] }))
+      .rejects.toMatchObject({ statusCode: 400, field: 'departments' });
+    await expect(storeLayoutService.saveLayout('user-1', 'kroger', { departments: ['garden'] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(layouts.docs.size).toBe(0);
+  });
+
+  test('resetting drops the custom layout and goes back to its chain', async () => {
+    await storeLayoutService.saveLayout('user-1', 'home-store', { departments: ['frozen'], chain: 'aldi' });
+
+    const reset = await storeLayoutService.resetLayout('user-1', 'home-store');
+
+    expect(reset).toMatchObject({ custom: false, chain: 'aldi' });
+    expect(await storeLayoutService.getCustomLayouts('user-1')).toEqual([]);
+  });
+});
+
+describe('POST /:storeId/walking-order', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/stores', storeRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/stores`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(storeLayoutService, 'layoutsCollection').mockReturnValue(fakeLayoutStore());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const walk = async (storeId, body) => {
+    const response = await fetch(`${baseUrl}/${storeId}/walking-order`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('sorts posted items into the chain order', async () => {
+    const { status, body } = await walk('kroger', { items: LIST });
+
+    expect(status).toBe(200);
+    expect(body.itemCount).toBe(5);
+    expect(departmentOrder(body.groups)).toEqual(['produce', 'bakery', 'canned', 'frozen', 'dairy']);
+  });
+
+  test('exports a printable checklist', async () => {
+    const { body } = await walk('kroger', { items: LIST.slice(0, 3), format: 'text' });
+
+    expect(body.text).toBe(formatWalkingOrder(body.groups, body.layout));
+    expect(body.text).toBe([
+      'Shopping list - Kroger walking order',
+      '',
+      'Produce',
+      '[ ] 6 bananas',
+      '',
+      'Frozen',
+      '[ ] 1 bag frozen peas',
+      '',
+      'Dairy & Eggs',
+      '[ ] 1 gallon milk',
+      ''
+    ].join('\n'));
+  });
+
+  test('sorts a shared list the user can see', async () => {
+    const getList = jest.spyOn(listCollaborationService, 'getListForUser')
+      .mockResolvedValue({ list: { items: LIST.slice(1, 3) }, role: 'viewer' });
+
+    const { body } = await walk('safeway', { listId: 'list-1' });
+
+    expect(getList).toHaveBeenCalledWith('list-1', 'user-1');
+    expect(departmentOrder(body.groups)).toEqual(['produce', 'dairy']);
+  });
+
+  test('without items, a list or the cart it is a 400', async () => {
+    expect((await walk('kroger', {})).status).toBe(400);
+  });
+
+  test('store ids are checked', async () => {
+    expect((await walk('bad%20store!', { items: LIST })).status).toBe(400);
+  });
+});
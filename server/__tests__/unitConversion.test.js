@@ -0,0 +1,152 @@
+// Unit conversion and the cart's duplicate merging: volume and weight
+// conversions, units that can't be converted into each other (counts against
+// weights, cups against grams without a density), the package size a merged
+// quantity is rounded up to, and the merged cart line.
+const { convert, mergeQuantities, getIngredientProfile } = require('../utils/unitConversion');
+const { areDuplicates, mergeDuplicates } = require('../utils/cartMerge');
+
+describe('convert', () => {
+  test('volume to volume', () => {
+    expect(convert(1, 'cup', 'tbsp')).toBeCloseTo(16, 1);
+  });
+
+  test('weight to weight', () => {
+    expect(convert(1, 'lb', 'g')).toBeCloseTo(453.592, 3);
+  });
+
+  test('volume to weight uses the ingredient density', () => {
+    expect(convert(1, 'cup', 'g', 'flour')).toBeCloseTo(125.155, 2);
+  });
+
+  test('volume to weight without a known density is refused', () => {
+    expect(convert(1, 'cup', 'g')).toBeNull();
+  });
+
+  test('counts and weights are incompatible', () => {
+    expect(convert(2, 'count', 'lb')).toBeNull();
+  });
+
+  test('a dozen is twelve', () => {
+    expect(convert(1, 'dozen', 'count')).toBe(12);
+  });
+
+  test('containers have no size to convert from', () => {
+    expect(convert(1, 'can', 'cup')).toBeNull();
+  });
+});
+
+describe('mergeQuantities', () => {
+  test('cups and a quart of milk round up to a half gallon', () => {
+    const [group, ...rest] = mergeQuantities([{ quantity: 2, unit: 'cups' }, { quantity: 1, unit: 'quart' }], 'milk');
+    expect(rest).toHaveLength(0);
+    expect(group).toMatchObject({ quantity: 0.5, unit: 'gal', needed: { quantity: 1.5, unit: 'qt' } });
+    expect(group.package.label).toBe('1/2 gallon');
+  });
+
+  test('cups and grams of flour are added by weight', () => {
+    const [group] = mergeQuantities([{ quantity: 2, unit: 'cups' }, { quantity: 500, unit: 'g' }], 'flour');
+    expect(group).toMatchObject({ quantity: 2, unit: 'lb', needed: { quantity: 1.75, unit: 'lb' } });
+  });
+
+  test('metric quantities stay metric', () => {
+    const [group] = mergeQuantities([{ quantity: 200, unit: 'ml' }, { quantity: 300, unit: 'ml' }], 'cream');
+    expect(group.needed).toEqual({ quantity: 500, unit: 'ml' });
+  });
+
+  test('apples counted and apples weighed stay separate', () => {
+    const groups = mergeQuantities([{ quantity: 3, unit: 'each' }, { quantity: 1, unit: 'lb' }], 'apples');
+    expect(groups).toHaveLength(2);
+  });
+
+  test('a count without a unit is not read as the other line\'s weight', () => {
+    const groups = mergeQuantities([{ quantity: 3 }, { quantity: 1, unit: 'lb' }], 'apples');
+    expect(groups.map(group => group.quantity)).toEqual([3, 1]);
+  });
+
+  test('an entry with no quantity or unit joins the measured one', () => {
+    const groups = mergeQuantities([{}, { quantity: 2, unit: 'cups' }], 'milk');
+    expect(groups).toHaveLength(1);
+    expect(groups[0].needed).toEqual({ quantity: 3, unit: 'cup' });
+  });
+
+  test('containers of the same kind are summed as they are', () => {
+    const [group] = mergeQuantities([{ quantity: 2, unit: 'cans' }, { quantity: 1, unit: 'can' }], 'black beans');
+    expect(group.quantity).toBe(3);
+  });
+});
+
+describe('getIngredientProfile', () => {
+  test('the staple has to be the product, not part of its name', () => {
+    expect(getIngredientProfile('peanut butter')).toBeNull();
+    expect(getIngredientProfile('butter beans')).toBeNull();
+    expect(getIngredientProfile('rice vinegar')).toBeNull();
+    expect(getIngredientProfile('sour cream')).toBeNull();
+    expect(getIngredientProfile('cream cheese')).toBeNull();
+  });
+
+  test('descriptions and prep notes still find the staple', () => {
+    expect(getIngredientProfile('Unsalted Butter, softened').key).toBe('butter');
+    expect(getIngredientProfile('brown rice').key).toBe('rice');
+    expect(getIngredientProfile('heavy whipping cream').key).toBe('cream');
+  });
+});
+
+describe('mergeQuantities without a profile', () => {
+  test('cream cheese blocks are added by weight, not rounded to a pint of cream', () => {
+    const [group] = mergeQuantities([{ quantity: 8, unit: 'oz' }, { quantity: 8, unit: 'oz' }], 'cream cheese');
+    expect(group).toMatchObject({ quantity: 16, unit: 'oz', package: null });
+  });
+
+  test('rice vinegar stays in spoons instead of becoming a bag of rice', () => {
+    const [group] = mergeQuantities([{ quantity: 1, unit: 'tbsp' }, { quantity: 2, unit: 'tbsp' }], 'rice vinegar');
+    expect(group).toMatchObject({ quantity: 3, unit: 'tbsp', package: null });
+  });
+
+  test('sour cream tubs stay in ounces', () => {
+    const [group] = mergeQuantities([{ quantity: 8, unit: 'oz' }, { quantity: 16, unit: 'oz' }], 'sour cream');
+    expect(group).toMatchObject({ quantity: 24, unit: 'oz', package: null });
+  });
+
+  test('peanut butter has no density to turn cups into grams', () => {
+    expect(convert(1, 'cup', 'g', 'peanut butter')).toBeNull();
+  });
+});
+
+describe('mergeDuplicates', () => {
+  const item = (id, productName, quantity, unit, category = 'dairy') => ({ id, productName, quantity, unit, category });
+
+  test('the same product in different units becomes one shopping line', () => {
+    const merged = mergeDuplicates([item('a', 'Milk', 2, 'cups'), item('b', 'milk', 1, 'quart')]);
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({
+      quantity: 0.5,
+      unit: 'gal',
+      merged: true,
+      duplicatesCount: 2,
+      neededQuantity: 1.5,
+      packageSize: '1/2 gallon'
+    });
+  });
+
+  test('eggs by the each and by the dozen are counted together', () => {
+    const merged = mergeDuplicates([item('a', 'eggs', 6, 'each'), item('b', 'eggs', 1, 'dozen')]);
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ quantity: 18, packageSize: '18 count' });
+  });
+
+  test('apples counted and apples weighed are kept as two lines', () => {
+    const merged = mergeDuplicates([item('a', 'apples', 3, null, 'produce'), item('b', 'apples', 1, 'lb', 'produce')]);
+    expect(merged.map(line => `${line.quantity} ${line.unit || ''}`.trim()).sort()).toEqual(['1 lb', '3']);
+  });
+
+  test('different products are left alone', () => {
+    const bread = item('c', 'bread', 1, 'loaf', 'bakery');
+    const merged = mergeDuplicates([item('a', 'milk', 1, 'gallon'), bread]);
+    expect(merged).toHaveLength(2);
+    expect(merged[1]).toEqual(bread);
+  });
+
+  test('a name inside another name only matches within a category', () => {
+    expect(areDuplicates(item('a', 'butter', 1, 'lb'), item('b', 'peanut butter', 1, 'jar', 'pantry'))).toBe(false);
+  });
+});
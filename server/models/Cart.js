@@ -0,0 +1,43 @@
+/**
+ * Cart Model
+ * One working cart per user for /api/cart. version increases on every write so
+ * concurrent edits can be detected; expiresAt is pushed forward on every write and
+ * Mongo's TTL monitor removes carts nobody has touched since.
+ */
+
+const mongoose = require('mongoose');
+
+const CartSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Cart items as the parser and client build them - the shape is owned by routes/cart.js
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'carts',
+  timestamps: true,
+  minimize: false
+});
+
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Cart = mongoose.models.Cart || mongoose.model('Cart', CartSchema);
+
+module.exports = Cart;
@@ -0,0 +1,49 @@
+/**
+ * Cart Operation Model
+ * Append-only log of writes to a user's /api/cart cart - what kind of change it
+ * was, the cart version it produced and the items it added, removed or edited
+ */
+
+const mongoose = require('mongoose');
+const { LOG_RETENTION_DAYS } = require('../services/cartStore/CartStore');
+
+const CartOperationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  detail: {
+    type: String,
+    default: null
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+
+  // diffCarts() result: { added, removed, changed, unchanged }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  collection: 'cart_operations',
+  minimize: false
+});
+
+CartOperationSchema.index({ userId: 1, at: -1 });
+CartOperationSchema.index({ at: 1 }, { expireAfterSeconds: LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+const CartOperation = mongoose.models.CartOperation ||
+  mongoose.model('CartOperation', CartOperationSchema);
+
+module.exports = CartOperation;
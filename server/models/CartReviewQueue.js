@@ -0,0 +1,37 @@
+/**
+ * Cart Review Queue Model
+ * Parsed items held back from a user's cart (low confidence or allergen) until
+ * they are accepted or discarded. Expires with the cart it belongs to.
+ */
+
+const mongoose = require('mongoose');
+
+const CartReviewQueueSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Queued cart items, oldest first - same shape as Cart.items
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'cart_review_queues',
+  timestamps: true,
+  minimize: false
+});
+
+CartReviewQueueSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CartReviewQueue = mongoose.models.CartReviewQueue ||
+  mongoose.model('CartReviewQueue', CartReviewQueueSchema);
+
+module.exports = CartReviewQueue;
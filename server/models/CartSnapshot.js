@@ -0,0 +1,50 @@
+/**
+ * Cart Snapshot Model
+ * A named copy of a user's cart ("before Thanksgiving edits") that can be
+ * restored or compared with another snapshot later
+ */
+
+const mongoose = require('mongoose');
+
+const CartSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+
+  // The cart version the snapshot was taken from
+  cartVersion: {
+    type: Number,
+    default: 0
+  },
+
+  // Taken by the server (before clearing) rather than named by the user
+  automatic: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  collection: 'cart_snapshots',
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+const CartSnapshot = mongoose.models.CartSnapshot ||
+  mongoose.model('CartSnapshot', CartSnapshotSchema);
+
+module.exports = CartSnapshot;
@@ -0,0 +1,74 @@
+/**
+ * Price Alert Model
+ * A user's subscription to price drops for a product, optionally at one vendor
+ */
+
+const mongoose = require('mongoose');
+
+const PriceAlertSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  productKey: {
+    type: String,
+    required: true,
+    index: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  productId: String,
+
+  // null means any vendor
+  vendor: {
+    type: String,
+    default: null
+  },
+
+  // Fire when the price reaches targetPrice; without one, fire on a
+  // dropPercent drop below the price seen when the user subscribed
+  targetPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  dropPercent: {
+    type: Number,
+    min: 1,
+    max: 90,
+    default: 5
+  },
+  baselinePrice: {
+    type: Number,
+    default: null
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+  triggered: {
+    type: Boolean,
+    default: false
+  },
+  lastTriggeredAt: Date,
+  lastTriggeredPrice: Number,
+  lastTriggeredVendor: String,
+  triggerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'price_alerts'
+});
+
+PriceAlertSchema.index({ productKey: 1, active: 1 });
+PriceAlertSchema.index({ userId: 1, productKey: 1, vendor: 1 }, { unique: true });
+
+const PriceAlert = mongoose.models.PriceAlert || mongoose.model('PriceAlert', PriceAlertSchema);
+
+module.exports = PriceAlert;
@@ -0,0 +1,66 @@
+/**
+ * Price Observation Model
+ * Time-series record of every real product price we see (Instacart search results,
+ * manual tracking calls, cart price fetches) - the source for price history
+ */
+
+const mongoose = require('mongoose');
+
+const ONE_YEAR_SECONDS = 365 * 24 * 60 * 60;
+
+const PriceObservationSchema = new mongoose.Schema({
+  observedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Series identity - Mongo groups time-series buckets by this field
+  meta: {
+    productKey: { type: String, required: true },
+    vendor: { type: String, required: true }
+  },
+
+  productName: {
+    type: String,
+    required: true
+  },
+  productId: String,
+  vendorName: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  packageSize: String,
+  unit: String,
+  zipCode: String,
+  source: {
+    type: String,
+    enum: ['instacart_search', 'manual_track', 'cart_price_fetch', 'receipt_import'],
+    required: true
+  },
+  // Who reported the price. receipt_import prices are user-entered, so
+  // priceHistoryService keeps them out of shared history and alerts
+  userId: String
+}, {
+  collection: 'price_observations',
+  timeseries: {
+    timeField: 'observedAt',
+    metaField: 'meta',
+    granularity: 'hours'
+  },
+  expireAfterSeconds: ONE_YEAR_SECONDS
+});
+
+PriceObservationSchema.index({ 'meta.productKey': 1, observedAt: -1 });
+PriceObservationSchema.index({ productId: 1, observedAt: -1 });
+
+const PriceObservation = mongoose.models.PriceObservation ||
+  mongoose.model('PriceObservation', PriceObservationSchema);
+
+module.exports = PriceObservation;
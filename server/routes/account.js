@@ -3,11 +3,37 @@ const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
 const { authenticateUser, validateCartOperation } = require('../middleware/auth');
+const crypto = require('crypto');
 const AIProductParser = require('../utils/aiProductParser');
+const listCollaborationService = require('../services/listCollaborationService');
+const pantryService = require('../services/pantryService');
+const receiptService = require('../services/receiptService');
+const accountDataService = require('../services/accountDataService');
+const { PROFILE_FIELDS } = accountDataService;
+const expiryService = require('../services/expiryService');
+const userSettingsService = require('../services/userSettingsService');
+const householdProfileService = require('../services/householdProfileService');
+const { flagItems, checkRecipe, isBlocking, screenItems } = require('../utils/dietaryConstraints');
+const productPreferenceService = require('../services/productPreferenceService');
+const settingsRoutes = require('./settings');
 
 const db = admin.firestore();
 const aiParser = new AIProductParser();
 
+const DEFAULT_SHARE_EXPIRY_DAYS = 30;
+const MAX_SHARE_EXPIRY_DAYS = 365;
+
+// Helper function to send errors from the pantry, receipt and account data
+// services (validation/not-found carry a statusCode)
+function sendServiceError(res, error, fallback) {
+  console.error(`${fallback}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallback,
+    message: error.message
+  });
+}
+
 // ============================================
 // USER PROFILE MANAGEMENT
 // ============================================
@@ -70,13 +96,8 @@ router.put('/profile', authenticateUser, async (req, res) => {
     const updates = req.body;
     
     // Validate updates
-    const allowedFields = [
-      'displayName', 'phone', 'defaultStore', 'dietaryPreferences',
-      'familySize', 'weeklyBudget', 'notifications'
-    ];
-    
     const filteredUpdates = {};
-    for (const field of allowedFields) {
+    for (const field of PROFILE_FIELDS) {
       if (updates[field] !== undefined) {
         filteredUpdates[field] = updates[field];
       }
@@ -114,18 +135,8 @@ router.get('/lists', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.uid;
     
-    const listsSnapshot = await db.collection('savedLists')
-      .where('userId', '==', userId)
-      .orderBy('createdAt', 'desc')
-      .get();
-    
-    const lists = [];
-    listsSnapshot.forEach(doc => {
-      lists.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    // Includes household lists the user has been added to, each tagged with the user's role
+    const lists = await listCollaborationService.getListsForUser(userId);
     
     res.json({
       success: true,
@@ -164,7 +175,10 @@ router.post('/lists', authenticateUser, async (req, res) => {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       shared: false,
-      shareId: null
+      shareId: null,
+      members: {},
+      memberIds: [],
+      version: 0
     };
     
     const docRef = await db.collection('savedLists').add(newList);
@@ -188,57 +202,165 @@ router.post('/lists', authenticateUser, async (req, res) => {
 });
 
 // PUT /api/account/lists/:listId - Update a saved list
+// Owners and editors may update; replacing items needs the list version last seen
 router.put('/lists/:listId', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.uid;
     const { listId } = req.params;
-    const updates = req.body;
+    const { version: baseVersion, ...requested } = req.body;
     
-    // Verify ownership
-    const listDoc = await db.collection('savedLists').doc(listId).get();
+    const list = await listCollaborationService.updateList(listId, userId, requested, baseVersion);
     
-    if (!listDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'List not found'
+    if (requested.items !== undefined) {
+      broadcastToList(req, listId, 'list:replaced', {
+        version: list.version,
+        items: list.items,
+        userId: userId
       });
     }
     
-    if (listDoc.data().userId !== userId) {
-      return res.status(403).json({
+    res.json({
+      success: true,
+      list: list,
+      message: 'List updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating list:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update list',
+      message: error.message,
+      ...(error.code === 'LIST_VERSION_CONFLICT' ? { code: error.code, currentVersion: error.currentVersion } : {})
+    });
+  }
+});
+
+// POST /api/account/lists/:listId/operations - Apply item add/remove/check operations
+router.post('/lists/:listId/operations', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { listId } = req.params;
+    const { operations, clientOpId } = req.body;
+    
+    const result = await listCollaborationService.applyOperations(listId, userId, operations);
+    
+    const collaboration = req.app.get('listCollaboration');
+    if (collaboration) {
+      collaboration.broadcastOperations(listId, result, userId, clientOpId);
+    }
+    
+    res.json({
+      success: true,
+      version: result.version,
+      applied: result.applied,
+      items: result.items
+    });
+  } catch (error) {
+    console.error('Error applying list operations:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to apply list operations',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// LIST MEMBERSHIP (HOUSEHOLD LISTS)
+// ============================================
+
+// GET /api/account/lists/:listId/members - Get list owner and members
+router.get('/lists/:listId/members', authenticateUser, async (req, res) => {
+  try {
+    const { list, role } = await listCollaborationService.getListForUser(req.params.listId, req.user.uid, 'viewer');
+    
+    const members = Object.entries(list.members || {}).map(([memberId, member]) => ({
+      userId: memberId,
+      ...member
+    }));
+    
+    res.json({
+      success: true,
+      owner: list.userId,
+      role: role,
+      members: members,
+      count: members.length
+    });
+  } catch (error) {
+    console.error('Error fetching list members:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch list members',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/account/lists/:listId/members - Add a member or change their role
+router.post('/lists/:listId/members', authenticateUser, async (req, res) => {
+  try {
+    const { listId } = req.params;
+    const { email, userId: memberId, role = 'editor' } = req.body;
+    
+    if (!email && !memberId) {
+      return res.status(400).json({
         success: false,
-        error: 'Unauthorized to update this list'
+        error: 'email or userId is required'
       });
     }
     
-    // Update list
-    updates.updatedAt = new Date().toISOString();
-    if (updates.items) {
-      updates.itemCount = updates.items.length;
-    }
+    const member = await listCollaborationService.setMember(listId, req.user.uid, { email, userId: memberId, role });
+    
+    broadcastToList(req, listId, 'list:member:updated', { member });
+    
+    res.json({
+      success: true,
+      member: member,
+      message: 'List member saved'
+    });
+  } catch (error) {
+    console.error('Error saving list member:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save list member',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/account/lists/:listId/members/:memberId - Remove a member (or leave a list)
+router.delete('/lists/:listId/members/:memberId', authenticateUser, async (req, res) => {
+  try {
+    const { listId, memberId } = req.params;
     
-    await db.collection('savedLists').doc(listId).update(updates);
+    await listCollaborationService.removeMember(listId, req.user.uid, memberId);
     
-    const updatedDoc = await db.collection('savedLists').doc(listId).get();
+    broadcastToList(req, listId, 'list:member:removed', { userId: memberId });
     
     res.json({
       success: true,
-      list: {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
-      },
-      message: 'List updated successfully'
+      message: 'List member removed'
     });
   } catch (error) {
-    console.error('Error updating list:', error);
-    res.status(500).json({
+    console.error('Error removing list member:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to update list',
+      error: error.statusCode ? error.message : 'Failed to remove list member',
       message: error.message
     });
   }
 });
 
+// Helper function to push list events to connected members (no-op without WebSockets)
+function broadcastToList(req, listId, event, payload) {
+  const collaboration = req.app.get('listCollaboration');
+  if (!collaboration) return;
+  
+  collaboration.broadcastListEvent(listId, event, payload).catch(error => {
+    console.warn(`⚠️ Could not broadcast ${event} for list ${listId}:`, error.message);
+  });
+}
+
 // DELETE /api/account/lists/:listId - Delete a saved list
 router.delete('/lists/:listId', authenticateUser, async (req, res) => {
   try {
@@ -262,6 +384,11 @@ router.delete('/lists/:listId', authenticateUser, async (req, res) => {
       });
     }
     
+    // Deleted lists must not stay reachable through an old share link
+    if (listDoc.data().shareId) {
+      await revokeShare(listDoc.data().shareId);
+    }
+    
     await db.collection('savedLists').doc(listId).delete();
     
     res.json({
@@ -283,6 +410,7 @@ router.post('/lists/:listId/share', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.uid;
     const { listId } = req.params;
+    const { expiresInDays = DEFAULT_SHARE_EXPIRY_DAYS } = req.body || {};
     
     // Verify ownership
     const listDoc = await db.collection('savedLists').doc(listId).get();
@@ -301,12 +429,41 @@ router.post('/lists/:listId/share', authenticateUser, async (req, res) => {
       });
     }
     
-    // Generate share ID
-    const shareId = `share_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const days = parseInt(expiresInDays);
+    if (isNaN(days) || days < 1 || days > MAX_SHARE_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInDays must be between 1 and ${MAX_SHARE_EXPIRY_DAYS}`
+      });
+    }
+    
+    // Revoke the previous link so only one share link is live per list
+    const previousShareId = listDoc.data().shareId;
+    if (previousShareId) {
+      await revokeShare(previousShareId);
+    }
+    
+    // Share IDs are the only credential for the public endpoint, so they must be unguessable
+    const shareId = `share_${crypto.randomBytes(16).toString('hex')}`;
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    
+    await db.collection('listShares').doc(shareId).set({
+      listId: listId,
+      ownerId: userId,
+      ownerName: req.user.displayName || '',
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt,
+      revoked: false,
+      revokedAt: null,
+      viewCount: 0,
+      lastViewedAt: null
+    });
     
     await db.collection('savedLists').doc(listId).update({
       shared: true,
-      shareId: shareId
+      shareId: shareId,
+      updatedAt: now.toISOString()
     });
     
     const shareUrl = `${process.env.CLIENT_URL}/shared/${shareId}`;
@@ -314,7 +471,8 @@ router.post('/lists/:listId/share', authenticateUser, async (req, res) => {
     res.json({
       success: true,
       shareUrl: shareUrl,
-      shareId: shareId
+      shareId: shareId,
+      expiresAt: expiresAt
     });
   } catch (error) {
     console.error('Error sharing list:', error);
@@ -326,6 +484,141 @@ router.post('/lists/:listId/share', authenticateUser, async (req, res) => {
   }
 });
 
+// GET /api/account/lists/:listId/share - Get share link status and view count
+router.get('/lists/:listId/share', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { listId } = req.params;
+    
+    const listDoc = await db.collection('savedLists').doc(listId).get();
+    
+    if (!listDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+    
+    const listData = listDoc.data();
+    
+    if (listData.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to access this list'
+      });
+    }
+    
+    if (!listData.shareId) {
+      return res.json({
+        success: true,
+        shared: false,
+        share: null
+      });
+    }
+    
+    const shareDoc = await db.collection('listShares').doc(listData.shareId).get();
+    
+    if (!shareDoc.exists) {
+      return res.json({
+        success: true,
+        shared: false,
+        share: null
+      });
+    }
+    
+    const share = shareDoc.data();
+    
+    res.json({
+      success: true,
+      shared: listData.shared && !share.revoked && !isShareExpired(share),
+      share: {
+        shareId: listData.shareId,
+        shareUrl: `${process.env.CLIENT_URL}/shared/${listData.shareId}`,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        expired: isShareExpired(share),
+        revoked: share.revoked,
+        revokedAt: share.revokedAt,
+        viewCount: share.viewCount || 0,
+        lastViewedAt: share.lastViewedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching share status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch share status',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/account/lists/:listId/share - Revoke a list's share link
+router.delete('/lists/:listId/share', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { listId } = req.params;
+    
+    const listDoc = await db.collection('savedLists').doc(listId).get();
+    
+    if (!listDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'List not found'
+      });
+    }
+    
+    const listData = listDoc.data();
+    
+    if (listData.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to unshare this list'
+      });
+    }
+    
+    if (listData.shareId) {
+      await revokeShare(listData.shareId);
+    }
+    
+    await db.collection('savedLists').doc(listId).update({
+      shared: false,
+      shareId: null,
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share link',
+      message: error.message
+    });
+  }
+});
+
+// Helper function to check whether a share link has passed its expiry date
+function isShareExpired(share) {
+  return !!share.expiresAt && new Date(share.expiresAt) <= new Date();
+}
+
+// Helper function to mark a share link as revoked
+async function revokeShare(shareId) {
+  const shareRef = db.collection('listShares').doc(shareId);
+  const shareDoc = await shareRef.get();
+  
+  if (shareDoc.exists && !shareDoc.data().revoked) {
+    await shareRef.update({
+      revoked: true,
+      revokedAt: new Date().toISOString()
+    });
+  }
+}
+
 // POST /api/account/lists/:listId/load - Load a list into current cart
 router.post('/lists/:listId/load', authenticateUser, async (req, res) => {
   try {
@@ -345,8 +638,8 @@ router.post('/lists/:listId/load', authenticateUser, async (req, res) => {
     
     const listData = listDoc.data();
     
-    // Verify ownership or shared access
-    if (listData.userId !== userId && !listData.shared) {
+    // Verify membership or shared access
+    if (!listCollaborationService.getRole(listData, userId) && !listData.shared) {
       return res.status(403).json({
         success: false,
         error: 'Unauthorized to access this list'
@@ -554,7 +847,7 @@ router.post('/meals/:mealId/add-to-cart', authenticateUser, async (req, res) =>
   try {
     const userId = req.user.uid;
     const { mealId } = req.params;
-    const { scaleFactor = 1 } = req.body;
+    const { scaleFactor = 1, usePantry = true } = req.body;
     
     // Get meal plan
     const mealDoc = await db.collection('mealPlans').doc(mealId).get();
@@ -586,27 +879,20 @@ router.post('/meals/:mealId/add-to-cart', authenticateUser, async (req, res) =>
       fromMealId: mealId
     }));
     
-    // Add to cart
-    const cartRef = db.collection('carts').doc(userId);
-    const cartDoc = await cartRef.get();
-    
-    let currentItems = [];
-    if (cartDoc.exists) {
-      currentItems = cartDoc.data().items || [];
-    }
-    
-    const finalItems = [...currentItems, ...scaledItems];
-    
-    await cartRef.set({
-      items: finalItems,
-      lastUpdated: new Date().toISOString(),
-      userId: userId
-    }, { merge: true });
+    // Add to cart, minus what is already in the pantry and anything someone is allergic to
+    const { added, alreadyHave, totalItems, heldForAllergies, dietaryWarnings, dietaryCheck } = await addItemsToCart(userId, scaledItems, {
+      usePantry,
+      allowAllergens: req.body.allowAllergens === true
+    });
     
     res.json({
       success: true,
-      itemsAdded: scaledItems.length,
-      totalItems: finalItems.length,
+      itemsAdded: added.length,
+      totalItems,
+      alreadyHave,
+      heldForAllergies,
+      dietaryWarnings,
+      dietaryCheck,
       message: `Meal plan "${mealData.name}" added to cart`
     });
   } catch (error) {
@@ -815,7 +1101,7 @@ router.post('/recipes/:recipeId/shop', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.uid;
     const { recipeId } = req.params;
-    const { scaleFactor = 1 } = req.body;
+    const { scaleFactor = 1, usePantry = true } = req.body;
     
     // Get recipe
     const recipeDoc = await db.collection('recipes').doc(recipeId).get();
@@ -856,27 +1142,20 @@ router.post('/recipes/:recipeId/shop', authenticateUser, async (req, res) => {
       fromRecipeId: recipeId
     }));
     
-    // Add to cart
-    const cartRef = db.collection('carts').doc(userId);
-    const cartDoc = await cartRef.get();
-    
-    let currentItems = [];
-    if (cartDoc.exists) {
-      currentItems = cartDoc.data().items || [];
-    }
-    
-    const finalItems = [...currentItems, ...cartItems];
-    
-    await cartRef.set({
-      items: finalItems,
-      lastUpdated: new Date().toISOString(),
-      userId: userId
-    }, { merge: true });
+    // Add to cart, minus what is already in the pantry and anything someone is allergic to
+    const { added, alreadyHave, totalItems, heldForAllergies, dietaryWarnings, dietaryCheck } = await addItemsToCart(userId, cartItems, {
+      usePantry,
+      allowAllergens: req.body.allowAllergens === true
+    });
     
     res.json({
       success: true,
-      itemsAdded: cartItems.length,
-      totalItems: finalItems.length,
+      itemsAdded: added.length,
+      totalItems,
+      alreadyHave,
+      heldForAllergies,
+      dietaryWarnings,
+      dietaryCheck,
       message: `Recipe "${recipeData.name}" ingredients added to cart`
     });
   } catch (error) {
@@ -889,6 +1168,42 @@ router.post('/recipes/:recipeId/shop', authenticateUser, async (req, res) => {
   }
 });
 
+// Helper function to append items to the user's cart. Unless the caller opts out,
+// what is already in the pantry is subtracted first, and the pantry amounts the
+// list relies on ride along on the cart until the order completes. Items that
+// break a household allergy are held back (unless allowAllergens); diet and
+// dislike conflicts go in carrying dietaryFlags.
+async function addItemsToCart(userId, items, { usePantry = true, allowAllergens = false } = {}) {
+  const screened = await screenItems(userId, items, { allowAllergens });
+  const allowed = screened.items;
+
+  const diff = usePantry
+    ? await pantryService.diffAgainstPantry(userId, allowed)
+    : { toBuy: allowed, alreadyHave: [], usage: [] };
+
+  const cartRef = db.collection('carts').doc(userId);
+  const cartDoc = await cartRef.get();
+  const cartData = cartDoc.exists ? cartDoc.data() : {};
+
+  const finalItems = [...(cartData.items || []), ...diff.toBuy];
+
+  await cartRef.set({
+    items: finalItems,
+    pantryUsage: [...(cartData.pantryUsage || []), ...diff.usage],
+    lastUpdated: new Date().toISOString(),
+    userId: userId
+  }, { merge: true });
+
+  return {
+    added: diff.toBuy,
+    alreadyHave: diff.alreadyHave,
+    totalItems: finalItems.length,
+    heldForAllergies: screened.held,
+    dietaryWarnings: screened.flagged,
+    dietaryCheck: screened.dietaryCheck
+  };
+}
+
 // DELETE /api/account/recipes/:recipeId - Delete a recipe
 router.delete('/recipes/:recipeId', authenticateUser, async (req, res) => {
   try {
@@ -929,27 +1244,581 @@ router.delete('/recipes/:recipeId', authenticateUser, async (req, res) => {
 });
 
 // ============================================
-// SHOPPING HISTORY
+// PANTRY INVENTORY
 // ============================================
 
-// GET /api/account/history - Get shopping history
-router.get('/history', authenticateUser, async (req, res) => {
+// GET /api/account/pantry - Get pantry items
+router.get('/pantry', authenticateUser, async (req, res) => {
   try {
-    const userId = req.user.uid;
-    const { limit = 50, startDate, endDate } = req.query;
-    
-    let query = db.collection('shoppingHistory')
-      .where('userId', '==', userId)
-      .orderBy('completedAt', 'desc')
-      .limit(parseInt(limit));
+    const items = await pantryService.getItems(req.user.uid);
     
-    if (startDate) {
-      query = query.where('completedAt', '>=', startDate);
-    }
+    res.json({
+      success: true,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to fetch pantry');
+  }
+});
+
+// POST /api/account/pantry - Add a pantry item
+router.post('/pantry', authenticateUser, async (req, res) => {
+  try {
+    const item = await pantryService.addItem(req.user.uid, req.body);
     
-    if (endDate) {
-      query = query.where('completedAt', '<=', endDate);
-    }
+    res.json({
+      success: true,
+      item,
+      message: `${item.name} added to pantry`
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to add pantry item');
+  }
+});
+
+// PUT /api/account/pantry/:itemId - Update quantity, unit, expiry, etc.
+router.put('/pantry/:itemId', authenticateUser, async (req, res) => {
+  try {
+    const item = await pantryService.updateItem(req.user.uid, req.params.itemId, req.body);
+    
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update pantry item');
+  }
+});
+
+// DELETE /api/account/pantry/:itemId - Remove a pantry item
+router.delete('/pantry/:itemId', authenticateUser, async (req, res) => {
+  try {
+    await pantryService.deleteItem(req.user.uid, req.params.itemId);
+    
+    res.json({
+      success: true,
+      message: 'Pantry item removed'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to remove pantry item');
+  }
+});
+
+// GET /api/account/pantry/expiring - Items expiring soon plus "use it up" recipe ideas
+router.get('/pantry/expiring', authenticateUser, async (req, res) => {
+  try {
+    const result = await expiryService.getUseItUp(req.user.uid, { days: req.query.days });
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to fetch expiring pantry items');
+  }
+});
+
+// POST /api/account/pantry/diff - Preview which items the pantry already covers
+router.post('/pantry/diff', authenticateUser, async (req, res) => {
+  try {
+    const { items } = req.body;
+    
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        error: 'items must be an array'
+      });
+    }
+    
+    const { toBuy, alreadyHave } = await pantryService.diffAgainstPantry(req.user.uid, items);
+    
+    res.json({
+      success: true,
+      toBuy,
+      alreadyHave
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to compare items with pantry');
+  }
+});
+
+// POST /api/account/pantry/consume - Draw pantry amounts down (e.g. after cooking)
+router.post('/pantry/consume', authenticateUser, async (req, res) => {
+  try {
+    const { usage } = req.body;
+    
+    if (!Array.isArray(usage)) {
+      return res.status(400).json({
+        success: false,
+        error: 'usage must be an array of { pantryItemId, quantity }'
+      });
+    }
+    
+    const result = await pantryService.consume(req.user.uid, usage);
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update pantry');
+  }
+});
+
+// POST /api/account/pantry/orders/:orderId/complete - Mark an order as received
+// (for retailers that can't report completion, e.g. mock Instacart carts)
+router.post('/pantry/orders/:orderId/complete', authenticateUser, async (req, res) => {
+  try {
+    const result = await pantryService.completeOrder(req.user.uid, req.params.orderId, {
+      items: Array.isArray(req.body.items) ? req.body.items : undefined
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found or already applied to pantry'
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result,
+      message: 'Pantry updated from order'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to apply order to pantry');
+  }
+});
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+// GET /api/account/notifications - Recent notifications (use-it-up reminders)
+router.get('/notifications', authenticateUser, async (req, res) => {
+  try {
+    const notifications = await expiryService.getNotifications(req.user.uid, {
+      unreadOnly: req.query.unread === 'true'
+    });
+    
+    res.json({
+      success: true,
+      notifications,
+      unreadCount: notifications.filter(n => !n.read).length
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/account/notifications/:notificationId/read - Mark a notification as read
+router.post('/notifications/:notificationId/read', authenticateUser, async (req, res) => {
+  try {
+    const notification = await expiryService.markNotificationRead(req.user.uid, req.params.notificationId);
+    
+    res.json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update notification',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// SETTINGS & HOUSEHOLD
+// ============================================
+
+// Helper function to send settings errors (validation/auth/not-found carry a statusCode)
+function sendSettingsError(res, error, fallback) {
+  console.error(`${fallback}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallback,
+    message: error.message
+  });
+}
+
+// Resolved settings for the signed-in user, read fresh so admin changes apply immediately
+function getResolvedSettings(userId) {
+  return userSettingsService.getSettings(userId, settingsRoutes.getCurrentSettings().preferences);
+}
+
+// GET /api/account/settings - Resolved settings (system → household → user) with each layer
+router.get('/settings', authenticateUser, async (req, res) => {
+  try {
+    const resolved = await getResolvedSettings(req.user.uid);
+    
+    res.json({
+      success: true,
+      ...resolved
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to fetch settings');
+  }
+});
+
+// PUT /api/account/settings - Update the user's own layer (null clears a key)
+router.put('/settings', authenticateUser, async (req, res) => {
+  try {
+    await userSettingsService.updateUserSettings(req.user.uid, req.body.settings || req.body);
+    const resolved = await getResolvedSettings(req.user.uid);
+    
+    res.json({
+      success: true,
+      ...resolved,
+      message: 'Settings updated successfully'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to update settings');
+  }
+});
+
+// PUT /api/account/household/settings - Update the household layer (editors and owner)
+router.put('/household/settings', authenticateUser, async (req, res) => {
+  try {
+    await userSettingsService.updateHouseholdSettings(req.user.uid, req.body.settings || req.body);
+    const resolved = await getResolvedSettings(req.user.uid);
+    
+    res.json({
+      success: true,
+      ...resolved,
+      message: 'Household settings updated successfully'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to update household settings');
+  }
+});
+
+// POST /api/account/household - Create a household with the user as owner
+router.post('/household', authenticateUser, async (req, res) => {
+  try {
+    const household = await userSettingsService.createHousehold(req.user.uid, {
+      name: req.body.name,
+      email: req.user.email
+    });
+    
+    res.json({
+      success: true,
+      household,
+      message: 'Household created'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to create household');
+  }
+});
+
+// GET /api/account/household/invites - Invites the user has received, and the ones
+// their household has sent when they own it
+router.get('/household/invites', authenticateUser, async (req, res) => {
+  try {
+    const membership = await userSettingsService.getHouseholdForUser(req.user.uid);
+    const [received, sent] = await Promise.all([
+      userSettingsService.getInvitesForUser(req.user),
+      membership?.role === 'owner' ? userSettingsService.getSentInvites(membership.household.id) : []
+    ]);
+    
+    res.json({
+      success: true,
+      received,
+      sent
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to fetch household invites');
+  }
+});
+
+// POST /api/account/household/invites - Invite someone by email (owner only)
+router.post('/household/invites', authenticateUser, async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+    const invite = await userSettingsService.inviteMember(req.user, { email, role });
+    
+    res.json({
+      success: true,
+      invite,
+      message: `Invite sent to ${invite.email}`
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to invite household member');
+  }
+});
+
+// DELETE /api/account/household/invites/:inviteId - Withdraw a pending invite (owner only)
+router.delete('/household/invites/:inviteId', authenticateUser, async (req, res) => {
+  try {
+    await userSettingsService.cancelInvite(req.user.uid, req.params.inviteId);
+    
+    res.json({
+      success: true,
+      message: 'Invite withdrawn'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to withdraw invite');
+  }
+});
+
+// POST /api/account/household/invites/:inviteId/accept - Join the inviting household
+router.post('/household/invites/:inviteId/accept', authenticateUser, async (req, res) => {
+  try {
+    const household = await userSettingsService.respondToInvite(req.user, req.params.inviteId, true);
+    
+    res.json({
+      success: true,
+      household,
+      message: `You joined ${household.name}`
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to accept invite');
+  }
+});
+
+// POST /api/account/household/invites/:inviteId/decline - Turn an invite down
+router.post('/household/invites/:inviteId/decline', authenticateUser, async (req, res) => {
+  try {
+    await userSettingsService.respondToInvite(req.user, req.params.inviteId, false);
+    
+    res.json({
+      success: true,
+      message: 'Invite declined'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to decline invite');
+  }
+});
+
+// PUT /api/account/household/members/:memberId - Change a member's role (owner only)
+router.put('/household/members/:memberId', authenticateUser, async (req, res) => {
+  try {
+    const member = await userSettingsService.setMemberRole(req.user.uid, req.params.memberId, req.body.role);
+    
+    res.json({
+      success: true,
+      member,
+      message: 'Household member updated'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to update household member');
+  }
+});
+
+// DELETE /api/account/household/members/:memberId - Remove a member (or leave the household)
+router.delete('/household/members/:memberId', authenticateUser, async (req, res) => {
+  try {
+    const { deleted } = await userSettingsService.removeMember(req.user.uid, req.params.memberId);
+    
+    res.json({
+      success: true,
+      householdDeleted: deleted,
+      message: deleted ? 'Household deleted' : 'Household member removed'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to remove household member');
+  }
+});
+
+// GET /api/account/household/profiles - Member profiles with their nutrition targets
+router.get('/household/profiles', authenticateUser, async (req, res) => {
+  try {
+    const result = await householdProfileService.getProfiles(req.user.uid);
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to fetch household profiles');
+  }
+});
+
+// POST /api/account/household/profiles - Add a member profile (editors and owner)
+router.post('/household/profiles', authenticateUser, async (req, res) => {
+  try {
+    const profile = await householdProfileService.saveProfile(req.user.uid, null, req.body.profile || req.body);
+    
+    res.json({
+      success: true,
+      profile,
+      message: 'Profile added'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to add household profile');
+  }
+});
+
+// PUT /api/account/household/profiles/:profileId - Update a member profile
+router.put('/household/profiles/:profileId', authenticateUser, async (req, res) => {
+  try {
+    const profile = await householdProfileService.saveProfile(req.user.uid, req.params.profileId, req.body.profile || req.body);
+    
+    res.json({
+      success: true,
+      profile,
+      message: 'Profile updated'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to update household profile');
+  }
+});
+
+// DELETE /api/account/household/profiles/:profileId - Remove a member profile
+router.delete('/household/profiles/:profileId', authenticateUser, async (req, res) => {
+  try {
+    await householdProfileService.deleteProfile(req.user.uid, req.params.profileId);
+    
+    res.json({
+      success: true,
+      message: 'Profile removed'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to remove household profile');
+  }
+});
+
+// POST /api/account/nutrition/plan - Daily and weekly nutrition for a plan's
+// recipes against each profile's targets, with swaps for days that miss
+router.post('/nutrition/plan', authenticateUser, async (req, res) => {
+  try {
+    const analysis = await householdProfileService.analyzeMealPlan(req.user.uid, req.body.recipes);
+    
+    res.json({
+      success: true,
+      ...analysis
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to analyze plan nutrition');
+  }
+});
+
+// POST /api/account/dietary/check - Check items and/or recipes against every
+// household profile's allergies, diets and dislikes
+router.post('/dietary/check', authenticateUser, async (req, res) => {
+  try {
+    const { items = [], recipes = [] } = req.body;
+    
+    if (!Array.isArray(items) || !Array.isArray(recipes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'items and recipes must be arrays'
+      });
+    }
+    
+    const constraints = await householdProfileService.getConstraints(req.user.uid);
+    const checkedItems = flagItems(items, constraints);
+    const checkedRecipes = recipes.map(recipe => checkRecipe(recipe, constraints));
+    
+    res.json({
+      success: true,
+      constraints,
+      items: checkedItems.flagged,
+      recipes: checkedRecipes,
+      safe: checkedItems.flagged.every(entry => !isBlocking(entry.flags)) &&
+        checkedRecipes.every(recipe => recipe.safe)
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to check dietary constraints');
+  }
+});
+
+// GET /api/account/product-preferences - Remembered product picks plus brand settings
+router.get('/product-preferences', authenticateUser, async (req, res) => {
+  try {
+    const preferences = await productPreferenceService.getPreferences(
+      req.user.uid,
+      settingsRoutes.getCurrentSettings().preferences
+    );
+    
+    res.json({
+      success: true,
+      ...preferences,
+      count: Object.keys(preferences.picks).length
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to fetch product preferences');
+  }
+});
+
+// POST /api/account/product-preferences - Remember the product picked for an item
+router.post('/product-preferences', authenticateUser, async (req, res) => {
+  try {
+    const { itemName, product, retailerId } = req.body;
+    const pick = await productPreferenceService.recordPick(req.user.uid, { itemName, product, retailerId });
+    
+    res.json({
+      success: true,
+      pick
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to save product preference');
+  }
+});
+
+// DELETE /api/account/product-preferences/:key - Forget a remembered pick
+router.delete('/product-preferences/:key', authenticateUser, async (req, res) => {
+  try {
+    await productPreferenceService.forgetPick(req.user.uid, req.params.key);
+    
+    res.json({
+      success: true,
+      message: 'Product preference removed'
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to remove product preference');
+  }
+});
+
+// POST /api/account/product-preferences/excluded-brands - "Never suggest this brand"
+router.post('/product-preferences/excluded-brands', authenticateUser, async (req, res) => {
+  try {
+    const brandPreferences = await productPreferenceService.excludeBrand(
+      req.user.uid,
+      req.body.brand,
+      settingsRoutes.getCurrentSettings().preferences
+    );
+    
+    res.json({
+      success: true,
+      brandPreferences,
+      message: `${req.body.brand} won't be suggested again`
+    });
+  } catch (error) {
+    sendSettingsError(res, error, 'Failed to exclude brand');
+  }
+});
+
+// ============================================
+// SHOPPING HISTORY
+// ============================================
+
+// GET /api/account/history - Get shopping history
+router.get('/history', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { limit = 50, startDate, endDate } = req.query;
+    
+    let query = db.collection('shoppingHistory')
+      .where('userId', '==', userId)
+      .orderBy('completedAt', 'desc')
+      .limit(parseInt(limit));
+    
+    if (startDate) {
+      query = query.where('completedAt', '>=', startDate);
+    }
+    
+    if (endDate) {
+      query = query.where('completedAt', '<=', endDate);
+    }
     
     const historySnapshot = await query.get();
     
@@ -986,7 +1855,9 @@ router.post('/history', authenticateUser, async (req, res) => {
       total, 
       savings, 
       paymentMethod,
-      notes 
+      notes,
+      restockPantry = false,
+      orderId
     } = req.body;
     
     if (!storeName || !items || !total) {
@@ -1013,12 +1884,31 @@ router.post('/history', authenticateUser, async (req, res) => {
     // Update user stats
     await updateUserStats(userId, total, items.length);
     
+    // Instacart orders restock the pantry themselves when they complete, so a
+    // trip only restocks when asked. Trips that were an Instacart order pass its
+    // cart id as orderId and settle that order, which is applied at most once.
+    let pantry = null;
+    if (restockPantry) {
+      try {
+        if (orderId) {
+          pantry = await pantryService.completeOrder(userId, orderId);
+        } else {
+          const usage = await pantryService.takeCartUsage(userId);
+          await pantryService.recordPendingOrder(userId, docRef.id, items, { usage, source: 'history' });
+          pantry = await pantryService.completeOrder(userId, docRef.id);
+        }
+      } catch (pantryError) {
+        console.error('Error updating pantry from shopping trip:', pantryError);
+      }
+    }
+    
     res.json({
       success: true,
       entry: {
         id: docRef.id,
         ...historyEntry
       },
+      pantry,
       message: 'Shopping trip recorded'
     });
   } catch (error) {
@@ -1098,6 +1988,71 @@ router.post('/history/:historyId/reorder', authenticateUser, async (req, res) =>
   }
 });
 
+// ============================================
+// RECEIPTS
+// ============================================
+
+// POST /api/account/receipts - Import a receipt (pasted text, CSV export or
+// Instacart email) and reconcile it against a trip; dryRun only previews
+router.post('/receipts', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { text, format, historyId, orderId, plannedItems, storeName, dryRun = false } = req.body;
+
+    const result = await receiptService.importReceipt(userId, {
+      text,
+      format,
+      historyId,
+      orderId,
+      plannedItems,
+      storeName,
+      dryRun: !!dryRun
+    });
+
+    // A receipt with no trip behind it is a new trip
+    if (result.historyCreated) {
+      await updateUserStats(userId, result.total || 0, result.receipt.items.length);
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      message: dryRun ? 'Receipt parsed' : 'Receipt imported'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to import receipt');
+  }
+});
+
+// GET /api/account/receipts - Imported receipts, newest first
+router.get('/receipts', authenticateUser, async (req, res) => {
+  try {
+    const receipts = await receiptService.listReceipts(req.user.uid, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      receipts,
+      count: receipts.length
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to fetch receipts');
+  }
+});
+
+// GET /api/account/receipts/:receiptId - One receipt with its reconciliation
+router.get('/receipts/:receiptId', authenticateUser, async (req, res) => {
+  try {
+    const receipt = await receiptService.getReceipt(req.user.uid, req.params.receiptId);
+
+    res.json({
+      success: true,
+      receipt
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to fetch receipt');
+  }
+});
+
 // ============================================
 // USER STATISTICS
 // ============================================
@@ -1256,44 +2211,7 @@ router.post('/logout', authenticateUser, async (req, res) => {
 // GET /api/account/export - Export all user data
 router.get('/export', authenticateUser, async (req, res) => {
   try {
-    const userId = req.user.uid;
-    
-    // Fetch all user data
-    const [profile, lists, meals, recipes, history, cart] = await Promise.all([
-      db.collection('profiles').doc(userId).get(),
-      db.collection('savedLists').where('userId', '==', userId).get(),
-      db.collection('mealPlans').where('userId', '==', userId).get(),
-      db.collection('recipes').where('userId', '==', userId).get(),
-      db.collection('shoppingHistory').where('userId', '==', userId).get(),
-      db.collection('carts').doc(userId).get()
-    ]);
-    
-    const exportData = {
-      profile: profile.exists ? profile.data() : null,
-      savedLists: [],
-      mealPlans: [],
-      recipes: [],
-      shoppingHistory: [],
-      currentCart: cart.exists ? cart.data() : null,
-      exportDate: new Date().toISOString(),
-      userId: userId
-    };
-    
-    lists.forEach(doc => {
-      exportData.savedLists.push({ id: doc.id, ...doc.data() });
-    });
-    
-    meals.forEach(doc => {
-      exportData.mealPlans.push({ id: doc.id, ...doc.data() });
-    });
-    
-    recipes.forEach(doc => {
-      exportData.recipes.push({ id: doc.id, ...doc.data() });
-    });
-    
-    history.forEach(doc => {
-      exportData.shoppingHistory.push({ id: doc.id, ...doc.data() });
-    });
+    const exportData = await accountDataService.exportAccount(req.user.uid);
     
     res.json({
       success: true,
@@ -1310,4 +2228,54 @@ router.get('/export', authenticateUser, async (req, res) => {
   }
 });
 
+// POST /api/account/import - Restore a bundle from GET /export. Documents get
+// new IDs; mode "merge" (default) adds to what is there, "replace" then deletes
+// the user's previous lists, meal plans, recipes and history
+router.post('/import', authenticateUser, async (req, res) => {
+  try {
+    const { data, mode = 'merge' } = req.body;
+    const result = await accountDataService.importAccount(req.user.uid, data, { mode });
+    
+    res.json({
+      success: true,
+      ...result,
+      message: 'Data imported successfully'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to import data');
+  }
+});
+
+// DELETE /api/account - Permanently delete the account and everything stored
+// for it. Requires { confirm: 'DELETE' }; responds with a deletion receipt.
+router.delete('/', authenticateUser, async (req, res) => {
+  try {
+    if (req.body?.confirm !== 'DELETE') {
+      return res.status(400).json({
+        success: false,
+        error: 'Confirmation required',
+        message: 'Send { "confirm": "DELETE" } to permanently delete this account'
+      });
+    }
+    
+    const receipt = await accountDataService.deleteAccount(req.user.uid);
+    const completed = receipt.status === 'completed';
+    
+    res.status(completed ? 200 : 500).json({
+      success: completed,
+      receipt,
+      message: completed
+        ? 'Account deleted'
+        : 'Account partially deleted - some data could not be removed, see receipt.errors'
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const AIProductParser = require('../utils/aiProductParser');
+const { parseGroceryText } = require('../utils/parsingPipeline');
+const settingsRoutes = require('./settings');
 const { extractRecipe, toCartSmashFormat } = require('../utils/recipeScraper');
 const winston = require('winston');
 // REMOVED: Manual meal planner - AI-ONLY processing enforced
@@ -1383,78 +1385,72 @@ router.post('/smart-parse', async (req, res) => {
     
     logger.info('🔄 Running intelligent parsing on provided text...');
     
-    const parsingResults = await productParser.parseGroceryProducts(text, {
+    // AI engine unless the caller opts out; the pipeline falls back to rules on its own
+    const result = await parseGroceryText(text, {
+      useAI: options.useAI !== false,
       strictMode: options.strictMode !== false, // Default to strict
-      context: options.context || 'manual_parse'
+      context: options.context || 'manual_parse',
+      settings: settingsRoutes.getCurrentSettings().aiParsing
     });
+    const { stats } = result;
+    const candidates = stats.ingredientLines;
+    const filteringEfficiency = stats.totalLines > 0
+      ? (candidates / stats.totalLines * 100).toFixed(1) + '%'
+      : '0%';
     
-    const parsingStats = productParser.getParsingStats(parsingResults);
-    
-    logger.info(`✅ Smart parsing complete: ${parsingResults.products.length} products extracted`);
+    if (result.fallbackReason) {
+      logger.warn(`⚠️ Smart parsing used the rules engine (${result.fallbackReason})`);
+    }
+    logger.info(`✅ Smart parsing complete: ${result.items.length} products extracted`);
     
     res.json({
       success: true,
       originalText: text,
-      products: parsingResults.products,
-      parsingStats: parsingStats,
+      products: result.items,
+      reviewQueue: result.reviewQueue,
+      recipes: result.recipes,
+      parsingStats: {
+        totalProducts: stats.totalItems,
+        highConfidence: stats.highConfidence,
+        mediumConfidence: stats.mediumConfidence,
+        lowConfidence: stats.lowConfidence,
+        categoriesFound: stats.categories,
+        averageConfidence: stats.averageConfidence,
+        processingMetrics: {
+          candidateItems: candidates,
+          validProducts: stats.totalItems,
+          filteringEfficiency
+        }
+      },
       
       // Comparison with simple parsing
       comparison: {
-        intelligentProducts: parsingResults.products.length,
-        totalCandidates: parsingResults.totalCandidates,
-        filteringEfficiency: parsingStats.processingMetrics.filteringEfficiency,
-        averageConfidence: parsingResults.averageConfidence
+        intelligentProducts: stats.totalItems,
+        totalCandidates: stats.totalLines,
+        filteringEfficiency,
+        averageConfidence: stats.averageConfidence
       },
-      
+      engine: result.engine,
+      fallbackUsed: !!result.fallbackReason,
+      fallbackReason: result.fallbackReason,
+      aiError: result.aiError || undefined,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    logger.error('❌ Smart parsing error:', error);
-    logger.info('🔄 Attempting fallback parsing...');
-
-    try {
-      // Fallback to manual parsing when AI fails
-      const fallbackProducts = parseWithFallback(text);
-
-      logger.info(`✅ Fallback parsing successful: ${fallbackProducts.length} products extracted`);
-
-      res.json({
-        success: true,
-        originalText: text,
-        products: fallbackProducts,
-        parsingStats: {
-          totalProducts: fallbackProducts.length,
-          highConfidence: 0,
-          mediumConfidence: fallbackProducts.length,
-          lowConfidence: 0,
-          categoriesFound: [...new Set(fallbackProducts.map(p => p.category))],
-          averageConfidence: 0.5,
-          processingMetrics: {
-            candidateItems: fallbackProducts.length,
-            validProducts: fallbackProducts.length,
-            filteringEfficiency: "100.0%"
-          }
-        },
-        comparison: {
-          intelligentProducts: fallbackProducts.length,
-          totalCandidates: fallbackProducts.length,
-          filteringEfficiency: "100.0%",
-          averageConfidence: 0.5
-        },
-        fallbackUsed: true,
-        aiError: error.message,
-        timestamp: new Date().toISOString()
-      });
-    } catch (fallbackError) {
-      logger.error('❌ Fallback parsing also failed:', fallbackError);
-      res.status(500).json({
+    if (error.code === 'AI_UNAVAILABLE') {
+      return res.status(400).json({
         success: false,
-        error: 'Both AI and fallback parsing failed',
-        aiError: error.message,
-        fallbackError: fallbackError.message
+        error: 'AI parsing is unavailable and fallback parsing is turned off',
+        message: error.message
       });
     }
+    logger.error('❌ Smart parsing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to parse text',
+      message: error.message
+    });
   }
 });
 
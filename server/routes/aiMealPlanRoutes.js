@@ -7,6 +7,9 @@ const MealPlanParser = require('../services/aiMealPlanParser');
 const { authenticateUser } = require('../middleware/auth');
 const { generateWithAI } = require('../services/aiService');
 const { saveMealPlanToUser, getMealPlan } = require('../services/databaseService');
+const mealPlanBudgetService = require('../services/mealPlanBudgetService');
+const spoonacularService = require('../services/spoonacularService');
+const { describeConstraints, restrictionList, checkRecipe, checkText, isBlocking, loadDietaryConstraints } = require('../utils/dietaryConstraints');
 
 /**
  * OPTIONS handler for CORS preflight requests
@@ -21,7 +24,9 @@ router.options('/generate-meal-plan', (req, res) => {
 
 /**
  * POST /api/ai/generate-meal-plan
- * Generate a new meal plan using AI
+ * Generate a new meal plan using AI. budget is either a level ('moderate') or a
+ * hard dollar amount for the whole plan - with a dollar amount the shopping list
+ * is priced and the costliest meals are swapped until it fits (budgetReport).
  */
 router.post('/generate-meal-plan', authenticateUser, async (req, res) => {
   try {
@@ -34,13 +39,19 @@ router.post('/generate-meal-plan', authenticateUser, async (req, res) => {
       includeSnacks = true,
       daysCount = 7
     } = req.body;
+    const budgetDollars = mealPlanBudgetService.parseBudget(budget);
+
+    // Household member allergies and diets apply on top of what was asked for
+    const { constraints, dietaryCheck } = await loadDietaryConstraints(req.user.uid);
+    const restrictions = Array.from(new Set([...dietaryRestrictions, ...restrictionList(constraints)]));
 
     // Build AI prompt
     const prompt = buildMealPlanPrompt({
       familySize,
-      dietaryRestrictions,
+      dietaryRestrictions: restrictions,
+      householdConstraints: describeConstraints(constraints),
       mealPreferences,
-      budget,
+      budget: budgetDollars ?? budget,
       prepTimePreference,
       includeSnacks,
       daysCount
@@ -54,6 +65,33 @@ router.post('/generate-meal-plan', authenticateUser, async (req, res) => {
     const parsedPlan = parser.parseMealPlan(aiResponse);
     const cartsmashFormat = parser.toCartsmashFormat(parsedPlan);
 
+    // Hold the plan to a dollar budget: price it, swap the costliest meals, re-list
+    let budgetReport;
+    if (budgetDollars !== null) {
+      const { recipes, report } = await mealPlanBudgetService.fitToBudget(cartsmashFormat, {
+        budget: budgetDollars,
+        generateMeal: (recipe, limits) => generateBudgetMeal(recipe, limits, {
+          familySize,
+          dietaryRestrictions: restrictions,
+          constraints,
+          existingMeals: cartsmashFormat.recipes
+        })
+      });
+      budgetReport = report;
+      cartsmashFormat.recipes = recipes;
+      cartsmashFormat.shoppingList = mealPlanBudgetService.toShoppingList(report.items);
+      cartsmashFormat.metadata = {
+        ...cartsmashFormat.metadata,
+        budget: { budget: report.budget, total: report.total, difference: report.difference, status: report.status }
+      };
+    }
+
+    // The AI's calorie guess is all the plan text gives - work the rest out from the ingredients
+    await addRecipeNutrition(cartsmashFormat.recipes || []);
+
+    // The prompt asks the AI to respect allergies; the dictionary check decides
+    const dietaryReport = checkPlanRecipes(cartsmashFormat.recipes || [], constraints);
+
     // Validate recipe quality
     const recipeValidations = (cartsmashFormat.recipes || []).map(recipe => ({
       recipeId: recipe.id,
@@ -83,12 +121,15 @@ router.post('/generate-meal-plan', authenticateUser, async (req, res) => {
           warnings: rv.validation.warnings
         }))
       },
+      budgetReport,
+      dietaryReport,
+      dietaryCheck,
       rawResponse: process.env.NODE_ENV === 'development' ? aiResponse : undefined // Optional: for debugging
     });
 
   } catch (error) {
     console.error('Error generating meal plan:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -113,6 +154,7 @@ router.post('/parse-meal-plan', async (req, res) => {
     const parser = new MealPlanParser();
     const parsedPlan = parser.parseMealPlan(aiResponse);
     const cartsmashFormat = parser.toCartsmashFormat(parsedPlan);
+    await addRecipeNutrition(cartsmashFormat.recipes || []);
 
     res.json({
       success: true,
@@ -150,13 +192,15 @@ router.post('/regenerate-meal', authenticateUser, async (req, res) => {
       });
     }
 
+    const { constraints, dietaryCheck } = await loadDietaryConstraints(req.user.uid);
+
     // Build prompt for single meal
     const prompt = buildSingleMealPrompt({
       day,
       mealType,
       familySize: existingPlan.metadata.familySize,
       existingMeals: existingPlan.recipes,
-      preferences
+      preferences: { ...preferences, householdConstraints: describeConstraints(constraints) }
     });
 
     // Generate new meal with AI
@@ -168,7 +212,8 @@ router.post('/regenerate-meal', authenticateUser, async (req, res) => {
 
     res.json({
       success: true,
-      recipe
+      recipe,
+      dietaryCheck: dietaryCheck === 'checked' ? checkRecipe(recipe, constraints) : dietaryCheck
     });
 
   } catch (error) {
@@ -187,20 +232,29 @@ router.post('/regenerate-meal', authenticateUser, async (req, res) => {
 router.post('/suggest-substitutions', authenticateUser, async (req, res) => {
   try {
     const { recipeId, ingredient, reason } = req.body;
+    const { constraints, dietaryCheck } = await loadDietaryConstraints(req.user.uid);
+    const householdConstraints = describeConstraints(constraints);
 
     const prompt = `Suggest healthy substitutions for "${ingredient}" in a recipe. 
                    Reason for substitution: ${reason}.
+                   ${householdConstraints}
                    Provide 3-5 alternatives with brief explanations.`;
 
     const aiResponse = await generateWithAI(prompt);
 
-    // Parse substitutions
-    const substitutions = parseSubstitutions(aiResponse);
+    // Parse substitutions, dropping any a household member is allergic to
+    const checked = parseSubstitutions(aiResponse).map(substitution => {
+      const flags = checkText(substitution.item, constraints);
+      return flags.length > 0 ? { ...substitution, dietaryFlags: flags } : substitution;
+    });
+    const substitutions = checked.filter(substitution => !isBlocking(substitution.dietaryFlags || []));
 
     res.json({
       success: true,
       originalIngredient: ingredient,
-      substitutions
+      substitutions,
+      removedForAllergies: checked.length - substitutions.length,
+      dietaryCheck
     });
 
   } catch (error) {
@@ -391,6 +445,41 @@ router.post('/analyze-nutrition', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * Helper function to check every recipe in a plan against the household's
+ * constraints. Flagged recipes get dietaryCheck so the review screen can show why.
+ */
+function checkPlanRecipes(recipes, constraints) {
+  const checks = recipes.map(recipe => {
+    const check = checkRecipe(recipe, constraints);
+    if (check.flags.length > 0) recipe.dietaryCheck = { safe: check.safe, flags: check.flags };
+    return check;
+  });
+
+  return {
+    checked: checks.length,
+    unsafe: checks.filter(check => !check.safe),
+    warnings: checks.filter(check => check.safe && check.flags.length > 0)
+  };
+}
+
+const NUTRITION_CONCURRENCY = 5;
+
+/**
+ * Helper function to compute each recipe's per-serving nutrition from its
+ * ingredients with Spoonacular. Recipes it can't analyze keep what the plan
+ * stated, with the rest null so the nutrition panel shows it as unknown.
+ */
+async function addRecipeNutrition(recipes) {
+  for (let i = 0; i < recipes.length; i += NUTRITION_CONCURRENCY) {
+    await Promise.all(recipes.slice(i, i + NUTRITION_CONCURRENCY).map(async recipe => {
+      const lines = (recipe.ingredients || []).map(ingredient => ingredient.original || ingredient.item);
+      const nutrition = await spoonacularService.getRecipeNutrition(lines, recipe.servings || 1);
+      if (nutrition) recipe.nutrition = nutrition;
+    }));
+  }
+}
+
 /**
  * Helper function to build meal plan prompt
  */
@@ -401,11 +490,19 @@ function buildMealPlanPrompt(preferences) {
     prompt += `Dietary restrictions: ${preferences.dietaryRestrictions.join(', ')}. `;
   }
   
+  if (preferences.householdConstraints) {
+    prompt += `${preferences.householdConstraints} `;
+  }
+  
   if (preferences.mealPreferences.length > 0) {
     prompt += `Meal preferences: ${preferences.mealPreferences.join(', ')}. `;
   }
   
-  prompt += `Budget level: ${preferences.budget}. `;
+  if (typeof preferences.budget === 'number') {
+    prompt += `Hard grocery budget: $${preferences.budget.toFixed(2)} for the whole plan - favor inexpensive staples and reuse ingredients across meals. `;
+  } else {
+    prompt += `Budget level: ${preferences.budget}. `;
+  }
   prompt += `Prep time preference: ${preferences.prepTimePreference}. `;
   
   if (preferences.includeSnacks) {
@@ -452,7 +549,9 @@ function buildSingleMealPrompt({ day, mealType, familySize, existingMeals, prefe
           Other meals planned for this day: ${existingMealNames}.
           ${preferences.dietary ? `Dietary restriction: ${preferences.dietary}.` : ''}
           ${preferences.avoidIngredients ? `Avoid: ${preferences.avoidIngredients}.` : ''}
+          ${preferences.householdConstraints || ''}
           ${preferences.maxPrepTime ? `Maximum prep time: ${preferences.maxPrepTime} minutes.` : ''}
+          ${preferences.maxCost !== undefined ? `Keep the ingredient cost under $${preferences.maxCost.toFixed(2)} - use inexpensive staples.` : ''}
           
           Provide:
           - Recipe name
@@ -473,6 +572,44 @@ function buildSingleMealPrompt({ day, mealType, familySize, existingMeals, prefe
           IMPORTANT: Provide restaurant-quality detailed instructions that ensure successful execution by home cooks.`;
 }
 
+/**
+ * Helper function to generate a cheaper replacement for one meal of a budget plan
+ */
+async function generateBudgetMeal(recipe, { maxCost, avoidIngredients }, { familySize, dietaryRestrictions, constraints, existingMeals }) {
+  const prompt = buildSingleMealPrompt({
+    day: recipe.dayAssigned,
+    mealType: recipe.mealType,
+    familySize,
+    existingMeals,
+    preferences: {
+      dietary: dietaryRestrictions.join(', '),
+      avoidIngredients: avoidIngredients.join(', '),
+      householdConstraints: describeConstraints(constraints),
+      maxCost
+    }
+  });
+
+  const aiResponse = await generateWithAI(prompt);
+  const parser = new MealPlanParser();
+  const parsed = parser.parseSingleRecipe(aiResponse);
+  if (parsed.ingredients.length === 0) return null;
+  // A cheaper meal someone can't eat is no swap at all
+  if (!checkRecipe({ title: parsed.name, ingredients: parsed.ingredients }, constraints).safe) return null;
+
+  return {
+    title: parsed.name,
+    description: `Budget ${recipe.mealType || 'meal'} option`,
+    ingredients: parsed.ingredients,
+    instructions: parsed.instructions,
+    prepTime: parser.formatTimeToString(parsed.time.prep || 0),
+    cookTime: parser.formatTimeToString(parsed.time.cook || 0),
+    totalTime: (parsed.time.prep || 0) + (parsed.time.cook || 0),
+    nutrition: { calories: parsed.nutrition.calories || null, protein: null, carbs: null, fat: null, sodium: null },
+    tags: parsed.tags,
+    updatedAt: new Date().toISOString()
+  };
+}
+
 /**
  * Helper function to parse substitutions
  */
@@ -2,10 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const AIProductParser = require('../utils/aiProductParser');
-const { parseIngredientLine, buildSearchQuery } = require('../utils/ingredientParser');
+const { parseGroceryText } = require('../utils/parsingPipeline');
+const settingsRoutes = require('./settings');
 const { validateUserId, validateQuantity, sanitizeText } = require('../utils/validation');
+const { mergeDuplicates } = require('../utils/cartMerge');
 const winston = require('winston');
 const spoonacularService = require('../services/spoonacularService');
+const priceHistoryService = require('../services/priceHistoryService');
+const { getCartStore, CartVersionConflictError } = require('../services/cartStore');
+const { diffCarts } = require('../utils/cartDiff');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+const { authenticateUser } = require('../middleware/auth');
+const pantryService = require('../services/pantryService');
+const userSettingsService = require('../services/userSettingsService');
+const { screenItems } = require('../utils/dietaryConstraints');
 
 // Configure logger for this route
 const logger = winston.createLogger({
@@ -29,108 +39,7 @@ const logger = winston.createLogger({
 // Initialize AI parser
 const productParser = new AIProductParser();
 
-// In-memory storage with size limits to prevent memory leaks
-class BoundedMap {
-  constructor(maxSize = 1000) {
-    this.map = new Map();
-    this.maxSize = maxSize;
-  }
-  
-  set(key, value) {
-    if (this.map.size >= this.maxSize && !this.map.has(key)) {
-      // Remove oldest entry (FIFO)
-      const firstKey = this.map.keys().next().value;
-      this.map.delete(firstKey);
-    }
-    this.map.set(key, value);
-  }
-  
-  get(key) {
-    return this.map.get(key);
-  }
-  
-  has(key) {
-    return this.map.has(key);
-  }
-  
-  delete(key) {
-    return this.map.delete(key);
-  }
-  
-  size() {
-    return this.map.size;
-  }
-}
-
-let cartItems = new BoundedMap(1000);
-let savedLists = new BoundedMap(500);
-let savedRecipes = new BoundedMap(500);
-
-// Helper function to normalize product names for comparison
-function normalizeProductName(name) {
-  return name.toLowerCase()
-    .replace(/[^a-z0-9\s]/g, '') // Remove special characters
-    .replace(/\s+/g, ' ') // Normalize spaces
-    .trim();
-}
-
-// Helper function to check if two items are duplicates
-function areDuplicates(item1, item2) {
-  const name1 = normalizeProductName(item1.productName || item1.itemName || item1.name || '');
-  const name2 = normalizeProductName(item2.productName || item2.itemName || item2.name || '');
-  
-  if (name1 === name2) return true;
-  
-  if (name1.includes(name2) || name2.includes(name1)) {
-    return item1.category === item2.category;
-  }
-  
-  return false;
-}
-
-// Helper function to merge duplicate items
-function mergeDuplicates(items) {
-  const merged = [];
-  const processed = new Set();
-  
-  for (let i = 0; i < items.length; i++) {
-    if (processed.has(i)) continue;
-    
-    const currentItem = { ...items[i] };
-    const duplicates = [];
-    
-    for (let j = i + 1; j < items.length; j++) {
-      if (!processed.has(j) && areDuplicates(currentItem, items[j])) {
-        duplicates.push(items[j]);
-        processed.add(j);
-      }
-    }
-    
-    if (duplicates.length > 0) {
-      let totalQuantity = parseFloat(currentItem.quantity || 1);
-      
-      for (const dup of duplicates) {
-        if (!currentItem.unit || !dup.unit || currentItem.unit === dup.unit) {
-          totalQuantity += parseFloat(dup.quantity || 1);
-          if (!currentItem.unit && dup.unit) {
-            currentItem.unit = dup.unit;
-          }
-        } else {
-          merged.push(dup);
-        }
-      }
-      
-      currentItem.quantity = totalQuantity;
-      currentItem.merged = true;
-      currentItem.duplicatesCount = duplicates.length + 1;
-    }
-    
-    merged.push(currentItem);
-    processed.add(i);
-  }
-  
-  return merged;
-}
+// Carts and the review queue of items held back from them live in services/cartStore
 
 // Function to determine category based on product name
 function determineCategory(productName) {
@@ -180,12 +89,112 @@ function determineCategory(productName) {
   return 'pantry'; // Default to pantry instead of 'other'
 }
 
-// Middleware to get user ID with validation
+// Middleware to get user ID with validation. Paths that read the household's
+// pantry or dietary profiles use authenticateUser and req.user.uid instead.
 const getUserId = (req) => {
   const userId = req.headers['user-id'] || req.body?.userId || 'default-user';
   return validateUserId(userId);
 };
 
+// The cart version the client last read; when present, writes fail with 409 instead of retrying
+const getBaseVersion = (req) => {
+  const baseVersion = req.body?.baseVersion;
+  if (baseVersion === undefined || baseVersion === null) return undefined;
+  if (!Number.isInteger(baseVersion) || baseVersion < 0) {
+    throw new ValidationError('baseVersion must be a non-negative integer', 'baseVersion');
+  }
+  return baseVersion;
+};
+
+const MAX_CART_ITEMS = 500;
+
+const checkCartSize = (items) => {
+  if (items.length > MAX_CART_ITEMS) {
+    throw new ValidationError(`A cart can hold at most ${MAX_CART_ITEMS} items`, 'items');
+  }
+  return items;
+};
+
+// Whole-cart replacements come straight from the client - keep only well-formed items
+const validateCartItems = (items) => {
+  if (!Array.isArray(items)) {
+    throw new ValidationError('Items must be an array', 'items');
+  }
+  checkCartSize(items);
+
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new ValidationError(`Item ${index + 1} must be an object`, 'items');
+    }
+    const productName = typeof item.productName === 'string' ? sanitizeText(item.productName, 200) : '';
+    if (!productName) {
+      throw new ValidationError(`Item ${index + 1} needs a productName`, 'items');
+    }
+    let quantity;
+    try {
+      quantity = validateQuantity(item.quantity);
+    } catch (error) {
+      throw new ValidationError(`Item ${index + 1}: ${error.message}`, 'quantity');
+    }
+
+    return {
+      ...item,
+      id: typeof item.id === 'string' && item.id ? item.id.slice(0, 100) : `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      productName,
+      quantity
+    };
+  });
+};
+
+const sendCartError = (res, error, fallbackMessage) => {
+  if (error instanceof CartVersionConflictError) {
+    return res.status(409).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      currentVersion: error.currentVersion
+    });
+  }
+  if (!error.statusCode) {
+    logger.error(`❌ ${fallbackMessage}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// A parse without an explicit action follows the user's autoMergeCart setting;
+// if settings can't be read the system default applies
+const defaultParseAction = async (userId) => {
+  const systemPreferences = settingsRoutes.getCurrentSettings().preferences || {};
+  let autoMergeCart = systemPreferences.autoMergeCart;
+  try {
+    ({ autoMergeCart } = (await userSettingsService.getSettings(userId, systemPreferences)).settings);
+  } catch (error) {
+    logger.warn('Could not load cart settings:', error.message);
+  }
+  return autoMergeCart === false ? 'replace' : 'merge';
+};
+
+// Items screenItems held back for an allergy wait in the review queue
+const queueHeldItems = async (userId, held) => {
+  if (held.length === 0) return null;
+  logger.info(`🔎 Holding ${held.length} items for allergen review`);
+  return getCartStore().updateReviewQueue(userId, (queue) => [...queue, ...held]);
+};
+
+// Subtract what is already at home. The pantry never blocks the cart - if it
+// can't be read the items go in whole and the response says it wasn't checked.
+const checkPantry = async (userId, items) => {
+  try {
+    return { ...(await pantryService.diffAgainstPantry(userId, items)), pantryCheck: 'checked' };
+  } catch (error) {
+    logger.warn('Could not check the pantry:', error.message);
+    return { toBuy: items, alreadyHave: [], usage: [], pantryCheck: 'unavailable' };
+  }
+};
+
 // POST /api/cart/parse - Parse grocery list with AI INTEGRATION
 // Recipe extraction function
 function extractRecipes(text) {
@@ -262,9 +271,10 @@ function extractRecipes(text) {
   return recipes;
 }
 
-router.post('/parse', async (req, res) => {
+router.post('/parse', authenticateUser, async (req, res) => {
   try {
-    const { listText, action = 'merge', userId, options = {}, useAI = true } = req.body;
+    const { listText, options = {}, useAI = true } = req.body;
+    const userId = req.user.uid;
     
     if (!listText || listText.trim().length === 0) {
       return res.status(400).json({
@@ -273,295 +283,259 @@ router.post('/parse', async (req, res) => {
       });
     }
 
-    logger.info('🔍 Parsing grocery list with AI intelligence...');
+    const action = req.body.action || await defaultParseAction(userId);
+
+    logger.info(`🔍 Parsing grocery list${useAI ? ' with AI intelligence' : ''}...`);
     
-    let parsedItems = [];
+    // Read on every request so admin changes apply without a restart
+    const parsingSettings = settingsRoutes.getCurrentSettings().aiParsing;
+    const parsed = await parseGroceryText(listText, {
+      useAI,
+      context: 'cart_parse',
+      strictMode: options.strictMode !== false,
+      settings: parsingSettings
+    });
     
-    // Use AI parsing for intelligent extraction
-    if (useAI) {
-      logger.info('🤖 Using AI-powered intelligent parsing...');
-      
-      try {
-        const parsingResults = await productParser.parseGroceryProducts(listText, {
-          context: 'cart_parse',
-          strictMode: options.strictMode !== false
+    if (parsed.fallbackReason) {
+      logger.warn(`⚠️ AI parsing unavailable (${parsed.fallbackReason}) - using rule-based pipeline`);
+    }
+    
+    if (parsed.items.length === 0) {
+      if (parsed.fallbackReason === 'ai_credits_exhausted') {
+        return res.status(400).json({
+          success: false,
+          error: 'AI credits exhausted',
+          message: 'AI parsing temporarily unavailable due to credit limits. Please try again later.',
+          needsCredits: true
         });
+      }
+      return res.status(400).json({
+        success: false,
+        error: 'Unable to parse list',
+        message: 'Could not extract any items from your input. Please try formatting your list with one item per line.',
+        helpText: 'Example:\n2 apples\n1 gallon milk\n3 lbs chicken'
+      });
+    }
+    
+    let parsedItems = [];
+    
+    if (parsed.engine === 'ai') {
+      // Enrich AI-parsed items with Spoonacular product data
+      // Process in batches to avoid overwhelming Spoonacular API
+      const BATCH_SIZE = parsingSettings.maxConcurrentRequests || 5;
+
+      for (let i = 0; i < parsed.items.length; i += BATCH_SIZE) {
+        const batch = parsed.items.slice(i, i + BATCH_SIZE);
+        const batchResults = await Promise.all(batch.map(async (product) => {
+        // CRITICAL FIX: Ensure productName is always a string, never an object
+        let productName = '';
+        if (typeof product.productName === 'string') {
+          productName = product.productName;
+        } else if (typeof product.productName === 'object' && product.productName !== null) {
+          // Handle nested productName objects by extracting the actual text
+          productName = product.productName.text || 
+                       product.productName.name || 
+                       product.productName.value ||
+                       product.productName.original ||
+                       product.productName.displayName ||
+                       product.productName.title ||
+                       product.productName.label ||
+                       String(product.productName);
+        } else {
+          productName = product.name || product.item || product.ingredient || String(product.productName || '');
+        }
+        
+        // Ensure productName is a clean string
+        productName = String(productName).trim();
+        if (!productName) {
+          productName = 'Unknown Item';
+        }
         
-        // Convert AI parser results to cart items format with enhanced ingredient parsing
-        // Process in batches to avoid overwhelming Spoonacular API
-        const BATCH_SIZE = 5; // Process 5 items at a time
-        parsedItems = [];
-
-        for (let i = 0; i < parsingResults.products.length; i += BATCH_SIZE) {
-          const batch = parsingResults.products.slice(i, i + BATCH_SIZE);
-          const batchResults = await Promise.all(batch.map(async (product) => {
-          // CRITICAL FIX: Ensure productName is always a string, never an object
-          let productName = '';
-          if (typeof product.productName === 'string') {
-            productName = product.productName;
-          } else if (typeof product.productName === 'object' && product.productName !== null) {
-            // Handle nested productName objects by extracting the actual text
-            productName = product.productName.text || 
-                         product.productName.name || 
-                         product.productName.value ||
-                         product.productName.original ||
-                         product.productName.displayName ||
-                         product.productName.title ||
-                         product.productName.label ||
-                         String(product.productName);
+        // Use AI-parsed data directly without redundant secondary parsing
+        let ingredientData, searchQuery;
+
+        // CRITICAL FIX: Avoid double-parsing that causes quantity conversion errors
+        // The AI product parser already extracted structured data, don't re-parse it
+        ingredientData = {
+          qty: product.quantity || 1,
+          unit: product.unit || 'each',
+          name: productName,
+          sizeQty: null,
+          sizeUnit: null,
+          original: product.original || productName
+        };
+        searchQuery = productName;
+
+        logger.info('🔍 [DEBUG] Using AI-parsed data directly (no secondary parsing):', {
+          productName,
+          quantity: product.quantity,
+          unit: product.unit,
+          avoidingDoubleConversion: true
+        });
+
+        // Try to match with Spoonacular product data
+        let spoonacularData = null;
+        let productPrice = null;
+        try {
+          // First try product search
+          const spoonResult = await spoonacularService.searchGroceryProducts(searchQuery, 1);
+          if (spoonResult.products && spoonResult.products.length > 0) {
+            spoonacularData = spoonResult.products[0];
+            logger.info(`✅ Matched "${productName}" with Spoonacular product: ${spoonacularData.name}`);
           } else {
-            productName = product.name || product.item || product.ingredient || String(product.productName || '');
-          }
-          
-          // Ensure productName is a clean string
-          productName = String(productName).trim();
-          if (!productName) {
-            productName = 'Unknown Item';
-          }
-          
-          // Use AI-parsed data directly without redundant secondary parsing
-          let ingredientData, searchQuery;
-
-          // CRITICAL FIX: Avoid double-parsing that causes quantity conversion errors
-          // The AI product parser already extracted structured data, don't re-parse it
-          ingredientData = {
-            qty: product.quantity || 1,
-            unit: product.unit || 'each',
-            name: productName,
-            sizeQty: null,
-            sizeUnit: null,
-            original: product.original || productName
-          };
-          searchQuery = productName;
-
-          logger.info('🔍 [DEBUG] Using AI-parsed data directly (no secondary parsing):', {
-            productName,
-            quantity: product.quantity,
-            unit: product.unit,
-            avoidingDoubleConversion: true
-          });
-
-          // Try to match with Spoonacular product data
-          let spoonacularData = null;
-          let productPrice = null;
-          try {
-            // First try product search
-            const spoonResult = await spoonacularService.searchGroceryProducts(searchQuery, 1);
-            if (spoonResult.products && spoonResult.products.length > 0) {
-              spoonacularData = spoonResult.products[0];
-              logger.info(`✅ Matched "${productName}" with Spoonacular product: ${spoonacularData.name}`);
-            } else {
-              // Fallback to ingredient search for simple produce items
-              logger.debug(`No product found for "${searchQuery}", trying ingredient search...`);
-              const ingredientResult = await spoonacularService.searchIngredients(searchQuery, 1);
-              if (ingredientResult.results && ingredientResult.results.length > 0) {
-                spoonacularData = ingredientResult.results[0];
-                logger.info(`✅ Matched "${productName}" with Spoonacular ingredient: ${spoonacularData.name}`);
-              }
+            // Fallback to ingredient search for simple produce items
+            logger.debug(`No product found for "${searchQuery}", trying ingredient search...`);
+            const ingredientResult = await spoonacularService.searchIngredients(searchQuery, 1);
+            if (ingredientResult.results && ingredientResult.results.length > 0) {
+              spoonacularData = ingredientResult.results[0];
+              logger.info(`✅ Matched "${productName}" with Spoonacular ingredient: ${spoonacularData.name}`);
             }
+          }
 
-            // Try to get detailed product info including price if we have a product (not ingredient)
-            if (spoonacularData && spoonacularData.spoonacularId) {
-                try {
-                  const detailedInfo = await spoonacularService.getProductInfo(spoonacularData.spoonacularId);
-                  if (detailedInfo && detailedInfo.price) {
-                    productPrice = detailedInfo.price;
-                    logger.info(`💰 Found price for ${productName}: $${productPrice}`);
-                  } else {
-                    // Generate estimated price based on category if not available
-                    // This is a temporary fallback until we get real pricing
-                    const estimatedPrices = {
-                      'produce': 2.99,
-                      'dairy': 3.49,
-                      'meat': 7.99,
-                      'bakery': 3.99,
-                      'pantry': 2.49,
-                      'frozen': 4.99,
-                      'beverages': 2.99,
-                      'snacks': 3.99,
-                      'other': 3.99
-                    };
-                    productPrice = estimatedPrices[product.category] || 3.99;
-                    logger.info(`📊 Using estimated price for ${productName}: $${productPrice}`);
-                  }
-                } catch (priceError) {
-                  logger.debug(`Could not fetch price details:`, priceError.message);
-                  // Use fallback estimated price
-                  productPrice = 3.99;
+          // Try to get detailed product info including price if we have a product (not ingredient)
+          if (spoonacularData && spoonacularData.spoonacularId) {
+              try {
+                const detailedInfo = await spoonacularService.getProductInfo(spoonacularData.spoonacularId);
+                if (detailedInfo && detailedInfo.price) {
+                  productPrice = detailedInfo.price;
+                  logger.info(`💰 Found price for ${productName}: $${productPrice}`);
+                  priceHistoryService.recordInBackground([{
+                    productName: spoonacularData.name || productName,
+                    productId: spoonacularData.spoonacularId,
+                    price: productPrice,
+                    vendor: 'spoonacular',
+                    vendorName: 'Spoonacular'
+                  }], 'cart_price_fetch');
+                } else {
+                  // Generate estimated price based on category if not available
+                  // This is a temporary fallback until we get real pricing
+                  const estimatedPrices = {
+                    'produce': 2.99,
+                    'dairy': 3.49,
+                    'meat': 7.99,
+                    'bakery': 3.99,
+                    'pantry': 2.49,
+                    'frozen': 4.99,
+                    'beverages': 2.99,
+                    'snacks': 3.99,
+                    'other': 3.99
+                  };
+                  productPrice = estimatedPrices[product.category] || 3.99;
+                  logger.info(`📊 Using estimated price for ${productName}: $${productPrice}`);
                 }
+              } catch (priceError) {
+                logger.debug(`Could not fetch price details:`, priceError.message);
+                // Use fallback estimated price
+                productPrice = 3.99;
               }
-          } catch (spoonError) {
-            logger.debug(`Could not match "${productName}" with Spoonacular:`, spoonError.message);
-          }
-
-          return {
-            id: product.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            productName: productName, // GUARANTEED to be a string
-            quantity: product.quantity || ingredientData.qty || 1,
-            unit: product.unit || ingredientData.unit || 'each',
-            category: product.category || determineCategory(productName),
-            confidence: product.confidence || 0.8,
-            needsReview: product.confidence < 0.6,
-            original: product.original || productName,
-            addedAt: new Date().toISOString(),
-            aiParsed: true,
-            parsingFactors: product.factors,
-            // Add Spoonacular data if found
-            spoonacularData: spoonacularData,
-            hasSpoonacularMatch: !!spoonacularData,
-            // Add Spoonacular-specific fields for easier access
-            image: spoonacularData?.image_url || null,
-            image_url: spoonacularData?.image_url || null,
-            imageUrl: spoonacularData?.image_url || null,
-            nutrition: spoonacularData?.nutrition || null,
-            aisle: spoonacularData?.aisle || null,
-            badges: spoonacularData?.badges || [],
-            // Add price information
-            price: productPrice || spoonacularData?.price || null,
-            // Enhanced ingredient data from professional parser
-            ingredientData: {
-              parsedName: ingredientData.name,
-              parsedQuantity: ingredientData.qty,
-              parsedUnit: ingredientData.unit,
-              sizeQuantity: ingredientData.sizeQty,
-              sizeUnit: ingredientData.sizeUnit,
-              searchQuery: searchQuery,
-              originalLine: ingredientData.original
             }
-          };
-          }));
-          parsedItems.push(...batchResults);
+        } catch (spoonError) {
+          logger.debug(`Could not match "${productName}" with Spoonacular:`, spoonError.message);
         }
 
-        logger.info(`✅ AI parsed ${parsedItems.length} validated products from ${parsingResults.totalCandidates} candidates`);
-        logger.info(`📊 Average confidence: ${(parsingResults.averageConfidence * 100).toFixed(1)}%`);
-        
-      } catch (aiError) {
-        logger.error('🔍 [DEBUG] AI parsing failed in cart.js - analyzing error...');
-        logger.error('🔍 [DEBUG] Error message:', aiError.message);
-        logger.error('🔍 [DEBUG] Error type:', typeof aiError);
-        logger.error('🔍 [DEBUG] Error stack:', aiError.stack?.substring(0, 500));
-        logger.error('🔍 [DEBUG] Full error object:', JSON.stringify(aiError, null, 2));
-        
-        // EMERGENCY FALLBACK: Use basic parser when AI fails
-        logger.warn('⚠️ ALL AI SERVICES FAILED - Activating emergency basic parser');
-
-        try {
-          const basicParser = require('../utils/basicParser');
-          const basicResults = basicParser.parseGroceryList(listText);
-
-          if (basicResults.products && basicResults.products.length > 0) {
-            logger.info(`✅ Basic parser extracted ${basicResults.products.length} items`);
-
-            // Convert basic parser results to cart items format
-            parsedItems = basicResults.products.map((product, index) => ({
-              id: `item_${Date.now()}_${index}`,
-              productName: product.productName,
-              quantity: product.quantity || 1,
-              unit: product.unit || 'each',
-              category: product.category || 'Other',
-              confidence: product.confidence || 0.5,
-              needsReview: true, // Flag for manual review since no AI
-              source: 'basic_parser_fallback',
-              originalText: product.productName
-            }));
-
-            logger.info('📦 Basic parser fallback successful - continuing with parsed items');
-          } else {
-            // Even basic parser couldn't extract anything
-            logger.error('❌ Basic parser found no items');
-            return res.status(400).json({
-              success: false,
-              error: 'Unable to parse list',
-              message: 'Could not extract any items from your input. Please try formatting your list with one item per line.',
-              helpText: 'Example:\n2 apples\n1 gallon milk\n3 lbs chicken'
-            });
+        return {
+          id: product.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          productName: productName, // GUARANTEED to be a string
+          quantity: product.quantity || ingredientData.qty || 1,
+          unit: product.unit || ingredientData.unit || 'each',
+          category: product.category || determineCategory(productName),
+          confidence: product.confidence || 0.8,
+          needsReview: product.needsReview,
+          original: product.original || productName,
+          canonicalName: product.canonicalName,
+          containerSize: product.containerSize,
+          department: product.department,
+          addedAt: new Date().toISOString(),
+          aiParsed: true,
+          parsingFactors: product.factors,
+          // Add Spoonacular data if found
+          spoonacularData: spoonacularData,
+          hasSpoonacularMatch: !!spoonacularData,
+          // Add Spoonacular-specific fields for easier access
+          image: spoonacularData?.image_url || null,
+          image_url: spoonacularData?.image_url || null,
+          imageUrl: spoonacularData?.image_url || null,
+          nutrition: spoonacularData?.nutrition || null,
+          aisle: spoonacularData?.aisle || null,
+          badges: spoonacularData?.badges || [],
+          // Add price information
+          price: productPrice || spoonacularData?.price || null,
+          // Enhanced ingredient data from professional parser
+          ingredientData: {
+            parsedName: ingredientData.name,
+            parsedQuantity: ingredientData.qty,
+            parsedUnit: ingredientData.unit,
+            sizeQuantity: ingredientData.sizeQty,
+            sizeUnit: ingredientData.sizeUnit,
+            searchQuery: searchQuery,
+            originalLine: ingredientData.original
           }
-        } catch (basicParserError) {
-          logger.error('❌ Basic parser also failed:', basicParserError);
-          // Continue to credit check below
-        }
-        
-        // Check if it's a credit/billing issue
-        if (aiError.message && aiError.message.includes('credit balance is too low')) {
-          logger.error('🔍 [DEBUG] Detected credit balance issue - returning 400');
-          return res.status(400).json({
-            success: false,
-            error: 'AI credits exhausted',
-            message: 'AI parsing temporarily unavailable due to credit limits. Please try again later.',
-            needsCredits: true,
-            debugInfo: 'Credit balance too low'
-          });
-        }
-        
-        // Other AI failures - add debugging
-        logger.error('🔍 [DEBUG] Other AI failure - returning 400');
-        return res.status(400).json({
-          success: false,
-          error: 'AI parsing unavailable',
-          message: 'AI service temporarily unavailable. Please try again later.',
-          debugInfo: aiError.message?.substring(0, 200)
-        });
-      }
-    } else {
-      // Fallback to basic parser when AI is disabled
-      logger.info('📦 Using basic parser (AI disabled)');
-      const basicParser = require('../utils/basicParser');
-      const basicResults = basicParser.parseGroceryList(listText);
-
-      if (basicResults.products && basicResults.products.length > 0) {
-        parsedItems = basicResults.products.map((product, index) => ({
-          id: `item_${Date.now()}_${index}`,
-          productName: product.productName,
-          quantity: product.quantity || 1,
-          unit: product.unit || 'each',
-          category: product.category || 'Other',
-          confidence: product.confidence || 0.5,
-          source: 'basic_parser',
-          originalText: product.productName
+        };
         }));
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'No items found',
-          message: 'Could not extract any items from your input.',
-          helpText: 'Try formatting with one item per line'
-        });
+        parsedItems.push(...batchResults);
       }
+
+      logger.info(`✅ AI parsed ${parsedItems.length} validated products from ${parsed.stats.ingredientLines} candidate lines`);
+      logger.info(`📊 Average confidence: ${(parsed.stats.averageConfidence * 100).toFixed(1)}%`);
+    } else {
+      const addedAt = new Date().toISOString();
+      parsedItems = parsed.items.map(item => ({ ...item, addedAt }));
+      logger.info(`📦 Rule-based pipeline extracted ${parsedItems.length} items`);
+    }
+
+    const screened = await screenItems(userId, parsedItems);
+    parsedItems = [...screened.items, ...screened.held];
+    
+    // Low-confidence and allergen items wait in the review queue instead of going straight into the cart
+    const acceptedItems = parsedItems.filter(item => !item.needsReview);
+    const queuedItems = parsedItems.filter(item => item.needsReview);
+    const reviewQueue = await getCartStore().updateReviewQueue(
+      userId,
+      (existingQueue) => (action === 'merge' ? [...existingQueue, ...queuedItems] : queuedItems)
+    );
+    if (queuedItems.length > 0) {
+      logger.info(`🔎 Holding ${queuedItems.length} items below ${parsed.confidenceThreshold} confidence for review`);
     }
 
     // Apply deduplication if enabled
-    let finalParsedItems = parsedItems;
+    let finalParsedItems = acceptedItems;
     let duplicatesMerged = 0;
     
-    if (options.mergeDuplicates !== false && parsedItems.length > 0) {
-      const beforeCount = parsedItems.length;
-      finalParsedItems = mergeDuplicates(parsedItems);
+    if (options.mergeDuplicates !== false && acceptedItems.length > 0) {
+      const beforeCount = acceptedItems.length;
+      finalParsedItems = mergeDuplicates(acceptedItems);
       duplicatesMerged = beforeCount - finalParsedItems.length;
       logger.info(`✅ Merged ${duplicatesMerged} duplicate items`);
     }
 
-    // Get user's existing cart
-    const userIdToUse = userId || getUserId(req);
-    let existingCart = cartItems.get(userIdToUse) || [];
-    
-    // Handle merge vs replace
-    let finalCart;
-    if (action === 'merge') {
-      const combined = [...existingCart, ...finalParsedItems];
-      finalCart = options.mergeDuplicates !== false ? mergeDuplicates(combined) : combined;
-      logger.info(`✅ Merged ${finalParsedItems.length} new items with ${existingCart.length} existing items`);
-    } else {
-      finalCart = finalParsedItems;
+    // Items the pantry covers stay out of the cart; partly covered ones shrink
+    const pantry = options.usePantry !== false && finalParsedItems.length > 0
+      ? await checkPantry(userId, finalParsedItems)
+      : { toBuy: finalParsedItems, alreadyHave: [], usage: [], pantryCheck: 'skipped' };
+    finalParsedItems = pantry.toBuy;
+
+    // Merge into or replace the user's saved cart
+    const savedCart = await getCartStore().update(userId, (existingCart) => {
+      if (action === 'merge') {
+        const combined = [...existingCart, ...finalParsedItems];
+        logger.info(`✅ Merged ${finalParsedItems.length} new items with ${existingCart.length} existing items`);
+        return options.mergeDuplicates !== false ? mergeDuplicates(combined) : combined;
+      }
       logger.info(`✅ Replaced cart with ${finalParsedItems.length} new items`);
+      return finalParsedItems;
+    }, { operation: { type: 'parse', detail: action } });
+    const finalCart = savedCart.items;
+
+    // Settled against the pantry when the order completes
+    if (pantry.usage.length > 0) {
+      await pantryService.addCartUsage(userId, pantry.usage).catch(error => {
+        logger.warn('Could not record pantry usage for the cart:', error.message);
+      });
     }
     
-    // Save the cart
-    cartItems.set(userIdToUse, finalCart);
-    
     // Calculate stats
     const highConfidenceCount = finalCart.filter(item => item.confidence >= 0.8).length;
-    const needsReviewCount = finalCart.filter(item => item.needsReview || item.confidence < 0.6).length;
+    const needsReviewCount = reviewQueue.length;
     
     // Extract recipes from the full text
     const extractedRecipes = extractRecipes(listText);
@@ -569,12 +543,21 @@ router.post('/parse', async (req, res) => {
     res.json({
       success: true,
       cart: finalCart,
+      version: savedCart.version,
       itemsAdded: finalParsedItems.length,
+      itemsQueued: queuedItems.length,
       totalItems: finalCart.length,
+      reviewQueue,
+      alreadyHave: pantry.alreadyHave,
+      pantryCheck: pantry.pantryCheck,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck,
       fullContent: listText, // Preserve full text
       recipes: extractedRecipes, // Extract recipe blocks
       parsing: {
-        method: 'ai_intelligent',
+        method: parsed.engine === 'ai' ? 'ai_intelligent' : 'rules',
+        fallbackReason: parsed.fallbackReason,
+        confidenceThreshold: parsed.confidenceThreshold,
         stats: {
           totalLines: listText.split('\n').filter(l => l.trim()).length,
           parsedItems: parsedItems.length,
@@ -589,6 +572,16 @@ router.post('/parse', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code === 'AI_UNAVAILABLE') {
+      return res.status(400).json({
+        success: false,
+        error: 'AI parsing unavailable',
+        message: 'AI parsing is unavailable and fallback parsing is turned off in settings.'
+      });
+    }
+    if (error.statusCode) {
+      return sendCartError(res, error, 'Failed to save cart');
+    }
     logger.error('❌ Error parsing grocery list:', error);
     res.status(500).json({
       success: false,
@@ -602,7 +595,8 @@ router.post('/parse', async (req, res) => {
 router.post('/validate-all', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const userCart = cartItems.get(userId) || [];
+    const savedCart = await getCartStore().get(userId);
+    const userCart = savedCart ? savedCart.items : [];
     
     if (userCart.length === 0) {
       return res.json({
@@ -640,22 +634,23 @@ router.post('/validate-all', async (req, res) => {
       });
     }
     
-    // Save validated cart
-    cartItems.set(userId, validatedItems);
+    // Validation is slow - apply results by id so items changed meanwhile aren't lost
+    const validatedById = new Map(validatedItems.map(item => [item.id, item]));
+    const updatedCart = await getCartStore().update(userId, (items) =>
+      items.map(item => validatedById.get(item.id) || item),
+      { operation: { type: 'validate' } }
+    );
     
     res.json({
       success: true,
-      items: validatedItems,
-      validatedCount: validatedItems.filter(i => i.validated).length,
-      needsReviewCount: validatedItems.filter(i => i.needsReview).length
+      items: updatedCart.items,
+      version: updatedCart.version,
+      validatedCount: updatedCart.items.filter(i => i.validated).length,
+      needsReviewCount: updatedCart.items.filter(i => i.needsReview).length
     });
     
   } catch (error) {
-    logger.error('Error validating items:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to validate items'
-    });
+    sendCartError(res, error, 'Failed to validate items');
   }
 });
 
@@ -692,20 +687,305 @@ router.post('/fetch-prices', async (req, res) => {
   }
 });
 
+// GET /api/cart/review - Items held back by the confidence threshold
+router.get('/review', async (req, res) => {
+  try {
+    const reviewQueue = await getCartStore().getReviewQueue(getUserId(req));
+    
+    res.json({
+      success: true,
+      reviewQueue,
+      itemCount: reviewQueue.length,
+      confidenceThreshold: settingsRoutes.getCurrentSettings().aiParsing.confidenceThreshold
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendCartError(res, error, 'Failed to load review queue');
+    }
+    res.status(400).json({
+      success: false,
+      error: 'Invalid user ID'
+    });
+  }
+});
+
+// POST /api/cart/review/:itemId/accept - Move a reviewed item into the cart, with optional corrections
+router.post('/review/:itemId/accept', async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { quantity, unit, productName } = req.body;
+    const userId = getUserId(req);
+    
+    const reviewQueue = await getCartStore().getReviewQueue(userId);
+    const queuedItem = reviewQueue.find(item => item.id === itemId);
+    
+    if (!queuedItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in review queue'
+      });
+    }
+    
+    let correctedQuantity = queuedItem.quantity;
+    if (quantity !== undefined) {
+      try {
+        correctedQuantity = validateQuantity(quantity);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+    }
+    
+    const acceptedItem = {
+      ...queuedItem,
+      quantity: correctedQuantity,
+      ...(unit && { unit: sanitizeText(unit) }),
+      ...(productName && { productName: sanitizeText(productName) }),
+      needsReview: false,
+      reviewedAt: new Date().toISOString()
+    };
+    
+    const updatedCart = await getCartStore().update(
+      userId,
+      (items) => mergeDuplicates([...items, acceptedItem]),
+      { operation: { type: 'review_accept', detail: acceptedItem.productName } }
+    );
+    const remaining = await getCartStore().updateReviewQueue(
+      userId,
+      (queue) => queue.filter(item => item.id !== itemId)
+    );
+    
+    res.json({
+      success: true,
+      item: acceptedItem,
+      cart: updatedCart.items,
+      version: updatedCart.version,
+      reviewQueue: remaining
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to accept item');
+  }
+});
+
+// DELETE /api/cart/review/:itemId - Discard an item from the review queue
+router.delete('/review/:itemId', async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const userId = getUserId(req);
+    
+    const reviewQueue = await getCartStore().getReviewQueue(userId);
+    if (!reviewQueue.some(item => item.id === itemId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in review queue'
+      });
+    }
+    
+    const remaining = await getCartStore().updateReviewQueue(
+      userId,
+      (queue) => queue.filter(item => item.id !== itemId)
+    );
+    
+    res.json({
+      success: true,
+      reviewQueue: remaining
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to discard item');
+  }
+});
+
+// Snapshot id, or 'current' for the cart as it is now
+const resolveCartRef = async (userId, ref) => {
+  if (ref === 'current') {
+    const cart = await getCartStore().get(userId);
+    return { id: 'current', name: 'Current cart', items: cart ? cart.items : [] };
+  }
+  const snapshot = await getCartStore().getSnapshot(userId, ref);
+  if (!snapshot) {
+    throw new NotFoundError('Snapshot');
+  }
+  return snapshot;
+};
+
+// GET /api/cart/history - Operation log, newest first
+router.get('/history', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const operations = await getCartStore().listOperations(userId, { limit });
+    
+    res.json({
+      success: true,
+      operations,
+      count: operations.length
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to load cart history');
+  }
+});
+
+// GET /api/cart/snapshots - Named snapshots, newest first (without items)
+router.get('/snapshots', async (req, res) => {
+  try {
+    const snapshots = await getCartStore().listSnapshots(getUserId(req));
+    
+    res.json({
+      success: true,
+      snapshots,
+      count: snapshots.length
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to load snapshots');
+  }
+});
+
+// POST /api/cart/snapshots - Save the current cart under a name
+router.post('/snapshots', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const name = sanitizeText(req.body.name || '').slice(0, 100);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Snapshot name is required'
+      });
+    }
+    
+    const cart = await getCartStore().get(userId);
+    const snapshot = await getCartStore().createSnapshot(userId, {
+      name,
+      items: cart ? cart.items : [],
+      cartVersion: cart ? cart.version : 0
+    });
+    logger.info(`📸 Saved cart snapshot "${name}" (${snapshot.itemCount} items) for user ${userId}`);
+    
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to save snapshot');
+  }
+});
+
+// GET /api/cart/snapshots/diff?from=<snapshotId|current>&to=<snapshotId|current>
+router.get('/snapshots/diff', async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const { from, to = 'current' } = req.query;
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        error: 'from is required'
+      });
+    }
+    
+    const [fromCart, toCart] = await Promise.all([resolveCartRef(userId, from), resolveCartRef(userId, to)]);
+    
+    res.json({
+      success: true,
+      from: { id: fromCart.id, name: fromCart.name, itemCount: fromCart.items.length },
+      to: { id: toCart.id, name: toCart.name, itemCount: toCart.items.length },
+      diff: diffCarts(fromCart.items, toCart.items)
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to compare snapshots');
+  }
+});
+
+// GET /api/cart/snapshots/:snapshotId - One snapshot with its items
+router.get('/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const snapshot = await resolveCartRef(getUserId(req), req.params.snapshotId);
+    
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to load snapshot');
+  }
+});
+
+// POST /api/cart/snapshots/:snapshotId/restore - Replace the cart with a snapshot
+router.post('/snapshots/:snapshotId/restore', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const snapshot = await getCartStore().getSnapshot(userId, req.params.snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    
+    // The household may have changed since the snapshot - allergens go back to review
+    const screened = await screenItems(userId, snapshot.items, { allowAllergens: req.body.allowAllergens === true });
+    const restoredCart = await getCartStore().update(userId, () => screened.items, {
+      baseVersion: getBaseVersion(req),
+      operation: { type: 'restore', detail: snapshot.name }
+    });
+    const reviewQueue = await queueHeldItems(userId, screened.held);
+    logger.info(`⏪ Restored snapshot "${snapshot.name}" for user ${userId}`);
+    
+    res.json({
+      success: true,
+      cart: restoredCart.items,
+      version: restoredCart.version,
+      snapshot: { id: snapshot.id, name: snapshot.name },
+      itemsQueued: screened.held.length,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck,
+      ...(reviewQueue && { reviewQueue })
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to restore snapshot');
+  }
+});
+
+// DELETE /api/cart/snapshots/:snapshotId
+router.delete('/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const deleted = await getCartStore().deleteSnapshot(getUserId(req), req.params.snapshotId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Snapshot deleted'
+    });
+  } catch (error) {
+    sendCartError(res, error, 'Failed to delete snapshot');
+  }
+});
+
 // GET /api/cart/:userId - Get user's cart
-router.get('/:userId', (req, res) => {
+router.get('/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const userCart = cartItems.get(validateUserId(userId)) || [];
+    const userId = validateUserId(req.params.userId);
+    const savedCart = await getCartStore().get(userId);
+    const userCart = savedCart ? savedCart.items : [];
     
     res.json({
       success: true,
       cart: userCart,
       itemCount: userCart.length,
+      version: savedCart ? savedCart.version : 0,
+      expiresAt: savedCart ? savedCart.expiresAt : null,
       lastUpdated: userCart.length > 0 ? 
         Math.max(...userCart.map(item => new Date(item.addedAt).getTime())) : null
     });
   } catch (error) {
+    if (error.statusCode) {
+      return sendCartError(res, error, 'Failed to load cart');
+    }
     res.status(400).json({
       success: false,
       error: 'Invalid user ID'
@@ -714,10 +994,10 @@ router.get('/:userId', (req, res) => {
 });
 
 // POST /api/cart/add - Add items to cart
-router.post('/add', (req, res) => {
+router.post('/add', authenticateUser, async (req, res) => {
   try {
-    const { items, userId: bodyUserId } = req.body;
-    const userId = bodyUserId || getUserId(req);
+    const { items } = req.body;
+    const userId = req.user.uid;
     
     if (!items || !Array.isArray(items)) {
       return res.status(400).json({
@@ -726,41 +1006,115 @@ router.post('/add', (req, res) => {
       });
     }
     
-    const existingCart = cartItems.get(userId) || [];
-    const newItems = items.map(item => ({
+    // allowAllergens is the caller confirming the flagged items on purpose
+    const screened = await screenItems(userId, items.map(item => ({
       ...item,
       id: item.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       addedAt: new Date().toISOString()
-    }));
+    })), { allowAllergens: req.body.allowAllergens === true });
     
-    const updatedCart = [...existingCart, ...newItems];
-    cartItems.set(userId, updatedCart);
+    const updatedCart = await getCartStore().update(
+      userId,
+      (existingCart) => checkCartSize([...existingCart, ...screened.items]),
+      { baseVersion: getBaseVersion(req), operation: { type: 'add' } }
+    );
+    const reviewQueue = await queueHeldItems(userId, screened.held);
     
     res.json({
       success: true,
-      cart: updatedCart,
-      itemsAdded: newItems.length,
-      totalItems: updatedCart.length
+      cart: updatedCart.items,
+      version: updatedCart.version,
+      itemsAdded: screened.items.length,
+      itemsQueued: screened.held.length,
+      totalItems: updatedCart.items.length,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck,
+      ...(reviewQueue && { reviewQueue })
     });
   } catch (error) {
-    res.status(500).json({
+    sendCartError(res, error, 'Failed to add items to cart');
+  }
+});
+
+// PUT /api/cart/:userId - Replace the whole cart (client undo/redo)
+router.put('/:userId', authenticateUser, async (req, res) => {
+  try {
+    const userId = validateUserId(req.params.userId);
+    const { reason = 'replace' } = req.body;
+
+    if (userId !== req.user.uid) {
+      throw new AuthorizationError('You can only replace your own cart');
+    }
+    
+    if (!['replace', 'undo', 'redo'].includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: 'reason must be one of: replace, undo, redo'
+      });
+    }
+    const screened = await screenItems(userId, validateCartItems(req.body.items), {
+      allowAllergens: req.body.allowAllergens === true
+    });
+    
+    const updatedCart = await getCartStore().update(userId, () => screened.items, {
+      baseVersion: getBaseVersion(req),
+      operation: { type: reason }
+    });
+    const reviewQueue = await queueHeldItems(userId, screened.held);
+    
+    res.json({
+      success: true,
+      cart: updatedCart.items,
+      version: updatedCart.version,
+      totalItems: updatedCart.items.length,
+      itemsQueued: screened.held.length,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck,
+      ...(reviewQueue && { reviewQueue })
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendCartError(res, error, 'Failed to replace cart');
+    }
+    res.status(400).json({
       success: false,
-      error: 'Failed to add items to cart'
+      error: 'Invalid user ID'
     });
   }
 });
 
-// DELETE /api/cart/:userId - Clear user's cart
-router.delete('/:userId', (req, res) => {
+// DELETE /api/cart/:userId - Clear user's cart, keeping a snapshot of what was in it
+router.delete('/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    cartItems.delete(validateUserId(userId));
+    const userId = validateUserId(req.params.userId);
+    const store = getCartStore();
+    const existing = await store.get(userId);
+    
+    let snapshot = null;
+    if (existing && existing.items.length > 0) {
+      snapshot = await store.createSnapshot(userId, {
+        name: `Before clearing (${new Date().toLocaleString('en-US')})`,
+        items: existing.items,
+        cartVersion: existing.version,
+        automatic: true
+      }).catch(error => {
+        logger.warn(`Could not snapshot cart before clearing for ${userId}:`, error.message);
+        return null;
+      });
+    }
+    
+    const clearedCart = await store.update(userId, () => [], { operation: { type: 'clear' } });
     
     res.json({
       success: true,
-      message: 'Cart cleared successfully'
+      message: 'Cart cleared successfully',
+      version: clearedCart.version,
+      snapshotId: snapshot ? snapshot.id : null
     });
   } catch (error) {
+    if (error.statusCode) {
+      return sendCartError(res, error, 'Failed to clear cart');
+    }
     res.status(400).json({
       success: false,
       error: 'Invalid user ID'
@@ -769,25 +1123,19 @@ router.delete('/:userId', (req, res) => {
 });
 
 // PUT /api/cart/items/:itemId - Update individual item
-router.put('/items/:itemId', (req, res) => {
+router.put('/items/:itemId', authenticateUser, async (req, res) => {
   try {
     const { itemId } = req.params;
-    const userId = getUserId(req);
-    const updates = req.body;
-    
-    const userCart = cartItems.get(userId) || [];
-    const itemIndex = userCart.findIndex(item => item.id === itemId);
-    
-    if (itemIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: 'Item not found'
-      });
-    }
+    const userId = req.user.uid;
+    const updates = { ...req.body };
+    delete updates.baseVersion;
+    delete updates.allowAllergens;
     
     // Validate updates
     if (updates.quantity !== undefined) {
-      if (!validateQuantity(updates.quantity)) {
+      try {
+        updates.quantity = validateQuantity(updates.quantity);
+      } catch (validationError) {
         return res.status(400).json({
           success: false,
           error: 'Invalid quantity'
@@ -795,50 +1143,66 @@ router.put('/items/:itemId', (req, res) => {
       }
     }
     
+    // A new name is screened like any item going into the cart
+    let screened = null;
     if (updates.productName !== undefined) {
       updates.productName = sanitizeText(updates.productName);
+      screened = await screenItems(userId, [{ id: itemId, productName: updates.productName }], {
+        allowAllergens: req.body.allowAllergens === true
+      });
+      if (screened.held.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${updates.productName} contains something a household member is allergic to`,
+          code: 'ALLERGEN_CONFLICT',
+          dietaryWarnings: screened.flagged
+        });
+      }
+      const [checked] = screened.items;
+      updates.dietaryFlags = checked.dietaryFlags || [];
+      if (checked.reviewedAt) updates.reviewedAt = checked.reviewedAt;
     }
     
-    userCart[itemIndex] = {
-      ...userCart[itemIndex],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-    
-    cartItems.set(userId, userCart);
+    let itemIndex = -1;
+    const updatedCart = await getCartStore().update(userId, (userCart) => {
+      itemIndex = userCart.findIndex(item => item.id === itemId);
+      if (itemIndex === -1) {
+        throw new NotFoundError('Item');
+      }
+      
+      userCart[itemIndex] = {
+        ...userCart[itemIndex],
+        ...updates,
+        updatedAt: new Date().toISOString()
+      };
+      return userCart;
+    }, { baseVersion: getBaseVersion(req), operation: { type: 'update_item', detail: itemId } });
     
     res.json({
       success: true,
-      item: userCart[itemIndex]
+      item: updatedCart.items[itemIndex],
+      version: updatedCart.version,
+      ...(screened && { dietaryWarnings: screened.flagged, dietaryCheck: screened.dietaryCheck })
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update item'
-    });
+    sendCartError(res, error, 'Failed to update item');
   }
 });
 
 // DELETE /api/cart/items/:itemId - Delete individual item
-router.delete('/items/:itemId', (req, res) => {
+router.delete('/items/:itemId', async (req, res) => {
   try {
     const { itemId } = req.params;
     const userId = getUserId(req);
     
-    const userCart = cartItems.get(userId) || [];
-    const itemIndex = userCart.findIndex(item => item.id === itemId);
-    
-    if (itemIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: 'Item not found'
-      });
-    }
-    
-    const deletedItem = userCart[itemIndex];
-    userCart.splice(itemIndex, 1);
-    
-    cartItems.set(userId, userCart);
+    let deletedItem = null;
+    const updatedCart = await getCartStore().update(userId, (userCart) => {
+      deletedItem = userCart.find(item => item.id === itemId);
+      if (!deletedItem) {
+        throw new NotFoundError('Item');
+      }
+      return userCart.filter(item => item.id !== itemId);
+    }, { baseVersion: getBaseVersion(req), operation: { type: 'remove_item', detail: itemId } });
     
     logger.info(`🗑️ Deleted item ${itemId} from cart for user ${userId}`);
     
@@ -846,14 +1210,11 @@ router.delete('/items/:itemId', (req, res) => {
       success: true,
       message: 'Item deleted successfully',
       deletedItem: deletedItem,
-      remainingItems: userCart.length
+      remainingItems: updatedCart.items.length,
+      version: updatedCart.version
     });
   } catch (error) {
-    logger.error('❌ Error deleting cart item:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete item'
-    });
+    sendCartError(res, error, 'Failed to delete item');
   }
 });
 
@@ -3,10 +3,17 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, optionalAuth } = require('../middleware/auth');
 const { validateRequestBody, preventNoSQLInjection, validators, sanitizeInput } = require('../middleware/validation');
 const winston = require('winston');
 const spoonacularService = require('../services/spoonacularService');
+const priceHistoryService = require('../services/priceHistoryService');
+const pantryService = require('../services/pantryService');
+const productPreferenceService = require('../services/productPreferenceService');
+const retailers = require('../services/retailers');
+const settingsRoutes = require('./settings');
+const { rankProducts } = require('../utils/productPreferences');
+const { restrictionList, checkRecipe, loadDietaryConstraints, screenItems } = require('../utils/dietaryConstraints');
 
 // Configure logger for this route
 const logger = winston.createLogger({
@@ -211,21 +218,6 @@ const searchProductsPartnerAPI = async (query, retailerId = 'safeway') => {
   */
 };
 
-// Helper function to get retailer display names
-const getRetailerName = (retailerKey) => {
-  const retailerNames = {
-    'safeway': 'Safeway',
-    'kroger': 'Kroger',
-    'walmart': 'Walmart',
-    'sprouts': 'Sprouts Farmers Market',
-    'smart-final': 'Smart & Final',
-    'raleys': "Raley's",
-    'food4less': 'Food 4 Less',
-    'grocery-outlet': 'Grocery Outlet'
-  };
-  return retailerNames[retailerKey] || retailerKey;
-};
-
 
 // Performance optimization configurations
 const PERFORMANCE_CONFIG = {
@@ -933,7 +925,7 @@ router.post('/search-old-disabled', async (req, res) => {
           products: partnerProducts,
           query: query,
           retailer: retailerId,
-          retailer_name: getRetailerName(retailerId),
+          retailer_name: retailers.getRetailerName(retailerId),
           count: partnerProducts.length,
           source: 'partner_api'
         });
@@ -1160,7 +1152,7 @@ router.post('/search-old-disabled', async (req, res) => {
           products: products,
           query: query,
           retailer: retailerId,
-          retailer_name: getRetailerName(retailerId),
+          retailer_name: retailers.getRetailerName(retailerId),
           count: products.length,
           shopping_list_id: shoppingListResponse.id,
           instacart_url: shoppingListResponse.products_link_url,
@@ -1174,7 +1166,7 @@ router.post('/search-old-disabled', async (req, res) => {
           products: [],
           query: query,
           retailer: retailerId,
-          retailer_name: getRetailerName(retailerId),
+          retailer_name: retailers.getRetailerName(retailerId),
           count: 0,
           message: `Unable to create shopping list for product search`,
           source: 'shopping_list_api_failed'
@@ -1216,7 +1208,8 @@ router.post('/search-old-disabled', async (req, res) => {
 // Remove authentication for development to allow easy testing
 router.post('/cart/create', authenticateUser, preventNoSQLInjection, validateRequestBody(), async (req, res) => {
   try {
-    const { retailerId, zipCode, items, userId, metadata } = req.body;
+    const { retailerId, zipCode, userId, metadata } = req.body;
+    let { items } = req.body;
     
     logger.info('===== INSTACART CART CREATION DEBUG =====');
     logger.debug('Request body:', {
@@ -1244,6 +1237,18 @@ router.post('/cart/create', authenticateUser, preventNoSQLInjection, validateReq
       });
     }
     
+    // A retailer cart is one step from checkout - allergens stop it unless confirmed
+    const screened = await screenItems(req.user.uid, items, { allowAllergens: req.body.allowAllergens === true });
+    if (screened.held.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some items contain ingredients a household member is allergic to',
+        code: 'ALLERGEN_CONFLICT',
+        dietaryWarnings: screened.flagged
+      });
+    }
+    items = screened.items;
+    
     // Check if we have valid API keys
     if (validateApiKeys()) {
       try {
@@ -1304,12 +1309,16 @@ router.post('/cart/create', authenticateUser, preventNoSQLInjection, validateReq
           logger.debug('Integration metadata:', metadata);
         }
         
+        await trackOrderForPantry(req.user.uid, cartId, items);
+        
         res.json({
           success: true,
           cartId,
           checkoutUrl,
           itemsAdded: cartItems.length,
           totals: cartTotals,
+          dietaryWarnings: screened.flagged,
+          dietaryCheck: screened.dietaryCheck,
           metadata: {
             ...metadata,
             createdAt: new Date().toISOString(),
@@ -1347,6 +1356,8 @@ router.post('/cart/create', authenticateUser, preventNoSQLInjection, validateReq
     logger.debug(`Delivery location: ${zipCode}`);
     logger.info(`   🔄 Connection status: VERIFIED - CartSmash shopping list successfully mapped to Instacart mock data`);
     
+    await trackOrderForPantry(req.user.uid, mockCartId, items);
+    
     // Process immediately for faster performance
     
     res.json({
@@ -1354,6 +1365,8 @@ router.post('/cart/create', authenticateUser, preventNoSQLInjection, validateReq
       cartId: mockCartId,
       checkoutUrl: mockCheckoutUrl,
       itemsAdded: items.length,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck,
       metadata: {
         ...metadata,
         createdAt: new Date().toISOString(),
@@ -1371,6 +1384,18 @@ router.post('/cart/create', authenticateUser, preventNoSQLInjection, validateReq
   }
 });
 
+// Helper function to remember a cart's items so the pantry can be restocked once
+// the order completes - pantry bookkeeping never blocks checkout
+async function trackOrderForPantry(userId, cartId, items) {
+  if (!userId || !cartId) return;
+  try {
+    const usage = await pantryService.takeCartUsage(userId);
+    await pantryService.recordPendingOrder(userId, cartId, items, { usage, source: 'instacart' });
+  } catch (error) {
+    logger.warn(`Could not record cart ${cartId} for pantry restock:`, error.message);
+  }
+}
+
 // Helper function to create a recipe from cart items for proper checkout URLs
 async function createRecipeFromCartItems(items, retailerId, zipCode, metadata) {
   try {
@@ -1568,6 +1593,17 @@ router.get('/cart/:cartId/status', authenticateUser, async (req, res) => {
     if (validateApiKeys()) {
       try {
         const cartStatus = await instacartApiCall(`/carts/${cartId}`, 'GET', null);
+
+        // First poll that sees the order completed restocks the pantry (applied once)
+        let pantry = null;
+        if (pantryService.isCompletedStatus(cartStatus.status)) {
+          try {
+            pantry = await pantryService.completeOrder(req.user.uid, cartId);
+          } catch (pantryError) {
+            logger.warn(`Could not update pantry for cart ${cartId}:`, pantryError.message);
+          }
+        }
+
         res.json({ 
           success: true, 
           cart: {
@@ -1578,7 +1614,8 @@ router.get('/cart/:cartId/status', authenticateUser, async (req, res) => {
             total: cartStatus.total,
             created_at: cartStatus.created_at,
             retailer: cartStatus.retailer
-          }
+          },
+          pantry
         });
         return;
       } catch (error) {
@@ -1650,7 +1687,7 @@ router.get('/test', async (req, res) => {
 
 // POST /api/instacart/batch-search - Search for multiple items at once
 // TEMPORARILY DISABLED: Authentication disabled until frontend sends Firebase tokens
-router.post('/batch-search', async (req, res) => {
+router.post('/batch-search', optionalAuth, async (req, res) => {
   try {
     const { items, retailerId, zipCode } = req.body;
     
@@ -1661,12 +1698,26 @@ router.post('/batch-search', async (req, res) => {
       });
     }
 
+    const preferences = req.user
+      ? await productPreferenceService.getPreferences(req.user.uid, settingsRoutes.getCurrentSettings().preferences)
+        .catch(error => {
+          logger.warn('Could not load product preferences:', error.message);
+          return null;
+        })
+      : null;
+
+    // Items a household member is allergic to aren't matched to products unless allowAllergens
+    const screened = req.user
+      ? await screenItems(req.user.uid, items, { allowAllergens: req.body.allowAllergens === true })
+      : { items, held: [], flagged: [], dietaryCheck: 'skipped' };
+    const searchItems = screened.items;
+
     // Process items in parallel batches for better performance
     const batchSize = PERFORMANCE_CONFIG.MAX_PARALLEL_REQUESTS;
     const results = [];
 
-    for (let i = 0; i < items.length; i += batchSize) {
-      const batch = items.slice(i, i + batchSize);
+    for (let i = 0; i < searchItems.length; i += batchSize) {
+      const batch = searchItems.slice(i, i + batchSize);
 
       const batchPromises = batch.map(async (item, index) => {
         try {
@@ -1784,6 +1835,11 @@ router.post('/batch-search', async (req, res) => {
             }
           }
 
+          // Remembered picks lead, never-suggest brands drop out
+          if (preferences) {
+            products = rankProducts(products, item.name || item.query, preferences, { retailerId });
+          }
+
           return {
             originalItem: item,
             matches: products,
@@ -1820,18 +1876,28 @@ router.post('/batch-search', async (req, res) => {
       });
 
       // Add delay between batches to respect rate limits
-      if (i + batchSize < items.length) {
+      if (i + batchSize < searchItems.length) {
         await new Promise(resolve => setTimeout(resolve, PERFORMANCE_CONFIG.REQUEST_RETRY_DELAY));
       }
     }
     
     // Success logged
+
+    recordSearchPrices(
+      results.flatMap(result => result.matches),
+      retailerId,
+      zipCode
+    );
     
     res.json({
       success: true,
       results,
+      heldForAllergies: screened.held,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck,
       summary: {
         totalItems: items.length,
+        itemsHeld: screened.held.length,
         itemsWithMatches: results.filter(r => r.matches.length > 0).length,
         itemsWithErrors: results.filter(r => r.error).length
       }
@@ -1972,6 +2038,20 @@ router.post('/recipe/create',
       });
     }
     
+    // Household allergies and diets add to the health filters, and a recipe
+    // someone is allergic to never becomes a shoppable page unless confirmed
+    const { constraints, dietaryCheck } = await loadDietaryConstraints(req.user.uid);
+    const restrictions = [...(Array.isArray(dietaryRestrictions) ? dietaryRestrictions : []), ...restrictionList(constraints)];
+    const recipeCheck = checkRecipe({ title, ingredients }, constraints);
+    if (!recipeCheck.safe && req.body.allowAllergens !== true) {
+      return res.status(400).json({
+        success: false,
+        error: 'Recipe contains ingredients a household member is allergic to',
+        code: 'ALLERGEN_CONFLICT',
+        dietaryCheck: recipeCheck
+      });
+    }
+    
     // Check cache first - Best practice per Instacart docs
     const cacheKey = generateRecipeCacheKey({ title, ingredients, instructions, servings, author });
     const cachedResult = getCachedRecipeUrl(cacheKey);
@@ -2009,7 +2089,7 @@ router.post('/recipe/create',
         };
 
         // Map dietary restrictions to health filters
-        const globalHealthFilters = validateHealthFilters(mapDietaryRestrictionsToHealthFilters(dietaryRestrictions));
+        const globalHealthFilters = validateHealthFilters(mapDietaryRestrictionsToHealthFilters(restrictions));
         
         // Track product identifiers to prevent duplicates
         const usedProductIds = new Set();
@@ -2170,6 +2250,8 @@ router.post('/recipe/create',
           cookingTime: finalCookingTime,
           ingredientsCount: formattedIngredients.length,
           healthFiltersApplied: globalHealthFilters,
+          dietaryWarnings: recipeCheck.flags,
+          dietaryCheck,
           createdAt: new Date().toISOString(),
           expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days
         };
@@ -2207,6 +2289,8 @@ router.post('/recipe/create',
       instacartUrl: retailerKey ? `${mockUrl}?retailer_key=${retailerKey}` : mockUrl,
       title,
       ingredientsCount: ingredients.length,
+      dietaryWarnings: recipeCheck.flags,
+      dietaryCheck,
       createdAt: new Date().toISOString(),
       mockMode: true
     });
@@ -3027,6 +3111,12 @@ router.post('/direct-product-search', async (req, res) => {
 
     const totalFound = results.reduce((sum, result) => sum + result.products.length, 0);
 
+    recordSearchPrices(
+      results.flatMap(result => result.products),
+      retailer_key,
+      postal_code
+    );
+
     res.json({
       success: true,
       method: 'direct_product_search',
@@ -3046,6 +3136,22 @@ router.post('/direct-product-search', async (req, res) => {
   }
 });
 
+// Store prices parsed from Instacart search results in the price history
+function recordSearchPrices(products, retailerKey, zipCode) {
+  priceHistoryService.recordInBackground(
+    products.map(product => ({
+      productName: product.name,
+      productId: product.id,
+      price: product.price,
+      vendor: retailerKey || 'instacart',
+      packageSize: product.package_size,
+      unit: product.unit,
+      zipCode: zipCode
+    })),
+    'instacart_search'
+  );
+}
+
 // Helper functions for unit/quantity separation
 function extractUnit(sizeString) {
   if (!sizeString) return null;
@@ -6,96 +6,13 @@ const express = require('express');
 const router = express.Router();
 const winston = require('winston');
 const spoonacularService = require('../services/spoonacularService');
-
-// Function to estimate price based on product name and category
-function estimatePrice(productName, aisle, brand) {
-  const name = productName.toLowerCase();
-  const productAisle = (aisle || '').toLowerCase();
-  const isBrandName = brand && brand !== 'Generic';
-
-  // Base prices by category/keyword
-  let basePrice = 3.99; // default
-
-  // Dairy products
-  if (productAisle.includes('dairy') || name.includes('milk') || name.includes('cheese') || name.includes('yogurt')) {
-    if (name.includes('gallon')) basePrice = 4.99;
-    else if (name.includes('cheese')) basePrice = 5.49;
-    else if (name.includes('yogurt')) basePrice = 4.29;
-    else basePrice = 3.99;
-  }
-  // Meat & Seafood
-  else if (productAisle.includes('meat') || productAisle.includes('seafood') ||
-           name.includes('chicken') || name.includes('beef') || name.includes('pork') ||
-           name.includes('fish') || name.includes('salmon')) {
-    if (name.includes('steak') || name.includes('beef')) basePrice = 12.99;
-    else if (name.includes('chicken')) basePrice = 7.99;
-    else if (name.includes('salmon') || name.includes('seafood')) basePrice = 14.99;
-    else if (name.includes('ground')) basePrice = 6.99;
-    else basePrice = 8.99;
-  }
-  // Produce
-  else if (productAisle.includes('produce') || name.includes('apple') || name.includes('banana') ||
-           name.includes('lettuce') || name.includes('tomato') || name.includes('onion')) {
-    if (name.includes('organic')) basePrice = 4.99;
-    else if (name.includes('banana')) basePrice = 0.89;
-    else if (name.includes('apple')) basePrice = 3.99;
-    else basePrice = 2.49;
-  }
-  // Bread & Bakery
-  else if (productAisle.includes('bakery') || productAisle.includes('bread') ||
-           name.includes('bread') || name.includes('bagel') || name.includes('muffin')) {
-    basePrice = 3.49;
-  }
-  // Beverages
-  else if (productAisle.includes('beverage') || name.includes('soda') || name.includes('juice') ||
-           name.includes('water') || name.includes('coffee') || name.includes('tea')) {
-    if (name.includes('case') || name.includes('pack')) basePrice = 6.99;
-    else if (name.includes('coffee')) basePrice = 8.99;
-    else basePrice = 3.99;
-  }
-  // Frozen
-  else if (productAisle.includes('frozen') || name.includes('ice cream') || name.includes('pizza')) {
-    if (name.includes('ice cream')) basePrice = 5.99;
-    else if (name.includes('pizza')) basePrice = 7.99;
-    else basePrice = 4.99;
-  }
-  // Canned & Packaged
-  else if (productAisle.includes('canned') || productAisle.includes('pasta') ||
-           name.includes('soup') || name.includes('pasta') || name.includes('sauce')) {
-    basePrice = 2.49;
-  }
-  // Snacks
-  else if (productAisle.includes('snack') || name.includes('chips') || name.includes('cookie') ||
-           name.includes('cracker')) {
-    basePrice = 3.99;
-  }
-  // Condiments & Spices
-  else if (productAisle.includes('condiment') || productAisle.includes('spice') ||
-           name.includes('salt') || name.includes('pepper') || name.includes('ketchup')) {
-    basePrice = 2.99;
-  }
-
-  // Add brand premium (20% more for brand names)
-  if (isBrandName) {
-    basePrice = basePrice * 1.2;
-  }
-
-  // Add some random variation (-10% to +10%) to make it look more realistic
-  const variation = (Math.random() * 0.2 - 0.1);
-  basePrice = basePrice * (1 + variation);
-
-  // Round to .49 or .99 endings for realistic pricing
-  const cents = basePrice % 1;
-  if (cents < 0.25) {
-    basePrice = Math.floor(basePrice) + 0.29;
-  } else if (cents < 0.75) {
-    basePrice = Math.floor(basePrice) + 0.49;
-  } else {
-    basePrice = Math.floor(basePrice) + 0.99;
-  }
-
-  return Math.max(0.99, Math.min(basePrice, 29.99)); // Cap between $0.99 and $29.99
-}
+const priceHistoryService = require('../services/priceHistoryService');
+const productPreferenceService = require('../services/productPreferenceService');
+const settingsRoutes = require('./settings');
+const { optionalAuth } = require('../middleware/auth');
+const { rankProducts } = require('../utils/productPreferences');
+const { flagItems, loadDietaryConstraints } = require('../utils/dietaryConstraints');
+const { estimatePrice, fromSpoonacular } = require('../utils/spoonacularProducts');
 
 // Create logger
 const logger = winston.createLogger({
@@ -116,8 +33,20 @@ const logger = winston.createLogger({
   ]
 });
 
+// Signed-in users get their remembered picks and brand settings applied; a
+// failure here never blocks the search
+async function loadPreferences(req) {
+  if (!req.user) return null;
+  try {
+    return await productPreferenceService.getPreferences(req.user.uid, settingsRoutes.getCurrentSettings().preferences);
+  } catch (error) {
+    logger.warn('Could not load product preferences:', error.message);
+    return null;
+  }
+}
+
 // Product search endpoint - Goes directly to Spoonacular
-router.post('/search', async (req, res) => {
+router.post('/search', optionalAuth, async (req, res) => {
   try {
     const { query, retailerId = 'safeway' } = req.body;
 
@@ -131,6 +60,7 @@ router.post('/search', async (req, res) => {
     logger.info(`Product search for: "${query}"`);
 
     let products = [];
+    const preferences = await loadPreferences(req);
 
     // Primary source: Spoonacular API for product data
     try {
@@ -140,28 +70,12 @@ router.post('/search', async (req, res) => {
       if (spoonacularResult.products && spoonacularResult.products.length > 0) {
         logger.info(`Spoonacular returned ${spoonacularResult.products.length} products`);
 
-        // Only take the FIRST (best match) product to avoid duplicates
-        const bestMatch = spoonacularResult.products[0];
-        products = [{
-          id: bestMatch.id || `spoonacular_${Date.now()}_${Math.random()}`,
-          name: bestMatch.name,
-          brand: bestMatch.brand || 'Generic',
-          price: estimatePrice(bestMatch.name, bestMatch.aisle, bestMatch.brand), // Use estimated pricing
-          estimated_price: true, // Flag that this is an estimate
-          image_url: bestMatch.image_url,
-          package_size: bestMatch.servingSize || bestMatch.size || '1 item',
-          unit: bestMatch.unit || 'item',
-          quantity: 1,
-          availability: 'check_store',
-          upc: bestMatch.upc || null,
-          aisle: bestMatch.aisle,
-          badges: bestMatch.badges,
-          nutrition: bestMatch.nutrition,
-          confidence: 0.8,
-          source: 'spoonacular',
-          size: bestMatch.servingSize,
-          containerType: bestMatch.containerType
-        }];
+        // Only take the FIRST (best match) product to avoid duplicates - after the
+        // user's preferences have re-ranked the candidates
+        const candidates = spoonacularResult.products.map(fromSpoonacular);
+        const ranked = preferences ? rankProducts(candidates, query, preferences, { retailerId }) : candidates;
+        // Keep the runner-up next to a remembered pick so the user can still switch
+        products = ranked.slice(0, ranked[0]?.remembered ? 2 : 1);
       }
     } catch (spoonError) {
       logger.warn('Spoonacular search failed:', spoonError.message);
@@ -202,6 +116,11 @@ router.post('/search', async (req, res) => {
       }
     }
 
+    // Remembered pick even when Spoonacular and the cache came back empty
+    if (products.length === 0 && preferences) {
+      products = rankProducts([], query, preferences, { retailerId });
+    }
+
     // If still no products, create basic entry with estimated price
     if (products.length === 0) {
       products.push({
@@ -220,8 +139,29 @@ router.post('/search', async (req, res) => {
       });
     }
 
+    // Signed-in users get matches that break a household constraint flagged
+    const { constraints, dietaryCheck } = req.user
+      ? await loadDietaryConstraints(req.user.uid)
+      : { constraints: null, dietaryCheck: 'skipped' };
+    const dietary = flagItems(products, constraints);
+    products = dietary.items;
+
     logger.info(`Returning ${products.length} products for query: ${query}`);
 
+    // Only quoted prices are kept - estimatePrice() results are skipped by the service
+    priceHistoryService.recordInBackground(
+      products.map(product => ({
+        productName: product.name,
+        productId: product.id,
+        price: product.price,
+        estimated_price: product.estimated_price,
+        vendor: retailerId,
+        packageSize: product.package_size,
+        unit: product.unit
+      })),
+      'instacart_search'
+    );
+
     // Return products with clear source information
     res.json({
       success: true,
@@ -230,6 +170,10 @@ router.post('/search', async (req, res) => {
       retailer: retailerId,
       retailer_name: retailerId,
       count: products.length,
+      // Products are already in the user's preference order (remembered pick first)
+      rankedByPreferences: !!preferences,
+      dietaryWarnings: dietary.flagged,
+      dietaryCheck,
       source: products[0]?.source || 'unknown',
       note: 'Product data from Spoonacular API. Use /api/instacart/cart/create for checkout.'
     });
@@ -3,92 +3,43 @@
 
 const express = require('express');
 const router = express.Router();
+const { authenticateUser } = require('../middleware/auth');
+const priceHistoryService = require('../services/priceHistoryService');
+const { MAX_PRICE } = require('../services/priceHistoryService');
+const retailers = require('../services/retailers');
 
-// Mock vendor configurations with real retailer information
-const VENDOR_CONFIGS = {
-  'safeway': {
-    name: 'Safeway',
-    logo: '🛒',
-    color: '#FF6B35',
-    apiEndpoint: 'https://api.safeway.com/v1',
-    requiresAuth: true,
-    avgDeliveryTime: '2-4 hours',
-    serviceFee: 3.99,
-    deliveryFee: 5.95
-  },
-  'costco': {
-    name: 'Costco',
-    logo: '🏪',
-    color: '#003F7F',
-    apiEndpoint: 'https://api.costco.com/v1',
-    requiresAuth: true,
-    avgDeliveryTime: '1-3 hours',
-    serviceFee: 0,
-    deliveryFee: 3.99,
-    membershipRequired: true
-  },
-  'wholefoods': {
-    name: 'Whole Foods',
-    logo: '🥬',
-    color: '#00A652',
-    apiEndpoint: 'https://api.wholefoods.com/v1',
-    requiresAuth: true,
-    avgDeliveryTime: '1-2 hours',
-    serviceFee: 4.95,
-    deliveryFee: 4.95
-  },
-  'target': {
-    name: 'Target',
-    logo: '🎯',
-    color: '#CC0000',
-    apiEndpoint: 'https://api.target.com/v1',
-    requiresAuth: true,
-    avgDeliveryTime: '2-5 hours',
-    serviceFee: 3.99,
-    deliveryFee: 9.99
-  },
-  'walmart': {
-    name: 'Walmart',
-    logo: '🛍️',
-    color: '#0066B2',
-    apiEndpoint: 'https://api.walmart.com/v1',
-    requiresAuth: true,
-    avgDeliveryTime: '1-3 hours',
-    serviceFee: 0,
-    deliveryFee: 7.95
-  },
-  'kroger': {
-    name: 'Kroger',
-    logo: '🏬',
-    color: '#0066B2',
-    apiEndpoint: 'https://api.kroger.com/v1',
-    requiresAuth: true,
-    avgDeliveryTime: '2-4 hours',
-    serviceFee: 4.95,
-    deliveryFee: 5.95
-  },
-  'instacart': {
-    name: 'Instacart',
-    logo: '🥕',
-    color: '#00B894',
-    apiEndpoint: process.env.INSTACART_API_URL || 'https://connect.dev.instacart.tools/idp/v1',
-    requiresAuth: true,
-    avgDeliveryTime: '1-2 hours',
-    serviceFee: 5.99,
-    deliveryFee: 3.99
-  }
-};
+// Vendor display info and fees come from the retailer registry
+const VENDOR_CONFIGS = retailers.getVendorConfigs();
 
 // In-memory cache for price data (in production, use Redis)
 const priceCache = new Map();
 const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
 
-// GET /api/price-history - Get price history for a product across vendors
+// Retailer display info for a stored vendor key
+function getVendorDisplay(vendorKey, vendorName) {
+  const config = VENDOR_CONFIGS[vendorKey];
+  return {
+    vendor: config?.name || vendorName || vendorKey,
+    vendorLogo: config?.logo || getVendorLogo(vendorName || vendorKey),
+    vendorColor: config?.color || '#6b7280',
+    deliveryTime: config?.avgDeliveryTime || 'Varies'
+  };
+}
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage,
+    message: error.message
+  });
+};
+
+// GET /api/price-history - Observed price history for a product across vendors
 router.get('/', async (req, res) => {
   try {
-    const { product, timeRange, productId, zipCode = '95670' } = req.query;
+    const { product, timeRange = '30d', productId, vendor, currentVendor } = req.query;
 
-    if (!product) {
+    if (!product && !productId) {
       return res.status(400).json({
         success: false,
         error: 'Product name is required',
@@ -96,70 +47,77 @@ router.get('/', async (req, res) => {
       });
     }
 
-    // Start with real vendor data where available
-    const priceResults = [];
+    const supportedVendors = Object.keys(VENDOR_CONFIGS);
 
-    // Try Instacart integration first
-    try {
-      const instacartResults = await fetchInstacartPrices(product, zipCode);
-      if (instacartResults && instacartResults.length > 0) {
-        priceResults.push(...instacartResults);
-      }
-    } catch (instacartError) {
-      // Silent failure - just continue without Instacart data
+    if (!priceHistoryService.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Price history storage unavailable',
+        message: 'Price history is temporarily unavailable. Please try again later.'
+      });
     }
 
-    // Add other vendor integrations here as they become available
-    // For now, show what vendors are supported for future integration
-    const supportedVendors = Object.keys(VENDOR_CONFIGS);
+    const history = await priceHistoryService.getHistory({ product, productId, timeRange, vendor });
 
-    if (priceResults.length === 0) {
-      // No real price data available yet
+    if (history.series.length === 0) {
       return res.json({
         success: true,
         priceHistory: [],
-        message: 'Price comparison across vendors is coming soon! Currently integrating with retail partners.',
+        series: [],
+        stats: null,
+        message: `We haven't seen a price for ${product || 'this product'} in this time range yet.`,
         supportedVendors: supportedVendors,
-        currentIntegrations: ['instacart'],
-        comingSoon: ['kroger', 'safeway', 'target', 'walmart']
+        searchTerm: product
       });
     }
 
-    // Sort by price (lowest first)
-    priceResults.sort((a, b) => a.price - b.price);
+    const currentVendorKey = currentVendor ? priceHistoryService.normalizeVendorKey(currentVendor) : null;
+
+    // One row per vendor with its latest observed price (what the PriceHistory list renders)
+    const priceHistory = history.series
+      .map(series => ({
+        ...getVendorDisplay(series.vendorKey, series.vendorName),
+        vendorKey: series.vendorKey,
+        productName: series.productName,
+        packageSize: series.packageSize,
+        price: series.currentPrice,
+        minPrice: series.min,
+        maxPrice: series.max,
+        avgPrice: series.avg,
+        trend: series.trend,
+        observationCount: series.observationCount,
+        availability: 'in-stock',
+        lastUpdated: series.lastUpdated,
+        isCurrentVendor: series.vendorKey === currentVendorKey
+      }))
+      .sort((a, b) => a.price - b.price);
 
     res.json({
       success: true,
-      priceHistory: priceResults,
-      count: priceResults.length,
+      priceHistory: priceHistory,
+      series: history.series.map(series => ({
+        vendorKey: series.vendorKey,
+        vendor: getVendorDisplay(series.vendorKey, series.vendorName).vendor,
+        min: series.min,
+        max: series.max,
+        avg: series.avg,
+        trend: series.trend,
+        points: series.points
+      })),
+      stats: history.stats,
+      timeRange: history.timeRange,
+      since: history.since,
+      count: priceHistory.length,
       supportedVendors: supportedVendors,
       searchTerm: product
     });
 
   } catch (error) {
     console.error('Price history error:', error);
-    res.status(500).json({
-      error: 'Failed to fetch price history',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch price history');
   }
 });
 
-// Helper function to fetch real Instacart prices from multiple stores
-async function fetchInstacartPrices(productName, zipCode) {
-  try {
-    // Step 1: Get all available retailers in the area
-    const axios = require('axios');
-    // Price comparison across vendors temporarily disabled to prevent circular API calls
-    // This feature needs to be refactored to use internal service calls instead of HTTP requests
-    return [];
-
-  } catch (error) {
-    console.error('Instacart price fetch error:', error);
-    return [];
-  }
-}
-
 // Helper function to get vendor logo
 function getVendorLogo(vendorName) {
   const logoMap = {
@@ -211,103 +169,150 @@ router.get('/vendors', (req, res) => {
   }
 });
 
-// POST /api/price-history/track - Track price for future monitoring
-router.post('/track', async (req, res) => {
+// POST /api/price-history/track - Record an observed price, optionally subscribing to drops
+router.post('/track', authenticateUser, async (req, res) => {
   try {
-    const { product, productId, alertPrice, userId } = req.body;
+    const { product, productId, price, vendor, packageSize, unit, zipCode, alertPrice } = req.body;
 
-    if (!product || !alertPrice) {
+    if (!product) {
       return res.status(400).json({
-        error: 'Product and alert price are required',
-        message: 'Please provide product name and desired alert price'
+        success: false,
+        error: 'Product is required',
+        message: 'Please provide the product name'
       });
     }
 
-    // In production, this would store in a database with price tracking
-    const trackingData = {
-      product,
-      productId,
-      alertPrice: parseFloat(alertPrice),
-      userId,
-      createdAt: new Date().toISOString(),
-      isActive: true
-    };
+    if (price == null && alertPrice == null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Price or alert price is required',
+        message: 'Provide the observed price to track, or an alertPrice to be notified at'
+      });
+    }
 
-    console.log('🔔 Price tracking registered:', trackingData);
+    if (!priceHistoryService.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Price history storage unavailable'
+      });
+    }
+
+    let observation = null;
+    if (price != null) {
+      const parsedPrice = parseFloat(price);
+      if (!Number.isFinite(parsedPrice) || parsedPrice <= 0 || parsedPrice >= MAX_PRICE) {
+        return res.status(400).json({
+          success: false,
+          error: `Price must be a positive number under $${MAX_PRICE}`
+        });
+      }
+
+      const [saved] = await priceHistoryService.recordObservations([{
+        productName: product,
+        productId,
+        price: parsedPrice,
+        vendor: vendor || 'unknown',
+        packageSize,
+        unit,
+        zipCode,
+        userId: req.user.uid
+      }], 'manual_track');
+      observation = saved || null;
+    }
+
+    let alert = null;
+    if (alertPrice != null) {
+      alert = await priceHistoryService.createAlert(req.user.uid, {
+        product,
+        productId,
+        vendor,
+        targetPrice: alertPrice
+      });
+    }
 
     res.json({
       success: true,
-      message: `Price tracking enabled for ${product} at $${alertPrice}`,
-      tracking: trackingData
+      message: alert
+        ? `Price tracking enabled for ${product} at $${alert.targetPrice}`
+        : `Recorded $${observation.price.toFixed(2)} for ${product}`,
+      observation: observation,
+      alert: alert
     });
 
   } catch (error) {
     console.error('Price tracking error:', error);
-    res.status(500).json({
-      error: 'Failed to setup price tracking',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to track price');
   }
 });
 
-// Helper function to generate realistic vendor price data
-async function generateVendorPriceData(productName, timeRange, zipCode, productId) {
-  console.log('🚫 DISABLED: generateVendorPriceData blocked - no mock price data');
-  throw new Error('Mock price data generation eliminated');
-}
-
-// Calculate base price based on product characteristics
-function calculateBasePrice(productName) {
-  console.log('🚫 DISABLED: calculateBasePrice blocked - no mock price calculation');
-  throw new Error('Mock base price calculation eliminated');
-}
-
-// Get vendor-specific price multipliers
-function getVendorPriceMultiplier(vendorKey, productName) {
-  const multipliers = {
-    'costco': 0.85,      // Costco typically 15% cheaper (bulk)
-    'walmart': 0.90,     // Walmart typically 10% cheaper
-    'target': 1.05,      // Target slightly more expensive
-    'safeway': 1.10,     // Safeway moderate premium
-    'wholefoods': 1.25,  // Whole Foods premium pricing
-    'kroger': 0.95,      // Kroger competitive
-    'instacart': 1.15    // Instacart convenience premium
-  };
-
-  const baseMultiplier = multipliers[vendorKey] || 1.0;
+// GET /api/price-history/alerts - The user's price-drop alert subscriptions
+router.get('/alerts', authenticateUser, async (req, res) => {
+  try {
+    const alerts = await priceHistoryService.getAlertsForUser(req.user.uid, {
+      triggeredOnly: req.query.triggered === 'true'
+    });
 
-  // Add some randomness for realistic variation
-  const variation = (Math.random() - 0.5) * 0.1; // ±5%
+    res.json({
+      success: true,
+      alerts: alerts,
+      triggeredCount: alerts.filter(alert => alert.triggered).length
+    });
+  } catch (error) {
+    console.error('Price alerts fetch error:', error);
+    sendError(res, error, 'Failed to fetch price alerts');
+  }
+});
 
-  return Math.max(0.7, baseMultiplier + variation);
-}
+// POST /api/price-history/alerts - Subscribe to price drops for a product
+router.post('/alerts', authenticateUser, async (req, res) => {
+  try {
+    const { product, productId, vendor, targetPrice, dropPercent } = req.body;
 
-// Generate historical price data for a vendor
-function generateHistoricalPrices(currentPrice, timeRange) {
-  console.log('🚫 DISABLED: generateHistoricalPrices blocked - no mock price history');
-  throw new Error('Mock historical price generation eliminated');
-}
+    const alert = await priceHistoryService.createAlert(req.user.uid, {
+      product,
+      productId,
+      vendor,
+      targetPrice,
+      dropPercent
+    });
 
-// Generate mock product ID
-function generateProductId(productName, vendorKey) {
-  const hash = productName + vendorKey;
-  return hash.split('').reduce((a, b) => {
-    a = ((a << 5) - a) + b.charCodeAt(0);
-    return a & a;
-  }, 0).toString(36).substr(2, 9).toUpperCase();
-}
+    res.json({
+      success: true,
+      alert: alert
+    });
+  } catch (error) {
+    console.error('Price alert create error:', error);
+    sendError(res, error, 'Failed to create price alert');
+  }
+});
 
-// Generate mock store location
-function generateStoreLocation(zipCode) {
-  const locations = [
-    { distance: '1.2 miles', address: '123 Main St' },
-    { distance: '2.5 miles', address: '456 Oak Ave' },
-    { distance: '3.8 miles', address: '789 Pine Rd' },
-    { distance: '5.1 miles', address: '321 Elm St' }
-  ];
+// POST /api/price-history/alerts/:alertId/acknowledge - Clear the triggered flag
+router.post('/alerts/:alertId/acknowledge', authenticateUser, async (req, res) => {
+  try {
+    const alert = await priceHistoryService.acknowledgeAlert(req.user.uid, req.params.alertId);
+    res.json({
+      success: true,
+      alert: alert
+    });
+  } catch (error) {
+    console.error('Price alert acknowledge error:', error);
+    sendError(res, error, 'Failed to update price alert');
+  }
+});
 
-  return locations[Math.floor(Math.random() * locations.length)];
-}
+// DELETE /api/price-history/alerts/:alertId - Unsubscribe from a price alert
+router.delete('/alerts/:alertId', authenticateUser, async (req, res) => {
+  try {
+    await priceHistoryService.deleteAlert(req.user.uid, req.params.alertId);
+    res.json({
+      success: true,
+      message: 'Price alert removed'
+    });
+  } catch (error) {
+    console.error('Price alert delete error:', error);
+    sendError(res, error, 'Failed to delete price alert');
+  }
+});
 
 // Clear price cache (for admin/testing)
 router.delete('/cache', (req, res) => {
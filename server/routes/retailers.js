@@ -0,0 +1,225 @@
+// server/routes/retailers.js - Retailer-agnostic search, pricing, cart and store lookup
+// Every endpoint goes through the adapter registry in services/retailers, so a
+// chain moves from 'planned' to live without changes here.
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const { authenticateUser, optionalAuth } = require('../middleware/auth');
+const retailers = require('../services/retailers');
+const basketOptimizerService = require('../services/basketOptimizerService');
+const { screenItems } = require('../utils/dietaryConstraints');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'retailer-routes' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const MAX_ITEMS = 100;
+
+const sendError = (res, error, fallbackMessage) => {
+  if (!error.statusCode || error.statusCode >= 500) {
+    logger.error(`${fallbackMessage}:`, error.message);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage,
+    message: error.message
+  });
+};
+
+// Items for pricing / carts: [{ name, productId?, quantity?, unit? }]
+const readItems = (res, items) => {
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_ITEMS) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid items',
+      message: `items must be an array of 1-${MAX_ITEMS} entries`
+    });
+    return null;
+  }
+  if (items.some(item => !item || (typeof item.name !== 'string' && !item.productId))) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid items',
+      message: 'Each item needs a name or a productId'
+    });
+    return null;
+  }
+  return items;
+};
+
+// GET /api/retailers - Known chains with status and capabilities (?status=planned)
+router.get('/', (req, res) => {
+  const list = retailers.listRetailers({ status: req.query.status });
+
+  res.json({
+    success: true,
+    retailers: list,
+    count: list.length
+  });
+});
+
+// POST /api/retailers/optimize-basket - Cheapest single store and two-store split
+// for a whole cart, fees included { items, zipCode, retailers? }
+router.post('/optimize-basket', async (req, res) => {
+  try {
+    const items = readItems(res, req.body.items);
+    if (!items) return;
+    if (items.some(item => typeof item.name !== 'string' || !item.name.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'Each item needs a name to be compared across retailers'
+      });
+    }
+    if (req.body.retailers !== undefined && !Array.isArray(req.body.retailers)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid retailers',
+        message: 'retailers must be an array of retailer ids'
+      });
+    }
+
+    const result = await basketOptimizerService.optimize({
+      items,
+      zipCode: req.body.zipCode,
+      retailerIds: req.body.retailers
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to optimize basket');
+  }
+});
+
+// GET /api/retailers/:retailerId - One chain
+router.get('/:retailerId', (req, res) => {
+  const chain = retailers.listRetailers().find(entry => entry.id === retailers.getChain(req.params.retailerId)?.id);
+  if (!chain) {
+    return res.status(404).json({
+      success: false,
+      error: 'Retailer not found',
+      message: `Unknown retailer: ${req.params.retailerId}`
+    });
+  }
+
+  res.json({ success: true, retailer: chain });
+});
+
+// GET /api/retailers/:retailerId/auth - Whether the integration (and this user) is connected
+router.get('/:retailerId/auth', optionalAuth, async (req, res) => {
+  try {
+    const adapter = retailers.getAdapter(req.params.retailerId, 'auth');
+    const status = await adapter.getAuthStatus(req.user?.uid || null);
+
+    res.json({ success: true, retailerId: adapter.id, ...status });
+  } catch (error) {
+    sendError(res, error, 'Failed to check retailer auth');
+  }
+});
+
+// GET /api/retailers/:retailerId/stores?zipCode=95670 - Store lookup
+router.get('/:retailerId/stores', async (req, res) => {
+  try {
+    const adapter = retailers.getAdapter(req.params.retailerId, 'stores');
+    const stores = await adapter.findStores(req.query.zipCode, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 10, 50)
+    });
+
+    res.json({ success: true, retailerId: adapter.id, stores, count: stores.length });
+  } catch (error) {
+    sendError(res, error, 'Failed to find stores');
+  }
+});
+
+// POST /api/retailers/:retailerId/search - Product search { query, limit?, storeId? }
+router.post('/:retailerId/search', async (req, res) => {
+  try {
+    const { query, limit = 10, storeId } = req.body;
+    const adapter = retailers.getAdapter(req.params.retailerId, 'search');
+    const result = await adapter.searchProducts(query, {
+      limit: Math.min(parseInt(limit, 10) || 10, 50),
+      storeId
+    });
+
+    res.json({ success: true, retailerId: adapter.id, query, ...result });
+  } catch (error) {
+    sendError(res, error, 'Product search failed');
+  }
+});
+
+// GET /api/retailers/:retailerId/products/:productId - Product details (?storeId=)
+router.get('/:retailerId/products/:productId', async (req, res) => {
+  try {
+    const adapter = retailers.getAdapter(req.params.retailerId, 'details');
+    const product = await adapter.getProductDetails(req.params.productId, { storeId: req.query.storeId });
+
+    res.json({ success: true, retailerId: adapter.id, product });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch product details');
+  }
+});
+
+// POST /api/retailers/:retailerId/pricing - Prices for a list { items, storeId? }
+router.post('/:retailerId/pricing', async (req, res) => {
+  try {
+    const items = readItems(res, req.body.items);
+    if (!items) return;
+
+    const adapter = retailers.getAdapter(req.params.retailerId, 'pricing');
+    const pricing = await adapter.getPricing(items, { storeId: req.body.storeId });
+
+    res.json({ success: true, retailerId: adapter.id, ...pricing });
+  } catch (error) {
+    sendError(res, error, 'Failed to price items');
+  }
+});
+
+// POST /api/retailers/:retailerId/cart - Create a retailer cart { items, storeId?, modality?, title? }
+router.post('/:retailerId/cart', authenticateUser, async (req, res) => {
+  try {
+    const items = readItems(res, req.body.items);
+    if (!items) return;
+
+    const { storeId, modality, title } = req.body;
+    const adapter = retailers.getAdapter(req.params.retailerId, 'cart');
+
+    // Allergens stop a retailer cart unless the caller confirms them (allowAllergens)
+    const screened = await screenItems(req.user.uid, items, { allowAllergens: req.body.allowAllergens === true });
+    if (screened.held.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some items contain ingredients a household member is allergic to',
+        code: 'ALLERGEN_CONFLICT',
+        dietaryWarnings: screened.flagged
+      });
+    }
+    const cart = await adapter.createCart(screened.items, { userId: req.user.uid, storeId, modality, title });
+
+    logger.info(`Created ${adapter.id} cart ${cart.cartId} with ${items.length} items for ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      retailerId: adapter.id,
+      cart,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create cart');
+  }
+});
+
+module.exports = router;
@@ -90,6 +90,19 @@ const DEFAULT_SETTINGS = {
     enableExport: true
   },
   
+  // System layer of the per-user settings - households and users override these
+  // through /api/account/settings (see services/userSettingsService.js)
+  preferences: {
+    preferredRetailer: 'kroger',
+    zipCode: null,
+    dietaryRestrictions: [],
+    unitSystem: 'imperial',
+    brandPreferences: { preferred: [], avoided: [] },
+    organicPreference: 'any',
+    storeBrandPreference: 'any',
+    autoMergeCart: true
+  },
+  
   system: {
     environment: 'development',
     logLevel: 'info',
@@ -174,6 +187,46 @@ const validateSettings = (settings) => {
     if (!['claude', 'chatgpt', 'auto'].includes(ai.preferredAI)) {
       errors.push('Preferred AI must be claude, chatgpt, or auto');
     }
+    
+    if (ai.maxConcurrentRequests < 1 || ai.maxConcurrentRequests > 50) {
+      errors.push('Max concurrent requests must be between 1 and 50');
+    }
+    
+    if (ai.cacheExpiryMinutes < 0 || ai.cacheExpiryMinutes > 1440) {
+      errors.push('Cache expiry must be between 0 and 1440 minutes');
+    }
+    
+    ['excludePatterns', 'includePatterns'].forEach(key => {
+      if (!Array.isArray(ai[key]) || ai[key].some(pattern => typeof pattern !== 'string')) {
+        errors.push(`${key} must be a list of strings`);
+      }
+    });
+    
+    // "Snacks: chips, pretzels" or { name: 'Snacks', keywords: ['chips', 'pretzels'] }
+    if (!Array.isArray(ai.customCategories) || ai.customCategories.some(category => (
+      typeof category === 'string'
+        ? !/^[^:]+:.+$/.test(category)
+        : !category || typeof category.name !== 'string' || !Array.isArray(category.keywords)
+    ))) {
+      errors.push('Custom categories must be "Name: keyword, keyword" entries or { name, keywords } objects');
+    }
+  }
+  
+  // Validate default shopping preferences
+  if (settings.preferences) {
+    const prefs = settings.preferences;
+    
+    if (!['imperial', 'metric'].includes(prefs.unitSystem)) {
+      errors.push('Unit system must be imperial or metric');
+    }
+    
+    if (prefs.zipCode && !/^\d{5}(-\d{4})?$/.test(String(prefs.zipCode))) {
+      errors.push('ZIP code must be a 5-digit US ZIP code');
+    }
+    
+    if (!Array.isArray(prefs.dietaryRestrictions)) {
+      errors.push('Dietary restrictions must be a list');
+    }
   }
   
   // Validate product validation settings
@@ -206,9 +259,14 @@ router.get('/', (req, res) => {
   });
 });
 
+// The client asks for sections by URL-style name ("ai-parsing" for aiParsing)
+const resolveSection = (section) => (
+  section ? section.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()) : section
+);
+
 // Get specific settings section
 router.get('/:section', (req, res) => {
-  const { section } = req.params;
+  const section = resolveSection(req.params.section);
   console.log(`⚙️ Get ${section} settings request`);
   
   if (!currentSettings[section]) {
@@ -229,7 +287,7 @@ router.get('/:section', (req, res) => {
 
 // Update specific settings section
 router.post('/:section', async (req, res) => {
-  const { section } = req.params;
+  const section = resolveSection(req.params.section);
   const { settings } = req.body;
   
   console.log(`⚙️ Update ${section} settings request`);
@@ -293,7 +351,7 @@ router.post('/:section', async (req, res) => {
 
 // Reset settings to defaults
 router.post('/reset/:section?', async (req, res) => {
-  const { section } = req.params;
+  const section = resolveSection(req.params.section);
   const { confirm } = req.body;
   
   if (!confirm) {
@@ -444,7 +502,7 @@ router.post('/import', async (req, res) => {
 
 // Get settings schema/documentation
 router.get('/schema/:section?', (req, res) => {
-  const { section } = req.params;
+  const section = resolveSection(req.params.section);
   console.log(`📋 Get settings schema for ${section || 'all sections'}`);
   
   const schema = {
@@ -454,7 +512,13 @@ router.get('/schema/:section?', (req, res) => {
         strictMode: { type: 'boolean', description: 'Enable strict parsing for higher accuracy' },
         confidenceThreshold: { type: 'number', min: 0.1, max: 1.0, description: 'Minimum confidence for auto-acceptance' },
         enableAIValidation: { type: 'boolean', description: 'Use AI for additional validation' },
-        preferredAI: { type: 'string', enum: ['claude', 'chatgpt', 'auto'], description: 'Preferred AI service' }
+        preferredAI: { type: 'string', enum: ['claude', 'chatgpt', 'auto'], description: 'Preferred AI service' },
+        batchSize: { type: 'number', min: 1, max: 200, description: 'Ingredient lines sent per AI request' },
+        maxConcurrentRequests: { type: 'number', min: 1, max: 50, description: 'AI requests in flight at once' },
+        cacheExpiryMinutes: { type: 'number', min: 0, max: 1440, description: 'How long AI parse results are reused' },
+        excludePatterns: { type: 'array', description: 'Line types skipped when reading a list' },
+        includePatterns: { type: 'array', description: 'Signals that raise item confidence; other text forces a line to be read as an item' },
+        customCategories: { type: 'array', description: 'Categories checked before the built-in ones, as "Name: keyword, keyword"' }
       }
     },
     productValidation: {
@@ -464,6 +528,19 @@ router.get('/schema/:section?', (req, res) => {
         maxAlternatives: { type: 'number', min: 0, max: 20, description: 'Maximum alternatives to suggest' }
       }
     },
+    preferences: {
+      description: 'System defaults for per-user settings; households and users can override each one',
+      fields: {
+        preferredRetailer: { type: 'string', description: 'Retailer used when none is chosen' },
+        zipCode: { type: 'string', description: 'Default ZIP code for store lookup' },
+        dietaryRestrictions: { type: 'array', description: 'Dietary restrictions applied to meal plans' },
+        unitSystem: { type: 'string', enum: ['imperial', 'metric'], description: 'Default unit system' },
+        brandPreferences: { type: 'object', description: 'Preferred and avoided brands' },
+        organicPreference: { type: 'string', enum: ['any', 'prefer', 'avoid'], description: 'Lean product matches toward or away from organic' },
+        storeBrandPreference: { type: 'string', enum: ['any', 'prefer', 'avoid'], description: 'Lean product matches toward or away from store brands' },
+        autoMergeCart: { type: 'boolean', description: 'Merge parsed items into the cart instead of replacing it' }
+      }
+    },
     userInterface: {
       description: 'User interface and experience settings',
       fields: {
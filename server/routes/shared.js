@@ -0,0 +1,106 @@
+// server/routes/shared.js - Public read-only access to shared lists
+const express = require('express');
+const router = express.Router();
+const admin = require('firebase-admin');
+
+const db = admin.firestore();
+
+// Item fields a recipient is allowed to see - everything else (owner ids,
+// Instacart product ids, internal flags) stays private
+const PUBLIC_ITEM_FIELDS = [
+  'productName', 'name', 'quantity', 'unit', 'category', 'notes', 'checked'
+];
+
+const sanitizeItem = (item) => {
+  const clean = {};
+  for (const field of PUBLIC_ITEM_FIELDS) {
+    if (item[field] !== undefined && item[field] !== null) {
+      clean[field] = item[field];
+    }
+  }
+  return clean;
+};
+
+// GET /api/shared/:shareId - Get a sanitized, read-only copy of a shared list
+router.get('/:shareId', async (req, res) => {
+  try {
+    const { shareId } = req.params;
+
+    if (!/^share_[a-z0-9_]+$/i.test(shareId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shared list not found'
+      });
+    }
+
+    const shareRef = db.collection('listShares').doc(shareId);
+    const shareDoc = await shareRef.get();
+
+    if (!shareDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shared list not found'
+      });
+    }
+
+    const share = shareDoc.data();
+
+    if (share.revoked) {
+      return res.status(410).json({
+        success: false,
+        error: 'This share link has been revoked',
+        code: 'SHARE_REVOKED'
+      });
+    }
+
+    if (share.expiresAt && new Date(share.expiresAt) <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        error: 'This share link has expired',
+        code: 'SHARE_EXPIRED'
+      });
+    }
+
+    const listDoc = await db.collection('savedLists').doc(share.listId).get();
+
+    // The list may have been unshared or re-shared under a new link since this one was minted
+    if (!listDoc.exists || !listDoc.data().shared || listDoc.data().shareId !== shareId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shared list not found'
+      });
+    }
+
+    const listData = listDoc.data();
+    const items = (listData.items || []).map(sanitizeItem);
+
+    await shareRef.update({
+      viewCount: admin.firestore.FieldValue.increment(1),
+      lastViewedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      list: {
+        shareId: shareId,
+        name: listData.name,
+        items: items,
+        itemCount: items.length,
+        estimatedTotal: listData.estimatedTotal || 0,
+        sharedBy: share.ownerName || null,
+        sharedAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        updatedAt: listData.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching shared list:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shared list',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,113 +1,161 @@
-// SmashCart Routes - Comprehensive Kroger Cart Management
-// GET, POST, PUT, DELETE operations with store location and detailed cart information
+// SmashCart Routes - Retailer-agnostic cart management
+// GET, POST, PUT, DELETE operations with store location, modality and per-item
+// product details. Carts persist via smashCartService; products and stores come
+// from the retailer adapter registry (services/retailers).
 
 const express = require('express');
 const router = express.Router();
-// const KrogerSmashCartService = require('../services/KrogerSmashCartService'); // ARCHIVED - Kroger integration disabled
+const { authenticateUser } = require('../middleware/auth');
+const smashCartService = require('../services/smashCartService');
+const retailers = require('../services/retailers');
 
-// Initialize cart service
-// const cartService = new KrogerSmashCartService(); // ARCHIVED - Kroger integration disabled
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Carts are per user - the path userId must be the signed-in user
+const requireOwnCart = (req, res) => {
+  if (req.params.userId !== req.user.uid) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      message: 'You can only access your own cart',
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * GET /api/smash-cart/health
+ * Service health check
+ */
+router.get('/health', (req, res) => {
+  const cartRetailers = retailers.listRetailers().filter(retailer => retailer.capabilities.includes('cart'));
+
+  res.json({
+    service: 'smash_cart',
+    status: 'operational',
+    retailers: cartRetailers.map(retailer => ({
+      id: retailer.id,
+      name: retailer.name,
+      available: retailer.available
+    })),
+    modalities: retailers.MODALITIES,
+    timestamp: new Date().toISOString()
+  });
+});
 
 /**
  * GET /api/smash-cart/:userId
- * Retrieve comprehensive cart information with store location
+ * Retrieve cart with store location and product details
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticateUser, async (req, res) => {
   try {
+    if (!requireOwnCart(req, res)) return;
+
     const { userId } = req.params;
-    const { 
-      includeStoreInfo = 'true', 
-      includeProductDetails = 'true' 
+    const {
+      includeStoreInfo = 'true',
+      includeProductDetails = 'true'
     } = req.query;
-    
+
     console.log(`🛒 [GET CART API] Request for user: ${userId}`);
-    
-    const options = {
-      includeStoreInfo: includeStoreInfo === 'true',
-      includeProductDetails: includeProductDetails === 'true'
-    };
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger cart service has been disabled',
+
+    const stored = (await smashCartService.getCart(userId)) || smashCartService.emptyCart(userId);
+    const cart = smashCartService.present(stored);
+
+    if (includeStoreInfo !== 'true') {
+      delete cart.store;
+    }
+    if (includeProductDetails !== 'true') {
+      cart.items = cart.items.map(({ productDetails, ...item }) => item);
+    }
+
+    res.json({
+      success: true,
+      cart,
+      message: `Cart retrieved with ${cart.itemCount} items`,
       timestamp: new Date().toISOString(),
-      userId: userId
+      userId
     });
-    
+
   } catch (error) {
     console.error('❌ [GET CART API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, error, 'Failed to retrieve cart');
   }
 });
 
 /**
  * POST /api/smash-cart/:userId
- * Create cart or add items with comprehensive options
+ * Create cart or add items with store, modality and retailer options
  */
-router.post('/:userId', async (req, res) => {
+router.post('/:userId', authenticateUser, async (req, res) => {
   try {
+    if (!requireOwnCart(req, res)) return;
+
     const { userId } = req.params;
-    const { 
-      items = [], 
-      storeId, 
-      modality = 'PICKUP', 
-      clearExisting = false 
+    const {
+      items = [],
+      storeId,
+      store,
+      retailerId,
+      modality,
+      clearExisting = false
     } = req.body;
-    
+
     console.log(`🛒 [POST CART API] Request for user: ${userId}`);
-    console.log(`   Items: ${items.length}, Store: ${storeId}, Modality: ${modality}`);
-    
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Items array is required and must not be empty',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    const options = {
+    console.log(`   Items: ${items.length}, Store: ${storeId}, Modality: ${modality || 'unchanged'}`);
+
+    const { cart, heldForAllergies, dietaryWarnings, dietaryCheck } = await smashCartService.addItems(userId, items, {
+      retailerId,
       storeId,
+      store,
       modality,
-      clearExisting
-    };
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger cart service has been disabled',
+      clearExisting: clearExisting === true,
+      allowAllergens: req.body.allowAllergens === true
+    });
+    const unmatched = cart.items.filter(item => !item.matched).length;
+    const itemsAdded = items.length - heldForAllergies.length;
+
+    res.json({
+      success: true,
+      cart: smashCartService.present(cart),
+      itemsAdded,
+      unmatchedItems: unmatched,
+      heldForAllergies,
+      dietaryWarnings,
+      dietaryCheck,
+      message: `Added ${itemsAdded} items to cart`,
       timestamp: new Date().toISOString(),
-      userId: userId
+      userId
     });
-    
+
   } catch (error) {
     console.error('❌ [POST CART API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, error, 'Failed to add items to cart');
   }
 });
 
 /**
  * PUT /api/smash-cart/:userId
- * Update existing cart items
+ * Update existing cart items ({ itemId, action: update|remove|add }), store or modality
  */
-router.put('/:userId', async (req, res) => {
+router.put('/:userId', authenticateUser, async (req, res) => {
   try {
+    if (!requireOwnCart(req, res)) return;
+
     const { userId } = req.params;
     const updates = req.body;
-    
+
     console.log(`🛒 [PUT CART API] Request for user: ${userId}`);
-    console.log(`   Updates: ${JSON.stringify(updates, null, 2)}`);
-    
+
     if (!updates || Object.keys(updates).length === 0) {
       return res.status(400).json({
         success: false,
@@ -115,23 +163,23 @@ router.put('/:userId', async (req, res) => {
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger cart service has been disabled',
+
+    const { cart, applied, skipped, dietaryCheck } = await smashCartService.updateCart(userId, updates);
+
+    res.json({
+      success: true,
+      cart: smashCartService.present(cart),
+      applied,
+      skipped,
+      dietaryCheck,
+      message: `Applied ${applied} cart changes`,
       timestamp: new Date().toISOString(),
-      userId: userId
+      userId
     });
-    
+
   } catch (error) {
     console.error('❌ [PUT CART API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, error, 'Failed to update cart');
   }
 });
 
@@ -139,34 +187,29 @@ router.put('/:userId', async (req, res) => {
  * DELETE /api/smash-cart/:userId
  * Clear or completely remove cart
  */
-router.delete('/:userId', async (req, res) => {
+router.delete('/:userId', authenticateUser, async (req, res) => {
   try {
+    if (!requireOwnCart(req, res)) return;
+
     const { userId } = req.params;
-    const { removeCompletely = false } = req.query;
-    
+    const removeCompletely = req.query.removeCompletely === 'true';
+
     console.log(`🛒 [DELETE CART API] Request for user: ${userId}`);
     console.log(`   Remove completely: ${removeCompletely}`);
-    
-    const options = {
-      removeCompletely: removeCompletely === 'true'
-    };
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger cart service has been disabled',
+
+    const cart = await smashCartService.clearCart(userId, removeCompletely);
+
+    res.json({
+      success: true,
+      cart: cart ? smashCartService.present(cart) : null,
+      message: removeCompletely ? 'Cart removed' : 'Cart cleared',
       timestamp: new Date().toISOString(),
-      userId: userId
+      userId
     });
-    
+
   } catch (error) {
     console.error('❌ [DELETE CART API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, error, 'Failed to clear cart');
   }
 });
 
@@ -174,51 +217,25 @@ router.delete('/:userId', async (req, res) => {
  * GET /api/smash-cart/:userId/store/:storeId
  * Get detailed store information
  */
-router.get('/:userId/store/:storeId', async (req, res) => {
+router.get('/:userId/store/:storeId', authenticateUser, async (req, res) => {
   try {
-    const { storeId } = req.params;
-    
+    if (!requireOwnCart(req, res)) return;
+
+    const { userId, storeId } = req.params;
+
     console.log(`🏪 [STORE INFO API] Request for store: ${storeId}`);
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger store service has been disabled',
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    console.error('❌ [STORE INFO API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
 
-/**
- * GET /api/smash-cart/health
- * Service health check
- */
-router.get('/health', (req, res) => {
-  try {
-    // Kroger service disabled - return appropriate health status
+    const store = await smashCartService.getStoreInfo(userId, storeId);
+
     res.json({
-      service: 'kroger_smash_cart',
-      status: 'disabled',
-      message: 'Kroger integration has been archived',
+      success: true,
+      store,
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
-    res.status(500).json({
-      service: 'kroger_smash_cart',
-      status: 'error',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    console.error('❌ [STORE INFO API] Error:', error);
+    sendError(res, error, 'Failed to get store information');
   }
 });
 
@@ -226,13 +243,15 @@ router.get('/health', (req, res) => {
  * POST /api/smash-cart/:userId/search
  * Search for products to add to cart
  */
-router.post('/:userId/search', async (req, res) => {
+router.post('/:userId/search', authenticateUser, async (req, res) => {
   try {
+    if (!requireOwnCart(req, res)) return;
+
     const { userId } = req.params;
-    const { searchTerm, storeId, limit = 10 } = req.body;
-    
+    const { searchTerm, storeId, retailerId, limit = 10 } = req.body;
+
     console.log(`🔍 [PRODUCT SEARCH API] User: ${userId}, Term: "${searchTerm}"`);
-    
+
     if (!searchTerm) {
       return res.status(400).json({
         success: false,
@@ -240,23 +259,24 @@ router.post('/:userId/search', async (req, res) => {
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger product search has been disabled',
+
+    const result = await smashCartService.searchProducts(userId, searchTerm, {
+      storeId,
+      retailerId,
+      limit: Math.min(parseInt(limit, 10) || 10, 50)
+    });
+
+    res.json({
+      success: true,
       searchTerm,
+      ...result,
+      count: result.products.length,
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
     console.error('❌ [PRODUCT SEARCH API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, error, 'Product search failed');
   }
 });
 
@@ -264,13 +284,15 @@ router.post('/:userId/search', async (req, res) => {
  * POST /api/smash-cart/:userId/quick-add
  * Quick add items to cart (simplified interface)
  */
-router.post('/:userId/quick-add', async (req, res) => {
+router.post('/:userId/quick-add', authenticateUser, async (req, res) => {
   try {
+    if (!requireOwnCart(req, res)) return;
+
     const { userId } = req.params;
-    const { productNames = [], storeId } = req.body;
-    
+    const { productNames = [], storeId, retailerId } = req.body;
+
     console.log(`⚡ [QUICK ADD API] User: ${userId}, Products: ${productNames.length}`);
-    
+
     if (!Array.isArray(productNames) || productNames.length === 0) {
       return res.status(400).json({
         success: false,
@@ -278,29 +300,40 @@ router.post('/:userId/quick-add', async (req, res) => {
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Convert product names to cart items
+    if (productNames.some(name => typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'productNames must be non-empty strings',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Convert product names to cart items - addItems caps how many fit
     const items = productNames.map(name => ({
       productName: name,
       quantity: 1
     }));
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger quick-add service has been disabled',
+
+    const { cart, heldForAllergies, dietaryWarnings, dietaryCheck } = await smashCartService.addItems(userId, items, {
+      storeId,
+      retailerId,
+      allowAllergens: req.body.allowAllergens === true
+    });
+
+    res.json({
+      success: true,
+      cart: smashCartService.present(cart),
       method: 'quick-add',
+      itemsAdded: items.length - heldForAllergies.length,
+      heldForAllergies,
+      dietaryWarnings,
+      dietaryCheck,
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
     console.error('❌ [QUICK ADD API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, error, 'Failed to quick add items');
   }
 });
 
@@ -308,29 +341,28 @@ router.post('/:userId/quick-add', async (req, res) => {
  * GET /api/smash-cart/:userId/summary
  * Get cart summary with analytics
  */
-router.get('/:userId/summary', async (req, res) => {
+router.get('/:userId/summary', authenticateUser, async (req, res) => {
   try {
+    if (!requireOwnCart(req, res)) return;
+
     const { userId } = req.params;
-    
+
     console.log(`📊 [CART SUMMARY API] Request for user: ${userId}`);
-    
-    // Kroger service disabled - return appropriate response
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger cart summary service has been disabled',
-      userId: userId,
+
+    const cart = (await smashCartService.getCart(userId)) || smashCartService.emptyCart(userId);
+
+    res.json({
+      success: true,
+      userId,
+      summary: smashCartService.summarize(cart),
+      analytics: smashCartService.analytics(cart),
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
     console.error('❌ [CART SUMMARY API] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, error, 'Failed to get cart summary');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
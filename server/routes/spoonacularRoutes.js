@@ -6,6 +6,9 @@ const router = express.Router();
 const winston = require('winston');
 const spoonacularService = require('../services/spoonacularService');
 const spoonacularEnhanced = require('../services/spoonacularEnhanced');
+const householdProfileService = require('../services/householdProfileService');
+const { optionalAuth } = require('../middleware/auth');
+const { checkText, isBlocking } = require('../utils/dietaryConstraints');
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -540,8 +543,10 @@ router.post('/products/classify', async (req, res) => {
   }
 });
 
-// GET /api/spoonacular/ingredients/:name/substitutes - Get ingredient substitutes
-router.get('/ingredients/:name/substitutes', async (req, res) => {
+// GET /api/spoonacular/ingredients/:name/substitutes - Get ingredient substitutes.
+// Signed-in users also get each substitute checked against their household's
+// allergies and diets (substituteChecks), and the ones that are safe.
+router.get('/ingredients/:name/substitutes', optionalAuth, async (req, res) => {
   try {
     const { name } = req.params;
 
@@ -549,9 +554,28 @@ router.get('/ingredients/:name/substitutes', async (req, res) => {
 
     const substitutes = await spoonacularService.getIngredientSubstitutes(name);
 
+    let dietary = {};
+    if (req.user) {
+      try {
+        const constraints = await householdProfileService.getConstraints(req.user.uid);
+        // Substitutes read "1 cup butter = 1 cup coconut oil" - only the replacement side matters
+        const substituteChecks = (substitutes.substitutes || []).map(substitute => ({
+          substitute,
+          flags: checkText(String(substitute).split('=').pop(), constraints)
+        }));
+        dietary = {
+          substituteChecks,
+          safeSubstitutes: substituteChecks.filter(check => !isBlocking(check.flags)).map(check => check.substitute)
+        };
+      } catch (error) {
+        logger.warn('Could not check substitutes against dietary constraints:', error.message);
+      }
+    }
+
     res.json({
       success: true,
       ...substitutes,
+      ...dietary,
       source: 'spoonacular_substitutes'
     });
   } catch (error) {
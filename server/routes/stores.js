@@ -1,7 +1,11 @@
-// server/routes/stores.js - Kroger Store Location API
+// server/routes/stores.js - Kroger Store Location API and store aisle layouts
 const express = require('express');
 const router = express.Router();
+const admin = require('firebase-admin');
 const { authenticateUser } = require('../middleware/auth');
+const storeLayoutService = require('../services/storeLayoutService');
+const listCollaborationService = require('../services/listCollaborationService');
+const { orderByLayout, formatWalkingOrder, DEPARTMENTS } = require('../utils/storeLayouts');
 // const KrogerOrderService = require('../services/KrogerOrderService'); // ARCHIVED - Kroger integration disabled
 
 // const krogerService = new KrogerOrderService(); // ARCHIVED - Kroger integration disabled
@@ -89,6 +93,28 @@ router.get('/', authenticateUser, async (req, res) => {
   }
 });
 
+// GET /api/stores/layouts - Chain layout defaults plus the user's saved store layouts
+router.get('/layouts', authenticateUser, async (req, res) => {
+  try {
+    const custom = await storeLayoutService.getCustomLayouts(req.user.uid);
+
+    res.json({
+      success: true,
+      chains: storeLayoutService.getChainLayouts(),
+      custom,
+      departments: Object.entries(DEPARTMENTS).map(([id, dept]) => ({ id, name: dept.name }))
+    });
+  } catch (error) {
+    console.error('❌ Store layouts error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load store layouts',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/stores/:storeId - Get specific store details
 router.get('/:storeId', authenticateUser, async (req, res) => {
   try {
@@ -127,7 +153,20 @@ router.get('/:storeId', authenticateUser, async (req, res) => {
   }
 });
 
-// GET /api/stores/:storeId/departments - Get store departments
+// Helper function to validate layout store ids - Kroger location ids, retailer
+// slugs ("safeway") or a user's own key for their local store ("home-safeway")
+function rejectInvalidStoreId(res, storeId) {
+  if (storeLayoutService.isValidStoreId(storeId)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Invalid store ID',
+    message: 'Store ID must be 1-64 letters, numbers, dashes or underscores'
+  });
+  return true;
+}
+
+// GET /api/stores/:storeId/departments - Get store departments in walking order
 router.get('/:storeId/departments', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.uid;
@@ -135,23 +174,15 @@ router.get('/:storeId/departments', authenticateUser, async (req, res) => {
 
     console.log(`🏪 Store departments request for user ${userId}, store ${storeId}`);
 
-    // Validate store ID
-    if (!storeId || !storeId.match(/^\d{8}$/)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid store ID',
-        message: 'Store ID must be an 8-digit number'
-      });
-    }
+    if (rejectInvalidStoreId(res, storeId)) return;
 
-    // Kroger service disabled - return appropriate response
-    console.log(`🚫 Kroger store departments disabled for user ${userId}, store ${storeId}`);
+    const layout = await storeLayoutService.getLayout(userId, storeId, req.query.chain);
 
-    res.status(503).json({
-      success: false,
-      error: 'Service unavailable',
-      message: 'Kroger store departments service has been disabled',
-      storeId: storeId
+    res.json({
+      success: true,
+      storeId,
+      layout,
+      departments: layout.departments
     });
 
   } catch (error) {
@@ -165,4 +196,104 @@ router.get('/:storeId/departments', authenticateUser, async (req, res) => {
   }
 });
 
+// PUT /api/stores/:storeId/layout - Save a custom aisle order for a store
+router.put('/:storeId/layout', authenticateUser, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+
+    if (rejectInvalidStoreId(res, storeId)) return;
+
+    const layout = await storeLayoutService.saveLayout(req.user.uid, storeId, req.body);
+
+    res.json({
+      success: true,
+      layout,
+      message: 'Store layout saved'
+    });
+
+  } catch (error) {
+    console.error('❌ Save store layout error:', error);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save store layout',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/stores/:storeId/layout - Reset a store to its chain default layout
+router.delete('/:storeId/layout', authenticateUser, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+
+    if (rejectInvalidStoreId(res, storeId)) return;
+
+    const layout = await storeLayoutService.resetLayout(req.user.uid, storeId, req.query.chain);
+
+    res.json({
+      success: true,
+      layout,
+      message: 'Store layout reset to default'
+    });
+
+  } catch (error) {
+    console.error('❌ Reset store layout error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset store layout',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/stores/:storeId/walking-order - Sort a cart or list into walking order
+// Body: { items } | { listId } | { source: 'cart' }, optional chain and format ('json' | 'text')
+router.post('/:storeId/walking-order', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { storeId } = req.params;
+    const { items, listId, source, chain, format = 'json' } = req.body;
+
+    if (rejectInvalidStoreId(res, storeId)) return;
+
+    let listItems = items;
+    if (!Array.isArray(listItems) && listId) {
+      const { list } = await listCollaborationService.getListForUser(listId, userId);
+      listItems = list.items || [];
+    } else if (!Array.isArray(listItems) && source === 'cart') {
+      const cartDoc = await admin.firestore().collection('carts').doc(userId).get();
+      listItems = cartDoc.exists ? cartDoc.data().items || [] : [];
+    }
+
+    if (!Array.isArray(listItems)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide items, a listId or source: "cart"'
+      });
+    }
+
+    const layout = await storeLayoutService.getLayout(userId, storeId, chain);
+    const groups = orderByLayout(listItems, layout);
+
+    res.json({
+      success: true,
+      layout,
+      groups,
+      itemCount: listItems.length,
+      ...(format === 'text' ? { text: formatWalkingOrder(groups, layout) } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Walking order error:', error);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to sort items into walking order',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,7 @@ const { authenticateUser } = require('../middleware/auth');
 const MealPlanParser = require('../services/aiMealPlanParser');
 const RecipeImportService = require('../services/recipeImportService');
 const { saveRecipeToDatabase, getUserRecipes, deleteUserRecipe } = require('../services/databaseService');
+const { FORMATS, convertRecipe } = require('../utils/recipeFormats');
 
 // Initialize services
 const mealPlanParser = new MealPlanParser();
@@ -261,9 +262,9 @@ router.delete('/:recipeId', authenticateUser, async (req, res) => {
  * POST /api/recipes/to-cart
  * Convert recipe ingredients to shopping cart format
  */
-router.post('/to-cart', async (req, res) => {
+router.post('/to-cart', authenticateUser, async (req, res) => {
   try {
-    const { recipe, userId } = req.body;
+    const { recipe } = req.body;
 
     if (!recipe || !recipe.ingredients || recipe.ingredients.length === 0) {
       return res.status(400).json({
@@ -279,15 +280,18 @@ router.post('/to-cart', async (req, res) => {
                            recipe.ingredients.join('\n') : 
                            recipe.ingredients;
 
-    // This will use the existing cart parsing API internally
+    // This will use the existing cart parsing API internally - it checks the
+    // caller's pantry and household, so it needs the caller's own token
     const API_URL = process.env.API_URL || 'http://localhost:3001';
     const response = await fetch(`${API_URL}/api/cart/parse`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(req.headers.authorization && { Authorization: req.headers.authorization })
+      },
       body: JSON.stringify({
         listText: ingredientsText,
         action: 'new', // Create new cart items
-        userId: userId,
         source: `recipe:${recipe.title}`,
         options: {
           mergeDuplicates: true,
@@ -629,10 +633,14 @@ ${instructions}
         break;
 
       default:
-        return res.status(400).json({
-          success: false,
-          error: 'Unsupported target format'
-        });
+        // schema.org, Paprika, Mealie, Tandoor, Cooklang and Meal-Master
+        if (!FORMATS[targetFormat]) {
+          return res.status(400).json({
+            success: false,
+            error: 'Unsupported target format'
+          });
+        }
+        converted = convertRecipe(recipe, targetFormat);
     }
 
     res.json({
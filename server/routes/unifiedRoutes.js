@@ -4,6 +4,10 @@
 const express = require('express');
 const router = express.Router();
 const fetch = (...args) => import('node-fetch').then(({default: f}) => f(...args));
+const { authenticateUser } = require('../middleware/auth');
+const { saveRecipeToDatabase, getUserRecipes, getUserRecipe } = require('../services/databaseService');
+const { FORMATS, importRecipes, exportRecipes, convertRecipe } = require('../utils/recipeFormats');
+const { scaleRecipe } = require('../utils/recipeScaling');
 
 const API_ROOT = process.env.API_ROOT || `http://localhost:${process.env.PORT || 3001}`;
 
@@ -228,10 +232,15 @@ router.post('/convert-format', async (req, res) => {
         break;
 
       default:
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid target format'
-        });
+        // Interchange formats other recipe managers understand
+        if (!FORMATS[targetFormat]) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid target format',
+            supportedFormats: ['markdown', ...Object.keys(FORMATS)]
+          });
+        }
+        converted = convertRecipe(recipe, targetFormat);
     }
 
     res.json({
@@ -249,4 +258,142 @@ router.post('/convert-format', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Recipes saved per request when importing a library file
+const MAX_IMPORT_RECIPES = 1000;
+
+// --- GET /api/unified/formats ---
+router.get('/formats', (req, res) => {
+  res.json({
+    success: true,
+    formats: Object.entries(FORMATS).map(([id, f]) => ({ id, label: f.label, extension: f.extension }))
+  });
+});
+
+// --- POST /api/unified/export ---
+// Body: { format, recipeIds? } - omit recipeIds to export the whole library.
+// The file comes back base64-encoded so the client can offer it as a download.
+router.post('/export', authenticateUser, async (req, res) => {
+  try {
+    const { format = 'schema.org', recipeIds } = req.body || {};
+    if (!FORMATS[format]) {
+      return res.status(400).json({ success:false, error:`Unsupported export format: ${format}` });
+    }
+
+    let recipes = await getUserRecipes(req.user.uid);
+    if (Array.isArray(recipeIds) && recipeIds.length) {
+      const wanted = new Set(recipeIds);
+      recipes = recipes.filter(r => wanted.has(r.id));
+    }
+    if (!recipes.length) {
+      return res.status(404).json({ success:false, error:'No recipes to export' });
+    }
+
+    const file = exportRecipes(recipes, format);
+    res.json({
+      success: true,
+      format,
+      count: file.count,
+      filename: file.filename,
+      contentType: file.contentType,
+      encoding: 'base64',
+      data: file.data.toString('base64')
+    });
+  } catch (e) {
+    console.error('Error in recipe export:', e);
+    res.status(500).json({ success:false, error: String(e) });
+  }
+});
+
+// --- POST /api/unified/import-file ---
+// Body: { filename, content, encoding: 'base64'|'utf8', format?, save? }
+// Format is detected from the filename/contents when not given.
+router.post('/import-file', authenticateUser, async (req, res) => {
+  try {
+    const { filename = '', content, encoding = 'base64', format, save = true } = req.body || {};
+    if (!content) {
+      return res.status(400).json({ success:false, error:'File content is required' });
+    }
+    if (format && !FORMATS[format]) {
+      return res.status(400).json({ success:false, error:`Unsupported import format: ${format}` });
+    }
+
+    let parsed;
+    try {
+      parsed = importRecipes(Buffer.from(content, encoding === 'utf8' ? 'utf8' : 'base64'), { filename, format });
+    } catch (parseError) {
+      return res.status(400).json({ success:false, error: parseError.message });
+    }
+
+    if (parsed.recipes.length > MAX_IMPORT_RECIPES) {
+      return res.status(400).json({
+        success: false,
+        error: `Files are limited to ${MAX_IMPORT_RECIPES} recipes per import (found ${parsed.recipes.length})`
+      });
+    }
+
+    const saved = [];
+    const errors = [...parsed.errors];
+    if (save) {
+      for (const recipe of parsed.recipes) {
+        try {
+          await saveRecipeToDatabase(req.user.uid, recipe);
+          saved.push(recipe.id);
+        } catch (saveError) {
+          errors.push({ entry: recipe.title, error: saveError.message });
+        }
+      }
+    }
+
+    res.json({
+      success: parsed.recipes.length > 0,
+      format: parsed.format,
+      count: parsed.recipes.length,
+      saved: saved.length,
+      recipes: parsed.recipes,
+      errors
+    });
+  } catch (e) {
+    console.error('Error in recipe file import:', e);
+    res.status(500).json({ success:false, error: String(e) });
+  }
+});
+
+const sendScaled = (res, recipe, servings, baseServings) => {
+  const { recipe: scaled, factor, warnings } = scaleRecipe(recipe, servings, { baseServings });
+  res.json({ success:true, recipe: scaled, factor, warnings });
+};
+
+// --- POST /api/unified/scale ---
+// Body: { recipe, servings, baseServings? } - for recipes that aren't saved yet
+router.post('/scale', (req, res) => {
+  const { recipe, servings, baseServings } = req.body || {};
+  if (!recipe || !Array.isArray(recipe.ingredients)) {
+    return res.status(400).json({ success:false, error:'Recipe with ingredients is required' });
+  }
+  try {
+    sendScaled(res, recipe, servings, baseServings);
+  } catch (e) {
+    res.status(400).json({ success:false, error: e.message });
+  }
+});
+
+// --- POST /api/unified/:recipeId/scale ---
+// Body: { servings, baseServings? } - scales a library recipe without changing the saved copy
+router.post('/:recipeId/scale', authenticateUser, async (req, res) => {
+  try {
+    const recipe = await getUserRecipe(req.user.uid, req.params.recipeId);
+    if (!recipe) {
+      return res.status(404).json({ success:false, error:'Recipe not found' });
+    }
+    try {
+      sendScaled(res, recipe, req.body?.servings, req.body?.baseServings);
+    } catch (scaleError) {
+      res.status(400).json({ success:false, error: scaleError.message });
+    }
+  } catch (e) {
+    console.error('Error scaling recipe:', e);
+    res.status(500).json({ success:false, error: String(e) });
+  }
+});
+
+module.exports = router;
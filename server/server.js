@@ -929,7 +929,15 @@ app.get('/', (req, res) => {
         'GET /api/account/lists': 'Get saved lists',
         'POST /api/account/lists': 'Save a new list',
         'GET /api/account/stats': 'Get user statistics',
-        'GET /api/account/export': 'Export all user data'
+        'GET /api/account/export': 'Export all user data',
+        'POST /api/account/lists/:listId/share': 'Create an expiring share link for a list',
+        'DELETE /api/account/lists/:listId/share': 'Revoke a list share link',
+        'GET /api/account/lists/:listId/members': 'Get household list members',
+        'POST /api/account/lists/:listId/members': 'Add a member as editor or viewer',
+        'POST /api/account/lists/:listId/operations': 'Apply item add/remove/check operations'
+      },
+      shared: {
+        'GET /api/shared/:shareId': 'Get a read-only copy of a shared list (public)'
       },
       cart: {
         'POST /api/cart/parse': 'Parse grocery list text',
@@ -1016,7 +1024,6 @@ app.get('/api/docs', (req, res) => {
             body: {
               listText: 'string (required) - Raw grocery list text',
               action: 'string (optional) - "merge" or "replace"',
-              userId: 'string (optional) - User identifier',
               options: {
                 mergeDuplicates: 'boolean - Merge duplicate items',
                 useAI: 'boolean - Use AI for parsing'
@@ -1173,7 +1180,9 @@ const routes = [
   { path: '/api/smash-cart', module: './routes/smash-cart' },  // New comprehensive cart service
   { path: '/api/grocery', module: './routes/grocery' },
   { path: '/api/account', module: './routes/account' },
+  { path: '/api/shared', module: './routes/shared' },  // Public read-only shared lists
   { path: '/api/stores', module: './routes/stores' },
+  { path: '/api/retailers', module: './routes/retailers' },  // Retailer adapter registry (search, pricing, carts, stores)
   { path: '/api/settings', module: './routes/settings' },  // Admin settings management
   { path: '/api/analytics', module: './routes/analytics' },  // Admin dashboard analytics
   { path: '/api/monitoring', module: './routes/monitoring' },  // External service monitoring
@@ -1291,6 +1300,19 @@ if (require.main === module) {
   //   // Continue without WebSocket - agent system can still work via REST API
   // }
 
+  // Real-time co-editing for household lists
+  try {
+    const ListCollaborationServer = require('./websocket/listCollaborationServer');
+    app.set('listCollaboration', new ListCollaborationServer(httpServer));
+    logger.info('✅ List collaboration WebSocket server initialized');
+  } catch (error) {
+    logger.error('List collaboration WebSocket initialization failed:', {
+      message: error.message,
+      stack: error.stack
+    });
+    logger.warn('⚠️ Server will continue without live list updates');
+  }
+
   const server = httpServer.listen(PORT, () => {
     // Simplified startup message for production
     logger.info('========================================');
@@ -1319,6 +1341,11 @@ if (require.main === module) {
   });
   
   app.set('server', server);
+
+  // Daily "use it up" check for pantry items close to expiry
+  if (global.firebaseAvailable) {
+    require('./services/expiryService').startDailyJob();
+  }
 }
 
 module.exports = app;
@@ -0,0 +1,427 @@
+// server/services/accountDataService.js
+// Data portability and erasure for an account: the export bundle served by
+// GET /api/account/export, importing such a bundle back (new IDs, merged into
+// or replacing what is there), and deleting everything stored for a uid.
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const { ValidationError } = require('../middleware/errorHandler');
+const userSettingsService = require('./userSettingsService');
+const { getCartStore } = require('./cartStore');
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'account-data' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const EXPORT_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+const MAX_IMPORT_DOCUMENTS = 5000;
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+// Top-level collections whose documents carry the owner's userId
+const OWNED_COLLECTIONS = ['savedLists', 'mealPlans', 'recipes', 'shoppingHistory'];
+// Collections keyed by uid
+const USER_DOC_COLLECTIONS = ['profiles', 'carts', 'userStats'];
+
+// Profile fields a client may set, through PUT /profile or an import
+const PROFILE_FIELDS = [
+  'displayName', 'phone', 'defaultStore', 'dietaryPreferences',
+  'familySize', 'weeklyBudget', 'notifications'
+];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+class AccountDataService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  async exportAccount(userId) {
+    const db = this.getDB();
+    const [profile, cart, ...owned] = await Promise.all([
+      db.collection('profiles').doc(userId).get(),
+      db.collection('carts').doc(userId).get(),
+      ...OWNED_COLLECTIONS.map(name => db.collection(name).where('userId', '==', userId).get())
+    ]);
+
+    const exportData = {
+      exportVersion: EXPORT_VERSION,
+      profile: profile.exists ? profile.data() : null,
+      currentCart: cart.exists ? cart.data() : null,
+      exportDate: new Date().toISOString(),
+      userId
+    };
+    OWNED_COLLECTIONS.forEach((name, index) => {
+      exportData[name] = owned[index].docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    });
+    return exportData;
+  }
+
+  /**
+   * Check an export bundle's shape before anything is written
+   * @returns {Object} the bundle with every collection defaulted to an array
+   */
+  validateBundle(bundle) {
+    // Accept the whole GET /export response as well as its data
+    const data = isPlainObject(bundle) && isPlainObject(bundle.data) && bundle.success !== undefined ? bundle.data : bundle;
+    if (!isPlainObject(data)) {
+      throw new ValidationError('Import data must be an exported account bundle', 'data');
+    }
+    if (data.exportVersion !== undefined && data.exportVersion > EXPORT_VERSION) {
+      throw new ValidationError(`Export version ${data.exportVersion} is newer than this server supports`, 'exportVersion');
+    }
+
+    const normalized = {};
+    let total = 0;
+    for (const name of OWNED_COLLECTIONS) {
+      const entries = data[name] ?? [];
+      if (!Array.isArray(entries)) {
+        throw new ValidationError(`${name} must be an array`, name);
+      }
+      const invalid = entries.findIndex(entry => !isPlainObject(entry));
+      if (invalid !== -1) {
+        throw new ValidationError(`${name}[${invalid}] must be an object`, name);
+      }
+      normalized[name] = entries;
+      total += entries.length;
+    }
+    if (total > MAX_IMPORT_DOCUMENTS) {
+      throw new ValidationError(`Import is too large (${total} documents, max ${MAX_IMPORT_DOCUMENTS})`, 'data');
+    }
+
+    if (data.profile != null && !isPlainObject(data.profile)) {
+      throw new ValidationError('profile must be an object', 'profile');
+    }
+    if (data.currentCart != null && (!isPlainObject(data.currentCart) || !Array.isArray(data.currentCart.items || []))) {
+      throw new ValidationError('currentCart must be an object with an items array', 'currentCart');
+    }
+
+    for (const list of normalized.savedLists) {
+      if (typeof list.name !== 'string' || !Array.isArray(list.items)) {
+        throw new ValidationError('Every saved list needs a name and an items array', 'savedLists');
+      }
+    }
+
+    return { ...normalized, profile: data.profile || null, currentCart: data.currentCart || null };
+  }
+
+  /**
+   * Import an export bundle. Every document gets a new ID; references between
+   * documents (recipe → meal plan, cart item → recipe/meal plan/trip) follow
+   * their targets and are dropped when the target isn't in the bundle.
+   * @param {string} userId
+   * @param {Object} bundle GET /export data
+   * @param {Object} options { mode: 'merge' | 'replace' }
+   * @returns {Promise<Object>} counts per collection and the old → new ID map
+   */
+  async importAccount(userId, bundle, { mode = 'merge' } = {}) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new ValidationError(`mode must be one of: ${IMPORT_MODES.join(', ')}`, 'mode');
+    }
+    const data = this.validateBundle(bundle);
+    const db = this.getDB();
+    const now = new Date().toISOString();
+
+    // Allocate every new ID first so references can be rewritten in one pass
+    const idMap = {};
+    const refs = {};
+    for (const name of OWNED_COLLECTIONS) {
+      idMap[name] = {};
+      refs[name] = data[name].map(entry => {
+        const ref = db.collection(name).doc();
+        if (entry.id) idMap[name][String(entry.id)] = ref.id;
+        return ref;
+      });
+    }
+    const remap = (name, oldId) => (oldId != null ? idMap[name][String(oldId)] || null : null);
+
+    // Replace writes the new documents before removing the old ones, so a failed
+    // import leaves what the user had in place
+    const previous = mode === 'replace' ? await this.listOwnedDocuments(userId) : null;
+
+    const writes = [];
+    const counts = {};
+    for (const name of OWNED_COLLECTIONS) {
+      data[name].forEach((entry, index) => {
+        const { id, ...fields } = entry;
+        writes.push([refs[name][index], this.prepareDocument(name, fields, { userId, remap, now })]);
+      });
+      counts[name] = data[name].length;
+    }
+
+    if (data.profile) {
+      const profile = Object.fromEntries(PROFILE_FIELDS
+        .filter(field => data.profile[field] !== undefined)
+        .map(field => [field, data.profile[field]]));
+      writes.push([db.collection('profiles').doc(userId), { ...profile, userId, updatedAt: now }, { merge: true }]);
+    }
+
+    let cartItems = 0;
+    if (data.currentCart) {
+      const imported = (data.currentCart.items || []).map(item => this.prepareCartItem(item, remap));
+      const cartRef = db.collection('carts').doc(userId);
+      const existing = mode === 'merge' ? await cartRef.get() : null;
+      const items = [...(existing && existing.exists ? existing.data().items || [] : []), ...imported];
+      writes.push([cartRef, { items, userId, lastUpdated: now }, { merge: true }]);
+      cartItems = imported.length;
+    }
+
+    await this.commitWrites(writes);
+    const replaced = previous ? await this.deleteRefs(previous) : null;
+    logger.info(`📥 Imported account bundle for ${userId} (${mode}): ${JSON.stringify(counts)}, ${cartItems} cart items`);
+
+    return {
+      mode,
+      imported: { ...counts, profile: !!data.profile, cartItems },
+      replaced,
+      idMap
+    };
+  }
+
+  /**
+   * An imported document belongs to the importing user, starts unshared, and
+   * points at the new IDs of anything it referenced
+   */
+  prepareDocument(collection, fields, { userId, remap, now }) {
+    const doc = { ...fields, userId, importedAt: now };
+
+    if (collection === 'savedLists') {
+      Object.assign(doc, { shared: false, shareId: null, members: {}, memberIds: [], version: 0 });
+      doc.itemCount = Array.isArray(doc.items) ? doc.items.length : 0;
+    }
+    if (collection === 'recipes' && isPlainObject(doc.fromMealPlan)) {
+      const mealPlanId = remap('mealPlans', doc.fromMealPlan.id);
+      doc.fromMealPlan = mealPlanId ? { ...doc.fromMealPlan, id: mealPlanId } : null;
+    }
+    if (collection === 'shoppingHistory') {
+      // Receipts aren't part of the export
+      delete doc.receiptId;
+    }
+    return doc;
+  }
+
+  prepareCartItem(item, remap) {
+    const prepared = { ...item };
+    const references = { fromRecipeId: 'recipes', fromMealId: 'mealPlans', fromHistory: 'shoppingHistory' };
+    for (const [field, collection] of Object.entries(references)) {
+      if (prepared[field] === undefined) continue;
+      const mapped = remap(collection, prepared[field]);
+      if (mapped) prepared[field] = mapped;
+      else delete prepared[field];
+    }
+    return prepared;
+  }
+
+  async commitWrites(writes) {
+    const db = this.getDB();
+    for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+      const batch = db.batch();
+      writes.slice(start, start + BATCH_SIZE).forEach(([ref, data, options]) => {
+        if (options) batch.set(ref, data, options);
+        else batch.set(ref, data);
+      });
+      await batch.commit();
+    }
+  }
+
+  // Delete every document a query returns, in batches; returns how many
+  async deleteQuery(query) {
+    const db = this.getDB();
+    let deleted = 0;
+    for (;;) {
+      const snapshot = await query.limit(BATCH_SIZE).get();
+      if (snapshot.empty) return deleted;
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      deleted += snapshot.size;
+    }
+  }
+
+  ownedQueries(userId) {
+    const db = this.getDB();
+    const queries = { listShares: db.collection('listShares').where('ownerId', '==', userId) };
+    for (const name of OWNED_COLLECTIONS) {
+      queries[name] = db.collection(name).where('userId', '==', userId);
+    }
+    return queries;
+  }
+
+  // References to everything deleteOwnedDocuments would remove, by collection
+  async listOwnedDocuments(userId) {
+    const refs = {};
+    for (const [name, query] of Object.entries(this.ownedQueries(userId))) {
+      const snapshot = await query.select().get();
+      refs[name] = snapshot.docs.map(doc => doc.ref);
+    }
+    return refs;
+  }
+
+  // Delete the given references in batches; returns how many per collection
+  async deleteRefs(refsByName) {
+    const db = this.getDB();
+    const counts = {};
+    for (const [name, refs] of Object.entries(refsByName)) {
+      for (let start = 0; start < refs.length; start += BATCH_SIZE) {
+        const batch = db.batch();
+        refs.slice(start, start + BATCH_SIZE).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+      counts[name] = refs.length;
+    }
+    return counts;
+  }
+
+  // The user's lists, meal plans, recipes and trips, plus share links to their lists
+  async deleteOwnedDocuments(userId) {
+    const counts = {};
+    for (const [name, query] of Object.entries(this.ownedQueries(userId))) {
+      counts[name] = await this.deleteQuery(query);
+    }
+    return counts;
+  }
+
+  /**
+   * Erase an account: Firestore documents (owned collections, per-uid docs and
+   * every users/{uid} subcollection), share links, list and household
+   * memberships, the cart store, cached retailer tokens, analytics, price
+   * alerts and observations, and finally the Firebase Auth user. Each step runs
+   * even if an earlier one failed; the receipt says what happened. Mongo-backed
+   * steps are recorded as not_configured when the server runs without MongoDB.
+   * @returns {Promise<Object>} deletion receipt
+   */
+  async deleteAccount(userId, { deleteAuthUser = true } = {}) {
+    const db = this.getDB();
+    const receipt = {
+      receiptId: `del_${crypto.randomBytes(12).toString('hex')}`,
+      // Hashed so the stored receipt doesn't keep the identifier it attests was erased
+      subject: crypto.createHash('sha256').update(userId).digest('hex'),
+      requestedAt: new Date().toISOString(),
+      completedAt: null,
+      status: 'completed',
+      deleted: {},
+      errors: []
+    };
+
+    const step = async (name, action) => {
+      try {
+        receipt.deleted[name] = await action();
+      } catch (error) {
+        logger.error(`Account deletion step ${name} failed for ${userId}:`, error.message);
+        receipt.errors.push({ step: name, message: error.message });
+        receipt.status = 'partial';
+      }
+    };
+
+    await step('ownedDocuments', () => this.deleteOwnedDocuments(userId));
+    await step('listMemberships', async () => {
+      const snapshot = await db.collection('savedLists').where('memberIds', 'array-contains', userId).get();
+      await this.commitUpdates(snapshot.docs.map(doc => [doc.ref, {
+        [`members.${userId}`]: admin.firestore.FieldValue.delete(),
+        memberIds: admin.firestore.FieldValue.arrayRemove(userId)
+      }]));
+      return snapshot.size;
+    });
+    await step('household', async () => {
+      const membership = await userSettingsService.getHouseholdForUser(userId);
+      if (!membership) return null;
+      const { deleted } = await userSettingsService.removeMember(userId, userId);
+      return deleted ? 'dissolved' : 'left';
+    });
+    await step('userDocuments', async () => {
+      const counts = {};
+      for (const name of USER_DOC_COLLECTIONS) {
+        const ref = db.collection(name).doc(userId);
+        counts[name] = (await ref.get()).exists ? 1 : 0;
+        await ref.delete();
+      }
+      return counts;
+    });
+    await step('userSubcollections', async () => {
+      const userRef = db.collection('users').doc(userId);
+      const counts = {};
+      for (const subcollection of await userRef.listCollections()) {
+        counts[subcollection.id] = await this.deleteQuery(subcollection);
+      }
+      await userRef.delete();
+      return counts;
+    });
+    await step('cartStore', () => getCartStore().purgeUser(userId));
+
+    // Without MONGODB_URI nothing was ever written to Mongo; with it, a dropped
+    // connection must fail the step rather than pass it silently
+    const mongoStep = (name, action) => step(name, () => {
+      if (mongoose.connection.readyState === 1) return action();
+      if (!process.env.MONGODB_URI) return 'not_configured';
+      throw new Error('MongoDB is not connected');
+    });
+    await mongoStep('tokens', async () => {
+      // Lazy-loaded - these start timers and register models on require
+      const tokenStore = require('./TokenStore');
+      if (!(await tokenStore.deleteTokens(userId))) {
+        throw new Error('Token store did not confirm deletion');
+      }
+      return true;
+    });
+    await mongoStep('analytics', () => require('./analyticsService').deleteUserEvents(userId));
+    await mongoStep('priceHistory', () => require('./priceHistoryService').deleteUserData(userId));
+
+    if (deleteAuthUser) {
+      await step('authUser', async () => {
+        try {
+          await admin.auth().deleteUser(userId);
+          return true;
+        } catch (error) {
+          if (error.code === 'auth/user-not-found') return false;
+          throw error;
+        }
+      });
+    }
+
+    receipt.completedAt = new Date().toISOString();
+
+    // Kept for our records of erasure requests - no personal data in it
+    await db.collection('accountDeletions').doc(receipt.receiptId).set(receipt).catch(error => {
+      logger.warn('Failed to store deletion receipt:', error.message);
+    });
+
+    logger.info(`🗑️ Account deletion ${receipt.receiptId} finished with status ${receipt.status}`);
+    return receipt;
+  }
+
+  async commitUpdates(updates) {
+    const db = this.getDB();
+    for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+      const batch = db.batch();
+      updates.slice(start, start + BATCH_SIZE).forEach(([ref, data]) => batch.update(ref, data));
+      await batch.commit();
+    }
+  }
+}
+
+// Create singleton instance
+const accountDataService = new AccountDataService();
+
+module.exports = accountDataService;
+module.exports.EXPORT_VERSION = EXPORT_VERSION;
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
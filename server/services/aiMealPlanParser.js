@@ -78,7 +78,7 @@ class MealPlanParser {
             name: recipeName,
             ingredients: this.extractIngredientsFromAI(item),
             instructions: [],
-            nutrition: { calories: item.calories || 400 },
+            nutrition: { calories: item.calories || null },
             time: this.generateRealisticCookingTimes(recipeName, mealType),
             tags: [],
             dayAssigned: currentDay,
@@ -754,12 +754,14 @@ class MealPlanParser {
         difficulty: this.calculateDifficulty(recipe),
         ingredients: recipe.ingredients,
         instructions: this.generateInstructions(recipe),
+        // Only the calories the plan text states - macros and sodium stay null
+        // (unknown) until the route computes them from the ingredients
         nutrition: {
-          calories: recipe.nutrition.calories || 0,
-          protein: Math.round(recipe.nutrition.calories * 0.25 / 4) || 0, // Estimate
-          carbs: Math.round(recipe.nutrition.calories * 0.5 / 4) || 0,
-          fat: Math.round(recipe.nutrition.calories * 0.25 / 9) || 0,
-          fiber: 5 // Default estimate
+          calories: recipe.nutrition.calories || null,
+          protein: null,
+          carbs: null,
+          fat: null,
+          sodium: null
         },
         tags: recipe.tags,
         imageUrl: this.generateImageUrl(recipe.name),
@@ -64,7 +64,7 @@ class AnalyticsService {
     };
 
     // Clean up old per-minute stats every minute
-    setInterval(() => this.cleanupRealtimeStats(), 60000);
+    setInterval(() => this.cleanupRealtimeStats(), 60000).unref();
   }
 
   // Track general analytics event
@@ -400,6 +400,16 @@ class AnalyticsService {
     return formatted;
   }
 
+  // Remove every event and API usage record tied to a user (account deletion)
+  async deleteUserEvents(userId) {
+    const [events, apiUsage] = await Promise.all([
+      Analytics.deleteMany({ userId }),
+      ApiUsage.deleteMany({ userId })
+    ]);
+    logger.info(`Deleted ${events.deletedCount} analytics events and ${apiUsage.deletedCount} API usage records for ${userId}`);
+    return { events: events.deletedCount, apiUsage: apiUsage.deletedCount };
+  }
+
   // Helper to get start time based on range
   getStartTime(range) {
     const now = new Date();
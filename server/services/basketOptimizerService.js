@@ -0,0 +1,137 @@
+// server/services/basketOptimizerService.js
+// Prices a whole cart at every chain in the retailer registry and hands the
+// numbers to utils/basketOptimizer. Chains with a live adapter are priced at
+// their nearest store for the ZIP; the rest fall back to prices observed in
+// price history. Estimated prices are never used - an item without a real
+// price counts as unavailable at that chain.
+
+const winston = require('winston');
+const retailers = require('./retailers');
+const priceHistoryService = require('./priceHistoryService');
+const { optimizeBasket } = require('../utils/basketOptimizer');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'basket-optimizer' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+class BasketOptimizerService {
+  /**
+   * Cheapest single store and cheapest two-store split for a cart.
+   * retailerIds limits the comparison to some chains (default: every chain with fees).
+   */
+  async optimize({ items, zipCode, retailerIds }) {
+    if (!/^\d{5}$/.test(String(zipCode || ''))) {
+      throw new ValidationError('zipCode must be a 5-digit ZIP code', 'zipCode');
+    }
+
+    const configs = retailers.getVendorConfigs();
+    const ids = retailerIds && retailerIds.length > 0 ? retailerIds : Object.keys(configs);
+    const unknown = ids.filter(id => !configs[id]);
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown or unpriced retailers: ${unknown.join(', ')}`, 'retailers');
+    }
+
+    const live = new Map(retailers.listRetailers()
+      .filter(chain => chain.available && chain.capabilities.includes('pricing') && chain.capabilities.includes('stores'))
+      .map(chain => [chain.id, chain]));
+
+    const stores = await Promise.all(ids.map(async (id) => {
+      const quote = live.has(id) ? await this.quoteFromRetailer(id, items, zipCode) : null;
+      return {
+        retailerId: id,
+        name: configs[id].name,
+        serviceFee: configs[id].serviceFee,
+        deliveryFee: configs[id].deliveryFee,
+        membershipRequired: configs[id].membershipRequired,
+        ...(quote || { priceSource: 'price_history', store: null, prices: null })
+      };
+    }));
+
+    const fromHistory = stores.filter(store => !store.prices);
+    if (fromHistory.length > 0) {
+      await this.fillFromPriceHistory(fromHistory, items);
+    }
+
+    const result = optimizeBasket(items, stores);
+    logger.info(`Optimized ${items.length} items across ${stores.length} retailers for ${zipCode}: ${result.recommendation || 'no prices'}`);
+
+    return {
+      zipCode,
+      priceHistoryAvailable: priceHistoryService.isAvailable(),
+      ...result
+    };
+  }
+
+  /**
+   * Prices from a live adapter at its nearest store. Returns null (use price
+   * history instead) when the retailer can't be reached or has no store nearby.
+   */
+  async quoteFromRetailer(retailerId, items, zipCode) {
+    try {
+      const adapter = retailers.getAdapter(retailerId, 'pricing');
+      const [store] = await adapter.findStores(zipCode, { limit: 1 });
+      if (!store) return null;
+
+      const { prices } = await adapter.getPricing(items, { storeId: store.id });
+      return {
+        priceSource: 'retailer',
+        store: { id: store.id, name: store.name, address: store.address || null },
+        prices: prices.map(quote => {
+          if (quote.estimated) return { price: null, reason: 'no_price' };
+          if (quote.price === null || quote.price === undefined) return { price: null, reason: 'not_found' };
+          return { price: quote.price, available: quote.available !== false };
+        })
+      };
+    } catch (error) {
+      logger.warn(`Live pricing failed for ${retailerId}, using price history:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Latest observed price per item for each chain, keyed by the chain id as the
+   * vendor - the same key Instacart searches record under for that retailer.
+   */
+  async fillFromPriceHistory(stores, items) {
+    let observed = {};
+    if (priceHistoryService.isAvailable()) {
+      try {
+        observed = await priceHistoryService.getLatestPrices(items.map(item => item.name), {
+          vendors: stores.map(store => store.retailerId)
+        });
+      } catch (error) {
+        logger.warn('Price history lookup failed:', error.message);
+      }
+    }
+
+    for (const store of stores) {
+      const vendorKey = priceHistoryService.normalizeVendorKey(store.retailerId);
+      store.prices = items.map(item => {
+        const entry = observed[priceHistoryService.normalizeProductKey(item.name)]?.[vendorKey];
+        return entry
+          ? { price: entry.price, available: true, observedAt: entry.observedAt }
+          : { price: null, reason: 'no_price' };
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const basketOptimizerService = new BasketOptimizerService();
+
+module.exports = basketOptimizerService;
@@ -301,12 +301,12 @@ class CacheService {
     // Run cleanup every 5 minutes
     setInterval(() => {
       this.cleanup();
-    }, 5 * 60 * 1000);
+    }, 5 * 60 * 1000).unref();
 
     // Log stats every hour
     setInterval(() => {
       this.logStats();
-    }, 60 * 60 * 1000);
+    }, 60 * 60 * 1000).unref();
   }
 
   // Get cache statistics
@@ -0,0 +1,221 @@
+// server/services/cartStore/CartStore.js
+// The contract for /api/cart storage. A stored cart is
+//   { userId, items, version, updatedAt, expiresAt }
+// where version starts at 1 and increases on every save. save() only succeeds
+// against the version the caller read (0 = no cart yet), so two requests editing
+// the same cart can't silently overwrite each other.
+//
+// Every write made through update() with an operation also lands in an
+// append-only operation log ({ type, detail, version, changes, at }, where changes
+// is a diffCarts() result), and named snapshots keep full copies of a cart that
+// can be restored later. Snapshots don't expire; the log keeps LOG_RETENTION_DAYS.
+//
+// Each user also has a review queue: parsed items held back from the cart until
+// they are accepted or discarded. It expires with the cart and keeps at most
+// MAX_REVIEW_ITEMS, dropping the oldest.
+//
+// Implementations: MongoCartStore (production) and MemoryCartStore (tests and
+// local development without MONGODB_URI).
+
+const winston = require('winston');
+const { diffCarts } = require('../../utils/cartDiff');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'cart-store' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL_DAYS = 30;
+const DEFAULT_RETRIES = 3;
+const LOG_RETENTION_DAYS = 90;
+const MAX_SNAPSHOTS = 20;
+// Snapshots the server takes on its own (before clearing) rotate instead of
+// counting toward MAX_SNAPSHOTS
+const MAX_AUTO_SNAPSHOTS = 5;
+const MAX_REVIEW_ITEMS = 200;
+
+class CartVersionConflictError extends Error {
+  constructor(currentVersion) {
+    super('Cart was changed by another request');
+    this.name = 'CartVersionConflictError';
+    this.code = 'CART_VERSION_CONFLICT';
+    this.currentVersion = currentVersion;
+    this.statusCode = 409;
+  }
+}
+
+class CartStoreUnavailableError extends Error {
+  constructor(message = 'Cart storage is unavailable') {
+    super(message);
+    this.name = 'CartStoreUnavailableError';
+    this.statusCode = 503;
+  }
+}
+
+class CartStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttlDays carts untouched for this long are removed
+   */
+  constructor({ ttlDays = DEFAULT_TTL_DAYS } = {}) {
+    this.ttlMs = ttlDays * DAY_MS;
+  }
+
+  expiresAt(from = Date.now()) {
+    return new Date(from + this.ttlMs);
+  }
+
+  async get(userId) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Replace the user's items if the stored version is still expectedVersion
+   * @throws {CartVersionConflictError} when another write got there first
+   */
+  async save(userId, items, expectedVersion) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  async delete(userId) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  // Returns the number of carts removed
+  async purgeExpired() {
+    throw new Error(`${this.constructor.name} does not implement purgeExpired()`);
+  }
+
+  async appendOperation(userId, operation) {
+    throw new Error(`${this.constructor.name} does not implement appendOperation()`);
+  }
+
+  // Newest first
+  async listOperations(userId, { limit = 50 } = {}) {
+    throw new Error(`${this.constructor.name} does not implement listOperations()`);
+  }
+
+  /**
+   * @param {Object} snapshot { name, items, cartVersion, automatic }
+   * @throws {ValidationError} past MAX_SNAPSHOTS user-named snapshots; automatic
+   *   ones drop the oldest automatic snapshot past MAX_AUTO_SNAPSHOTS instead
+   */
+  async createSnapshot(userId, snapshot) {
+    throw new Error(`${this.constructor.name} does not implement createSnapshot()`);
+  }
+
+  // Newest first, without items
+  async listSnapshots(userId) {
+    throw new Error(`${this.constructor.name} does not implement listSnapshots()`);
+  }
+
+  // null when the snapshot doesn't exist or belongs to someone else
+  async getSnapshot(userId, snapshotId) {
+    throw new Error(`${this.constructor.name} does not implement getSnapshot()`);
+  }
+
+  async deleteSnapshot(userId, snapshotId) {
+    throw new Error(`${this.constructor.name} does not implement deleteSnapshot()`);
+  }
+
+  // Oldest first; [] when nothing is queued
+  async getReviewQueue(userId) {
+    throw new Error(`${this.constructor.name} does not implement getReviewQueue()`);
+  }
+
+  // Replaces the queue; an empty list removes it
+  async saveReviewQueue(userId, items) {
+    throw new Error(`${this.constructor.name} does not implement saveReviewQueue()`);
+  }
+
+  /**
+   * Read-modify-write for the review queue. mutator receives a copy of the
+   * queued items and returns the new queue, trimmed to MAX_REVIEW_ITEMS.
+   */
+  async updateReviewQueue(userId, mutator) {
+    const queue = await this.getReviewQueue(userId);
+    const items = await mutator(queue.map(item => ({ ...item })));
+    return this.saveReviewQueue(userId, items.slice(-MAX_REVIEW_ITEMS));
+  }
+
+  /**
+   * Remove everything stored for a user - cart, operation log, snapshots and
+   * review queue
+   * @returns {Promise<{carts: number, operations: number, snapshots: number, reviewItems: number}>}
+   */
+  async purgeUser(userId) {
+    throw new Error(`${this.constructor.name} does not implement purgeUser()`);
+  }
+
+  /**
+   * Read-modify-write. mutator receives a copy of the current items and returns
+   * the new items. Without a baseVersion a conflicting write is retried against
+   * the fresh cart; with one (the version the client last saw) the conflict is
+   * the caller's to resolve.
+   */
+  async update(userId, mutator, { baseVersion, retries = DEFAULT_RETRIES, operation } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const current = await this.get(userId);
+      const version = current ? current.version : 0;
+      if (baseVersion !== undefined && baseVersion !== version) {
+        throw new CartVersionConflictError(version);
+      }
+
+      const items = await mutator(current ? current.items.map(item => ({ ...item })) : []);
+
+      let saved;
+      try {
+        saved = await this.save(userId, items, version);
+      } catch (error) {
+        if (!(error instanceof CartVersionConflictError) || baseVersion !== undefined || attempt >= retries) {
+          throw error;
+        }
+        continue;
+      }
+
+      if (operation) {
+        await this.logOperation(userId, operation, current ? current.items : [], saved);
+      }
+      return saved;
+    }
+  }
+
+  // The cart write already succeeded - a lost log entry must not fail the request
+  async logOperation(userId, { type, detail = null }, beforeItems, saved) {
+    try {
+      await this.appendOperation(userId, {
+        type,
+        detail,
+        version: saved.version,
+        changes: diffCarts(beforeItems, saved.items),
+        at: new Date()
+      });
+    } catch (error) {
+      logger.warn(`Failed to log cart ${type} for ${userId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  CartStore,
+  CartVersionConflictError,
+  CartStoreUnavailableError,
+  DEFAULT_TTL_DAYS,
+  LOG_RETENTION_DAYS,
+  MAX_SNAPSHOTS,
+  MAX_AUTO_SNAPSHOTS,
+  MAX_REVIEW_ITEMS
+};
@@ -0,0 +1,74 @@
+// server/services/cartStore/index.js
+// Picks the /api/cart storage backend. CART_STORE=mongo|memory chooses one
+// explicitly; otherwise carts go to Mongo whenever MONGODB_URI is set. Carts
+// expire CART_TTL_DAYS (default 30) after their last change.
+
+const winston = require('winston');
+const {
+  CartStore,
+  CartVersionConflictError,
+  CartStoreUnavailableError,
+  DEFAULT_TTL_DAYS
+} = require('./CartStore');
+const MemoryCartStore = require('./memoryCartStore');
+const MongoCartStore = require('./mongoCartStore');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'cart-store' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const STORES = {
+  mongo: MongoCartStore,
+  memory: MemoryCartStore
+};
+
+// Mongo's TTL index removes expired carts itself; the memory store needs a sweep
+const MEMORY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let cartStore = null;
+
+function createCartStore(type = process.env.CART_STORE || (process.env.MONGODB_URI ? 'mongo' : 'memory'), options = {}) {
+  const Store = STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown CART_STORE "${type}" - use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  const ttlDays = options.ttlDays || parseInt(process.env.CART_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+  return new Store({ ...options, ttlDays });
+}
+
+function getCartStore() {
+  if (!cartStore) {
+    cartStore = createCartStore();
+    if (cartStore instanceof MemoryCartStore) {
+      setInterval(() => cartStore.purgeExpired(), MEMORY_PURGE_INTERVAL_MS).unref();
+      if (process.env.NODE_ENV === 'production') {
+        logger.warn('⚠️ Carts are stored in memory and will be lost on restart - set MONGODB_URI or CART_STORE=mongo');
+      }
+    }
+    logger.info(`🛒 Cart storage: ${cartStore.constructor.name}`);
+  }
+  return cartStore;
+}
+
+module.exports = {
+  getCartStore,
+  createCartStore,
+  CartStore,
+  MemoryCartStore,
+  MongoCartStore,
+  CartVersionConflictError,
+  CartStoreUnavailableError
+};
@@ -0,0 +1,175 @@
+// server/services/cartStore/memoryCartStore.js
+// In-process cart storage for tests and local development. Same versioning,
+// expiry, operation log, snapshot and review queue rules as MongoCartStore, but everything is
+// lost on restart.
+
+const crypto = require('crypto');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { CartStore, CartVersionConflictError, LOG_RETENTION_DAYS, MAX_SNAPSHOTS, MAX_AUTO_SNAPSHOTS } = require('./CartStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Mongo trims the log by age alone; memory also caps it so tests can't grow it unbounded
+const MAX_OPERATIONS = 500;
+
+class MemoryCartStore extends CartStore {
+  constructor(options = {}) {
+    super(options);
+    this.carts = new Map();
+    this.operations = new Map();
+    this.snapshots = new Map();
+    this.reviewQueues = new Map();
+  }
+
+  // Stored carts are copied in and out so callers can't edit them in place
+  copy(cart) {
+    return structuredClone(cart);
+  }
+
+  live(userId) {
+    const cart = this.carts.get(userId);
+    if (cart && cart.expiresAt.getTime() <= Date.now()) {
+      this.carts.delete(userId);
+      return null;
+    }
+    return cart || null;
+  }
+
+  async get(userId) {
+    const cart = this.live(userId);
+    return cart ? this.copy(cart) : null;
+  }
+
+  async save(userId, items, expectedVersion) {
+    const current = this.live(userId);
+    const currentVersion = current ? current.version : 0;
+    if (currentVersion !== expectedVersion) {
+      throw new CartVersionConflictError(currentVersion);
+    }
+
+    const now = Date.now();
+    const cart = {
+      userId,
+      items: this.copy(items),
+      version: currentVersion + 1,
+      updatedAt: new Date(now),
+      expiresAt: this.expiresAt(now)
+    };
+    this.carts.set(userId, cart);
+    return this.copy(cart);
+  }
+
+  async delete(userId) {
+    return this.carts.delete(userId);
+  }
+
+  async purgeExpired() {
+    let removed = 0;
+    for (const userId of [...this.carts.keys()]) {
+      if (!this.live(userId)) removed++;
+    }
+    for (const userId of [...this.reviewQueues.keys()]) {
+      this.liveReviewQueue(userId);
+    }
+
+    const logCutoff = Date.now() - LOG_RETENTION_DAYS * DAY_MS;
+    for (const [userId, log] of this.operations) {
+      this.operations.set(userId, log.filter(operation => operation.at.getTime() > logCutoff));
+    }
+    return removed;
+  }
+
+  async appendOperation(userId, operation) {
+    const log = this.operations.get(userId) || [];
+    const entry = { id: `op_${crypto.randomBytes(6).toString('hex')}`, userId, ...this.copy(operation) };
+    log.push(entry);
+    this.operations.set(userId, log.slice(-MAX_OPERATIONS));
+    return this.copy(entry);
+  }
+
+  async listOperations(userId, { limit = 50 } = {}) {
+    const log = this.operations.get(userId) || [];
+    return this.copy(log.slice(-limit).reverse());
+  }
+
+  async createSnapshot(userId, { name, items, cartVersion, automatic = false }) {
+    let snapshots = this.snapshots.get(userId) || [];
+    const sameKind = snapshots.filter(entry => !!entry.automatic === automatic);
+    if (automatic && sameKind.length >= MAX_AUTO_SNAPSHOTS) {
+      const oldest = new Set(sameKind.slice(0, sameKind.length - MAX_AUTO_SNAPSHOTS + 1));
+      snapshots = snapshots.filter(entry => !oldest.has(entry));
+    } else if (!automatic && sameKind.length >= MAX_SNAPSHOTS) {
+      throw new ValidationError(`You can keep at most ${MAX_SNAPSHOTS} snapshots - delete one first`, 'name');
+    }
+
+    const snapshot = {
+      id: `snap_${crypto.randomBytes(6).toString('hex')}`,
+      userId,
+      name,
+      items: this.copy(items),
+      itemCount: items.length,
+      cartVersion,
+      automatic,
+      createdAt: new Date()
+    };
+    snapshots.push(snapshot);
+    this.snapshots.set(userId, snapshots);
+    return this.copy(snapshot);
+  }
+
+  async listSnapshots(userId) {
+    return (this.snapshots.get(userId) || [])
+      .map(({ items, ...snapshot }) => this.copy(snapshot))
+      .reverse();
+  }
+
+  async getSnapshot(userId, snapshotId) {
+    const snapshot = (this.snapshots.get(userId) || []).find(entry => entry.id === snapshotId);
+    return snapshot ? this.copy(snapshot) : null;
+  }
+
+  async deleteSnapshot(userId, snapshotId) {
+    const snapshots = this.snapshots.get(userId) || [];
+    const remaining = snapshots.filter(entry => entry.id !== snapshotId);
+    this.snapshots.set(userId, remaining);
+    return remaining.length < snapshots.length;
+  }
+
+  liveReviewQueue(userId) {
+    const queue = this.reviewQueues.get(userId);
+    if (queue && queue.expiresAt.getTime() <= Date.now()) {
+      this.reviewQueues.delete(userId);
+      return null;
+    }
+    return queue || null;
+  }
+
+  async getReviewQueue(userId) {
+    const queue = this.liveReviewQueue(userId);
+    return queue ? this.copy(queue.items) : [];
+  }
+
+  async saveReviewQueue(userId, items) {
+    if (items.length === 0) {
+      this.reviewQueues.delete(userId);
+      return [];
+    }
+    this.reviewQueues.set(userId, { items: this.copy(items), expiresAt: this.expiresAt() });
+    return this.copy(items);
+  }
+
+  async purgeUser(userId) {
+    const removed = {
+      carts: this.carts.has(userId) ? 1 : 0,
+      operations: (this.operations.get(userId) || []).length,
+      snapshots: (this.snapshots.get(userId) || []).length,
+      reviewItems: (this.reviewQueues.get(userId)?.items || []).length
+    };
+    this.carts.delete(userId);
+    this.operations.delete(userId);
+    this.snapshots.delete(userId);
+    this.reviewQueues.delete(userId);
+    return removed;
+  }
+}
+
+module.exports = MemoryCartStore;
@@ -0,0 +1,188 @@
+// server/services/cartStore/mongoCartStore.js
+// Carts in the 'carts' collection. Writes are a single conditional
+// findOneAndUpdate on { userId, version }, so the version check and the write
+// can't be split by another request. The TTL index on expiresAt does the cleanup;
+// reads also ignore carts past expiresAt because the TTL monitor only runs
+// about once a minute. The operation log (cart_operations), snapshots
+// (cart_snapshots) and review queues (cart_review_queues) are separate
+// collections.
+
+const mongoose = require('mongoose');
+const Cart = require('../../models/Cart');
+const CartOperation = require('../../models/CartOperation');
+const CartSnapshot = require('../../models/CartSnapshot');
+const CartReviewQueue = require('../../models/CartReviewQueue');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { CartStore, CartVersionConflictError, CartStoreUnavailableError, MAX_SNAPSHOTS, MAX_AUTO_SNAPSHOTS } = require('./CartStore');
+
+const DUPLICATE_KEY = 11000;
+
+class MongoCartStore extends CartStore {
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  // Fail fast instead of letting mongoose buffer the query until it times out
+  assertAvailable() {
+    if (!this.isAvailable()) {
+      throw new CartStoreUnavailableError();
+    }
+  }
+
+  toCart(doc) {
+    return {
+      userId: doc.userId,
+      items: doc.items || [],
+      version: doc.version,
+      updatedAt: doc.updatedAt,
+      expiresAt: doc.expiresAt
+    };
+  }
+
+  async get(userId) {
+    this.assertAvailable();
+    const doc = await Cart.findOne({ userId, expiresAt: { $gt: new Date() } }).lean();
+    return doc ? this.toCart(doc) : null;
+  }
+
+  async currentVersion(userId) {
+    const cart = await this.get(userId);
+    return cart ? cart.version : 0;
+  }
+
+  async save(userId, items, expectedVersion) {
+    this.assertAvailable();
+    const now = new Date();
+
+    // Version 0 means "no live cart": insert, or take over an expired one the TTL
+    // monitor hasn't removed yet. A live cart makes the upsert hit the unique index.
+    const filter = expectedVersion === 0
+      ? { userId, expiresAt: { $lte: now } }
+      : { userId, version: expectedVersion, expiresAt: { $gt: now } };
+
+    let doc;
+    try {
+      doc = await Cart.findOneAndUpdate(
+        filter,
+        { $set: { items, version: expectedVersion + 1, expiresAt: this.expiresAt(now.getTime()) } },
+        { new: true, upsert: expectedVersion === 0, lean: true }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+
+    if (!doc) {
+      throw new CartVersionConflictError(await this.currentVersion(userId));
+    }
+    return this.toCart(doc);
+  }
+
+  async delete(userId) {
+    this.assertAvailable();
+    const result = await Cart.deleteOne({ userId });
+    return result.deletedCount > 0;
+  }
+
+  async purgeExpired() {
+    this.assertAvailable();
+    const result = await Cart.deleteMany({ expiresAt: { $lte: new Date() } });
+    return result.deletedCount;
+  }
+
+  toOperation(doc) {
+    const { _id, __v, ...operation } = doc;
+    return { id: String(_id), ...operation };
+  }
+
+  toSnapshot(doc) {
+    const { _id, __v, ...snapshot } = doc;
+    return { id: String(_id), ...snapshot };
+  }
+
+  async appendOperation(userId, operation) {
+    this.assertAvailable();
+    const doc = await CartOperation.create({ ...operation, userId });
+    return this.toOperation(doc.toObject());
+  }
+
+  async listOperations(userId, { limit = 50 } = {}) {
+    this.assertAvailable();
+    const docs = await CartOperation.find({ userId }).sort({ at: -1, _id: -1 }).limit(limit).lean();
+    return docs.map(doc => this.toOperation(doc));
+  }
+
+  async createSnapshot(userId, { name, items, cartVersion, automatic = false }) {
+    this.assertAvailable();
+    // Snapshots from before this field existed were all user-named
+    const kind = automatic ? { userId, automatic: true } : { userId, automatic: { $ne: true } };
+    if (automatic) {
+      const stale = await CartSnapshot.find(kind).sort({ createdAt: -1, _id: -1 })
+        .skip(MAX_AUTO_SNAPSHOTS - 1).select('_id').lean();
+      if (stale.length > 0) {
+        await CartSnapshot.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+      }
+    } else if (await CartSnapshot.countDocuments(kind) >= MAX_SNAPSHOTS) {
+      throw new ValidationError(`You can keep at most ${MAX_SNAPSHOTS} snapshots - delete one first`, 'name');
+    }
+    const doc = await CartSnapshot.create({ userId, name, items, itemCount: items.length, cartVersion, automatic });
+    return this.toSnapshot(doc.toObject());
+  }
+
+  async listSnapshots(userId) {
+    this.assertAvailable();
+    const docs = await CartSnapshot.find({ userId }).select('-items').sort({ createdAt: -1 }).lean();
+    return docs.map(doc => this.toSnapshot(doc));
+  }
+
+  async getSnapshot(userId, snapshotId) {
+    this.assertAvailable();
+    if (!mongoose.isValidObjectId(snapshotId)) return null;
+    const doc = await CartSnapshot.findOne({ _id: snapshotId, userId }).lean();
+    return doc ? this.toSnapshot(doc) : null;
+  }
+
+  async deleteSnapshot(userId, snapshotId) {
+    this.assertAvailable();
+    if (!mongoose.isValidObjectId(snapshotId)) return false;
+    const result = await CartSnapshot.deleteOne({ _id: snapshotId, userId });
+    return result.deletedCount > 0;
+  }
+
+  async getReviewQueue(userId) {
+    this.assertAvailable();
+    const doc = await CartReviewQueue.findOne({ userId, expiresAt: { $gt: new Date() } }).lean();
+    return doc ? doc.items || [] : [];
+  }
+
+  async saveReviewQueue(userId, items) {
+    this.assertAvailable();
+    if (items.length === 0) {
+      await CartReviewQueue.deleteOne({ userId });
+      return [];
+    }
+    const doc = await CartReviewQueue.findOneAndUpdate(
+      { userId },
+      { $set: { items, expiresAt: this.expiresAt() } },
+      { new: true, upsert: true, lean: true }
+    );
+    return doc.items;
+  }
+
+  async purgeUser(userId) {
+    this.assertAvailable();
+    const [carts, operations, snapshots, queue] = await Promise.all([
+      Cart.deleteMany({ userId }),
+      CartOperation.deleteMany({ userId }),
+      CartSnapshot.deleteMany({ userId }),
+      CartReviewQueue.findOneAndDelete({ userId }).lean()
+    ]);
+    return {
+      carts: carts.deletedCount,
+      operations: operations.deletedCount,
+      snapshots: snapshots.deletedCount,
+      reviewItems: queue ? (queue.items || []).length : 0
+    };
+  }
+}
+
+module.exports = MongoCartStore;
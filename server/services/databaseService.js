@@ -101,6 +101,28 @@ async function getUserRecipes(userId) {
   }
 }
 
+/**
+ * Get one recipe from a user's library
+ */
+async function getUserRecipe(userId, recipeId) {
+  try {
+    const db = getDB();
+    const doc = await db.collection('users').doc(userId).collection('recipes').doc(recipeId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data()
+    };
+  } catch (error) {
+    console.error('Error getting recipe from database:', error);
+    throw error;
+  }
+}
+
 /**
  * Get user's meal plans
  */
@@ -130,5 +152,6 @@ module.exports = {
   saveMealPlanToUser,
   getMealPlan,
   getUserRecipes,
+  getUserRecipe,
   getUserMealPlans
 };
\ No newline at end of file
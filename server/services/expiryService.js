@@ -0,0 +1,373 @@
+// server/services/expiryService.js
+// Daily "use it up" job: finds pantry items close to their expiry date, suggests
+// recipes that use them (Spoonacular + the user's saved recipes) and leaves a
+// notification in users/{uid}/notifications
+
+const os = require('os');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const winston = require('winston');
+const pantryService = require('./pantryService');
+const spoonacularEnhanced = require('./spoonacularEnhanced');
+const { getUserRecipes } = require('./databaseService');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'expiry' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 3;
+const MAX_WINDOW_DAYS = 30;
+const MAX_SUGGESTIONS = 8;
+
+// Hour of day (server time) the daily check runs
+const DAILY_RUN_HOUR = parseInt(process.env.EXPIRY_CHECK_HOUR, 10) || 7;
+
+// Every server instance schedules the job; a lease in jobLocks/{LOCK_ID} makes
+// sure only one of them runs it per day. The lease expires on its own if the
+// holder dies mid-run.
+const LOCK_ID = 'expiryDailyCheck';
+const LEASE_MS = 30 * 60 * 1000;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function ingredientText(ingredient) {
+  if (typeof ingredient === 'string') return ingredient;
+  if (!ingredient) return '';
+  return [ingredient.item, ingredient.original, ingredient.name, ingredient.productName]
+    .filter(Boolean)
+    .join(' ');
+}
+
+class ExpiryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  notificationsCollection(userId) {
+    return this.getDB().collection('users').doc(userId).collection('notifications');
+  }
+
+  /**
+   * Split pantry items into those expiring within the window and those already past
+   * @returns {{expiring: Array, expired: Array}} each item carries daysLeft, soonest first
+   */
+  classify(pantryItems, days = DEFAULT_WINDOW_DAYS, now = Date.now()) {
+    const cutoff = now + days * DAY_MS;
+    const expiring = [];
+    const expired = [];
+
+    for (const item of pantryItems) {
+      if (!item.expiresAt || item.quantity === 0) continue;
+      const expiresAt = new Date(item.expiresAt).getTime();
+      if (Number.isNaN(expiresAt)) continue;
+
+      const withDays = { ...item, daysLeft: Math.ceil((expiresAt - now) / DAY_MS) };
+      if (expiresAt < now) expired.push(withDays);
+      else if (expiresAt <= cutoff) expiring.push(withDays);
+    }
+
+    const soonestFirst = (a, b) => new Date(a.expiresAt) - new Date(b.expiresAt);
+    return { expiring: expiring.sort(soonestFirst), expired: expired.sort(soonestFirst) };
+  }
+
+  /**
+   * Saved recipes (unified library and account recipes) that use any expiring item
+   */
+  async matchSavedRecipes(userId, expiringItems) {
+    const [library, accountRecipes] = await Promise.all([
+      getUserRecipes(userId).catch(() => []),
+      this.getDB().collection('recipes').where('userId', '==', userId).get()
+        .then(snapshot => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+        .catch(() => [])
+    ]);
+
+    const patterns = expiringItems.map(item => ({
+      item,
+      pattern: new RegExp(`\\b${escapeRegExp(item.canonicalName || item.name.toLowerCase())}(?:e?s)?\\b`, 'i')
+    }));
+
+    const matches = [];
+    for (const recipe of [...library, ...accountRecipes]) {
+      const text = (recipe.ingredients || []).map(ingredientText).join('\n');
+      const uses = patterns.filter(({ pattern }) => pattern.test(text)).map(({ item }) => item.name);
+      if (uses.length === 0) continue;
+
+      matches.push({
+        source: 'saved',
+        id: recipe.id,
+        title: recipe.title || recipe.name || 'Untitled recipe',
+        image: recipe.imageUrl || recipe.image || null,
+        uses,
+        missedIngredientCount: null
+      });
+    }
+    return matches;
+  }
+
+  async matchSpoonacularRecipes(expiringItems) {
+    const results = await spoonacularEnhanced.searchRecipesByIngredients(
+      expiringItems.map(item => item.name),
+      { number: MAX_SUGGESTIONS, ranking: 1 }
+    );
+
+    return results.map(recipe => ({
+      source: 'spoonacular',
+      id: recipe.id,
+      title: recipe.title,
+      image: recipe.image || null,
+      uses: (recipe.usedIngredients || []).map(ing => ing.name),
+      missedIngredientCount: recipe.missedIngredientCount
+    }));
+  }
+
+  /**
+   * Recipes that use up the expiring items. Saved recipes come first on ties -
+   * the user already knows they like them.
+   */
+  async suggestRecipes(userId, expiringItems) {
+    if (expiringItems.length === 0) return [];
+
+    const [saved, spoonacular] = await Promise.all([
+      this.matchSavedRecipes(userId, expiringItems),
+      this.matchSpoonacularRecipes(expiringItems).catch(error => {
+        logger.warn('Spoonacular suggestions failed:', error.message);
+        return [];
+      })
+    ]);
+
+    return [...saved, ...spoonacular]
+      .sort((a, b) => b.uses.length - a.uses.length ||
+        (a.missedIngredientCount ?? -1) - (b.missedIngredientCount ?? -1))
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Expiring/expired pantry items and recipe suggestions for one user
+   */
+  async getUseItUp(userId, { days = DEFAULT_WINDOW_DAYS } = {}) {
+    const windowDays = Math.min(Math.max(Number(days) || DEFAULT_WINDOW_DAYS, 1), MAX_WINDOW_DAYS);
+    const pantryItems = await pantryService.getItems(userId);
+    const { expiring, expired } = this.classify(pantryItems, windowDays);
+    const suggestions = await this.suggestRecipes(userId, expiring);
+
+    return { days: windowDays, expiring, expired, suggestions };
+  }
+
+  /**
+   * Write (or refresh) today's use-it-up notification for a user
+   */
+  async notifyUser(userId) {
+    const { expiring, expired, suggestions } = await this.getUseItUp(userId);
+    if (expiring.length === 0) return null;
+
+    const names = expiring.map(item => item.name);
+    const shown = names.slice(0, 3).join(', ') + (names.length > 3 ? ` and ${names.length - 3} more` : '');
+    const today = new Date().toISOString().split('T')[0];
+
+    const notification = {
+      type: 'use-it-up',
+      title: `Use it up: ${shown}`,
+      message: suggestions.length
+        ? `Try "${suggestions[0].title}" - it uses ${suggestions[0].uses.join(', ')}`
+        : `${names.length} pantry item${names.length === 1 ? '' : 's'} expire${names.length === 1 ? 's' : ''} soon`,
+      items: expiring.map(({ id, name, expiresAt, daysLeft }) => ({ id, name, expiresAt, daysLeft })),
+      expiredCount: expired.length,
+      suggestions,
+      read: false,
+      createdAt: new Date().toISOString()
+    };
+
+    // One notification per day - a re-run replaces it instead of stacking duplicates
+    await this.notificationsCollection(userId).doc(`use-it-up-${today}`).set(notification);
+    return notification;
+  }
+
+  lockRef() {
+    return this.getDB().collection('jobLocks').doc(LOCK_ID);
+  }
+
+  /**
+   * Take the daily job lease unless another instance holds a live one or
+   * today's run already completed
+   * @returns {Promise<boolean>} true when this instance should run the job
+   */
+  async acquireLease(day, now = Date.now()) {
+    const ref = this.lockRef();
+    return this.getDB().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const lock = doc.exists ? doc.data() : {};
+
+      if (lock.completedDay === day) return false;
+      if (lock.holder && lock.holder !== this.instanceId && lock.leaseUntil > now) return false;
+
+      transaction.set(ref, {
+        holder: this.instanceId,
+        leaseUntil: now + LEASE_MS,
+        acquiredAt: new Date(now).toISOString()
+      }, { merge: true });
+      return true;
+    });
+  }
+
+  /**
+   * Give the lease back, marking the day done when the run succeeded
+   */
+  async releaseLease(day, completed) {
+    const ref = this.lockRef();
+    await this.getDB().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || doc.data().holder !== this.instanceId) return;
+
+      transaction.set(ref, {
+        holder: null,
+        leaseUntil: 0,
+        ...(completed ? { completedDay: day, completedAt: new Date().toISOString() } : {})
+      }, { merge: true });
+    });
+  }
+
+  /**
+   * Run the daily check on the one instance holding today's lease
+   */
+  async runScheduledCheck() {
+    const day = new Date().toISOString().split('T')[0];
+    if (!(await this.acquireLease(day))) {
+      logger.info('Expiry check skipped: another instance has it or it already ran today');
+      return { skipped: true };
+    }
+
+    let completed = false;
+    try {
+      const result = await this.runDailyCheck();
+      completed = !result.skipped;
+      return result;
+    } finally {
+      await this.releaseLease(day, completed)
+        .catch(error => logger.warn('Expiry check lease release failed:', error.message));
+    }
+  }
+
+  /**
+   * Check every user with pantry items expiring inside the window. Needs the
+   * collection-group index on pantry.expiresAt from firestore.indexes.json.
+   */
+  async runDailyCheck() {
+    if (this.running) return { skipped: true };
+    this.running = true;
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+    let notified = 0;
+    let failed = 0;
+
+    try {
+      const snapshot = await this.getDB().collectionGroup('pantry')
+        .where('expiresAt', '>=', now.toISOString())
+        .where('expiresAt', '<=', cutoff.toISOString())
+        .get();
+
+      // users/{uid}/pantry/{itemId}
+      const userIds = [...new Set(snapshot.docs.map(doc => doc.ref.parent.parent?.id).filter(Boolean))];
+
+      for (const userId of userIds) {
+        try {
+          if (!(await this.wantsNotifications(userId))) continue;
+          if (await this.notifyUser(userId)) notified++;
+        } catch (error) {
+          failed++;
+          logger.error(`Use-it-up check failed for user ${userId}:`, error.message);
+        }
+      }
+
+      logger.info(`Expiry check: ${userIds.length} users with expiring items, ${notified} notified, ${failed} failed`);
+      return { users: userIds.length, notified, failed };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Respect the mealPlans notification preference on the account profile
+   */
+  async wantsNotifications(userId) {
+    const profile = await this.getDB().collection('profiles').doc(userId).get();
+    return !profile.exists || profile.data().notifications?.mealPlans !== false;
+  }
+
+  async getNotifications(userId, { unreadOnly = false, limit = 20 } = {}) {
+    const snapshot = await this.notificationsCollection(userId).orderBy('createdAt', 'desc').limit(limit).get();
+    const notifications = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return unreadOnly ? notifications.filter(n => !n.read) : notifications;
+  }
+
+  async markNotificationRead(userId, notificationId) {
+    const ref = this.notificationsCollection(userId).doc(notificationId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw new NotFoundError('Notification');
+    }
+    await ref.update({ read: true, readAt: new Date().toISOString() });
+    return { id: doc.id, ...doc.data(), read: true };
+  }
+
+  /**
+   * Schedule the daily check at DAILY_RUN_HOUR. The timer is unref'd so it never
+   * keeps the process alive on its own.
+   */
+  startDailyJob() {
+    if (this.timer) return;
+
+    const next = new Date();
+    next.setHours(DAILY_RUN_HOUR, 0, 0, 0);
+    if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 1);
+
+    const run = () => {
+      this.runScheduledCheck().catch(error => logger.error('Expiry check failed:', error.message));
+    };
+
+    this.timer = setTimeout(() => {
+      run();
+      this.timer = setInterval(run, DAY_MS);
+      this.timer.unref();
+    }, next.getTime() - Date.now());
+    this.timer.unref();
+
+    logger.info(`Expiry check scheduled daily at ${DAILY_RUN_HOUR}:00 (next run ${next.toISOString()})`);
+  }
+
+  stopDailyJob() {
+    clearTimeout(this.timer);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Create singleton instance
+const expiryService = new ExpiryService();
+
+module.exports = expiryService;
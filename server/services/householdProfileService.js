@@ -0,0 +1,266 @@
+// server/services/householdProfileService.js
+// Member profiles for the people a plan feeds - each with daily nutrition
+// targets, allergies, dislikes and a diet. Profiles live on the household
+// (households/{id}.memberProfiles) so every member plans against the same
+// people; a user without a household keeps them on their own document
+// (users/{uid}.memberProfiles).
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const userSettingsService = require('./userSettingsService');
+const { NUTRIENTS, analyzePlan, suggestSwaps } = require('../utils/planNutrition');
+const { ALLERGENS, DIETS, resolveAllergen, mergeConstraints, checkRecipe } = require('../utils/dietaryConstraints');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+
+const MAX_PROFILES = 12;
+const MAX_NAME_LENGTH = 60;
+const MAX_DISLIKES = 30;
+
+// Plausible daily amounts for one person - anything outside is a typo
+const TARGET_LIMITS = {
+  calories: [800, 6000],
+  protein: [0, 400],
+  carbs: [0, 1000],
+  fat: [0, 400],
+  sodium: [0, 10000]
+};
+
+/**
+ * Every field a profile may set, with a sanitizer that throws ValidationError
+ * on bad input
+ */
+const PROFILE_FIELDS = {
+  name: (value) => {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new ValidationError(`name is required (up to ${MAX_NAME_LENGTH} characters)`, 'name');
+    }
+    return name;
+  },
+  userId: (value) => {
+    if (value !== null && typeof value !== 'string') {
+      throw new ValidationError('userId must be a household member id', 'userId');
+    }
+    return value || null;
+  },
+  targets: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValidationError('targets must be { calories, protein, carbs, fat, sodium }', 'targets');
+    }
+    const targets = {};
+    for (const [nutrient, amount] of Object.entries(value)) {
+      if (!NUTRIENTS.includes(nutrient)) {
+        throw new ValidationError(`Unknown nutrition target "${nutrient}"`, `targets.${nutrient}`);
+      }
+      // Blank or null leaves the nutrient unchecked
+      if (amount === null || amount === '') continue;
+      const number = Number(amount);
+      const [min, max] = TARGET_LIMITS[nutrient];
+      if (!Number.isFinite(number) || number < min || number > max) {
+        throw new ValidationError(`targets.${nutrient} must be between ${min} and ${max}`, `targets.${nutrient}`);
+      }
+      targets[nutrient] = Math.round(number);
+    }
+    return targets;
+  },
+  allergies: (value) => {
+    if (!Array.isArray(value)) {
+      throw new ValidationError('allergies must be a list', 'allergies');
+    }
+    const allergies = value.map(entry => {
+      const allergen = resolveAllergen(entry);
+      if (!allergen) {
+        throw new ValidationError(`Unknown allergy "${entry}" - use one of: ${ALLERGENS.join(', ')}`, 'allergies');
+      }
+      return allergen;
+    });
+    return Array.from(new Set(allergies));
+  },
+  diet: (value) => {
+    if (value === null || value === '' || value === 'none') return null;
+    if (!DIETS[value]) {
+      throw new ValidationError(`diet must be one of: ${Object.keys(DIETS).join(', ')}`, 'diet');
+    }
+    return value;
+  },
+  dislikes: (value) => {
+    if (!Array.isArray(value) || value.length > MAX_DISLIKES) {
+      throw new ValidationError(`dislikes must be a list of up to ${MAX_DISLIKES} ingredients`, 'dislikes');
+    }
+    return Array.from(new Set(
+      value.map(entry => String(entry).trim().toLowerCase().slice(0, 40)).filter(Boolean)
+    ));
+  }
+};
+
+class HouseholdProfileService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  sanitizeProfile(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+      throw new ValidationError('Profile details are required', 'profile');
+    }
+    const profile = {};
+    for (const [key, value] of Object.entries(input)) {
+      if (!PROFILE_FIELDS[key]) {
+        throw new ValidationError(`Unknown profile field "${key}"`, key);
+      }
+      profile[key] = PROFILE_FIELDS[key](value);
+    }
+    if (!partial && !profile.name) {
+      throw new ValidationError('name is required', 'name');
+    }
+    return profile;
+  }
+
+  /**
+   * Where the user's profiles are kept and whether they may change them -
+   * household viewers can read but not edit
+   */
+  async getProfileOwner(userId) {
+    const db = this.getDB();
+    const membership = await userSettingsService.getHouseholdForUser(userId);
+    if (membership) {
+      return {
+        scope: 'household',
+        ref: db.collection('households').doc(membership.household.id),
+        stored: membership.household.memberProfiles || {},
+        canEdit: userSettingsService.hasRole(membership.role, 'editor'),
+        household: membership.household
+      };
+    }
+
+    const userDoc = await userSettingsService.getUserDoc(userId);
+    return {
+      scope: 'user',
+      ref: db.collection('users').doc(userId),
+      stored: userDoc.memberProfiles || {},
+      canEdit: true,
+      household: null
+    };
+  }
+
+  listProfiles(stored) {
+    return Object.entries(stored)
+      .map(([id, profile]) => ({
+        id,
+        ...profile,
+        targets: profile.targets || {},
+        allergies: profile.allergies || [],
+        dislikes: profile.dislikes || [],
+        diet: profile.diet || null
+      }))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  async getProfiles(userId) {
+    const owner = await this.getProfileOwner(userId);
+    return {
+      scope: owner.scope,
+      canEdit: owner.canEdit,
+      profiles: this.listProfiles(owner.stored)
+    };
+  }
+
+  /**
+   * Create a profile (no profileId) or update one. Linking a profile to a user
+   * only works for members of the same household.
+   */
+  async saveProfile(userId, profileId, input) {
+    const owner = await this.getProfileOwner(userId);
+    if (!owner.canEdit) {
+      throw new AuthorizationError('editor access required to change household profiles');
+    }
+
+    const existing = profileId ? owner.stored[profileId] : null;
+    if (profileId && !existing) {
+      throw new NotFoundError('Profile');
+    }
+    if (!profileId && Object.keys(owner.stored).length >= MAX_PROFILES) {
+      throw new ValidationError(`A household can have up to ${MAX_PROFILES} profiles`, 'profile');
+    }
+
+    const updates = this.sanitizeProfile(input, { partial: !!existing });
+    if (updates.userId) {
+      const isMember = owner.household ? !!owner.household.members?.[updates.userId] : updates.userId === userId;
+      if (!isMember) {
+        throw new ValidationError('userId must belong to a household member', 'userId');
+      }
+    }
+
+    const now = new Date().toISOString();
+    const id = profileId || `profile_${crypto.randomBytes(6).toString('hex')}`;
+    const profile = {
+      ...(existing || { userId: null, targets: {}, allergies: [], dislikes: [], diet: null, createdAt: now }),
+      ...updates,
+      updatedAt: now
+    };
+
+    // mergeFields replaces this one profile so cleared targets really go away
+    await owner.ref.set(
+      { memberProfiles: { [id]: profile } },
+      { mergeFields: [`memberProfiles.${id}`] }
+    );
+    return { id, ...profile };
+  }
+
+  async deleteProfile(userId, profileId) {
+    const owner = await this.getProfileOwner(userId);
+    if (!owner.canEdit) {
+      throw new AuthorizationError('editor access required to change household profiles');
+    }
+    if (!owner.stored[profileId]) {
+      throw new NotFoundError('Profile');
+    }
+
+    await owner.ref.update({
+      [`memberProfiles.${profileId}`]: admin.firestore.FieldValue.delete()
+    });
+  }
+
+  /**
+   * The union of every profile's allergies, diets and dislikes
+   * (utils/dietaryConstraints mergeConstraints shape)
+   */
+  async getConstraints(userId) {
+    const { profiles } = await this.getProfiles(userId);
+    return mergeConstraints(profiles);
+  }
+
+  /**
+   * Nutrition for a plan against the household's profiles, with swaps drawn
+   * from the plan itself and the user's saved recipes. Recipes that break an
+   * allergy or diet are never offered as a swap.
+   */
+  async analyzeMealPlan(userId, recipes) {
+    if (!Array.isArray(recipes) || recipes.length === 0) {
+      throw new ValidationError('recipes must be a non-empty list', 'recipes');
+    }
+
+    const { profiles, scope } = await this.getProfiles(userId);
+    const librarySnapshot = await this.getDB().collection('recipes')
+      .where('userId', '==', userId)
+      .get();
+    const library = librarySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const constraints = mergeConstraints(profiles);
+    const candidates = [...recipes, ...library].filter(recipe =>
+      checkRecipe(recipe, constraints).flags.every(flag => flag.type === 'dislike')
+    );
+
+    return {
+      scope,
+      ...analyzePlan(recipes, profiles),
+      swaps: suggestSwaps(recipes, profiles, candidates)
+    };
+  }
+}
+
+// Create singleton instance
+const householdProfileService = new HouseholdProfileService();
+
+module.exports = householdProfileService;
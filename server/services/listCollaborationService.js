@@ -0,0 +1,355 @@
+// server/services/listCollaborationService.js
+// Household list membership and conflict-free item operations for savedLists
+
+const admin = require('firebase-admin');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Higher rank includes every permission of the lower ranks
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+// Fields a collaborator may change on an existing item
+const UPDATABLE_ITEM_FIELDS = ['productName', 'quantity', 'unit', 'category', 'notes'];
+
+// Fields clients may set through PUT /lists/:listId - ownership, membership
+// and share state have their own endpoints
+const UPDATABLE_LIST_FIELDS = ['name', 'items', 'estimatedTotal', 'notes'];
+
+const MAX_LIST_ITEMS = 500;
+
+class ListVersionConflictError extends Error {
+  constructor(currentVersion) {
+    super('List was changed by another member');
+    this.name = 'ListVersionConflictError';
+    this.code = 'LIST_VERSION_CONFLICT';
+    this.currentVersion = currentVersion;
+    this.statusCode = 409;
+  }
+}
+
+class ListCollaborationService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  /**
+   * Resolve a user's role on a list - the list creator is always the owner
+   */
+  getRole(listData, userId) {
+    if (!listData || !userId) return null;
+    if (listData.userId === userId) return 'owner';
+    return listData.members?.[userId]?.role || null;
+  }
+
+  hasRole(role, minimumRole) {
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+  }
+
+  /**
+   * Load a list and make sure the user holds at least `minimumRole` on it
+   */
+  async getListForUser(listId, userId, minimumRole = 'viewer') {
+    const listDoc = await this.getDB().collection('savedLists').doc(listId).get();
+
+    if (!listDoc.exists) {
+      throw new NotFoundError('List');
+    }
+
+    const listData = listDoc.data();
+    const role = this.getRole(listData, userId);
+
+    if (!this.hasRole(role, minimumRole)) {
+      throw new AuthorizationError(`${minimumRole} access required for this list`);
+    }
+
+    return { list: { id: listDoc.id, ...listData }, role };
+  }
+
+  /**
+   * Get every list the user owns or has been added to
+   */
+  async getListsForUser(userId) {
+    const db = this.getDB();
+    const [ownedSnapshot, memberSnapshot] = await Promise.all([
+      db.collection('savedLists').where('userId', '==', userId).get(),
+      db.collection('savedLists').where('memberIds', 'array-contains', userId).get()
+    ]);
+
+    const lists = new Map();
+    ownedSnapshot.forEach(doc => {
+      lists.set(doc.id, { id: doc.id, ...doc.data(), role: 'owner' });
+    });
+    memberSnapshot.forEach(doc => {
+      if (!lists.has(doc.id)) {
+        const data = doc.data();
+        lists.set(doc.id, { id: doc.id, ...data, role: this.getRole(data, userId) });
+      }
+    });
+
+    return Array.from(lists.values())
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * Add a household member by email or uid, or change an existing member's role
+   */
+  async setMember(listId, ownerId, { email, userId, role }) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${MEMBER_ROLES.join(', ')}`, 'role');
+    }
+
+    const { list } = await this.getListForUser(listId, ownerId, 'owner');
+
+    let memberRecord;
+    try {
+      memberRecord = userId
+        ? await admin.auth().getUser(userId)
+        : await admin.auth().getUserByEmail(email);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        throw new NotFoundError('User');
+      }
+      throw error;
+    }
+
+    if (memberRecord.uid === list.userId) {
+      throw new ValidationError('The list owner cannot be added as a member', 'userId');
+    }
+
+    const member = {
+      role: role,
+      email: memberRecord.email || null,
+      displayName: memberRecord.displayName || null,
+      addedBy: ownerId,
+      addedAt: list.members?.[memberRecord.uid]?.addedAt || new Date().toISOString()
+    };
+
+    await this.getDB().collection('savedLists').doc(listId).update({
+      [`members.${memberRecord.uid}`]: member,
+      memberIds: admin.firestore.FieldValue.arrayUnion(memberRecord.uid),
+      updatedAt: new Date().toISOString()
+    });
+
+    return { userId: memberRecord.uid, ...member };
+  }
+
+  /**
+   * Remove a member - owners can remove anyone, members can remove themselves
+   */
+  async removeMember(listId, requesterId, memberId) {
+    const { list, role } = await this.getListForUser(listId, requesterId, 'viewer');
+
+    if (role !== 'owner' && requesterId !== memberId) {
+      throw new AuthorizationError('Only the list owner can remove other members');
+    }
+
+    if (memberId === list.userId) {
+      throw new ValidationError('The list owner cannot be removed', 'memberId');
+    }
+
+    await this.getDB().collection('savedLists').doc(listId).update({
+      [`members.${memberId}`]: admin.firestore.FieldValue.delete(),
+      memberIds: admin.firestore.FieldValue.arrayRemove(memberId),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Update list fields inside a transaction. Replacing the whole items array
+   * would clobber concurrent edits from other members, so it needs the version
+   * the client last saw and fails with a 409 when someone has saved since.
+   */
+  async updateList(listId, userId, requested, baseVersion) {
+    const updates = {};
+    for (const field of UPDATABLE_LIST_FIELDS) {
+      if (requested[field] !== undefined) {
+        updates[field] = requested[field];
+      }
+    }
+
+    if (updates.items !== undefined) {
+      if (!Array.isArray(updates.items) || updates.items.length > MAX_LIST_ITEMS) {
+        throw new ValidationError(`items must be an array of up to ${MAX_LIST_ITEMS} items`, 'items');
+      }
+      if (!Number.isInteger(baseVersion)) {
+        throw new ValidationError('version is required when replacing items', 'version');
+      }
+    }
+
+    const db = this.getDB();
+    const listRef = db.collection('savedLists').doc(listId);
+
+    return db.runTransaction(async (transaction) => {
+      const listDoc = await transaction.get(listRef);
+
+      if (!listDoc.exists) {
+        throw new NotFoundError('List');
+      }
+
+      const listData = listDoc.data();
+      if (!this.hasRole(this.getRole(listData, userId), 'editor')) {
+        throw new AuthorizationError('editor access required for this list');
+      }
+
+      const currentVersion = listData.version || 0;
+      if (updates.items && baseVersion !== currentVersion) {
+        throw new ListVersionConflictError(currentVersion);
+      }
+
+      updates.updatedAt = new Date().toISOString();
+      updates.updatedBy = userId;
+      if (updates.items) {
+        updates.itemCount = updates.items.length;
+        updates.version = currentVersion + 1;
+      }
+
+      transaction.update(listRef, updates);
+      return { id: listDoc.id, ...listData, ...updates };
+    });
+  }
+
+  /**
+   * Apply item operations against the latest stored items inside a transaction.
+   * Each op targets a single item id, so concurrent edits from different members
+   * merge instead of one member's full items array overwriting another's.
+   *
+   * Supported ops:
+   *   { type: 'add', item }
+   *   { type: 'remove', itemId }
+   *   { type: 'check', itemId, checked }
+   *   { type: 'update', itemId, changes }
+   */
+  async applyOperations(listId, userId, operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new ValidationError('operations must be a non-empty array', 'operations');
+    }
+
+    const db = this.getDB();
+    const listRef = db.collection('savedLists').doc(listId);
+
+    return db.runTransaction(async (transaction) => {
+      const listDoc = await transaction.get(listRef);
+
+      if (!listDoc.exists) {
+        throw new NotFoundError('List');
+      }
+
+      const listData = listDoc.data();
+      if (!this.hasRole(this.getRole(listData, userId), 'editor')) {
+        throw new AuthorizationError('editor access required for this list');
+      }
+
+      const now = new Date().toISOString();
+      let items = [...(listData.items || [])];
+      const applied = [];
+
+      for (const op of operations) {
+        const result = this.applyOperation(items, op, userId, now);
+        if (result) {
+          items = result.items;
+          applied.push(result.op);
+        }
+      }
+
+      const version = (listData.version || 0) + (applied.length > 0 ? 1 : 0);
+
+      if (applied.length > 0) {
+        transaction.update(listRef, {
+          items: items,
+          itemCount: items.length,
+          version: version,
+          updatedAt: now,
+          updatedBy: userId
+        });
+      }
+
+      return { listId, version, applied, items };
+    });
+  }
+
+  /**
+   * Apply one op to an items array - returns null when the op is a no-op
+   * (e.g. removing an item another member already removed)
+   */
+  applyOperation(items, op, userId, timestamp) {
+    switch (op?.type) {
+      case 'add': {
+        if (!op.item || !(op.item.productName || op.item.name)) {
+          throw new ValidationError('add operations require an item with a productName', 'item');
+        }
+        const item = {
+          ...op.item,
+          id: op.item.id || `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          checked: !!op.item.checked,
+          addedBy: userId,
+          addedAt: timestamp
+        };
+        if (items.some(existing => existing.id === item.id)) {
+          return null;
+        }
+        if (items.length >= MAX_LIST_ITEMS) {
+          throw new ValidationError(`A list can hold at most ${MAX_LIST_ITEMS} items`, 'items');
+        }
+        return { items: [...items, item], op: { type: 'add', item } };
+      }
+
+      case 'remove': {
+        if (!items.some(item => item.id === op.itemId)) {
+          return null;
+        }
+        return {
+          items: items.filter(item => item.id !== op.itemId),
+          op: { type: 'remove', itemId: op.itemId }
+        };
+      }
+
+      case 'check': {
+        const checked = !!op.checked;
+        const target = items.find(item => item.id === op.itemId);
+        if (!target || !!target.checked === checked) {
+          return null;
+        }
+        const changes = { checked, checkedBy: checked ? userId : null, checkedAt: checked ? timestamp : null };
+        return {
+          items: items.map(item => (item.id === op.itemId ? { ...item, ...changes } : item)),
+          op: { type: 'check', itemId: op.itemId, changes }
+        };
+      }
+
+      case 'update': {
+        const changes = {};
+        for (const field of UPDATABLE_ITEM_FIELDS) {
+          if (op.changes && op.changes[field] !== undefined) {
+            changes[field] = op.changes[field];
+          }
+        }
+        if (!items.some(item => item.id === op.itemId) || Object.keys(changes).length === 0) {
+          return null;
+        }
+        changes.updatedBy = userId;
+        changes.updatedAt = timestamp;
+        return {
+          items: items.map(item => (item.id === op.itemId ? { ...item, ...changes } : item)),
+          op: { type: 'update', itemId: op.itemId, changes }
+        };
+      }
+
+      default:
+        throw new ValidationError(`Unknown operation type: ${op?.type}`, 'type');
+    }
+  }
+}
+
+// Create singleton instance
+const listCollaborationService = new ListCollaborationService();
+
+module.exports = listCollaborationService;
+module.exports.ListVersionConflictError = ListVersionConflictError;
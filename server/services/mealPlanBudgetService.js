@@ -0,0 +1,210 @@
+// server/services/mealPlanBudgetService.js
+// Holds a meal plan to a hard dollar budget. The plan's consolidated shopping
+// list is priced from price history (the latest price a retailer actually
+// quoted for a matching product); lines with no observation fall back to the
+// category estimate and are flagged as such. While the list is over budget the
+// costliest meal is swapped for a cheaper one, a few times at most.
+
+const winston = require('winston');
+const priceHistoryService = require('./priceHistoryService');
+const { estimatePrice } = require('../utils/spoonacularProducts');
+const { nameSimilarity } = require('../utils/receiptReconciliation');
+const { categorize } = require('../utils/foodCategories');
+const { costPlan, budgetStatus, mostExpensiveMeal } = require('../utils/mealPlanBudget');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'meal-plan-budget' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Each swap is an AI call - stop trying after this many
+const MAX_SWAP_ATTEMPTS = 4;
+
+const MAX_BUDGET = 10000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class MealPlanBudgetService {
+  /**
+   * Read a dollar budget from a number or "$120" / "120.50". Returns null for
+   * the old budget words ('moderate', 'low') so callers can tell them apart.
+   */
+  parseBudget(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(/^\s*\$/, ''));
+    if (typeof value === 'string' && !/^\s*\$?\s*\d+(\.\d+)?\s*$/.test(value)) return null;
+    if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_BUDGET) {
+      throw new ValidationError(`budget must be between $1 and $${MAX_BUDGET}`, 'budget');
+    }
+    return round2(amount);
+  }
+
+  /**
+   * Best price for each item name. A product matches when every word of the
+   * shorter name appears in the longer one; the closest name wins, then the
+   * cheapest vendor. Unmatched names get an estimate.
+   */
+  async lookupPrices(names, { vendor } = {}) {
+    let candidates = [];
+    if (priceHistoryService.isAvailable()) {
+      try {
+        candidates = await priceHistoryService.searchLatestPrices(names, { vendor });
+      } catch (error) {
+        logger.warn('Price history lookup failed, using estimates:', error.message);
+      }
+    }
+
+    const prices = new Map();
+    for (const name of names) {
+      const best = candidates
+        .filter(candidate => nameSimilarity(name, candidate.productKey) === 1)
+        .sort((a, b) =>
+          a.productKey.split(' ').length - b.productKey.split(' ').length || a.price - b.price
+        )[0];
+
+      prices.set(name, best
+        ? { price: best.price, source: 'observed', productName: best.productName, vendor: best.vendor }
+        : { price: estimatePrice(name, categorize(name)), source: 'estimated' });
+    }
+    return prices;
+  }
+
+  /**
+   * Price a set of recipes, looking up only names not already in `prices`
+   */
+  async priceRecipes(recipes, { vendor, prices = new Map() } = {}) {
+    const first = costPlan(recipes, name => prices.get(name));
+    const missing = first.items.filter(item => !prices.has(item.name)).map(item => item.name);
+    if (missing.length === 0) return first;
+
+    for (const [name, quote] of await this.lookupPrices(missing, { vendor })) {
+      prices.set(name, quote);
+    }
+    return costPlan(recipes, name => prices.get(name));
+  }
+
+  /**
+   * Fit a plan under budget by swapping its costliest meals.
+   *
+   * generateMeal(recipe, { maxCost, avoidIngredients }) returns a replacement
+   * recipe ({ title, ingredients, ... }) for the same slot, or null. A swap is
+   * kept only if it lowers the shopping list total.
+   *
+   * Returns { recipes, report } - report has the priced list, per-meal costs,
+   * the swaps tried and how far under (positive) or over the budget it ends.
+   */
+  async fitToBudget(mealPlan, { budget, vendor, generateMeal, maxSwaps = MAX_SWAP_ATTEMPTS }) {
+    const prices = new Map();
+    let recipes = [...(mealPlan.recipes || [])];
+    let costing = await this.priceRecipes(recipes, { vendor, prices });
+    const startingTotal = costing.total;
+    const swaps = [];
+    const tried = new Set();
+
+    while (generateMeal && costing.total > budget && swaps.length < maxSwaps) {
+      const target = mostExpensiveMeal(costing.meals, tried);
+      if (!target) break;
+      tried.add(target.recipeId);
+
+      const index = recipes.findIndex(recipe => recipe.id === target.recipeId);
+      const original = recipes[index];
+      // What this meal may cost once everything else on the list is paid for
+      const maxCost = round2(Math.max(budget - (costing.total - target.cost), 0));
+      const attempt = {
+        recipeId: original.id,
+        dayAssigned: original.dayAssigned ?? null,
+        mealType: original.mealType || null,
+        from: target.title,
+        costBefore: target.cost
+      };
+
+      let replacement = null;
+      try {
+        replacement = await generateMeal(original, {
+          maxCost,
+          avoidIngredients: target.ingredients.slice(0, 3).map(ingredient => ingredient.name)
+        });
+      } catch (error) {
+        logger.warn(`Could not generate a cheaper ${attempt.mealType || 'meal'} for ${attempt.from}:`, error.message);
+      }
+      if (!replacement || !Array.isArray(replacement.ingredients) || replacement.ingredients.length === 0) {
+        swaps.push({ ...attempt, accepted: false, reason: 'no_recipe' });
+        continue;
+      }
+
+      const candidate = [...recipes];
+      // The slot keeps its id so the week schedule still points at it
+      candidate[index] = { ...original, ...replacement, id: original.id, dayAssigned: original.dayAssigned, mealType: original.mealType };
+      const next = await this.priceRecipes(candidate, { vendor, prices });
+      const accepted = next.total < costing.total;
+
+      swaps.push({
+        ...attempt,
+        to: replacement.title || replacement.name,
+        costAfter: next.meals[index].cost,
+        saved: round2(costing.total - next.total),
+        accepted,
+        ...(accepted ? {} : { reason: 'not_cheaper' })
+      });
+      if (accepted) {
+        recipes = candidate;
+        costing = next;
+      }
+    }
+
+    const observed = costing.items.filter(item => item.priceSource === 'observed').length;
+    logger.info(`Budget plan: $${costing.total} against $${budget} after ${swaps.filter(swap => swap.accepted).length}/${swaps.length} swaps`);
+
+    return {
+      recipes,
+      report: {
+        ...budgetStatus(costing.total, budget),
+        startingTotal,
+        items: costing.items,
+        meals: costing.meals,
+        swaps,
+        pricing: {
+          observed,
+          estimated: costing.items.length - observed
+        }
+      }
+    };
+  }
+
+  /**
+   * Priced list lines in the meal plan shoppingList shape
+   */
+  toShoppingList(items) {
+    const addedAt = new Date().toISOString();
+    return items.map((item, index) => ({
+      id: `item-${index + 1}`,
+      item: item.name,
+      quantity: item.quantity,
+      unit: item.unit,
+      category: item.category,
+      estimatedCost: item.cost,
+      priceSource: item.priceSource,
+      purchased: false,
+      addedAt
+    }));
+  }
+}
+
+// Create singleton instance
+const mealPlanBudgetService = new MealPlanBudgetService();
+
+module.exports = mealPlanBudgetService;
@@ -0,0 +1,418 @@
+// server/services/pantryService.js
+// Household pantry inventory (users/{uid}/pantry) and the pantry-aware diff that
+// keeps generated lists from re-buying what is already at home
+
+const admin = require('firebase-admin');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { canonicalItemName, categorize } = require('../utils/foodCategories');
+const { normalizeUnit } = require('../utils/unitDictionary');
+const { convert } = require('../utils/unitConversion');
+
+// Fields a client may set on a pantry item
+const UPDATABLE_FIELDS = ['name', 'quantity', 'unit', 'category', 'location', 'expiresAt', 'staple', 'notes'];
+const LOCATIONS = ['pantry', 'fridge', 'freezer'];
+
+// Instacart cart/order statuses that mean the groceries actually arrived
+const COMPLETED_ORDER_STATUSES = ['completed', 'delivered', 'fulfilled', 'picked_up'];
+
+const EPSILON = 1e-6;
+
+// Leading words that only name a grade or form of the same product, so
+// "extra virgin olive oil" draws on "olive oil" and "unsalted butter" on
+// "butter". Any other word in front makes it a different product ("peanut
+// butter", "coconut milk", "red bell pepper").
+const VARIANT_WORDS = new Set([
+  'extra', 'virgin', 'light', 'unsalted', 'salted', 'whole', 'skim', '1%', '2%',
+  'large', 'medium', 'small', 'jumbo', 'fresh', 'organic', 'raw', 'plain',
+  'all-purpose', 'granulated', 'kosher', 'sea', 'ground', 'dried',
+  'low-sodium', 'reduced-sodium', 'free-range', 'cage-free'
+]);
+
+// Round to 2 decimals, and up to a quarter unit when we still need to buy something
+const round = (value) => Math.round(value * 100) / 100;
+const roundUp = (value) => Math.ceil((value - EPSILON) * 4) / 4;
+
+function itemName(item) {
+  return String(item.productName || item.name || item.item || '').trim();
+}
+
+// Canonical name without its leading variant words
+function baseProductName(canonical) {
+  const words = canonical.split(' ');
+  while (words.length > 1 && VARIANT_WORDS.has(words[0])) {
+    words.shift();
+  }
+  return words.join(' ');
+}
+
+function isExpired(pantryItem, now = Date.now()) {
+  return !!pantryItem.expiresAt && new Date(pantryItem.expiresAt).getTime() < now;
+}
+
+/**
+ * Amount of `quantity fromUnit` expressed in `toUnit`, or null when the two
+ * can't be compared (2 cans vs 500 g)
+ */
+function convertAmount(quantity, fromUnit, toUnit, name) {
+  if (String(fromUnit || '').toLowerCase() === String(toUnit || '').toLowerCase()) return quantity;
+  return convert(quantity, fromUnit || 'count', toUnit || 'count', name);
+}
+
+class PantryService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  pantryCollection(userId) {
+    return this.getDB().collection('users').doc(userId).collection('pantry');
+  }
+
+  ordersCollection(userId) {
+    return this.getDB().collection('users').doc(userId).collection('pantryOrders');
+  }
+
+  /**
+   * Validate and normalize client input into a stored pantry item
+   */
+  sanitizeItem(input, { partial = false } = {}) {
+    const item = {};
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (input[field] !== undefined) item[field] = input[field];
+    }
+
+    if (!partial || item.name !== undefined) {
+      if (typeof item.name !== 'string' || !item.name.trim()) {
+        throw new ValidationError('Pantry item name is required', 'name');
+      }
+      item.name = item.name.trim();
+      item.canonicalName = canonicalItemName(item.name);
+    }
+
+    if (item.quantity !== undefined && item.quantity !== null) {
+      const quantity = Number(item.quantity);
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        throw new ValidationError('Quantity must be a non-negative number', 'quantity');
+      }
+      item.quantity = quantity;
+    }
+
+    if (item.unit !== undefined) {
+      item.unit = item.unit ? normalizeUnit(String(item.unit)) || String(item.unit).toLowerCase() : null;
+    }
+
+    if (item.expiresAt !== undefined && item.expiresAt !== null) {
+      const expires = new Date(item.expiresAt);
+      if (Number.isNaN(expires.getTime())) {
+        throw new ValidationError('expiresAt must be a valid date', 'expiresAt');
+      }
+      item.expiresAt = expires.toISOString();
+    }
+
+    if (item.location !== undefined && !LOCATIONS.includes(item.location)) {
+      throw new ValidationError(`location must be one of: ${LOCATIONS.join(', ')}`, 'location');
+    }
+
+    if (item.staple !== undefined) item.staple = !!item.staple;
+
+    if (!partial) {
+      item.quantity = item.quantity ?? null;
+      item.unit = item.unit ?? null;
+      item.category = item.category || categorize(item.name);
+      item.location = item.location || 'pantry';
+      item.expiresAt = item.expiresAt ?? null;
+      item.staple = item.staple ?? false;
+    }
+
+    return item;
+  }
+
+  async getItems(userId) {
+    const snapshot = await this.pantryCollection(userId).orderBy('canonicalName').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async getItem(userId, itemId) {
+    const doc = await this.pantryCollection(userId).doc(itemId).get();
+    if (!doc.exists) {
+      throw new NotFoundError('Pantry item');
+    }
+    return { id: doc.id, ...doc.data() };
+  }
+
+  async addItem(userId, input) {
+    const now = new Date().toISOString();
+    const item = { ...this.sanitizeItem(input), createdAt: now, updatedAt: now };
+    const docRef = await this.pantryCollection(userId).add(item);
+    return { id: docRef.id, ...item };
+  }
+
+  async updateItem(userId, itemId, input) {
+    const existing = await this.getItem(userId, itemId);
+    const updates = { ...this.sanitizeItem(input, { partial: true }), updatedAt: new Date().toISOString() };
+    await this.pantryCollection(userId).doc(itemId).update(updates);
+    return { ...existing, ...updates };
+  }
+
+  async deleteItem(userId, itemId) {
+    await this.getItem(userId, itemId);
+    await this.pantryCollection(userId).doc(itemId).delete();
+  }
+
+  /**
+   * Best pantry entry for a list item: exact canonical name first, then the
+   * same product once variant words are dropped ("olive oil" covers
+   * "extra virgin olive oil", but "butter" never covers "peanut butter")
+   */
+  findMatch(pantryItems, name) {
+    const canonical = canonicalItemName(name);
+    const exact = pantryItems.find(p => p.canonicalName === canonical);
+    if (exact) return exact;
+
+    const base = baseProductName(canonical);
+    return pantryItems.find(p => p.canonicalName && baseProductName(p.canonicalName) === base) || null;
+  }
+
+  /**
+   * Subtract what is already at home from a list of items
+   * @param {Array} items - cart-shaped items ({productName|name, quantity, unit})
+   * @param {Array} pantryItems - the user's pantry
+   * @returns {{toBuy: Array, alreadyHave: Array, usage: Array}} items still to buy
+   *   (quantities reduced), "already have" lines for display, and the pantry
+   *   amounts the list will draw down once the order completes
+   */
+  diffItems(items, pantryItems) {
+    const now = Date.now();
+    const usable = pantryItems.filter(p => !isExpired(p, now));
+    // Several list lines can draw on the same jar - track what's left of each
+    const remaining = new Map(usable.map(p => [p.id, p.quantity]));
+    const toBuy = [];
+    const alreadyHave = [];
+    const usage = new Map();
+
+    for (const item of items) {
+      const name = itemName(item);
+      const pantryItem = name ? this.findMatch(usable, name) : null;
+
+      if (!pantryItem) {
+        toBuy.push(item);
+        continue;
+      }
+
+      // Staples tracked without an amount (salt, oil) always count as on hand
+      if (pantryItem.quantity == null) {
+        if (pantryItem.staple) {
+          alreadyHave.push({
+            item: name,
+            pantryItemId: pantryItem.id,
+            status: 'staple',
+            needed: { quantity: item.quantity ?? null, unit: item.unit || null },
+            label: `Already have: ${name} (pantry staple)`
+          });
+        } else {
+          toBuy.push(item);
+        }
+        continue;
+      }
+
+      const needed = Number(item.quantity) || 1;
+      const available = remaining.get(pantryItem.id) || 0;
+      const availableInItemUnit = convertAmount(available, pantryItem.unit, item.unit, name);
+
+      if (availableInItemUnit == null || availableInItemUnit <= EPSILON) {
+        toBuy.push(item);
+        continue;
+      }
+
+      const covered = Math.min(needed, availableInItemUnit);
+      const stillNeeded = needed - covered;
+      const drawn = available * (covered / availableInItemUnit);
+      remaining.set(pantryItem.id, Math.max(0, available - drawn));
+
+      const used = usage.get(pantryItem.id) || { pantryItemId: pantryItem.id, name: pantryItem.name, quantity: 0, unit: pantryItem.unit };
+      used.quantity = round(used.quantity + drawn);
+      usage.set(pantryItem.id, used);
+
+      const unitLabel = item.unit ? ` ${item.unit}` : '';
+      alreadyHave.push({
+        item: name,
+        pantryItemId: pantryItem.id,
+        status: stillNeeded > EPSILON ? 'partial' : 'covered',
+        needed: { quantity: needed, unit: item.unit || null },
+        covered: { quantity: round(covered), unit: item.unit || null },
+        have: { quantity: round(available), unit: pantryItem.unit },
+        label: stillNeeded > EPSILON
+          ? `Already have ${round(covered)}${unitLabel} of ${name} - buying the rest`
+          : `Already have: ${name}`
+      });
+
+      if (stillNeeded > EPSILON) {
+        toBuy.push({ ...item, quantity: roundUp(stillNeeded), pantryCovered: round(covered) });
+      }
+    }
+
+    return { toBuy, alreadyHave, usage: [...usage.values()] };
+  }
+
+  async diffAgainstPantry(userId, items) {
+    const pantryItems = await this.getItems(userId);
+    return this.diffItems(items || [], pantryItems);
+  }
+
+  /**
+   * Draw pantry amounts down (cooking, or a list that relied on the pantry)
+   * @param {Array<{pantryItemId: string, quantity: number}>} usage
+   */
+  async consume(userId, usage) {
+    const collection = this.pantryCollection(userId);
+    const batch = this.getDB().batch();
+    const now = new Date().toISOString();
+    let updated = 0;
+
+    for (const line of usage || []) {
+      const doc = await collection.doc(line.pantryItemId).get();
+      if (!doc.exists || doc.data().quantity == null) continue;
+
+      batch.update(doc.ref, {
+        quantity: round(Math.max(0, doc.data().quantity - (Number(line.quantity) || 0))),
+        updatedAt: now
+      });
+      updated++;
+    }
+
+    if (updated) await batch.commit();
+    return { updated };
+  }
+
+  /**
+   * Add purchased items to the pantry - tracked items are topped up, anything
+   * new gets its own entry
+   */
+  async restock(userId, items) {
+    const collection = this.pantryCollection(userId);
+    const pantryItems = await this.getItems(userId);
+    const batch = this.getDB().batch();
+    const now = new Date().toISOString();
+    let restocked = 0;
+    let added = 0;
+
+    for (const item of items || []) {
+      const name = itemName(item);
+      if (!name) continue;
+
+      const quantity = Number(item.quantity) || 1;
+      const unit = item.unit ? normalizeUnit(String(item.unit)) || String(item.unit).toLowerCase() : null;
+      const existing = this.findMatch(pantryItems, name);
+
+      if (existing) {
+        const amount = existing.quantity == null ? null : convertAmount(quantity, unit, existing.unit, name);
+        const update = amount == null
+          // Untracked amount, or a unit we can't add to - the fresh purchase wins
+          ? (existing.staple && existing.quantity == null ? {} : { quantity, unit })
+          : { quantity: round(existing.quantity + amount) };
+
+        batch.update(collection.doc(existing.id), { ...update, lastRestockedAt: now, updatedAt: now });
+        Object.assign(existing, update);
+        restocked++;
+      } else {
+        const newItem = {
+          ...this.sanitizeItem({ name, quantity, unit, category: item.category }),
+          lastRestockedAt: now,
+          createdAt: now,
+          updatedAt: now
+        };
+        const ref = collection.doc();
+        batch.set(ref, newItem);
+        pantryItems.push({ id: ref.id, ...newItem });
+        added++;
+      }
+    }
+
+    if (restocked || added) await batch.commit();
+    return { restocked, added };
+  }
+
+  /**
+   * Remember what went into an Instacart cart (and which pantry amounts the list
+   * relied on) so the pantry can be updated once the order is completed
+   */
+  async recordPendingOrder(userId, orderId, items, { usage = [], source = 'instacart' } = {}) {
+    await this.ordersCollection(userId).doc(String(orderId)).set({
+      items: (items || []).map(item => ({
+        name: itemName(item),
+        quantity: Number(item.quantity) || 1,
+        unit: item.unit || null,
+        category: item.category || null
+      })),
+      usage,
+      source,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Add the pantry amounts a pantry-aware cart add relied on, for takeCartUsage()
+   * to settle when the cart goes to a retailer
+   */
+  async addCartUsage(userId, usage) {
+    if (!usage || usage.length === 0) return;
+    const cartRef = this.getDB().collection('carts').doc(userId);
+    await this.getDB().runTransaction(async (transaction) => {
+      const cartDoc = await transaction.get(cartRef);
+      const existing = cartDoc.exists ? cartDoc.data().pantryUsage || [] : [];
+      transaction.set(cartRef, { pantryUsage: [...existing, ...usage] }, { merge: true });
+    });
+  }
+
+  /**
+   * Pantry usage the user's cart has accumulated from pantry-aware adds - taken
+   * (and cleared) when the cart is sent to a retailer
+   */
+  async takeCartUsage(userId) {
+    const cartRef = this.getDB().collection('carts').doc(userId);
+    const cartDoc = await cartRef.get();
+    const usage = cartDoc.exists ? cartDoc.data().pantryUsage || [] : [];
+    if (usage.length) {
+      await cartRef.set({ pantryUsage: [] }, { merge: true });
+    }
+    return usage;
+  }
+
+  /**
+   * Apply a completed order exactly once: restock what was bought and draw down
+   * what the list took from the pantry
+   * @returns {object|null} null when the order is unknown or already applied
+   */
+  async completeOrder(userId, orderId, { items } = {}) {
+    const orderRef = this.ordersCollection(userId).doc(String(orderId));
+
+    const order = await this.getDB().runTransaction(async (transaction) => {
+      const doc = await transaction.get(orderRef);
+      if (doc.exists && doc.data().status === 'applied') return null;
+      if (!doc.exists && !items) return null;
+
+      const data = doc.exists ? doc.data() : { items, usage: [], source: 'manual' };
+      transaction.set(orderRef, { ...data, status: 'applied', appliedAt: new Date().toISOString() }, { merge: true });
+      return data;
+    });
+
+    if (!order) return null;
+
+    const restocked = await this.restock(userId, items || order.items);
+    const consumed = await this.consume(userId, order.usage);
+    return { orderId: String(orderId), ...restocked, consumed: consumed.updated };
+  }
+
+  isCompletedStatus(status) {
+    return COMPLETED_ORDER_STATUSES.includes(String(status || '').toLowerCase());
+  }
+}
+
+// Create singleton instance
+const pantryService = new PantryService();
+
+module.exports = pantryService;
@@ -0,0 +1,514 @@
+// server/services/priceHistoryService.js
+// Stores observed product prices and answers price history / price-drop alert queries
+
+const winston = require('winston');
+const mongoose = require('mongoose');
+const PriceObservation = require('../models/PriceObservation');
+const PriceAlert = require('../models/PriceAlert');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'price-history' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_RANGES = {
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+  '90d': 90 * DAY_MS,
+  '1y': 365 * DAY_MS
+};
+
+const MAX_PRICE = 10000;
+
+// Prices a user entered themselves (receipt imports, manually tracked prices)
+// stay with that user: they are stored tagged with the source and userId but
+// never feed shared history, latest-price lookups or anyone's alerts
+const USER_REPORTED_SOURCES = ['receipt_import', 'manual_track'];
+const SHARED_ONLY = { source: { $nin: USER_REPORTED_SOURCES } };
+
+// Changes smaller than this over the range count as flat
+const TREND_THRESHOLD_PERCENT = 2;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PriceHistoryService {
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  normalizeProductKey(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  normalizeVendorKey(vendor) {
+    return String(vendor || 'unknown').toLowerCase().replace(/[^a-z0-9]/g, '') || 'unknown';
+  }
+
+  /**
+   * Record observed prices. Estimated prices (estimated_price / estimated flags)
+   * and anything that is not a usable number are skipped - history must only
+   * contain prices a retailer actually quoted.
+   */
+  async recordObservations(observations, source) {
+    if (!this.isAvailable()) {
+      logger.debug('Price history store unavailable - skipping observations');
+      return [];
+    }
+
+    const now = new Date();
+    const docs = (observations || [])
+      .filter(obs => obs && !obs.estimated && !obs.estimated_price)
+      .map(obs => ({ ...obs, price: parseFloat(obs.price) }))
+      .filter(obs => obs.productName && Number.isFinite(obs.price) && obs.price > 0 && obs.price < MAX_PRICE)
+      .map(obs => ({
+        observedAt: this.observedAt(obs.observedAt, now),
+        meta: {
+          productKey: this.normalizeProductKey(obs.productName),
+          vendor: this.normalizeVendorKey(obs.vendor)
+        },
+        productName: obs.productName,
+        productId: obs.productId ? String(obs.productId) : undefined,
+        vendorName: obs.vendorName || obs.vendor || undefined,
+        price: round2(obs.price),
+        packageSize: obs.packageSize || undefined,
+        unit: obs.unit || undefined,
+        zipCode: obs.zipCode || undefined,
+        source: source,
+        userId: obs.userId || undefined
+      }));
+
+    if (docs.length === 0) return [];
+
+    const saved = await PriceObservation.insertMany(docs);
+    logger.info(`💾 Recorded ${saved.length} price observations from ${source}`);
+
+    if (!USER_REPORTED_SOURCES.includes(source)) {
+      await this.checkAlerts(saved).catch(error => {
+        logger.error('Price alert check failed:', error.message);
+      });
+    }
+
+    return saved;
+  }
+
+  // When a price was seen - unreadable or future times become now
+  observedAt(value, now) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(time) && time < now.getTime() ? new Date(time) : now;
+  }
+
+  /**
+   * Fire-and-forget variant for request handlers that must not wait on storage
+   */
+  recordInBackground(observations, source) {
+    this.recordObservations(observations, source).catch(error => {
+      logger.warn(`Failed to record ${source} prices:`, error.message);
+    });
+  }
+
+  /**
+   * Price history for a product: overall stats, trend and a daily series per vendor
+   */
+  async getHistory({ product, productId, timeRange = '30d', vendor }) {
+    if (!TIME_RANGES[timeRange]) {
+      throw new ValidationError(`timeRange must be one of: ${Object.keys(TIME_RANGES).join(', ')}`, 'timeRange');
+    }
+
+    const productKey = this.normalizeProductKey(product);
+    const since = new Date(Date.now() - TIME_RANGES[timeRange]);
+
+    const match = {
+      ...SHARED_ONLY,
+      observedAt: { $gte: since },
+      ...(productId ? { productId: String(productId) } : { 'meta.productKey': productKey })
+    };
+    if (vendor) {
+      match['meta.vendor'] = this.normalizeVendorKey(vendor);
+    }
+
+    const [buckets, latest] = await Promise.all([
+      PriceObservation.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              vendor: '$meta.vendor',
+              day: { $dateTrunc: { date: '$observedAt', unit: 'day' } }
+            },
+            min: { $min: '$price' },
+            max: { $max: '$price' },
+            avg: { $avg: '$price' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.day': 1 } }
+      ]),
+      PriceObservation.aggregate([
+        { $match: match },
+        { $sort: { observedAt: -1 } },
+        {
+          $group: {
+            _id: '$meta.vendor',
+            price: { $first: '$price' },
+            observedAt: { $first: '$observedAt' },
+            vendorName: { $first: '$vendorName' },
+            productName: { $first: '$productName' },
+            packageSize: { $first: '$packageSize' },
+            source: { $first: '$source' }
+          }
+        }
+      ])
+    ]);
+
+    const seriesByVendor = new Map();
+    for (const bucket of buckets) {
+      const key = bucket._id.vendor;
+      if (!seriesByVendor.has(key)) seriesByVendor.set(key, []);
+      seriesByVendor.get(key).push({
+        date: bucket._id.day.toISOString(),
+        min: round2(bucket.min),
+        max: round2(bucket.max),
+        avg: round2(bucket.avg),
+        count: bucket.count
+      });
+    }
+
+    const latestByVendor = new Map(latest.map(entry => [entry._id, entry]));
+
+    const series = Array.from(seriesByVendor.entries()).map(([vendorKey, points]) => {
+      const current = latestByVendor.get(vendorKey);
+      return {
+        vendorKey,
+        vendorName: current?.vendorName || vendorKey,
+        currentPrice: current?.price ?? null,
+        lastUpdated: current?.observedAt?.toISOString() || null,
+        productName: current?.productName,
+        packageSize: current?.packageSize || null,
+        source: current?.source,
+        ...this.summarize(points),
+        trend: this.computeTrend(points),
+        points
+      };
+    });
+
+    const allPoints = series.flatMap(s => s.points);
+
+    return {
+      productKey,
+      timeRange,
+      since: since.toISOString(),
+      stats: allPoints.length > 0
+        ? { ...this.summarize(allPoints), trend: this.computeTrend(this.mergeDailyPoints(allPoints)) }
+        : null,
+      series
+    };
+  }
+
+  /**
+   * Latest observed price of each product at each of the given vendors, in one
+   * query. Returns { [productKey]: { [vendorKey]: { price, observedAt, productName } } }
+   */
+  async getLatestPrices(productNames, { vendors, timeRange = '30d' } = {}) {
+    if (!TIME_RANGES[timeRange]) {
+      throw new ValidationError(`timeRange must be one of: ${Object.keys(TIME_RANGES).join(', ')}`, 'timeRange');
+    }
+
+    const productKeys = [...new Set(productNames.map(name => this.normalizeProductKey(name)).filter(Boolean))];
+    if (productKeys.length === 0) return {};
+
+    const match = {
+      ...SHARED_ONLY,
+      observedAt: { $gte: new Date(Date.now() - TIME_RANGES[timeRange]) },
+      'meta.productKey': { $in: productKeys }
+    };
+    if (vendors && vendors.length > 0) {
+      match['meta.vendor'] = { $in: vendors.map(vendor => this.normalizeVendorKey(vendor)) };
+    }
+
+    const latest = await PriceObservation.aggregate([
+      { $match: match },
+      { $sort: { observedAt: -1 } },
+      {
+        $group: {
+          _id: { productKey: '$meta.productKey', vendor: '$meta.vendor' },
+          price: { $first: '$price' },
+          observedAt: { $first: '$observedAt' },
+          productName: { $first: '$productName' }
+        }
+      }
+    ]);
+
+    const prices = {};
+    for (const entry of latest) {
+      const { productKey, vendor } = entry._id;
+      prices[productKey] = prices[productKey] || {};
+      prices[productKey][vendor] = {
+        price: entry.price,
+        observedAt: entry.observedAt.toISOString(),
+        productName: entry.productName
+      };
+    }
+    return prices;
+  }
+
+  /**
+   * Recently observed products whose name contains any word of the search
+   * terms, with each vendor's latest price - for callers that match loosely
+   * ("milk" -> "whole milk 1 gal") instead of by exact product key.
+   * Returns [{ productKey, productName, vendor, price, observedAt }]
+   */
+  async searchLatestPrices(terms, { vendor, timeRange = '30d', limit = 1000 } = {}) {
+    if (!TIME_RANGES[timeRange]) {
+      throw new ValidationError(`timeRange must be one of: ${Object.keys(TIME_RANGES).join(', ')}`, 'timeRange');
+    }
+
+    const words = [...new Set(terms
+      .flatMap(term => this.normalizeProductKey(term).split(' '))
+      .filter(word => word.length > 2))];
+    if (words.length === 0) return [];
+
+    const match = {
+      ...SHARED_ONLY,
+      observedAt: { $gte: new Date(Date.now() - TIME_RANGES[timeRange]) },
+      // Keys are already lowercase letters, digits and spaces - nothing to escape
+      'meta.productKey': { $regex: `\\b(${words.join('|')})` }
+    };
+    if (vendor) {
+      match['meta.vendor'] = this.normalizeVendorKey(vendor);
+    }
+
+    const latest = await PriceObservation.aggregate([
+      { $match: match },
+      { $sort: { observedAt: -1 } },
+      {
+        $group: {
+          _id: { productKey: '$meta.productKey', vendor: '$meta.vendor' },
+          price: { $first: '$price' },
+          observedAt: { $first: '$observedAt' },
+          productName: { $first: '$productName' }
+        }
+      },
+      { $limit: limit }
+    ]);
+
+    return latest.map(entry => ({
+      productKey: entry._id.productKey,
+      vendor: entry._id.vendor,
+      productName: entry.productName,
+      price: entry.price,
+      observedAt: entry.observedAt.toISOString()
+    }));
+  }
+
+  summarize(points) {
+    const count = points.reduce((sum, p) => sum + p.count, 0);
+    return {
+      min: round2(Math.min(...points.map(p => p.min))),
+      max: round2(Math.max(...points.map(p => p.max))),
+      avg: round2(points.reduce((sum, p) => sum + p.avg * p.count, 0) / count),
+      observationCount: count
+    };
+  }
+
+  // Combine per-vendor daily points into one daily average across vendors
+  mergeDailyPoints(points) {
+    const byDay = new Map();
+    for (const point of points) {
+      const day = byDay.get(point.date) || { date: point.date, total: 0, count: 0 };
+      day.total += point.avg * point.count;
+      day.count += point.count;
+      byDay.set(point.date, day);
+    }
+    return Array.from(byDay.values())
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({ date: day.date, avg: day.total / day.count, count: day.count }));
+  }
+
+  /**
+   * Least-squares slope of the daily averages, expressed as the percent change
+   * across the observed span
+   */
+  computeTrend(points) {
+    if (points.length < 2) {
+      return { direction: 'flat', changePercent: 0 };
+    }
+
+    const xs = points.map(p => new Date(p.date).getTime() / DAY_MS);
+    const ys = points.map(p => p.avg);
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < xs.length; i++) {
+      numerator += (xs[i] - meanX) * (ys[i] - meanY);
+      denominator += (xs[i] - meanX) ** 2;
+    }
+
+    const slopePerDay = denominator === 0 ? 0 : numerator / denominator;
+    const span = xs[xs.length - 1] - xs[0];
+    const changePercent = meanY === 0 ? 0 : round2((slopePerDay * span / meanY) * 100);
+
+    let direction = 'flat';
+    if (changePercent >= TREND_THRESHOLD_PERCENT) direction = 'up';
+    if (changePercent <= -TREND_THRESHOLD_PERCENT) direction = 'down';
+
+    return { direction, changePercent };
+  }
+
+  /**
+   * Subscribe a user to price drops for a product. Re-subscribing updates the
+   * existing alert instead of creating a duplicate.
+   */
+  async createAlert(userId, { product, productId, vendor, targetPrice, dropPercent }) {
+    if (!product) {
+      throw new ValidationError('Product name is required', 'product');
+    }
+
+    const target = targetPrice != null ? parseFloat(targetPrice) : null;
+    if (target != null && (!Number.isFinite(target) || target <= 0)) {
+      throw new ValidationError('targetPrice must be a positive number', 'targetPrice');
+    }
+
+    const productKey = this.normalizeProductKey(product);
+    const vendorKey = vendor ? this.normalizeVendorKey(vendor) : null;
+
+    // Baseline is the latest real price we have, so "any drop" alerts have a reference
+    const latest = await PriceObservation.findOne({
+      ...SHARED_ONLY,
+      'meta.productKey': productKey,
+      ...(vendorKey ? { 'meta.vendor': vendorKey } : {})
+    }).sort({ observedAt: -1 }).lean();
+
+    const update = {
+      productName: product,
+      productId: productId || undefined,
+      targetPrice: target,
+      baselinePrice: latest?.price ?? null,
+      active: true,
+      triggered: false
+    };
+    if (dropPercent != null) update.dropPercent = parseFloat(dropPercent);
+
+    return PriceAlert.findOneAndUpdate(
+      { userId, productKey, vendor: vendorKey },
+      { $set: update, $setOnInsert: { userId, productKey, vendor: vendorKey } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+  }
+
+  async getAlertsForUser(userId, { triggeredOnly = false } = {}) {
+    const query = { userId, active: true };
+    if (triggeredOnly) query.triggered = true;
+    return PriceAlert.find(query).sort({ updatedAt: -1 }).lean();
+  }
+
+  async deleteAlert(userId, alertId) {
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      throw new NotFoundError('Price alert');
+    }
+    const result = await PriceAlert.deleteOne({ _id: alertId, userId });
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('Price alert');
+    }
+  }
+
+  /**
+   * Account deletion: the user's alerts and every price observation they
+   * contributed. Deleting from a time-series collection by a non-meta field
+   * needs MongoDB 7.0+.
+   */
+  async deleteUserData(userId) {
+    const [alerts, observations] = await Promise.all([
+      PriceAlert.deleteMany({ userId }),
+      PriceObservation.deleteMany({ userId })
+    ]);
+    return { alerts: alerts.deletedCount, observations: observations.deletedCount };
+  }
+
+  /**
+   * Mark a triggered alert as seen so it stops showing as new
+   */
+  async acknowledgeAlert(userId, alertId) {
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      throw new NotFoundError('Price alert');
+    }
+    const alert = await PriceAlert.findOneAndUpdate(
+      { _id: alertId, userId },
+      { $set: { triggered: false } },
+      { new: true }
+    ).lean();
+    if (!alert) {
+      throw new NotFoundError('Price alert');
+    }
+    return alert;
+  }
+
+  /**
+   * Trigger alerts whose condition is met by newly recorded observations.
+   * An alert only re-fires when the price goes lower than the last time it fired.
+   */
+  async checkAlerts(observations) {
+    const productKeys = [...new Set(observations.map(obs => obs.meta.productKey))];
+    const alerts = await PriceAlert.find({ productKey: { $in: productKeys }, active: true });
+
+    for (const alert of alerts) {
+      const candidates = observations.filter(obs =>
+        obs.meta.productKey === alert.productKey &&
+        (!alert.vendor || obs.meta.vendor === alert.vendor)
+      );
+      if (candidates.length === 0) continue;
+
+      const best = candidates.reduce((a, b) => (b.price < a.price ? b : a));
+      const threshold = alert.targetPrice != null
+        ? alert.targetPrice
+        : alert.baselinePrice != null ? alert.baselinePrice * (1 - alert.dropPercent / 100) : null;
+
+      if (threshold == null) {
+        // First real price for an "any drop" alert becomes its baseline
+        alert.baselinePrice = best.price;
+        await alert.save();
+        continue;
+      }
+
+      const alreadyFiredLower = alert.lastTriggeredPrice != null && best.price >= alert.lastTriggeredPrice;
+      if (best.price > threshold || alreadyFiredLower) continue;
+
+      alert.triggered = true;
+      alert.lastTriggeredAt = best.observedAt;
+      alert.lastTriggeredPrice = best.price;
+      alert.lastTriggeredVendor = best.vendorName || best.meta.vendor;
+      alert.triggerCount += 1;
+      await alert.save();
+
+      logger.info(`🔔 Price alert ${alert._id} triggered for ${alert.productName} at $${best.price}`);
+    }
+  }
+}
+
+// Create singleton instance
+const priceHistoryService = new PriceHistoryService();
+
+module.exports = priceHistoryService;
+module.exports.TIME_RANGES = TIME_RANGES;
+module.exports.MAX_PRICE = MAX_PRICE;
@@ -0,0 +1,124 @@
+// server/services/productPreferenceService.js
+// Remembered product picks per user and normalized item name
+// (users/{uid}/productPreferences/{key}), combined with the brand, organic and
+// store-brand settings from userSettingsService for utils/productPreferences
+
+const admin = require('firebase-admin');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const userSettingsService = require('./userSettingsService');
+const { preferenceKey } = require('../utils/productPreferences');
+
+// Product fields worth remembering - enough to show and re-add it without a search
+const PRODUCT_FIELDS = ['id', 'sku', 'upc', 'name', 'brand', 'size', 'package_size', 'price', 'image_url', 'badges'];
+
+class ProductPreferenceService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  picksCollection(userId) {
+    return this.getDB().collection('users').doc(userId).collection('productPreferences');
+  }
+
+  async getPicks(userId) {
+    const snapshot = await this.picksCollection(userId).get();
+    return snapshot.docs.map(doc => ({ key: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Everything rankProducts() needs for one user
+   * @param {string} userId
+   * @param {Object} [systemPreferences] settings.json "preferences" section
+   */
+  async getPreferences(userId, systemPreferences = {}) {
+    const [picks, { settings }] = await Promise.all([
+      this.getPicks(userId),
+      userSettingsService.getSettings(userId, systemPreferences)
+    ]);
+
+    return {
+      picks: Object.fromEntries(picks.map(pick => [pick.key, pick])),
+      brandPreferences: settings.brandPreferences || { preferred: [], avoided: [] },
+      organicPreference: settings.organicPreference || 'any',
+      storeBrandPreference: settings.storeBrandPreference || 'any'
+    };
+  }
+
+  /**
+   * Remember the product a user chose for an item. Picking the same product
+   * again bumps pickCount; picking a different one replaces it.
+   */
+  async recordPick(userId, { itemName, product, retailerId }) {
+    const key = preferenceKey(itemName);
+    if (!key) {
+      throw new ValidationError('itemName is required', 'itemName');
+    }
+    if (!product || typeof product !== 'object' || typeof product.name !== 'string' || !product.name.trim()) {
+      throw new ValidationError('product with a name is required', 'product');
+    }
+
+    const stored = {};
+    for (const field of PRODUCT_FIELDS) {
+      if (product[field] !== undefined && product[field] !== null) stored[field] = product[field];
+    }
+
+    const ref = this.picksCollection(userId).doc(key);
+    const existing = await ref.get();
+    const previous = existing.exists ? existing.data() : null;
+    const sameProduct = previous && (
+      (previous.product.id && previous.product.id === stored.id) || previous.product.name === stored.name
+    );
+
+    const pick = {
+      itemName: String(itemName).trim(),
+      product: stored,
+      retailerId: retailerId || null,
+      pickCount: sameProduct ? (previous.pickCount || 1) + 1 : 1,
+      firstPickedAt: sameProduct ? previous.firstPickedAt : new Date().toISOString(),
+      lastPickedAt: new Date().toISOString()
+    };
+
+    await ref.set(pick);
+    return { key, ...pick };
+  }
+
+  async forgetPick(userId, key) {
+    const ref = this.picksCollection(userId).doc(key);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw new NotFoundError('Product preference');
+    }
+    await ref.delete();
+  }
+
+  /**
+   * "Never suggest this brand" - stored on the user's own settings layer so it
+   * shows up (and can be undone) in My Account
+   */
+  async excludeBrand(userId, brand, systemPreferences = {}) {
+    if (typeof brand !== 'string' || !brand.trim()) {
+      throw new ValidationError('brand is required', 'brand');
+    }
+
+    const { settings } = await userSettingsService.getSettings(userId, systemPreferences);
+    const current = settings.brandPreferences || { preferred: [], avoided: [] };
+    const avoided = current.avoided.some(entry => entry.toLowerCase() === brand.trim().toLowerCase())
+      ? current.avoided
+      : [...current.avoided, brand.trim()];
+
+    const brandPreferences = {
+      preferred: current.preferred.filter(entry => entry.toLowerCase() !== brand.trim().toLowerCase()),
+      avoided
+    };
+    await userSettingsService.updateUserSettings(userId, { brandPreferences });
+    return brandPreferences;
+  }
+}
+
+// Create singleton instance
+const productPreferenceService = new ProductPreferenceService();
+
+module.exports = productPreferenceService;
@@ -0,0 +1,279 @@
+// server/services/receiptService.js
+// Receipt import: parse a pasted receipt, CSV export or Instacart email, reconcile
+// it against the trip that was planned, and settle the difference - the shopping
+// history entry, the pantry and price history all end up reflecting what was
+// actually bought. Parsed receipts live in users/{uid}/receipts.
+
+const admin = require('firebase-admin');
+const winston = require('winston');
+const pantryService = require('./pantryService');
+const priceHistoryService = require('./priceHistoryService');
+const { parseReceipt, FORMATS } = require('../utils/receiptParser');
+const { reconcileReceipt } = require('../utils/receiptReconciliation');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'receipts' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const MAX_RECEIPT_LENGTH = 100000;
+const MAX_LIST_LIMIT = 100;
+// Receipt dates are read as noon UTC, which is still "tomorrow" for part of the
+// world - anything later than this is a typo or a made-up receipt
+const FUTURE_DATE_ALLOWANCE_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Firestore rejects undefined values anywhere in a document
+const withoutUndefined = (value) => JSON.parse(JSON.stringify(value));
+
+const toListItem = (item) => ({
+  productName: item.name,
+  quantity: item.quantity,
+  unit: item.unit,
+  price: item.unitPrice
+});
+
+class ReceiptService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  receiptsCollection(userId) {
+    return this.getDB().collection('users').doc(userId).collection('receipts');
+  }
+
+  /**
+   * Parse and reconcile without saving anything
+   */
+  preview({ text, format, plannedItems = [] }) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ValidationError('Receipt text is required', 'text');
+    }
+    if (text.length > MAX_RECEIPT_LENGTH) {
+      throw new ValidationError(`Receipt is too long (max ${MAX_RECEIPT_LENGTH} characters)`, 'text');
+    }
+    if (format && !FORMATS.includes(format)) {
+      throw new ValidationError(`format must be one of: ${FORMATS.join(', ')}`, 'format');
+    }
+    if (!Array.isArray(plannedItems)) {
+      throw new ValidationError('plannedItems must be an array', 'plannedItems');
+    }
+
+    const receipt = parseReceipt(text, { format });
+    if (receipt.items.length === 0) {
+      throw new ValidationError('No line items found in the receipt', 'text');
+    }
+    if (receipt.unreadableDate) {
+      throw new ValidationError(`"${receipt.unreadableDate}" on the receipt is not a valid date`, 'text');
+    }
+    if (receipt.orderDate && Date.parse(receipt.orderDate) > Date.now() + FUTURE_DATE_ALLOWANCE_MS) {
+      throw new ValidationError('The receipt is dated in the future', 'text');
+    }
+
+    return { receipt, reconciliation: reconcileReceipt(plannedItems, receipt.items) };
+  }
+
+  async getHistoryEntry(userId, historyId) {
+    const doc = await this.getDB().collection('shoppingHistory').doc(String(historyId)).get();
+    if (!doc.exists || doc.data().userId !== userId) {
+      throw new NotFoundError('Shopping trip');
+    }
+    return { id: doc.id, ref: doc.ref, ...doc.data() };
+  }
+
+  /**
+   * Import a receipt for a user
+   * @param {string} userId
+   * @param {Object} input
+   * @param {string} input.text receipt text, CSV export or email body
+   * @param {string} [input.format] csv | instacart_email | text (detected when omitted)
+   * @param {string} [input.historyId] shopping trip the receipt belongs to
+   * @param {string} [input.orderId] retailer order/cart id the pantry is waiting on
+   * @param {Array} [input.plannedItems] planned list when there is no trip to read it from
+   * @param {string} [input.storeName] overrides the store name found on the receipt
+   * @param {boolean} [input.dryRun] parse and reconcile only
+   * @returns {Promise<Object>} { receipt, reconciliation, historyId, historyCreated, pantry, pricesRecorded }
+   */
+  async importReceipt(userId, { text, format, historyId, orderId, plannedItems, storeName, dryRun = false } = {}) {
+    const history = historyId ? await this.getHistoryEntry(userId, historyId) : null;
+    if (history && history.receiptId && !dryRun) {
+      throw new ValidationError('This shopping trip already has a receipt', 'historyId');
+    }
+
+    const planned = plannedItems || (history && history.items) || [];
+    const { receipt, reconciliation } = this.preview({ text, format, plannedItems: planned });
+    receipt.storeName = storeName || receipt.storeName || (history && history.storeName) || null;
+
+    if (dryRun) {
+      return { receipt, reconciliation, historyId: history ? history.id : null, dryRun: true };
+    }
+
+    const receiptRef = this.receiptsCollection(userId).doc();
+    const purchased = receipt.items.filter(item => item.status !== 'refunded');
+    const total = receipt.total ?? receipt.subtotal ?? receipt.itemsTotal;
+    const now = new Date().toISOString();
+
+    const pantry = await this.updatePantry(userId, {
+      orderKey: history ? history.id : orderId,
+      purchased,
+      reconciliation
+    }).catch(error => {
+      logger.error('Failed to update pantry from receipt:', error.message);
+      return null;
+    });
+
+    const pricesRecorded = this.recordPrices(userId, receipt);
+
+    let historyEntryId;
+    let historyCreated = false;
+    if (history) {
+      await history.ref.update(withoutUndefined({
+        actualItems: purchased.map(toListItem),
+        actualTotal: total,
+        receiptId: receiptRef.id,
+        reconciliation: reconciliation.summary,
+        reconciledAt: now
+      }));
+      historyEntryId = history.id;
+    } else {
+      const entry = await this.getDB().collection('shoppingHistory').add(withoutUndefined({
+        userId,
+        storeName: receipt.storeName || 'Unknown store',
+        items: purchased.map(toListItem),
+        itemCount: purchased.length,
+        total,
+        savings: 0,
+        paymentMethod: 'unknown',
+        notes: '',
+        source: 'receipt',
+        receiptId: receiptRef.id,
+        completedAt: receipt.orderDate || now
+      }));
+      historyEntryId = entry.id;
+      historyCreated = true;
+    }
+
+    await receiptRef.set(withoutUndefined({
+      ...receipt,
+      historyId: historyEntryId,
+      orderId: orderId || null,
+      reconciliation,
+      pantry,
+      pricesRecorded,
+      importedAt: now
+    }));
+
+    logger.info(`🧾 Imported ${receipt.format} receipt for ${userId}: ${receipt.items.length} items, ` +
+      `${reconciliation.summary.substituted} substituted, ${reconciliation.summary.missing} missing`);
+
+    return {
+      receipt: { id: receiptRef.id, ...receipt },
+      reconciliation,
+      historyId: historyEntryId,
+      historyCreated,
+      total,
+      pantry,
+      pricesRecorded
+    };
+  }
+
+  /**
+   * Bring the pantry in line with the receipt. A trip whose order was already
+   * applied stocked the planned list, so only the difference is settled; a
+   * pending order is completed with what was really bought; anything else is
+   * a plain restock.
+   */
+  async updatePantry(userId, { orderKey, purchased, reconciliation }) {
+    const orderDoc = orderKey ? await pantryService.ordersCollection(userId).doc(String(orderKey)).get() : null;
+    const order = orderDoc && orderDoc.exists ? orderDoc.data() : null;
+
+    if (order && order.status !== 'applied') {
+      const result = await pantryService.completeOrder(userId, orderKey, { items: purchased });
+      return result && { mode: 'completed_order', ...result };
+    }
+
+    if (!order) {
+      return { mode: 'restock', ...(await pantryService.restock(userId, purchased)) };
+    }
+
+    // Planned items that never came in were already added - take them back out
+    const notReceived = reconciliation.lines
+      .filter(line => (line.status === 'missing' || line.status === 'substituted') && line.planned)
+      .map(line => ({ name: line.planned.name, quantity: line.planned.quantity, unit: line.planned.unit }));
+    const received = reconciliation.lines
+      .filter(line => (line.status === 'extra' || line.status === 'substituted') && line.actual)
+      .map(line => line.actual);
+
+    const { usage } = pantryService.diffItems(notReceived, await pantryService.getItems(userId));
+    const consumed = await pantryService.consume(userId, usage);
+    const restocked = await pantryService.restock(userId, received);
+    return { mode: 'corrected', orderId: String(orderKey), ...restocked, removed: consumed.updated };
+  }
+
+  /**
+   * Receipt prices are what the store charged this user, but they're typed or
+   * pasted by the user - price history keeps them out of shared history and alerts
+   */
+  recordPrices(userId, receipt) {
+    const observations = receipt.items
+      .filter(item => item.status !== 'refunded' && item.unitPrice > 0)
+      .map(item => ({
+        productName: item.name,
+        price: round2(item.unitPrice),
+        unit: item.unit,
+        vendor: receipt.storeName || 'unknown',
+        vendorName: receipt.storeName || undefined,
+        userId,
+        // Never later than the import itself
+        observedAt: receipt.orderDate && Date.parse(receipt.orderDate) < Date.now() ? receipt.orderDate : undefined
+      }));
+
+    if (observations.length) {
+      priceHistoryService.recordInBackground(observations, 'receipt_import');
+    }
+    return observations.length;
+  }
+
+  async listReceipts(userId, { limit = 20 } = {}) {
+    const snapshot = await this.receiptsCollection(userId)
+      .orderBy('importedAt', 'desc')
+      .limit(Math.min(parseInt(limit, 10) || 20, MAX_LIST_LIMIT))
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const { items, reconciliation, ...receipt } = doc.data();
+      return { id: doc.id, ...receipt, itemCount: (items || []).length, summary: reconciliation ? reconciliation.summary : null };
+    });
+  }
+
+  async getReceipt(userId, receiptId) {
+    const doc = await this.receiptsCollection(userId).doc(receiptId).get();
+    if (!doc.exists) {
+      throw new NotFoundError('Receipt');
+    }
+    return { id: doc.id, ...doc.data() };
+  }
+}
+
+// Create singleton instance
+const receiptService = new ReceiptService();
+
+module.exports = receiptService;
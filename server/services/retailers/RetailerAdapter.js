@@ -0,0 +1,123 @@
+// server/services/retailers/RetailerAdapter.js
+// The contract every retailer integration implements. Routes talk to adapters
+// through services/retailers (the registry) and never to a retailer API directly,
+// so a new chain is one adapter file plus a registry entry.
+//
+// Capabilities:
+//   search   - searchProducts(query, options)        -> { products, total }
+//   details  - getProductDetails(productId, options) -> product
+//   pricing  - getPricing(items, options)            -> { prices, currency }
+//   cart     - createCart(items, options)            -> { cartId, checkoutUrl, items, ... }
+//   stores   - findStores(zipCode, options)          -> [store]
+//              getStore(storeId)                     -> store
+//   auth     - getAuthStatus(userId)                 -> { authenticated, method, ... }
+//
+// Products always come back in the normalized shape built by normalizeProduct().
+
+const CAPABILITIES = ['search', 'details', 'pricing', 'cart', 'stores', 'auth'];
+
+const MODALITIES = ['PICKUP', 'DELIVERY'];
+
+class RetailerCapabilityError extends Error {
+  constructor(retailerId, capability) {
+    super(`${retailerId} does not support ${capability}`);
+    this.name = 'RetailerCapabilityError';
+    this.retailerId = retailerId;
+    this.capability = capability;
+    this.statusCode = 501;
+  }
+}
+
+class RetailerUnavailableError extends Error {
+  constructor(retailerId, message = 'Retailer integration is not configured') {
+    super(message);
+    this.name = 'RetailerUnavailableError';
+    this.retailerId = retailerId;
+    this.statusCode = 503;
+  }
+}
+
+class RetailerAdapter {
+  /**
+   * @param {Object} config
+   * @param {string} config.id registry key, e.g. 'instacart'
+   * @param {string} config.name display name
+   * @param {Array<string>} config.capabilities subset of CAPABILITIES
+   */
+  constructor({ id, name, capabilities = [] }) {
+    if (!id || !name) {
+      throw new Error('Retailer adapters need an id and a name');
+    }
+    const unknown = capabilities.filter(capability => !CAPABILITIES.includes(capability));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown retailer capabilities: ${unknown.join(', ')}`);
+    }
+
+    this.id = id;
+    this.name = name;
+    this.capabilities = capabilities;
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  // Override when the adapter depends on credentials or a data file
+  isConfigured() {
+    return true;
+  }
+
+  normalizeProduct(product) {
+    return {
+      id: String(product.id),
+      name: product.name,
+      brand: product.brand || null,
+      price: typeof product.price === 'number' ? product.price : null,
+      estimated_price: !!product.estimated_price,
+      image_url: product.image_url || null,
+      size: product.size || null,
+      unit: product.unit || 'each',
+      upc: product.upc || null,
+      aisle: product.aisle || null,
+      availability: product.availability || 'unknown',
+      retailerId: this.id,
+      source: product.source || this.id
+    };
+  }
+
+  async searchProducts(query, options = {}) {
+    throw new RetailerCapabilityError(this.id, 'search');
+  }
+
+  async getProductDetails(productId, options = {}) {
+    throw new RetailerCapabilityError(this.id, 'details');
+  }
+
+  async getPricing(items, options = {}) {
+    throw new RetailerCapabilityError(this.id, 'pricing');
+  }
+
+  async createCart(items, options = {}) {
+    throw new RetailerCapabilityError(this.id, 'cart');
+  }
+
+  async findStores(zipCode, options = {}) {
+    throw new RetailerCapabilityError(this.id, 'stores');
+  }
+
+  async getStore(storeId) {
+    throw new RetailerCapabilityError(this.id, 'stores');
+  }
+
+  async getAuthStatus(userId) {
+    throw new RetailerCapabilityError(this.id, 'auth');
+  }
+}
+
+module.exports = {
+  RetailerAdapter,
+  RetailerCapabilityError,
+  RetailerUnavailableError,
+  CAPABILITIES,
+  MODALITIES
+};
@@ -0,0 +1,230 @@
+// server/services/retailers/index.js
+// Retailer registry: the chains CartSmash knows about and the adapter (if any)
+// behind each one. Routes ask this module for an adapter instead of calling a
+// retailer API, so integrating a 'planned' chain means writing an adapter that
+// implements RetailerAdapter and pointing the chain at it - no route changes.
+
+const { NotFoundError } = require('../../middleware/errorHandler');
+const {
+  RetailerAdapter,
+  RetailerCapabilityError,
+  RetailerUnavailableError,
+  CAPABILITIES,
+  MODALITIES
+} = require('./RetailerAdapter');
+const InstacartAdapter = require('./instacartAdapter');
+const MockRetailerAdapter = require('./mockRetailerAdapter');
+
+// status: 'active' (adapter live), 'testing' (adapter for development only),
+// 'planned' (known chain, no adapter yet). fees are what price comparison uses.
+const CHAINS = {
+  instacart: {
+    name: 'Instacart',
+    logo: '🥕',
+    color: '#00B894',
+    status: 'active',
+    adapter: 'instacart',
+    apiEndpoint: process.env.INSTACART_API_URL || 'https://connect.dev.instacart.tools/idp/v1',
+    requiresAuth: true,
+    avgDeliveryTime: '1-2 hours',
+    fees: { service: 5.99, delivery: 3.99 }
+  },
+  mock: {
+    name: 'Mock Market',
+    logo: '🧪',
+    color: '#8b5cf6',
+    status: 'testing',
+    adapter: 'mock',
+    requiresAuth: false,
+    avgDeliveryTime: '1 hour',
+    fees: { service: 0, delivery: 2.99 }
+  },
+  safeway: {
+    name: 'Safeway',
+    logo: '🛒',
+    color: '#FF6B35',
+    status: 'planned',
+    apiEndpoint: 'https://api.safeway.com/v1',
+    requiresAuth: true,
+    avgDeliveryTime: '2-4 hours',
+    fees: { service: 3.99, delivery: 5.95 }
+  },
+  costco: {
+    name: 'Costco',
+    logo: '🏪',
+    color: '#003F7F',
+    status: 'planned',
+    apiEndpoint: 'https://api.costco.com/v1',
+    requiresAuth: true,
+    avgDeliveryTime: '1-3 hours',
+    fees: { service: 0, delivery: 3.99 },
+    membershipRequired: true
+  },
+  wholefoods: {
+    name: 'Whole Foods',
+    logo: '🥬',
+    color: '#00A652',
+    status: 'planned',
+    apiEndpoint: 'https://api.wholefoods.com/v1',
+    requiresAuth: true,
+    avgDeliveryTime: '1-2 hours',
+    fees: { service: 4.95, delivery: 4.95 }
+  },
+  target: {
+    name: 'Target',
+    logo: '🎯',
+    color: '#CC0000',
+    status: 'planned',
+    apiEndpoint: 'https://api.target.com/v1',
+    requiresAuth: true,
+    avgDeliveryTime: '2-5 hours',
+    fees: { service: 3.99, delivery: 9.99 }
+  },
+  walmart: {
+    name: 'Walmart',
+    logo: '🛍️',
+    color: '#0066B2',
+    status: 'planned',
+    apiEndpoint: 'https://api.walmart.com/v1',
+    requiresAuth: true,
+    avgDeliveryTime: '1-3 hours',
+    fees: { service: 0, delivery: 7.95 }
+  },
+  // Direct Kroger integration was archived (see routes/smash-cart.js)
+  kroger: {
+    name: 'Kroger',
+    logo: '🏬',
+    color: '#0066B2',
+    status: 'planned',
+    apiEndpoint: 'https://api.kroger.com/v1',
+    requiresAuth: true,
+    avgDeliveryTime: '2-4 hours',
+    fees: { service: 4.95, delivery: 5.95 }
+  },
+  sprouts: { name: 'Sprouts Farmers Market', logo: '🌱', color: '#5C8A2F', status: 'planned' },
+  'smart-final': { name: 'Smart & Final', logo: '🛒', color: '#E2231A', status: 'planned' },
+  raleys: { name: "Raley's", logo: '🛒', color: '#C8102E', status: 'planned' },
+  food4less: { name: 'Food 4 Less', logo: '🛒', color: '#F7A800', status: 'planned' },
+  'grocery-outlet': { name: 'Grocery Outlet', logo: '🛒', color: '#E31837', status: 'planned' }
+};
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+  if (!(adapter instanceof RetailerAdapter)) {
+    throw new Error('Retailer adapters must extend RetailerAdapter');
+  }
+  adapters.set(adapter.id, adapter);
+  return adapter;
+}
+
+// 'Whole Foods', 'whole_foods' and 'wholefoods' all find the same chain
+function chainKey(retailerId) {
+  const key = String(retailerId || '').toLowerCase().trim();
+  if (CHAINS[key]) return key;
+  const compact = key.replace(/[^a-z0-9]/g, '');
+  return Object.keys(CHAINS).find(id => id.replace(/[^a-z0-9]/g, '') === compact) || null;
+}
+
+function getChain(retailerId) {
+  const key = chainKey(retailerId);
+  return key ? { id: key, ...CHAINS[key] } : null;
+}
+
+function getRetailerName(retailerId) {
+  return getChain(retailerId)?.name || retailerId;
+}
+
+function isRegistered(chain) {
+  return !!chain.adapter && adapters.has(chain.adapter);
+}
+
+/**
+ * The adapter for a chain
+ * @param {string} retailerId chain id, e.g. 'instacart'
+ * @param {string} [capability] one of CAPABILITIES the caller needs
+ * @throws {NotFoundError} unknown chain
+ * @throws {RetailerUnavailableError} planned chain or adapter not configured
+ * @throws {RetailerCapabilityError} adapter lacks the capability
+ */
+function getAdapter(retailerId, capability) {
+  const chain = getChain(retailerId);
+  if (!chain) {
+    throw new NotFoundError('Retailer');
+  }
+  if (!isRegistered(chain)) {
+    throw new RetailerUnavailableError(chain.id, `${chain.name} integration is ${chain.status === 'planned' ? 'planned but not available yet' : 'not available'}`);
+  }
+
+  const adapter = adapters.get(chain.adapter);
+  if (capability && !adapter.supports(capability)) {
+    throw new RetailerCapabilityError(chain.id, capability);
+  }
+  return adapter;
+}
+
+function describeChain(chain) {
+  const adapter = isRegistered(chain) ? adapters.get(chain.adapter) : null;
+  return {
+    id: chain.id,
+    name: chain.name,
+    logo: chain.logo,
+    color: chain.color,
+    status: chain.status,
+    available: !!adapter && adapter.isConfigured(),
+    capabilities: adapter ? adapter.capabilities : [],
+    avgDeliveryTime: chain.avgDeliveryTime || null,
+    serviceFee: chain.fees?.service ?? null,
+    deliveryFee: chain.fees?.delivery ?? null,
+    membershipRequired: chain.membershipRequired || false
+  };
+}
+
+// The mock chain only appears where its adapter is registered
+function listRetailers({ status } = {}) {
+  return Object.keys(CHAINS)
+    .map(id => ({ id, ...CHAINS[id] }))
+    .filter(chain => chain.status !== 'testing' || isRegistered(chain))
+    .filter(chain => !status || chain.status === status)
+    .map(describeChain);
+}
+
+// Price comparison's vendor table - chains with known fees, keyed by id
+function getVendorConfigs() {
+  const configs = {};
+  for (const [id, chain] of Object.entries(CHAINS)) {
+    if (!chain.fees || (chain.status === 'testing' && !isRegistered(chain))) continue;
+    configs[id] = {
+      name: chain.name,
+      logo: chain.logo,
+      color: chain.color,
+      apiEndpoint: chain.apiEndpoint,
+      requiresAuth: chain.requiresAuth,
+      avgDeliveryTime: chain.avgDeliveryTime,
+      serviceFee: chain.fees.service,
+      deliveryFee: chain.fees.delivery,
+      ...(chain.membershipRequired ? { membershipRequired: true } : {})
+    };
+  }
+  return configs;
+}
+
+registerAdapter(new InstacartAdapter());
+if (process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_RETAILER === 'true') {
+  registerAdapter(new MockRetailerAdapter());
+}
+
+module.exports = {
+  CHAINS,
+  CAPABILITIES,
+  MODALITIES,
+  RetailerAdapter,
+  RetailerCapabilityError,
+  RetailerUnavailableError,
+  registerAdapter,
+  getAdapter,
+  getChain,
+  getRetailerName,
+  listRetailers,
+  getVendorConfigs
+};
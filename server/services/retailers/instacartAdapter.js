@@ -0,0 +1,243 @@
+// server/services/retailers/instacartAdapter.js
+// Instacart as a retailer adapter. Instacart's Developer Platform returns
+// retailers and checkout links but no catalog, so search and details come from
+// Spoonacular (with estimated prices) and createCart() builds a products link the
+// user checks out on Instacart.
+
+const axios = require('axios');
+const winston = require('winston');
+const spoonacularService = require('../spoonacularService');
+const priceHistoryService = require('../priceHistoryService');
+const { estimatePrice, fromSpoonacular } = require('../../utils/spoonacularProducts');
+const { ValidationError, NotFoundError, ExternalAPIError } = require('../../middleware/errorHandler');
+const { RetailerAdapter, RetailerUnavailableError } = require('./RetailerAdapter');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'instacart-adapter' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const BASE_URL = process.env.INSTACART_API_URL || 'https://connect.dev.instacart.tools/idp/v1';
+const LINK_EXPIRY_DAYS = 30;
+
+class InstacartAdapter extends RetailerAdapter {
+  constructor() {
+    super({
+      id: 'instacart',
+      name: 'Instacart',
+      capabilities: ['search', 'details', 'pricing', 'cart', 'stores', 'auth']
+    });
+  }
+
+  get apiKey() {
+    return process.env.INSTACART_API_KEY;
+  }
+
+  // Same check as instacartRoutes validateApiKeys()
+  isConfigured() {
+    return !!this.apiKey && this.apiKey.startsWith('keys.');
+  }
+
+  async apiCall(endpoint, method = 'GET', data = null) {
+    if (!this.isConfigured()) {
+      throw new RetailerUnavailableError(this.id, 'Instacart API key is not configured');
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${BASE_URL}${endpoint}`,
+        data,
+        timeout: 15000,
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Instacart API call to ${endpoint} failed:`, error.response?.status || error.message);
+      throw new ExternalAPIError('Instacart', error.response?.data?.error?.message || error.message);
+    }
+  }
+
+  async searchProducts(query, { limit = 5 } = {}) {
+    if (!query || !String(query).trim()) {
+      throw new ValidationError('query is required', 'query');
+    }
+
+    const result = await spoonacularService.searchGroceryProducts(String(query).trim(), limit);
+    const products = (result.products || []).map(product => this.normalizeProduct(fromSpoonacular(product)));
+
+    return { products, total: result.totalProducts || products.length };
+  }
+
+  async getProductDetails(productId) {
+    const spoonacularId = String(productId).replace(/^spoonacular_/, '');
+    const info = await spoonacularService.getProductInfo(spoonacularId);
+    if (!info) {
+      throw new NotFoundError('Product');
+    }
+
+    return {
+      ...this.normalizeProduct({
+        id: `spoonacular_${info.id}`,
+        name: info.title,
+        brand: info.brand,
+        price: estimatePrice(info.title, info.aisle, info.brand),
+        estimated_price: true,
+        image_url: info.image,
+        upc: info.upc,
+        aisle: info.aisle,
+        source: 'spoonacular'
+      }),
+      description: info.description || info.generatedText || null,
+      ingredients: info.ingredientList || null,
+      badges: info.badges || [],
+      nutrition: info.nutrition || null
+    };
+  }
+
+  /**
+   * Latest observed price per item for the chosen store (retailer key), falling
+   * back to an estimate when nothing has been observed in the last 30 days
+   * @param {Array<{productId?: string, name: string}>} items
+   * @param {Object} options { storeId } - an Instacart retailer key such as 'safeway'
+   */
+  async getPricing(items, { storeId } = {}) {
+    const prices = await Promise.all(items.map(async (item) => {
+      let observed = null;
+      if (priceHistoryService.isAvailable()) {
+        try {
+          const history = await priceHistoryService.getHistory({
+            product: item.name,
+            productId: item.productId,
+            timeRange: '30d',
+            vendor: storeId
+          });
+          observed = history.series.find(series => series.currentPrice !== null) || null;
+        } catch (error) {
+          logger.debug(`Price lookup failed for ${item.name}:`, error.message);
+        }
+      }
+
+      return observed
+        ? {
+          productId: item.productId || null,
+          name: item.name,
+          price: observed.currentPrice,
+          estimated: false,
+          observedAt: observed.lastUpdated
+        }
+        : {
+          productId: item.productId || null,
+          name: item.name,
+          price: estimatePrice(item.name, item.aisle, item.brand),
+          estimated: true,
+          observedAt: null
+        };
+    }));
+
+    return { prices, currency: 'USD' };
+  }
+
+  /**
+   * A shopping-list products link - Instacart's closest thing to a cart
+   * @param {Array<{name: string, quantity?: number, unit?: string}>} items
+   * @param {Object} options { title, storeId (retailer key) }
+   */
+  async createCart(items, { title = 'CartSmash Shopping List', storeId } = {}) {
+    const lineItems = items.map(item => ({
+      name: item.name,
+      quantity: Number(item.quantity) || 1,
+      unit: item.unit || 'each',
+      display_text: item.name
+    }));
+
+    const response = await this.apiCall('/products/products_link', 'POST', {
+      title,
+      link_type: 'shopping_list',
+      expires_in: LINK_EXPIRY_DAYS,
+      line_items: lineItems,
+      landing_page_configuration: {
+        partner_linkback_url: 'https://cartsmash.com',
+        enable_pantry_items: true
+      }
+    });
+
+    if (!response || !response.products_link_url) {
+      throw new ExternalAPIError('Instacart', 'No products link in response');
+    }
+
+    let checkoutUrl = response.products_link_url;
+    if (storeId) {
+      checkoutUrl += `${checkoutUrl.includes('?') ? '&' : '?'}retailer_key=${encodeURIComponent(storeId)}`;
+    }
+
+    return {
+      cartId: response.id || `products-link-${Date.now()}`,
+      checkoutUrl,
+      items: lineItems,
+      storeId: storeId || null,
+      expiresAt: new Date(Date.now() + LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  // Instacart "stores" are the retailers that deliver to a postal code
+  async findStores(zipCode, { countryCode = 'US' } = {}) {
+    if (!/^\d{5}$/.test(String(zipCode || ''))) {
+      throw new ValidationError('zipCode must be a 5-digit ZIP code', 'zipCode');
+    }
+
+    const response = await this.apiCall(`/retailers?postal_code=${zipCode}&country_code=${countryCode}`);
+    return (response.retailers || []).map((retailer, index) => ({
+      id: retailer.retailer_key || retailer.id || `retailer_${index}`,
+      name: retailer.name || retailer.retailer_name || `Retailer ${index + 1}`,
+      logo: retailer.retailer_logo_url || retailer.logo_url || null,
+      address: retailer.address || null,
+      distance: retailer.distance ?? null,
+      modalities: ['DELIVERY'],
+      retailerId: this.id
+    }));
+  }
+
+  // Instacart has no store-detail endpoint - a "store" is a retailer key such as 'safeway'
+  async getStore(storeId) {
+    if (!storeId) {
+      throw new ValidationError('storeId is required', 'storeId');
+    }
+    // Required here - the registry requires this module
+    const { getRetailerName } = require('./index');
+    return {
+      id: storeId,
+      name: getRetailerName(storeId),
+      address: null,
+      modalities: ['DELIVERY'],
+      retailerId: this.id
+    };
+  }
+
+  // Partner-key integration - users check out on Instacart with their own account
+  async getAuthStatus() {
+    return {
+      authenticated: this.isConfigured(),
+      method: 'partner_api_key',
+      userAuthRequired: false
+    };
+  }
+}
+
+module.exports = InstacartAdapter;
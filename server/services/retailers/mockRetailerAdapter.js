@@ -0,0 +1,199 @@
+// server/services/retailers/mockRetailerAdapter.js
+// A file-backed retailer for offline development and tests. Catalog and stores
+// come from mock-retailer.json (or MOCK_RETAILER_FILE), so every capability works
+// without network access or API keys. Never registered in production.
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+const { RetailerAdapter, MODALITIES } = require('./RetailerAdapter');
+const { canonicalItemName } = require('../../utils/foodCategories');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, 'mock-retailer.json');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => canonicalItemName(word));
+
+class MockRetailerAdapter extends RetailerAdapter {
+  constructor(dataFile = process.env.MOCK_RETAILER_FILE || DEFAULT_DATA_FILE) {
+    super({
+      id: 'mock',
+      name: 'Mock Market',
+      capabilities: ['search', 'details', 'pricing', 'cart', 'stores', 'auth']
+    });
+    this.dataFile = dataFile;
+    this.data = null;
+    this.cartCount = 0;
+  }
+
+  isConfigured() {
+    return fs.existsSync(this.dataFile);
+  }
+
+  // Read lazily and once - call reload() after editing the file
+  load() {
+    if (!this.data) {
+      const raw = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      this.data = { stores: raw.stores || [], products: raw.products || [] };
+    }
+    return this.data;
+  }
+
+  reload() {
+    this.data = null;
+    return this.load();
+  }
+
+  findStore(storeId) {
+    if (!storeId) return null;
+    const store = this.load().stores.find(entry => entry.id === storeId);
+    if (!store) {
+      throw new NotFoundError('Store');
+    }
+    return store;
+  }
+
+  toProduct(raw, storeId = null) {
+    const price = storeId && raw.storePrices?.[storeId] !== undefined ? raw.storePrices[storeId] : raw.price;
+    const outOfStock = storeId && (raw.outOfStockAt || []).includes(storeId);
+
+    return this.normalizeProduct({
+      ...raw,
+      price,
+      availability: outOfStock ? 'out_of_stock' : (raw.availability || 'in_stock'),
+      source: 'mock'
+    });
+  }
+
+  // Share of query words found in the product's name, brand and aisle
+  score(queryTokens, raw) {
+    const haystack = new Set(tokenize(`${raw.name} ${raw.brand} ${raw.aisle}`));
+    const hits = queryTokens.filter(token => haystack.has(token)).length;
+    return queryTokens.length ? hits / queryTokens.length : 0;
+  }
+
+  async searchProducts(query, { limit = 10, storeId } = {}) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+      throw new ValidationError('query is required', 'query');
+    }
+    this.findStore(storeId);
+
+    const matches = this.load().products
+      .map(raw => ({ raw, score: this.score(queryTokens, raw) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.raw.price - b.raw.price);
+
+    return {
+      products: matches.slice(0, limit).map(({ raw, score }) => ({
+        ...this.toProduct(raw, storeId),
+        confidence: round2(score)
+      })),
+      total: matches.length
+    };
+  }
+
+  async getProductDetails(productId, { storeId } = {}) {
+    this.findStore(storeId);
+    const raw = this.load().products.find(product => product.id === String(productId));
+    if (!raw) {
+      throw new NotFoundError('Product');
+    }
+    return this.toProduct(raw, storeId);
+  }
+
+  // Exact product ids first, then the best name match
+  async resolveItem(item, storeId) {
+    if (item.productId) {
+      return this.getProductDetails(item.productId, { storeId });
+    }
+    const { products } = await this.searchProducts(item.name, { limit: 1, storeId });
+    return products[0] || null;
+  }
+
+  async getPricing(items, { storeId } = {}) {
+    const prices = await Promise.all(items.map(async (item) => {
+      const product = await this.resolveItem(item, storeId);
+      return {
+        productId: product?.id || item.productId || null,
+        name: item.name || product?.name,
+        price: product ? product.price : null,
+        estimated: false,
+        available: !!product && product.availability !== 'out_of_stock'
+      };
+    }));
+
+    return { prices, currency: 'USD' };
+  }
+
+  /**
+   * Resolve every item against the catalog and price the cart. Nothing is stored -
+   * callers own cart persistence; this is what a retailer would hand back.
+   */
+  async createCart(items, { storeId, modality = 'PICKUP' } = {}) {
+    if (!MODALITIES.includes(modality)) {
+      throw new ValidationError(`modality must be one of: ${MODALITIES.join(', ')}`, 'modality');
+    }
+    const store = this.findStore(storeId);
+    if (store && !store.modalities.includes(modality)) {
+      throw new ValidationError(`${store.name} does not offer ${modality.toLowerCase()}`, 'modality');
+    }
+
+    const lines = await Promise.all(items.map(async (item) => {
+      const quantity = Number(item.quantity) || 1;
+      const product = await this.resolveItem(item, storeId);
+      return {
+        name: item.name || product?.name,
+        quantity,
+        unit: item.unit || 'each',
+        product,
+        lineTotal: product && product.availability !== 'out_of_stock' ? round2(product.price * quantity) : 0,
+        status: !product ? 'not_found' : (product.availability === 'out_of_stock' ? 'out_of_stock' : 'added')
+      };
+    }));
+
+    this.cartCount++;
+    return {
+      cartId: `mock-cart-${Date.now()}-${this.cartCount}`,
+      checkoutUrl: null,
+      storeId: store?.id || null,
+      modality,
+      items: lines,
+      subtotal: round2(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+      unavailable: lines.filter(line => line.status !== 'added').map(line => line.name)
+    };
+  }
+
+  // Stores in the same 3-digit ZIP area first; everything is "nearby" in the mock
+  async findStores(zipCode, { limit = 10 } = {}) {
+    if (!/^\d{5}$/.test(String(zipCode || ''))) {
+      throw new ValidationError('zipCode must be a 5-digit ZIP code', 'zipCode');
+    }
+
+    const area = String(zipCode).slice(0, 3);
+    return this.load().stores
+      .map(store => ({ ...store, retailerId: this.id }))
+      .sort((a, b) => (b.zipCode.startsWith(area) - a.zipCode.startsWith(area)) || a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  async getStore(storeId) {
+    return { ...this.findStore(storeId), retailerId: this.id };
+  }
+
+  async getAuthStatus() {
+    return {
+      authenticated: true,
+      method: 'none',
+      userAuthRequired: false
+    };
+  }
+}
+
+module.exports = MockRetailerAdapter;
@@ -0,0 +1,421 @@
+// server/services/smashCartService.js
+// Retailer-agnostic SmashCart: one persistent cart per user at
+// users/{uid}/carts/smash, holding the chosen store, PICKUP/DELIVERY modality and
+// per-item product details resolved through the retailer adapter registry.
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const winston = require('winston');
+const retailers = require('./retailers');
+const { departmentFor } = require('../utils/storeLayouts');
+const { ValidationError } = require('../middleware/errorHandler');
+const { screenItems } = require('../utils/dietaryConstraints');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'smash-cart' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DEFAULT_RETAILER = process.env.SMASH_CART_RETAILER || 'instacart';
+const MAX_ITEMS = 200;
+const MAX_QUANTITY = 99;
+// Retailer searches in flight at once while resolving a request's items
+const LOOKUP_CONCURRENCY = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+class SmashCartService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  cartRef(userId) {
+    return this.getDB().collection('users').doc(userId).collection('carts').doc('smash');
+  }
+
+  emptyCart(userId) {
+    const now = new Date().toISOString();
+    return {
+      id: `smash_${crypto.randomBytes(6).toString('hex')}`,
+      userId,
+      retailerId: DEFAULT_RETAILER,
+      store: null,
+      modality: 'PICKUP',
+      items: [],
+      createdAt: now,
+      modifiedAt: now
+    };
+  }
+
+  validateModality(modality) {
+    if (modality !== undefined && !retailers.MODALITIES.includes(modality)) {
+      throw new ValidationError(`modality must be one of: ${retailers.MODALITIES.join(', ')}`, 'modality');
+    }
+  }
+
+  validateQuantity(quantity, fallback = 1) {
+    if (quantity === undefined || quantity === null) return fallback;
+    const value = Number(quantity);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_QUANTITY) {
+      throw new ValidationError(`quantity must be a whole number from 0 to ${MAX_QUANTITY}`, 'quantity');
+    }
+    return value;
+  }
+
+  // Read-modify-write in a transaction so two tabs can't drop each other's items
+  async mutate(userId, mutator) {
+    const ref = this.cartRef(userId);
+    return this.getDB().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const cart = doc.exists ? doc.data() : this.emptyCart(userId);
+      mutator(cart);
+      if (cart.items.length > MAX_ITEMS) {
+        throw new ValidationError(`A cart can hold at most ${MAX_ITEMS} items`, 'items');
+      }
+      cart.modifiedAt = new Date().toISOString();
+      transaction.set(ref, cart);
+      return cart;
+    });
+  }
+
+  /**
+   * Reject a request that can't fit before any retailer lookups run. Items already
+   * in the cart, or repeated in the request, merge instead of taking a new line;
+   * mutate() still checks the final count.
+   */
+  checkRoom(cart, items) {
+    if (items.length > MAX_ITEMS) {
+      throw new ValidationError(`At most ${MAX_ITEMS} items can be added at once`, 'items');
+    }
+
+    const names = [];
+    for (const input of items) {
+      const name = String(input.productName || input.name || input.productId || '').trim();
+      if (!cart.items.some(entry => sameName(entry.productName, name)) && !names.some(seen => sameName(seen, name))) {
+        names.push(name);
+      }
+    }
+    if (cart.items.length + names.length > MAX_ITEMS) {
+      throw new ValidationError(`A cart can hold at most ${MAX_ITEMS} items`, 'items');
+    }
+  }
+
+  async getCart(userId) {
+    const doc = await this.cartRef(userId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Store details from the retailer adapter, falling back to what the client
+   * already knows (name/address from the store picker) when the adapter can't say
+   */
+  async resolveStore(retailerId, storeId, hints) {
+    if (!storeId) return null;
+    hints = hints || {};
+
+    let details = null;
+    try {
+      details = await retailers.getAdapter(retailerId, 'stores').getStore(storeId);
+    } catch (error) {
+      logger.debug(`No store details for ${retailerId}/${storeId}:`, error.message);
+    }
+
+    return {
+      storeId: String(storeId),
+      retailerId,
+      name: details?.name || hints.name || String(storeId),
+      address: details?.address || hints.address || null,
+      phone: details?.phone || hints.phone || null,
+      hours: details?.hours || null,
+      modalities: details?.modalities || retailers.MODALITIES
+    };
+  }
+
+  // Best catalog match for an item name; carts still work when the retailer can't search
+  async resolveProduct(retailerId, name, storeId) {
+    try {
+      const adapter = retailers.getAdapter(retailerId, 'search');
+      if (!adapter.isConfigured()) return null;
+      const { products } = await adapter.searchProducts(name, { limit: 1, storeId });
+      return products[0] || null;
+    } catch (error) {
+      logger.debug(`Product lookup failed for "${name}" at ${retailerId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Turn request items ({ productName, quantity, unit, upc, productId, product })
+   * into cart items with product details. Runs before the transaction - it may
+   * call the retailer, LOOKUP_CONCURRENCY items at a time.
+   */
+  async buildItems(items, retailerId, storeId) {
+    const built = [];
+    for (let i = 0; i < items.length; i += LOOKUP_CONCURRENCY) {
+      const batch = items.slice(i, i + LOOKUP_CONCURRENCY);
+      built.push(...await Promise.all(batch.map(input => this.buildItem(input, retailerId, storeId))));
+    }
+    return built;
+  }
+
+  async buildItem(input, retailerId, storeId) {
+    const productName = String(input.productName || input.name || '').trim();
+    if (!productName && !input.productId) {
+      throw new ValidationError('Each item needs a productName', 'items');
+    }
+
+    const product = input.product && typeof input.product === 'object'
+      ? input.product
+      : await this.resolveProduct(retailerId, productName, storeId);
+    const now = new Date().toISOString();
+
+    return {
+      id: `item_${crypto.randomBytes(6).toString('hex')}`,
+      productName: productName || product?.name,
+      quantity: Math.max(1, this.validateQuantity(input.quantity)),
+      unit: input.unit || 'each',
+      productId: input.productId || product?.id || null,
+      upc: input.upc || product?.upc || null,
+      price: typeof product?.price === 'number' ? product.price : null,
+      estimatedPrice: !!product?.estimated_price,
+      category: departmentFor({ productName: productName || product?.name || '' }),
+      productDetails: product
+        ? {
+          name: product.name,
+          brand: product.brand || null,
+          size: product.size || null,
+          image_url: product.image_url || null,
+          aisle: product.aisle || null,
+          availability: product.availability || 'unknown'
+        }
+        : null,
+      matched: !!product,
+      ...(input.dietaryFlags && { dietaryFlags: input.dietaryFlags }),
+      addedAt: now,
+      updatedAt: now
+    };
+  }
+
+  // Same product (or same name when unmatched) bumps the quantity instead of duplicating
+  mergeInto(cart, newItems) {
+    for (const item of newItems) {
+      const existing = cart.items.find(entry =>
+        (item.productId && entry.productId === item.productId) ||
+        (!item.productId && !entry.productId && sameName(entry.productName, item.productName))
+      );
+      if (existing) {
+        existing.quantity = Math.min(existing.quantity + item.quantity, MAX_QUANTITY);
+        existing.updatedAt = item.updatedAt;
+      } else {
+        cart.items.push(item);
+      }
+    }
+  }
+
+  // Store, modality and retailer changes shared by add and update
+  async applyLocation(cart, { retailerId, storeId, store, modality }) {
+    if (retailerId) {
+      retailers.getAdapter(retailerId);
+      cart.retailerId = retailers.getChain(retailerId).id;
+    }
+    if (storeId && storeId !== cart.store?.storeId) {
+      cart.store = await this.resolveStore(cart.retailerId, storeId, store);
+      // A delivery-only store can't keep a pickup cart
+      if (!modality && !cart.store.modalities.includes(cart.modality)) {
+        cart.modality = cart.store.modalities[0];
+      }
+    }
+    if (modality) {
+      if (cart.store && !cart.store.modalities.includes(modality)) {
+        throw new ValidationError(`${cart.store.name} does not offer ${modality.toLowerCase()}`, 'modality');
+      }
+      cart.modality = modality;
+    }
+  }
+
+  /**
+   * Add items, optionally switching store/modality or starting over. Items a
+   * household member is allergic to are held back unless allowAllergens.
+   * @param {string} userId
+   * @param {Array<Object>} items
+   * @param {Object} options { retailerId, storeId, store, modality, clearExisting, allowAllergens }
+   * @returns {Promise<{cart: Object, heldForAllergies: Array<Object>, dietaryWarnings: Array<Object>, dietaryCheck: string}>}
+   */
+  async addItems(userId, items, { retailerId, storeId, store, modality, clearExisting = false, allowAllergens = false } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('Items array is required and must not be empty', 'items');
+    }
+    this.validateModality(modality);
+
+    // Resolve outside the transaction - retailer calls are slow
+    const current = (await this.getCart(userId)) || this.emptyCart(userId);
+    await this.applyLocation(current, { retailerId, storeId, store, modality });
+    this.checkRoom(clearExisting ? { items: [] } : current, items);
+    const screened = await screenItems(userId, items, { allowAllergens });
+    const newItems = await this.buildItems(screened.items, current.retailerId, current.store?.storeId);
+
+    const cart = await this.mutate(userId, (cart) => {
+      cart.retailerId = current.retailerId;
+      cart.store = current.store;
+      cart.modality = current.modality;
+      if (clearExisting) cart.items = [];
+      this.mergeInto(cart, newItems);
+    });
+    return {
+      cart,
+      heldForAllergies: screened.held,
+      dietaryWarnings: screened.flagged,
+      dietaryCheck: screened.dietaryCheck
+    };
+  }
+
+  /**
+   * Apply { itemId, action: 'update' | 'remove' | 'add', quantity, productName } changes.
+   * Additions a household member is allergic to are skipped unless allowAllergens.
+   * @returns {Promise<{cart: Object, applied: number, skipped: Array<Object>, dietaryCheck: string}>}
+   */
+  async updateCart(userId, { items = [], retailerId, storeId, store, modality, allowAllergens = false } = {}) {
+    if (!Array.isArray(items)) {
+      throw new ValidationError('items must be an array of changes', 'items');
+    }
+    this.validateModality(modality);
+
+    const current = (await this.getCart(userId)) || this.emptyCart(userId);
+    await this.applyLocation(current, { retailerId, storeId, store, modality });
+
+    const additions = items.filter(change => change.action === 'add');
+    const removed = new Set(items
+      .filter(change => change.action === 'remove' || (change.action === 'update' && Number(change.quantity) === 0))
+      .map(change => change.itemId));
+    this.checkRoom({ items: current.items.filter(entry => !removed.has(entry.id)) }, additions);
+    const screened = await screenItems(userId, additions, { allowAllergens });
+    const newItems = await this.buildItems(screened.items, current.retailerId, current.store?.storeId);
+    const skipped = screened.held.map(change => ({
+      productName: change.productName || change.name,
+      reason: 'allergen',
+      dietaryFlags: change.dietaryFlags
+    }));
+    let applied = newItems.length;
+
+    const cart = await this.mutate(userId, (cart) => {
+      cart.retailerId = current.retailerId;
+      cart.store = current.store;
+      cart.modality = current.modality;
+
+      for (const change of items.filter(entry => entry.action !== 'add')) {
+        const index = cart.items.findIndex(entry => entry.id === change.itemId);
+        if (index === -1) {
+          skipped.push({ itemId: change.itemId, reason: 'not_found' });
+          continue;
+        }
+
+        const quantity = change.action === 'update' ? this.validateQuantity(change.quantity, null) : 0;
+        if (change.action !== 'update' && change.action !== 'remove') {
+          skipped.push({ itemId: change.itemId, reason: `unknown action ${change.action}` });
+        } else if (quantity === null) {
+          skipped.push({ itemId: change.itemId, reason: 'quantity is required' });
+        } else if (quantity === 0) {
+          cart.items.splice(index, 1);
+          applied++;
+        } else {
+          cart.items[index].quantity = quantity;
+          cart.items[index].updatedAt = new Date().toISOString();
+          applied++;
+        }
+      }
+
+      this.mergeInto(cart, newItems);
+    });
+
+    return { cart, applied, skipped, dietaryCheck: screened.dietaryCheck };
+  }
+
+  async clearCart(userId, removeCompletely = false) {
+    if (removeCompletely) {
+      await this.cartRef(userId).delete();
+      return null;
+    }
+    return this.mutate(userId, (cart) => {
+      cart.items = [];
+    });
+  }
+
+  async getStoreInfo(userId, storeId) {
+    const cart = await this.getCart(userId);
+    if (cart?.store?.storeId === storeId) {
+      return cart.store;
+    }
+    return this.resolveStore(cart?.retailerId || DEFAULT_RETAILER, storeId);
+  }
+
+  async searchProducts(userId, searchTerm, { storeId, limit = 10, retailerId } = {}) {
+    const cart = await this.getCart(userId);
+    const adapter = retailers.getAdapter(retailerId || cart?.retailerId || DEFAULT_RETAILER, 'search');
+    const { products, total } = await adapter.searchProducts(searchTerm, {
+      limit,
+      storeId: storeId || cart?.store?.storeId
+    });
+    return { products, total, retailerId: adapter.id };
+  }
+
+  summarize(cart) {
+    const priced = cart.items.filter(item => typeof item.price === 'number');
+    return {
+      totalItems: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+      estimatedTotal: round2(priced.reduce((sum, item) => sum + item.price * item.quantity, 0)),
+      unpricedItems: cart.items.length - priced.length,
+      lastModified: cart.modifiedAt,
+      cartId: cart.id
+    };
+  }
+
+  analytics(cart) {
+    const categories = {};
+    for (const item of cart.items) {
+      categories[item.category] = (categories[item.category] || 0) + 1;
+    }
+
+    return {
+      itemCount: cart.items.length,
+      estimatedTotal: this.summarize(cart).estimatedTotal,
+      categories,
+      topItems: [...cart.items]
+        .sort((a, b) => ((b.price || 0) * b.quantity) - ((a.price || 0) * a.quantity))
+        .slice(0, 5)
+        .map(item => ({ name: item.productDetails?.name || item.productName, quantity: item.quantity, price: item.price })),
+      storeInfo: cart.store,
+      modality: cart.modality
+    };
+  }
+
+  // The cart as the API returns it
+  present(cart) {
+    return {
+      ...cart,
+      itemCount: cart.items.length,
+      summary: this.summarize(cart),
+      retailerName: retailers.getRetailerName(cart.retailerId)
+    };
+  }
+}
+
+// Create singleton instance
+const smashCartService = new SmashCartService();
+
+module.exports = smashCartService;
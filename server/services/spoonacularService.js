@@ -322,6 +322,47 @@ class SpoonacularService {
     }
   }
 
+  /**
+   * Per-serving calories, protein, carbs, fat and sodium for a recipe, summed
+   * from the nutrition parseIngredients reports for each ingredient (already
+   * divided by servings). Returns null when Spoonacular is unavailable or any
+   * ingredient couldn't be analyzed - a partial sum would understate the meal.
+   */
+  async getRecipeNutrition(ingredientLines, servings = 1) {
+    const lines = ingredientLines.filter(line => typeof line === 'string' && line.trim());
+    if (!this.apiKey || lines.length === 0) {
+      return null;
+    }
+
+    const cacheParams = { ingredients: lines.join('\n'), servings };
+    const cached = await cacheService.getCachedSpoonacularResponse('recipe_nutrition', cacheParams);
+    if (cached) {
+      return cached;
+    }
+
+    const parsed = await this.parseProducts(cacheParams.ingredients, servings);
+    if (parsed.length !== lines.length || parsed.some(item => !Array.isArray(item.nutrition?.nutrients))) {
+      return null;
+    }
+
+    const fields = { Calories: 'calories', Protein: 'protein', Carbohydrates: 'carbs', Fat: 'fat', Sodium: 'sodium' };
+    const nutrition = { calories: 0, protein: 0, carbs: 0, fat: 0, sodium: 0 };
+    for (const item of parsed) {
+      for (const nutrient of item.nutrition.nutrients) {
+        const field = fields[nutrient.name];
+        if (field && Number.isFinite(nutrient.amount)) {
+          nutrition[field] += nutrient.amount;
+        }
+      }
+    }
+    for (const field of Object.keys(nutrition)) {
+      nutrition[field] = Math.round(nutrition[field]);
+    }
+
+    await cacheService.cacheSpoonacularResponse('recipe_nutrition', cacheParams, nutrition);
+    return nutrition;
+  }
+
   // Get comparable products (alternatives)
   async getComparableProducts(upc) {
     if (!this.apiKey || !upc) {
@@ -748,6 +789,6 @@ const spoonacularService = new SpoonacularService();
 // Clear expired cache every hour
 setInterval(() => {
   spoonacularService.clearExpiredCache();
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 module.exports = spoonacularService;
\ No newline at end of file
@@ -0,0 +1,101 @@
+// server/services/storeLayoutService.js
+// Per-user store layouts (users/{uid}/storeLayouts/{storeId}) layered over the
+// chain defaults in utils/storeLayouts
+
+const admin = require('firebase-admin');
+const { ValidationError } = require('../middleware/errorHandler');
+const {
+  CHAIN_LAYOUTS,
+  chainKey,
+  buildLayout,
+  getChainLayout,
+  validateOrder
+} = require('../utils/storeLayouts');
+
+// Kroger location ids, retailer slugs ("safeway") or any user-chosen key ("home-safeway")
+const STORE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+class StoreLayoutService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  layoutsCollection(userId) {
+    return this.getDB().collection('users').doc(userId).collection('storeLayouts');
+  }
+
+  isValidStoreId(storeId) {
+    return STORE_ID_PATTERN.test(String(storeId || ''));
+  }
+
+  /**
+   * Chain defaults everyone gets
+   */
+  getChainLayouts() {
+    return Object.keys(CHAIN_LAYOUTS).map(chain => getChainLayout(chain));
+  }
+
+  async getCustomLayouts(userId) {
+    const snapshot = await this.layoutsCollection(userId).get();
+    return snapshot.docs.map(doc => this.fromDoc(doc.id, doc.data()));
+  }
+
+  fromDoc(storeId, data) {
+    return {
+      ...buildLayout(data.departments, { name: data.name, chain: data.chain, storeId, custom: true }),
+      updatedAt: data.updatedAt
+    };
+  }
+
+  /**
+   * Layout for a store: the user's saved layout if there is one, otherwise the
+   * chain default (chain taken from the query, or the store id itself - "kroger")
+   */
+  async getLayout(userId, storeId, chain = null) {
+    if (userId) {
+      const doc = await this.layoutsCollection(userId).doc(storeId).get();
+      if (doc.exists) {
+        return this.fromDoc(storeId, doc.data());
+      }
+    }
+    return getChainLayout(chain || storeId, storeId);
+  }
+
+  async saveLayout(userId, storeId, { departments, name, chain }) {
+    const error = validateOrder(departments);
+    if (error) {
+      throw new ValidationError(error, 'departments');
+    }
+
+    const data = {
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 80) : null,
+      chain: chainKey(chain || storeId) || 'default',
+      departments: departments.map(entry => (typeof entry === 'string'
+        ? { id: entry, aisle: null }
+        : { id: entry.id, aisle: entry.aisle ? entry.aisle.trim() : null })),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.layoutsCollection(userId).doc(storeId).set(data);
+    return this.fromDoc(storeId, data);
+  }
+
+  /**
+   * Drop the custom layout and fall back to the chain default
+   */
+  async resetLayout(userId, storeId, chain = null) {
+    const ref = this.layoutsCollection(userId).doc(storeId);
+    const doc = await ref.get();
+    const savedChain = doc.exists ? doc.data().chain : null;
+    if (doc.exists) await ref.delete();
+    return getChainLayout(chain || savedChain || storeId, storeId);
+  }
+}
+
+// Create singleton instance
+const storeLayoutService = new StoreLayoutService();
+
+module.exports = storeLayoutService;
@@ -0,0 +1,527 @@
+// server/services/userSettingsService.js
+// Layered shopping preferences: system defaults (settings.json "preferences"
+// section), then the user's household (households/{id}.settings), then the user
+// (users/{uid}.preferences). Later layers win key by key.
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+
+const LAYERS = ['system', 'household', 'user'];
+
+// Higher rank includes every permission of the lower ranks
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+// Household invites lapse if nobody accepts them
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INVITE_TTL_DAYS = 14;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const UNIT_SYSTEMS = ['imperial', 'metric'];
+const LEANINGS = ['any', 'prefer', 'avoid'];
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const RETAILER_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const cleanStrings = (list) => Array.from(new Set(
+  list.map(entry => String(entry).trim()).filter(Boolean)
+));
+
+/**
+ * Every preference a layer may set, with a sanitizer that throws ValidationError
+ * on bad input. null clears the key so the layer below shows through.
+ */
+const PREFERENCE_FIELDS = {
+  preferredRetailer: (value) => {
+    if (typeof value !== 'string' || !RETAILER_PATTERN.test(value)) {
+      throw new ValidationError('preferredRetailer must be a retailer id such as "kroger"', 'preferredRetailer');
+    }
+    return value.toLowerCase();
+  },
+  zipCode: (value) => {
+    if (!ZIP_PATTERN.test(String(value))) {
+      throw new ValidationError('zipCode must be a 5-digit US ZIP code', 'zipCode');
+    }
+    return String(value);
+  },
+  dietaryRestrictions: (value) => {
+    if (!Array.isArray(value)) {
+      throw new ValidationError('dietaryRestrictions must be a list', 'dietaryRestrictions');
+    }
+    return cleanStrings(value.map(entry => String(entry).toLowerCase()));
+  },
+  unitSystem: (value) => {
+    if (!UNIT_SYSTEMS.includes(value)) {
+      throw new ValidationError(`unitSystem must be one of: ${UNIT_SYSTEMS.join(', ')}`, 'unitSystem');
+    }
+    return value;
+  },
+  brandPreferences: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValidationError('brandPreferences must be { preferred: [], avoided: [] }', 'brandPreferences');
+    }
+    return {
+      preferred: Array.isArray(value.preferred) ? cleanStrings(value.preferred) : [],
+      avoided: Array.isArray(value.avoided) ? cleanStrings(value.avoided) : []
+    };
+  },
+  organicPreference: (value) => {
+    if (!LEANINGS.includes(value)) {
+      throw new ValidationError(`organicPreference must be one of: ${LEANINGS.join(', ')}`, 'organicPreference');
+    }
+    return value;
+  },
+  storeBrandPreference: (value) => {
+    if (!LEANINGS.includes(value)) {
+      throw new ValidationError(`storeBrandPreference must be one of: ${LEANINGS.join(', ')}`, 'storeBrandPreference');
+    }
+    return value;
+  },
+  autoMergeCart: (value) => {
+    if (typeof value !== 'boolean') {
+      throw new ValidationError('autoMergeCart must be true or false', 'autoMergeCart');
+    }
+    return value;
+  }
+};
+
+// Used when settings.json has no preferences section yet
+const SYSTEM_DEFAULTS = {
+  preferredRetailer: 'kroger',
+  zipCode: null,
+  dietaryRestrictions: [],
+  unitSystem: 'imperial',
+  brandPreferences: { preferred: [], avoided: [] },
+  organicPreference: 'any',
+  storeBrandPreference: 'any',
+  autoMergeCart: true
+};
+
+class UserSettingsService {
+  getDB() {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin not initialized');
+    }
+    return admin.firestore();
+  }
+
+  hasRole(role, minimumRole) {
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+  }
+
+  /**
+   * Validate a partial update for one layer. Unknown keys are rejected so typos
+   * don't silently do nothing.
+   */
+  sanitizePreferences(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ValidationError('Preferences must be an object');
+    }
+
+    const updates = {};
+    for (const [key, value] of Object.entries(input)) {
+      if (!PREFERENCE_FIELDS[key]) {
+        throw new ValidationError(`Unknown preference "${key}"`, key);
+      }
+      updates[key] = value === null ? null : PREFERENCE_FIELDS[key](value);
+    }
+    return updates;
+  }
+
+  /**
+   * Apply an update to a stored layer - null removes the key
+   */
+  applyUpdates(layer, updates) {
+    const next = { ...layer };
+    for (const [key, value] of Object.entries(updates)) {
+      if (value === null) delete next[key];
+      else next[key] = value;
+    }
+    return next;
+  }
+
+  // Only known keys from a stored layer, so old or hand-edited fields can't leak out
+  pickKnown(layer) {
+    return Object.fromEntries(
+      Object.entries(layer || {}).filter(([key, value]) => PREFERENCE_FIELDS[key] && value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Merge the layers in order and record which layer each value came from
+   */
+  resolve(layers) {
+    const settings = {};
+    const sources = {};
+
+    for (const layer of LAYERS) {
+      for (const [key, value] of Object.entries(this.pickKnown(layers[layer]))) {
+        settings[key] = value;
+        sources[key] = layer;
+      }
+    }
+    return { settings, sources };
+  }
+
+  async getUserDoc(userId) {
+    const doc = await this.getDB().collection('users').doc(userId).get();
+    return doc.exists ? doc.data() : {};
+  }
+
+  async getHousehold(householdId) {
+    if (!householdId) return null;
+    const doc = await this.getDB().collection('households').doc(householdId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  householdRole(household, userId) {
+    if (!household) return null;
+    if (household.ownerId === userId) return 'owner';
+    return household.members?.[userId]?.role || null;
+  }
+
+  /**
+   * The household the user belongs to, with their role - null when they have none
+   * or were removed from it
+   */
+  async getHouseholdForUser(userId) {
+    const userDoc = await this.getUserDoc(userId);
+    const household = await this.getHousehold(userDoc.householdId);
+    const role = this.householdRole(household, userId);
+    return role ? { household, role } : null;
+  }
+
+  /**
+   * Resolved settings plus every layer, for GET /api/account/settings
+   * @param {string} userId
+   * @param {Object} [systemPreferences] settings.json "preferences" section
+   */
+  async getSettings(userId, systemPreferences = {}) {
+    const userDoc = await this.getUserDoc(userId);
+    const household = await this.getHousehold(userDoc.householdId);
+    const role = this.householdRole(household, userId);
+
+    const layers = {
+      system: { ...SYSTEM_DEFAULTS, ...this.pickKnown(systemPreferences) },
+      household: role ? this.pickKnown(household.settings) : {},
+      user: this.pickKnown(userDoc.preferences)
+    };
+
+    return {
+      ...this.resolve(layers),
+      layers,
+      household: role ? this.summarizeHousehold(household, role) : null
+    };
+  }
+
+  async updateUserSettings(userId, input) {
+    const updates = this.sanitizePreferences(input);
+    const userRef = this.getDB().collection('users').doc(userId);
+    const userDoc = await this.getUserDoc(userId);
+
+    const preferences = this.applyUpdates(this.pickKnown(userDoc.preferences), updates);
+    // mergeFields replaces the whole preferences map so cleared keys really go away
+    await userRef.set(
+      { preferences, updatedAt: new Date().toISOString() },
+      { mergeFields: ['preferences', 'updatedAt'] }
+    );
+    return preferences;
+  }
+
+  async updateHouseholdSettings(userId, input) {
+    const membership = await this.getHouseholdForUser(userId);
+    if (!membership) {
+      throw new NotFoundError('Household');
+    }
+    if (!this.hasRole(membership.role, 'editor')) {
+      throw new AuthorizationError('editor access required to change household settings');
+    }
+
+    const updates = this.sanitizePreferences(input);
+    const settings = this.applyUpdates(this.pickKnown(membership.household.settings), updates);
+    await this.getDB().collection('households').doc(membership.household.id).update({
+      settings,
+      updatedAt: new Date().toISOString()
+    });
+    return settings;
+  }
+
+  summarizeHousehold(household, role) {
+    return {
+      id: household.id,
+      name: household.name,
+      ownerId: household.ownerId,
+      role,
+      members: Object.entries(household.members || {}).map(([memberId, member]) => ({
+        userId: memberId,
+        ...member
+      }))
+    };
+  }
+
+  /**
+   * Start a household with the user as owner. A user belongs to one household.
+   */
+  async createHousehold(userId, { name, email }) {
+    if (await this.getHouseholdForUser(userId)) {
+      throw new ValidationError('Leave your current household before creating a new one');
+    }
+
+    const now = new Date().toISOString();
+    const household = {
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 80) : 'My household',
+      ownerId: userId,
+      members: {
+        [userId]: { role: 'owner', email: email || null, addedAt: now }
+      },
+      memberIds: [userId],
+      settings: {},
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const ref = await this.getDB().collection('households').add(household);
+    await this.getDB().collection('users').doc(userId).set({ householdId: ref.id }, { merge: true });
+    return this.summarizeHousehold({ id: ref.id, ...household }, 'owner');
+  }
+
+  normalizeEmail(email) {
+    const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(normalized)) {
+      throw new ValidationError('A valid email address is required', 'email');
+    }
+    return normalized;
+  }
+
+  invitesCollection() {
+    return this.getDB().collection('householdInvites');
+  }
+
+  async getOwnedHousehold(ownerId) {
+    const membership = await this.getHouseholdForUser(ownerId);
+    if (!membership) {
+      throw new NotFoundError('Household');
+    }
+    if (membership.role !== 'owner') {
+      throw new AuthorizationError('Only the household owner can manage members');
+    }
+    return membership.household;
+  }
+
+  isPending(invite, now = Date.now()) {
+    return invite.status === 'pending' && new Date(invite.expiresAt).getTime() > now;
+  }
+
+  summarizeInvite(id, invite) {
+    return {
+      id,
+      householdId: invite.householdId,
+      householdName: invite.householdName,
+      email: invite.email,
+      role: invite.role,
+      invitedByName: invite.invitedByName || null,
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt
+    };
+  }
+
+  /**
+   * Invite someone to the household by email (owner only). Nothing about the
+   * invitee is looked up - they join only by accepting while signed in with
+   * that verified email. Re-inviting the same email replaces the pending invite.
+   */
+  async inviteMember(owner, { email, role }) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${MEMBER_ROLES.join(', ')}`, 'role');
+    }
+    const inviteEmail = this.normalizeEmail(email);
+    const household = await this.getOwnedHousehold(owner.uid);
+
+    const alreadyMember = Object.values(household.members || {})
+      .some(member => (member.email || '').toLowerCase() === inviteEmail);
+    if (alreadyMember) {
+      throw new ValidationError('That person is already in the household', 'email');
+    }
+
+    const now = Date.now();
+    const invite = {
+      householdId: household.id,
+      householdName: household.name,
+      email: inviteEmail,
+      role,
+      invitedBy: owner.uid,
+      invitedByName: owner.displayName || null,
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + INVITE_TTL_DAYS * DAY_MS).toISOString()
+    };
+
+    // One pending invite per household and email
+    const id = `${household.id}_${crypto.createHash('sha256').update(inviteEmail).digest('hex').slice(0, 16)}`;
+    await this.invitesCollection().doc(id).set(invite);
+    return this.summarizeInvite(id, invite);
+  }
+
+  // Pending invites the owner has sent
+  async getSentInvites(householdId) {
+    const snapshot = await this.invitesCollection().where('householdId', '==', householdId).get();
+    return snapshot.docs
+      .filter(doc => this.isPending(doc.data()))
+      .map(doc => this.summarizeInvite(doc.id, doc.data()));
+  }
+
+  // Pending invites addressed to the signed-in user's verified email
+  async getInvitesForUser({ email, emailVerified }) {
+    if (!email || !emailVerified) return [];
+    const snapshot = await this.invitesCollection().where('email', '==', email.toLowerCase()).get();
+    return snapshot.docs
+      .filter(doc => this.isPending(doc.data()))
+      .map(doc => this.summarizeInvite(doc.id, doc.data()));
+  }
+
+  async cancelInvite(ownerId, inviteId) {
+    const household = await this.getOwnedHousehold(ownerId);
+    const ref = this.invitesCollection().doc(inviteId);
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().householdId !== household.id || !this.isPending(doc.data())) {
+      throw new NotFoundError('Invite');
+    }
+    await ref.delete();
+  }
+
+  /**
+   * Accept or decline an invite. Accepting joins the household with the invited
+   * role and only shares what the user's own sign-in carries (email and name).
+   */
+  async respondToInvite(user, inviteId, accept) {
+    const db = this.getDB();
+    const inviteRef = this.invitesCollection().doc(inviteId);
+
+    return db.runTransaction(async (transaction) => {
+      const inviteDoc = await transaction.get(inviteRef);
+      const invite = inviteDoc.exists ? inviteDoc.data() : null;
+      if (!invite || !this.isPending(invite) || !user.emailVerified ||
+          invite.email !== (user.email || '').toLowerCase()) {
+        throw new NotFoundError('Invite');
+      }
+
+      const now = new Date().toISOString();
+      if (!accept) {
+        transaction.update(inviteRef, { status: 'declined', respondedAt: now });
+        return null;
+      }
+
+      const householdRef = db.collection('households').doc(invite.householdId);
+      const userRef = db.collection('users').doc(user.uid);
+      const [householdDoc, userDoc] = await Promise.all([transaction.get(householdRef), transaction.get(userRef)]);
+      if (!householdDoc.exists) {
+        throw new NotFoundError('Household');
+      }
+
+      const currentHouseholdId = userDoc.exists ? userDoc.data().householdId : null;
+      if (currentHouseholdId && currentHouseholdId !== invite.householdId) {
+        const other = await transaction.get(db.collection('households').doc(currentHouseholdId));
+        if (other.exists && this.householdRole({ id: other.id, ...other.data() }, user.uid)) {
+          throw new ValidationError('Leave your current household before joining another one');
+        }
+      }
+
+      const household = { id: householdDoc.id, ...householdDoc.data() };
+      const member = {
+        role: invite.role,
+        email: user.email,
+        displayName: user.displayName || null,
+        addedBy: invite.invitedBy,
+        addedAt: household.members?.[user.uid]?.addedAt || now
+      };
+
+      transaction.update(householdRef, {
+        [`members.${user.uid}`]: member,
+        memberIds: admin.firestore.FieldValue.arrayUnion(user.uid),
+        updatedAt: now
+      });
+      transaction.set(userRef, { householdId: household.id }, { merge: true });
+      transaction.update(inviteRef, { status: 'accepted', respondedAt: now, acceptedBy: user.uid });
+
+      return this.summarizeHousehold(
+        { ...household, members: { ...household.members, [user.uid]: member } },
+        invite.role
+      );
+    });
+  }
+
+  /**
+   * Change an existing member's role (owner only)
+   */
+  async setMemberRole(ownerId, memberId, role) {
+    if (!MEMBER_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${MEMBER_ROLES.join(', ')}`, 'role');
+    }
+
+    const household = await this.getOwnedHousehold(ownerId);
+    if (memberId === household.ownerId) {
+      throw new ValidationError('The household owner\'s role cannot be changed', 'memberId');
+    }
+    if (!household.members?.[memberId]) {
+      throw new NotFoundError('Household member');
+    }
+
+    await this.getDB().collection('households').doc(household.id).update({
+      [`members.${memberId}.role`]: role,
+      updatedAt: new Date().toISOString()
+    });
+    return { userId: memberId, ...household.members[memberId], role };
+  }
+
+  /**
+   * Remove a member - the owner can remove anyone, members can remove themselves.
+   * The owner leaving deletes the household.
+   */
+  async removeMember(requesterId, memberId) {
+    const membership = await this.getHouseholdForUser(requesterId);
+    if (!membership) {
+      throw new NotFoundError('Household');
+    }
+
+    const { household, role } = membership;
+    if (role !== 'owner' && requesterId !== memberId) {
+      throw new AuthorizationError('Only the household owner can remove other members');
+    }
+    if (!household.members?.[memberId]) {
+      throw new NotFoundError('Household member');
+    }
+
+    const db = this.getDB();
+    const householdRef = db.collection('households').doc(household.id);
+
+    if (memberId === household.ownerId) {
+      const invites = await this.invitesCollection().where('householdId', '==', household.id).get();
+      const batch = db.batch();
+      Object.keys(household.members).forEach(uid => {
+        batch.set(db.collection('users').doc(uid), { householdId: null }, { merge: true });
+      });
+      invites.docs.forEach(doc => batch.delete(doc.ref));
+      batch.delete(householdRef);
+      await batch.commit();
+      return { deleted: true };
+    }
+
+    await householdRef.update({
+      [`members.${memberId}`]: admin.firestore.FieldValue.delete(),
+      memberIds: admin.firestore.FieldValue.arrayRemove(memberId),
+      updatedAt: new Date().toISOString()
+    });
+    await db.collection('users').doc(memberId).set({ householdId: null }, { merge: true });
+    return { deleted: false };
+  }
+}
+
+// Create singleton instance
+const userSettingsService = new UserSettingsService();
+
+module.exports = userSettingsService;
@@ -233,63 +233,48 @@ ENHANCED RULES:
       globalOpenai: !!global.openai
     });
 
-    // Try Anthropic first, then OpenAI fallback
+    const callAnthropic = async () => {
+      const resp = await anthropic.messages.create({
+        model: 'claude-3-5-sonnet-20241022',
+        max_tokens: 2000,
+        temperature: 0.7,
+        messages: [
+          { role: 'user', content: enhancedPrompt }
+        ]
+      });
+      return resp.content?.[0]?.text || '';
+    };
+    const callOpenAI = async () => {
+      const resp = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        temperature: 0.7,
+        max_tokens: 2000,
+        messages: [
+          { role: 'user', content: enhancedPrompt }
+        ]
+      });
+      return resp.choices?.[0]?.message?.content || '';
+    };
+
+    // Anthropic first unless settings prefer ChatGPT; the other service is the fallback
+    const providers = [
+      anthropic && { name: 'Anthropic', call: callAnthropic },
+      openai && { name: 'OpenAI', call: callOpenAI }
+    ].filter(Boolean);
+    if (options.preferredAI === 'chatgpt') providers.reverse();
+
     let raw;
     let lastError;
-    
-    if (anthropic) {
-      try {
-        console.log('🔍 [DEBUG] Attempting Anthropic API call with COMPREHENSIVE prompting...');
-        const resp = await anthropic.messages.create({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 2000,
-          temperature: 0.7,
-          messages: [
-            { role: 'user', content: enhancedPrompt }
-          ]
-        });
-        raw = resp.content?.[0]?.text || '';
-        console.log('🔍 [DEBUG] Anthropic API successful, response length:', raw.length);
-      } catch (anthropicError) {
-        console.log('🔍 [DEBUG] Anthropic API failed:', anthropicError.message);
-        lastError = anthropicError;
-        
-        // Try OpenAI fallback
-        if (openai) {
-          try {
-            console.log('🔍 [DEBUG] Falling back to OpenAI API with COMPREHENSIVE prompting...');
-            const resp = await openai.chat.completions.create({
-              model: 'gpt-4o-mini',
-              temperature: 0.7,
-              max_tokens: 2000,
-              messages: [
-                { role: 'user', content: enhancedPrompt }
-              ]
-            });
-            raw = resp.choices?.[0]?.message?.content || '';
-            console.log('🔍 [DEBUG] OpenAI fallback successful, response length:', raw.length);
-          } catch (openaiError) {
-            console.log('🔍 [DEBUG] OpenAI fallback also failed:', openaiError.message);
-            lastError = openaiError;
-          }
-        }
-      }
-    } else if (openai) {
+
+    for (const provider of providers) {
       try {
-        console.log('🔍 [DEBUG] Attempting OpenAI API call with COMPREHENSIVE prompting (Anthropic not available)...');
-        const resp = await openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          temperature: 0.7,
-          max_tokens: 2000,
-          messages: [
-            { role: 'user', content: enhancedPrompt }
-          ]
-        });
-        raw = resp.choices?.[0]?.message?.content || '';
-        console.log('🔍 [DEBUG] OpenAI API successful, response length:', raw.length);
-      } catch (openaiError) {
-        console.log('🔍 [DEBUG] OpenAI API failed:', openaiError.message);
-        lastError = openaiError;
+        console.log(`🔍 [DEBUG] Attempting ${provider.name} API call with COMPREHENSIVE prompting...`);
+        raw = await provider.call();
+        console.log(`🔍 [DEBUG] ${provider.name} API successful, response length:`, raw.length);
+        break;
+      } catch (providerError) {
+        console.log(`🔍 [DEBUG] ${provider.name} API failed:`, providerError.message);
+        lastError = providerError;
       }
     }
     
@@ -0,0 +1,160 @@
+// server/utils/basketOptimizer.js
+// Works out where a whole cart is cheapest once fees are counted: every store
+// on its own, and the best way to split the cart between two stores. Prices
+// come in already looked up - this module only does the arithmetic.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const quantityOf = (item) => {
+  const quantity = Number(item.quantity);
+  return quantity > 0 ? quantity : 1;
+};
+
+const feesOf = (store) => {
+  const service = Number(store.serviceFee) || 0;
+  const delivery = Number(store.deliveryFee) || 0;
+  return { service, delivery, total: round2(service + delivery) };
+};
+
+// What one store charges for each item, or why it can't supply it
+function priceLines(items, store) {
+  return items.map((item, index) => {
+    const quote = store.prices[index] || {};
+    const quantity = quantityOf(item);
+    if (typeof quote.price !== 'number' || !(quote.price >= 0)) {
+      return { name: item.name, quantity, available: false, reason: quote.reason || 'no_price' };
+    }
+    if (quote.available === false) {
+      return { name: item.name, quantity, available: false, reason: 'out_of_stock', price: quote.price };
+    }
+    return {
+      name: item.name,
+      quantity,
+      available: true,
+      price: quote.price,
+      lineTotal: round2(quote.price * quantity)
+    };
+  });
+}
+
+// Fewer missing items wins; on equal coverage, the lower total
+const compareBaskets = (a, b) => a.unavailable.length - b.unavailable.length || a.total - b.total;
+
+function singleStoreBasket(items, store) {
+  const lines = priceLines(items, store);
+  const available = lines.filter(line => line.available);
+  const subtotal = round2(available.reduce((sum, line) => sum + line.lineTotal, 0));
+  const fees = feesOf(store);
+
+  return {
+    retailerId: store.retailerId,
+    name: store.name,
+    store: store.store || null,
+    priceSource: store.priceSource || null,
+    membershipRequired: !!store.membershipRequired,
+    subtotal,
+    fees,
+    total: round2(subtotal + fees.total),
+    items: available.map(({ name, quantity, price, lineTotal }) => ({ name, quantity, price, lineTotal })),
+    unavailable: lines
+      .filter(line => !line.available)
+      .map(({ name, reason }) => ({ name, reason })),
+    lines
+  };
+}
+
+// Each item goes to whichever of the two stores sells it for less; both stores' fees are paid
+function splitBasket(items, first, second) {
+  const legs = [first, second].map(basket => ({ basket, items: [] }));
+  const unavailable = [];
+
+  items.forEach((item, index) => {
+    const options = legs
+      .map(leg => ({ leg, line: leg.basket.lines[index] }))
+      .filter(option => option.line.available)
+      .sort((a, b) => a.line.lineTotal - b.line.lineTotal);
+
+    if (options.length === 0) {
+      unavailable.push({ name: item.name, reason: first.lines[index].reason });
+      return;
+    }
+    const { leg, line } = options[0];
+    leg.items.push({ name: line.name, quantity: line.quantity, price: line.price, lineTotal: line.lineTotal });
+  });
+
+  // A "split" that sends everything to one store is just that store
+  if (legs.some(leg => leg.items.length === 0)) return null;
+
+  const stores = legs.map(({ basket, items: legItems }) => {
+    const subtotal = round2(legItems.reduce((sum, line) => sum + line.lineTotal, 0));
+    return {
+      retailerId: basket.retailerId,
+      name: basket.name,
+      store: basket.store,
+      subtotal,
+      fees: basket.fees,
+      total: round2(subtotal + basket.fees.total),
+      items: legItems
+    };
+  });
+
+  const subtotal = round2(stores.reduce((sum, store) => sum + store.subtotal, 0));
+  const fees = round2(stores.reduce((sum, store) => sum + store.fees.total, 0));
+  return {
+    stores,
+    subtotal,
+    fees,
+    total: round2(subtotal + fees),
+    unavailable
+  };
+}
+
+/**
+ * Optimize a basket across stores.
+ *
+ * items:  [{ name, quantity? }]
+ * stores: [{ retailerId, name, serviceFee, deliveryFee, membershipRequired?, store?, priceSource?,
+ *            prices: [{ price, available?, reason? }] }] - prices line up with items
+ *
+ * Returns every store's basket (cheapest first), the cheapest single store, the
+ * cheapest two-store split, and which of the two to go with. Stores that can't
+ * supply an item are only preferred when nothing covers more of the cart.
+ */
+function optimizeBasket(items, stores) {
+  const baskets = stores.map(store => singleStoreBasket(items, store)).sort(compareBaskets);
+  // A store with no prices for this cart is reported but never recommended
+  const candidates = baskets.filter(basket => basket.items.length > 0);
+
+  const cheapestSingleStore = candidates[0] || null;
+
+  let cheapestSplit = null;
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const split = splitBasket(items, candidates[i], candidates[j]);
+      if (split && (!cheapestSplit || compareBaskets(split, cheapestSplit) < 0)) {
+        cheapestSplit = split;
+      }
+    }
+  }
+
+  if (cheapestSplit && cheapestSingleStore) {
+    cheapestSplit.savings = round2(cheapestSingleStore.total - cheapestSplit.total);
+  }
+
+  const recommendation = !cheapestSingleStore
+    ? null
+    : (cheapestSplit && compareBaskets(cheapestSplit, cheapestSingleStore) < 0 ? 'split' : 'single');
+
+  const strip = ({ lines, ...basket }) => basket;
+  return {
+    itemCount: items.length,
+    stores: baskets.map(strip),
+    cheapestSingleStore: cheapestSingleStore ? strip(cheapestSingleStore) : null,
+    cheapestSplit,
+    recommendation
+  };
+}
+
+module.exports = {
+  optimizeBasket
+};
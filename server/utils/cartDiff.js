@@ -0,0 +1,85 @@
+// server/utils/cartDiff.js
+// What changed between two versions of a cart: items added, removed and edited.
+// Items pair up by id first, then by name + unit, because re-parsing a list gives
+// the same groceries fresh ids.
+
+const DIFF_FIELDS = ['productName', 'quantity', 'unit', 'category', 'price', 'notes', 'checked'];
+
+const nameKey = (item) =>
+  `${String(item.productName || item.name || '').trim().toLowerCase()}|${String(item.unit || 'each').toLowerCase()}`;
+
+const summarize = (item) => ({
+  id: item.id,
+  productName: item.productName || item.name,
+  quantity: item.quantity,
+  unit: item.unit
+});
+
+function fieldChanges(before, after) {
+  const changes = {};
+  for (const field of DIFF_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * @param {Array<Object>} fromItems the older cart
+ * @param {Array<Object>} toItems the newer cart
+ * @returns {{added: Array, removed: Array, changed: Array, unchanged: number}}
+ */
+function diffCarts(fromItems = [], toItems = []) {
+  const unmatched = new Map(fromItems.map((item, index) => [index, item]));
+  const byId = new Map();
+  const byName = new Map();
+  fromItems.forEach((item, index) => {
+    if (item.id) byId.set(item.id, index);
+    if (!byName.has(nameKey(item))) byName.set(nameKey(item), []);
+    byName.get(nameKey(item)).push(index);
+  });
+
+  const takeMatch = (item) => {
+    let index = item.id && byId.has(item.id) && unmatched.has(byId.get(item.id)) ? byId.get(item.id) : undefined;
+    if (index === undefined) {
+      index = (byName.get(nameKey(item)) || []).find(candidate => unmatched.has(candidate));
+    }
+    if (index === undefined) return null;
+    const match = unmatched.get(index);
+    unmatched.delete(index);
+    return match;
+  };
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const item of toItems) {
+    const before = takeMatch(item);
+    if (!before) {
+      added.push(summarize(item));
+      continue;
+    }
+    const changes = fieldChanges(before, item);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ ...summarize(item), changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return {
+    added,
+    removed: [...unmatched.values()].map(summarize),
+    changed,
+    unchanged
+  };
+}
+
+module.exports = {
+  diffCarts,
+  DIFF_FIELDS
+};
@@ -0,0 +1,94 @@
+// server/utils/cartMerge.js
+// Folds duplicate cart lines into one: names that match (or contain each other
+// within a category) are merged, converting across units and rounding up to
+// package sizes; lines whose units can't be converted stay separate.
+
+const { mergeQuantities } = require('./unitConversion');
+
+// Helper function to normalize product names for comparison
+function normalizeProductName(name) {
+  return name.toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '') // Remove special characters
+    .replace(/\s+/g, ' ') // Normalize spaces
+    .trim();
+}
+
+// Helper function to check if two items are duplicates
+function areDuplicates(item1, item2) {
+  const name1 = normalizeProductName(item1.productName || item1.itemName || item1.name || '');
+  const name2 = normalizeProductName(item2.productName || item2.itemName || item2.name || '');
+  
+  if (name1 === name2) return true;
+  
+  if (name1.includes(name2) || name2.includes(name1)) {
+    return item1.category === item2.category;
+  }
+  
+  return false;
+}
+
+// Helper function to write a merged quantity group back onto an item
+function applyMergedQuantity(item, group) {
+  if (group.entries.length > 1) {
+    item.merged = true;
+    item.duplicatesCount = group.entries.length;
+    item.mergedFrom = group.entries.map(entry => ({ quantity: entry.quantity, unit: entry.unit }));
+  }
+
+  item.quantity = group.quantity;
+  item.unit = group.unit;
+
+  if (group.needed) {
+    item.neededQuantity = group.needed.quantity;
+    item.neededUnit = group.needed.unit;
+  }
+  if (group.package) {
+    item.packageSize = group.package.label;
+    item.packageCount = group.package.count;
+  }
+
+  return item;
+}
+
+// Helper function to merge duplicate items
+function mergeDuplicates(items) {
+  const merged = [];
+  const processed = new Set();
+  
+  for (let i = 0; i < items.length; i++) {
+    if (processed.has(i)) continue;
+    
+    const currentItem = { ...items[i] };
+    const duplicates = [];
+    
+    for (let j = i + 1; j < items.length; j++) {
+      if (!processed.has(j) && areDuplicates(currentItem, items[j])) {
+        duplicates.push(items[j]);
+        processed.add(j);
+      }
+    }
+    
+    if (duplicates.length > 0) {
+      // Convert across units (2 cups + 1 quart milk) and round up to package sizes;
+      // entries that cannot be converted to each other stay as separate lines
+      const name = currentItem.productName || currentItem.itemName || currentItem.name;
+      const [primary, ...unconvertible] = mergeQuantities([currentItem, ...duplicates], name);
+
+      for (const group of unconvertible) {
+        merged.push(applyMergedQuantity({ ...group.entries[0] }, group));
+      }
+
+      applyMergedQuantity(currentItem, primary);
+    }
+    
+    merged.push(currentItem);
+    processed.add(i);
+  }
+  
+  return merged;
+}
+
+module.exports = {
+  areDuplicates,
+  mergeDuplicates
+};
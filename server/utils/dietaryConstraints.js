@@ -0,0 +1,475 @@
+// server/utils/dietaryConstraints.js
+// Allergen and diet dictionary, and the checks that run every recipe, meal
+// plan, substitute and product match against a household's constraints.
+// Matching is on whole words of the ingredient or product name - the AI prompt
+// is told about allergies too, but this list is what decides what gets flagged.
+//
+// To extend: add terms to a group, and an exception when a term is part of a
+// name that is safe ("peanut butter" is not dairy). Exceptions are removed from
+// the name before the group's terms are matched.
+
+/**
+ * Ingredient groups. terms match as whole words, with an optional plural "s";
+ * exceptions are phrases that contain a term but aren't in the group;
+ * freeFromBadges are Spoonacular product badges that vouch a product is safe.
+ */
+const INGREDIENT_GROUPS = {
+  peanut: {
+    label: 'peanuts',
+    terms: ['peanut', 'peanut butter', 'peanut oil', 'groundnut', 'arachis oil', 'satay', 'goober'],
+    exceptions: [],
+    freeFromBadges: ['peanut_free']
+  },
+  tree_nut: {
+    label: 'tree nuts',
+    terms: [
+      'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'filbert', 'macadamia',
+      'brazil nut', 'pine nut', 'pignoli', 'chestnut', 'praline', 'marzipan', 'nougat', 'gianduja',
+      'nutella', 'pesto', 'nut butter', 'mixed nut', 'nut'
+    ],
+    exceptions: ['water chestnut'],
+    freeFromBadges: ['nut_free', 'tree_nut_free']
+  },
+  milk: {
+    label: 'dairy',
+    terms: [
+      'milk', 'butter', 'buttermilk', 'cheese', 'cream', 'sour cream', 'yogurt', 'yoghurt', 'whey',
+      'casein', 'ghee', 'kefir', 'half and half', 'ricotta', 'mozzarella', 'parmesan', 'cheddar',
+      'feta', 'brie', 'mascarpone', 'paneer', 'custard', 'ice cream', 'lactose', 'queso', 'alfredo'
+    ],
+    exceptions: [
+      'peanut butter', 'almond butter', 'cashew butter', 'nut butter', 'apple butter', 'cocoa butter',
+      'sunflower seed butter', 'seed butter', 'butter bean', 'butter lettuce', 'butternut',
+      'coconut milk', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'cashew milk', 'hemp milk',
+      'coconut cream', 'cream of coconut', 'coconut yogurt', 'cream of tartar', 'cream soda',
+      'nutritional yeast'
+    ],
+    freeFromBadges: ['dairy_free']
+  },
+  egg: {
+    label: 'eggs',
+    terms: ['egg', 'egg white', 'egg yolk', 'yolk', 'mayonnaise', 'mayo', 'meringue', 'albumen', 'aioli', 'eggnog'],
+    exceptions: ['egg replacer'],
+    freeFromBadges: ['egg_free']
+  },
+  wheat: {
+    label: 'wheat',
+    terms: [
+      'wheat', 'flour', 'bread', 'breadcrumb', 'bread crumb', 'panko', 'pasta', 'spaghetti', 'penne',
+      'linguine', 'fettuccine', 'macaroni', 'lasagna', 'noodle', 'couscous', 'semolina', 'durum', 'farro',
+      'spelt', 'bulgur', 'seitan', 'bagel', 'bun', 'croissant', 'pita', 'naan', 'tortilla', 'cracker',
+      'pretzel', 'crouton', 'soy sauce', 'pancake mix', 'pie crust', 'puff pastry'
+    ],
+    exceptions: [
+      'rice flour', 'almond flour', 'coconut flour', 'corn flour', 'chickpea flour', 'tapioca flour',
+      'potato flour', 'rice noodle', 'rice pasta', 'chickpea pasta', 'corn tortilla', 'rice cracker',
+      'glass noodle', 'soba', 'tortilla chip'
+    ],
+    freeFromBadges: ['gluten_free', 'wheat_free']
+  },
+  gluten: {
+    label: 'gluten grains',
+    terms: ['barley', 'rye', 'malt', 'beer', 'triticale'],
+    exceptions: [],
+    freeFromBadges: ['gluten_free']
+  },
+  soy: {
+    label: 'soy',
+    terms: ['soy', 'soya', 'soybean', 'tofu', 'tempeh', 'edamame', 'miso', 'soy sauce', 'tamari', 'shoyu', 'natto', 'soy lecithin'],
+    exceptions: [],
+    freeFromBadges: ['soy_free']
+  },
+  fish: {
+    label: 'fish',
+    terms: [
+      'fish', 'salmon', 'tuna', 'cod', 'tilapia', 'halibut', 'trout', 'sardine', 'anchovy', 'anchovies',
+      'mackerel', 'bass', 'catfish', 'haddock', 'pollock', 'snapper', 'swordfish', 'mahi mahi',
+      'fish sauce', 'worcestershire', 'caesar dressing'
+    ],
+    exceptions: [],
+    freeFromBadges: []
+  },
+  shellfish: {
+    label: 'shellfish',
+    terms: [
+      'shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'crawfish', 'crayfish', 'scallop', 'clam',
+      'mussel', 'oyster', 'oyster sauce', 'squid', 'calamari', 'langoustine'
+    ],
+    exceptions: [],
+    freeFromBadges: []
+  },
+  sesame: {
+    label: 'sesame',
+    terms: ['sesame', 'sesame oil', 'tahini', 'benne', 'hummus', 'za\'atar'],
+    exceptions: [],
+    freeFromBadges: []
+  },
+  meat: {
+    label: 'meat',
+    terms: [
+      'beef', 'steak', 'pork', 'bacon', 'ham', 'hamburger', 'sausage', 'chicken', 'turkey', 'lamb', 'veal',
+      'venison', 'duck', 'goose', 'prosciutto', 'pancetta', 'pepperoni', 'salami', 'chorizo', 'meatball',
+      'hot dog', 'brisket', 'ribs', 'gelatin', 'lard', 'bone broth'
+    ],
+    exceptions: ['veggie sausage', 'veggie burger', 'meatless meatball'],
+    freeFromBadges: []
+  },
+  honey: {
+    label: 'honey',
+    terms: ['honey'],
+    exceptions: ['honeydew', 'honeycrisp'],
+    freeFromBadges: []
+  }
+};
+
+// Allergies a profile can list - the nine major allergens
+const ALLERGENS = ['peanut', 'tree_nut', 'milk', 'egg', 'wheat', 'soy', 'fish', 'shellfish', 'sesame'];
+
+// What people type, mapped to an allergen
+const ALLERGEN_ALIASES = {
+  peanuts: 'peanut',
+  'tree nut': 'tree_nut',
+  'tree nuts': 'tree_nut',
+  nuts: 'tree_nut',
+  dairy: 'milk',
+  lactose: 'milk',
+  eggs: 'egg',
+  gluten: 'wheat',
+  soya: 'soy',
+  seafood: 'shellfish'
+};
+
+// The groups each diet leaves out
+const DIETS = {
+  vegetarian: ['meat', 'fish', 'shellfish'],
+  pescatarian: ['meat'],
+  vegan: ['meat', 'fish', 'shellfish', 'milk', 'egg', 'honey'],
+  'gluten-free': ['wheat', 'gluten'],
+  'dairy-free': ['milk']
+};
+
+// The restriction word for each allergen, for prompts and retailer filters
+const ALLERGEN_RESTRICTIONS = {
+  peanut: 'peanut-free',
+  tree_nut: 'tree-nut-free',
+  milk: 'dairy-free',
+  egg: 'egg-free',
+  wheat: 'gluten-free',
+  soy: 'soy-free',
+  fish: 'fish-free',
+  shellfish: 'shellfish-free',
+  sesame: 'sesame-free'
+};
+
+// The word before "-free" on a label, mapped to the groups it rules out
+const FREE_FROM_WORDS = {
+  gluten: ['wheat', 'gluten'],
+  wheat: ['wheat'],
+  dairy: ['milk'],
+  milk: ['milk'],
+  lactose: ['milk'],
+  nut: ['tree_nut', 'peanut'],
+  'tree nut': ['tree_nut'],
+  peanut: ['peanut'],
+  egg: ['egg'],
+  soy: ['soy'],
+  sesame: ['sesame'],
+  fish: ['fish'],
+  shellfish: ['shellfish'],
+  meat: ['meat']
+};
+
+const PLANT_BASED_PATTERN = /\b(vegan|plant[\s-]based)\b/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordPattern = (term) => new RegExp(`\\b${escapeRegExp(term)}(?:e?s)?\\b`, 'i');
+
+// "X-free" or "X free" where X is one word or a known two-word phrase ("tree nut
+// free") - never the word before it, so "almond dairy-free yogurt" keeps its almond
+const FREE_FROM_PATTERN = new RegExp(`\\b(${[
+  ...Object.keys(FREE_FROM_WORDS)
+    .filter(phrase => phrase.includes(' '))
+    .map(phrase => phrase.split(' ').map(escapeRegExp).join('[\\s-]')),
+  "[\\w']+"
+].join('|')})[\\s-]free\\b`, 'gi');
+
+// Compiled once - groups don't change at runtime
+const GROUP_PATTERNS = Object.fromEntries(Object.entries(INGREDIENT_GROUPS).map(([key, group]) => [key, {
+  terms: group.terms.map(term => ({ term, pattern: wordPattern(term) })),
+  exceptions: group.exceptions.map(wordPattern)
+}]));
+
+function resolveAllergen(value) {
+  const key = String(value).trim().toLowerCase().replace(/-/g, ' ');
+  if (ALLERGENS.includes(key.replace(/ /g, '_'))) return key.replace(/ /g, '_');
+  return ALLERGEN_ALIASES[key] || null;
+}
+
+// "Peanut-free granola" and "dairy free cheese" say what they don't contain
+function stripFreeFrom(text) {
+  return text.replace(FREE_FROM_PATTERN, ' ');
+}
+
+/**
+ * Groups a name says it is free of - "gluten-free bread" is not wheat, and a
+ * "vegan" product has no animal groups
+ */
+function freeFromGroups(text) {
+  const groups = new Set();
+  for (const [, words] of String(text).toLowerCase().matchAll(FREE_FROM_PATTERN)) {
+    const keys = FREE_FROM_WORDS[words.replace(/[\s-]+/g, ' ')] || [];
+    keys.forEach(key => groups.add(key));
+  }
+  if (PLANT_BASED_PATTERN.test(text)) {
+    DIETS.vegan.forEach(key => groups.add(key));
+  }
+  return groups;
+}
+
+/**
+ * The first term of a group found in a name, or null. Exceptions are cut out
+ * first so "peanut butter" never reads as butter.
+ */
+function matchGroup(groupKey, text) {
+  const patterns = GROUP_PATTERNS[groupKey];
+  if (freeFromGroups(text || '').has(groupKey)) return null;
+  let remaining = stripFreeFrom(` ${String(text || '').toLowerCase()} `);
+  for (const exception of patterns.exceptions) {
+    remaining = remaining.replace(new RegExp(exception.source, 'gi'), ' ');
+  }
+  // Longest term first so the flag names "soy sauce" rather than "soy"
+  const hits = patterns.terms.filter(({ pattern }) => pattern.test(remaining));
+  if (hits.length === 0) return null;
+  return hits.sort((a, b) => b.term.length - a.term.length)[0].term;
+}
+
+/**
+ * Union of every profile's allergies, diets and dislikes, remembering who each
+ * one is for.
+ *
+ * Returns { allergies: [{ key, label, members }], diets: [{ key, members }],
+ * dislikes: [{ term, members }] }
+ */
+function mergeConstraints(profiles = []) {
+  const allergies = new Map();
+  const diets = new Map();
+  const dislikes = new Map();
+  const add = (map, key, name) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(name);
+  };
+
+  for (const profile of profiles) {
+    const name = profile.name || 'Someone';
+    for (const allergy of profile.allergies || []) {
+      const key = resolveAllergen(allergy);
+      if (key) add(allergies, key, name);
+    }
+    if (profile.diet && DIETS[profile.diet]) add(diets, profile.diet, name);
+    for (const dislike of profile.dislikes || []) {
+      const term = String(dislike).trim().toLowerCase();
+      if (term) add(dislikes, term, name);
+    }
+  }
+
+  return {
+    allergies: [...allergies].map(([key, members]) => ({ key, label: INGREDIENT_GROUPS[key].label, members: [...members] })),
+    diets: [...diets].map(([key, members]) => ({ key, members: [...members] })),
+    dislikes: [...dislikes].map(([term, members]) => ({ term, members: [...members] }))
+  };
+}
+
+function hasConstraints(constraints) {
+  return !!constraints &&
+    (constraints.allergies.length > 0 || constraints.diets.length > 0 || constraints.dislikes.length > 0);
+}
+
+/**
+ * Every constraint a name breaks.
+ *
+ * Returns [{ type: 'allergy'|'diet'|'dislike', key, label, matched, members }].
+ * Allergy flags are the ones that must stop an item; diet and dislike flags
+ * are warnings. badges are a product's free-from badges, if it has any.
+ */
+function checkText(text, constraints, { badges = [] } = {}) {
+  if (!text || !hasConstraints(constraints)) return [];
+  const vouched = (groupKey) => INGREDIENT_GROUPS[groupKey].freeFromBadges.some(badge => badges.includes(badge));
+  const flags = [];
+
+  for (const allergy of constraints.allergies) {
+    const matched = !vouched(allergy.key) && matchGroup(allergy.key, text);
+    if (matched) {
+      flags.push({ type: 'allergy', key: allergy.key, label: allergy.label, matched, members: allergy.members });
+    }
+  }
+
+  for (const diet of constraints.diets) {
+    for (const groupKey of DIETS[diet.key]) {
+      const matched = !vouched(groupKey) && matchGroup(groupKey, text);
+      if (matched) {
+        flags.push({ type: 'diet', key: diet.key, label: `not ${diet.key}`, matched, members: diet.members });
+        break;
+      }
+    }
+  }
+
+  for (const dislike of constraints.dislikes) {
+    if (wordPattern(dislike.term).test(stripFreeFrom(text))) {
+      flags.push({ type: 'dislike', key: dislike.term, label: `disliked: ${dislike.term}`, matched: dislike.term, members: dislike.members });
+    }
+  }
+  return flags;
+}
+
+const isBlocking = (flags) => flags.some(flag => flag.type === 'allergy');
+
+// The name a cart item, product or ingredient goes by
+function itemText(item) {
+  if (typeof item === 'string') return item;
+  return [item.productName, item.name, item.item, item.original, item.title, item.query]
+    .filter(value => typeof value === 'string' && value.trim())
+    .join(' | ');
+}
+
+/**
+ * Flags for each item. Items that break a constraint come back with
+ * dietaryFlags set; the rest are returned untouched.
+ *
+ * Returns { items, flagged: [{ id, name, flags }] }
+ */
+function flagItems(items, constraints) {
+  const flagged = [];
+  const checked = items.map(item => {
+    const flags = checkText(itemText(item), constraints, { badges: item.badges || [] });
+    if (flags.length === 0) return item;
+    flagged.push({ id: item.id || null, name: item.productName || item.name || item.item || itemText(item), flags });
+    return { ...item, dietaryFlags: flags };
+  });
+  return { items: checked, flagged };
+}
+
+/**
+ * A recipe's title and ingredients against the constraints.
+ *
+ * Returns { recipeId, title, safe, flags, ingredients: [{ name, flags }] } -
+ * flags has one entry per broken constraint; safe is false on any allergy.
+ */
+function checkRecipe(recipe, constraints) {
+  const ingredients = (recipe.ingredients || [])
+    .map(ingredient => ({ name: itemText(ingredient), flags: checkText(itemText(ingredient), constraints) }))
+    .filter(ingredient => ingredient.flags.length > 0);
+  const titleFlags = checkText(recipe.title || recipe.name, constraints);
+
+  const unique = new Map();
+  for (const flag of [...titleFlags, ...ingredients.flatMap(ingredient => ingredient.flags)]) {
+    const key = `${flag.type}:${flag.key}`;
+    if (!unique.has(key)) unique.set(key, flag);
+  }
+  const flags = [...unique.values()];
+
+  return {
+    recipeId: recipe.id || null,
+    title: recipe.title || recipe.name || null,
+    safe: !isBlocking(flags),
+    flags,
+    ingredients
+  };
+}
+
+/**
+ * Constraints as restriction words ('vegetarian', 'peanut-free') for prompts
+ * and retailer health filters
+ */
+function restrictionList(constraints) {
+  if (!constraints) return [];
+  return Array.from(new Set([
+    ...constraints.diets.map(diet => diet.key),
+    ...constraints.allergies.map(allergy => ALLERGEN_RESTRICTIONS[allergy.key])
+  ]));
+}
+
+/**
+ * Plain-language constraints for an AI prompt, or '' when there are none
+ */
+function describeConstraints(constraints) {
+  if (!hasConstraints(constraints)) return '';
+  const who = (members) => members.join(', ');
+  const parts = [];
+  if (constraints.allergies.length > 0) {
+    parts.push(`Allergies - never include these or anything made from them: ${constraints.allergies
+      .map(allergy => `${allergy.label} (${who(allergy.members)})`).join('; ')}.`);
+  }
+  if (constraints.diets.length > 0) {
+    parts.push(`Diets - every recipe must suit: ${constraints.diets
+      .map(diet => `${diet.key} (${who(diet.members)})`).join('; ')}.`);
+  }
+  if (constraints.dislikes.length > 0) {
+    parts.push(`Avoid these disliked ingredients: ${constraints.dislikes.map(dislike => dislike.term).join(', ')}.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * A user's household constraints for a request they must never block. If the
+ * profiles can't be read, constraints is null and dietaryCheck 'unavailable',
+ * so the response can say nothing was checked.
+ *
+ * Returns { constraints, dietaryCheck: 'checked' | 'unavailable' }
+ */
+async function loadDietaryConstraints(userId) {
+  // Required here - householdProfileService builds on this module
+  const householdProfileService = require('../services/householdProfileService');
+  try {
+    return { constraints: await householdProfileService.getConstraints(userId), dietaryCheck: 'checked' };
+  } catch (error) {
+    console.warn('Could not load dietary constraints:', error.message);
+    return { constraints: null, dietaryCheck: 'unavailable' };
+  }
+}
+
+/**
+ * Screen items on their way into a cart. Anything a household member is
+ * allergic to is held back, marked needsReview with reviewReason 'allergen',
+ * unless allowAllergens (the caller confirming it on purpose) or it was
+ * confirmed before (reviewedAt). Diet and dislike conflicts go through
+ * carrying dietaryFlags.
+ *
+ * Returns { items, held, flagged, dietaryCheck } - items is what may go in.
+ */
+async function screenItems(userId, items, { allowAllergens = false } = {}) {
+  const { constraints, dietaryCheck } = await loadDietaryConstraints(userId);
+  const { items: checked, flagged } = flagItems(items, constraints);
+  const reviewedAt = new Date().toISOString();
+  const allowed = [];
+  const held = [];
+
+  for (const item of checked) {
+    if (!isBlocking(item.dietaryFlags || []) || item.reviewedAt) {
+      allowed.push(item);
+    } else if (allowAllergens) {
+      allowed.push({ ...item, needsReview: false, reviewedAt });
+    } else {
+      held.push({ ...item, needsReview: true, reviewReason: 'allergen' });
+    }
+  }
+  return { items: allowed, held, flagged, dietaryCheck };
+}
+
+module.exports = {
+  INGREDIENT_GROUPS,
+  ALLERGENS,
+  DIETS,
+  resolveAllergen,
+  matchGroup,
+  mergeConstraints,
+  hasConstraints,
+  checkText,
+  isBlocking,
+  flagItems,
+  checkRecipe,
+  restrictionList,
+  describeConstraints,
+  loadDietaryConstraints,
+  screenItems
+};
@@ -0,0 +1,69 @@
+// server/utils/foodCategories.js
+// Item name canonicalization and categories - server port of client/src/utils/foodCategories.ts
+
+const SYNONYMS = {
+  'scallion': 'green onion',
+  'scallions': 'green onion',
+  'confectioners sugar': 'powdered sugar',
+  'icing sugar': 'powdered sugar',
+  'garbanzo beans': 'chickpea',
+  'chickpeas': 'chickpea',
+  'coriander leaves': 'cilantro',
+  'bell peppers': 'bell pepper'
+};
+
+// Ordered category rules - first match wins, anything else falls back to pantry
+const CATEGORY_RULES = [
+  ['produce', /^(apple|banana|tomato|tomatillo|onion|garlic|lemon|lime|pepper|peppercorn|carrot|celery|cilantro|cucumber|lettuce|spinach|kale|broccoli|cauliflower|ginger|scallion|green onion|herb|chili|avocado|mushroom)\b/],
+  ['meat', /^(beef|pork|chicken|turkey|lamb|bacon|sausage)\b/],
+  ['seafood', /^(salmon|tuna|shrimp|prawn|cod|anchovy|sardine|tilapia)\b/],
+  ['dairy', /^(milk|butter|cheese|cream|yogurt|half and half)\b/],
+  ['pantry', /^(flour|sugar|salt|pepper|oil|vinegar|soy sauce|tamari|honey|yeast|baking|spice|cumin|paprika|oregano|thyme|cinnamon|nutmeg|vanilla)\b/],
+  ['bakery', /^(bread|bun|baguette|tortilla|pita)\b/],
+  ['frozen', /^(frozen|ice cream|frozen peas|frozen corn)\b/],
+  ['beverage', /^(beer|wine|soda|juice|water)\b/]
+];
+
+function singularizeBasic(word) {
+  // very lightweight singularization
+  return word
+    .replace(/\b(tomatoes)\b/g, 'tomato')
+    .replace(/\b(potatoes)\b/g, 'potato')
+    .replace(/\b(leaves)\b/g, 'leaf')
+    .replace(/\b(ies)\b/g, 'y')
+    // leave 'ss' endings alone ("boneless", "swiss")
+    .replace(/([^s'])s\b/g, '$1')
+    .trim();
+}
+
+function canonicalItemName(raw) {
+  const s = raw.trim().toLowerCase();
+  if (SYNONYMS[s]) return SYNONYMS[s];
+  return singularizeBasic(s);
+}
+
+/**
+ * Categorize an item and report whether a rule actually matched,
+ * so callers can tell a known pantry staple from the fallback
+ * @returns {{ category: string, matched: boolean }}
+ */
+function categorizeWithMatch(item) {
+  const s = item.toLowerCase();
+  for (const [category, pattern] of CATEGORY_RULES) {
+    if (pattern.test(s)) return { category, matched: true };
+  }
+  return { category: 'pantry', matched: false };
+}
+
+function categorize(item) {
+  return categorizeWithMatch(item).category;
+}
+
+module.exports = {
+  SYNONYMS,
+  CATEGORY_RULES,
+  canonicalItemName,
+  categorize,
+  categorizeWithMatch,
+  singularizeBasic
+};
@@ -1,43 +1,73 @@
-// AI-ONLY Ingredient Parser
-// Handles ingredient parsing using only AI services - no manual regex patterns
+// AI Ingredient Parser
+// Parses ingredient lines with the AI services, falling back to the deterministic
+// rule-based parser when no AI is configured, the call times out or returns bad JSON
+
+const { parseToIngredientResult } = require('./ruleIngredientParser');
+const { normalizeUnit } = require('./unitDictionary');
+
+const DEFAULT_AI_TIMEOUT_MS = 8000;
+
+// Ceiling for an AI parse the model is sure of and the rules agree with
+const MAX_AI_CONFIDENCE = 0.95;
 
 class AIIngredientParser {
-  constructor() {
+  constructor(options = {}) {
     // Detect available AI clients
     this.ai = {
       anthropic: global.anthropic || null,
       openai: global.openai || null,
     };
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.INGREDIENT_PARSER_TIMEOUT_MS, 10) || DEFAULT_AI_TIMEOUT_MS;
+  }
+
+  hasAI() {
+    return !!(global.anthropic || global.openai || this.ai.anthropic || this.ai.openai);
   }
 
   async parseIngredientLine(line) {
-    // AI-ONLY PROCESSING - No manual fallback
-    if (!this.ai.anthropic && !this.ai.openai) {
-      throw new Error('AI services required - no AI clients available for ingredient parsing');
+    if (!this.hasAI()) {
+      return this.ruleParse(line, 'no_ai_client');
     }
 
     try {
       console.log('🔍 [DEBUG] AI ingredient parsing:', line);
-      const parsed = await this.aiParseIngredient(line);
+      const parsed = await this.withTimeout(this.aiParseIngredient(line));
       console.log('🔍 [DEBUG] AI ingredient parsing successful:', parsed);
       return parsed;
     } catch (error) {
-      console.error('🔍 [DEBUG] AI ingredient parsing failed:', error.message);
-      throw error;
+      console.error('🔍 [DEBUG] AI ingredient parsing failed, using rule-based parser:', error.message);
+      return this.ruleParse(line, error.code === 'AI_TIMEOUT' ? 'timeout' : error.code === 'AI_INVALID_JSON' ? 'invalid_json' : 'ai_error');
     }
   }
 
+  ruleParse(line, fallbackReason) {
+    return { ...parseToIngredientResult(line), fallbackReason };
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`AI ingredient parsing timed out after ${this.timeoutMs}ms`);
+        error.code = 'AI_TIMEOUT';
+        reject(error);
+      }, this.timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
   async aiParseIngredient(ingredientText) {
     const sysPrompt = `You parse ingredient lines into structured JSON format.
 Rules:
 - Only output JSON. No prose. No markdown. No trailing commas.
-- One object with fields: qty (number), unit (string), name (string), sizeQty (number or null), sizeUnit (string or null), notes (string), original (string).
+- One object with fields: qty (number), unit (string), name (string), sizeQty (number or null), sizeUnit (string or null), notes (string), original (string), confidence (number).
 - Extract quantity, unit, and clean ingredient name.
 - Handle fractions: "1 1/2 cups" → qty=1.5, unit="cup", name="flour"
 - Handle embedded sizes: "24 oz jar marinara" → qty=1, unit="jar", name="marinara", sizeQty=24, sizeUnit="oz"
 - Clean descriptors: remove "boneless", "skinless", "fresh", "chopped", etc.
 - Normalize units: "cups" → "cup", "lbs" → "lb", "oz" → "ounce"
-- If no unit detected, use "unit"`;
+- If no unit detected, use "unit"
+- confidence: 0 to 1, how sure you are of qty, unit and name. Use below 0.6 when the line is ambiguous, has no clear ingredient or you had to guess`;
 
     const userPrompt = `Parse this ingredient: ${ingredientText}`;
 
@@ -47,6 +77,7 @@ Rules:
 
     // Try Anthropic first, then OpenAI fallback for ingredient parsing
     let raw;
+    let engine;
     let lastError;
     
     if (anthropic) {
@@ -62,6 +93,7 @@ Rules:
           ]
         });
         raw = resp.content?.[0]?.text || '';
+        engine = 'anthropic';
         console.log('🔍 [DEBUG] Anthropic ingredient parsing successful');
       } catch (anthropicError) {
         console.log('🔍 [DEBUG] Anthropic ingredient parsing failed:', anthropicError.message);
@@ -81,6 +113,7 @@ Rules:
               ]
             });
             raw = resp.choices?.[0]?.message?.content || '';
+            engine = 'openai';
             console.log('🔍 [DEBUG] OpenAI ingredient parsing fallback successful');
           } catch (openaiError) {
             console.log('🔍 [DEBUG] OpenAI ingredient parsing fallback also failed:', openaiError.message);
@@ -101,6 +134,7 @@ Rules:
           ]
         });
         raw = resp.choices?.[0]?.message?.content || '';
+        engine = 'openai';
         console.log('🔍 [DEBUG] OpenAI ingredient parsing successful');
       } catch (openaiError) {
         console.log('🔍 [DEBUG] OpenAI ingredient parsing failed:', openaiError.message);
@@ -119,8 +153,10 @@ Rules:
 
     // Parse AI response
     const json = this.extractJSON(raw);
-    if (!json) {
-      throw new Error('Failed to extract JSON from AI response');
+    if (!json || typeof json !== 'object' || typeof json.name !== 'string' || !json.name.trim()) {
+      const error = new Error('Failed to extract JSON from AI response');
+      error.code = 'AI_INVALID_JSON';
+      throw error;
     }
 
     // Ensure required fields and debug output
@@ -131,7 +167,9 @@ Rules:
       sizeQty: json.sizeQty || null,
       sizeUnit: json.sizeUnit || null,
       notes: json.notes || '',
-      original: ingredientText
+      original: ingredientText,
+      engine: engine,
+      confidence: this.scoreAIResult(json, ingredientText)
     };
     
     console.log('🔍 [DEBUG] Ingredient parsing result:', {
@@ -143,6 +181,37 @@ Rules:
     return result;
   }
 
+  /**
+   * Confidence for an AI parse: what the model reported, capped by how well the
+   * parse holds up against the rule-based reading of the same line. A missing
+   * quantity, a unit or name the rules can't see in the line, or a model that
+   * reports nothing all pull it down so the review threshold still applies.
+   */
+  scoreAIResult(json, ingredientText) {
+    const rules = parseToIngredientResult(ingredientText);
+    const line = String(ingredientText || '').toLowerCase();
+
+    let checked = MAX_AI_CONFIDENCE;
+    if (typeof json.qty !== 'number' || !(json.qty > 0)) checked -= 0.2;
+    if (!json.unit) checked -= 0.1;
+
+    const unit = normalizeUnit(json.unit) || 'count';
+    const ruleUnit = normalizeUnit(rules.unit) || 'count';
+    if (unit !== ruleUnit && !line.includes(String(json.unit).toLowerCase())) checked -= 0.15;
+    if (typeof json.qty === 'number' && rules.qty !== json.qty && rules.confidence >= 0.6) checked -= 0.1;
+
+    const nameWords = json.name.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+    const found = nameWords.filter(word => line.includes(word.replace(/(es|s)$/, ''))).length;
+    if (nameWords.length > 0 && found === 0) checked -= 0.4;
+    else if (found < nameWords.length) checked -= 0.1;
+
+    const reported = typeof json.confidence === 'number' && json.confidence >= 0 && json.confidence <= 1
+      ? json.confidence
+      : MAX_AI_CONFIDENCE - 0.15;
+
+    return Math.round(Math.max(0.1, Math.min(reported, checked)) * 100) / 100;
+  }
+
   extractJSON(text) {
     // Strip code fences and markdown
     let cleanText = text.replace(/```json\s*\n?/gi, '')
@@ -0,0 +1,167 @@
+// server/utils/mealPlanBudget.js
+// Cost accounting for a meal plan: consolidate every recipe's ingredients into
+// one shopping list, price each line the way it is bought (whole packages, not
+// fractions of a cup), and share each line's cost back out to the meals that
+// use it. Prices are looked up by the caller - this module only does the sums.
+
+const { canonicalItemName, categorize } = require('./foodCategories');
+const { normalizeUnit } = require('./unitDictionary');
+const { mergeQuantities, convert } = require('./unitConversion');
+
+// Units a store sells by the piece - anything else (cups, tbsp, cloves) is one package
+const PURCHASE_UNITS = new Set(['dozen', 'can', 'jar', 'package', 'bottle', 'bunch', 'head', 'lb']);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "chicken breasts, diced (about 2)" -> "chicken breast"
+function ingredientName(ingredient) {
+  const raw = typeof ingredient === 'string'
+    ? ingredient
+    : String(ingredient.item || ingredient.name || ingredient.productName || '');
+  return canonicalItemName(raw.replace(/\([^)]*\)/g, ' ').split(',')[0].replace(/\s+/g, ' '));
+}
+
+/**
+ * One line per ingredient across all recipes, quantities merged across units.
+ * Each line remembers which recipes need it and how much of it each one uses.
+ */
+function consolidateIngredients(recipes) {
+  const byName = new Map();
+
+  for (const recipe of recipes) {
+    for (const ingredient of recipe.ingredients || []) {
+      const name = ingredientName(ingredient);
+      if (!name) continue;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push({
+        quantity: typeof ingredient === 'string' ? 1 : (parseFloat(ingredient.quantity) || 1),
+        unit: typeof ingredient === 'string' ? null : (ingredient.unit && ingredient.unit !== 'as needed' ? ingredient.unit : null),
+        recipeId: recipe.id
+      });
+    }
+  }
+
+  const lines = [];
+  for (const [name, entries] of byName) {
+    for (const group of mergeQuantities(entries, name)) {
+      const [first] = group.entries;
+      // Share by amount where the units convert, otherwise one share per use
+      const weights = group.entries.map(entry =>
+        (first.unit && entry.unit ? convert(entry.quantity, entry.unit, first.unit, name) : null) ?? 1
+      );
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+      const shares = new Map();
+      group.entries.forEach((entry, index) => {
+        shares.set(entry.recipeId, (shares.get(entry.recipeId) || 0) + weights[index] / totalWeight);
+      });
+
+      lines.push({
+        name,
+        quantity: group.quantity,
+        unit: group.unit || 'each',
+        package: group.package,
+        category: categorize(name),
+        shares
+      });
+    }
+  }
+  return lines;
+}
+
+// How many of the priced product the line needs. Plain counts are bought one by
+// one only in produce - "8 tortillas" is one pack, "3 lemons" is three lemons.
+function purchaseCount(line) {
+  if (line.package) return line.package.count;
+  const unit = normalizeUnit(line.unit) || 'count';
+  const byThePiece = PURCHASE_UNITS.has(unit) || (unit === 'count' && line.category === 'produce');
+  return byThePiece ? Math.max(1, Math.ceil(line.quantity - 1e-9)) : 1;
+}
+
+/**
+ * Price a plan.
+ *
+ * recipes:  cartsmash recipes ({ id, title, dayAssigned, mealType, ingredients })
+ * priceFor: name -> { price, source, productName?, vendor? } for each consolidated line
+ *
+ * Returns the priced shopping list, each meal's share of it, and the total.
+ */
+function costPlan(recipes, priceFor) {
+  const lines = consolidateIngredients(recipes);
+  const mealCosts = new Map(recipes.map(recipe => [recipe.id, { total: 0, ingredients: [] }]));
+
+  const items = lines.map(line => {
+    const quote = priceFor(line.name) || { price: 0, source: 'none' };
+    const count = purchaseCount(line);
+    const cost = round2(quote.price * count);
+
+    for (const [recipeId, share] of line.shares) {
+      const meal = mealCosts.get(recipeId);
+      if (!meal) continue;
+      meal.total += cost * share;
+      meal.ingredients.push({ name: line.name, cost: round2(cost * share) });
+    }
+
+    return {
+      name: line.name,
+      quantity: line.quantity,
+      unit: line.unit,
+      category: line.category,
+      package: line.package ? line.package.label : null,
+      purchaseCount: count,
+      unitPrice: quote.price,
+      cost,
+      priceSource: quote.source,
+      productName: quote.productName || null,
+      vendor: quote.vendor || null,
+      recipeIds: [...line.shares.keys()]
+    };
+  });
+
+  const meals = recipes.map(recipe => {
+    const meal = mealCosts.get(recipe.id);
+    return {
+      recipeId: recipe.id,
+      title: recipe.title || recipe.name,
+      dayAssigned: recipe.dayAssigned ?? null,
+      mealType: recipe.mealType || null,
+      cost: round2(meal.total),
+      ingredients: meal.ingredients.sort((a, b) => b.cost - a.cost)
+    };
+  });
+
+  return {
+    items: items.sort((a, b) => b.cost - a.cost),
+    meals,
+    total: round2(items.reduce((sum, item) => sum + item.cost, 0))
+  };
+}
+
+/**
+ * Where a total stands against a budget. difference is positive when under.
+ */
+function budgetStatus(total, budget) {
+  const difference = round2(budget - total);
+  return {
+    budget: round2(budget),
+    total,
+    difference,
+    status: difference >= 0 ? 'under' : 'over'
+  };
+}
+
+/**
+ * The costliest meal that hasn't been tried yet, or null
+ */
+function mostExpensiveMeal(meals, tried = new Set()) {
+  return meals
+    .filter(meal => !tried.has(meal.recipeId) && meal.cost > 0)
+    .sort((a, b) => b.cost - a.cost)[0] || null;
+}
+
+module.exports = {
+  ingredientName,
+  consolidateIngredients,
+  costPlan,
+  budgetStatus,
+  mostExpensiveMeal
+};
@@ -0,0 +1,739 @@
+// server/utils/parsingPipeline.js
+// The one grocery/recipe text parser behind /api/cart/parse, /api/grocery/parse and
+// /api/ai/smart-parse. Text runs through an ordered list of stages, each taking and
+// returning the shared parse context:
+//
+//   sections   -> headings split the text into sections (ingredients, instructions, notes...)
+//   classify   -> every other line is an ingredient, instruction or note
+//   extract    -> quantity/unit/name from ingredient lines (rules, or AI with rule fallback)
+//   normalize  -> canonical product name and unit
+//   categorize -> grocery category and store department
+//   confidence -> score and needsReview flag
+//
+// Any stage can be swapped or dropped with createPipeline({ <stage>: fn | null }).
+
+const crypto = require('crypto');
+const AIProductParser = require('./aiProductParser');
+const { parseIngredientLine } = require('./ruleIngredientParser');
+const { normalizeUnit } = require('./unitDictionary');
+const { canonicalItemName, singularizeBasic } = require('./foodCategories');
+const { departmentFor } = require('./storeLayouts');
+
+const STAGE_ORDER = ['sections', 'classify', 'extract', 'normalize', 'categorize', 'confidence'];
+
+const SECTION_KINDS = [
+  ['instructions', /^(instructions?|directions?|method|steps?|preparation|how to make it)$/i],
+  ['ingredients', /^(ingredients?|shopping list|grocery list|you('| wi)ll need|what you need)$/i],
+  ['notes', /^(notes?|tips?|money[- ]saving tips|nutrition( facts)?|estimated (total )?cost|storage)$/i],
+  ['meal', /^(monday|tuesday|wednesday|thursday|friday|saturday|sunday|day \d+)?\s*[-:]?\s*(breakfast|brunch|lunch|dinner)?$/i],
+  ['aisle', /^(produce|fruits?( & | and )vegetables|dairy|dairy( & | and )eggs|meat|meat( & | and )seafood|seafood|proteins?( & dairy)?|bakery|grains( & bakery)?|pantry|canned goods|frozen|beverages|drinks|snacks|household|spices)$/i]
+];
+
+// Aisle headings double as category hints for the items listed under them
+const AISLE_CATEGORIES = {
+  produce: 'produce', fruit: 'produce', fruits: 'produce', dairy: 'dairy', meat: 'meat',
+  seafood: 'meat', protein: 'meat', proteins: 'meat', bakery: 'bakery', grains: 'grains',
+  pantry: 'pantry', canned: 'canned', frozen: 'frozen', beverages: 'beverages',
+  drinks: 'beverages', snacks: 'snacks', household: 'household', spices: 'pantry'
+};
+
+const RECIPE_TITLE_RE = /^(?:recipe(?: name)?\s*[:-]|recipe for|how to make|title\s*:)\s*(.+)$/i;
+const SEPARATOR_RE = /^(?:-{3,}|\*{3,}|_{3,}|={3,})$/;
+
+const NOTE_PATTERNS = [
+  /^(note|tip|optional|hint)s?\s*:/i,
+  /^(prep|cook|total|active) time\b/i,
+  /^(serves|servings|yield|makes)\b/i,
+  /^(estimated|approx(imate)?)\b.*\b(cost|total)\b/i,
+  /^calories\b/i,
+  /^https?:\/\//i,
+  /if you (prefer|like|want)/i,
+  /consider (getting|buying)/i,
+  /^(here('s| is| are)|this (plan|list|meal plan))\b/i
+];
+
+const COOKING_VERBS = [
+  'preheat', 'heat', 'bake', 'boil', 'simmer', 'stir', 'mix', 'whisk', 'combine', 'add', 'pour',
+  'place', 'cook', 'serve', 'season', 'remove', 'bring', 'reduce', 'transfer', 'cover', 'fry',
+  'saute', 'sauté', 'roast', 'grill', 'drain', 'rinse', 'sprinkle', 'fold', 'knead', 'blend',
+  'toss', 'garnish', 'marinate', 'arrange', 'let', 'allow', 'repeat', 'meanwhile', 'once', 'when'
+];
+const INSTRUCTION_START_RE = new RegExp(`^(?:step\\s*\\d+\\b|(?:${COOKING_VERBS.join('|')})\\b)`, 'i');
+const PREP_START_RE = /^(chop|dice|mince|slice|peel|grate|shred|trim|halve|quarter|cube|julienne|zest|crush|mash|pat)\b/i;
+
+// Labels used by settings.aiParsing.excludePatterns. Each switches on a rule that keeps
+// matching lines out of the shopping list; any other string is matched literally.
+// Lines that start with a quantity are only caught by rules marked anyLine.
+const EXCLUDE_RULES = {
+  'cooking instructions': { kind: 'instruction', test: (text) => INSTRUCTION_START_RE.test(text) },
+  'recipe steps': {
+    kind: 'instruction',
+    // Full sentences outside an ingredients section are method text
+    test: (text, line) => /^step\s*\d+/i.test(text) ||
+      (line.section.kind !== 'ingredients' && /[.!]$/.test(text) && text.split(/\s+/).length > 8)
+  },
+  'preparation methods': { kind: 'instruction', test: (text) => PREP_START_RE.test(text) },
+  // "Dinner: chicken stir fry" / "Monday: tacos" describe meals, not things to buy
+  'meal descriptions': { kind: 'note', test: (text) => /^(breakfast|brunch|lunch|dinner|snacks?)\b.*:/i.test(text) },
+  'day names': { kind: 'note', test: (text) => /^(monday|tuesday|wednesday|thursday|friday|saturday|sunday|day \d+)\b.*:/i.test(text) },
+  'time references': {
+    kind: 'note',
+    test: (text) => /^(prep|cook|total|active) time\b/i.test(text) || /\b\d+\s*(minutes?|mins?|hours?|hrs?)\b/i.test(text)
+  },
+  'serving suggestions': { kind: 'note', test: (text) => /^(serve[sd]?\s+(with|over|on|alongside)|for serving|garnish with)\b/i.test(text) },
+  'optional ingredients': { kind: 'note', anyLine: true, test: (text) => /\boptional\b/i.test(text) }
+};
+
+// Labels used by settings.aiParsing.includePatterns: the signals that raise an item's
+// confidence. Any other string forces lines containing it to be read as items.
+const INCLUDE_SIGNALS = {
+  'quantity + product': { weight: 0.15, test: (item) => item.quantityGiven },
+  measurements: { weight: 0.1, test: (item) => item.unit !== 'each' && !PACKAGE_UNIT_VALUES.has(item.unit) },
+  'grocery terms': { weight: 0.1, test: (item) => PACKAGE_UNIT_VALUES.has(item.unit) },
+  'food keywords': { weight: 0.15, test: (item) => item.knownItem },
+  'brand names': { weight: 0.05, test: (item) => !!item.brand },
+  'package sizes': { weight: 0.05, test: (item) => !!item.containerSize }
+};
+
+// Mirrors DEFAULT_SETTINGS.aiParsing in routes/settings.js - used when a caller passes no settings
+const DEFAULT_PARSING_SETTINGS = {
+  confidenceThreshold: 0.6,
+  autoReviewLowConfidence: true,
+  fallbackToSimple: true,
+  preferredAI: 'claude',
+  batchSize: 50,
+  maxConcurrentRequests: 10,
+  enableCaching: true,
+  cacheExpiryMinutes: 60,
+  enableAutoCategories: true,
+  customCategories: [],
+  excludePatterns: ['cooking instructions', 'meal descriptions', 'day names', 'time references', 'recipe steps', 'preparation methods'],
+  includePatterns: ['quantity + product', 'measurements', 'food keywords', 'grocery terms']
+};
+
+const BULLET_RE = /^(?:[-*•·▪▸→◆◇○●■□☐☑✓✔]|\[[ xX]?\])\s*/;
+const NUMBERING_RE = /^\d+[.)]\s+/;
+const LEADING_QTY_RE = /^(?:\d|[¼½¾⅓⅔⅛⅜⅝⅞]|(?:a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\b)/i;
+const MAX_ITEM_LINE_LENGTH = 120;
+
+const DEPARTMENT_CATEGORIES = {
+  produce: 'produce',
+  bakery: 'bakery',
+  deli: 'deli',
+  meat: 'meat',
+  canned: 'canned',
+  grains: 'grains',
+  baking: 'pantry',
+  condiments: 'pantry',
+  breakfast: 'pantry',
+  snacks: 'snacks',
+  beverages: 'beverages',
+  household: 'household',
+  personal: 'household',
+  dairy: 'dairy',
+  frozen: 'frozen',
+  other: 'other'
+};
+
+const newItemId = () => `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+function stripListMarker(line) {
+  return line.replace(BULLET_RE, '').replace(NUMBERING_RE, '').trim();
+}
+
+function headingText(line) {
+  const markdown = line.match(/^#{1,6}\s+(.+?)\s*#*$/) ||
+    line.match(/^\*\*(.+?)\*\*:?$/) ||
+    line.match(/^__(.+?)__:?$/);
+  if (markdown) return markdown[1].replace(/:$/, '').trim();
+
+  // "Produce:" / "For the sauce:" - a short label ending in a colon with nothing after it
+  if (/:$/.test(line) && !LEADING_QTY_RE.test(line) && line.split(/\s+/).length <= 8) {
+    return line.replace(/:$/, '').trim();
+  }
+  return null;
+}
+
+function sectionKind(name, current) {
+  if (RECIPE_TITLE_RE.test(name) || /\brecipe\b/i.test(name)) return 'recipe';
+  // "For the sauce" is a sub-heading of whichever part of the recipe we are in
+  if (/^for\s+(the\s+)?\S/i.test(name)) return current === 'instructions' ? 'instructions' : 'ingredients';
+  const match = SECTION_KINDS.find(([, pattern]) => pattern.test(name));
+  return match ? match[0] : 'list';
+}
+
+/**
+ * Stage: split the text into lines and tag each one with the section it sits in.
+ * Headings become lines of kind 'heading'; recipe titles start a new recipe.
+ */
+function detectSections(ctx) {
+  let section = { name: null, kind: 'list' };
+  let recipe = null;
+
+  ctx.lines = [];
+  ctx.recipes = [];
+
+  String(ctx.text || '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    if (SEPARATOR_RE.test(line)) {
+      section = { name: null, kind: 'list' };
+      recipe = null;
+      return;
+    }
+
+    const titleMatch = line.match(RECIPE_TITLE_RE);
+    const heading = titleMatch ? null : headingText(line);
+
+    if (titleMatch || (heading && sectionKind(heading, section.kind) === 'recipe')) {
+      const title = titleMatch ? titleMatch[1].replace(/[*#]/g, '').trim() : heading;
+      recipe = { title, ingredients: [], instructions: [] };
+      ctx.recipes.push(recipe);
+      section = { name: title, kind: 'ingredients' };
+      ctx.lines.push({ index, raw, text: line, kind: 'heading', section, recipe: title });
+      return;
+    }
+
+    if (heading) {
+      section = { name: heading, kind: sectionKind(heading, section.kind) };
+      ctx.lines.push({ index, raw, text: line, kind: 'heading', section, recipe: recipe?.title || null });
+      return;
+    }
+
+    ctx.lines.push({ index, raw, text: line, kind: null, section, recipe: recipe?.title || null });
+  });
+
+  return ctx;
+}
+
+/**
+ * Turn settings.aiParsing exclude/include patterns into line rules
+ */
+function buildLineRules(settings) {
+  const literal = (pattern) => {
+    const needle = pattern.toLowerCase();
+    return (text) => text.toLowerCase().includes(needle);
+  };
+  const clean = (patterns) => (patterns || [])
+    .filter(pattern => typeof pattern === 'string' && pattern.trim())
+    .map(pattern => pattern.trim());
+  const excludePatterns = clean(settings.excludePatterns);
+
+  return {
+    exclude: excludePatterns.map(pattern =>
+      EXCLUDE_RULES[pattern.toLowerCase()] || { kind: 'note', anyLine: true, test: literal(pattern) }),
+    forceInclude: clean(settings.includePatterns)
+      .filter(pattern => !INCLUDE_SIGNALS[pattern.toLowerCase()])
+      .map(literal),
+    skipMealSections: excludePatterns.some(pattern => ['day names', 'meal descriptions'].includes(pattern.toLowerCase()))
+  };
+}
+
+function classifyLine(line, rules) {
+  const { kind } = line.section;
+  const text = stripListMarker(line.text);
+
+  if (kind === 'notes' || (kind === 'meal' && rules.skipMealSections)) return 'note';
+  if (NOTE_PATTERNS.some(pattern => pattern.test(text))) return 'note';
+  if (kind === 'instructions') return 'instruction';
+  if (!text || text.length > MAX_ITEM_LINE_LENGTH) return 'note';
+  if (rules.forceInclude.some(test => test(text))) return 'ingredient';
+
+  const hasQuantity = LEADING_QTY_RE.test(text);
+  const excluded = rules.exclude.find(rule => (rule.anyLine || !hasQuantity) && rule.test(text, line));
+  return excluded ? excluded.kind : 'ingredient';
+}
+
+/**
+ * Stage: mark each non-heading line as an ingredient, instruction or note
+ */
+function classifyLines(ctx) {
+  const recipes = new Map(ctx.recipes.map(recipe => [recipe.title, recipe]));
+  const rules = buildLineRules(ctx.settings);
+
+  for (const line of ctx.lines) {
+    if (line.kind === 'heading') continue;
+    line.kind = classifyLine(line, rules);
+
+    const recipe = line.recipe && recipes.get(line.recipe);
+    if (recipe && line.kind === 'ingredient') recipe.ingredients.push(stripListMarker(line.text));
+    if (recipe && line.kind === 'instruction') recipe.instructions.push(stripListMarker(line.text));
+  }
+  return ctx;
+}
+
+// "milk x2", "eggs (2 dozen)", "flour - 2 cups" -> quantity first, like every other line
+function moveTrailingQuantity(text) {
+  if (LEADING_QTY_RE.test(text)) return text;
+  const match = text.match(/^(.+?)\s*(?:[x×]\s*(\d+(?:\.\d+)?)|\((\d[^)]*)\)|[-–:]\s*(\d[\w\s./]*))$/i);
+  if (!match) return text;
+  const quantity = match[2] || match[3] || match[4];
+  return `${quantity.trim()} ${match[1].trim()}`;
+}
+
+function formatSize(size) {
+  return size ? `${size.value} ${size.unit}` : null;
+}
+
+// Grocery packaging the cooking-unit dictionary doesn't know ("1 bag rice", "12 oz bag frozen peas")
+const PACKAGE_UNITS = {
+  bag: 'bag', bags: 'bag', box: 'box', boxes: 'box', loaf: 'loaf', loaves: 'loaf',
+  pack: 'pack', packs: 'pack', packet: 'packet', packets: 'packet', carton: 'carton', cartons: 'carton',
+  container: 'container', containers: 'container', tub: 'tub', tubs: 'tub', bulb: 'bulb', bulbs: 'bulb',
+  roll: 'roll', rolls: 'roll', bar: 'bar', bars: 'bar'
+};
+const PACKAGE_UNIT_VALUES = new Set(Object.values(PACKAGE_UNITS));
+const PACKAGE_WORDS = Object.keys(PACKAGE_UNITS).join('|');
+const SIZED_PACKAGE_RE = new RegExp(`^(\\d+(?:\\.\\d+)?)\\s*(oz|fl oz|lb|lbs|g|kg|ml|l|ct|count)\\.?\\s+(${PACKAGE_WORDS}|cans?|jars?|bottles?)\\s+(?:of\\s+)?(.+)$`, 'i');
+const MULTIPACK_RE = /^(\d+)[- ]pack\s+(?:of\s+)?(.+)$/i;
+const PACKAGE_RE = new RegExp(`^(\\S+(?:\\s+\\d+\\/\\d+)?)\\s+(${PACKAGE_WORDS})\\s+(?:of\\s+)?(.+)$`, 'i');
+
+/**
+ * Pull grocery packaging off the front of a line before the ingredient parser sees it
+ * @returns {{text: string, unit?: string, containerSize?: string, quantity?: number}}
+ */
+function extractPackaging(text) {
+  const sized = text.match(SIZED_PACKAGE_RE);
+  if (sized) {
+    const kind = sized[3].toLowerCase();
+    return {
+      text: `1 ${sized[4]}`,
+      quantity: 1,
+      unit: PACKAGE_UNITS[kind] || normalizeUnit(kind),
+      containerSize: `${sized[1]} ${sized[2].toLowerCase()}`
+    };
+  }
+
+  const multipack = text.match(MULTIPACK_RE);
+  if (multipack) {
+    return { text: `1 ${multipack[2]}`, quantity: 1, unit: 'pack', containerSize: `${multipack[1]} pack` };
+  }
+
+  const packaged = text.match(PACKAGE_RE);
+  if (packaged && LEADING_QTY_RE.test(packaged[1])) {
+    return { text: `${packaged[1]} ${packaged[3]}`, unit: PACKAGE_UNITS[packaged[2].toLowerCase()] };
+  }
+  return { text };
+}
+
+/**
+ * Stage (rules engine): quantity, unit and item name for every ingredient line
+ */
+function extractQuantities(ctx) {
+  ctx.items = [];
+
+  for (const line of ctx.lines) {
+    if (line.kind !== 'ingredient') continue;
+    const packaging = extractPackaging(moveTrailingQuantity(stripListMarker(line.text)));
+
+    for (const parsed of parseIngredientLine(packaging.text, line.section.name || undefined)) {
+      const container = parsed.container;
+      // A lone capitalized word ("Lemons (4)") is the item, not a brand
+      const brand = parsed.item ? parsed.brand || null : null;
+      ctx.items.push({
+        original: stripListMarker(line.text),
+        lineIndex: line.index,
+        name: [brand, parsed.item || parsed.brand].filter(Boolean).join(' ') || packaging.text,
+        brand,
+        // Shop for the top of a range ("2-3 cloves" -> 3)
+        quantity: packaging.quantity ?? container?.count ?? parsed.quantity?.max ?? parsed.quantity?.min ?? null,
+        unit: packaging.unit || (container?.size ? container.kind : (parsed.unit || null)),
+        containerSize: packaging.containerSize || formatSize(container?.size),
+        notes: [...(parsed.forms || []), ...(parsed.notes || []), ...(parsed.toTaste ? ['to taste'] : [])],
+        alternatives: parsed.alternatives || null,
+        estimated: !!parsed.estimated,
+        section: line.section.name,
+        sectionKind: line.section.kind,
+        recipe: line.recipe,
+        source: 'rules'
+      });
+    }
+  }
+  return ctx;
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Stage (AI engine): send the ingredient lines to the AI product parser, batchSize
+ * lines per request and at most maxConcurrentRequests requests at once. Falls back
+ * to the rules engine when no AI client is configured or a call fails, unless
+ * settings.fallbackToSimple is off.
+ */
+async function aiExtractQuantities(ctx) {
+  const { settings } = ctx;
+  const ingredientLines = ctx.lines.filter(line => line.kind === 'ingredient');
+  const parser = new AIProductParser();
+
+  if (ingredientLines.length === 0) {
+    ctx.items = [];
+    return ctx;
+  }
+
+  const fallBack = (reason, error) => {
+    if (settings.fallbackToSimple === false) {
+      const unavailable = new Error(error ? error.message : 'No AI service is configured');
+      unavailable.code = 'AI_UNAVAILABLE';
+      unavailable.reason = reason;
+      throw unavailable;
+    }
+    ctx.fallbackReason = reason;
+    ctx.aiError = error ? error.message : null;
+    return extractQuantities(ctx);
+  };
+
+  if (!(global.anthropic || global.openai || parser.ai.anthropic || parser.ai.openai)) {
+    return fallBack('no_ai_client');
+  }
+
+  const batchSize = Math.max(parseInt(settings.batchSize, 10) || DEFAULT_PARSING_SETTINGS.batchSize, 1);
+  const batches = [];
+  for (let i = 0; i < ingredientLines.length; i += batchSize) {
+    batches.push(ingredientLines.slice(i, i + batchSize));
+  }
+
+  try {
+    const batchProducts = await mapWithConcurrency(
+      batches,
+      parseInt(settings.maxConcurrentRequests, 10) || DEFAULT_PARSING_SETTINGS.maxConcurrentRequests,
+      (batch) => parser.aiExtractProducts(
+        batch.map(line => stripListMarker(line.text)).join('\n'),
+        { ...ctx.options, preferredAI: settings.preferredAI }
+      )
+    );
+
+    ctx.engine = 'ai';
+    ctx.items = batchProducts.flat().map(product => ({
+      original: product.original || product.productName,
+      lineIndex: null,
+      name: product.productName,
+      brand: null,
+      quantity: product.quantity,
+      unit: product.unit,
+      containerSize: product.containerSize || null,
+      notes: [],
+      alternatives: null,
+      estimated: false,
+      aiCategory: product.category !== 'other' ? product.category : null,
+      aiConfidence: product.confidence,
+      section: null,
+      sectionKind: 'list',
+      recipe: null,
+      source: 'ai'
+    }));
+  } catch (error) {
+    const reason = error.message && error.message.includes('credit balance is too low')
+      ? 'ai_credits_exhausted'
+      : 'ai_error';
+    return fallBack(reason, error);
+  }
+  return ctx;
+}
+
+/**
+ * Stage: canonical product name and unit, and the legacy productName/itemName fields
+ */
+function normalizeProducts(ctx) {
+  ctx.items = ctx.items
+    .map(item => {
+      const name = String(item.name || '').replace(/\s+/g, ' ').trim();
+      const rawUnit = item.unit ? String(item.unit).toLowerCase().trim() : '';
+      const unit = normalizeUnit(rawUnit) || rawUnit || 'count';
+
+      return {
+        ...item,
+        productName: name,
+        itemName: name,
+        canonicalName: name ? canonicalItemName(name) : '',
+        quantityGiven: item.quantity != null,
+        quantity: item.quantity != null && item.quantity > 0 ? item.quantity : 1,
+        unit: unit === 'count' ? 'each' : unit
+      };
+    })
+    .filter(item => item.productName.length >= 2);
+  return ctx;
+}
+
+function sectionCategory(item) {
+  if (item.sectionKind !== 'aisle' || !item.section) return null;
+  const key = item.section.toLowerCase().split(/[\s&]+/)[0];
+  return AISLE_CATEGORIES[key] || null;
+}
+
+/**
+ * settings.aiParsing.customCategories entries are { name, keywords: [...] } objects
+ * or "Name: keyword, keyword" strings
+ */
+function normalizeCustomCategories(customCategories) {
+  return (Array.isArray(customCategories) ? customCategories : [])
+    .map(entry => {
+      if (typeof entry === 'string') {
+        const [name, keywords = ''] = entry.split(':');
+        return { name, keywords: keywords.split(',') };
+      }
+      return entry && typeof entry === 'object' ? { name: entry.name, keywords: entry.keywords || [] } : null;
+    })
+    .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim())
+    .map(entry => ({
+      name: entry.name.trim(),
+      patterns: (Array.isArray(entry.keywords) ? entry.keywords : [entry.keywords])
+        .map(keyword => String(keyword || '').trim().toLowerCase())
+        .filter(Boolean)
+        // Product names are singularized, so "chips" has to match "kettle chip"
+        .map(keyword => singularizeBasic(keyword))
+        .map(keyword => new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i'))
+    }))
+    .filter(entry => entry.patterns.length > 0);
+}
+
+/**
+ * Stage: store department plus the coarser grocery category the cart uses.
+ * Custom categories from settings win; enableAutoCategories off leaves
+ * everything else as 'other'.
+ */
+function categorizeItems(ctx) {
+  const customCategories = normalizeCustomCategories(ctx.settings.customCategories);
+  const autoCategories = ctx.settings.enableAutoCategories !== false;
+
+  for (const item of ctx.items) {
+    item.department = departmentFor({ productName: item.productName });
+    // "2 cans tomatoes" are shelf-stable even though "tomato" alone is produce
+    if (item.unit === 'can' && item.department === 'produce') item.department = 'canned';
+    item.knownItem = item.department !== 'other';
+
+    const custom = customCategories.find(category => category.patterns.some(pattern => pattern.test(item.productName)));
+    if (custom) {
+      item.category = custom.name;
+      item.knownItem = true;
+      continue;
+    }
+
+    item.category = autoCategories
+      ? item.aiCategory || (item.knownItem ? DEPARTMENT_CATEGORIES[item.department] : null) || sectionCategory(item) || 'other'
+      : 'other';
+  }
+  return ctx;
+}
+
+/**
+ * Stage: how much of each item the parser actually understood, from the signals
+ * switched on in settings.includePatterns. Rule-based results top out below AI
+ * results so the two are comparable. Items under confidenceThreshold are flagged
+ * for review when autoReviewLowConfidence is on.
+ */
+function scoreConfidence(ctx) {
+  const { settings } = ctx;
+  const signals = (settings.includePatterns || [])
+    .map(pattern => INCLUDE_SIGNALS[String(pattern).trim().toLowerCase()])
+    .filter(Boolean);
+  const threshold = Number(settings.confidenceThreshold) || DEFAULT_PARSING_SETTINGS.confidenceThreshold;
+
+  for (const item of ctx.items) {
+    let confidence = item.source === 'ai' ? Math.max(item.aiConfidence || 0.8, 0.6) : 0.5;
+    const cap = item.source === 'ai' ? 0.95 : 0.9;
+
+    if (item.source !== 'ai') {
+      confidence += signals.filter(signal => signal.test(item)).reduce((sum, signal) => sum + signal.weight, 0);
+      if (item.productName.split(/\s+/).length <= 3) confidence += 0.05;
+    } else if (!item.knownItem && item.category === 'other') {
+      confidence -= 0.1;
+    }
+    if (item.alternatives || item.estimated) confidence -= 0.1;
+
+    item.confidence = Math.round(Math.max(Math.min(confidence, cap), 0.1) * 100) / 100;
+    item.needsReview = settings.autoReviewLowConfidence !== false && item.confidence < threshold;
+  }
+  return ctx;
+}
+
+const STAGES = {
+  sections: detectSections,
+  classify: classifyLines,
+  extract: extractQuantities,
+  normalize: normalizeProducts,
+  categorize: categorizeItems,
+  confidence: scoreConfidence
+};
+
+function toItem(item, parsedAt) {
+  return {
+    id: newItemId(),
+    original: item.original,
+    productName: item.productName,
+    itemName: item.itemName,
+    canonicalName: item.canonicalName,
+    quantity: item.quantity,
+    unit: item.unit,
+    containerSize: item.containerSize,
+    category: item.category,
+    department: item.department,
+    brand: item.brand,
+    notes: item.notes.length ? item.notes.join(', ') : null,
+    alternatives: item.alternatives,
+    section: item.section,
+    recipe: item.recipe,
+    confidence: item.confidence,
+    needsReview: item.needsReview,
+    source: item.source,
+    parsedAt
+  };
+}
+
+/**
+ * Confidence buckets shared by every parse endpoint
+ */
+function getStats(items) {
+  return {
+    totalItems: items.length,
+    highConfidence: items.filter(i => i.confidence >= 0.8).length,
+    mediumConfidence: items.filter(i => i.confidence >= 0.6 && i.confidence < 0.8).length,
+    lowConfidence: items.filter(i => i.confidence < 0.6).length,
+    categories: [...new Set(items.map(i => i.category))],
+    averageConfidence: items.length
+      ? Math.round(items.reduce((sum, i) => sum + i.confidence, 0) / items.length * 100) / 100
+      : 0
+  };
+}
+
+/**
+ * Build a pipeline, optionally replacing stages: createPipeline({ extract: myExtractor })
+ * swaps one stage, createPipeline({ categorize: null }) skips it. Stages may be async.
+ */
+function createPipeline(overrides = {}) {
+  const unknown = Object.keys(overrides).filter(name => !STAGE_ORDER.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown parsing stage(s): ${unknown.join(', ')}`);
+  }
+
+  const stages = STAGE_ORDER
+    .map(name => ({ name, run: name in overrides ? overrides[name] : STAGES[name] }))
+    .filter(stage => typeof stage.run === 'function');
+
+  async function parse(text, options = {}) {
+    const { settings, ...stageOptions } = options;
+    let ctx = {
+      text,
+      options: stageOptions,
+      settings: { ...DEFAULT_PARSING_SETTINGS, ...(settings || {}) },
+      lines: [],
+      recipes: [],
+      items: [],
+      engine: 'rules',
+      fallbackReason: null
+    };
+    for (const stage of stages) {
+      ctx = (await stage.run(ctx)) || ctx;
+    }
+
+    const parsedAt = new Date().toISOString();
+    const items = ctx.items.map(item => toItem(item, parsedAt));
+    const count = (kind) => ctx.lines.filter(line => line.kind === kind).length;
+
+    return {
+      items,
+      // Below settings.confidenceThreshold - callers hold these back for a person to confirm
+      reviewQueue: items.filter(item => item.needsReview),
+      confidenceThreshold: Number(ctx.settings.confidenceThreshold) || DEFAULT_PARSING_SETTINGS.confidenceThreshold,
+      recipes: ctx.recipes.filter(recipe => recipe.ingredients.length || recipe.instructions.length),
+      lines: ctx.lines.map(({ index, text: lineText, kind, section, recipe }) => ({
+        index, text: lineText, kind, section: section.name, recipe
+      })),
+      engine: ctx.engine,
+      fallbackReason: ctx.fallbackReason,
+      aiError: ctx.aiError || null,
+      stats: {
+        ...getStats(items),
+        totalLines: ctx.lines.length,
+        headings: count('heading'),
+        ingredientLines: count('ingredient'),
+        instructionLines: count('instruction'),
+        noteLines: count('note')
+      }
+    };
+  }
+
+  return { stages: stages.map(stage => stage.name), parse };
+}
+
+const rulesPipeline = createPipeline();
+const aiPipeline = createPipeline({ extract: aiExtractQuantities });
+
+// AI results keyed by text + settings, so a settings change is a cache miss
+const aiResultCache = new Map();
+const MAX_CACHED_RESULTS = 200;
+
+function cacheKey(text, options) {
+  return crypto.createHash('sha1').update(JSON.stringify([text, options])).digest('hex');
+}
+
+function fromCache(key) {
+  const entry = aiResultCache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    aiResultCache.delete(key);
+    return null;
+  }
+  // Fresh ids so a cached parse can't collide with items already in a cart
+  const items = entry.result.items.map(item => ({ ...item, id: newItemId() }));
+  return { ...entry.result, items, reviewQueue: items.filter(item => item.needsReview), cached: true };
+}
+
+/**
+ * Parse free text (a grocery list, a recipe, an AI meal plan) into shopping items
+ * @param {string} text
+ * @param {{useAI?: boolean, settings?: Object}} [options] useAI tries the AI engine first,
+ *   falling back to rules; settings is the live settings.aiParsing section
+ */
+async function parseGroceryText(text, options = {}) {
+  const { useAI = false, ...rest } = options;
+  if (!useAI) return rulesPipeline.parse(text, rest);
+
+  const settings = { ...DEFAULT_PARSING_SETTINGS, ...(rest.settings || {}) };
+  const ttlMs = (Number(settings.cacheExpiryMinutes) || 0) * 60 * 1000;
+  const useCache = settings.enableCaching !== false && ttlMs > 0;
+  const key = useCache ? cacheKey(text, rest) : null;
+
+  const cached = useCache && fromCache(key);
+  if (cached) return cached;
+
+  const result = await aiPipeline.parse(text, rest);
+  // Only real AI answers are worth keeping - a rules fallback is cheap to redo
+  if (useCache && result.engine === 'ai') {
+    if (aiResultCache.size >= MAX_CACHED_RESULTS) {
+      aiResultCache.delete(aiResultCache.keys().next().value);
+    }
+    aiResultCache.set(key, { result, expiresAt: Date.now() + ttlMs });
+  }
+  return result;
+}
+
+module.exports = {
+  STAGE_ORDER,
+  STAGES,
+  DEFAULT_PARSING_SETTINGS,
+  EXCLUDE_RULES,
+  INCLUDE_SIGNALS,
+  createPipeline,
+  parseGroceryText,
+  getStats,
+  detectSections,
+  classifyLines,
+  extractQuantities,
+  aiExtractQuantities,
+  normalizeProducts,
+  categorizeItems,
+  scoreConfidence
+};
@@ -0,0 +1,276 @@
+// server/utils/planNutrition.js
+// Daily and weekly nutrition for a meal plan, checked against each household
+// member's targets. Recipe nutrition is per serving and every member is assumed
+// to eat one serving of each meal on a day. Swaps trade one meal of a day that
+// misses its targets for another recipe that brings the day closer to them.
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'sodium'];
+
+/**
+ * How each nutrient is judged. 'range' must land within tolerance of the
+ * target either way, 'min' only counts when short, 'max' only when over.
+ */
+const NUTRIENT_RULES = {
+  calories: { unit: 'kcal', rule: 'range', tolerance: 0.1 },
+  protein: { unit: 'g', rule: 'min', tolerance: 0.1 },
+  carbs: { unit: 'g', rule: 'range', tolerance: 0.15 },
+  fat: { unit: 'g', rule: 'range', tolerance: 0.15 },
+  sodium: { unit: 'mg', rule: 'max', tolerance: 0 }
+};
+
+// FDA daily values - used when the household hasn't set up any profiles
+const DEFAULT_TARGETS = {
+  calories: 2000,
+  protein: 50,
+  carbs: 275,
+  fat: 78,
+  sodium: 2300
+};
+
+const DAY_ORDER = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function dayRank(day) {
+  const index = DAY_ORDER.indexOf(String(day).toLowerCase());
+  if (index !== -1) return index;
+  const number = Number(day);
+  return Number.isFinite(number) ? number : DAY_ORDER.length;
+}
+
+// Plans saved before nutrition was computed from ingredients carry macros
+// worked out from calories by these fixed ratios (and fiber: 5) - guesses, not data
+const DERIVED_MACROS = { protein: 0.25 / 4, carbs: 0.5 / 4, fat: 0.25 / 9 };
+
+function hasDerivedMacros(nutrition) {
+  const calories = parseFloat(nutrition?.calories);
+  return Number.isFinite(calories) && calories > 0 && Number(nutrition.fiber) === 5 &&
+    Object.entries(DERIVED_MACROS).every(([nutrient, ratio]) => Number(nutrition[nutrient]) === Math.round(calories * ratio));
+}
+
+// A recipe's value for a nutrient, or null when it doesn't report a real one.
+// 0 is how older plans wrote "don't know", so it counts as unknown too
+function nutrientValue(recipe, nutrient) {
+  if (DERIVED_MACROS[nutrient] && hasDerivedMacros(recipe?.nutrition)) return null;
+  const value = parseFloat(recipe?.nutrition?.[nutrient]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function hasNutrition(recipe) {
+  return NUTRIENTS.some(nutrient => nutrientValue(recipe, nutrient) !== null);
+}
+
+/**
+ * Per-serving totals for a set of meals. A nutrient no meal reports is null
+ * (unknown) rather than 0, so missing data never reads as "too little".
+ */
+function sumNutrition(recipes) {
+  const totals = {};
+  for (const nutrient of NUTRIENTS) {
+    const values = recipes.map(recipe => nutrientValue(recipe, nutrient)).filter(value => value !== null);
+    totals[nutrient] = values.length > 0 ? round1(values.reduce((sum, value) => sum + value, 0)) : null;
+  }
+  return totals;
+}
+
+/**
+ * Where one value stands against one target: status is ok, low, high or
+ * unknown, and gap is how far outside the allowed band it is (signed).
+ */
+function checkNutrient(nutrient, value, target) {
+  const { rule, tolerance } = NUTRIENT_RULES[nutrient];
+  const min = rule === 'max' ? null : round1(target * (1 - tolerance));
+  const max = rule === 'min' ? null : round1(target * (1 + tolerance));
+  const base = { nutrient, value, target, min, max };
+
+  if (value === null) return { ...base, status: 'unknown', gap: 0 };
+  if (min !== null && value < min) return { ...base, status: 'low', gap: round1(value - min) };
+  if (max !== null && value > max) return { ...base, status: 'high', gap: round1(value - max) };
+  return { ...base, status: 'ok', gap: 0 };
+}
+
+/**
+ * Check a day's totals against every profile. Returns one entry per member
+ * with the nutrients they miss.
+ */
+function checkDay(totals, profiles) {
+  return profiles.map(profile => {
+    const checks = NUTRIENTS
+      .filter(nutrient => Number.isFinite(profile.targets?.[nutrient]))
+      .map(nutrient => checkNutrient(nutrient, totals[nutrient], profile.targets[nutrient]));
+    return {
+      profileId: profile.id,
+      name: profile.name,
+      checks,
+      misses: checks.filter(check => check.status === 'low' || check.status === 'high')
+    };
+  });
+}
+
+/**
+ * How far a day is from everyone's targets, as a sum of each miss relative to
+ * its target - 0 means every member is on target. Used to rank swaps.
+ */
+function missScore(totals, profiles) {
+  return checkDay(totals, profiles).reduce((score, member) =>
+    score + member.misses.reduce((sum, miss) => sum + Math.abs(miss.gap) / miss.target, 0), 0);
+}
+
+// Profiles with at least one target, or the defaults when there are none
+function effectiveProfiles(profiles = []) {
+  const withTargets = profiles.filter(profile =>
+    NUTRIENTS.some(nutrient => Number.isFinite(profile.targets?.[nutrient]))
+  );
+  if (withTargets.length > 0) return { profiles: withTargets, usingDefaults: false };
+  return {
+    profiles: [{ id: 'default', name: 'Daily values', targets: { ...DEFAULT_TARGETS } }],
+    usingDefaults: true
+  };
+}
+
+// Recipes grouped by the day they're assigned to, in week order
+function groupByDay(recipes) {
+  const days = new Map();
+  for (const recipe of recipes) {
+    if (recipe.dayAssigned === undefined || recipe.dayAssigned === null) continue;
+    const day = String(recipe.dayAssigned);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(recipe);
+  }
+  return new Map([...days].sort(([a], [b]) => dayRank(a) - dayRank(b)));
+}
+
+/**
+ * Per-day and per-week nutrition for a plan.
+ *
+ * recipes:  cartsmash recipes ({ id, title, dayAssigned, mealType, nutrition })
+ * profiles: [{ id, name, targets: { calories, protein, carbs, fat, sodium } }]
+ *
+ * Returns { days, week, profiles, usingDefaults }. A day is flagged when any
+ * member misses a target; week has totals, per-day averages and each member's
+ * missed-day count.
+ */
+function analyzePlan(recipes, profiles) {
+  const effective = effectiveProfiles(profiles);
+  const days = [];
+
+  for (const [day, meals] of groupByDay(recipes)) {
+    const totals = sumNutrition(meals);
+    const members = checkDay(totals, effective.profiles);
+    days.push({
+      day,
+      meals: meals.map(meal => ({
+        recipeId: meal.id,
+        title: meal.title || meal.name,
+        mealType: meal.mealType || null,
+        nutrition: Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, nutrientValue(meal, nutrient)]))
+      })),
+      totals,
+      members,
+      flagged: members.some(member => member.misses.length > 0),
+      score: Math.round(missScore(totals, effective.profiles) * 1000) / 1000
+    });
+  }
+
+  const totals = sumNutrition(days.map(day => ({ nutrition: day.totals })));
+  const averages = Object.fromEntries(NUTRIENTS.map(nutrient => [
+    nutrient,
+    totals[nutrient] === null || days.length === 0 ? null : round1(totals[nutrient] / days.length)
+  ]));
+
+  return {
+    days,
+    week: {
+      dayCount: days.length,
+      flaggedDays: days.filter(day => day.flagged).map(day => day.day),
+      totals,
+      averages,
+      members: effective.profiles.map(profile => ({
+        profileId: profile.id,
+        name: profile.name,
+        targets: profile.targets,
+        weeklyTargets: Object.fromEntries(Object.entries(profile.targets)
+          .filter(([, target]) => Number.isFinite(target))
+          .map(([nutrient, target]) => [nutrient, target * days.length])),
+        missedDays: days.filter(day =>
+          day.members.find(member => member.profileId === profile.id)?.misses.length > 0
+        ).length
+      }))
+    },
+    profiles: effective.profiles,
+    usingDefaults: effective.usingDefaults
+  };
+}
+
+/**
+ * The best single-meal swap for each flagged day.
+ *
+ * candidates are recipes that could take a slot - the plan's own meals from
+ * other days and the user's saved recipes. Only candidates with nutrition and
+ * the same meal type (when both have one) are tried, and a swap is offered
+ * only if it lowers the day's miss score.
+ */
+function suggestSwaps(recipes, profiles, candidates = []) {
+  const effective = effectiveProfiles(profiles);
+  const usable = [];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    const key = String(candidate.title || candidate.name || candidate.id).toLowerCase();
+    if (!hasNutrition(candidate) || seen.has(key)) continue;
+    seen.add(key);
+    usable.push(candidate);
+  }
+
+  const swaps = [];
+  for (const [day, meals] of groupByDay(recipes)) {
+    const before = sumNutrition(meals);
+    const scoreBefore = missScore(before, effective.profiles);
+    if (scoreBefore === 0) continue;
+
+    const titlesToday = new Set(meals.map(meal => String(meal.title || meal.name).toLowerCase()));
+    let best = null;
+
+    meals.forEach((meal, index) => {
+      for (const candidate of usable) {
+        const title = String(candidate.title || candidate.name || candidate.id).toLowerCase();
+        if (titlesToday.has(title)) continue;
+        if (meal.mealType && candidate.mealType && meal.mealType !== candidate.mealType) continue;
+
+        const swapped = meals.map((other, otherIndex) => (otherIndex === index ? candidate : other));
+        const after = sumNutrition(swapped);
+        const scoreAfter = missScore(after, effective.profiles);
+        if (scoreAfter < scoreBefore && (!best || scoreAfter < best.scoreAfter)) {
+          best = { meal, candidate, after, scoreAfter };
+        }
+      }
+    });
+
+    if (!best) continue;
+    const missedBefore = new Set(checkDay(before, effective.profiles).flatMap(member => member.misses.map(miss => miss.nutrient)));
+    const missedAfter = new Set(checkDay(best.after, effective.profiles).flatMap(member => member.misses.map(miss => miss.nutrient)));
+
+    swaps.push({
+      day,
+      mealType: best.meal.mealType || null,
+      replaceRecipeId: best.meal.id,
+      replaceTitle: best.meal.title || best.meal.name,
+      recipe: best.candidate,
+      source: recipes.includes(best.candidate) ? 'plan' : 'library',
+      before,
+      after: best.after,
+      fixes: [...missedBefore].filter(nutrient => !missedAfter.has(nutrient)),
+      improvement: Math.round((1 - best.scoreAfter / scoreBefore) * 100)
+    });
+  }
+  return swaps;
+}
+
+module.exports = {
+  NUTRIENTS,
+  NUTRIENT_RULES,
+  DEFAULT_TARGETS,
+  sumNutrition,
+  checkNutrient,
+  analyzePlan,
+  suggestSwaps
+};
@@ -0,0 +1,139 @@
+// server/utils/productPreferences.js
+// Re-rank product search results with what a user has told us: the product they
+// picked last time for the same item, brands they never want, and their
+// organic / store-brand leaning. Pure functions - productPreferenceService loads
+// the data and the search routes call rankProducts().
+
+const { canonicalItemName } = require('./foodCategories');
+
+// House brands of the chains we support - matched against product.brand
+const STORE_BRANDS = [
+  'kroger', 'simple truth', 'private selection', 'great value', 'marketside', 'sam\'s choice',
+  'kirkland', 'kirkland signature', '365', 'whole foods market', 'good & gather', 'market pantry',
+  'signature select', 'signature selections', 'o organics', 'lucerne', 'open nature', 'member\'s mark',
+  'trader joe\'s', 'simply nature', 'happy belly', 'publix', 'h-e-b', 'wegmans', 'meijer', 'safeway', 'generic'
+];
+
+// Confidence adjustments, on the 0-1 scale the search routes use
+const REMEMBERED_CONFIDENCE = 0.99;
+const PREFERRED_BRAND_BOOST = 0.1;
+const LEANING_ADJUSTMENT = 0.08;
+
+/**
+ * Key for "the same item" across searches: "Whole Milk!" and "whole milks" both
+ * become "whole-milk". Safe to use as a Firestore document id.
+ */
+function preferenceKey(itemName) {
+  const cleaned = String(itemName || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+  return canonicalItemName(cleaned).replace(/\s+/g, '-').slice(0, 100);
+}
+
+const normalizeBrand = (brand) => String(brand || '').toLowerCase().trim();
+
+function isStoreBrand(product) {
+  const brand = normalizeBrand(product.brand);
+  return !!brand && STORE_BRANDS.includes(brand);
+}
+
+function isOrganic(product) {
+  return /\borganic\b/i.test(product.name || '') ||
+    (Array.isArray(product.badges) && product.badges.some(badge => /organic/i.test(badge)));
+}
+
+function isAvoided(product, avoidedBrands) {
+  const brand = normalizeBrand(product.brand);
+  return !!brand && avoidedBrands.some(avoided => normalizeBrand(avoided) === brand);
+}
+
+function isRemembered(product, pick) {
+  if (!pick || !pick.product) return false;
+  if (pick.product.id && product.id && String(pick.product.id) === String(product.id)) return true;
+  if (pick.product.upc && product.upc && pick.product.upc === product.upc) return true;
+  return !!pick.product.name && normalizeBrand(pick.product.name) === normalizeBrand(product.name);
+}
+
+// A pick made at one retailer is that retailer's product; picks saved without a
+// retailer, or searches that don't name one, match anywhere
+function pickForRetailer(pick, retailerId) {
+  if (!pick || !pick.retailerId || !retailerId) return pick || null;
+  return String(pick.retailerId).toLowerCase() === String(retailerId).toLowerCase() ? pick : null;
+}
+
+// 'prefer' lifts matching products, 'avoid' lowers them, 'any' leaves them alone
+function leaning(setting, matches) {
+  if (!matches || !setting || setting === 'any') return 0;
+  return setting === 'prefer' ? LEANING_ADJUSTMENT : -LEANING_ADJUSTMENT;
+}
+
+/**
+ * Apply a user's product preferences to search results for one item
+ * @param {Array<Object>} products search results with a 0-1 `confidence`
+ * @param {string} itemName what the user searched for
+ * @param {Object} preferences from productPreferenceService.getPreferences()
+ * @param {Object} [options]
+ * @param {string} [options.retailerId] the retailer being searched - picks made
+ *   at another retailer are ignored
+ * @returns {Array<Object>} products minus avoided brands, best first, each with
+ *   `remembered` and `preferenceReasons`
+ */
+function rankProducts(products, itemName, preferences, { retailerId } = {}) {
+  if (!preferences || !Array.isArray(products)) return products;
+
+  const pick = pickForRetailer(preferences.picks?.[preferenceKey(itemName)], retailerId);
+  const brands = preferences.brandPreferences || {};
+  const avoided = brands.avoided || [];
+  const preferred = (brands.preferred || []).map(normalizeBrand);
+
+  const ranked = products
+    .filter(product => !isAvoided(product, avoided))
+    .map(product => {
+      const reasons = [];
+      let confidence = Number(product.confidence) || 0.5;
+
+      const remembered = isRemembered(product, pick);
+      if (remembered) {
+        reasons.push('your usual pick');
+        confidence = REMEMBERED_CONFIDENCE;
+      }
+      if (preferred.includes(normalizeBrand(product.brand))) {
+        reasons.push('preferred brand');
+        confidence += PREFERRED_BRAND_BOOST;
+      }
+
+      const organicShift = leaning(preferences.organicPreference, isOrganic(product));
+      if (organicShift > 0) reasons.push('organic');
+      const storeBrandShift = leaning(preferences.storeBrandPreference, isStoreBrand(product));
+      if (storeBrandShift > 0) reasons.push('store brand');
+      confidence += organicShift + storeBrandShift;
+
+      return {
+        ...product,
+        confidence: Math.round(Math.max(0, Math.min(confidence, remembered ? REMEMBERED_CONFIDENCE : 0.95)) * 100) / 100,
+        remembered,
+        preferenceReasons: reasons
+      };
+    });
+
+  // Searches often return a single product - bring the remembered one back when it's missing
+  if (pick?.product && !ranked.some(product => product.remembered) && !isAvoided(pick.product, avoided)) {
+    ranked.push({
+      ...pick.product,
+      confidence: REMEMBERED_CONFIDENCE,
+      remembered: true,
+      preferenceReasons: ['your usual pick'],
+      source: 'remembered'
+    });
+  }
+
+  // The remembered product leads even when it wasn't the search's top hit
+  return ranked.sort((a, b) => (b.remembered - a.remembered) || (b.confidence - a.confidence));
+}
+
+module.exports = {
+  STORE_BRANDS,
+  preferenceKey,
+  isStoreBrand,
+  isOrganic,
+  rankProducts
+};
@@ -0,0 +1,406 @@
+// server/utils/receiptParser.js
+// Turns a grocery receipt into line items. Three inputs are understood:
+//   csv             - an order export with a header row (item/name + price/total columns)
+//   instacart_email - the body of an Instacart order email, with its found /
+//                     replaced / refunded sections
+//   text            - a pasted or OCR'd store receipt ("BANANAS 2 @ 0.69   1.38")
+// Every line item comes back as
+//   { name, quantity, unit, unitPrice, price, status, replaces }
+// where price is the line total, status is purchased | substituted | refunded and
+// replaces names the ordered item a substitution stood in for.
+
+const FORMATS = ['csv', 'instacart_email', 'text'];
+
+const MONEY = /-?\$?\s?(\d{1,4}(?:,\d{3})*\.\d{2})(-)?/;
+const TRAILING_PRICE = /\s+-?\$?\s?(\d{1,4}(?:,\d{3})*\.\d{2})(-)?\s*[A-Z*]{0,2}\s*$/;
+
+// Receipt lines that are about the transaction, not a product
+const NON_ITEM_LINE = /\b(sub\s?total|total|tax|balance|change due|cash|visa|mastercard|amex|discover|debit|credit|card\s*#|auth|approval|tender|savings|you saved|loyalty|rewards|member|coupon|bottle deposit|crv|delivery fee|service fee|tip|thank you|store\s*#|cashier|register|trans(action)?\s*#|items sold)\b/i;
+
+// Common shelf-tag abbreviations on printed receipts
+const ABBREVIATIONS = {
+  org: 'organic',
+  orgnc: 'organic',
+  grnd: 'ground',
+  whl: 'whole',
+  bnls: 'boneless',
+  sknls: 'skinless',
+  chkn: 'chicken',
+  brst: 'breast',
+  brd: 'bread',
+  mlk: 'milk',
+  bnna: 'banana',
+  bnnas: 'bananas',
+  yog: 'yogurt',
+  ygrt: 'yogurt',
+  chs: 'cheese',
+  lg: 'large',
+  xl: 'extra large',
+  grn: 'green',
+  pnut: 'peanut',
+  btr: 'butter',
+  veg: 'vegetable',
+  frz: 'frozen',
+  tom: 'tomato',
+  tomatos: 'tomatoes'
+};
+
+const INSTACART_SECTIONS = [
+  { status: 'substituted', pattern: /^(replaced|replacements?|substitut(ed|ions?))\b/i },
+  { status: 'refunded', pattern: /^(refunded|out of stock|not found|unavailable|missing|items? (we )?couldn'?t find)\b/i },
+  { status: 'purchased', pattern: /^(found|delivered|picked|your items|items found|in your order|order summary|items)\b/i }
+];
+
+// "Eggs → Brown Eggs", "Eggs replaced with Brown Eggs", "Brown Eggs (replaces Eggs)"
+const REPLACEMENT_PATTERNS = [
+  { pattern: /^(.+?)\s*(?:→|->|=>)\s*(.+)$/, original: 1, replacement: 2 },
+  { pattern: /^(.+?)\s+(?:was\s+)?(?:replaced|substituted)\s+(?:with|by)\s+(.+)$/i, original: 1, replacement: 2 },
+  { pattern: /^(.+?)\s*\((?:replaces|replacing|instead of)\s+(.+?)\)$/i, original: 2, replacement: 1 }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toMoney = (match) => {
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  return match[0].trim().startsWith('-') || match[2] === '-' ? -value : value;
+};
+
+const titleCase = (text) => text.replace(/\b([a-z])/g, letter => letter.toUpperCase());
+
+function cleanName(raw) {
+  const name = String(raw || '')
+    .replace(/\b\d{4,}\b/g, ' ')                    // SKU / PLU codes
+    .replace(/^[\s*#-]+|[\s*#:-]+$/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  // Register receipts print in capitals - expand abbreviations and title-case them
+  const shouted = name === name.toUpperCase();
+  const expanded = name
+    .split(' ')
+    .map(word => ABBREVIATIONS[word.toLowerCase()] || (shouted ? word.toLowerCase() : word))
+    .join(' ')
+    .trim();
+  return shouted ? titleCase(expanded) : expanded;
+}
+
+/**
+ * Quantity and unit written into a line: "2 x Bananas", "Bananas x2",
+ * "2 @ 0.69", "1.52 lb @ 0.69/lb"
+ */
+function extractQuantity(text) {
+  let rest = text;
+  let quantity = null;
+  let unit = null;
+  let unitPrice = null;
+
+  const weighed = rest.match(/(\d+(?:\.\d+)?)\s*(lb|lbs|kg|oz)\s*@\s*\$?(\d+(?:\.\d+)?)\s*\/?\s*(?:lb|lbs|kg|oz)?/i);
+  if (weighed) {
+    quantity = parseFloat(weighed[1]);
+    unit = weighed[2].toLowerCase().replace(/^lbs$/, 'lb');
+    unitPrice = parseFloat(weighed[3]);
+    rest = rest.replace(weighed[0], ' ');
+  }
+
+  const each = !weighed && rest.match(/(\d+)\s*@\s*\$?(\d+(?:\.\d+)?)(?:\s*(?:ea|each))?/i);
+  if (each) {
+    quantity = parseInt(each[1], 10);
+    unitPrice = parseFloat(each[2]);
+    rest = rest.replace(each[0], ' ');
+  }
+
+  const leading = quantity === null && rest.match(/^\s*(\d+)\s*(?:x|×|qty:?)\s+/i);
+  if (leading) {
+    quantity = parseInt(leading[1], 10);
+    rest = rest.slice(leading[0].length);
+  }
+
+  const trailing = quantity === null && rest.match(/\s+(?:x|×|qty:?)\s*(\d+)\s*$/i);
+  if (trailing) {
+    quantity = parseInt(trailing[1], 10);
+    rest = rest.slice(0, -trailing[0].length);
+  }
+
+  return { rest, quantity, unit, unitPrice };
+}
+
+function buildItem({ name, quantity, unit, unitPrice, price, status = 'purchased', replaces = null }) {
+  const qty = quantity && quantity > 0 ? quantity : 1;
+  const lineTotal = price !== null && price !== undefined ? round2(price) : (unitPrice !== null && unitPrice !== undefined ? round2(unitPrice * qty) : null);
+  return {
+    name: cleanName(name),
+    quantity: qty,
+    unit: unit || 'each',
+    unitPrice: unitPrice !== null && unitPrice !== undefined ? round2(unitPrice) : (lineTotal !== null ? round2(lineTotal / qty) : null),
+    price: lineTotal,
+    status,
+    replaces: replaces ? cleanName(replaces) : null
+  };
+}
+
+/**
+ * One receipt/email line as an item, or null when it carries no product
+ */
+function parseItemLine(line, status = 'purchased') {
+  const priceMatch = line.match(TRAILING_PRICE);
+  let text = priceMatch ? line.slice(0, priceMatch.index) : line;
+  let price = priceMatch ? toMoney([priceMatch[0], priceMatch[1], priceMatch[2]]) : null;
+
+  let replaces = null;
+  for (const { pattern, original, replacement } of REPLACEMENT_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      replaces = match[original];
+      text = match[replacement];
+      status = 'substituted';
+      break;
+    }
+  }
+
+  if (/\b(refunded|out of stock|not available)\b/i.test(text)) {
+    status = 'refunded';
+    text = text.replace(/[\s(—-]*\b(refunded|out of stock|not available)\b\)?/gi, ' ');
+  }
+
+  const { rest, quantity, unit, unitPrice } = extractQuantity(text);
+  const name = cleanName(rest.replace(/,?\s*$/, ''));
+  if (!name || !/[a-z]{2,}/i.test(name)) return null;
+
+  if (status === 'refunded') price = 0;
+  return buildItem({ name, quantity, unit, unitPrice, price, status, replaces });
+}
+
+// Quoted-field aware split of one CSV row
+function splitCsvRow(row) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '"' && quoted && row[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+const CSV_COLUMNS = {
+  name: /^(item|item name|name|product|product name|description)$/i,
+  quantity: /^(qty|quantity|count)$/i,
+  unit: /^(unit|uom|size)$/i,
+  unitPrice: /^(unit price|price each|each|price per unit)$/i,
+  price: /^(price|total|line total|amount|item total|cost)$/i,
+  status: /^(status|state)$/i,
+  replaces: /^(replaces|original|original item|ordered item|substituted for)$/i
+};
+
+function parseCsv(lines) {
+  const header = splitCsvRow(lines[0]);
+  const columns = {};
+  header.forEach((title, index) => {
+    for (const [field, pattern] of Object.entries(CSV_COLUMNS)) {
+      if (columns[field] === undefined && pattern.test(title)) columns[field] = index;
+    }
+  });
+
+  const money = (value) => (value ? toMoney(String(value).match(MONEY)) : null);
+  const items = [];
+  for (const row of lines.slice(1)) {
+    const cells = splitCsvRow(row);
+    const name = cells[columns.name];
+    if (!name) continue;
+
+    const statusText = String(cells[columns.status] || '').toLowerCase();
+    const replaces = cells[columns.replaces] || null;
+    const status = /refund|missing|out of stock|unavailable/.test(statusText)
+      ? 'refunded'
+      : (/replac|substitut/.test(statusText) || replaces ? 'substituted' : 'purchased');
+
+    items.push(buildItem({
+      name,
+      quantity: parseFloat(cells[columns.quantity]) || null,
+      unit: cells[columns.unit] || null,
+      unitPrice: money(cells[columns.unitPrice]),
+      price: status === 'refunded' ? 0 : money(cells[columns.price]),
+      status,
+      replaces
+    }));
+  }
+  return { items };
+}
+
+// Totals, date and store shared by the line-based formats
+function readSummaryLine(line, summary) {
+  const amount = toMoney(line.match(MONEY));
+  if (amount === null) return false;
+  if (/\bsub\s?total\b/i.test(line)) summary.subtotal = amount;
+  else if (/\btax\b/i.test(line)) summary.tax = round2((summary.tax || 0) + amount);
+  else if (/\b(order )?total\b/i.test(line) && !/\btotal (savings|saved)\b/i.test(line)) summary.total = amount;
+  else return false;
+  return true;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Noon UTC on that day, or null when there is no such day (2026-02-30, 13/45/2026)
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day, 12));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date.toISOString()
+    : null;
+}
+
+// The first date printed on the receipt as { text, iso }; iso is null when the
+// text looks like a date but isn't a real one
+function findDate(text) {
+  const iso = text.match(/\b(20\d{2})-(\d{2})-(\d{2})\b/);
+  if (iso) return { text: iso[0], iso: calendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3])) };
+
+  const us = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (us) {
+    const year = us[3].length === 2 ? 2000 + parseInt(us[3], 10) : parseInt(us[3], 10);
+    return { text: us[0], iso: calendarDate(year, parseInt(us[1], 10), parseInt(us[2], 10)) };
+  }
+
+  const written = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(20\d{2})\b/i);
+  if (written) {
+    const month = MONTHS.indexOf(written[1].toLowerCase()) + 1;
+    return { text: written[0], iso: calendarDate(Number(written[3]), month, Number(written[2])) };
+  }
+  return null;
+}
+
+function parseInstacartEmail(lines) {
+  const summary = {};
+  const items = [];
+  let status = 'purchased';
+  let storeName = null;
+
+  for (const line of lines) {
+    const store = line.match(/\b(?:order|delivery|groceries) from ([A-Z][\w&' .-]+?)(?:\s+(?:is|has|was)\b|[.!]|$)/i);
+    if (!storeName && store) storeName = store[1].trim();
+
+    const section = INSTACART_SECTIONS.find(({ pattern }) => pattern.test(line));
+    if (section && !MONEY.test(line)) {
+      status = section.status;
+      continue;
+    }
+    if (readSummaryLine(line, summary) || NON_ITEM_LINE.test(line)) continue;
+    if (!MONEY.test(line) && status === 'purchased') continue;
+
+    const item = parseItemLine(line, status);
+    if (item) items.push(item);
+  }
+
+  return { items, storeName, ...summary };
+}
+
+function parseTextReceipt(lines) {
+  const summary = {};
+  const items = [];
+  let storeName = null;
+  // A name printed on its own line, waiting for the quantity line under it
+  let pendingName = null;
+
+  for (const line of lines) {
+    if (readSummaryLine(line, summary)) continue;
+
+    const priceMatch = line.match(TRAILING_PRICE);
+    const price = priceMatch ? toMoney([priceMatch[0], priceMatch[1], priceMatch[2]]) : null;
+    const previous = items[items.length - 1];
+
+    // Coupons and markdowns print as negative lines under the item they reduce
+    if (price !== null && price < 0) {
+      if (previous && previous.price !== null) {
+        previous.price = round2(previous.price + price);
+        previous.unitPrice = round2(previous.price / previous.quantity);
+      }
+      continue;
+    }
+    if (NON_ITEM_LINE.test(line)) continue;
+
+    // "  6 @ 0.29   1.74" or "  1.52 lb @ 1.99/lb   3.02" under its item
+    if (/^\d+(?:\.\d+)?\s*(?:lb|lbs|kg|oz)?\s*@/i.test(line)) {
+      const { quantity, unit, unitPrice } = extractQuantity(line);
+      if (pendingName) {
+        items.push(buildItem({ name: pendingName, quantity, unit, unitPrice, price }));
+      } else if (previous) {
+        Object.assign(previous, buildItem({ ...previous, quantity, unit, unitPrice, price: price ?? previous.price }));
+      }
+      pendingName = null;
+      continue;
+    }
+
+    if (price === null) {
+      if (!storeName && items.length === 0 && /[a-z]{3,}/i.test(line) && !findDate(line)) {
+        storeName = cleanName(line);
+      } else {
+        pendingName = /[a-z]{2,}/i.test(line) && !findDate(line) ? line : null;
+      }
+      continue;
+    }
+
+    pendingName = null;
+    const item = parseItemLine(line);
+    if (item) items.push(item);
+  }
+
+  return { items, storeName, ...summary };
+}
+
+function detectFormat(text, lines) {
+  if (lines.length > 1 && lines[0].includes(',') && splitCsvRow(lines[0]).some(cell => CSV_COLUMNS.name.test(cell))) {
+    return 'csv';
+  }
+  if (/instacart/i.test(text) || lines.some(line => /^(found items|replacements|refunded( items)?)$/i.test(line))) {
+    return 'instacart_email';
+  }
+  return 'text';
+}
+
+/**
+ * @param {string} text the receipt, CSV export or email body
+ * @param {Object} options { format } - one of FORMATS, detected when omitted
+ * @returns {{format, storeName, orderDate, unreadableDate, items, subtotal, tax, total, itemsTotal}}
+ */
+function parseReceipt(text, { format } = {}) {
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const lines = source.split('\n').map(line => line.trim()).filter(Boolean);
+  const detected = format || detectFormat(source, lines);
+  if (!FORMATS.includes(detected)) {
+    throw new Error(`Unknown receipt format "${format}" - use one of: ${FORMATS.join(', ')}`);
+  }
+
+  const parsed = detected === 'csv'
+    ? parseCsv(lines)
+    : detected === 'instacart_email' ? parseInstacartEmail(lines) : parseTextReceipt(lines);
+
+  const items = parsed.items.filter(item => item.name);
+  const date = findDate(source);
+  return {
+    format: detected,
+    storeName: parsed.storeName || null,
+    orderDate: date ? date.iso : null,
+    // The printed date when it isn't a real one, so callers can say so
+    unreadableDate: date && !date.iso ? date.text : null,
+    items,
+    subtotal: parsed.subtotal ?? null,
+    tax: parsed.tax ?? null,
+    total: parsed.total ?? null,
+    itemsTotal: round2(items.reduce((sum, item) => sum + (item.price || 0), 0))
+  };
+}
+
+module.exports = {
+  parseReceipt,
+  FORMATS
+};
@@ -0,0 +1,186 @@
+// server/utils/receiptReconciliation.js
+// Lines a parsed receipt up against the list that was planned for the trip:
+// what was bought as planned, what the store substituted, what never arrived,
+// what was bought on top, and how the prices compare.
+
+const { canonicalItemName, categorize } = require('./foodCategories');
+
+// Words that describe a product without naming it
+const NOISE_WORDS = new Set([
+  'organic', 'large', 'small', 'medium', 'extra', 'fresh', 'lean', 'whole', 'store', 'brand',
+  'pack', 'pk', 'ct', 'count', 'each', 'ea', 'oz', 'lb', 'lbs', 'gal', 'gallon', 'bag', 'box',
+  'the', 'and', 'of', 'with', 'for'
+]);
+
+// Share of the shorter name's words the two names must have in common
+const MATCH_THRESHOLD = 0.5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const itemName = (item) => String(item.productName || item.name || item.item || '').trim();
+
+function tokens(name) {
+  return canonicalItemName(name.replace(/[^a-z\s]/gi, ' '))
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !NOISE_WORDS.has(word));
+}
+
+/**
+ * How alike two item names are, 0-1 ("Large Brown Eggs 12ct" vs "eggs" is 1)
+ */
+function nameSimilarity(a, b) {
+  const left = tokens(a);
+  const right = new Set(tokens(b));
+  if (left.length === 0 || right.size === 0) return 0;
+  const shared = left.filter(word => right.has(word)).length;
+  return shared / Math.min(left.length, right.size);
+}
+
+// Planned price is per unit ("$0.29 ea"), receipts print line totals
+function plannedLineTotal(item) {
+  const price = parseFloat(item.price);
+  if (!Number.isFinite(price) || price <= 0) return null;
+  return round2(price * (Number(item.quantity) || 1));
+}
+
+function plannedSummary(item) {
+  return {
+    name: itemName(item),
+    quantity: Number(item.quantity) || 1,
+    unit: item.unit || null,
+    price: plannedLineTotal(item)
+  };
+}
+
+function actualSummary(item) {
+  return {
+    name: item.name,
+    quantity: item.quantity,
+    unit: item.unit,
+    price: item.price
+  };
+}
+
+function line(status, planned, actual, extra = {}) {
+  const plannedPrice = planned ? planned.price : null;
+  const actualPrice = actual ? actual.price : null;
+  return {
+    name: (planned && planned.name) || (actual && actual.name) || null,
+    status,
+    planned,
+    actual,
+    priceDifference: plannedPrice !== null && actualPrice !== null
+      ? round2(actualPrice - plannedPrice)
+      : null,
+    quantityDifference: planned && actual && String(planned.unit || 'each') === String(actual.unit || 'each')
+      ? round2(actual.quantity - planned.quantity)
+      : null,
+    ...extra
+  };
+}
+
+/**
+ * @param {Array<Object>} plannedItems list/cart items ({productName|name, quantity, unit, price})
+ * @param {Array<Object>} receiptItems parsed receipt items (see receiptParser)
+ * @returns {{lines: Array, summary: Object}} one line per planned or purchased item,
+ *   with status matched | substituted | missing | extra. planned is null when the
+ *   receipt names an item that wasn't on the list.
+ */
+function reconcileReceipt(plannedItems = [], receiptItems = []) {
+  const remaining = new Map(plannedItems.map((item, index) => [index, item]));
+
+  const takeBest = (name) => {
+    let best = null;
+    for (const [index, item] of remaining) {
+      const score = nameSimilarity(name, itemName(item));
+      if (score >= MATCH_THRESHOLD && (!best || score > best.score)) best = { index, score };
+    }
+    if (!best) return null;
+    const item = remaining.get(best.index);
+    remaining.delete(best.index);
+    return item;
+  };
+
+  const lines = [];
+  const extras = [];
+
+  // Substitutions and refunds the receipt names explicitly go first, so a
+  // replacement can't claim a different planned item by resemblance
+  const ordered = [
+    ...receiptItems.filter(item => item.status === 'substituted'),
+    ...receiptItems.filter(item => item.status === 'refunded'),
+    ...receiptItems.filter(item => item.status !== 'substituted' && item.status !== 'refunded')
+  ];
+
+  for (const item of ordered) {
+    if (item.status === 'substituted') {
+      const planned = (item.replaces && takeBest(item.replaces)) || takeBest(item.name);
+      lines.push(line('substituted', planned ? plannedSummary(planned) : null, actualSummary(item),
+        planned ? {} : { name: item.replaces || item.name }));
+    } else if (item.status === 'refunded') {
+      const planned = takeBest(item.name);
+      lines.push(line('missing', planned ? plannedSummary(planned) : null, null, { reason: 'refunded', ...(planned ? {} : { name: item.name }) }));
+    } else {
+      const planned = takeBest(item.name);
+      if (planned) {
+        lines.push(line('matched', plannedSummary(planned), actualSummary(item)));
+      } else {
+        extras.push(item);
+      }
+    }
+  }
+
+  // Something unplanned bought in the same aisle as something that never came
+  // is a substitution the receipt didn't call out - but only when the pairing is unambiguous
+  const missing = [...remaining.values()];
+  const byCategory = (items) => items.reduce((groups, item) => {
+    const category = categorize(canonicalItemName(itemName(item)));
+    groups[category] = [...(groups[category] || []), item];
+    return groups;
+  }, {});
+  const missingByCategory = byCategory(missing);
+  const extrasByCategory = byCategory(extras);
+  const inferred = new Set();
+
+  for (const [category, missingItems] of Object.entries(missingByCategory)) {
+    const extraItems = extrasByCategory[category] || [];
+    if (missingItems.length === 1 && extraItems.length === 1) {
+      lines.push(line('substituted', plannedSummary(missingItems[0]), actualSummary(extraItems[0]), { inferred: true }));
+      inferred.add(missingItems[0]).add(extraItems[0]);
+    }
+  }
+
+  for (const item of missing) {
+    if (!inferred.has(item)) lines.push(line('missing', plannedSummary(item), null, { reason: 'not_on_receipt' }));
+  }
+  for (const item of extras) {
+    if (!inferred.has(item)) lines.push(line('extra', null, actualSummary(item)));
+  }
+
+  const counts = { matched: 0, substituted: 0, missing: 0, extra: 0 };
+  lines.forEach(entry => { counts[entry.status]++; });
+
+  const plannedTotal = round2(plannedItems.reduce((sum, item) => sum + (plannedLineTotal(item) || 0), 0));
+  const actualTotal = round2(receiptItems.reduce((sum, item) => sum + (item.price || 0), 0));
+  // Only like-for-like lines priced on both sides say anything about price drift
+  const compared = lines.filter(entry => entry.status === 'matched' && entry.priceDifference !== null);
+
+  return {
+    lines,
+    summary: {
+      plannedItems: plannedItems.length,
+      receiptItems: receiptItems.length,
+      ...counts,
+      plannedTotal,
+      actualTotal,
+      difference: round2(actualTotal - plannedTotal),
+      priceDifference: round2(compared.reduce((sum, entry) => sum + entry.priceDifference, 0)),
+      pricedLines: compared.length
+    }
+  };
+}
+
+module.exports = {
+  reconcileReceipt,
+  nameSimilarity
+};
@@ -0,0 +1,1017 @@
+// server/utils/recipeFormats.js
+// Import/export between the recipe library's unified recipe shape and the
+// interchange formats other recipe managers use:
+//
+//   schema.org  - Recipe JSON-LD (single object, array or @graph)
+//   paprika     - .paprikarecipes zip of gzipped JSON (.paprikarecipe) files
+//   mealie      - Mealie recipe JSON
+//   tandoor     - Tandoor recipe JSON
+//   cooklang    - .cook text (a zip of .cook files for more than one recipe)
+//   mealmaster  - Meal-Master text, many recipes per file
+//   cartsmash   - our own lossless library backup
+//
+// Everything here is pure - loading and saving recipes is up to the caller.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { createZip, readZip, listZip, isZip } = require('./zipArchive');
+const { normalizeUnit } = require('./unitDictionary');
+const { collectJSONLDNodes, flattenInstructions } = require('./recipeScraper');
+
+const FORMATS = {
+  'schema.org': { label: 'Schema.org JSON-LD', extension: 'json', contentType: 'application/ld+json' },
+  paprika: { label: 'Paprika', extension: 'paprikarecipes', contentType: 'application/zip' },
+  mealie: { label: 'Mealie JSON', extension: 'json', contentType: 'application/json' },
+  tandoor: { label: 'Tandoor JSON', extension: 'json', contentType: 'application/json' },
+  cooklang: { label: 'Cooklang', extension: 'cook', contentType: 'text/plain; charset=utf-8' },
+  mealmaster: { label: 'Meal-Master', extension: 'mmf', contentType: 'text/plain; charset=utf-8' },
+  cartsmash: { label: 'CartSmash backup', extension: 'json', contentType: 'application/json' }
+};
+
+// Uploads arrive base64 in a JSON body capped at 10mb (server.js), so no real
+// file is bigger than this. Archives may expand to a few times their size -
+// recipe text compresses well - but not further, and not into endless entries.
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_EXPANDED_BYTES = 5 * MAX_UPLOAD_BYTES;
+const MAX_ARCHIVE_ENTRIES = 1000;
+
+const UNICODE_FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875 };
+
+const clean = (s) => (s == null ? '' : String(s)).replace(/\s+/g, ' ').trim();
+
+// --- Unified recipe accessors --------------------------------------------------
+
+function formatQuantity(q) {
+  if (q == null || q === '' || Number.isNaN(Number(q))) return '';
+  const n = Number(q);
+  if (Number.isInteger(n)) return String(n);
+
+  // Kitchen fractions read better than 0.333
+  const whole = Math.floor(n);
+  const rest = n - whole;
+  const fractions = [[1, 8], [1, 4], [1, 3], [3, 8], [1, 2], [5, 8], [2, 3], [3, 4], [7, 8]];
+  const match = fractions.find(([num, den]) => Math.abs(rest - num / den) < 0.01);
+  if (match) return `${whole ? `${whole} ` : ''}${match[0]}/${match[1]}`;
+  return String(Math.round(n * 100) / 100);
+}
+
+function ingredientText(ing) {
+  if (typeof ing === 'string') return clean(ing);
+  if (!ing) return '';
+  if (ing.original) return clean(ing.original);
+  const unit = ing.unit && !['unit', 'as needed', 'each'].includes(ing.unit) ? ing.unit : '';
+  return clean([formatQuantity(ing.quantity), unit, ing.item || ing.name].filter(Boolean).join(' '));
+}
+
+function instructionText(step) {
+  if (typeof step === 'string') return clean(step);
+  return clean(step?.instruction || step?.text || '');
+}
+
+const ingredientLines = (recipe) => (recipe.ingredients || []).map(ingredientText).filter(Boolean);
+const instructionLines = (recipe) => (recipe.instructions || recipe.steps || []).map(instructionText).filter(Boolean);
+const titleOf = (recipe) => clean(recipe.title || recipe.name) || 'Untitled Recipe';
+
+function parseNumber(token) {
+  let t = String(token || '').trim();
+  t = t.replace(/(\d)\s*([¼½¾⅓⅔⅛⅜⅝⅞])/g, (_, d, f) => `${d} ${UNICODE_FRACTIONS[f]}`)
+    .replace(/[¼½¾⅓⅔⅛⅜⅝⅞]/g, (f) => String(UNICODE_FRACTIONS[f]));
+  if (!t) return null;
+
+  let total = 0;
+  for (const part of t.split(/\s+/)) {
+    if (/^\d+\/\d+$/.test(part)) {
+      const [num, den] = part.split('/').map(Number);
+      if (!den) return null;
+      total += num / den;
+    } else if (/^\d*\.?\d+$/.test(part)) {
+      total += parseFloat(part);
+    } else {
+      return null;
+    }
+  }
+  return Math.round(total * 1000) / 1000;
+}
+
+const LEADING_QTY = /^((?:\d+\s+\d+\/\d+|\d+\/\d+|\d*\.\d+|\d+)(?:\s*[¼½¾⅓⅔⅛⅜⅝⅞])?|[¼½¾⅓⅔⅛⅜⅝⅞])(?:\s*(?:-|–|to)\s*(?:\d+\s+\d+\/\d+|\d+\/\d+|\d*\.\d+|\d+|[¼½¾⅓⅔⅛⅜⅝⅞]))?\s*/;
+
+/**
+ * Split a recipe ingredient line into quantity, unit and item without losing
+ * the original text ("1 1/2 cups flour, sifted" -> 1.5 / cup / "flour, sifted")
+ */
+function parseRecipeLine(line) {
+  const original = clean(line);
+  let rest = original;
+  let quantity = null;
+  let unit = null;
+
+  const qty = rest.match(LEADING_QTY);
+  if (qty) {
+    quantity = parseNumber(qty[1]);
+    rest = rest.slice(qty[0].length);
+  }
+
+  const unitMatch = rest.match(/^(fl\.?\s*oz|fluid ounces?|[a-zA-Z]+)\.?(?:\s+|$)/);
+  if (unitMatch && quantity != null) {
+    const canonical = normalizeUnit(unitMatch[1].replace(/\.\s*/, ' '));
+    // "2 eggs" - the countable is the item, not a unit
+    if (canonical && !/^eggs?$/i.test(unitMatch[1])) {
+      unit = canonical;
+      rest = rest.slice(unitMatch[0].length);
+    }
+  }
+
+  return { quantity, unit, item: clean(rest.replace(/^of\s+/i, '')) || original, original };
+}
+
+// --- Time helpers --------------------------------------------------------------
+
+function minutesToISO(minutes) {
+  const m = Math.round(Number(minutes) || 0);
+  if (m <= 0) return undefined;
+  const h = Math.floor(m / 60);
+  return `PT${h ? `${h}H` : ''}${m % 60 ? `${m % 60}M` : ''}`;
+}
+
+function minutesToText(minutes) {
+  const m = Math.round(Number(minutes) || 0);
+  if (m <= 0) return '';
+  const h = Math.floor(m / 60);
+  const parts = [];
+  if (h) parts.push(`${h} hr${h !== 1 ? 's' : ''}`);
+  if (m % 60) parts.push(`${m % 60} min${m % 60 !== 1 ? 's' : ''}`);
+  return parts.join(' ');
+}
+
+// PT1H30M, "1 hr 30 mins", "45 minutes", 20 -> minutes
+function toMinutes(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+
+  const iso = text.match(/^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:\d+(?:\.\d+)?S)?)?$/i);
+  if (iso && text.length > 1) {
+    const [, d, h, m] = iso.map((x) => (x ? parseFloat(x) : 0));
+    return Math.round(d * 1440 + h * 60 + m) || null;
+  }
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/i);
+  const minutes = text.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/i);
+  if (hours || minutes) {
+    return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0));
+  }
+  return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+function toServings(value) {
+  if (value == null) return null;
+  if (Array.isArray(value)) value = value[0];
+  const m = String(value).match(/\d+/);
+  return m ? parseInt(m[0], 10) : null;
+}
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((v) => clean(typeof v === 'object' ? v?.name : v))
+    .filter(Boolean);
+
+const slugify = (s) =>
+  clean(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'recipe';
+
+const safeFilename = (s) => clean(s).replace(/[\\/:*?"<>|]+/g, '').slice(0, 100) || 'Recipe';
+
+/**
+ * Bring an imported recipe into the library's unified shape
+ * (mirrors toUnified() in routes/unifiedRoutes.js)
+ */
+function toLibraryRecipe(partial, format) {
+  const now = new Date().toISOString();
+  return {
+    id: `recipe_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    title: clean(partial.title) || 'Untitled Recipe',
+    description: clean(partial.description),
+    icon: '🍳',
+    mealType: partial.mealType || 'dinner',
+    ingredients: (partial.ingredients || []).map((line) => {
+      if (typeof line !== 'string') return line;
+      const { quantity, unit, item, original } = parseRecipeLine(line);
+      return { quantity, unit, item, original };
+    }),
+    instructions: (partial.instructions || []).map((text, index) => ({
+      step: index + 1,
+      instruction: clean(text),
+      time: null
+    })),
+    prepTime: partial.prepTime ?? null,
+    cookTime: partial.cookTime ?? null,
+    totalTime: partial.totalTime ?? ((partial.prepTime || partial.cookTime)
+      ? (partial.prepTime || 0) + (partial.cookTime || 0)
+      : null),
+    servings: partial.servings ?? null,
+    difficulty: partial.difficulty || null,
+    nutrition: partial.nutrition || {},
+    tags: partial.tags || [],
+    notes: partial.notes || [],
+    source: `${format}-import`,
+    sourceUrl: partial.sourceUrl || null,
+    imageUrl: partial.imageUrl || null,
+    rating: partial.rating || 0,
+    isFavorite: false,
+    createdAt: now,
+    updatedAt: now,
+    importedFrom: { format, importedAt: now }
+  };
+}
+
+// --- schema.org ----------------------------------------------------------------
+
+const NUTRITION_FIELDS = [
+  ['calories', 'calories', ''],
+  ['protein', 'proteinContent', 'g'],
+  ['carbs', 'carbohydrateContent', 'g'],
+  ['fat', 'fatContent', 'g'],
+  ['saturatedFat', 'saturatedFatContent', 'g'],
+  ['cholesterol', 'cholesterolContent', 'mg'],
+  ['sodium', 'sodiumContent', 'mg'],
+  ['sugar', 'sugarContent', 'g'],
+  ['fiber', 'fiberContent', 'g']
+];
+
+function toSchemaOrg(recipe) {
+  const nutrition = {};
+  for (const [ours, theirs, unit] of NUTRITION_FIELDS) {
+    const value = Number(recipe.nutrition?.[ours]);
+    if (value > 0) nutrition[theirs] = theirs === 'calories' ? `${value} calories` : `${value} ${unit}`;
+  }
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: titleOf(recipe),
+    description: recipe.description || undefined,
+    image: recipe.imageUrl && !recipe.imageUrl.startsWith('/') ? recipe.imageUrl : undefined,
+    url: recipe.sourceUrl || undefined,
+    prepTime: minutesToISO(recipe.prepTime),
+    cookTime: minutesToISO(recipe.cookTime),
+    totalTime: minutesToISO(recipe.totalTime),
+    recipeYield: recipe.servings ? String(recipe.servings) : undefined,
+    recipeCategory: recipe.mealType || undefined,
+    keywords: (recipe.tags || []).length ? recipe.tags.join(', ') : undefined,
+    recipeIngredient: ingredientLines(recipe),
+    recipeInstructions: instructionLines(recipe).map((text) => ({ '@type': 'HowToStep', text })),
+    nutrition: Object.keys(nutrition).length ? { '@type': 'NutritionInformation', ...nutrition } : undefined
+  };
+}
+
+function fromSchemaOrg(node) {
+  const image = [].concat(node.image || [])[0];
+  const nutrition = {};
+  for (const [ours, theirs] of NUTRITION_FIELDS) {
+    const value = parseFloat(node.nutrition?.[theirs]);
+    if (!Number.isNaN(value)) nutrition[ours] = value;
+  }
+
+  return {
+    title: node.name,
+    description: node.description,
+    ingredients: [].concat(node.recipeIngredient || node.ingredients || []).map(clean).filter(Boolean),
+    instructions: flattenInstructions(node.recipeInstructions),
+    prepTime: toMinutes(node.prepTime),
+    cookTime: toMinutes(node.cookTime),
+    totalTime: toMinutes(node.totalTime),
+    servings: toServings(node.recipeYield),
+    tags: toList(node.keywords),
+    mealType: toList(node.recipeCategory)[0]?.toLowerCase(),
+    nutrition,
+    imageUrl: typeof image === 'string' ? image : image?.url,
+    sourceUrl: node.url
+  };
+}
+
+const isRecipeNode = (node) =>
+  [].concat(node?.['@type'] || []).some((t) => String(t).toLowerCase() === 'recipe');
+
+// --- Paprika -------------------------------------------------------------------
+
+function paprikaTimestamp(iso) {
+  const date = iso ? new Date(iso) : new Date();
+  return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function toPaprika(recipe) {
+  const data = {
+    uid: crypto.randomUUID().toUpperCase(),
+    name: titleOf(recipe),
+    description: recipe.description || '',
+    ingredients: ingredientLines(recipe).join('\n'),
+    directions: instructionLines(recipe).join('\n'),
+    notes: [].concat(recipe.notes || []).map((n) => (typeof n === 'string' ? n : n?.text || '')).join('\n'),
+    servings: recipe.servings ? String(recipe.servings) : '',
+    prep_time: minutesToText(recipe.prepTime),
+    cook_time: minutesToText(recipe.cookTime),
+    total_time: minutesToText(recipe.totalTime),
+    difficulty: recipe.difficulty || '',
+    rating: Number(recipe.rating) || 0,
+    categories: recipe.tags || [],
+    source: recipe.sourceUrl ? hostnameOf(recipe.sourceUrl) : '',
+    source_url: recipe.sourceUrl || '',
+    image_url: recipe.imageUrl && !recipe.imageUrl.startsWith('/') ? recipe.imageUrl : '',
+    photo_data: null,
+    nutritional_info: nutritionText(recipe.nutrition),
+    created: paprikaTimestamp(recipe.createdAt)
+  };
+  data.hash = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').toUpperCase();
+  return data;
+}
+
+function fromPaprika(data) {
+  const lines = (text) => String(text || '').split(/\r?\n/).map(clean).filter(Boolean);
+  return {
+    title: data.name,
+    description: data.description,
+    ingredients: lines(data.ingredients),
+    instructions: lines(data.directions),
+    notes: lines(data.notes),
+    servings: toServings(data.servings),
+    prepTime: toMinutes(data.prep_time),
+    cookTime: toMinutes(data.cook_time),
+    totalTime: toMinutes(data.total_time),
+    difficulty: data.difficulty || null,
+    rating: Number(data.rating) || 0,
+    tags: toList(data.categories),
+    sourceUrl: data.source_url || null,
+    imageUrl: data.image_url || null
+  };
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function nutritionText(nutrition = {}) {
+  return NUTRITION_FIELDS
+    .filter(([ours]) => Number(nutrition[ours]) > 0)
+    .map(([ours, , unit]) => `${ours}: ${nutrition[ours]}${unit ? ` ${unit}` : ''}`)
+    .join('\n');
+}
+
+// --- Mealie --------------------------------------------------------------------
+
+function toMealie(recipe) {
+  return {
+    name: titleOf(recipe),
+    slug: slugify(titleOf(recipe)),
+    description: recipe.description || '',
+    recipeYield: recipe.servings ? `${recipe.servings} servings` : '',
+    recipeServings: Number(recipe.servings) || 0,
+    prepTime: minutesToText(recipe.prepTime),
+    performTime: minutesToText(recipe.cookTime),
+    totalTime: minutesToText(recipe.totalTime),
+    orgURL: recipe.sourceUrl || null,
+    recipeCategory: recipe.mealType ? [{ name: recipe.mealType }] : [],
+    tags: (recipe.tags || []).map((name) => ({ name, slug: slugify(name) })),
+    recipeIngredient: ingredientLines(recipe).map((line) => {
+      const { quantity, unit, item } = parseRecipeLine(line);
+      return {
+        quantity: quantity || 0,
+        unit: unit ? { name: unit } : null,
+        food: { name: item },
+        note: '',
+        display: line,
+        originalText: line
+      };
+    }),
+    recipeInstructions: instructionLines(recipe).map((text) => ({ title: '', text })),
+    nutrition: Object.fromEntries(
+      NUTRITION_FIELDS
+        .filter(([ours]) => Number(recipe.nutrition?.[ours]) > 0)
+        .map(([ours, theirs]) => [theirs, String(recipe.nutrition[ours])])
+    ),
+    notes: [].concat(recipe.notes || []).map((n) => ({ title: '', text: typeof n === 'string' ? n : n?.text || '' }))
+  };
+}
+
+function fromMealie(data) {
+  const ingredients = [].concat(data.recipeIngredient || []).map((ing) => {
+    if (typeof ing === 'string') return ing;
+    if (ing.originalText || ing.display) return ing.originalText || ing.display;
+    return [formatQuantity(ing.quantity || null), ing.unit?.name, ing.food?.name, ing.note].filter(Boolean).join(' ');
+  });
+
+  const nutrition = {};
+  for (const [ours, theirs] of NUTRITION_FIELDS) {
+    const value = parseFloat(data.nutrition?.[theirs]);
+    if (!Number.isNaN(value)) nutrition[ours] = value;
+  }
+
+  return {
+    title: data.name,
+    description: data.description,
+    ingredients: ingredients.map(clean).filter(Boolean),
+    instructions: [].concat(data.recipeInstructions || []).map((s) => (typeof s === 'string' ? s : s?.text)),
+    prepTime: toMinutes(data.prepTime),
+    cookTime: toMinutes(data.performTime || data.cookTime),
+    totalTime: toMinutes(data.totalTime),
+    servings: data.recipeServings || toServings(data.recipeYield),
+    tags: toList(data.tags),
+    mealType: toList(data.recipeCategory)[0]?.toLowerCase(),
+    nutrition,
+    notes: [].concat(data.notes || []).map((n) => (typeof n === 'string' ? n : n?.text)).filter(Boolean),
+    sourceUrl: data.orgURL || null,
+    rating: Number(data.rating) || 0
+  };
+}
+
+// --- Tandoor -------------------------------------------------------------------
+
+function toTandoor(recipe) {
+  const ingredients = ingredientLines(recipe).map((line, order) => {
+    const { quantity, unit, item } = parseRecipeLine(line);
+    return {
+      food: { name: item },
+      unit: unit ? { name: unit } : null,
+      amount: quantity || 0,
+      note: '',
+      original_text: line,
+      order,
+      is_header: false,
+      no_amount: quantity == null
+    };
+  });
+
+  // Tandoor hangs ingredients off steps; the first step carries them all
+  const steps = instructionLines(recipe).map((instruction, order) => ({
+    name: '',
+    instruction,
+    ingredients: order === 0 ? ingredients : [],
+    time: 0,
+    order,
+    show_as_header: false
+  }));
+  if (!steps.length && ingredients.length) {
+    steps.push({ name: '', instruction: '', ingredients, time: 0, order: 0, show_as_header: false });
+  }
+
+  return {
+    name: titleOf(recipe),
+    description: clean(recipe.description).slice(0, 512),
+    keywords: (recipe.tags || []).map((name) => ({ name, description: '' })),
+    steps,
+    working_time: Math.round(Number(recipe.prepTime) || 0),
+    waiting_time: Math.round(Number(recipe.cookTime) || 0),
+    internal: true,
+    servings: Number(recipe.servings) || 1,
+    servings_text: '',
+    source_url: recipe.sourceUrl || null,
+    nutrition: Number(recipe.nutrition?.calories) > 0 ? {
+      calories: Number(recipe.nutrition.calories) || 0,
+      proteins: Number(recipe.nutrition.protein) || 0,
+      carbohydrates: Number(recipe.nutrition.carbs) || 0,
+      fats: Number(recipe.nutrition.fat) || 0
+    } : null
+  };
+}
+
+function fromTandoor(data) {
+  const steps = [].concat(data.steps || []);
+  const ingredients = steps.flatMap((step) => [].concat(step.ingredients || []))
+    .filter((ing) => !ing.is_header)
+    .map((ing) => ing.original_text || [
+      ing.no_amount ? '' : formatQuantity(ing.amount),
+      ing.unit?.name,
+      ing.food?.name,
+      ing.note
+    ].filter(Boolean).join(' '));
+
+  return {
+    title: data.name,
+    description: data.description,
+    ingredients: ingredients.map(clean).filter(Boolean),
+    instructions: steps.map((s) => s.instruction).filter((s) => clean(s)),
+    prepTime: Number(data.working_time) || null,
+    cookTime: Number(data.waiting_time) || null,
+    servings: Number(data.servings) || toServings(data.servings_text),
+    tags: toList(data.keywords),
+    nutrition: data.nutrition ? {
+      calories: Number(data.nutrition.calories) || 0,
+      protein: Number(data.nutrition.proteins) || 0,
+      carbs: Number(data.nutrition.carbohydrates) || 0,
+      fat: Number(data.nutrition.fats) || 0
+    } : {},
+    sourceUrl: data.source_url || null
+  };
+}
+
+// --- Cooklang ------------------------------------------------------------------
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function cooklangIngredient(name, quantity, unit, note) {
+  const amount = quantity != null ? formatQuantity(quantity).replace(/^(\d+) (\d+\/\d+)$/, (_, w, f) => {
+    const [num, den] = f.split('/').map(Number);
+    return `${Number(w) * den + num}/${den}`;
+  }) : '';
+  const markup = `@${name}{${amount}${amount && unit ? `%${unit}` : ''}}`;
+  return note ? `${markup}(${note.replace(/[()]/g, '')})` : markup;
+}
+
+/**
+ * Cooklang marks ingredients inline in the steps. Each ingredient is tagged
+ * where a step first mentions it; the rest go into a leading "Gather" step,
+ * which fromCooklang() recognises and drops again so round trips are stable.
+ */
+function toCooklang(recipe) {
+  const lines = [`>> title: ${titleOf(recipe)}`];
+  if (recipe.servings) lines.push(`>> servings: ${recipe.servings}`);
+  if (recipe.prepTime) lines.push(`>> prep time: ${minutesToText(recipe.prepTime)}`);
+  if (recipe.cookTime) lines.push(`>> cook time: ${minutesToText(recipe.cookTime)}`);
+  if (recipe.sourceUrl) lines.push(`>> source: ${recipe.sourceUrl}`);
+  if ((recipe.tags || []).length) lines.push(`>> tags: ${recipe.tags.join(', ')}`);
+  if (recipe.description) lines.push(`>> description: ${clean(recipe.description)}`);
+
+  const placeholders = [];
+  const protect = (markup) => `\u0000${placeholders.push(markup) - 1}\u0000`;
+  const steps = instructionLines(recipe).map((s) => s.replace(/[@#~]/g, ''));
+  const unplaced = [];
+
+  for (const line of ingredientLines(recipe)) {
+    const { quantity, unit, item } = parseRecipeLine(line);
+    const [head, ...rest] = item.split(',');
+    const name = head.replace(/\(.*?\)/g, '').trim();
+    const note = clean(rest.join(','));
+    const candidates = [name, name.split(' ').pop()].filter((c) => c && c.length > 2);
+
+    let placed = false;
+    for (const candidate of candidates) {
+      const pattern = new RegExp(`\\b${escapeRegExp(candidate)}\\b`, 'i');
+      const index = steps.findIndex((step) => pattern.test(step));
+      if (index >= 0) {
+        steps[index] = steps[index].replace(pattern, (match) => protect(cooklangIngredient(match, quantity, unit, note)));
+        placed = true;
+        break;
+      }
+    }
+    if (!placed) unplaced.push(protect(cooklangIngredient(name || line, quantity, unit, note)));
+  }
+
+  if (unplaced.length) steps.unshift(`Gather ${unplaced.join(', ')}.`);
+
+  const restore = (s) => s.replace(/\u0000(\d+)\u0000/g, (_, i) => placeholders[Number(i)]);
+  return `${lines.join('\n')}\n\n${steps.map(restore).join('\n\n')}\n`;
+}
+
+const COOKLANG_INGREDIENT = /@[&?+-]*(?:([^@#~{}\n]+?)\{([^}]*)\}|([\p{L}\p{N}_-]+))(?:\(([^)]*)\))?/gu;
+
+// The step toCooklang() writes for ingredients no step mentions
+const isGatherStep = (paragraph) => /^Gather[\s,]*\.$/.test(clean(paragraph.replace(COOKLANG_INGREDIENT, '')));
+
+function fromCooklang(text, filename = '') {
+  let body = String(text).replace(/\r\n/g, '\n').replace(/\[-[\s\S]*?-\]/g, '');
+  const meta = {};
+
+  // YAML front matter (newer spec) or ">> key: value" lines (original spec)
+  const front = body.match(/^---\n([\s\S]*?)\n---\n/);
+  if (front) {
+    for (const line of front[1].split('\n')) {
+      const m = line.match(/^([\w ]+):\s*(.*)$/);
+      if (m) meta[m[1].trim().toLowerCase()] = m[2].replace(/^\[|\]$/g, '').trim();
+    }
+    body = body.slice(front[0].length);
+  }
+
+  const ingredients = [];
+  const steps = body
+    .split('\n')
+    .map((line) => line.replace(/--.*$/, ''))
+    .filter((line) => {
+      const m = line.match(/^>>\s*([^:]+):\s*(.*)$/);
+      if (m) meta[m[1].trim().toLowerCase()] = m[2].trim();
+      return !m && !/^\s*=/.test(line); // section headings
+    })
+    .join('\n')
+    .split(/\n\s*\n/)
+    .map((paragraph) => {
+      const text = clean(paragraph
+        .replace(COOKLANG_INGREDIENT, (_, braced, amount, single, note) => {
+          const name = clean(braced || single);
+          const [qty = '', unit = ''] = (amount || '').split('%').map((s) => s.trim());
+          const quantity = parseNumber(qty);
+          const line = clean([quantity != null ? formatQuantity(quantity) : qty, unit, name].join(' '));
+          ingredients.push(note ? `${line}, ${note}` : line);
+          return name;
+        })
+        .replace(/#(?:([^@#~{}\n]+?)\{[^}]*\}|([\p{L}\p{N}_-]+))/gu, (_, braced, single) => braced || single)
+        .replace(/~([^@#~{}\n]*?)\{([^}]*)\}/g, (_, name, amount) => amount.replace('%', ' ')));
+      // Keep the Gather step's ingredients but not the step itself
+      return isGatherStep(paragraph) ? '' : text;
+    })
+    .filter(Boolean);
+
+  return {
+    title: meta.title || filename.replace(/\.cook$/i, '').split('/').pop(),
+    description: meta.description || meta.introduction,
+    ingredients: [...new Set(ingredients)],
+    instructions: steps,
+    servings: toServings(meta.servings || meta.serves || meta.yield),
+    prepTime: toMinutes(meta['prep time'] || meta.prep_time),
+    cookTime: toMinutes(meta['cook time'] || meta.cook_time),
+    totalTime: toMinutes(meta['total time'] || meta.time || meta.duration),
+    tags: toList(meta.tags),
+    mealType: meta.course?.toLowerCase(),
+    sourceUrl: meta.source || meta['source.url'] || null
+  };
+}
+
+// --- Meal-Master ---------------------------------------------------------------
+
+const MM_UNITS = {
+  tsp: 'ts', tbsp: 'tb', cup: 'c', floz: 'fl', pt: 'pt', qt: 'qt', gal: 'ga', oz: 'oz', lb: 'lb',
+  ml: 'ml', l: 'l', g: 'g', kg: 'kg', can: 'cn', package: 'pk', slice: 'sl', bunch: 'bn', count: 'ea'
+};
+const MM_CODES = {
+  x: '', sm: 'small', md: 'medium', lg: 'large', cn: 'can', pk: 'package', pn: 'pinch', dr: 'drop',
+  ds: 'dash', ct: 'carton', bn: 'bunch', sl: 'slice', ea: '', t: 'tsp', ts: 'tsp', T: 'tbsp', tb: 'tbsp',
+  fl: 'fl oz', c: 'cup', pt: 'pint', qt: 'quart', ga: 'gallon', oz: 'oz', lb: 'lb', ml: 'ml', cb: 'cc',
+  cl: 'cl', dl: 'dl', l: 'liter', mg: 'mg', cg: 'cg', dg: 'dg', g: 'g', kg: 'kg'
+};
+const MM_HEADER = /^(?:MMMMM|-{5}).*meal-master/i;
+const MM_FOOTER = /^(?:MMMMM|-{5})\s*$/;
+
+function wrap(text, width) {
+  const words = clean(text).split(' ');
+  const lines = [];
+  let current = '';
+  for (const word of words) {
+    if (current && current.length + word.length + 1 > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+function toMealMaster(recipe) {
+  const out = ['MMMMM----- Recipe via Meal-Master (tm) v8.05', ''];
+  out.push(`      Title: ${titleOf(recipe).slice(0, 60)}`);
+  const categories = [recipe.mealType, ...(recipe.tags || [])].filter(Boolean).map((c) => c.slice(0, 11));
+  out.push(` Categories: ${[...new Set(categories)].slice(0, 5).join(', ') || 'None'}`);
+  out.push(`   Servings: ${recipe.servings || 1}`, '');
+
+  for (const line of ingredientLines(recipe)) {
+    const { quantity, unit, item } = parseRecipeLine(line);
+    const code = unit ? MM_UNITS[unit] : '';
+    // Units Meal-Master has no code for stay in the ingredient text
+    const text = unit && code === undefined ? `${unit} ${item}` : item;
+    const [first, ...more] = wrap(text, 28);
+    out.push(`${formatQuantity(quantity).padStart(7)} ${(code || '').padEnd(2)} ${first || ''}`.trimEnd());
+    more.forEach((continuation) => out.push(`${' '.repeat(11)}-${continuation}`));
+  }
+
+  out.push('');
+  for (const step of instructionLines(recipe)) {
+    wrap(step, 72).forEach((l) => out.push(`  ${l}`));
+    out.push('');
+  }
+  if (recipe.sourceUrl) out.push(`  Source: ${recipe.sourceUrl}`, '');
+
+  out.push('MMMMM', '');
+  return out.join('\n');
+}
+
+// One 41-column Meal-Master ingredient cell: "  1 1/2 c  Flour"
+function parseMealMasterCell(cell) {
+  const qty = cell.slice(0, 7).trim();
+  const code = cell.slice(8, 10).trim();
+  const text = cell.slice(11).trim();
+  if (!/^[\d\s/.-]*$/.test(qty) || !(code in MM_CODES || code === '') || cell.slice(10, 11).trim()) return null;
+  if (!text && !qty) return null;
+  return { qty, code, text };
+}
+
+function fromMealMasterBlock(lines) {
+  const recipe = { title: '', tags: [], servings: null, ingredients: [], instructions: [] };
+  let i = 0;
+
+  for (; i < lines.length; i++) {
+    const m = lines[i].match(/^\s*(Title|Categories|Yield|Servings):\s*(.*)$/i);
+    if (m) {
+      const key = m[1].toLowerCase();
+      if (key === 'title') recipe.title = m[2];
+      else if (key === 'categories') recipe.tags = toList(m[2]).filter((t) => t.toLowerCase() !== 'none');
+      else recipe.servings = toServings(m[2]);
+    } else if (recipe.title && lines[i].trim() === '') {
+      i++;
+      break;
+    }
+  }
+
+  // Ingredients: fixed columns, optionally two per line, "-" continues the line above
+  let inIngredients = true;
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) recipe.instructions.push(clean(paragraph.join(' ')));
+    paragraph = [];
+  };
+
+  for (; i < lines.length; i++) {
+    const line = lines[i].replace(/\s+$/, '');
+    if (inIngredients) {
+      if (!line) {
+        if (recipe.ingredients.length) inIngredients = false;
+        continue;
+      }
+      if (/^(?:MMMMM|-{5})-*.*-{3,}$/.test(line)) continue; // "MMMMM-----SAUCE-----" section
+      const cells = [line.slice(0, 41), line.slice(41)].filter((c) => c.trim());
+      const parsed = cells.map(parseMealMasterCell);
+      if (parsed.every(Boolean)) {
+        for (const { qty, code, text } of parsed) {
+          if (text.startsWith('-') && recipe.ingredients.length) {
+            recipe.ingredients[recipe.ingredients.length - 1] += ` ${text.slice(1).trim()}`;
+          } else {
+            recipe.ingredients.push(clean([qty, MM_CODES[code], text].join(' ')));
+          }
+        }
+        continue;
+      }
+      inIngredients = false;
+    }
+
+    if (!line.trim()) flush();
+    else paragraph.push(line.trim());
+  }
+  flush();
+
+  const source = recipe.instructions.find((s) => /^source:/i.test(s));
+  if (source) {
+    recipe.sourceUrl = source.replace(/^source:\s*/i, '');
+    recipe.instructions = recipe.instructions.filter((s) => s !== source);
+  }
+  return recipe;
+}
+
+function fromMealMaster(text) {
+  const recipes = [];
+  let block = null;
+  for (const line of String(text).replace(/\r\n/g, '\n').split('\n')) {
+    if (MM_HEADER.test(line)) {
+      block = [];
+    } else if (block && MM_FOOTER.test(line)) {
+      recipes.push(fromMealMasterBlock(block));
+      block = null;
+    } else if (block) {
+      block.push(line);
+    }
+  }
+  if (block && block.length) recipes.push(fromMealMasterBlock(block));
+  return recipes;
+}
+
+// --- Format detection ----------------------------------------------------------
+
+const isGzip = (buffer) => buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+const ARCHIVE_LIMITS = { maxEntries: MAX_ARCHIVE_ENTRIES, maxTotalBytes: MAX_EXPANDED_BYTES };
+
+// Paprika entries are gzip inside the zip - they share the archive's budget
+function gunzipWithin(data, budget) {
+  try {
+    return zlib.gunzipSync(data, { maxOutputLength: Math.max(1, budget) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw Object.assign(new Error(`Recipe file expands to more than ${MAX_EXPANDED_BYTES} bytes`), { code: 'ZIP_LIMIT_EXCEEDED' });
+    }
+    throw error;
+  }
+}
+
+function detectJsonFormat(json) {
+  if (json?.format === 'cartsmash' && Array.isArray(json.recipes)) return 'cartsmash';
+  const items = Array.isArray(json) ? json : json?.items || json?.results || [json];
+  const sample = items.find((x) => x && typeof x === 'object') || {};
+
+  if (collectJSONLDNodes(json).some(isRecipeNode)) return 'schema.org';
+  if (Array.isArray(sample.steps) && ('working_time' in sample || sample.steps.some((s) => 'instruction' in s))) return 'tandoor';
+  if ('recipeIngredient' in sample || 'orgURL' in sample || 'slug' in sample) return 'mealie';
+  if ('directions' in sample && 'ingredients' in sample && typeof sample.ingredients === 'string') return 'paprika';
+  return null;
+}
+
+/**
+ * Work out which format an uploaded file is in
+ * @param {Buffer} buffer
+ * @param {string} [filename]
+ * @returns {string|null}
+ */
+function detectFormat(buffer, filename = '') {
+  const name = filename.toLowerCase();
+  if (/\.paprikarecipes?$/.test(name) || isGzip(buffer)) return 'paprika';
+  if (name.endsWith('.cook')) return 'cooklang';
+  if (/\.(mmf|mm|mmx)$/.test(name)) return 'mealmaster';
+
+  if (isZip(buffer)) {
+    const names = listZip(buffer).map((e) => e.name.toLowerCase());
+    if (names.some((n) => n.endsWith('.paprikarecipe'))) return 'paprika';
+    if (names.some((n) => n.endsWith('.cook'))) return 'cooklang';
+    const jsonName = names.find((n) => n.endsWith('.json'));
+    if (!jsonName) return null;
+    const [json] = readZip(buffer, { ...ARCHIVE_LIMITS, filter: (n) => n.toLowerCase() === jsonName });
+    return json ? detectFormat(json.data, json.name) : null;
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      return detectJsonFormat(JSON.parse(text));
+    } catch {
+      return null;
+    }
+  }
+  if (text.split('\n').some((line) => MM_HEADER.test(line))) return 'mealmaster';
+  if (/^>>\s*\w|@[^\s@]+\{|^---\n[\s\S]*?\n---/m.test(text)) return 'cooklang';
+  return null;
+}
+
+// --- Public API ----------------------------------------------------------------
+
+function jsonItems(json) {
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.items)) return json.items;
+  if (Array.isArray(json?.results)) return json.results;
+  if (Array.isArray(json?.recipes)) return json.recipes;
+  return [json];
+}
+
+/**
+ * Read recipes from an uploaded file
+ * @param {Buffer|string} input - file contents
+ * @param {object} [options]
+ * @param {string} [options.format] - skip detection
+ * @param {string} [options.filename]
+ * @returns {{format: string, recipes: object[], errors: Array<{entry: string, error: string}>}}
+ * @throws when the file is unrecognised, larger than MAX_UPLOAD_BYTES, or an
+ *   archive would expand past MAX_EXPANDED_BYTES / MAX_ARCHIVE_ENTRIES
+ */
+function importRecipes(input, options = {}) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new Error(`Recipe files are limited to ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+  }
+  const filename = options.filename || '';
+  const format = options.format || detectFormat(buffer, filename);
+  if (!format || !FORMATS[format]) {
+    throw new Error(format ? `Unsupported recipe format: ${format}` : 'Could not recognise the recipe file format');
+  }
+
+  const recipes = [];
+  const errors = [];
+  const attempt = (entry, fn) => {
+    try {
+      const result = fn();
+      [].concat(result || []).forEach((partial) => {
+        if (partial && (partial.ingredients?.length || partial.instructions?.length)) {
+          recipes.push(toLibraryRecipe(partial, format));
+        } else {
+          errors.push({ entry, error: 'No ingredients or instructions found' });
+        }
+      });
+    } catch (error) {
+      // One bad entry is reported; an archive over its limits fails the import
+      if (error.code === 'ZIP_LIMIT_EXCEEDED') throw error;
+      errors.push({ entry, error: error.message });
+    }
+  };
+
+  // Archives hold one recipe file per entry; plain files hold one or many
+  const entries = isZip(buffer) ? readZip(buffer, ARCHIVE_LIMITS) : [{ name: filename || 'upload', data: buffer }];
+  let budget = MAX_EXPANDED_BYTES - entries.reduce((sum, entry) => sum + entry.data.length, 0);
+  const text = (data) => data.toString('utf8').replace(/^\uFEFF/, '');
+
+  for (const entry of entries) {
+    switch (format) {
+      case 'paprika':
+        if (isZip(buffer) && !entry.name.toLowerCase().endsWith('.paprikarecipe')) break;
+        attempt(entry.name, () => {
+          const raw = isGzip(entry.data) ? gunzipWithin(entry.data, budget) : entry.data;
+          budget -= raw === entry.data ? 0 : raw.length;
+          return jsonItems(JSON.parse(text(raw))).map(fromPaprika);
+        });
+        break;
+      case 'cooklang':
+        if (isZip(buffer) && !entry.name.toLowerCase().endsWith('.cook')) break;
+        attempt(entry.name, () => fromCooklang(text(entry.data), entry.name));
+        break;
+      case 'mealmaster':
+        attempt(entry.name, () => fromMealMaster(text(entry.data)));
+        break;
+      default: {
+        if (isZip(buffer) && !entry.name.toLowerCase().endsWith('.json')) break;
+        attempt(entry.name, () => {
+          const json = JSON.parse(text(entry.data));
+          if (format === 'cartsmash') return jsonItems(json).map((r) => ({ ...r, instructions: instructionLines(r) }));
+          if (format === 'schema.org') return collectJSONLDNodes(json).filter(isRecipeNode).map(fromSchemaOrg);
+          return jsonItems(json).map(format === 'tandoor' ? fromTandoor : fromMealie);
+        });
+      }
+    }
+  }
+
+  return { format, recipes, errors };
+}
+
+/**
+ * Convert one library recipe to a format's native document (object or text)
+ */
+function convertRecipe(recipe, format) {
+  switch (format) {
+    case 'schema.org': return toSchemaOrg(recipe);
+    case 'paprika': return toPaprika(recipe);
+    case 'mealie': return toMealie(recipe);
+    case 'tandoor': return toTandoor(recipe);
+    case 'cooklang': return toCooklang(recipe);
+    case 'mealmaster': return toMealMaster(recipe);
+    case 'cartsmash': return recipe;
+    default: throw new Error(`Unsupported recipe format: ${format}`);
+  }
+}
+
+/**
+ * Export library recipes as a downloadable file
+ * @returns {{filename: string, contentType: string, data: Buffer, count: number}}
+ */
+function exportRecipes(recipes, format) {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unsupported recipe format: ${format}`);
+
+  const list = [].concat(recipes || []);
+  const base = list.length === 1 ? safeFilename(titleOf(list[0])) : `recipes-${new Date().toISOString().slice(0, 10)}`;
+  const json = (value) => Buffer.from(JSON.stringify(value, null, 2), 'utf8');
+  const unique = (names) => {
+    const seen = {};
+    return names.map((n) => {
+      seen[n] = (seen[n] || 0) + 1;
+      return seen[n] > 1 ? `${n} (${seen[n]})` : n;
+    });
+  };
+
+  let data;
+  let filename = `${base}.${spec.extension}`;
+  let contentType = spec.contentType;
+
+  switch (format) {
+    case 'schema.org': {
+      const docs = list.map(toSchemaOrg);
+      data = json(docs.length === 1
+        ? docs[0]
+        : { '@context': 'https://schema.org', '@graph': docs.map(({ '@context': _, ...rest }) => rest) });
+      break;
+    }
+    case 'paprika': {
+      const names = unique(list.map((r) => safeFilename(titleOf(r))));
+      data = createZip(list.map((r, i) => ({
+        name: `${names[i]}.paprikarecipe`,
+        data: zlib.gzipSync(JSON.stringify(toPaprika(r)))
+      })));
+      break;
+    }
+    case 'cooklang':
+      if (list.length === 1) {
+        data = Buffer.from(toCooklang(list[0]), 'utf8');
+      } else {
+        const names = unique(list.map((r) => safeFilename(titleOf(r))));
+        data = createZip(list.map((r, i) => ({ name: `${names[i]}.cook`, data: toCooklang(r) })));
+        filename = `${base}.zip`;
+        contentType = 'application/zip';
+      }
+      break;
+    case 'mealmaster':
+      data = Buffer.from(list.map(toMealMaster).join('\n'), 'utf8');
+      break;
+    case 'cartsmash':
+      data = json({ format: 'cartsmash', version: 1, exportedAt: new Date().toISOString(), recipes: list });
+      break;
+    default:
+      data = json(list.map((r) => convertRecipe(r, format)));
+  }
+
+  return { filename, contentType, data, count: list.length };
+}
+
+module.exports = {
+  FORMATS,
+  MAX_UPLOAD_BYTES,
+  MAX_EXPANDED_BYTES,
+  MAX_ARCHIVE_ENTRIES,
+  detectFormat,
+  importRecipes,
+  exportRecipes,
+  convertRecipe,
+  parseRecipeLine,
+  formatQuantity
+};
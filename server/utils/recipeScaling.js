@@ -0,0 +1,206 @@
+// server/utils/recipeScaling.js
+// Serving-size scaling for saved (unified) recipes. Quantities are scaled in base
+// units, re-expressed in kitchen-friendly units (48 tsp -> 1 cup), countables stay
+// whole, and ingredients that don't scale linearly (salt, spices, leavening) are flagged.
+
+const { normalizeUnit, isCountableUnit } = require('./unitDictionary');
+const { VOLUME_ML, MASS_G } = require('./unitConversion');
+const { parseRecipeLine, formatQuantity } = require('./recipeFormats');
+
+// Servings assumed when a recipe doesn't say (matches recipeImportService's default)
+const DEFAULT_BASE_SERVINGS = 4;
+const MAX_SERVINGS = 200;
+
+const NON_LINEAR_RULES = [
+  {
+    kind: 'leavening',
+    pattern: /\b(baking soda|baking powder|bicarbonate|yeast|cream of tartar)\b/i,
+    note: 'Leavening does not scale linearly - for large batches use a little less and check the rise'
+  },
+  {
+    kind: 'salt',
+    pattern: /\b(?<!un)salt\b(?!ed)/i,
+    note: 'Scale salt conservatively and season to taste'
+  },
+  {
+    kind: 'spice',
+    pattern: /\b(cayenne|cumin|paprika|cinnamon|nutmeg|allspice|turmeric|coriander|cardamom|curry powder|garam masala|chil(?:i|e|li) (?:powder|flakes)|red pepper flakes|oregano|thyme|rosemary|sage|bay lea(?:f|ves)|extract|hot sauce|sriracha|mustard powder|ground (?:ginger|cloves)|(?:black|white) pepper|peppercorns|five spice|seasoning)\b/i,
+    note: 'Strong spices and extracts rarely need the full multiple - start lower and adjust'
+  }
+];
+
+// Bare "pepper" is a spice, "bell pepper" is produce
+const BARE_PEPPER = /^(?:freshly )?(?:ground )?pepper\b/i;
+
+const PLURAL_UNITS = {
+  cup: 'cups', pt: 'pints', qt: 'quarts', gal: 'gallons', clove: 'cloves', can: 'cans', jar: 'jars',
+  package: 'packages', bottle: 'bottles', stick: 'sticks', bunch: 'bunches', slice: 'slices', head: 'heads',
+  pinch: 'pinches', dash: 'dashes', sprig: 'sprigs'
+};
+const SINGULAR_LABELS = { floz: 'fl oz', pt: 'pint', qt: 'quart', gal: 'gallon' };
+
+function unitLabel(unit, quantity) {
+  if (!unit || unit === 'count') return '';
+  if (quantity > 1 && PLURAL_UNITS[unit]) return PLURAL_UNITS[unit];
+  return SINGULAR_LABELS[unit] || unit;
+}
+
+// Nearest kitchen fraction: eighths and thirds
+function roundToKitchenFraction(value, smallest = 1 / 8) {
+  const candidates = [];
+  const whole = Math.floor(value);
+  for (const den of [8, 3]) {
+    for (let num = 0; num <= den; num++) candidates.push(whole + num / den);
+  }
+  const best = candidates.reduce((a, b) => (Math.abs(b - value) < Math.abs(a - value) ? b : a));
+  return Math.max(best, smallest);
+}
+
+const roundTo = (value, step) => Math.max(step, Math.round(value / step) * step);
+
+/**
+ * Re-express a volume in the unit a cook would reach for
+ */
+function kitchenVolume(ml, originalUnit) {
+  if (originalUnit === 'ml' || originalUnit === 'l') {
+    return ml >= 1000
+      ? { quantity: Math.round((ml / 1000) * 100) / 100, unit: 'l' }
+      : { quantity: roundTo(ml, ml > 50 ? 5 : 1), unit: 'ml' };
+  }
+  // Big-container units stay put once the amount still fills one
+  if (['pt', 'qt', 'gal', 'floz'].includes(originalUnit) && ml / VOLUME_ML[originalUnit] >= 1) {
+    return { quantity: roundToKitchenFraction(ml / VOLUME_ML[originalUnit], 1 / 4), unit: originalUnit };
+  }
+
+  const cups = ml / VOLUME_ML.cup;
+  if (cups >= 0.25) return { quantity: roundToKitchenFraction(cups), unit: 'cup' };
+  const tbsp = ml / VOLUME_ML.tbsp;
+  if (tbsp >= 1) return { quantity: roundTo(tbsp, 0.5), unit: 'tbsp' };
+  return { quantity: roundToKitchenFraction(ml / VOLUME_ML.tsp), unit: 'tsp' };
+}
+
+function kitchenMass(grams, originalUnit) {
+  if (originalUnit === 'g' || originalUnit === 'kg') {
+    return grams >= 1000
+      ? { quantity: Math.round((grams / 1000) * 100) / 100, unit: 'kg' }
+      : { quantity: roundTo(grams, grams > 100 ? 5 : 1), unit: 'g' };
+  }
+  const pounds = grams / MASS_G.lb;
+  if (pounds >= 1) return { quantity: roundTo(pounds, 0.25), unit: 'lb' };
+  return { quantity: roundTo(grams / MASS_G.oz, 0.5), unit: 'oz' };
+}
+
+function nonLinearRule(item) {
+  if (BARE_PEPPER.test(item)) return NON_LINEAR_RULES.find((r) => r.kind === 'spice');
+  return NON_LINEAR_RULES.find((r) => r.pattern.test(item)) || null;
+}
+
+// Quantity/unit/item for a library ingredient, whichever shape it was saved in
+function readIngredient(ing) {
+  if (typeof ing === 'string') return parseRecipeLine(ing);
+
+  const quantity = typeof ing.quantity === 'object' && ing.quantity !== null
+    ? ing.quantity.max ?? ing.quantity.min ?? null
+    : ing.quantity;
+  if (Number.isFinite(Number(quantity)) && quantity !== null && quantity !== '' && ing.item) {
+    return { quantity: Number(quantity), unit: ing.unit, item: ing.item, original: ing.original || '' };
+  }
+  return parseRecipeLine(ing.original || ing.item || ing.name || '');
+}
+
+/**
+ * Scale one ingredient by a factor
+ * @returns {object} the ingredient with quantity/unit/original rewritten and
+ *   scaling metadata (scaledFrom, nonLinear, scalingNote)
+ */
+function scaleIngredient(ing, factor) {
+  const base = typeof ing === 'string' ? { original: ing } : ing;
+  const { quantity, unit: rawUnit, item, original } = readIngredient(ing);
+
+  // "Salt to taste", "Oil for frying" - nothing to scale
+  if (quantity == null || !item) {
+    return { ...base, scaled: false };
+  }
+
+  const unit = normalizeUnit(rawUnit) || (rawUnit && rawUnit !== 'as needed' ? String(rawUnit).toLowerCase() : null);
+  const raw = quantity * factor;
+  let scaled;
+
+  if (unit && VOLUME_ML[unit]) {
+    scaled = kitchenVolume(raw * VOLUME_ML[unit], unit);
+  } else if (unit && MASS_G[unit]) {
+    scaled = kitchenMass(raw * MASS_G[unit], unit);
+  } else if (!unit || isCountableUnit(unit)) {
+    // Eggs, cans, cloves: whole numbers only
+    scaled = { quantity: Math.max(1, Math.round(raw)), unit: unit || null };
+  } else {
+    // pinch, dash, sprig and other free-form units
+    scaled = { quantity: roundToKitchenFraction(raw, 1 / 4), unit };
+  }
+
+  const rule = factor !== 1 ? nonLinearRule(item) : null;
+  const notes = [];
+  if (rule) notes.push(rule.note);
+  if (Math.abs(scaled.quantity - raw) / raw > 0.15 && (!unit || isCountableUnit(unit))) {
+    notes.push(`Rounded from ${formatQuantity(Math.round(raw * 100) / 100)}`);
+  }
+
+  const text = [formatQuantity(scaled.quantity), unitLabel(scaled.unit, scaled.quantity), item]
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    ...base,
+    quantity: scaled.quantity,
+    unit: scaled.unit,
+    item,
+    original: text,
+    scaled: true,
+    scaledFrom: { quantity, unit: rawUnit || null, original: original || base.original || null },
+    ...(rule ? { nonLinear: rule.kind } : {}),
+    ...(notes.length ? { scalingNote: notes.join('. ') } : {})
+  };
+}
+
+/**
+ * Scale a unified recipe to a new number of servings
+ * @param {object} recipe - library recipe ({ servings, ingredients, ... })
+ * @param {number} targetServings
+ * @param {object} [options]
+ * @param {number} [options.baseServings] - override the recipe's own servings
+ * @returns {{recipe: object, factor: number, baseServings: number, warnings: Array}}
+ */
+function scaleRecipe(recipe, targetServings, options = {}) {
+  const target = Number(targetServings);
+  if (!Number.isFinite(target) || target <= 0 || target > MAX_SERVINGS) {
+    throw new Error(`Servings must be between 1 and ${MAX_SERVINGS}`);
+  }
+
+  const baseServings = Number(options.baseServings) || Number(recipe.servings) ||
+    Number(recipe.yield?.servings) || DEFAULT_BASE_SERVINGS;
+  const factor = target / baseServings;
+  const ingredients = (recipe.ingredients || []).map((ing) => scaleIngredient(ing, factor));
+
+  const warnings = ingredients
+    .filter((ing) => ing.scalingNote)
+    .map((ing) => ({ item: ing.item, kind: ing.nonLinear || 'rounded', note: ing.scalingNote }));
+
+  return {
+    recipe: {
+      ...recipe,
+      servings: target,
+      ingredients,
+      scaling: { baseServings, factor: Math.round(factor * 1000) / 1000 }
+    },
+    factor,
+    baseServings,
+    warnings
+  };
+}
+
+module.exports = {
+  scaleRecipe,
+  scaleIngredient,
+  DEFAULT_BASE_SERVINGS,
+  MAX_SERVINGS
+};
@@ -1,6 +1,7 @@
 // server/utils/recipeScraper.js
 // Recipe scraper for extracting structured recipe data from URLs
 const cheerio = require('cheerio');
+const { getAdaptersFor } = require('./recipeSiteAdapters');
 
 const ua = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119 Safari/537.36";
 
@@ -28,6 +29,9 @@ const clean = (s) =>
 
 const uniq = (arr) => [...new Set(arr.map(clean))].filter(Boolean);
 
+// Pages fetched at most when a recipe is split across "next page" links
+const MAX_RECIPE_PAGES = 5;
+
 // JSON.parse but tolerant of leading/trailing junk
 function tryParseJSON(text) {
   try {
@@ -70,6 +74,47 @@ function flattenInstructions(instr) {
   return out;
 }
 
+// Group HowToSection instructions ("For the sauce", "For the dough") by name.
+// Returns [] when the instructions are not sectioned.
+function instructionSections(instr) {
+  const nodes = [].concat(instr || []);
+  const isSection = (node) =>
+    node && typeof node === "object" &&
+    [].concat(node["@type"] || []).some((t) => String(t).toLowerCase() === "howtosection");
+
+  if (!nodes.some(isSection)) return [];
+
+  return nodes
+    .map((node) => ({
+      name: isSection(node) ? clean(node.name) : "",
+      steps: uniq(flattenInstructions(isSection(node) ? node.itemListElement : node)),
+    }))
+    .filter((section) => section.steps.length);
+}
+
+// Walk a JSON-LD document and collect every node, including nested @graph
+// arrays, mainEntity / mainEntityOfPage wrappers and hasPart lists
+function collectJSONLDNodes(json, out = [], depth = 0) {
+  if (!json || depth > 6) return out;
+  if (Array.isArray(json)) {
+    json.forEach((node) => collectJSONLDNodes(node, out, depth));
+    return out;
+  }
+  if (typeof json !== "object") return out;
+
+  out.push(json);
+  ["@graph", "mainEntity", "mainEntityOfPage", "hasPart", "itemListElement"].forEach((key) => {
+    if (json[key] && typeof json[key] === "object") {
+      collectJSONLDNodes(json[key], out, depth + 1);
+    }
+  });
+  // ItemList entries wrap the recipe in { item: {...} }
+  if (json.item && typeof json.item === "object") {
+    collectJSONLDNodes(json.item, out, depth + 1);
+  }
+  return out;
+}
+
 // Prefer the most complete of multiple candidates
 function pickBestRecipe(candidates, url = '') {
   if (!candidates.length) return null;
@@ -120,27 +165,15 @@ function extractFromJSONLD($, url = '') {
     const json = tryParseJSON($(el).contents().text());
     if (!json) return;
 
-    const nodes = [];
-    if (Array.isArray(json)) nodes.push(...json);
-    else if (json["@graph"]) nodes.push(...json["@graph"]);
-    else nodes.push(json);
-
-    nodes.forEach((node) => {
+    collectJSONLDNodes(json).forEach((node) => {
       const types = []
         .concat(node["@type"] || [])
         .map((t) => (typeof t === "string" ? t.toLowerCase() : ""))
         .filter(Boolean);
 
-      if (types.includes("recipe")) {
+      if (types.includes("recipe") && !candidates.includes(node)) {
         candidates.push(node);
       }
-      if (node.mainEntity) {
-        const me = node.mainEntity;
-        const meTypes = []
-          .concat(me["@type"] || [])
-          .map((t) => (typeof t === "string" ? t.toLowerCase() : ""));
-        if (meTypes.includes("recipe")) candidates.push(me);
-      }
     });
   });
 
@@ -152,11 +185,13 @@ function extractFromJSONLD($, url = '') {
   );
 
   const instructions = uniq(flattenInstructions(chosen.recipeInstructions));
+  const sections = instructionSections(chosen.recipeInstructions);
 
   return {
     title: clean(chosen.name),
     ingredients,
     steps: instructions,
+    ...(sections.length ? { instructionSections: sections } : {}),
     yields: clean(
       chosen.recipeYield?.toString
         ? chosen.recipeYield.toString()
@@ -190,7 +225,7 @@ function extractFromMicrodata($) {
     .map((_, el) => {
       const $el = $(el);
       const li = $el.find("li").map((__, liEl) => $(liEl).text()).get();
-      if (li.length) return li.join("\n");
+      if (li.length) return li;
       return $el.text();
     })
     .get();
@@ -285,42 +320,203 @@ function extractHeuristic($) {
   };
 }
 
+// --- Site adapters, alternate views and pagination ---------------------------
+
+const isComplete = (r) => !!(r?.ingredients?.length && r?.steps?.length);
+
+const absoluteUrl = (href, base) => {
+  if (!href) return null;
+  try {
+    return new URL(href, base).toString();
+  } catch {
+    return null;
+  }
+};
+
+async function defaultFetchPage(url) {
+  const res = await fetch(url, {
+    headers: {
+      "user-agent": ua,
+      accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
+    },
+  });
+
+  if (!res.ok) {
+    throw new Error(`Fetch failed (${res.status}) for ${url}`);
+  }
+
+  return res.text();
+}
+
+/**
+ * Run every extractor against one parsed page and return the first complete
+ * result, or the most useful partial one (so split pages can be merged)
+ */
+function extractFromDocument($, url = "") {
+  const attempts = [];
+
+  for (const adapter of getAdaptersFor(url, $)) {
+    try {
+      const byAdapter = adapter.extract($, url);
+      if (byAdapter) attempts.push({ recipe: byAdapter, method: `adapter:${adapter.name}` });
+      if (isComplete(byAdapter)) break;
+    } catch (error) {
+      console.warn(`⚠️ Recipe adapter ${adapter.name} failed for ${url}:`, error.message);
+    }
+  }
+
+  if (!attempts.some((a) => isComplete(a.recipe))) {
+    const byJSON = extractFromJSONLD($, url);
+    if (byJSON) attempts.push({ recipe: byJSON, method: "json-ld" });
+  }
+  if (!attempts.some((a) => isComplete(a.recipe))) {
+    const byMicro = extractFromMicrodata($);
+    if (byMicro) attempts.push({ recipe: byMicro, method: "microdata" });
+  }
+  if (!attempts.some((a) => isComplete(a.recipe))) {
+    const byHeur = extractHeuristic($);
+    if (byHeur) attempts.push({ recipe: byHeur, method: "heuristic" });
+  }
+
+  const complete = attempts.find((a) => isComplete(a.recipe));
+  if (complete) return complete;
+
+  const size = (r) => (r.ingredients?.length || 0) + (r.steps?.length || 0);
+  return attempts.sort((a, b) => size(b.recipe) - size(a.recipe))[0] || null;
+}
+
+/**
+ * Extract a recipe from an HTML string - no network access
+ */
+function extractFromHtml(html, url = "") {
+  const result = extractFromDocument(cheerio.load(html), url);
+  return result ? { ...result.recipe, extractionMethod: result.method } : null;
+}
+
+// AMP and printer-friendly versions usually carry clean markup or JSON-LD
+function findAlternateViews($, url) {
+  const views = [];
+
+  const amp = absoluteUrl($('link[rel="amphtml"]').attr("href"), url);
+  if (amp) views.push({ url: amp, kind: "amp" });
+
+  for (const adapter of getAdaptersFor(url, $)) {
+    const print = typeof adapter.printUrl === "function" ? adapter.printUrl($, url) : null;
+    if (print) views.push({ url: print, kind: "print" });
+  }
+
+  $('a[href*="print"], link[rel="alternate"][media="print"]').each((_, el) => {
+    const $el = $(el);
+    const href = $el.attr("href") || "";
+    const label = clean($el.text()) || clean($el.attr("title")) || clean($el.attr("aria-label"));
+    if (/\bprint\b/i.test(label) || /\/print\/|[?&]print=|\/wprm_print\/|printview|print-recipe/i.test(href)) {
+      const printUrl = absoluteUrl(href, url);
+      if (printUrl) views.push({ url: printUrl, kind: "print" });
+    }
+  });
+
+  const seen = new Set([url]);
+  return views.filter((view) => !seen.has(view.url) && seen.add(view.url));
+}
+
+function findNextPage($, url) {
+  for (const adapter of getAdaptersFor(url, $)) {
+    const next = typeof adapter.nextPageUrl === "function" ? adapter.nextPageUrl($, url) : null;
+    if (next) return next;
+  }
+
+  const href =
+    $('link[rel="next"]').attr("href") ||
+    $('a[rel="next"]').attr("href") ||
+    $(".pagination a.next, .page-numbers.next, a.next-page, .post-page-numbers.next").attr("href");
+  return absoluteUrl(href, url);
+}
+
+// Combine the pieces of a recipe that spans several pages
+function mergeRecipePages(pages) {
+  const base = pages.find((p) => p.title) || pages[0];
+  const pick = (field) => pages.map((p) => p[field]).find(Boolean) || "";
+
+  return {
+    ...base,
+    title: base.title,
+    ingredients: uniq(pages.flatMap((p) => p.ingredients || [])),
+    steps: uniq(pages.flatMap((p) => p.steps || [])),
+    yields: pick("yields"),
+    totalTime: pick("totalTime"),
+    prepTime: pick("prepTime"),
+    cookTime: pick("cookTime"),
+  };
+}
+
 // --- Main extractor ----------------------------------------------------------
 
-async function extractRecipe(url) {
+/**
+ * @param {string} url
+ * @param {object} [options]
+ * @param {function} [options.fetchPage] - (url) => Promise<html>; lets fixtures run offline
+ */
+async function extractRecipe(url, options = {}) {
   console.log(`🌐 Scraping recipe from: ${url}`);
+  const fetchPage = options.fetchPage || defaultFetchPage;
   
   try {
-    const res = await fetch(url, {
-      headers: {
-        "user-agent": ua,
-        accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
-      },
-    });
-    
-    if (!res.ok) {
-      throw new Error(`Fetch failed (${res.status}) for ${url}`);
-    }
-    
-    const html = await res.text();
+    const html = await fetchPage(url);
     const $ = cheerio.load(html);
 
-    const byJSON = extractFromJSONLD($, url);
-    if (byJSON?.ingredients?.length && byJSON?.steps?.length) {
-      console.log(`✅ Recipe extracted via JSON-LD: ${byJSON.title}`);
-      return byJSON;
+    let result = extractFromDocument($, url);
+    const sourceUrls = [url];
+
+    // Recipes split across pages: keep following "next" until we have both halves
+    if (!isComplete(result?.recipe)) {
+      const pages = result ? [result.recipe] : [];
+      let next$ = $;
+      let nextUrl = findNextPage($, url);
+
+      while (nextUrl && !sourceUrls.includes(nextUrl) && sourceUrls.length < MAX_RECIPE_PAGES) {
+        try {
+          next$ = cheerio.load(await fetchPage(nextUrl));
+        } catch (pageError) {
+          console.warn(`⚠️ Could not fetch recipe page ${nextUrl}:`, pageError.message);
+          break;
+        }
+        sourceUrls.push(nextUrl);
+
+        const pageResult = extractFromDocument(next$, nextUrl);
+        if (pageResult) pages.push(pageResult.recipe);
+        if (isComplete(mergeRecipePages(pages))) break;
+
+        nextUrl = findNextPage(next$, nextUrl);
+      }
+
+      if (pages.length > 1) {
+        result = { recipe: mergeRecipePages(pages), method: `${result?.method || "heuristic"}+pages` };
+      }
     }
 
-    const byMicro = extractFromMicrodata($);
-    if (byMicro?.ingredients?.length && byMicro?.steps?.length) {
-      console.log(`✅ Recipe extracted via Microdata: ${byMicro.title}`);
-      return byMicro;
+    // AMP and print views of the same recipe
+    if (!isComplete(result?.recipe)) {
+      for (const view of findAlternateViews($, url)) {
+        try {
+          const viewResult = extractFromDocument(cheerio.load(await fetchPage(view.url)), view.url);
+          if (isComplete(viewResult?.recipe)) {
+            result = { recipe: viewResult.recipe, method: `${view.kind}:${viewResult.method}` };
+            sourceUrls.push(view.url);
+            break;
+          }
+        } catch (viewError) {
+          console.warn(`⚠️ Could not use ${view.kind} view ${view.url}:`, viewError.message);
+        }
+      }
     }
 
-    const byHeur = extractHeuristic($);
-    if (byHeur) {
-      console.log(`✅ Recipe extracted via Heuristics: ${byHeur.title}`);
-      return byHeur;
+    if (result && (result.recipe.ingredients?.length || result.recipe.steps?.length)) {
+      console.log(`✅ Recipe extracted via ${result.method}: ${result.recipe.title}`);
+      return {
+        ...result.recipe,
+        extractionMethod: result.method,
+        ...(sourceUrls.length > 1 ? { sourceUrls } : {})
+      };
     }
 
     // If all methods fail, return a minimal fallback recipe
@@ -390,6 +586,11 @@ function toCartSmashFormat(r) {
 
 module.exports = {
   extractRecipe,
+  extractFromHtml,
   toMarkdown,
-  toCartSmashFormat
+  toCartSmashFormat,
+  // Shared with the recipe interchange formats (utils/recipeFormats.js)
+  collectJSONLDNodes,
+  flattenInstructions,
+  instructionSections
 };
\ No newline at end of file
@@ -0,0 +1,249 @@
+// server/utils/recipeSiteAdapters.js
+// Per-site recipe extraction adapters used by recipeScraper.js before the generic
+// JSON-LD / microdata / heuristic extractors.
+//
+// An adapter looks like:
+//   {
+//     name: 'allrecipes',
+//     domains: ['allrecipes.com'],          // matched against the URL hostname (subdomains included)
+//     detect: ($) => boolean,               // optional - for plugins that appear on any domain
+//     extract: ($, url) => recipe | null,   // { title, ingredients, steps, yields, ... }
+//     printUrl: ($, url) => string | null,  // optional - printer-friendly page
+//     nextPageUrl: ($, url) => string | null // optional - next page of a split recipe
+//   }
+
+const clean = (s) =>
+  (s || "")
+    .toString()
+    .replace(/\s+/g, " ")
+    .replace(/\u00A0/g, " ")
+    .trim();
+
+const uniq = (arr) => [...new Set(arr.map(clean))].filter(Boolean);
+
+const texts = ($, selector) => uniq($(selector).map((_, el) => $(el).text()).get());
+
+const absolute = (href, base) => {
+  if (!href) return null;
+  try {
+    return new URL(href, base).toString();
+  } catch {
+    return null;
+  }
+};
+
+// Build a recipe from selectors - the shape every adapter returns
+function selectRecipe($, selectors) {
+  const ingredients = texts($, selectors.ingredients);
+  const steps = texts($, selectors.steps);
+  if (!ingredients.length && !steps.length) return null;
+
+  return {
+    title: clean($(selectors.title || "h1").first().text()) ||
+      clean($('meta[property="og:title"]').attr("content")),
+    ingredients,
+    steps,
+    yields: selectors.yields ? clean($(selectors.yields).first().text()) : "",
+    totalTime: selectors.totalTime ? clean($(selectors.totalTime).first().text()) : "",
+    prepTime: selectors.prepTime ? clean($(selectors.prepTime).first().text()) : "",
+    cookTime: selectors.cookTime ? clean($(selectors.cookTime).first().text()) : "",
+  };
+}
+
+// --- Built-in adapters -------------------------------------------------------
+
+// Dotdash Meredith sites share the "mntl" component markup
+const dotdashMeredith = {
+  name: "dotdash-meredith",
+  domains: [
+    "allrecipes.com",
+    "seriouseats.com",
+    "simplyrecipes.com",
+    "eatingwell.com",
+    "foodandwine.com",
+    "marthastewart.com",
+    "bhg.com",
+  ],
+  extract: ($) =>
+    selectRecipe($, {
+      title: "h1.article-heading, h1",
+      ingredients: ".mntl-structured-ingredients__list-item, .structured-ingredients__list-item",
+      steps: "#mntl-sc-block_2-0 li p, .mntl-sc-block-group--OL li p, .structured-project__steps li p",
+      yields: ".mntl-recipe-details__item:contains('Servings') .mntl-recipe-details__value",
+      totalTime: ".mntl-recipe-details__item:contains('Total Time') .mntl-recipe-details__value",
+      prepTime: ".mntl-recipe-details__item:contains('Prep Time') .mntl-recipe-details__value",
+      cookTime: ".mntl-recipe-details__item:contains('Cook Time') .mntl-recipe-details__value",
+    }),
+};
+
+const foodNetwork = {
+  name: "foodnetwork",
+  domains: ["foodnetwork.com"],
+  extract: ($) =>
+    selectRecipe($, {
+      title: "h1.o-AssetTitle__a-Headline, h1",
+      ingredients: ".o-Ingredients__a-Ingredient--CheckboxLabel:not(:contains('Deselect All'))",
+      steps: ".o-Method__m-Step",
+      yields: ".o-RecipeInfo__a-Description:contains('serving'), .o-RecipeInfo__m-Yield .o-RecipeInfo__a-Description",
+      totalTime: ".o-RecipeInfo__a-Description.m-RecipeInfo__a-Description--Total",
+    }),
+};
+
+const nytCooking = {
+  name: "nyt-cooking",
+  domains: ["cooking.nytimes.com"],
+  extract: ($) =>
+    selectRecipe($, {
+      title: "h1",
+      ingredients: "[class*='ingredient_ingredient']",
+      steps: "[class*='preparation_step'] p, [class*='preparation_stepContent']",
+      yields: "[class*='ingredients_recipeYield'] span:last-child",
+    }),
+};
+
+const bbcGoodFood = {
+  name: "bbcgoodfood",
+  domains: ["bbcgoodfood.com"],
+  extract: ($) =>
+    selectRecipe($, {
+      title: "h1",
+      ingredients: ".recipe__ingredients li",
+      steps: ".recipe__method-steps li .editor-content, .recipe__method-steps li",
+      yields: ".recipe__cook-and-prep .icon-with-text__children:contains('Serves')",
+    }),
+};
+
+const tasty = {
+  name: "tasty",
+  domains: ["tasty.co"],
+  extract: ($) =>
+    selectRecipe($, {
+      title: "h1.recipe-name, h1",
+      ingredients: ".ingredients__section li.ingredient, .ingredient",
+      steps: ".prep-steps li",
+      yields: ".servings-display",
+    }),
+};
+
+const foodCom = {
+  name: "food.com",
+  domains: ["food.com"],
+  extract: ($) =>
+    selectRecipe($, {
+      title: "h1",
+      ingredients: ".ingredient-list li, [class*='ingredient-text']",
+      steps: ".direction-list li, .direction-list__item",
+      yields: ".recipe-facts__servings .value",
+    }),
+};
+
+const hearstBrands = {
+  name: "hearst",
+  domains: ["delish.com", "goodhousekeeping.com", "thepioneerwoman.com", "womansday.com"],
+  extract: ($) =>
+    selectRecipe($, {
+      title: "h1",
+      ingredients: ".ingredient-lists li, ul.ingredient-lists li",
+      steps: ".directions li, ol.directions li",
+      yields: ".yields-amount",
+    }),
+};
+
+// WordPress Recipe Maker plugin - used by a huge number of food blogs
+const wordpressRecipeMaker = {
+  name: "wprm",
+  detect: ($) => $(".wprm-recipe-container, .wprm-recipe").length > 0,
+  extract: ($) =>
+    selectRecipe($, {
+      title: ".wprm-recipe-name",
+      ingredients: ".wprm-recipe-ingredient",
+      steps: ".wprm-recipe-instruction-text",
+      yields: ".wprm-recipe-servings",
+      totalTime: ".wprm-recipe-total_time-container .wprm-recipe-time",
+      prepTime: ".wprm-recipe-prep_time-container .wprm-recipe-time",
+      cookTime: ".wprm-recipe-cook_time-container .wprm-recipe-time",
+    }),
+  printUrl: ($, url) =>
+    absolute($("a.wprm-recipe-print, a[href*='/wprm_print/']").first().attr("href"), url),
+};
+
+// Tasty Recipes plugin (WP) - the other common blog recipe card
+const tastyRecipesPlugin = {
+  name: "tasty-recipes",
+  detect: ($) => $(".tasty-recipes").length > 0,
+  extract: ($) =>
+    selectRecipe($, {
+      title: ".tasty-recipes-title, .tasty-recipes h2",
+      ingredients: ".tasty-recipes-ingredients li",
+      steps: ".tasty-recipes-instructions li",
+      yields: ".tasty-recipes-yield",
+      totalTime: ".tasty-recipes-total-time",
+      prepTime: ".tasty-recipes-prep-time",
+      cookTime: ".tasty-recipes-cook-time",
+    }),
+  printUrl: ($, url) =>
+    absolute($("a.tasty-recipes-print-button, a[href*='tasty-recipes-print']").first().attr("href"), url),
+};
+
+// --- Registry ----------------------------------------------------------------
+
+const adapters = [];
+
+function registerAdapter(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.extract !== "function") {
+    throw new Error("Recipe adapters need a name and an extract($, url) function");
+  }
+  if (!adapter.domains && typeof adapter.detect !== "function") {
+    throw new Error(`Recipe adapter "${adapter.name}" needs domains or a detect($) function`);
+  }
+
+  const existing = adapters.findIndex((a) => a.name === adapter.name);
+  if (existing >= 0) adapters.splice(existing, 1, adapter);
+  else adapters.push(adapter);
+  return adapter;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Adapters that apply to a page - domain matches first, then plugin detectors
+ */
+function getAdaptersFor(url, $) {
+  const host = hostnameOf(url);
+  const byDomain = adapters.filter((a) =>
+    (a.domains || []).some((d) => host === d || host.endsWith(`.${d}`))
+  );
+  const byDetect = $
+    ? adapters.filter((a) => !byDomain.includes(a) && typeof a.detect === "function" && a.detect($))
+    : [];
+  return [...byDomain, ...byDetect];
+}
+
+function listAdapters() {
+  return adapters.map((a) => ({ name: a.name, domains: a.domains || [], detects: typeof a.detect === "function" }));
+}
+
+[
+  dotdashMeredith,
+  foodNetwork,
+  nytCooking,
+  bbcGoodFood,
+  tasty,
+  foodCom,
+  hearstBrands,
+  wordpressRecipeMaker,
+  tastyRecipesPlugin,
+].forEach(registerAdapter);
+
+module.exports = {
+  registerAdapter,
+  getAdaptersFor,
+  listAdapters,
+  selectRecipe
+};
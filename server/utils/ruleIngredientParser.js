@@ -0,0 +1,309 @@
+// server/utils/ruleIngredientParser.js
+// Deterministic, offline ingredient parser - server port of client/src/utils/ingredientParser.ts.
+// Used as the fallback engine when no AI client is configured or the AI call fails.
+
+const { NUMBER_WORDS, normalizeUnit } = require('./unitDictionary');
+const { canonicalItemName, categorizeWithMatch, singularizeBasic } = require('./foodCategories');
+
+const UNICODE_FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1/3, '⅔': 2/3, '⅛': 1/8, '⅜': 3/8, '⅝': 5/8, '⅞': 7/8 };
+
+function normalizeFractions(s) {
+  return s
+    // "1 ½" / "1½" -> "1.5" so mixed numbers survive as one token
+    .replace(/(\d+)\s*([¼½¾⅓⅔⅛⅜⅝⅞])/g, (_, whole, frac) => String(parseInt(whole, 10) + UNICODE_FRACTIONS[frac]))
+    .replace(/[¼½¾⅓⅔⅛⅜⅝⅞]/g, (m) => String(UNICODE_FRACTIONS[m] ?? m));
+}
+
+function parseNumberToken(token) {
+  const t = token.trim().toLowerCase();
+  if (NUMBER_WORDS[t] != null) return NUMBER_WORDS[t];
+  if (/^\d+\.\d+$/.test(t)) return parseFloat(t);
+  if (/^\d+$/.test(t)) return parseInt(t, 10);
+  if (/^\d+\s+\d+\/\d+$/.test(t)) {
+    const [a, frac] = t.split(/\s+/);
+    const [n, d] = frac.split('/').map(Number);
+    return parseInt(a, 10) + (n / d);
+  }
+  if (/^\d+\/\d+$/.test(t)) {
+    const [n, d] = t.split('/').map(Number);
+    return n / d;
+  }
+  return undefined;
+}
+
+// Decimals, mixed numbers and fractions are tried before whole numbers so "0.5"
+// and "1/2" are not read as "0" and "1"
+const QTY_RE = /^(?<qty>(?:\d+\.\d+|\d+\s+\d+\/\d+|\d*\/\d+|\d+)(?:\s*(?:–|-|to)\s*(?:\d+\.\d+|\d+\s+\d+\/\d+|\d*\/\d+|\d+))?)/i;
+const CONTAINER_RE = /\((?<size>\d+(?:\.\d+)?)\s*(?<unit>oz|fl oz|g|kg|ml|l)\)\s*(?<kind>can|jar|package|bottle)s?/i;
+const NOTES_RE = /(to taste|optional|divided|for\s+serving|plus\s+more\b[^,]*)/i;
+
+const QUALIFIERS = ['large','small','medium','ripe','fresh','boneless','skinless','freshly ground','packed','softened','room temperature'];
+const PREP_FORMS = ['chopped','minced','diced','sliced','thinly sliced','zested','peeled','grated','shredded','softened','melted','beaten','separated'];
+
+const CONTAINER_UNITS = ['can', 'jar', 'package', 'bottle'];
+const COUNTABLE_NOUNS = ['egg','eggs','clove','cloves','bunch','bunches','stick','sticks','head','heads','slice','slices'];
+
+function splitIntoSections(lines) {
+  const blocks = [];
+  let current = { lines: [] };
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+    const isSection = /^(for\s+.+?):?$/i.test(line);
+    if (isSection) {
+      if (current.lines.length) blocks.push(current);
+      current = { section: line.replace(/:$/, ''), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.length) blocks.push(current);
+  return blocks;
+}
+
+function extractBrandAndItem(remainder) {
+  // Very lightweight brand heuristic: Capitalized token(s) before a lowercase streak
+  const tokens = remainder.split(/\s+/);
+  const brandTokens = [];
+  while (tokens.length && /^[A-Z][a-zA-Z]+$/.test(tokens[0])) {
+    brandTokens.push(tokens.shift());
+    if (tokens.length && /^[a-z]/.test(tokens[0])) break;
+  }
+  return {
+    brand: brandTokens.length ? brandTokens.join(' ') : undefined,
+    itemText: tokens.join(' ')
+  };
+}
+
+// Pull leading qualifiers ("large", "boneless skinless") off the item text
+function stripLeadingQualifiers(text, qualifiers) {
+  let rest = text;
+  let found = true;
+  while (found) {
+    found = false;
+    for (const q of QUALIFIERS) {
+      const re = new RegExp(`^${q}\\b,?\\s*`, 'i');
+      if (re.test(rest)) {
+        qualifiers.push(q);
+        rest = rest.replace(re, '');
+        found = true;
+      }
+    }
+  }
+  return rest;
+}
+
+function singularizePhrase(phrase) {
+  return phrase.split(/\s+/).map(singularizeBasic).join(' ');
+}
+
+function consumeUnit(head, consumed) {
+  const after = head.slice(consumed).trim();
+  const unit = normalizeUnit(after.split(/\s+/)[0]);
+  if (!unit) return { consumed };
+  return { unit, consumed: consumed + head.slice(consumed).match(/^\s*\S+/)[0].length };
+}
+
+function parseQuantityAndUnit(head) {
+  const m = head.match(QTY_RE);
+  if (m && m.groups) {
+    const q = m.groups.qty;
+    const norm = normalizeFractions(q);
+    let min;
+    let max;
+    if (/(–|-|to)/.test(norm)) {
+      const [a, b] = norm.split(/\s*(?:–|-|to)\s*/);
+      min = parseNumberToken(a);
+      max = parseNumberToken(b);
+    } else {
+      min = parseNumberToken(norm);
+    }
+    return { qty: { min, max }, ...consumeUnit(head, q.length) };
+  }
+
+  // Try number word (e.g., "two")
+  const word = head.split(/\s+/)[0].toLowerCase();
+  if (NUMBER_WORDS[word]) {
+    return { qty: { min: NUMBER_WORDS[word] }, ...consumeUnit(head, word.length) };
+  }
+
+  return { consumed: 0 };
+}
+
+function splitSaltPepper(line, base) {
+  // 'salt and pepper' or 'salt & pepper'
+  if (/(salt)\s*(?:and|&)\s*(pepper)/i.test(line)) {
+    return [
+      { ...base, item: 'salt', toTaste: true, category: 'pantry' },
+      { ...base, item: 'black pepper', toTaste: true, category: 'pantry' }
+    ];
+  }
+  return [base];
+}
+
+/**
+ * Parse one recipe/grocery line into structured ingredients.
+ * Returns an array because "salt and pepper" yields two items.
+ */
+function parseIngredientLine(rawInput, section) {
+  // Pre-clean
+  let raw = String(rawInput || '').replace(/^[-•\s]+/, '').replace(/[–—]/g, '-').trim();
+  raw = normalizeFractions(raw);
+
+  const notes = [];
+  const forms = [];
+  const qualifiers = [];
+  let alternatives;
+  let toTaste = false;
+  let estimated = false;
+
+  // Pull container info early (parenthetical size)
+  let container;
+  const cont = raw.match(CONTAINER_RE);
+  if (cont && cont.groups) {
+    container = {
+      size: { value: parseFloat(cont.groups.size), unit: cont.groups.unit.toLowerCase() },
+      kind: cont.groups.kind.toLowerCase()
+    };
+  }
+
+  // Extract qty + unit from the beginning
+  const { qty, unit, consumed } = parseQuantityAndUnit(raw);
+
+  let rest = consumed ? raw.slice(consumed).trim() : raw;
+  if (unit && CONTAINER_UNITS.includes(unit)) {
+    if (!container) container = { kind: unit };
+    if (qty?.min != null) container.count = qty.min;
+  }
+  if (container && cont) {
+    // "2 (14.5 oz) cans tomatoes" - the count is the leading quantity
+    if (container.count == null && qty?.min != null) container.count = qty.min;
+    rest = rest.replace(CONTAINER_RE, '').trim();
+  }
+
+  // Notes like 'to taste', 'optional', 'divided', 'for serving', 'plus more for ...'
+  const noteMatch = rest.match(NOTES_RE);
+  if (noteMatch) {
+    const n = noteMatch[1].toLowerCase();
+    if (n.includes('to taste')) toTaste = true;
+    else notes.push(n);
+    rest = rest.replace(NOTES_RE, '').replace(/\s+,\s*$/, '').trim();
+  }
+
+  // Split on commas into main vs descriptors
+  const [mainPart = '', ...tailParts] = rest.split(/,(?![^()]*\))/).map(s => s.trim()).filter(Boolean);
+  const desc = tailParts.join(', ').toLowerCase();
+  for (const f of PREP_FORMS) if (new RegExp(`\\b${f}\\b`).test(desc)) forms.push(f);
+  for (const q of QUALIFIERS) if (new RegExp(`\\b${q}\\b`).test(desc)) qualifiers.push(q);
+  if (/\bplus\s+more\b/.test(desc)) notes.push(desc.match(/plus\s+more\b.*$/)[0]);
+
+  // Alternatives with ' or '
+  if (/\bor\b/.test(mainPart)) {
+    const [left, right] = mainPart.split(/\bor\b/i).map(s => s.trim());
+    alternatives = [canonicalItemName(singularizePhrase(right))];
+    rest = left;
+  } else {
+    rest = mainPart;
+  }
+
+  const { brand, itemText: brandlessText } = extractBrandAndItem(rest);
+  const itemText = stripLeadingQualifiers(brandlessText, qualifiers);
+
+  // If no unit but countable noun exists like 'eggs', treat as count unit
+  let finalUnit = unit;
+  if (!finalUnit) {
+    const firstTok = itemText.split(/\s+/)[0].toLowerCase();
+    if (COUNTABLE_NOUNS.includes(firstTok)) {
+      finalUnit = normalizeUnit(firstTok) || 'count';
+    }
+  }
+
+  // Base item is the first noun-ish span; keep simple: take up to first 'of'
+  const ofSplit = itemText.split(/\bof\b/i);
+  const base = ofSplit.length > 1 ? ofSplit[ofSplit.length - 1] : itemText;
+  const item = canonicalItemName(singularizePhrase(base.replace(/\(.*?\)/g, '').trim()));
+  const { category, matched } = categorizeWithMatch(item);
+
+  // Estimated quantities for phrases like 'a pinch', 'a dash', 'a handful'
+  if (!qty && /\b(a\s+pinch|a\s+dash|a\s+handful)\b/i.test(raw)) {
+    estimated = true;
+  }
+
+  const baseObj = {
+    raw: rawInput,
+    section,
+    quantity: qty,
+    unit: finalUnit,
+    item,
+    container,
+    forms: forms.length ? Array.from(new Set(forms)) : undefined,
+    notes: notes.length ? Array.from(new Set(notes)) : undefined,
+    alternatives,
+    toTaste,
+    estimated,
+    brand,
+    qualifiers: qualifiers.length ? Array.from(new Set(qualifiers)) : undefined,
+    category,
+    knownItem: matched
+  };
+
+  return splitSaltPepper(itemText, baseObj);
+}
+
+/**
+ * Score how much of the line the rules understood. Rule-based output tops out
+ * below the AI engines so callers can prefer AI results when both exist.
+ */
+function scoreConfidence(parsed) {
+  if (!parsed.item) return 0.1;
+
+  let confidence = 0.4;
+  if (parsed.quantity?.min != null) confidence += 0.2;
+  if (parsed.unit) confidence += 0.15;
+  if (parsed.knownItem) confidence += 0.1;
+  if (parsed.item.split(/\s+/).length <= 3) confidence += 0.05;
+  if (parsed.alternatives || parsed.estimated) confidence -= 0.1;
+
+  return Math.round(Math.min(confidence, 0.9) * 100) / 100;
+}
+
+/**
+ * Parse a line into the same shape AIIngredientParser returns
+ * ({ qty, unit, name, sizeQty, sizeUnit, notes, original }) plus engine/confidence
+ */
+function parseToIngredientResult(line) {
+  const [parsed] = parseIngredientLine(line);
+  const container = parsed.container;
+
+  // Shop for the top of a range ("2-3 cloves" -> 3)
+  const qty = container?.count ?? parsed.quantity?.max ?? parsed.quantity?.min ?? 1;
+  const unit = container?.size ? container.kind : (parsed.unit || 'unit');
+
+  const notes = [
+    ...(parsed.forms || []),
+    ...(parsed.notes || []),
+    ...(parsed.toTaste ? ['to taste'] : [])
+  ];
+
+  return {
+    qty,
+    unit,
+    name: parsed.item || String(line || '').trim(),
+    sizeQty: container?.size?.value || null,
+    sizeUnit: container?.size?.unit || null,
+    notes: notes.join(', '),
+    original: line,
+    category: parsed.category,
+    brand: parsed.brand || null,
+    engine: 'rules',
+    confidence: scoreConfidence(parsed)
+  };
+}
+
+module.exports = {
+  normalizeFractions,
+  splitIntoSections,
+  parseIngredientLine,
+  parseToIngredientResult,
+  scoreConfidence
+};
@@ -0,0 +1,122 @@
+// server/utils/spoonacularProducts.js
+// Spoonacular product data in the shape the search routes and retailer adapters
+// return. Spoonacular has no prices, so every price here is an estimate and is
+// flagged estimated_price (price history skips those).
+
+// Function to estimate price based on product name and category
+function estimatePrice(productName, aisle, brand) {
+  const name = productName.toLowerCase();
+  const productAisle = (aisle || '').toLowerCase();
+  const isBrandName = brand && brand !== 'Generic';
+
+  // Base prices by category/keyword
+  let basePrice = 3.99; // default
+
+  // Dairy products
+  if (productAisle.includes('dairy') || name.includes('milk') || name.includes('cheese') || name.includes('yogurt')) {
+    if (name.includes('gallon')) basePrice = 4.99;
+    else if (name.includes('cheese')) basePrice = 5.49;
+    else if (name.includes('yogurt')) basePrice = 4.29;
+    else basePrice = 3.99;
+  }
+  // Meat & Seafood
+  else if (productAisle.includes('meat') || productAisle.includes('seafood') ||
+           name.includes('chicken') || name.includes('beef') || name.includes('pork') ||
+           name.includes('fish') || name.includes('salmon')) {
+    if (name.includes('steak') || name.includes('beef')) basePrice = 12.99;
+    else if (name.includes('chicken')) basePrice = 7.99;
+    else if (name.includes('salmon') || name.includes('seafood')) basePrice = 14.99;
+    else if (name.includes('ground')) basePrice = 6.99;
+    else basePrice = 8.99;
+  }
+  // Produce
+  else if (productAisle.includes('produce') || name.includes('apple') || name.includes('banana') ||
+           name.includes('lettuce') || name.includes('tomato') || name.includes('onion')) {
+    if (name.includes('organic')) basePrice = 4.99;
+    else if (name.includes('banana')) basePrice = 0.89;
+    else if (name.includes('apple')) basePrice = 3.99;
+    else basePrice = 2.49;
+  }
+  // Bread & Bakery
+  else if (productAisle.includes('bakery') || productAisle.includes('bread') ||
+           name.includes('bread') || name.includes('bagel') || name.includes('muffin')) {
+    basePrice = 3.49;
+  }
+  // Beverages
+  else if (productAisle.includes('beverage') || name.includes('soda') || name.includes('juice') ||
+           name.includes('water') || name.includes('coffee') || name.includes('tea')) {
+    if (name.includes('case') || name.includes('pack')) basePrice = 6.99;
+    else if (name.includes('coffee')) basePrice = 8.99;
+    else basePrice = 3.99;
+  }
+  // Frozen
+  else if (productAisle.includes('frozen') || name.includes('ice cream') || name.includes('pizza')) {
+    if (name.includes('ice cream')) basePrice = 5.99;
+    else if (name.includes('pizza')) basePrice = 7.99;
+    else basePrice = 4.99;
+  }
+  // Canned & Packaged
+  else if (productAisle.includes('canned') || productAisle.includes('pasta') ||
+           name.includes('soup') || name.includes('pasta') || name.includes('sauce')) {
+    basePrice = 2.49;
+  }
+  // Snacks
+  else if (productAisle.includes('snack') || name.includes('chips') || name.includes('cookie') ||
+           name.includes('cracker')) {
+    basePrice = 3.99;
+  }
+  // Condiments & Spices
+  else if (productAisle.includes('condiment') || productAisle.includes('spice') ||
+           name.includes('salt') || name.includes('pepper') || name.includes('ketchup')) {
+    basePrice = 2.99;
+  }
+
+  // Add brand premium (20% more for brand names)
+  if (isBrandName) {
+    basePrice = basePrice * 1.2;
+  }
+
+  // Add some random variation (-10% to +10%) to make it look more realistic
+  const variation = (Math.random() * 0.2 - 0.1);
+  basePrice = basePrice * (1 + variation);
+
+  // Round to .49 or .99 endings for realistic pricing
+  const cents = basePrice % 1;
+  if (cents < 0.25) {
+    basePrice = Math.floor(basePrice) + 0.29;
+  } else if (cents < 0.75) {
+    basePrice = Math.floor(basePrice) + 0.49;
+  } else {
+    basePrice = Math.floor(basePrice) + 0.99;
+  }
+
+  return Math.max(0.99, Math.min(basePrice, 29.99)); // Cap between $0.99 and $29.99
+}
+
+function fromSpoonacular(product) {
+  return {
+    id: product.id || `spoonacular_${Date.now()}_${Math.random()}`,
+    name: product.name,
+    brand: product.brand || 'Generic',
+    price: estimatePrice(product.name, product.aisle, product.brand), // Use estimated pricing
+    estimated_price: true, // Flag that this is an estimate
+    image_url: product.image_url,
+    package_size: product.servingSize || product.size || '1 item',
+    unit: product.unit || 'item',
+    quantity: 1,
+    availability: 'check_store',
+    upc: product.upc || null,
+    aisle: product.aisle,
+    badges: product.badges,
+    nutrition: product.nutrition,
+    confidence: 0.8,
+    source: 'spoonacular',
+    size: product.servingSize,
+    containerType: product.containerType
+  };
+}
+
+module.exports = {
+  estimatePrice,
+  fromSpoonacular
+};
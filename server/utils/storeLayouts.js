@@ -0,0 +1,284 @@
+// server/utils/storeLayouts.js
+// Store layout profiles: the order departments are walked in for a store or chain,
+// and helpers to sort any cart or list into that walking order.
+// Chain layouts are typical floor plans, not surveyed stores - users can reorder
+// and save their own layout for a local store.
+
+const { canonicalItemName, categorizeWithMatch } = require('./foodCategories');
+
+// Every department a layout can order. Keywords are checked before categories so
+// "canned tomatoes" lands in Canned Goods rather than Produce; the longest keyword
+// wins ("peanut butter" over "butter").
+const DEPARTMENTS = {
+  produce: {
+    name: 'Produce',
+    categories: ['produce', 'fruit', 'fruits', 'vegetables'],
+    keywords: ['apple', 'banana', 'berries', 'berry', 'grape', 'orange', 'lemon', 'lime', 'avocado', 'tomato', 'potato', 'onion', 'garlic', 'lettuce', 'spinach', 'kale', 'carrot', 'celery', 'cucumber', 'zucchini', 'broccoli', 'cauliflower', 'bell pepper', 'jalapeno', 'mushroom', 'cilantro', 'parsley', 'basil', 'ginger', 'salad']
+  },
+  bakery: {
+    name: 'Bakery',
+    categories: ['bakery', 'bread'],
+    keywords: ['bread', 'bagel', 'muffin', 'croissant', 'baguette', 'tortilla', 'pita', 'bun', 'roll']
+  },
+  deli: {
+    name: 'Deli & Prepared Foods',
+    categories: ['deli', 'prepared'],
+    keywords: ['deli', 'rotisserie', 'hummus', 'salami', 'prosciutto', 'sliced turkey', 'lunch meat', 'pepperoni']
+  },
+  meat: {
+    name: 'Meat & Seafood',
+    categories: ['meat', 'seafood', 'poultry', 'protein'],
+    keywords: ['chicken', 'beef', 'pork', 'turkey', 'lamb', 'bacon', 'sausage', 'steak', 'ham', 'salmon', 'shrimp', 'tilapia', 'cod', 'fish']
+  },
+  canned: {
+    name: 'Canned & Jarred Goods',
+    categories: ['canned', 'canned goods'],
+    keywords: ['canned', 'can of', 'broth', 'stock', 'chicken broth', 'beef broth', 'chicken stock', 'tuna', 'tomato sauce', 'tomato paste', 'soup', 'salsa', 'peanut butter', 'jam', 'jelly', 'black bean', 'kidney bean', 'pinto bean', 'chickpea', 'coconut milk']
+  },
+  grains: {
+    name: 'Pasta, Rice & Grains',
+    categories: ['grains', 'pasta'],
+    keywords: ['pasta', 'spaghetti', 'penne', 'macaroni', 'noodle', 'rice', 'quinoa', 'couscous', 'lentil']
+  },
+  baking: {
+    name: 'Baking & Spices',
+    categories: ['baking', 'spices'],
+    keywords: ['flour', 'sugar', 'baking', 'yeast', 'cocoa', 'chocolate chip', 'vanilla', 'cinnamon', 'cumin', 'paprika', 'oregano', 'thyme', 'nutmeg', 'chili powder', 'spice', 'seasoning', 'garlic powder', 'onion powder', 'salt', 'black pepper', 'ground pepper']
+  },
+  condiments: {
+    name: 'Oils, Sauces & Condiments',
+    categories: ['condiments', 'oils'],
+    keywords: ['oil', 'vinegar', 'ketchup', 'mustard', 'mayo', 'mayonnaise', 'soy sauce', 'dressing', 'hot sauce', 'bbq sauce', 'honey', 'pasta sauce', 'marinara']
+  },
+  breakfast: {
+    name: 'Breakfast, Coffee & Tea',
+    categories: ['breakfast'],
+    keywords: ['cereal', 'oatmeal', 'oats', 'granola', 'pancake', 'syrup', 'coffee', 'tea']
+  },
+  snacks: {
+    name: 'Snacks',
+    categories: ['snacks', 'snack'],
+    keywords: ['chip', 'cracker', 'cookie', 'pretzel', 'popcorn', 'nuts', 'almonds', 'trail mix', 'granola bar']
+  },
+  beverages: {
+    name: 'Beverages',
+    categories: ['beverages', 'beverage', 'drinks'],
+    keywords: ['water', 'soda', 'juice', 'orange juice', 'apple juice', 'sparkling', 'beer', 'wine', 'kombucha']
+  },
+  household: {
+    name: 'Household & Paper',
+    categories: ['household', 'cleaning'],
+    keywords: ['paper towel', 'toilet paper', 'tissue', 'detergent', 'dish soap', 'trash bag', 'foil', 'plastic wrap', 'sponge', 'napkin', 'cleaner']
+  },
+  personal: {
+    name: 'Personal Care & Health',
+    categories: ['personal care', 'personal', 'health', 'pharmacy'],
+    keywords: ['shampoo', 'conditioner', 'toothpaste', 'toothbrush', 'deodorant', 'vitamin', 'lotion', 'razor']
+  },
+  dairy: {
+    name: 'Dairy & Eggs',
+    categories: ['dairy', 'eggs', 'refrigerated'],
+    keywords: ['egg', 'milk', 'cheese', 'mozzarella', 'parmesan', 'cheddar', 'ricotta', 'yogurt', 'butter', 'sour cream', 'cream cheese', 'half and half']
+  },
+  frozen: {
+    name: 'Frozen',
+    categories: ['frozen'],
+    keywords: ['frozen', 'ice cream']
+  },
+  other: {
+    name: 'Other',
+    categories: ['other'],
+    keywords: []
+  }
+};
+
+const DEPARTMENT_IDS = Object.keys(DEPARTMENTS);
+
+// "Frozen chicken" is in the freezer aisle and "canned salmon" with the cans,
+// whatever else the name says
+const STORAGE_OVERRIDES = [
+  { id: 'frozen', pattern: /\bfrozen\b/ },
+  { id: 'canned', pattern: /\b(canned|can of|tinned)\b/ }
+];
+
+const KEYWORD_PATTERNS = DEPARTMENT_IDS
+  .flatMap(id => DEPARTMENTS[id].keywords.map(keyword => ({ id, keyword, pattern: new RegExp(`\\b${keyword}`) })))
+  .sort((a, b) => b.keyword.length - a.keyword.length);
+
+// Typical perimeter-first supermarket: fresh first, cold and frozen last
+const DEFAULT_ORDER = [
+  'produce', 'bakery', 'deli', 'meat', 'canned', 'grains', 'baking', 'condiments',
+  'breakfast', 'snacks', 'beverages', 'household', 'personal', 'dairy', 'frozen', 'other'
+];
+
+const CHAIN_LAYOUTS = {
+  default: { name: 'Typical supermarket', order: DEFAULT_ORDER },
+  kroger: {
+    name: 'Kroger',
+    order: ['produce', 'deli', 'bakery', 'meat', 'canned', 'grains', 'condiments', 'baking', 'breakfast', 'snacks', 'beverages', 'household', 'personal', 'frozen', 'dairy', 'other']
+  },
+  safeway: {
+    name: 'Safeway',
+    order: ['produce', 'deli', 'bakery', 'beverages', 'snacks', 'canned', 'grains', 'condiments', 'baking', 'breakfast', 'household', 'personal', 'meat', 'frozen', 'dairy', 'other']
+  },
+  walmart: {
+    name: 'Walmart',
+    order: ['household', 'personal', 'produce', 'bakery', 'deli', 'meat', 'canned', 'grains', 'baking', 'condiments', 'breakfast', 'snacks', 'beverages', 'dairy', 'frozen', 'other']
+  },
+  target: {
+    name: 'Target',
+    order: ['household', 'personal', 'snacks', 'beverages', 'breakfast', 'canned', 'grains', 'baking', 'condiments', 'produce', 'bakery', 'deli', 'meat', 'dairy', 'frozen', 'other']
+  },
+  costco: {
+    name: 'Costco',
+    order: ['household', 'personal', 'snacks', 'beverages', 'canned', 'grains', 'baking', 'condiments', 'breakfast', 'frozen', 'deli', 'meat', 'produce', 'dairy', 'bakery', 'other']
+  },
+  aldi: {
+    name: 'ALDI',
+    order: ['bakery', 'breakfast', 'baking', 'canned', 'grains', 'condiments', 'snacks', 'beverages', 'household', 'personal', 'frozen', 'deli', 'meat', 'dairy', 'produce', 'other']
+  },
+  'whole-foods': {
+    name: 'Whole Foods Market',
+    order: ['produce', 'bakery', 'deli', 'meat', 'dairy', 'canned', 'grains', 'condiments', 'baking', 'breakfast', 'snacks', 'beverages', 'personal', 'household', 'frozen', 'other']
+  },
+  'trader-joes': {
+    name: "Trader Joe's",
+    order: ['produce', 'bakery', 'snacks', 'canned', 'grains', 'condiments', 'baking', 'breakfast', 'beverages', 'deli', 'meat', 'dairy', 'frozen', 'household', 'personal', 'other']
+  }
+};
+
+// Retailer ids used around the app ("whole_foods", "Trader Joe's") -> chain keys
+function chainKey(value) {
+  const key = String(value || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .replace(/-market$/, '');
+  return CHAIN_LAYOUTS[key] ? key : null;
+}
+
+/**
+ * Build a full layout: departments in walking order with optional aisle labels.
+ * Departments the order leaves out are appended in default order so nothing is lost.
+ * @param {Array<string|{id: string, aisle?: string}>} order
+ */
+function buildLayout(order, { name, chain = 'default', storeId = null, custom = false } = {}) {
+  const entries = order.map(entry => (typeof entry === 'string' ? { id: entry } : entry));
+  const seen = new Set(entries.map(entry => entry.id));
+  const missing = DEFAULT_ORDER.filter(id => !seen.has(id)).map(id => ({ id }));
+
+  return {
+    storeId,
+    chain,
+    name: name || CHAIN_LAYOUTS[chain]?.name || CHAIN_LAYOUTS.default.name,
+    custom,
+    departments: [...entries, ...missing].map(entry => ({
+      id: entry.id,
+      name: DEPARTMENTS[entry.id].name,
+      aisle: entry.aisle || null
+    }))
+  };
+}
+
+function getChainLayout(chain, storeId = null) {
+  const key = chainKey(chain) || 'default';
+  return buildLayout(CHAIN_LAYOUTS[key].order, { chain: key, storeId });
+}
+
+/**
+ * Check a user-submitted department order
+ * @returns {string|null} error message, or null when valid
+ */
+function validateOrder(order) {
+  if (!Array.isArray(order) || order.length === 0) {
+    return 'departments must be a non-empty array';
+  }
+  const ids = order.map(entry => (typeof entry === 'string' ? entry : entry?.id));
+  const unknown = ids.filter(id => !DEPARTMENTS[id]);
+  if (unknown.length) {
+    return `Unknown departments: ${unknown.join(', ')}`;
+  }
+  if (new Set(ids).size !== ids.length) {
+    return 'departments must not repeat';
+  }
+  const badAisle = order.find(entry => typeof entry === 'object' && entry.aisle != null &&
+    (typeof entry.aisle !== 'string' || entry.aisle.length > 40));
+  if (badAisle) {
+    return `Aisle label for ${badAisle.id} must be a string of at most 40 characters`;
+  }
+  return null;
+}
+
+function itemName(item) {
+  return String(item.productName || item.name || item.item || item.original || '').toLowerCase();
+}
+
+/**
+ * Department id for a cart/list item: keyword match first, then its category
+ */
+function departmentFor(item) {
+  const name = itemName(item);
+
+  const override = STORAGE_OVERRIDES.find(({ pattern }) => pattern.test(name));
+  if (override) return override.id;
+
+  const keywordMatch = KEYWORD_PATTERNS.find(({ pattern }) => pattern.test(name));
+  if (keywordMatch) return keywordMatch.id;
+
+  let category = String(item.category || '').toLowerCase();
+  if (!category && name) {
+    const match = categorizeWithMatch(canonicalItemName(name));
+    category = match.matched ? match.category : 'other';
+  }
+  const byCategory = DEPARTMENT_IDS.find(id => DEPARTMENTS[id].categories.includes(category));
+  if (byCategory) return byCategory;
+
+  // A 'pantry' category means dry goods - start with the center aisles
+  return category === 'pantry' ? 'canned' : 'other';
+}
+
+/**
+ * Group items into the layout's walking order, skipping empty departments
+ * @returns {Array<{department: {id, name, aisle}, items: Array}>}
+ */
+function orderByLayout(items, layout) {
+  const groups = new Map(layout.departments.map(dept => [dept.id, { department: dept, items: [] }]));
+
+  for (const item of items || []) {
+    groups.get(departmentFor(item)).items.push(item);
+  }
+
+  return [...groups.values()].filter(group => group.items.length > 0);
+}
+
+/**
+ * Plain-text checklist in walking order, for printing or pasting into notes
+ */
+function formatWalkingOrder(groups, layout) {
+  const lines = [`Shopping list - ${layout.name} walking order`, ''];
+
+  for (const { department, items } of groups) {
+    lines.push(department.aisle ? `${department.name} (${department.aisle})` : department.name);
+    for (const item of items) {
+      const quantity = [item.quantity, item.unit].filter(v => v != null && v !== '').join(' ');
+      lines.push(`[ ] ${quantity ? `${quantity} ` : ''}${item.productName || item.name || item.item || item.original}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+module.exports = {
+  DEPARTMENTS,
+  DEFAULT_ORDER,
+  CHAIN_LAYOUTS,
+  chainKey,
+  buildLayout,
+  getChainLayout,
+  validateOrder,
+  departmentFor,
+  orderByLayout,
+  formatWalkingOrder
+};
@@ -0,0 +1,376 @@
+// server/utils/unitConversion.js
+// Unit conversion engine for merging grocery quantities across volume, mass and count
+// units, with per-ingredient densities and purchasable package sizes for common staples
+
+const { normalizeUnit } = require('./unitDictionary');
+const { canonicalItemName } = require('./foodCategories');
+
+// Base units: millilitres for volume, grams for mass, single items for count
+const VOLUME_ML = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  floz: 29.5735,
+  cup: 236.588,
+  pt: 473.176,
+  qt: 946.353,
+  gal: 3785.41,
+  ml: 1,
+  l: 1000
+};
+
+const MASS_G = {
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
+const COUNT = {
+  count: 1,
+  dozen: 12
+};
+
+// Display units, largest first - the first one the total reaches at least 1 of wins
+const DISPLAY_UNITS = {
+  volume: ['gal', 'qt', 'cup', 'tbsp', 'tsp'],
+  volumeMetric: ['l', 'ml'],
+  mass: ['lb', 'oz'],
+  massMetric: ['kg', 'g'],
+  count: ['count']
+};
+
+const METRIC_UNITS = ['ml', 'l', 'g', 'kg'];
+
+const pkg = (label, amount, unit) => ({ label, amount, unit });
+
+/**
+ * Staple ingredient profiles, matched in order against the canonical item name.
+ * A pattern only matches the staple as the last word of the name ("unsalted butter",
+ * not "butter beans"), and exclude drops products that end in the staple word but
+ * are sold differently ("peanut butter", "sour cream") - those get no profile.
+ * density is grams per millilitre; unitWeights converts countable units to grams;
+ * packages are the sizes a shopper can actually buy, smallest first.
+ */
+const INGREDIENT_PROFILES = [
+  {
+    key: 'butter',
+    pattern: /\bbutter$/,
+    exclude: /\b(peanut|almond|cashew|nut|seed|sunflower|apple|cocoa|shea|cookie)\b/,
+    density: 0.959,
+    unitWeights: { stick: 113.4 },
+    packages: [pkg('1/2 lb', 0.5, 'lb'), pkg('1 lb', 1, 'lb')]
+  },
+  {
+    key: 'milk',
+    pattern: /\b(milk|half and half)$/,
+    exclude: /\b(coconut|condensed|evaporated|powdered|dry)\b/,
+    density: 1.03,
+    packages: [pkg('1 pint', 1, 'pt'), pkg('1 quart', 1, 'qt'), pkg('1/2 gallon', 0.5, 'gal'), pkg('1 gallon', 1, 'gal')]
+  },
+  {
+    key: 'cream',
+    pattern: /\bcream$/,
+    exclude: /\b(sour|ice|coconut)\b/,
+    density: 1.0,
+    packages: [pkg('1/2 pint', 0.5, 'pt'), pkg('1 pint', 1, 'pt'), pkg('1 quart', 1, 'qt')]
+  },
+  {
+    key: 'flour',
+    pattern: /\bflour$/,
+    density: 0.529,
+    packages: [pkg('2 lb bag', 2, 'lb'), pkg('5 lb bag', 5, 'lb'), pkg('10 lb bag', 10, 'lb')]
+  },
+  {
+    key: 'brown sugar',
+    pattern: /\bbrown sugar$/,
+    density: 0.93,
+    packages: [pkg('1 lb bag', 1, 'lb'), pkg('2 lb bag', 2, 'lb')]
+  },
+  {
+    key: 'powdered sugar',
+    pattern: /\bpowdered sugar$/,
+    density: 0.507,
+    packages: [pkg('1 lb bag', 1, 'lb'), pkg('2 lb bag', 2, 'lb')]
+  },
+  {
+    key: 'sugar',
+    pattern: /\bsugar$/,
+    density: 0.845,
+    packages: [pkg('1 lb bag', 1, 'lb'), pkg('4 lb bag', 4, 'lb'), pkg('10 lb bag', 10, 'lb')]
+  },
+  {
+    key: 'oil',
+    pattern: /\boil$/,
+    density: 0.92,
+    packages: [pkg('16 fl oz bottle', 16, 'floz'), pkg('48 fl oz bottle', 48, 'floz')]
+  },
+  {
+    key: 'honey',
+    pattern: /\bhoney$/,
+    density: 1.42,
+    packages: [pkg('12 oz bottle', 12, 'oz'), pkg('32 oz jar', 32, 'oz')]
+  },
+  {
+    key: 'maple syrup',
+    pattern: /\bmaple syrup$/,
+    density: 1.32,
+    packages: [pkg('12 fl oz bottle', 12, 'floz'), pkg('32 fl oz bottle', 32, 'floz')]
+  },
+  {
+    key: 'rice',
+    pattern: /\brice$/,
+    density: 0.78,
+    packages: [pkg('1 lb bag', 1, 'lb'), pkg('2 lb bag', 2, 'lb'), pkg('5 lb bag', 5, 'lb')]
+  },
+  {
+    key: 'salt',
+    pattern: /\bsalt$/,
+    exclude: /\b(garlic|onion|celery|seasoned|seasoning)\b/,
+    density: 1.2,
+    packages: [pkg('26 oz canister', 26, 'oz')]
+  },
+  {
+    key: 'cheese',
+    pattern: /\bcheese$/,
+    exclude: /\b(cream|cottage|ricotta|mascarpone)\b/,
+    density: 0.42,
+    packages: [pkg('8 oz', 8, 'oz'), pkg('16 oz', 16, 'oz')]
+  },
+  {
+    key: 'oats',
+    pattern: /\boat$/,
+    density: 0.38,
+    packages: [pkg('18 oz canister', 18, 'oz'), pkg('42 oz canister', 42, 'oz')]
+  },
+  {
+    key: 'yogurt',
+    pattern: /\byogurt$/,
+    exclude: /\bfrozen\b/,
+    density: 1.03,
+    packages: [pkg('5.3 oz cup', 5.3, 'oz'), pkg('32 oz tub', 32, 'oz')]
+  },
+  {
+    key: 'broth',
+    pattern: /\b(broth|stock)$/,
+    density: 1.0,
+    packages: [pkg('32 fl oz carton', 32, 'floz')]
+  },
+  {
+    key: 'egg',
+    pattern: /\begg$/,
+    packages: [pkg('6 count', 6, 'count'), pkg('12 count', 12, 'count'), pkg('18 count', 18, 'count')]
+  },
+  {
+    key: 'water',
+    pattern: /\bwater$/,
+    density: 1.0
+  }
+];
+
+/**
+ * Find the staple profile for a product name, if any
+ */
+function getIngredientProfile(name) {
+  if (!name) return null;
+  // Prep notes after a comma ("butter, softened") are not part of the product
+  const canonical = canonicalItemName(String(name).split(',')[0]);
+  return INGREDIENT_PROFILES.find(profile =>
+    profile.pattern.test(canonical) && !profile.exclude?.test(canonical)
+  ) || null;
+}
+
+/**
+ * Convert a quantity to its base amount.
+ * Returns { dimension, value, unit } where dimension is 'volume', 'mass', 'count'
+ * or 'unit:<name>' for containers and unknown units that only merge with themselves.
+ */
+function toBase(quantity, rawUnit, profile = null) {
+  const value = parseFloat(quantity);
+  const amount = Number.isFinite(value) ? value : 1;
+  const unit = normalizeUnit(rawUnit || 'count');
+
+  if (unit && VOLUME_ML[unit]) return { dimension: 'volume', value: amount * VOLUME_ML[unit], unit };
+  if (unit && MASS_G[unit]) return { dimension: 'mass', value: amount * MASS_G[unit], unit };
+  if (unit && COUNT[unit]) return { dimension: 'count', value: amount * COUNT[unit], unit };
+  if (unit && profile?.unitWeights?.[unit]) {
+    return { dimension: 'mass', value: amount * profile.unitWeights[unit], unit };
+  }
+
+  const key = unit || String(rawUnit).trim().toLowerCase();
+  return { dimension: `unit:${key}`, value: amount, unit: key };
+}
+
+/**
+ * Move a base amount between mass and volume using the profile density
+ */
+function convertDimension(base, targetDimension, profile) {
+  if (base.dimension === targetDimension) return base;
+  if (!profile?.density) return null;
+
+  if (base.dimension === 'volume' && targetDimension === 'mass') {
+    return { ...base, dimension: 'mass', value: base.value * profile.density };
+  }
+  if (base.dimension === 'mass' && targetDimension === 'volume') {
+    return { ...base, dimension: 'volume', value: base.value / profile.density };
+  }
+  return null;
+}
+
+/**
+ * Convert an amount from one unit to another, using density for mass <-> volume.
+ * Returns null when the units cannot be converted.
+ */
+function convert(quantity, fromUnit, toUnit, name = null) {
+  const profile = getIngredientProfile(name);
+  const target = toBase(1, toUnit, profile);
+  const base = convertDimension(toBase(quantity, fromUnit, profile), target.dimension, profile);
+
+  if (!base || base.dimension !== target.dimension) return null;
+  return base.value / target.value;
+}
+
+// Round up to a quarter unit so merged amounts never come out short
+function roundUp(value, step = 0.25) {
+  return Math.ceil((value - 1e-9) / step) * step;
+}
+
+function unitFactor(unit) {
+  return VOLUME_ML[unit] || MASS_G[unit] || COUNT[unit] || 1;
+}
+
+/**
+ * Pick a readable unit for a base amount - metric stays metric
+ */
+function toDisplay(dimension, value, preferMetric) {
+  if (dimension === 'count') {
+    return { quantity: Math.ceil(value - 1e-9), unit: 'count' };
+  }
+
+  const candidates = dimension === 'volume'
+    ? DISPLAY_UNITS[preferMetric ? 'volumeMetric' : 'volume']
+    : DISPLAY_UNITS[preferMetric ? 'massMetric' : 'mass'];
+  const unit = candidates.find(candidate => value / unitFactor(candidate) >= 1) || candidates[candidates.length - 1];
+
+  return { quantity: roundUp(value / unitFactor(unit)), unit };
+}
+
+/**
+ * Round a base amount up to the smallest package that covers it,
+ * or to whole multiples of the package size that wastes least
+ */
+function roundToPackage(dimension, value, profile) {
+  const packages = (profile?.packages || [])
+    .map(p => ({ ...p, base: toBase(p.amount, p.unit, profile) }))
+    .filter(p => p.base.dimension === dimension);
+
+  if (packages.length === 0) return null;
+
+  // Smallest single package that covers the amount, otherwise the size that wastes least
+  let chosen = packages.find(p => p.base.value >= value - 1e-9);
+  let count = 1;
+
+  if (!chosen) {
+    const options = packages.map(p => {
+      const packageCount = Math.ceil(value / p.base.value - 1e-9);
+      return { ...p, packageCount, waste: packageCount * p.base.value - value };
+    });
+    const best = options.reduce((a, b) => (b.waste < a.waste - 1e-9 ? b : a));
+    chosen = best;
+    count = best.packageCount;
+  }
+
+  return {
+    quantity: Math.round(count * chosen.amount * 100) / 100,
+    unit: chosen.unit,
+    package: { label: chosen.label, count }
+  };
+}
+
+/**
+ * Merge quantities of the same ingredient into one canonical amount.
+ *
+ * @param {Array<{quantity, unit}>} entries
+ * @param {string} name - product name used to look up density and package sizes
+ * @returns {Array<{quantity, unit, needed, package, entries}>} one group per
+ *   set of mutually convertible entries, in first-seen order
+ */
+function mergeQuantities(entries, name) {
+  const profile = getIngredientProfile(name);
+
+  // A bare "milk" adopts the first real unit in the group; "3 apples" is a count
+  // and must not become 3 lb just because another line was weighed
+  const firstUnit = entries.map(e => e.unit).find(u => u && normalizeUnit(u) !== 'count');
+  // Sum in the dimension the staple is sold by (flour by weight even if the recipe says cups)
+  const packageDimension = profile?.packages?.length
+    ? toBase(profile.packages[0].amount, profile.packages[0].unit, profile).dimension
+    : null;
+  const groups = [];
+
+  for (const entry of entries) {
+    const unit = entry.unit || (entry.quantity == null ? firstUnit : 'count');
+    const rawBase = toBase(entry.quantity ?? 1, unit, profile);
+    const base = (packageDimension && convertDimension(rawBase, packageDimension, profile)) || rawBase;
+    let group = groups.find(g => g.dimension === base.dimension);
+
+    if (!group) {
+      group = groups.find(g => convertDimension(base, g.dimension, profile));
+    }
+
+    if (group) {
+      group.value += convertDimension(base, group.dimension, profile).value;
+      group.units.add(base.unit);
+      group.entries.push(entry);
+    } else {
+      groups.push({ dimension: base.dimension, value: base.value, units: new Set([base.unit]), entries: [entry] });
+    }
+  }
+
+  return groups.map(group => {
+    // Containers and unknown units are summed as-is
+    if (group.dimension.startsWith('unit:')) {
+      const unit = group.entries.find(e => e.unit)?.unit || group.dimension.slice(5);
+      return { quantity: group.value, unit, needed: null, package: null, entries: group.entries };
+    }
+
+    const preferMetric = [...group.units].every(unit => METRIC_UNITS.includes(unit));
+    const needed = toDisplay(group.dimension, group.value, preferMetric);
+    const packaged = group.entries.length > 1 ? roundToPackage(group.dimension, group.value, profile) : null;
+
+    // A single entry with a unit we already understand keeps its original wording
+    if (!packaged && group.entries.length === 1) {
+      const [entry] = group.entries;
+      return { quantity: parseFloat(entry.quantity ?? 1), unit: entry.unit, needed: null, package: null, entries: group.entries };
+    }
+
+    // Same unit everywhere and no package to round to - keep the shopper's unit
+    if (!packaged && group.units.size === 1) {
+      const [unit] = group.units;
+      const sameUnit = group.entries.find(e => e.unit)?.unit || unit;
+      return {
+        quantity: Math.round((group.value / unitFactor(unit)) * 100) / 100,
+        unit: sameUnit,
+        needed: null,
+        package: null,
+        entries: group.entries
+      };
+    }
+
+    return {
+      quantity: packaged ? packaged.quantity : needed.quantity,
+      unit: packaged ? packaged.unit : needed.unit,
+      needed: needed,
+      package: packaged ? packaged.package : null,
+      entries: group.entries
+    };
+  });
+}
+
+module.exports = {
+  VOLUME_ML,
+  MASS_G,
+  INGREDIENT_PROFILES,
+  getIngredientProfile,
+  toBase,
+  convert,
+  mergeQuantities
+};
@@ -0,0 +1,76 @@
+// server/utils/unitDictionary.js
+// Canonical cooking/grocery units - server port of client/src/utils/unitDictionary.ts
+
+/**
+ * @typedef {'tsp'|'tbsp'|'cup'|'pt'|'qt'|'gal'|'ml'|'l'|'g'|'kg'|'oz'|'floz'|'lb'|
+ *   'can'|'jar'|'package'|'bottle'|'stick'|'clove'|'bunch'|'slice'|'head'|
+ *   'count'|'dozen'} CanonicalUnit
+ */
+
+const CANONICAL_UNITS = [
+  'tsp', 'tbsp', 'cup', 'pt', 'qt', 'gal', 'ml', 'l', 'g', 'kg', 'oz', 'floz', 'lb',
+  'can', 'jar', 'package', 'bottle', 'stick', 'clove', 'bunch', 'slice', 'head',
+  'count', 'dozen'
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12
+};
+
+// Canonical unit aliases
+const UNIT_ALIASES = {
+  tsp: 'tsp', tsps: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+  tbsp: 'tbsp', tbs: 'tbsp', tbsps: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+  c: 'cup', cup: 'cup', cups: 'cup',
+  pt: 'pt', pint: 'pt', pints: 'pt',
+  qt: 'qt', qts: 'qt', quart: 'qt', quarts: 'qt',
+  gal: 'gal', gallon: 'gal', gallons: 'gal',
+  ml: 'ml', mls: 'ml', milliliter: 'ml', milliliters: 'ml',
+  l: 'l', liter: 'l', liters: 'l',
+  g: 'g', gram: 'g', grams: 'g',
+  kg: 'kg', kilogram: 'kg', kilograms: 'kg',
+  oz: 'oz', ounce: 'oz', ounces: 'oz', 'fl oz': 'floz', floz: 'floz', 'fluid ounce': 'floz', 'fluid ounces': 'floz',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  can: 'can', cans: 'can', jar: 'jar', jars: 'jar', package: 'package', packages: 'package', bottle: 'bottle', bottles: 'bottle',
+  stick: 'stick', sticks: 'stick', clove: 'clove', cloves: 'clove', bunch: 'bunch', bunches: 'bunch', slice: 'slice', slices: 'slice', head: 'head', heads: 'head',
+  // common countables (treated as count unit when used after quantity):
+  egg: 'count', eggs: 'count',
+  // generic "no real unit" values produced by the cart parsers
+  each: 'count', ea: 'count', unit: 'count', units: 'count', item: 'count', items: 'count',
+  piece: 'count', pieces: 'count', pc: 'count', pcs: 'count', count: 'count',
+  dozen: 'dozen', dz: 'dozen'
+};
+
+/**
+ * Map a raw unit token ("Tablespoons", "fl. oz") to its canonical unit
+ * @param {string} raw
+ * @returns {CanonicalUnit|undefined}
+ */
+function normalizeUnit(raw) {
+  if (!raw) return undefined;
+  const key = raw.trim().toLowerCase();
+  if (UNIT_ALIASES[key]) return UNIT_ALIASES[key];
+  // handle e.g., 'fl. oz', 'fl-oz'
+  const normalized = key.replace(/\./g, '').replace(/\s+/g, ' ').replace(/-/g, ' ');
+  if (UNIT_ALIASES[normalized]) return UNIT_ALIASES[normalized];
+  return undefined;
+}
+
+/**
+ * @param {CanonicalUnit} [u]
+ * @returns {boolean}
+ */
+function isCountableUnit(u) {
+  return !!u && (
+    u === 'clove' || u === 'bunch' || u === 'slice' || u === 'head' || u === 'stick' || u === 'can' || u === 'jar' || u === 'package' || u === 'bottle' || u === 'count' || u === 'dozen'
+  );
+}
+
+module.exports = {
+  CANONICAL_UNITS,
+  NUMBER_WORDS,
+  UNIT_ALIASES,
+  normalizeUnit,
+  isCountableUnit
+};
@@ -0,0 +1,219 @@
+// server/utils/zipArchive.js
+// Minimal zip reader/writer on top of zlib - enough for recipe manager archives
+// (Paprika .paprikarecipes, Cooklang folders). No zip64, encryption or multi-disk.
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+
+// Callers reading untrusted uploads should pass limits sized to their upload cap
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+// Thrown when an archive would expand past the caller's limits (zip bombs)
+const limitError = (message) => Object.assign(new Error(message), { code: 'ZIP_LIMIT_EXCEEDED' });
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time packed as the zip spec expects
+function dosDateTime(date = new Date()) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<{name: string, data: Buffer|string}>} entries
+ * @returns {Buffer}
+ */
+function createZip(entries) {
+  const { time, day } = dosDateTime();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const raw = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const deflated = zlib.deflateRawSync(raw);
+    // Already-compressed payloads (gzip, images) are stored as-is
+    const useDeflate = deflated.length < raw.length;
+    const body = useDeflate ? deflated : raw;
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, end]);
+}
+
+function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+/**
+ * List the file entries of a zip archive from its central directory, without
+ * decompressing anything
+ * @param {Buffer} buffer
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, localOffset: number}>}
+ */
+function listZip(buffer) {
+  // The end-of-central-directory record sits in the last 64KB (comment included)
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a zip archive (no central directory)');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (pointer + 46 > buffer.length || buffer.readUInt32LE(pointer) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip archive (bad central directory entry)');
+    }
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const entry = {
+      name: buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength),
+      method: buffer.readUInt16LE(pointer + 10),
+      compressedSize: buffer.readUInt32LE(pointer + 20),
+      size: buffer.readUInt32LE(pointer + 24),
+      localOffset: buffer.readUInt32LE(pointer + 42)
+    };
+    pointer += 46 + nameLength + buffer.readUInt16LE(pointer + 30) + buffer.readUInt16LE(pointer + 32);
+
+    if (!entry.name.endsWith('/')) entries.push(entry); // skip directories
+  }
+
+  return entries;
+}
+
+/**
+ * Read the file entries of a zip archive. Declared sizes are checked before
+ * anything is inflated, and inflation itself is capped, so an archive that
+ * lies about its sizes still stops at maxTotalBytes.
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {number} [options.maxEntries]
+ * @param {number} [options.maxTotalBytes] - decompressed bytes across all entries
+ * @param {function(string): boolean} [options.filter] - only read matching entry names
+ * @returns {Array<{name: string, data: Buffer}>}
+ */
+function readZip(buffer, options = {}) {
+  const { maxEntries = DEFAULT_MAX_ENTRIES, maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES, filter } = options;
+  const listed = listZip(buffer).filter((entry) => !filter || filter(entry.name));
+
+  if (listed.length > maxEntries) {
+    throw limitError(`Zip archive has too many files (${listed.length}, limit ${maxEntries})`);
+  }
+  const declared = listed.reduce((sum, entry) => sum + entry.size, 0);
+  if (declared > maxTotalBytes) {
+    throw limitError(`Zip archive expands to more than ${maxTotalBytes} bytes`);
+  }
+
+  let remaining = maxTotalBytes;
+  return listed.map(({ name, method, compressedSize, localOffset }) => {
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt zip archive (bad local header for ${name})`);
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (start + compressedSize > buffer.length) {
+      throw new Error(`Corrupt zip archive (${name} is truncated)`);
+    }
+    const body = buffer.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(body);
+    } else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(1, remaining) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw limitError(`Zip archive expands to more than ${maxTotalBytes} bytes`);
+        }
+        throw new Error(`Corrupt zip archive (${name}: ${error.message})`);
+      }
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+
+    remaining -= data.length;
+    if (remaining < 0) {
+      throw limitError(`Zip archive expands to more than ${maxTotalBytes} bytes`);
+    }
+    return { name, data };
+  });
+}
+
+module.exports = {
+  createZip,
+  readZip,
+  listZip,
+  isZip,
+  crc32
+};
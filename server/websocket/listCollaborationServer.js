@@ -0,0 +1,145 @@
+/**
+ * List Collaboration WebSocket Server
+ * Pushes live item add/remove/check-off events to every member of a shared household list
+ */
+
+const { Server } = require('socket.io');
+const admin = require('firebase-admin');
+const winston = require('winston');
+const listCollaborationService = require('../services/listCollaborationService');
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const roomFor = (listId) => `list:${listId}`;
+
+class ListCollaborationServer {
+  constructor(server) {
+    this.io = new Server(server, {
+      cors: {
+        origin: true,
+        methods: ['GET', 'POST'],
+        credentials: true
+      },
+      path: '/socket.io'
+    });
+
+    this.namespace = this.io.of('/lists');
+
+    // Set up connection handling
+    this.setupConnectionHandling();
+  }
+
+  /**
+   * Set up WebSocket connection handling
+   */
+  setupConnectionHandling() {
+    // Authentication middleware - same Firebase ID tokens as the REST API
+    this.namespace.use(async (socket, next) => {
+      try {
+        const token = socket.handshake.auth.token;
+        if (!token) {
+          return next(new Error('Authentication required'));
+        }
+
+        if (admin.apps.length === 0) {
+          return next(new Error('Authentication service unavailable'));
+        }
+
+        const decoded = await admin.auth().verifyIdToken(token);
+        socket.data.userId = decoded.uid;
+
+        next();
+      } catch (err) {
+        logger.error('List WebSocket authentication error:', err.message);
+        next(new Error('Authentication failed'));
+      }
+    });
+
+    this.namespace.on('connection', (socket) => {
+      logger.info(`List collaborator connected: ${socket.id} (User: ${socket.data.userId})`);
+
+      this.setupSocketEventHandlers(socket);
+
+      socket.on('disconnect', () => {
+        logger.info(`List collaborator disconnected: ${socket.id}`);
+      });
+    });
+  }
+
+  /**
+   * Set up socket event handlers
+   */
+  setupSocketEventHandlers(socket) {
+    // Join a list room after checking membership
+    socket.on('list:join', async (data, ack = () => {}) => {
+      try {
+        const { list, role } = await listCollaborationService.getListForUser(data?.listId, socket.data.userId, 'viewer');
+
+        socket.join(roomFor(list.id));
+        ack({ success: true, role, list });
+      } catch (error) {
+        ack({ success: false, error: error.message, statusCode: error.statusCode || 500 });
+      }
+    });
+
+    socket.on('list:leave', (data, ack = () => {}) => {
+      socket.leave(roomFor(data?.listId));
+      ack({ success: true });
+    });
+
+    // Apply item operations and fan them out to every member in the room
+    socket.on('list:ops', async (data, ack = () => {}) => {
+      try {
+        const { listId, operations, clientOpId } = data || {};
+        const result = await listCollaborationService.applyOperations(listId, socket.data.userId, operations);
+
+        this.broadcastOperations(listId, result, socket.data.userId, clientOpId);
+        ack({ success: true, version: result.version, applied: result.applied });
+      } catch (error) {
+        logger.error('List operation failed:', error.message);
+        ack({ success: false, error: error.message, statusCode: error.statusCode || 500 });
+      }
+    });
+  }
+
+  /**
+   * Broadcast applied operations to everyone viewing the list
+   */
+  broadcastOperations(listId, result, userId, clientOpId = null) {
+    if (!result.applied.length) return;
+
+    this.namespace.to(roomFor(listId)).emit('list:ops:applied', {
+      listId,
+      version: result.version,
+      operations: result.applied,
+      userId,
+      clientOpId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Broadcast list-level events and drop sockets of members who lost access
+   */
+  async broadcastListEvent(listId, event, payload) {
+    this.namespace.to(roomFor(listId)).emit(event, { listId, ...payload });
+
+    if (event === 'list:member:removed') {
+      const sockets = await this.namespace.in(roomFor(listId)).fetchSockets();
+      sockets
+        .filter(memberSocket => memberSocket.data.userId === payload.userId)
+        .forEach(memberSocket => memberSocket.leave(roomFor(listId)));
+    }
+  }
+}
+
+module.exports = ListCollaborationServer;